@@ -0,0 +1,109 @@
+// backend/controllers/AlertController.js
+// 🔔 Alert Controller - low-stock alert inbox (Seller only)
+// Alerts are raised once per crossing of a variant's threshold; staff acknowledge
+// them here, and they resolve themselves when the stock is back above the threshold.
+
+import BaseController from '../utils/BaseController.js';
+import constants, { STAFF_ROLES } from '../../config/constants.js';
+
+class AlertController extends BaseController {
+  constructor() {
+    super();
+    this.LowStockAlert = null;
+  }
+
+  setModels(models) {
+    this.LowStockAlert = models.LowStockAlert;
+  }
+
+  /**
+   * GET /api/alerts
+   * Alerts, newest first, with their variant and deliveries
+   * (?status=open|acknowledged|resolved, ?variant_id=)
+   */
+  async getAlerts(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        this.requireRole(req, STAFF_ROLES);
+        const pagination = this.getPaginationParams(req, { sort: 'alert_id' });
+        const filters = {
+          status: req.query.status,
+          variant_id: req.query.variant_id ? parseInt(req.query.variant_id) : undefined
+        };
+
+        this.validateRequest(filters, {
+          status: { required: false, type: 'string', enum: Object.values(constants.LOW_STOCK_ALERT_STATUS) },
+          variant_id: { required: false, type: 'integer', min: 1 }
+        });
+
+        const result = await this.LowStockAlert.findAll({
+          status: filters.status,
+          variantId: filters.variant_id,
+          page: pagination.page,
+          limit: pagination.limit
+        });
+
+        this.sendPaginatedResponse(
+          res,
+          result,
+          pagination,
+          constants.SUCCESS_MESSAGES.ALERT.FETCHED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * GET /api/alerts/summary
+   * Number of alerts per status, for the admin panel badge
+   */
+  async getSummary(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        this.requireRole(req, STAFF_ROLES);
+
+        this.sendResponse(
+          res,
+          await this.LowStockAlert.countByStatus(),
+          constants.SUCCESS_MESSAGES.ALERT.FETCHED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * PUT /api/alerts/:id/acknowledge
+   * Acknowledge an open alert { note }. It stays acknowledged until the stock is back
+   * above the threshold; alerts no longer open return 409.
+   */
+  async acknowledgeAlert(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const user = this.requireRole(req, STAFF_ROLES);
+        const alertId = parseInt(req.params.id);
+        const body = req.body || {};
+
+        this.validateRequest({ id: alertId, note: body.note }, {
+          id: { required: true, type: 'integer', min: 1 },
+          note: { required: false, type: 'string', maxLength: 500 }
+        });
+
+        const alert = await this.LowStockAlert.acknowledge(alertId, user.id, body.note?.trim() || null);
+
+        this.sendResponse(
+          res,
+          alert,
+          constants.SUCCESS_MESSAGES.ALERT.ACKNOWLEDGED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+}
+
+export default AlertController;
@@ -0,0 +1,375 @@
+// backend/controllers/CartController.js
+// 🛍️ Cart Controller - server-side cart
+// Carts belong to the signed-in user or, for guests, to the X-Cart-Token header.
+// Every quantity change also resizes the cart's stock hold.
+
+import BaseController from '../utils/BaseController.js';
+import constants from '../../config/constants.js';
+import pricing from '../utils/pricing.js';
+import promotionUtils from '../utils/promotions.js';
+import stockUtils from '../utils/stock.js';
+import { BusinessLogicError, NotFoundError, ValidationError } from '../utils/ErrorClasses.js';
+
+class CartController extends BaseController {
+  constructor() {
+    super();
+    this.Cart = null;
+    this.CartItem = null;
+    this.ShoeVariant = null;
+    this.StockReservation = null;
+    this.Promotion = null;
+  }
+
+  setModels(models) {
+    this.Cart = models.Cart;
+    this.CartItem = models.CartItem;
+    this.ShoeVariant = models.ShoeVariant;
+    this.StockReservation = models.StockReservation;
+    this.Promotion = models.Promotion;
+  }
+
+  /**
+   * GET /api/cart
+   * Current cart with live prices, stock status, line warnings and discounts
+   */
+  async getCart(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const { owner, holderKey } = this.resolveOwner(req);
+        const cart = await this.Cart.findActive(owner);
+
+        if (cart) {
+          return this.sendCart(req, res, cart.cart_id, holderKey, constants.SUCCESS_MESSAGES.CART.FETCHED);
+        }
+
+        const emptyCart = { cart_id: null, cart_items: [] };
+        this.sendResponse(
+          res,
+          this.Cart.buildSummary(emptyCart, holderKey, await this.loadPromotions(req, emptyCart)),
+          constants.SUCCESS_MESSAGES.CART.FETCHED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * POST /api/cart/items
+   * Add quantity units of a variant to the cart
+   */
+  async addItem(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const { owner, holderKey } = this.resolveOwner(req);
+
+        this.validateRequest(req.body, {
+          variant_id: {
+            required: true,
+            type: 'integer',
+            min: 1
+          },
+          quantity: {
+            required: true,
+            type: 'integer',
+            min: 1,
+            max: constants.STOCK_RESERVATION.MAX_QUANTITY
+          }
+        });
+
+        const variant = await this.loadSellableVariant(req.body.variant_id);
+        const cart = await this.Cart.getOrCreate(owner);
+        const existing = await this.CartItem.findByCartAndVariant(cart.cart_id, variant.variant_id);
+        const quantity = (existing?.quantity || 0) + req.body.quantity;
+
+        if (quantity > constants.STOCK_RESERVATION.MAX_QUANTITY) {
+          throw new ValidationError(constants.ERROR_MESSAGES.CART.LINE_LIMIT);
+        }
+
+        await this.StockReservation.reserve(variant.variant_id, holderKey, quantity);
+        await this.CartItem.setQuantity(cart.cart_id, variant.variant_id, quantity, pricing.resolveUnitPrice(variant));
+
+        await this.sendCart(req, res, cart.cart_id, holderKey, constants.SUCCESS_MESSAGES.CART.ITEM_ADDED);
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * PATCH /api/cart/items/:variantId
+   * Change the quantity of a cart line
+   */
+  async updateItem(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const { owner, holderKey } = this.resolveOwner(req);
+        const variantId = parseInt(req.params.variantId);
+
+        this.validateRequest(
+          { ...req.body, variant_id: variantId },
+          {
+            variant_id: {
+              required: true,
+              type: 'integer',
+              min: 1
+            },
+            quantity: {
+              required: true,
+              type: 'integer',
+              min: 1,
+              max: constants.STOCK_RESERVATION.MAX_QUANTITY
+            }
+          }
+        );
+
+        const { cart } = await this.loadCartLine(owner, variantId);
+
+        await this.StockReservation.reserve(variantId, holderKey, req.body.quantity);
+        await this.CartItem.setQuantity(cart.cart_id, variantId, req.body.quantity);
+
+        await this.sendCart(req, res, cart.cart_id, holderKey, constants.SUCCESS_MESSAGES.CART.ITEM_UPDATED);
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * DELETE /api/cart/items/:variantId
+   * Remove a line and release its stock hold
+   */
+  async removeItem(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const { owner, holderKey } = this.resolveOwner(req);
+        const variantId = parseInt(req.params.variantId);
+
+        this.validateRequest(
+          { variant_id: variantId },
+          {
+            variant_id: {
+              required: true,
+              type: 'integer',
+              min: 1
+            }
+          }
+        );
+
+        const { cart } = await this.loadCartLine(owner, variantId);
+
+        await this.StockReservation.release(variantId, holderKey);
+        await this.CartItem.removeVariants(cart.cart_id, [variantId]);
+
+        await this.sendCart(req, res, cart.cart_id, holderKey, constants.SUCCESS_MESSAGES.CART.ITEM_REMOVED);
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * DELETE /api/cart
+   * Empty the cart and release all its stock holds
+   */
+  async clearCart(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const { owner, holderKey } = this.resolveOwner(req);
+        const cart = await this.Cart.findActive(owner);
+
+        if (cart) {
+          const items = await this.CartItem.findByCartId(cart.cart_id);
+          for (const item of items) {
+            await this.StockReservation.release(item.variant_id, holderKey);
+          }
+          await this.CartItem.removeByCartId(cart.cart_id);
+        }
+
+        this.sendResponse(
+          res,
+          this.Cart.buildSummary({ cart_id: cart?.cart_id || null, cart_items: [] }, holderKey),
+          constants.SUCCESS_MESSAGES.CART.CLEARED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * POST /api/cart/coupon
+   * Enter a coupon code. Codes that cannot apply to this buyer are refused; codes
+   * that depend on the cart contents (minimum subtotal, eligible items) are kept
+   * and the cart reports why they do not apply yet.
+   */
+  async applyCoupon(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const { owner, holderKey } = this.resolveOwner(req);
+
+        this.validateRequest(req.body, {
+          code: {
+            required: true,
+            type: 'string',
+            maxLength: 50
+          }
+        });
+
+        const code = promotionUtils.normalizeCode(req.body.code);
+        if (!constants.PROMOTION_CONFIG.CODE_PATTERN.test(code)) {
+          throw new ValidationError(constants.ERROR_MESSAGES.PROMOTION.INVALID_CODE);
+        }
+
+        const coupon = await this.Promotion.findByCode(code);
+        if (!coupon) {
+          throw new NotFoundError('Coupon');
+        }
+
+        const cart = await this.Cart.getOrCreate(owner);
+        const candidate = { ...(await this.Cart.findWithItems(cart.cart_id)), coupon_code: code };
+        const summary = this.Cart.buildSummary(candidate, holderKey, await this.loadPromotions(req, candidate));
+
+        const cartDependent = [
+          constants.PROMOTION_REJECTIONS.MIN_SUBTOTAL,
+          constants.PROMOTION_REJECTIONS.NO_ELIGIBLE_ITEMS
+        ];
+        if (!summary.coupon.applied && !cartDependent.includes(summary.coupon.reason)) {
+          throw new BusinessLogicError(constants.ERROR_MESSAGES.PROMOTION.COUPON_NOT_APPLICABLE, summary.coupon);
+        }
+
+        await this.Cart.setCouponCode(cart.cart_id, code);
+
+        this.sendResponse(
+          res,
+          summary,
+          constants.SUCCESS_MESSAGES.CART.COUPON_APPLIED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * DELETE /api/cart/coupon
+   * Remove the coupon from the cart
+   */
+  async removeCoupon(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const { owner, holderKey } = this.resolveOwner(req);
+        const cart = await this.Cart.findActive(owner);
+
+        if (!cart) {
+          throw new NotFoundError('Cart');
+        }
+
+        await this.Cart.setCouponCode(cart.cart_id, null);
+        await this.sendCart(req, res, cart.cart_id, holderKey, constants.SUCCESS_MESSAGES.CART.COUPON_REMOVED);
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * POST /api/cart/merge
+   * Merge the guest cart of the X-Cart-Token header into the signed-in user's cart
+   */
+  async mergeCart(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const user = this.requireAuth(req);
+        const guestHolderKey = stockUtils.resolveHolderKey(null, req.headers['x-cart-token']);
+
+        if (!guestHolderKey) {
+          throw new ValidationError(constants.ERROR_MESSAGES.CART.NOTHING_TO_MERGE);
+        }
+
+        const cart = await this.Cart.mergeGuest(req.headers['x-cart-token'], user.id);
+
+        await this.sendCart(
+          req,
+          res,
+          cart.cart_id,
+          stockUtils.resolveHolderKey(user),
+          constants.SUCCESS_MESSAGES.CART.MERGED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Cart owner and stock holder key of the request
+   */
+  resolveOwner(req) {
+    const cartToken = req.headers['x-cart-token'];
+    const holderKey = stockUtils.resolveHolderKey(req.user, cartToken);
+
+    if (!holderKey) {
+      throw new ValidationError(
+        cartToken
+          ? constants.ERROR_MESSAGES.RESERVATION.INVALID_CART_TOKEN
+          : constants.ERROR_MESSAGES.CART.MISSING_OWNER
+      );
+    }
+
+    const owner = req.user?.id ? { userId: req.user.id } : { guestToken: cartToken };
+    return { owner, holderKey };
+  }
+
+  /**
+   * Variant that can be added to a cart (active variant of an active shoe)
+   */
+  async loadSellableVariant(variantId) {
+    const [variant] = await this.ShoeVariant.findByIds([variantId]);
+
+    if (!variant) {
+      throw new NotFoundError(`Variant ${variantId}`);
+    }
+    if (variant.is_active === false || variant.shoes?.is_active === false) {
+      throw new BusinessLogicError(constants.ERROR_MESSAGES.CART.VARIANT_UNAVAILABLE, { variant_id: variantId });
+    }
+
+    return variant;
+  }
+
+  /**
+   * Active cart and its line for a variant, or NotFound
+   */
+  async loadCartLine(owner, variantId) {
+    const cart = await this.Cart.findActive(owner);
+    const item = cart && await this.CartItem.findByCartAndVariant(cart.cart_id, variantId);
+
+    if (!item) {
+      throw new NotFoundError(`Cart item for variant ${variantId}`);
+    }
+
+    return { cart, item };
+  }
+
+  /**
+   * Automatic promotions, the cart's coupon and the buyer's promotion context
+   */
+  async loadPromotions(req, cart) {
+    return this.Promotion.loadApplicable({
+      code: cart.coupon_code || null,
+      userId: req.user?.id || null
+    });
+  }
+
+  async sendCart(req, res, cartId, holderKey, message) {
+    const cart = await this.Cart.findWithItems(cartId);
+
+    this.sendResponse(
+      res,
+      this.Cart.buildSummary(cart, holderKey, await this.loadPromotions(req, cart)),
+      message
+    );
+  }
+}
+
+export default CartController;
@@ -0,0 +1,251 @@
+// backend/controllers/CatalogController.js
+// 📦 Catalog Controller - bulk catalog import and export (Seller only)
+// A catalog file has one row per variant. Uploading it as a dry run reports what each row would
+// create or update; uploading it again with dry_run false imports the rows without errors.
+// Exported CSV files have the same columns, so they can be edited and imported again.
+
+import { once } from 'events';
+import BaseController from '../utils/BaseController.js';
+import constants, { STAFF_ROLES } from '../../config/constants.js';
+import catalogImport from '../utils/catalogImport.js';
+import catalogExport from '../utils/catalogExport.js';
+import { BusinessLogicError, NotFoundError } from '../utils/ErrorClasses.js';
+
+class CatalogController extends BaseController {
+  constructor() {
+    super();
+    this.CatalogImport = null;
+    this.Shoe = null;
+    this.StockLocation = null;
+  }
+
+  setModels(models) {
+    this.CatalogImport = models.CatalogImport;
+    this.Shoe = models.Shoe;
+    this.StockLocation = models.StockLocation;
+  }
+
+  /**
+   * POST /api/catalog/import
+   * Import shoes, variants and stock { filename, format: csv|xlsx (from the filename by default),
+   * content (CSV text or base64 XLSX), dry_run (default true), location_id, update_stock (default false) }.
+   * Categories, shoes, colors and sizes are matched by name and created when missing, variants
+   * by SKU. stock is the opening quantity of new variants at location_id (the default location when
+   * omitted); existing variants only get it with update_stock, and not if stock_snapshot is stale.
+   * Responds with a report per row: create, update, unchanged or error (rows with errors are skipped).
+   */
+  async importCatalog(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const user = this.requireRole(req, STAFF_ROLES);
+        const body = req.body || {};
+        const { MAX_FILE_SIZE, FORMATS } = constants.CATALOG_IMPORT_CONFIG;
+
+        this.validateRequest(body, {
+          filename: {
+            required: false,
+            type: 'string',
+            maxLength: 255
+          },
+          format: {
+            required: false,
+            type: 'string',
+            enum: FORMATS
+          },
+          content: {
+            required: true,
+            type: 'string',
+            minLength: 1,
+            custom: value => (
+              typeof value !== 'string' || Buffer.byteLength(value) <= MAX_FILE_SIZE
+                ? null
+                : `content must be at most ${MAX_FILE_SIZE / (1024 * 1024)} MB`
+            )
+          },
+          dry_run: {
+            required: false,
+            type: 'boolean'
+          },
+          update_stock: {
+            required: false,
+            type: 'boolean'
+          },
+          location_id: {
+            required: false,
+            type: 'integer',
+            min: 1
+          }
+        });
+
+        const format = catalogImport.resolveFormat(body.filename, body.format);
+        if (!FORMATS.includes(format)) {
+          throw new BusinessLogicError(constants.ERROR_MESSAGES.CATALOG_IMPORT.UNSUPPORTED_FORMAT, { format });
+        }
+
+        const location = await this.resolveLocation(body.location_id);
+
+        const rows = catalogImport.readFile(body.content, format);
+        const updateStock = body.update_stock === true;
+        const plan = catalogImport.plan(
+          rows,
+          await this.CatalogImport.findExisting(rows, location.location_id),
+          { updateStock }
+        );
+        const dryRun = body.dry_run !== false;
+
+        if (!dryRun) {
+          const imported = await this.CatalogImport.apply(
+            catalogImport.importRows(rows, plan.rows),
+            location.location_id,
+            user.id
+          );
+          const variantIds = new Map(imported.map(result => [result.line, result.variant_id]));
+
+          for (const entry of plan.rows) {
+            if (variantIds.has(entry.line)) entry.variant_id = variantIds.get(entry.line);
+          }
+        }
+
+        this.sendResponse(
+          res,
+          {
+            dry_run: dryRun,
+            update_stock: updateStock,
+            format,
+            location: this.locationSummary(location),
+            ...plan
+          },
+          dryRun
+            ? constants.SUCCESS_MESSAGES.CATALOG_IMPORT.PREVIEWED
+            : constants.SUCCESS_MESSAGES.CATALOG_IMPORT.IMPORTED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * GET /api/catalog/export
+   * Download the catalog as CSV (?format=csv, the default; one line per variant in the import's
+   * columns) or JSON (?format=json; shoes with their category and variants). Filters are those of
+   * GET /api/products (?category_id=, ?min_price=, ?max_price=, ?search=, ?color_ids=, ?size_ids=,
+   * ?is_active=), except that nothing is left out by default. stock is the quantity at
+   * ?location_id= (the default location when omitted).
+   * The file is streamed as the shoes are read, a batch at a time.
+   */
+  async exportCatalog(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        this.requireRole(req, STAFF_ROLES);
+        const query = req.query || {};
+        const ids = value => (value
+          ? String(value).split(',').map(id => parseInt(id.trim())).filter(id => !isNaN(id))
+          : undefined);
+        const atLeastZero = field => value => (value >= 0 ? null : `${field} must be at least 0`);
+
+        const format = query.format || 'csv';
+        const filters = {
+          category_id: query.category_id ? parseInt(query.category_id) : undefined,
+          min_price: query.min_price ? parseFloat(query.min_price) : undefined,
+          max_price: query.max_price ? parseFloat(query.max_price) : undefined,
+          search: query.search || undefined,
+          color_ids: ids(query.color_ids),
+          size_ids: ids(query.size_ids),
+          is_active: query.is_active !== undefined ? query.is_active === 'true' : undefined
+        };
+        const locationId = query.location_id ? parseInt(query.location_id) : undefined;
+
+        this.validateRequest({ ...filters, format, location_id: locationId }, {
+          format: { required: false, type: 'string', enum: constants.CATALOG_EXPORT_CONFIG.FORMATS },
+          category_id: { required: false, type: 'integer', min: 1 },
+          min_price: { required: false, type: 'number', custom: atLeastZero('min_price') },
+          max_price: { required: false, type: 'number', custom: atLeastZero('max_price') },
+          search: { required: false, type: 'string', maxLength: 100 },
+          location_id: { required: false, type: 'integer', min: 1 }
+        });
+
+        const location = await this.resolveLocation(locationId);
+        const batches = this.Shoe.findCatalogBatches(filters);
+
+        // The first batch is read before anything is sent, so early failures are still error responses
+        let batch = await batches.next();
+
+        res.writeHead(constants.HTTP_STATUS.OK, {
+          'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+          'Content-Disposition': `attachment; filename="${catalogExport.filename(format)}"`
+        });
+
+        try {
+          const write = async chunk => {
+            if (chunk && !res.write(chunk)) await once(res, 'drain');
+          };
+          let shoeCount = 0;
+          let variantCount = 0;
+
+          if (format === 'csv') {
+            await write(`\uFEFF${catalogExport.csvRows([], location.location_id, { header: true })}`);
+          } else {
+            const header = JSON.stringify({
+              exported_at: new Date().toISOString(),
+              location: this.locationSummary(location),
+              filters
+            });
+            await write(`${header.slice(0, -1)},"shoes":[`);
+          }
+
+          for (; !batch.done; batch = await batches.next()) {
+            if (format === 'csv') {
+              await write(catalogExport.csvRows(batch.value, location.location_id));
+            } else {
+              await write(batch.value
+                .map((shoe, index) => `${shoeCount + index > 0 ? ',' : ''}${JSON.stringify(catalogExport.shoeDocument(shoe, location.location_id))}`)
+                .join(''));
+            }
+            shoeCount += batch.value.length;
+            variantCount += batch.value.reduce((sum, shoe) => sum + (shoe.shoe_variants || []).length, 0);
+          }
+
+          if (format === 'json') {
+            await write(`],"shoe_count":${shoeCount},"variant_count":${variantCount}}`);
+          }
+          res.end();
+        } catch (error) {
+          // Headers are gone: cut the download short rather than end it as if it were complete
+          console.error('Catalog export failed:', error);
+          res.destroy(error);
+        }
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  // A location by id, else the default location; it has to be active
+  async resolveLocation(locationId) {
+    const location = locationId
+      ? await this.StockLocation.findById(locationId)
+      : await this.StockLocation.findDefault();
+
+    if (!location) {
+      throw new NotFoundError('Location');
+    }
+    if (!location.is_active) {
+      throw new BusinessLogicError(constants.ERROR_MESSAGES.LOCATION.INACTIVE, {
+        location_id: location.location_id
+      });
+    }
+
+    return location;
+  }
+
+  locationSummary(location) {
+    return {
+      location_id: location.location_id,
+      location_code: location.location_code,
+      location_name: location.location_name
+    };
+  }
+}
+
+export default CatalogController;
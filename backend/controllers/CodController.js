@@ -0,0 +1,382 @@
+// backend/controllers/CodController.js
+// 💵 COD Controller - cash on delivery collection and reconciliation
+// Delivering a cash on delivery order records the cash to collect; staff then confirm
+// what each courier handed over (per shipment or per batch) and close discrepancies.
+
+import BaseController from '../utils/BaseController.js';
+import constants, { STAFF_ROLES } from '../../config/constants.js';
+import csv from '../utils/csv.js';
+import pricing from '../utils/pricing.js';
+import { ConflictError, NotFoundError, ValidationError } from '../utils/ErrorClasses.js';
+
+const REPORT_COLUMNS = [
+  'report_date',
+  'courier',
+  'delivered_count',
+  'expected_amount',
+  'collected_count',
+  'collected_amount',
+  'discrepancy_count',
+  'discrepancy_amount',
+  'outstanding_count',
+  'outstanding_amount'
+];
+
+class CodController extends BaseController {
+  constructor() {
+    super();
+    this.CodCollection = null;
+    this.Payment = null;
+  }
+
+  setModels(models) {
+    this.CodCollection = models.CodCollection;
+    this.Payment = models.Payment;
+  }
+
+  /**
+   * GET /api/cod/collections
+   * Cash to collect for delivered orders, oldest delivery first (Seller only),
+   * filtered by ?status=, ?courier= and ?remittance_id=
+   */
+  async getCollections(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        this.requireRole(req, STAFF_ROLES);
+
+        const query = {
+          ...req.query,
+          remittance_id: req.query.remittance_id !== undefined ? parseInt(req.query.remittance_id) : undefined
+        };
+        this.validateRequest(query, {
+          status: {
+            required: false,
+            type: 'string',
+            enum: Object.values(constants.COD_COLLECTION_STATUS)
+          },
+          courier: {
+            required: false,
+            type: 'string',
+            enum: Object.values(constants.COURIERS)
+          },
+          remittance_id: {
+            required: false,
+            type: 'integer',
+            min: 1
+          }
+        });
+
+        const pagination = this.getPaginationParams(req, { sort: 'delivered_at' });
+        const result = await this.CodCollection.findAll({
+          status: query.status,
+          courier: query.courier,
+          remittanceId: query.remittance_id,
+          page: pagination.page,
+          limit: pagination.limit
+        });
+
+        this.sendPaginatedResponse(
+          res,
+          result,
+          pagination,
+          constants.SUCCESS_MESSAGES.COD.FETCHED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * POST /api/cod/remittances
+   * Confirm the cash a courier handed over (Seller only) from { courier, reference, note, items }.
+   * items are [{ order_id or tracking_number, collected_amount }]: one for a single shipment,
+   * many for a courier batch. Amounts that differ from what was expected are flagged as discrepancies.
+   * All shipments must be awaiting collection by that courier, otherwise nothing is recorded.
+   */
+  async createRemittance(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const user = this.requireRole(req, STAFF_ROLES);
+
+        this.validateRequest(req.body, {
+          courier: {
+            required: true,
+            type: 'string',
+            enum: Object.values(constants.COURIERS)
+          },
+          reference: {
+            required: false,
+            type: 'string',
+            maxLength: 100
+          },
+          note: {
+            required: false,
+            type: 'string',
+            maxLength: 500
+          },
+          items: {
+            required: true,
+            type: 'array',
+            minItems: 1,
+            maxItems: 500,
+            custom: value => (
+              !Array.isArray(value) || value.every(item => this.isValidRemittanceItem(item))
+                ? null
+                : 'Each item needs an order_id or tracking_number and a collected_amount of at least 0'
+            )
+          }
+        });
+
+        const remittance = await this.CodCollection.confirm({
+          courier: req.body.courier,
+          reference: req.body.reference || null,
+          note: req.body.note || null,
+          confirmed_by: user.id
+        }, req.body.items.map(item => ({
+          order_id: item.order_id ?? null,
+          tracking_number: item.tracking_number ?? null,
+          collected_amount: pricing.roundAmount(item.collected_amount)
+        })));
+
+        const collections = remittance.cod_collections || [];
+        const discrepancies = collections.filter(collection => collection.status === constants.COD_COLLECTION_STATUS.DISCREPANCY);
+
+        this.sendResponse(
+          res,
+          {
+            remittance,
+            summary: {
+              shipments: collections.length,
+              expected_amount: Number(remittance.expected_amount),
+              collected_amount: Number(remittance.collected_amount),
+              discrepancy_amount: Number(remittance.discrepancy_amount),
+              discrepancies: discrepancies.length
+            }
+          },
+          discrepancies.length > 0
+            ? constants.SUCCESS_MESSAGES.COD.DISCREPANCIES
+            : constants.SUCCESS_MESSAGES.COD.CONFIRMED,
+          constants.HTTP_STATUS.CREATED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * GET /api/cod/remittances
+   * Confirmed courier remittances, newest first (Seller only), optionally of one ?courier=
+   */
+  async getRemittances(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        this.requireRole(req, STAFF_ROLES);
+
+        this.validateRequest(req.query, {
+          courier: {
+            required: false,
+            type: 'string',
+            enum: Object.values(constants.COURIERS)
+          }
+        });
+
+        const pagination = this.getPaginationParams(req, { sort: 'confirmed_at' });
+        const result = await this.CodCollection.findRemittances({
+          courier: req.query.courier,
+          page: pagination.page,
+          limit: pagination.limit
+        });
+
+        this.sendPaginatedResponse(
+          res,
+          result,
+          pagination,
+          constants.SUCCESS_MESSAGES.COD.REMITTANCES_FETCHED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * GET /api/cod/remittances/:id
+   * A remittance with its collections (Seller only)
+   */
+  async getRemittance(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        this.requireRole(req, STAFF_ROLES);
+        const remittanceId = this.parseIdParam(req);
+
+        const remittance = await this.CodCollection.findRemittance(remittanceId);
+        if (!remittance) {
+          throw new NotFoundError(`Remittance ${remittanceId}`);
+        }
+
+        this.sendResponse(
+          res,
+          remittance,
+          constants.SUCCESS_MESSAGES.COD.REMITTANCES_FETCHED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * PUT /api/cod/collections/:id/resolve
+   * Close a discrepancy (Seller only) with { note } saying how it was settled.
+   * When no cash was collected at all, the payment is failed.
+   */
+  async resolveCollection(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const user = this.requireRole(req, STAFF_ROLES);
+        const collectionId = this.parseIdParam(req);
+
+        this.validateRequest(req.body, {
+          note: {
+            required: true,
+            type: 'string',
+            minLength: 1,
+            maxLength: 500
+          }
+        });
+
+        const collection = await this.CodCollection.findById(collectionId);
+        if (!collection) {
+          throw new NotFoundError(`Collection ${collectionId}`);
+        }
+
+        const resolved = await this.CodCollection.resolve(collectionId, {
+          resolvedBy: user.id,
+          note: req.body.note
+        });
+        if (!resolved) {
+          throw new ConflictError(constants.ERROR_MESSAGES.COD.NOT_DISCREPANCY);
+        }
+
+        if (Number(resolved.collected_amount) === 0) {
+          await this.Payment.updateStatus(
+            resolved.payment_id,
+            constants.PAYMENT_STATUS.FAILED,
+            constants.PAYMENT_STATUS.PENDING,
+            { failure_reason: 'cod_not_collected' }
+          );
+        }
+
+        this.sendResponse(
+          res,
+          {
+            collection: resolved,
+            payment: await this.Payment.findById(resolved.payment_id)
+          },
+          constants.SUCCESS_MESSAGES.COD.RESOLVED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * GET /api/cod/report
+   * Daily cash on delivery report per courier (Seller only) for ?from=&to= (YYYY-MM-DD, local
+   * dates in REPORT_CONFIG.TIMEZONE, default today), optionally of one ?courier=.
+   * ?format=csv downloads it as a spreadsheet.
+   */
+  async getReport(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        this.requireRole(req, STAFF_ROLES);
+
+        this.validateRequest(req.query, {
+          from: { required: false, type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/ },
+          to: { required: false, type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/ },
+          courier: { required: false, type: 'string', enum: Object.values(constants.COURIERS) },
+          format: { required: false, type: 'string', enum: ['json', 'csv'] }
+        });
+
+        const { TIMEZONE, MAX_DAYS } = constants.REPORT_CONFIG;
+        const to = req.query.to || this.localDate(new Date(), TIMEZONE);
+        const from = req.query.from || to;
+        const days = (Date.parse(to) - Date.parse(from)) / 86400000 + 1;
+
+        if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+          throw new ValidationError(constants.ERROR_MESSAGES.COD.INVALID_PERIOD, [
+            { field: 'from', message: `from must be on or before to, at most ${MAX_DAYS} days apart` }
+          ]);
+        }
+
+        const rows = (await this.CodCollection.dailyReport(from, to, TIMEZONE))
+          .filter(row => !req.query.courier || row.courier === req.query.courier);
+
+        if (req.query.format === 'csv') {
+          this.sendCsv(res, csv.stringify(REPORT_COLUMNS, rows), `cod-report-${from}-to-${to}.csv`);
+          return;
+        }
+
+        const sum = field => pricing.roundAmount(rows.reduce((total, row) => total + Number(row[field]), 0));
+
+        this.sendResponse(
+          res,
+          {
+            from,
+            to,
+            timezone: TIMEZONE,
+            rows,
+            totals: {
+              delivered_count: sum('delivered_count'),
+              expected_amount: sum('expected_amount'),
+              collected_count: sum('collected_count'),
+              collected_amount: sum('collected_amount'),
+              discrepancy_count: sum('discrepancy_count'),
+              discrepancy_amount: sum('discrepancy_amount')
+            }
+          },
+          constants.SUCCESS_MESSAGES.COD.REPORT_FETCHED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  isValidRemittanceItem(item) {
+    if (!item || typeof item !== 'object') return false;
+
+    const byOrder = Number.isInteger(item.order_id) && item.order_id >= 1;
+    const byTracking = typeof item.tracking_number === 'string' && item.tracking_number.trim() !== '';
+
+    return (byOrder || byTracking) && typeof item.collected_amount === 'number' && item.collected_amount >= 0;
+  }
+
+  // YYYY-MM-DD of a moment in a time zone
+  localDate(date, timeZone) {
+    return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+  }
+
+  // Positive integer :id route parameter
+  parseIdParam(req) {
+    const id = parseInt(req.params.id);
+
+    this.validateRequest(
+      { id },
+      {
+        id: {
+          required: true,
+          type: 'integer',
+          min: 1
+        }
+      }
+    );
+
+    return id;
+  }
+}
+
+export default CodController;
@@ -1,40 +1,242 @@
-// 📥 Import Controller - CRUD imports from suppliers
-// Handles inventory import management
-
-class ImportController {
-    constructor() {
-        // Initialize import controller
-    }
-
-    // Get all imports
-    async getImports(req, res) {
-        // TODO: Implement get imports logic
-        res.status(501).json({ message: 'Get imports endpoint not implemented yet' });
-    }
-
-    // Get specific import
-    async getImport(req, res) {
-        // TODO: Implement get import logic
-        res.status(501).json({ message: 'Get import endpoint not implemented yet' });
-    }
-
-    // Create new import
-    async createImport(req, res) {
-        // TODO: Implement create import logic
-        res.status(501).json({ message: 'Create import endpoint not implemented yet' });
-    }
-
-    // Update import
-    async updateImport(req, res) {
-        // TODO: Implement update import logic
-        res.status(501).json({ message: 'Update import endpoint not implemented yet' });
-    }
-
-    // Delete import
-    async deleteImport(req, res) {
-        // TODO: Implement delete import logic
-        res.status(501).json({ message: 'Delete import endpoint not implemented yet' });
-    }
+// backend/controllers/ImportController.js
+// 📥 Import Controller - stock received from suppliers (Seller only)
+// Imports are receipts: they add stock and update the variants' weighted-average cost.
+// They are not edited or deleted; corrections are stock adjustments on the variant.
+
+import BaseController from '../utils/BaseController.js';
+import constants, { STAFF_ROLES } from '../../config/constants.js';
+import { BusinessLogicError, NotFoundError, ValidationError } from '../utils/ErrorClasses.js';
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+class ImportController extends BaseController {
+  constructor() {
+    super();
+    this.Import = null;
+    this.Supplier = null;
+    this.ShoeVariant = null;
+    this.StockLocation = null;
+  }
+
+  setModels(models) {
+    this.Import = models.Import;
+    this.Supplier = models.Supplier;
+    this.ShoeVariant = models.ShoeVariant;
+    this.StockLocation = models.StockLocation;
+  }
+
+  /**
+   * GET /api/imports
+   * List imports, newest first (?supplier_id=, ?variant_id=, ?from=&to= import dates;
+   * a date without a time covers the whole day)
+   */
+  async getImports(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        this.requireRole(req, STAFF_ROLES);
+        const pagination = this.getPaginationParams(req, { sort: 'import_date' });
+        const filters = {
+          supplier_id: req.query.supplier_id ? parseInt(req.query.supplier_id) : undefined,
+          variant_id: req.query.variant_id ? parseInt(req.query.variant_id) : undefined,
+          from: req.query.from,
+          to: req.query.to
+        };
+
+        this.validateRequest(filters, {
+          supplier_id: { required: false, type: 'integer', min: 1 },
+          variant_id: { required: false, type: 'integer', min: 1 },
+          from: { required: false, type: 'date' },
+          to: { required: false, type: 'date' }
+        });
+
+        const to = filters.to && DATE_ONLY.test(filters.to) ? `${filters.to}T23:59:59.999` : filters.to;
+        if (filters.from && to && Date.parse(filters.from) > Date.parse(to)) {
+          throw new ValidationError(constants.ERROR_MESSAGES.IMPORT.INVALID_DATE_RANGE, [
+            { field: 'from', message: constants.ERROR_MESSAGES.IMPORT.INVALID_DATE_RANGE }
+          ]);
+        }
+
+        const result = await this.Import.findAll({
+          supplierId: filters.supplier_id,
+          variantId: filters.variant_id,
+          from: filters.from,
+          to,
+          page: pagination.page,
+          limit: pagination.limit
+        });
+
+        this.sendPaginatedResponse(
+          res,
+          result,
+          pagination,
+          constants.SUCCESS_MESSAGES.IMPORT.FETCHED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * GET /api/imports/:id
+   * Get an import with its supplier and variant
+   */
+  async getImport(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        this.requireRole(req, STAFF_ROLES);
+        const importId = parseInt(req.params.id);
+
+        this.validateRequest(
+          { id: importId },
+          {
+            id: {
+              required: true,
+              type: 'integer',
+              min: 1
+            }
+          }
+        );
+
+        const record = await this.Import.findWithDetails(importId);
+
+        this.sendResponse(
+          res,
+          record,
+          'Import fetched successfully'
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * POST /api/imports
+   * Receive stock from a supplier: one line per variant in items
+   * ([{ variant_id, quantity_imported, import_price }]), or a single line in the body itself.
+   * The units go to location_id (the default location when omitted).
+   * Each line adds its units to the variant and updates the variant's average cost;
+   * the response has the imports and the variants' new stock and average cost.
+   */
+  async createImport(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const user = this.requireRole(req, STAFF_ROLES);
+        const body = req.body || {};
+        const lines = Array.isArray(body.items)
+          ? body.items
+          : [{ variant_id: body.variant_id, quantity_imported: body.quantity_imported, import_price: body.import_price }];
+
+        this.validateRequest({ ...body, items: lines }, {
+          supplier_id: {
+            required: true,
+            type: 'integer',
+            min: 1
+          },
+          import_date: {
+            required: false,
+            type: 'date'
+          },
+          location_id: {
+            required: false,
+            type: 'integer',
+            min: 1
+          },
+          notes: {
+            required: false,
+            type: 'string',
+            maxLength: 500
+          },
+          items: {
+            required: true,
+            type: 'array',
+            minItems: 1,
+            maxItems: 200
+          }
+        });
+
+        for (const line of lines) {
+          this.validateRequest(line || {}, {
+            variant_id: {
+              required: true,
+              type: 'integer',
+              min: 1
+            },
+            quantity_imported: {
+              required: true,
+              type: 'integer',
+              min: 1
+            },
+            import_price: {
+              required: true,
+              type: 'number',
+              custom: value => (value >= 0 ? null : 'import_price must be at least 0')
+            }
+          });
+        }
+
+        const supplier = await this.Supplier.findById(body.supplier_id);
+        if (!supplier) {
+          throw new NotFoundError('Supplier');
+        }
+        if (!supplier.is_active) {
+          throw new BusinessLogicError(constants.ERROR_MESSAGES.SUPPLIER.INACTIVE, {
+            supplier_id: supplier.supplier_id
+          });
+        }
+
+        if (body.location_id) {
+          const location = await this.StockLocation.findById(body.location_id);
+          if (!location) {
+            throw new NotFoundError('Location');
+          }
+          if (!location.is_active) {
+            throw new BusinessLogicError(constants.ERROR_MESSAGES.LOCATION.INACTIVE, {
+              location_id: location.location_id
+            });
+          }
+        }
+
+        const variantIds = [...new Set(lines.map(line => line.variant_id))];
+        const known = new Set((await this.ShoeVariant.findByIds(variantIds)).map(variant => variant.variant_id));
+        const missing = variantIds.filter(id => !known.has(id));
+        if (missing.length > 0) {
+          throw new NotFoundError(`Variant ${missing.join(', ')}`);
+        }
+
+        const imports = await this.Import.createImports(lines.map(line => ({
+          supplier_id: supplier.supplier_id,
+          user_id: user.id,
+          variant_id: line.variant_id,
+          quantity_imported: line.quantity_imported,
+          import_price: line.import_price,
+          import_date: body.import_date || new Date().toISOString(),
+          location_id: body.location_id || null,
+          notes: body.notes || null
+        })));
+
+        const variants = await this.ShoeVariant.findByIds(variantIds);
+
+        this.sendResponse(
+          res,
+          {
+            imports,
+            variants: variants.map(variant => ({
+              variant_id: variant.variant_id,
+              sku: variant.sku,
+              stock_quantity: variant.stock_quantity,
+              average_cost: variant.average_cost === null ? null : Number(variant.average_cost)
+            }))
+          },
+          constants.SUCCESS_MESSAGES.IMPORT.CREATED,
+          constants.HTTP_STATUS.CREATED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
 }
 
 export default ImportController;
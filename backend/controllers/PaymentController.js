@@ -1,40 +1,943 @@
-// 💳 Payment Controller - CRUD payments
-// Handles payment processing and management
+// backend/controllers/PaymentController.js
+// 💳 Payment Controller - paying for orders through a payment provider
+// A payment is created pending, settled as completed or failed by its provider,
+// and a completed payment moves the order from pending to processing.
+// Bank transfers (VietQR) are settled by reconciling uploaded bank statements.
 
-class PaymentController {
-    constructor() {
-        // Initialize payment controller
+import BaseController from '../utils/BaseController.js';
+import constants, { STAFF_ROLES } from '../../config/constants.js';
+import paymentGateway from '../utils/payments.js';
+import pricing from '../utils/pricing.js';
+import reconciliation from '../utils/reconciliation.js';
+import { BusinessLogicError, ConflictError, ExternalServiceError, NotFoundError, ValidationError } from '../utils/ErrorClasses.js';
+
+class PaymentController extends BaseController {
+  constructor() {
+    super();
+    this.Payment = null;
+    this.PaymentEvent = null;
+    this.BankStatement = null;
+    this.Refund = null;
+    this.Order = null;
+  }
+
+  setModels(models) {
+    this.Payment = models.Payment;
+    this.PaymentEvent = models.PaymentEvent;
+    this.BankStatement = models.BankStatement;
+    this.Refund = models.Refund;
+    this.Order = models.Order;
+  }
+
+  /**
+   * GET /api/payments
+   * Payments of an order (?order_id=, owner or seller). Sellers may list all payments by ?status=.
+   */
+  async getPayments(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const user = this.requireAuth(req);
+        const query = {
+          ...req.query,
+          order_id: req.query.order_id !== undefined ? parseInt(req.query.order_id) : undefined
+        };
+
+        this.validateRequest(query, {
+          order_id: {
+            required: !STAFF_ROLES.includes(user.role),
+            type: 'integer',
+            min: 1
+          },
+          status: {
+            required: false,
+            type: 'string',
+            enum: Object.values(constants.PAYMENT_STATUS)
+          }
+        });
+
+        if (query.order_id) {
+          await this.loadAccessibleOrder(user, query.order_id);
+          const payments = await this.Payment.findByOrderId(query.order_id);
+
+          this.sendResponse(
+            res,
+            query.status ? payments.filter(payment => payment.status === query.status) : payments,
+            'Payments fetched successfully'
+          );
+          return;
+        }
+
+        const pagination = this.getPaginationParams(req, { sort: 'created_at' });
+        const result = await this.Payment.findByStatus(query.status, {
+          page: pagination.page,
+          limit: pagination.limit,
+          orderDirection: pagination.order
+        });
+
+        this.sendPaginatedResponse(
+          res,
+          result,
+          pagination,
+          'Payments fetched successfully'
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * GET /api/payments/:id
+   * Get a payment (owner or seller). A pending payment is first checked with its
+   * provider, so polling this endpoint settles delayed confirmations. While it is
+   * still pending, next_action repeats what the customer has to do (e.g. the transfer QR).
+   */
+  async getPayment(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        let payment = await this.loadAccessiblePayment(req);
+
+        if (payment.status === constants.PAYMENT_STATUS.PENDING && payment.provider && payment.transaction_id) {
+          const result = await this.callProvider(payment, provider => provider.retrieve(payment.transaction_id, {
+            amount: Number(payment.payment_amount)
+          }));
+          payment = await this.settlePayment(payment, result);
+
+          if (payment.status === constants.PAYMENT_STATUS.PENDING && result.next_action) {
+            payment = { ...payment, next_action: result.next_action };
+          }
+        }
+
+        this.sendResponse(
+          res,
+          payment,
+          'Payment fetched successfully'
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * POST /api/payments
+   * Pay a pending order from { order_id, payment_method, scenario } (owner or seller).
+   * The amount is the order total. scenario (success, decline, delayed) is only read by the mock provider,
+   * and ignored outside development and test.
+   * Cash on delivery confirms the order right away; its payment stays pending until the cash is collected.
+   */
+  async processPayment(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const user = this.requireAuth(req);
+
+        this.validateRequest(req.body, {
+          order_id: {
+            required: true,
+            type: 'integer',
+            min: 1
+          },
+          payment_method: {
+            required: true,
+            type: 'string',
+            enum: Object.values(constants.PAYMENT_METHODS)
+          },
+          scenario: {
+            required: false,
+            type: 'string',
+            enum: Object.values(constants.MOCK_PAYMENT_SCENARIOS)
+          }
+        });
+
+        const order = await this.loadAccessibleOrder(user, req.body.order_id);
+        if (order.status !== constants.ORDER_STATUS.PENDING) {
+          throw new BusinessLogicError(constants.ERROR_MESSAGES.PAYMENT.ORDER_NOT_PAYABLE, { status: order.status });
+        }
+        if (Number(order.total_amount) <= 0) {
+          throw new BusinessLogicError(constants.ERROR_MESSAGES.PAYMENT.NOTHING_TO_PAY);
+        }
+
+        const provider = paymentGateway.resolveProvider(req.body.payment_method);
+        let payment = await this.Payment.createPending({
+          order_id: order.order_id,
+          payment_method: req.body.payment_method,
+          payment_amount: order.total_amount,
+          currency: constants.PAYMENT_CONFIG.CURRENCY,
+          provider: provider.name
+        });
+
+        const intent = await this.callProvider(payment, () => provider.createIntent({
+          payment,
+          order,
+          amount: Number(order.total_amount),
+          currency: payment.currency,
+          options: { scenario: paymentGateway.mockEnabled() ? req.body.scenario : undefined }
+        }));
+        payment = await this.Payment.setReference(payment.payment_id, intent.reference);
+
+        const result = intent.status === constants.PAYMENT_INTENT_STATUS.REQUIRES_CAPTURE
+          ? await this.callProvider(payment, () => provider.capture(intent.reference, { amount: Number(order.total_amount) }))
+          : intent;
+        payment = await this.settlePayment(payment, result);
+
+        // Cash on delivery: the order goes ahead and the payment waits for the courier
+        const payOnDelivery = provider.payOnDelivery && payment.status === constants.PAYMENT_STATUS.PENDING;
+        if (payOnDelivery) {
+          await this.Order.updateStatus(order.order_id, constants.ORDER_STATUS.PROCESSING, {
+            changedBy: user.id,
+            note: `Cash on delivery (payment ${payment.payment_id})`
+          });
+        }
+
+        const messages = {
+          [constants.PAYMENT_STATUS.COMPLETED]: constants.SUCCESS_MESSAGES.PAYMENT.COMPLETED,
+          [constants.PAYMENT_STATUS.FAILED]: constants.SUCCESS_MESSAGES.PAYMENT.DECLINED,
+          [constants.PAYMENT_STATUS.PENDING]: constants.SUCCESS_MESSAGES.PAYMENT.PENDING
+        };
+
+        this.sendResponse(
+          res,
+          {
+            payment,
+            order_status: (await this.Order.findById(order.order_id)).status,
+            next_action: payment.status === constants.PAYMENT_STATUS.PENDING ? intent.next_action || null : null
+          },
+          payOnDelivery
+            ? constants.SUCCESS_MESSAGES.PAYMENT.PAY_ON_DELIVERY
+            : messages[payment.status] || constants.SUCCESS_MESSAGES.PAYMENT.STATUS_UPDATED,
+          constants.HTTP_STATUS.CREATED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * PUT /api/payments/:id/status
+   * Settle a pending payment by hand from { status, failure_reason } (Seller only),
+   * e.g. a confirmed transfer or a payment the provider never reported back on.
+   */
+  async updatePaymentStatus(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        this.requireRole(req, STAFF_ROLES);
+
+        this.validateRequest(req.body, {
+          status: {
+            required: true,
+            type: 'string',
+            enum: [constants.PAYMENT_STATUS.COMPLETED, constants.PAYMENT_STATUS.FAILED]
+          },
+          failure_reason: {
+            required: false,
+            type: 'string',
+            maxLength: 500
+          }
+        });
+
+        const payment = await this.loadAccessiblePayment(req);
+        const completed = req.body.status === constants.PAYMENT_STATUS.COMPLETED;
+
+        const updated = await this.settlePayment(payment, {
+          status: completed ? constants.PAYMENT_INTENT_STATUS.SUCCEEDED : constants.PAYMENT_INTENT_STATUS.FAILED,
+          failure_reason: req.body.failure_reason || 'rejected_by_staff'
+        }, { strict: true });
+
+        this.sendResponse(
+          res,
+          updated,
+          constants.SUCCESS_MESSAGES.PAYMENT.STATUS_UPDATED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * GET /api/payments/:id/refunds
+   * Refunds of a payment with their items (owner or seller)
+   */
+  async getRefunds(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const payment = await this.loadAccessiblePayment(req);
+
+        this.sendResponse(
+          res,
+          await this.Refund.findByPaymentId(payment.payment_id),
+          constants.SUCCESS_MESSAGES.REFUND.FETCHED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * POST /api/payments/:id/refunds
+   * Refund part or all of a completed payment (Seller only) from { items, adjustment_amount, reason }.
+   * items are [{ order_item_id, quantity, amount }]; amount defaults to quantity x the price paid per unit.
+   * adjustment_amount is refunded on top, not tied to items (shipping, goodwill).
+   */
+  async createRefund(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const user = this.requireRole(req, STAFF_ROLES);
+
+        this.validateRequest(req.body, {
+          items: {
+            required: false,
+            type: 'array',
+            maxItems: 100,
+            custom: value => (
+              !Array.isArray(value) || value.every(item => this.isValidRefundItem(item))
+                ? null
+                : 'Each item needs an order_item_id and a quantity or amount of at least 0, one of them positive'
+            )
+          },
+          adjustment_amount: {
+            required: false,
+            type: 'number',
+            custom: value => (value >= 0 ? null : 'adjustment_amount cannot be negative')
+          },
+          reason: {
+            required: false,
+            type: 'string',
+            maxLength: 500
+          }
+        });
+
+        const items = req.body.items || [];
+        const adjustmentAmount = pricing.roundAmount(Number(req.body.adjustment_amount || 0));
+        if (items.length === 0 && adjustmentAmount <= 0) {
+          throw new ValidationError(constants.ERROR_MESSAGES.REFUND.NOTHING_TO_REFUND);
+        }
+
+        const itemIds = items.map(item => item.order_item_id);
+        const duplicateIds = itemIds.filter((id, index) => itemIds.indexOf(id) !== index);
+        if (duplicateIds.length > 0) {
+          throw new ValidationError(constants.ERROR_MESSAGES.REFUND.DUPLICATE_ITEM, { order_item_ids: duplicateIds });
+        }
+
+        const payment = await this.loadAccessiblePayment(req);
+        const refund = await this.Refund.issue(payment, {
+          items: items.map(item => ({
+            order_item_id: item.order_item_id,
+            quantity: item.quantity || 0,
+            amount: item.amount ?? null
+          })),
+          adjustmentAmount,
+          reason: req.body.reason || null,
+          createdBy: user.id
+        });
+
+        const messages = {
+          [constants.REFUND_STATUS.SUCCEEDED]: constants.SUCCESS_MESSAGES.REFUND.SUCCEEDED,
+          [constants.REFUND_STATUS.PENDING]: constants.SUCCESS_MESSAGES.REFUND.PENDING,
+          [constants.REFUND_STATUS.FAILED]: constants.SUCCESS_MESSAGES.REFUND.DECLINED
+        };
+
+        this.sendResponse(
+          res,
+          {
+            refund,
+            payment: await this.Payment.findById(payment.payment_id)
+          },
+          messages[refund.status],
+          constants.HTTP_STATUS.CREATED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * GET /api/payments/revenue
+   * Daily captured, refunded and net revenue (Seller only) for ?from=&to= (YYYY-MM-DD,
+   * local dates in REPORT_CONFIG.TIMEZONE). Defaults to the last 30 days.
+   */
+  async getRevenueReport(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        this.requireRole(req, STAFF_ROLES);
+
+        this.validateRequest(req.query, {
+          from: { required: false, type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/ },
+          to: { required: false, type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/ }
+        });
+
+        const { TIMEZONE, MAX_DAYS } = constants.REPORT_CONFIG;
+        const to = req.query.to || this.localDate(new Date(), TIMEZONE);
+        const from = req.query.from || this.localDate(new Date(Date.parse(to) - 29 * 86400000), 'UTC');
+        const days = (Date.parse(to) - Date.parse(from)) / 86400000 + 1;
+
+        if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+          throw new ValidationError(constants.ERROR_MESSAGES.REFUND.INVALID_PERIOD, [
+            { field: 'from', message: `from must be on or before to, at most ${MAX_DAYS} days apart` }
+          ]);
+        }
+
+        const rows = await this.Refund.revenueReport(from, to, TIMEZONE);
+        const sum = field => pricing.roundAmount(rows.reduce((total, row) => total + Number(row[field]), 0));
+
+        this.sendResponse(
+          res,
+          {
+            from,
+            to,
+            timezone: TIMEZONE,
+            days: rows,
+            totals: {
+              payments_count: sum('payments_count'),
+              captured_amount: sum('captured_amount'),
+              refunds_count: sum('refunds_count'),
+              refunded_total: sum('refunded_total'),
+              net_revenue: sum('net_revenue')
+            }
+          },
+          constants.SUCCESS_MESSAGES.REFUND.REVENUE_FETCHED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * POST /api/payments/reconciliations
+   * Reconcile a bank statement export (Seller only) from { filename, content } (the CSV text).
+   * Each incoming transfer is matched to a pending VietQR payment by the reference in its memo;
+   * an exact amount settles the payment, anything else goes to the review queue.
+   * Transfers already imported from an earlier statement are counted as duplicates and skipped.
+   */
+  async importStatement(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const user = this.requireRole(req, STAFF_ROLES);
+        const { MAX_FILE_SIZE } = constants.RECONCILIATION_CONFIG;
+
+        this.validateRequest(req.body, {
+          filename: {
+            required: false,
+            type: 'string',
+            maxLength: 255
+          },
+          content: {
+            required: true,
+            type: 'string',
+            minLength: 1,
+            custom: value => (
+              typeof value !== 'string' || Buffer.byteLength(value) <= MAX_FILE_SIZE
+                ? null
+                : `content must be at most ${MAX_FILE_SIZE / (1024 * 1024)} MB`
+            )
+          }
+        });
+
+        const { lines, skipped } = reconciliation.parseStatement(req.body.content);
+        const classified = await this.classifyStatementLines(lines);
+
+        const statement = await this.BankStatement.createStatement({
+          filename: req.body.filename || null,
+          uploaded_by: user.id,
+          line_count: lines.length + skipped,
+          skipped_count: skipped
+        });
+        const inserted = await this.BankStatement.insertLines(statement.statement_id, classified);
+
+        const results = [];
+        for (const line of inserted) {
+          results.push(line.status === constants.BANK_STATEMENT_LINE_STATUS.MATCHED
+            ? await this.settleStatementLine(line)
+            : line);
+        }
+
+        const count = status => results.filter(line => line.status === status).length;
+        const summary = {
+          lines: lines.length + skipped,
+          matched: count(constants.BANK_STATEMENT_LINE_STATUS.MATCHED),
+          needs_review: count(constants.BANK_STATEMENT_LINE_STATUS.NEEDS_REVIEW),
+          duplicates: lines.length - inserted.length,
+          skipped
+        };
+
+        this.sendResponse(
+          res,
+          {
+            statement: await this.BankStatement.updateCounts(statement.statement_id, {
+              matched_count: summary.matched,
+              review_count: summary.needs_review,
+              duplicate_count: summary.duplicates
+            }),
+            summary,
+            lines: results
+          },
+          constants.SUCCESS_MESSAGES.RECONCILIATION.IMPORTED,
+          constants.HTTP_STATUS.CREATED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * GET /api/payments/reconciliations
+   * Uploaded bank statements with their match counts, newest first (Seller only)
+   */
+  async getStatements(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        this.requireRole(req, STAFF_ROLES);
+
+        const pagination = this.getPaginationParams(req, { sort: 'created_at' });
+        const result = await this.BankStatement.findStatements({
+          page: pagination.page,
+          limit: pagination.limit
+        });
+
+        this.sendPaginatedResponse(
+          res,
+          result,
+          pagination,
+          constants.SUCCESS_MESSAGES.RECONCILIATION.FETCHED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * GET /api/payments/reconciliations/review
+   * Statement lines waiting for review, oldest first (Seller only), optionally of one ?statement_id=
+   */
+  async getReconciliationReview(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        this.requireRole(req, STAFF_ROLES);
+
+        const query = {
+          statement_id: req.query.statement_id !== undefined ? parseInt(req.query.statement_id) : undefined
+        };
+        this.validateRequest(query, {
+          statement_id: {
+            required: false,
+            type: 'integer',
+            min: 1
+          }
+        });
+
+        const pagination = this.getPaginationParams(req, { sort: 'created_at' });
+        const result = await this.BankStatement.findLines({
+          status: constants.BANK_STATEMENT_LINE_STATUS.NEEDS_REVIEW,
+          statementId: query.statement_id,
+          page: pagination.page,
+          limit: pagination.limit
+        });
+
+        this.sendPaginatedResponse(
+          res,
+          result,
+          pagination,
+          constants.SUCCESS_MESSAGES.RECONCILIATION.REVIEW_FETCHED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * PUT /api/payments/reconciliations/lines/:id/resolve
+   * Close a line of the review queue (Seller only) from { action, payment_id, note }.
+   * match settles the pending payment (payment_id, default the one its memo refers to) with this
+   * transfer, whatever its amount; ignore leaves payments alone (e.g. a transfer refunded by hand).
+   */
+  async resolveStatementLine(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const user = this.requireRole(req, STAFF_ROLES);
+        const lineId = parseInt(req.params.id);
+
+        this.validateRequest({ ...req.body, id: lineId }, {
+          id: {
+            required: true,
+            type: 'integer',
+            min: 1
+          },
+          action: {
+            required: true,
+            type: 'string',
+            enum: ['match', 'ignore']
+          },
+          payment_id: {
+            required: false,
+            type: 'integer',
+            min: 1
+          },
+          note: {
+            required: false,
+            type: 'string',
+            maxLength: 500
+          }
+        });
+
+        const line = await this.BankStatement.findLineById(lineId);
+        if (!line) {
+          throw new NotFoundError(`Bank statement line ${lineId}`);
+        }
+        if (line.status !== constants.BANK_STATEMENT_LINE_STATUS.NEEDS_REVIEW) {
+          throw new BusinessLogicError(constants.ERROR_MESSAGES.RECONCILIATION.LINE_NOT_PENDING, { status: line.status });
+        }
+
+        const resolution = {
+          resolved_by: user.id,
+          resolved_at: new Date().toISOString(),
+          resolution_note: req.body.note || null
+        };
+
+        if (req.body.action === 'ignore') {
+          const ignored = await this.BankStatement.updateLine(lineId, {
+            ...resolution,
+            status: constants.BANK_STATEMENT_LINE_STATUS.IGNORED
+          }, constants.BANK_STATEMENT_LINE_STATUS.NEEDS_REVIEW);
+
+          if (!ignored) {
+            throw new ConflictError(constants.ERROR_MESSAGES.RECONCILIATION.LINE_NOT_PENDING);
+          }
+
+          this.sendResponse(res, { line: ignored, payment: null }, constants.SUCCESS_MESSAGES.RECONCILIATION.RESOLVED);
+          return;
+        }
+
+        const paymentId = req.body.payment_id || line.payment_id;
+        if (!paymentId) {
+          throw new ValidationError(constants.ERROR_MESSAGES.RECONCILIATION.PAYMENT_REQUIRED, [
+            { field: 'payment_id', message: 'payment_id is required' }
+          ]);
+        }
+
+        const payment = await this.Payment.findById(paymentId);
+        if (!payment) {
+          throw new NotFoundError(`Payment ${paymentId}`);
+        }
+        if (payment.status !== constants.PAYMENT_STATUS.PENDING) {
+          throw new BusinessLogicError(constants.ERROR_MESSAGES.PAYMENT.INVALID_TRANSITION, { status: payment.status });
+        }
+
+        // Claim the line first so two people cannot settle different payments with one transfer
+        const claimed = await this.BankStatement.updateLine(lineId, {
+          ...resolution,
+          status: constants.BANK_STATEMENT_LINE_STATUS.RESOLVED,
+          payment_id: payment.payment_id
+        }, constants.BANK_STATEMENT_LINE_STATUS.NEEDS_REVIEW);
+
+        if (!claimed) {
+          throw new ConflictError(constants.ERROR_MESSAGES.RECONCILIATION.LINE_NOT_PENDING);
+        }
+
+        let settled;
+        try {
+          settled = await this.settlePayment(payment, {
+            status: constants.PAYMENT_INTENT_STATUS.SUCCEEDED
+          }, { strict: true });
+        } catch (error) {
+          await this.BankStatement.updateLine(lineId, {
+            status: constants.BANK_STATEMENT_LINE_STATUS.NEEDS_REVIEW,
+            payment_id: line.payment_id,
+            resolved_by: null,
+            resolved_at: null,
+            resolution_note: null
+          }, constants.BANK_STATEMENT_LINE_STATUS.RESOLVED);
+          throw error;
+        }
+
+        this.sendResponse(res, { line: claimed, payment: settled }, constants.SUCCESS_MESSAGES.RECONCILIATION.RESOLVED);
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * POST /api/payments/webhooks/:provider
+   * Payment confirmation sent by a provider (no user authentication, signed instead).
+   * Every event is stored; an event ID that was already applied is rejected as a replay.
+   */
+  async handleWebhook(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const providerName = req.params.provider;
+        if (!paymentGateway.hasProvider(providerName)) {
+          throw new NotFoundError(`Payment provider ${providerName}`);
+        }
+
+        const provider = paymentGateway.getProvider(providerName);
+        const rawBody = req.rawBody || '';
+        const signedAt = provider.verifyWebhook(rawBody, req.headers);
+        const parsed = provider.parseWebhook(rawBody, req.headers);
+
+        const payment = await this.Payment.findByReference(provider.name, parsed.reference);
+        const { event, duplicate } = await this.PaymentEvent.record({
+          provider: provider.name,
+          event_id: parsed.event_id,
+          event_type: parsed.type,
+          reference: parsed.reference,
+          payment_id: payment ? payment.payment_id : null,
+          raw_body: rawBody,
+          payload: parsed.payload,
+          signed_at: signedAt.toISOString()
+        });
+
+        // Events that failed part way may be delivered again; anything else is a replay
+        if (duplicate && event.status !== constants.PAYMENT_EVENT_STATUS.FAILED) {
+          throw new ConflictError(constants.ERROR_MESSAGES.PAYMENT.REPLAYED_EVENT);
+        }
+
+        const result = await this.applyEvent(event, parsed, payment);
+
+        this.sendResponse(
+          res,
+          {
+            event_id: event.event_id,
+            status: result.event.status,
+            payment_status: result.payment ? result.payment.status : null
+          },
+          constants.SUCCESS_MESSAGES.PAYMENT.WEBHOOK_PROCESSED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Apply a stored webhook event to its payment. Events for unknown payments, or
+   * that contradict how the payment was already settled, are kept as ignored.
+   * Unexpected errors mark the event failed and are rethrown so the provider retries.
+   */
+  async applyEvent(event, parsed, payment) {
+    const { PROCESSED, IGNORED, FAILED } = constants.PAYMENT_EVENT_STATUS;
+
+    if (!payment) {
+      return { event: await this.PaymentEvent.markStatus(event.payment_event_id, IGNORED, { error: 'unknown_reference' }) };
     }
 
-    // Get all payments for an order
-    async getPayments(req, res) {
-        // TODO: Implement get payments logic
-        res.status(501).json({ message: 'Get payments endpoint not implemented yet' });
+    try {
+      const settled = await this.settlePayment(payment, parsed);
+      return {
+        event: await this.PaymentEvent.markStatus(event.payment_event_id, PROCESSED, { error: null }),
+        payment: settled
+      };
+    } catch (error) {
+      if (error instanceof BusinessLogicError) {
+        return {
+          event: await this.PaymentEvent.markStatus(event.payment_event_id, IGNORED, { error: error.message }),
+          payment
+        };
+      }
+
+      await this.PaymentEvent.markStatus(event.payment_event_id, FAILED, { error: error.message });
+      throw error;
     }
+  }
+
+  /**
+   * Apply a provider result to a pending payment. Results that are still in
+   * progress change nothing, and so does a result the payment was already settled with.
+   * When another request settled the payment first, its current row is returned
+   * (or, with strict, the conflict is raised).
+   */
+  async settlePayment(payment, result, { strict = false } = {}) {
+    const status = paymentGateway.paymentStatusFor(result.status);
+    if (!status || (!strict && status === payment.status)) return payment;
 
-    // Get specific payment
-    async getPayment(req, res) {
-        // TODO: Implement get payment logic
-        res.status(501).json({ message: 'Get payment endpoint not implemented yet' });
+    const fields = status === constants.PAYMENT_STATUS.COMPLETED
+      ? { completed_at: new Date().toISOString(), failure_reason: null }
+      : { failure_reason: result.failure_reason || 'payment_failed' };
+
+    let settled;
+    try {
+      settled = await this.Payment.transition(payment, status, fields);
+    } catch (error) {
+      if (strict || !(error instanceof ConflictError)) throw error;
+      return this.Payment.findById(payment.payment_id);
     }
 
-    // Create new payment
-    async createPayment(req, res) {
-        // TODO: Implement create payment logic
-        res.status(501).json({ message: 'Create payment endpoint not implemented yet' });
+    if (status === constants.PAYMENT_STATUS.COMPLETED) {
+      return this.advanceOrder(settled);
     }
+    return settled;
+  }
+
+  /**
+   * Move the paid order from pending to processing. Money that arrives for an
+   * order cancelled in the meantime is refunded.
+   */
+  async advanceOrder(payment) {
+    const order = await this.Order.findById(payment.order_id);
 
-    // Update payment status
-    async updatePaymentStatus(req, res) {
-        // TODO: Implement update payment status logic
-        res.status(501).json({ message: 'Update payment status endpoint not implemented yet' });
+    if (order.status === constants.ORDER_STATUS.PENDING) {
+      try {
+        await this.Order.updateStatus(order.order_id, constants.ORDER_STATUS.PROCESSING, {
+          note: `Payment ${payment.payment_id} completed`
+        });
+        return payment;
+      } catch (error) {
+        if (!(error instanceof ConflictError)) throw error;
+      }
     }
 
-    // Process payment
-    async processPayment(req, res) {
-        // TODO: Implement process payment logic
-        res.status(501).json({ message: 'Process payment endpoint not implemented yet' });
+    const current = await this.Order.findById(payment.order_id);
+    if (current.status === constants.ORDER_STATUS.CANCELLED) {
+      await this.Refund.issue(payment, { full: true, reason: 'order_cancelled' });
+      return this.Payment.findById(payment.payment_id);
     }
+
+    return payment;
+  }
+
+  /**
+   * Statement lines ready to store: each with its fingerprint, the payment reference
+   * found in its memo and whether it settles that payment. Lines repeated within the
+   * file are kept once, and a payment is only settled by the first exact transfer.
+   */
+  async classifyStatementLines(lines) {
+    const provider = paymentGateway.getProvider(constants.PAYMENT_CONFIG.METHOD_PROVIDERS.bank_transfer);
+    const seen = new Set();
+    const unique = lines
+      .map(line => ({ ...line, fingerprint: reconciliation.fingerprint(line) }))
+      .filter(line => !seen.has(line.fingerprint) && seen.add(line.fingerprint));
+
+    const references = unique.map(line => provider.extractReferences(line.description));
+    const payments = await this.Payment.findByReferences(provider.name, [...new Set(references.flat())]);
+    const byReference = new Map(payments.map(payment => [payment.transaction_id, payment]));
+    const claimed = new Set();
+
+    return unique.map((line, index) => {
+      const reference = references[index].find(candidate => byReference.has(candidate)) || references[index][0] || null;
+      const payment = byReference.get(reference) || null;
+      const result = reconciliation.classify(line, payment, payment && claimed.has(payment.payment_id));
+
+      if (result.status === constants.BANK_STATEMENT_LINE_STATUS.MATCHED) {
+        claimed.add(payment.payment_id);
+      }
+
+      return {
+        ...line,
+        ...result,
+        matched_reference: reference,
+        payment_id: payment ? payment.payment_id : null
+      };
+    });
+  }
+
+  /**
+   * Settle the payment of a matched line. When the payment was settled some other
+   * way since the statement was read, the line goes to review instead.
+   */
+  async settleStatementLine(line) {
+    let settled = null;
+    try {
+      const payment = await this.Payment.findById(line.payment_id);
+      if (payment && payment.status === constants.PAYMENT_STATUS.PENDING) {
+        settled = await this.settlePayment(payment, { status: constants.PAYMENT_INTENT_STATUS.SUCCEEDED });
+      }
+    } catch (error) {
+      if (!(error instanceof BusinessLogicError)) throw error;
+    }
+
+    if (settled && settled.completed_at) return line;
+
+    return (await this.BankStatement.updateLine(line.line_id, {
+      status: constants.BANK_STATEMENT_LINE_STATUS.NEEDS_REVIEW,
+      review_reason: constants.RECONCILIATION_REVIEW_REASONS.PAYMENT_NOT_PENDING
+    }, constants.BANK_STATEMENT_LINE_STATUS.MATCHED)) || line;
+  }
+
+  isValidRefundItem(item) {
+    if (!item || !Number.isInteger(item.order_item_id) || item.order_item_id < 1) return false;
+
+    const quantity = item.quantity ?? 0;
+    const amount = item.amount ?? null;
+    if (!Number.isInteger(quantity) || quantity < 0) return false;
+    if (amount !== null && (typeof amount !== 'number' || amount < 0)) return false;
+
+    return quantity > 0 || amount > 0;
+  }
+
+  // YYYY-MM-DD of a moment in a time zone
+  localDate(date, timeZone) {
+    return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+  }
+
+  /**
+   * Run a provider call for a payment. Provider failures fail the pending
+   * payment (so the order can be paid again) and surface as 502.
+   */
+  async callProvider(payment, call) {
+    const provider = paymentGateway.getProvider(payment.provider);
+
+    try {
+      return await call(provider);
+    } catch (error) {
+      await this.Payment.updateStatus(
+        payment.payment_id,
+        constants.PAYMENT_STATUS.FAILED,
+        constants.PAYMENT_STATUS.PENDING,
+        { failure_reason: 'provider_error' }
+      );
+      throw new ExternalServiceError(provider.name, error.message);
+    }
+  }
+
+  /**
+   * Order the user may pay or see payments of (owner or seller).
+   * Other customers' orders are reported as not found rather than forbidden.
+   */
+  async loadAccessibleOrder(user, orderId) {
+    const order = await this.Order.findById(orderId);
+
+    if (!order || (!STAFF_ROLES.includes(user.role) && order.user_id !== user.id)) {
+      throw new NotFoundError(`Order ${orderId}`);
+    }
+
+    return order;
+  }
+
+  /**
+   * Payment of the :id route parameter the current user may see
+   */
+  async loadAccessiblePayment(req) {
+    const user = this.requireAuth(req);
+    const paymentId = parseInt(req.params.id);
+
+    this.validateRequest(
+      { id: paymentId },
+      {
+        id: {
+          required: true,
+          type: 'integer',
+          min: 1
+        }
+      }
+    );
+
+    const payment = await this.Payment.findById(paymentId);
+    if (!payment) {
+      throw new NotFoundError(`Payment ${paymentId}`);
+    }
+
+    await this.loadAccessibleOrder(user, payment.order_id).catch(() => {
+      throw new NotFoundError(`Payment ${paymentId}`);
+    });
+
+    return payment;
+  }
 }
 
 export default PaymentController;
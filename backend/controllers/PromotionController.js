@@ -0,0 +1,274 @@
+// backend/controllers/PromotionController.js
+// 🏷️ Promotion Controller - coupons and automatic promotions (Seller only)
+// Promotions are applied by the cart and checkout; see backend/utils/promotions.js.
+
+import BaseController from '../utils/BaseController.js';
+import constants, { STAFF_ROLES } from '../../config/constants.js';
+import promotionUtils from '../utils/promotions.js';
+import { NotFoundError, ValidationError } from '../utils/ErrorClasses.js';
+
+// Columns a seller may write
+const PROMOTION_FIELDS = [
+  'name', 'description', 'code', 'action_type', 'action_value', 'buy_quantity', 'get_quantity',
+  'min_subtotal', 'category_ids', 'shoe_ids', 'variant_ids', 'first_order_only', 'customer_segments',
+  'usage_limit', 'usage_limit_per_customer', 'priority', 'starts_at', 'ends_at', 'is_active'
+];
+
+const integerList = field => value => (
+  !Array.isArray(value) || value.every(id => Number.isInteger(id) && id > 0) ? null : `${field} must contain positive integers`
+);
+
+class PromotionController extends BaseController {
+  constructor() {
+    super();
+    this.Promotion = null;
+  }
+
+  setModels(models) {
+    this.Promotion = models.Promotion;
+  }
+
+  /**
+   * GET /api/promotions
+   * List promotions (?is_active=true|false, ?kind=coupon|automatic)
+   */
+  async getPromotions(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        this.requireRole(req, STAFF_ROLES);
+        const pagination = this.getPaginationParams(req);
+        const { is_active, kind } = req.query;
+
+        if (kind && !['coupon', 'automatic'].includes(kind)) {
+          this.sendError(res, 'kind must be one of: coupon, automatic', constants.HTTP_STATUS.BAD_REQUEST);
+          return;
+        }
+
+        const result = await this.Promotion.findAll({
+          isActive: is_active === undefined ? undefined : is_active === 'true',
+          kind,
+          page: pagination.page,
+          limit: pagination.limit
+        });
+
+        this.sendPaginatedResponse(
+          res,
+          result,
+          pagination,
+          'Promotions fetched successfully'
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * GET /api/promotions/:id
+   * Get a promotion
+   */
+  async getPromotion(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        this.requireRole(req, STAFF_ROLES);
+        const promotion = await this.loadPromotion(req);
+
+        this.sendResponse(
+          res,
+          promotion,
+          'Promotion fetched successfully'
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * POST /api/promotions
+   * Create a coupon (with code) or an automatic promotion (without)
+   */
+  async createPromotion(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const user = this.requireRole(req, STAFF_ROLES);
+        const data = this.pickFields(req.body);
+
+        // Buy X get Y gives the Y units away unless a percentage is set
+        if (data.action_type === constants.PROMOTION_ACTIONS.BUY_X_GET_Y && data.action_value === undefined) {
+          data.action_value = 100;
+        }
+
+        this.validateRequest(data, this.getValidationRules(true));
+        this.validateCombination(data);
+
+        const promotion = await this.Promotion.createPromotion({ ...data, created_by: user.id });
+
+        this.sendResponse(
+          res,
+          promotion,
+          constants.SUCCESS_MESSAGES.PROMOTION.CREATED,
+          constants.HTTP_STATUS.CREATED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * PUT /api/promotions/:id
+   * Update a promotion. Orders already placed keep the discount they got.
+   */
+  async updatePromotion(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        this.requireRole(req, STAFF_ROLES);
+        const current = await this.loadPromotion(req);
+        const updates = this.pickFields(req.body);
+
+        this.validateRequest(updates, this.getValidationRules(false));
+        this.validateCombination({ ...current, ...updates });
+
+        const promotion = await this.Promotion.updatePromotion(current.promotion_id, updates);
+
+        this.sendResponse(
+          res,
+          promotion,
+          constants.SUCCESS_MESSAGES.PROMOTION.UPDATED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * DELETE /api/promotions/:id
+   * Deactivate a promotion (redemptions keep referencing it)
+   */
+  async deactivatePromotion(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        this.requireRole(req, STAFF_ROLES);
+        const current = await this.loadPromotion(req);
+
+        const promotion = await this.Promotion.updatePromotion(current.promotion_id, { is_active: false });
+
+        this.sendResponse(
+          res,
+          promotion,
+          constants.SUCCESS_MESSAGES.PROMOTION.DEACTIVATED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Promotion of the :id route parameter, or NotFound
+   */
+  async loadPromotion(req) {
+    const promotionId = parseInt(req.params.id);
+
+    this.validateRequest(
+      { id: promotionId },
+      {
+        id: {
+          required: true,
+          type: 'integer',
+          min: 1
+        }
+      }
+    );
+
+    const promotion = await this.Promotion.findById(promotionId);
+    if (!promotion) {
+      throw new NotFoundError('Promotion');
+    }
+
+    return promotion;
+  }
+
+  pickFields(body = {}) {
+    return Object.fromEntries(
+      Object.entries(body).filter(([field]) => PROMOTION_FIELDS.includes(field))
+    );
+  }
+
+  getValidationRules(creating) {
+    return {
+      name: { required: creating, type: 'string', minLength: 2, maxLength: 100 },
+      description: { required: false, type: 'string', maxLength: 1000 },
+      code: {
+        required: false,
+        type: 'string',
+        custom: value => (
+          constants.PROMOTION_CONFIG.CODE_PATTERN.test(promotionUtils.normalizeCode(value))
+            ? null
+            : constants.ERROR_MESSAGES.PROMOTION.INVALID_CODE
+        )
+      },
+      action_type: { required: creating, type: 'string', enum: Object.values(constants.PROMOTION_ACTIONS) },
+      action_value: { required: false, type: 'number', min: 0 },
+      buy_quantity: { required: false, type: 'integer', min: 1 },
+      get_quantity: { required: false, type: 'integer', min: 1 },
+      min_subtotal: { required: false, type: 'number', min: 0 },
+      category_ids: { required: false, type: 'array', custom: integerList('category_ids') },
+      shoe_ids: { required: false, type: 'array', custom: integerList('shoe_ids') },
+      variant_ids: { required: false, type: 'array', custom: integerList('variant_ids') },
+      first_order_only: { required: false, type: 'boolean' },
+      customer_segments: {
+        required: false,
+        type: 'array',
+        custom: value => (
+          !Array.isArray(value) || value.every(segment => Object.values(constants.CUSTOMER_SEGMENTS).includes(segment))
+            ? null
+            : `customer_segments must contain: ${Object.values(constants.CUSTOMER_SEGMENTS).join(', ')}`
+        )
+      },
+      usage_limit: { required: false, type: 'integer', min: 1 },
+      usage_limit_per_customer: { required: false, type: 'integer', min: 1 },
+      priority: { required: false, type: 'integer' },
+      starts_at: { required: false, type: 'date' },
+      ends_at: { required: false, type: 'date' },
+      is_active: { required: false, type: 'boolean' }
+    };
+  }
+
+  /**
+   * Rules that span several fields (mirrors the CHECK constraints of promotions)
+   */
+  validateCombination(promotion) {
+    const errors = [];
+    const value = Number(promotion.action_value || 0);
+
+    switch (promotion.action_type) {
+      case constants.PROMOTION_ACTIONS.PERCENT_OFF:
+        if (value <= 0 || value > 100) errors.push('action_value must be a percentage between 0 and 100');
+        break;
+      case constants.PROMOTION_ACTIONS.FIXED_OFF:
+        if (value <= 0) errors.push('action_value must be the amount taken off');
+        break;
+      case constants.PROMOTION_ACTIONS.BUY_X_GET_Y:
+        if (!promotion.buy_quantity || !promotion.get_quantity) {
+          errors.push('buy_quantity and get_quantity are required for buy_x_get_y');
+        }
+        if (value > 100) errors.push('action_value must be a percentage of at most 100 (100 = free)');
+        break;
+      default:
+        break;
+    }
+
+    if (promotion.starts_at && promotion.ends_at && new Date(promotion.ends_at) <= new Date(promotion.starts_at)) {
+      errors.push('ends_at must be after starts_at');
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError('Validation failed', errors);
+    }
+  }
+}
+
+export default PromotionController;
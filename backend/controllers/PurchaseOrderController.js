@@ -0,0 +1,476 @@
+// backend/controllers/PurchaseOrderController.js
+// 🧾 Purchase Order Controller - stock ordered from suppliers (Seller only)
+// Drafts are approved, sent to the supplier and received in one or more receipts.
+// Every receipt line is an import: stock, average cost and movements follow from it.
+
+import BaseController from '../utils/BaseController.js';
+import constants, { STAFF_ROLES } from '../../config/constants.js';
+import { BusinessLogicError, NotFoundError, ValidationError } from '../utils/ErrorClasses.js';
+
+class PurchaseOrderController extends BaseController {
+  constructor() {
+    super();
+    this.PurchaseOrder = null;
+    this.Supplier = null;
+    this.ShoeVariant = null;
+    this.StockLocation = null;
+  }
+
+  setModels(models) {
+    this.PurchaseOrder = models.PurchaseOrder;
+    this.Supplier = models.Supplier;
+    this.ShoeVariant = models.ShoeVariant;
+    this.StockLocation = models.StockLocation;
+  }
+
+  /**
+   * GET /api/purchase-orders
+   * Purchase orders with their unit and cost totals, newest first
+   * (?status= a status or "open", ?supplier_id=)
+   */
+  async getPurchaseOrders(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        this.requireRole(req, STAFF_ROLES);
+        const pagination = this.getPaginationParams(req, { sort: 'po_id' });
+        const filters = {
+          status: req.query.status,
+          supplier_id: req.query.supplier_id ? parseInt(req.query.supplier_id) : undefined
+        };
+
+        this.validateRequest(filters, {
+          status: { required: false, type: 'string', enum: [...Object.values(constants.PURCHASE_ORDER_STATUS), 'open'] },
+          supplier_id: { required: false, type: 'integer', min: 1 }
+        });
+
+        const result = await this.PurchaseOrder.findAll({
+          status: filters.status,
+          supplierId: filters.supplier_id,
+          page: pagination.page,
+          limit: pagination.limit
+        });
+
+        this.sendPaginatedResponse(
+          res,
+          result,
+          pagination,
+          constants.SUCCESS_MESSAGES.PURCHASE_ORDER.FETCHED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * GET /api/purchase-orders/incoming
+   * Units ordered but not yet received per variant on open purchase orders,
+   * with the earliest expected date (?variant_id=1,2,3 to limit the variants)
+   */
+  async getIncoming(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        this.requireRole(req, STAFF_ROLES);
+        const variantIds = req.query.variant_id
+          ? String(req.query.variant_id).split(',').map(id => parseInt(id))
+          : null;
+
+        this.validateRequest({ variant_id: variantIds }, {
+          variant_id: {
+            required: false,
+            type: 'array',
+            maxItems: 500,
+            custom: ids => (!Array.isArray(ids) || ids.every(id => Number.isInteger(id) && id >= 1)
+              ? null
+              : 'variant_id must be a comma separated list of variant IDs')
+          }
+        });
+
+        this.sendResponse(
+          res,
+          await this.PurchaseOrder.findIncoming(variantIds),
+          constants.SUCCESS_MESSAGES.PURCHASE_ORDER.INCOMING_FETCHED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * GET /api/purchase-orders/:id
+   * Get a purchase order with its lines and the imports received on each
+   */
+  async getPurchaseOrder(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        this.requireRole(req, STAFF_ROLES);
+        const poId = this.parsePurchaseOrderId(req);
+
+        this.sendResponse(
+          res,
+          await this.PurchaseOrder.findWithLines(poId),
+          'Purchase order fetched successfully'
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * POST /api/purchase-orders
+   * Draft a purchase order for a supplier:
+   * { supplier_id, location_id, expected_date, notes, items: [{ variant_id, quantity_ordered, expected_cost }] }.
+   * Receipts go to location_id, the default location when omitted.
+   */
+  async createPurchaseOrder(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const user = this.requireRole(req, STAFF_ROLES);
+        const body = req.body || {};
+
+        this.validateRequest(body, this.getValidationRules(true));
+        await this.assertLines(body.items);
+        await this.assertActiveSupplier(body.supplier_id);
+        if (body.location_id) {
+          await this.assertActiveLocation(body.location_id);
+        }
+
+        const purchaseOrder = await this.PurchaseOrder.save(null, {
+          supplier_id: body.supplier_id,
+          location_id: body.location_id || null,
+          expected_date: body.expected_date || null,
+          notes: body.notes || null,
+          created_by: user.id
+        }, this.toLines(body.items));
+
+        this.sendResponse(
+          res,
+          await this.PurchaseOrder.findWithLines(purchaseOrder.po_id),
+          constants.SUCCESS_MESSAGES.PURCHASE_ORDER.CREATED,
+          constants.HTTP_STATUS.CREATED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * PUT /api/purchase-orders/:id
+   * Edit a draft: supplier_id, location_id, expected_date, notes, and items to replace all lines
+   */
+  async updatePurchaseOrder(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        this.requireRole(req, STAFF_ROLES);
+        const poId = this.parsePurchaseOrderId(req);
+        const body = req.body || {};
+
+        this.validateRequest(body, this.getValidationRules(false));
+        if (body.items !== undefined) {
+          await this.assertLines(body.items);
+        }
+        if (body.supplier_id !== undefined) {
+          await this.assertActiveSupplier(body.supplier_id);
+        }
+        if (body.location_id) {
+          await this.assertActiveLocation(body.location_id);
+        }
+
+        const fields = Object.fromEntries(
+          ['supplier_id', 'location_id', 'expected_date', 'notes']
+            .filter(field => body[field] !== undefined)
+            .map(field => [field, body[field] === '' ? null : body[field]])
+        );
+
+        await this.PurchaseOrder.save(poId, fields, body.items !== undefined ? this.toLines(body.items) : null);
+
+        this.sendResponse(
+          res,
+          await this.PurchaseOrder.findWithLines(poId),
+          constants.SUCCESS_MESSAGES.PURCHASE_ORDER.UPDATED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * PUT /api/purchase-orders/:id/approve
+   * Approve a draft; its open quantities count as incoming stock from now on
+   */
+  async approvePurchaseOrder(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const user = this.requireRole(req, STAFF_ROLES);
+        const purchaseOrder = await this.loadPurchaseOrder(req);
+
+        await this.PurchaseOrder.transition(purchaseOrder, constants.PURCHASE_ORDER_STATUS.APPROVED, {
+          approved_by: user.id,
+          approved_at: new Date().toISOString()
+        });
+
+        this.sendResponse(
+          res,
+          await this.PurchaseOrder.findWithLines(purchaseOrder.po_id),
+          constants.SUCCESS_MESSAGES.PURCHASE_ORDER.APPROVED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * PUT /api/purchase-orders/:id/send
+   * Mark an approved purchase order as sent to the supplier; it can then be received
+   */
+  async sendPurchaseOrder(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        this.requireRole(req, STAFF_ROLES);
+        const purchaseOrder = await this.loadPurchaseOrder(req);
+
+        await this.PurchaseOrder.transition(purchaseOrder, constants.PURCHASE_ORDER_STATUS.SENT, {
+          sent_at: new Date().toISOString()
+        });
+
+        this.sendResponse(
+          res,
+          await this.PurchaseOrder.findWithLines(purchaseOrder.po_id),
+          constants.SUCCESS_MESSAGES.PURCHASE_ORDER.SENT
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * PUT /api/purchase-orders/:id/cancel
+   * Cancel a purchase order. Units already received stay in stock,
+   * the rest no longer counts as incoming.
+   */
+  async cancelPurchaseOrder(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        this.requireRole(req, STAFF_ROLES);
+        const purchaseOrder = await this.loadPurchaseOrder(req);
+
+        await this.PurchaseOrder.transition(purchaseOrder, constants.PURCHASE_ORDER_STATUS.CANCELLED, {
+          cancelled_at: new Date().toISOString()
+        });
+
+        this.sendResponse(
+          res,
+          await this.PurchaseOrder.findWithLines(purchaseOrder.po_id),
+          constants.SUCCESS_MESSAGES.PURCHASE_ORDER.CANCELLED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * POST /api/purchase-orders/:id/receipts
+   * Receive (part of) a sent purchase order: items [{ po_line_id or variant_id, quantity, import_price }],
+   * import_price defaulting to the line's expected cost. Each line is recorded as an import.
+   */
+  async receivePurchaseOrder(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const user = this.requireRole(req, STAFF_ROLES);
+        const purchaseOrder = await this.PurchaseOrder.findWithLines(this.parsePurchaseOrderId(req));
+
+        this.validateRequest(req.body || {}, {
+          items: {
+            required: true,
+            type: 'array',
+            minItems: 1,
+            maxItems: 200
+          },
+          note: {
+            required: false,
+            type: 'string',
+            maxLength: 500
+          }
+        });
+
+        for (const item of req.body.items) {
+          this.validateRequest(item || {}, {
+            po_line_id: {
+              required: !item?.variant_id,
+              type: 'integer',
+              min: 1
+            },
+            variant_id: {
+              required: false,
+              type: 'integer',
+              min: 1
+            },
+            quantity: {
+              required: true,
+              type: 'integer',
+              min: 1
+            },
+            import_price: {
+              required: false,
+              type: 'number',
+              custom: value => (value >= 0 ? null : 'import_price must be at least 0')
+            }
+          });
+        }
+
+        // Scanned variants are matched to their line
+        const lineByVariant = new Map(
+          (purchaseOrder.purchase_order_lines || []).map(line => [line.variant_id, line.po_line_id])
+        );
+        const items = req.body.items.map(item => ({
+          po_line_id: item.po_line_id ?? lineByVariant.get(item.variant_id) ?? null,
+          quantity: item.quantity,
+          import_price: item.import_price ?? null
+        }));
+
+        const unknown = req.body.items.filter((item, index) => items[index].po_line_id === null);
+        if (unknown.length > 0) {
+          throw new BusinessLogicError(constants.ERROR_MESSAGES.PURCHASE_ORDER.RECEIPT_EXCEEDS_ORDERED,
+            unknown.map(item => ({ variant_id: item.variant_id, remaining: 0 })));
+        }
+
+        const received = await this.PurchaseOrder.receive(purchaseOrder.po_id, items, user.id, req.body.note || null);
+
+        this.sendResponse(
+          res,
+          await this.PurchaseOrder.findWithLines(purchaseOrder.po_id),
+          received.status === constants.PURCHASE_ORDER_STATUS.RECEIVED
+            ? constants.SUCCESS_MESSAGES.PURCHASE_ORDER.RECEIVED
+            : constants.SUCCESS_MESSAGES.PURCHASE_ORDER.PARTIALLY_RECEIVED,
+          constants.HTTP_STATUS.CREATED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * ID of the :id route parameter
+   */
+  parsePurchaseOrderId(req) {
+    const poId = parseInt(req.params.id);
+
+    this.validateRequest(
+      { id: poId },
+      {
+        id: {
+          required: true,
+          type: 'integer',
+          min: 1
+        }
+      }
+    );
+
+    return poId;
+  }
+
+  /**
+   * Purchase order of the :id route parameter, or NotFound
+   */
+  async loadPurchaseOrder(req) {
+    const poId = this.parsePurchaseOrderId(req);
+
+    const purchaseOrder = await this.PurchaseOrder.findById(poId);
+    if (!purchaseOrder) {
+      throw new NotFoundError(`Purchase order ${poId}`);
+    }
+
+    return purchaseOrder;
+  }
+
+  /**
+   * Lines need an existing variant each, at most once per purchase order
+   */
+  async assertLines(items) {
+    for (const item of items) {
+      this.validateRequest(item || {}, {
+        variant_id: {
+          required: true,
+          type: 'integer',
+          min: 1
+        },
+        quantity_ordered: {
+          required: true,
+          type: 'integer',
+          min: 1
+        },
+        expected_cost: {
+          required: true,
+          type: 'number',
+          custom: value => (value >= 0 ? null : 'expected_cost must be at least 0')
+        }
+      });
+    }
+
+    const variantIds = items.map(item => item.variant_id);
+    const duplicates = variantIds.filter((id, index) => variantIds.indexOf(id) !== index);
+    if (duplicates.length > 0) {
+      throw new ValidationError(constants.ERROR_MESSAGES.PURCHASE_ORDER.DUPLICATE_VARIANT, [
+        { field: 'items', message: `Variant ${[...new Set(duplicates)].join(', ')} is on more than one line` }
+      ]);
+    }
+
+    const known = new Set((await this.ShoeVariant.findByIds(variantIds)).map(variant => variant.variant_id));
+    const missing = variantIds.filter(id => !known.has(id));
+    if (missing.length > 0) {
+      throw new NotFoundError(`Variant ${missing.join(', ')}`);
+    }
+  }
+
+  async assertActiveSupplier(supplierId) {
+    const supplier = await this.Supplier.findById(supplierId);
+    if (!supplier) {
+      throw new NotFoundError('Supplier');
+    }
+    if (!supplier.is_active) {
+      throw new BusinessLogicError(constants.ERROR_MESSAGES.SUPPLIER.INACTIVE, {
+        supplier_id: supplier.supplier_id
+      });
+    }
+  }
+
+  async assertActiveLocation(locationId) {
+    const location = await this.StockLocation.findById(locationId);
+    if (!location) {
+      throw new NotFoundError('Location');
+    }
+    if (!location.is_active) {
+      throw new BusinessLogicError(constants.ERROR_MESSAGES.LOCATION.INACTIVE, {
+        location_id: location.location_id
+      });
+    }
+  }
+
+  toLines(items) {
+    return items.map(item => ({
+      variant_id: item.variant_id,
+      quantity_ordered: item.quantity_ordered,
+      expected_cost: item.expected_cost
+    }));
+  }
+
+  getValidationRules(creating) {
+    return {
+      supplier_id: { required: creating, type: 'integer', min: 1 },
+      location_id: { required: false, type: 'integer', min: 1 },
+      expected_date: { required: false, type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/ },
+      notes: { required: false, type: 'string', maxLength: 1000 },
+      items: { required: creating, type: 'array', minItems: 1, maxItems: 200 }
+    };
+  }
+}
+
+export default PurchaseOrderController;
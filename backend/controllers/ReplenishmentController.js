@@ -0,0 +1,204 @@
+// backend/controllers/ReplenishmentController.js
+// 📈 Replenishment Controller - reorder suggestions from sales velocity (Seller only)
+// Suggestions weigh each variant's recent sales against its stock, incoming units and
+// the lead time of its supplier, and can be turned into draft purchase orders.
+
+import BaseController from '../utils/BaseController.js';
+import constants, { STAFF_ROLES } from '../../config/constants.js';
+import replenishment from '../utils/replenishment.js';
+import { BusinessLogicError, NotFoundError, ValidationError } from '../utils/ErrorClasses.js';
+
+class ReplenishmentController extends BaseController {
+  constructor() {
+    super();
+    this.ShoeVariant = null;
+    this.PurchaseOrder = null;
+    this.StockLocation = null;
+  }
+
+  setModels(models) {
+    this.ShoeVariant = models.ShoeVariant;
+    this.PurchaseOrder = models.PurchaseOrder;
+    this.StockLocation = models.StockLocation;
+  }
+
+  /**
+   * GET /api/replenishment
+   * Reorder suggestions for active variants, the ones running out soonest first
+   * (?window_days= sales window, ?target_cover_days=, ?needs_reorder=true|false,
+   * ?supplier_id=, ?category_id=, ?shoe_id=)
+   */
+  async getSuggestions(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        this.requireRole(req, STAFF_ROLES);
+        const options = this.parseOptions(req.query);
+        const filters = {
+          supplier_id: req.query.supplier_id ? parseInt(req.query.supplier_id) : undefined,
+          category_id: req.query.category_id ? parseInt(req.query.category_id) : undefined,
+          shoe_id: req.query.shoe_id ? parseInt(req.query.shoe_id) : undefined
+        };
+
+        this.validateRequest(filters, {
+          supplier_id: { required: false, type: 'integer', min: 1 },
+          category_id: { required: false, type: 'integer', min: 1 },
+          shoe_id: { required: false, type: 'integer', min: 1 }
+        });
+
+        const suggestions = (await this.loadSuggestions(options)).filter(suggestion =>
+          (!filters.supplier_id || suggestion.supplier_id === filters.supplier_id) &&
+          (!filters.category_id || suggestion.category_id === filters.category_id) &&
+          (!filters.shoe_id || suggestion.shoe_id === filters.shoe_id) &&
+          (req.query.needs_reorder === undefined || suggestion.needs_reorder === (req.query.needs_reorder === 'true'))
+        );
+
+        this.sendResponse(
+          res,
+          {
+            window_days: options.windowDays,
+            target_cover_days: options.targetCoverDays,
+            summary: replenishment.summarize(suggestions),
+            suggestions
+          },
+          constants.SUCCESS_MESSAGES.REPLENISHMENT.FETCHED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * POST /api/replenishment/purchase-orders
+   * Draft one purchase order per supplier from the suggestions:
+   * { window_days, target_cover_days, location_id, items: [{ variant_id, quantity }] }.
+   * Without items every variant that needs reordering is ordered at its suggested quantity;
+   * lines are costed at the supplier's last import price (else the average cost).
+   */
+  async createPurchaseOrders(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const user = this.requireRole(req, STAFF_ROLES);
+        const body = req.body || {};
+        const options = this.parseOptions(body);
+
+        this.validateRequest(body, {
+          location_id: { required: false, type: 'integer', min: 1 },
+          items: { required: false, type: 'array', minItems: 1, maxItems: 500 }
+        });
+
+        for (const item of body.items || []) {
+          this.validateRequest(item || {}, {
+            variant_id: { required: true, type: 'integer', min: 1 },
+            quantity: { required: false, type: 'integer', min: 1 }
+          });
+        }
+
+        const variantIds = body.items ? body.items.map(item => item.variant_id) : null;
+        if (variantIds && new Set(variantIds).size !== variantIds.length) {
+          throw new ValidationError(constants.ERROR_MESSAGES.PURCHASE_ORDER.DUPLICATE_VARIANT, [
+            { field: 'items', message: constants.ERROR_MESSAGES.PURCHASE_ORDER.DUPLICATE_VARIANT }
+          ]);
+        }
+
+        if (body.location_id) {
+          const location = await this.StockLocation.findById(body.location_id);
+          if (!location) {
+            throw new NotFoundError('Location');
+          }
+          if (!location.is_active) {
+            throw new BusinessLogicError(constants.ERROR_MESSAGES.LOCATION.INACTIVE, {
+              location_id: location.location_id
+            });
+          }
+        }
+
+        const suggestions = await this.loadSuggestions(options, variantIds);
+        const byVariant = new Map(suggestions.map(suggestion => [suggestion.variant_id, suggestion]));
+
+        const missing = (variantIds || []).filter(id => !byVariant.has(id));
+        if (missing.length > 0) {
+          throw new NotFoundError(`Variant ${missing.join(', ')}`);
+        }
+
+        const lines = body.items
+          ? body.items.map(item => ({
+            ...byVariant.get(item.variant_id),
+            suggested_quantity: item.quantity ?? byVariant.get(item.variant_id).suggested_quantity
+          }))
+          : suggestions;
+        const toOrder = lines.filter(line => line.suggested_quantity > 0);
+
+        if (toOrder.length === 0) {
+          throw new BusinessLogicError(constants.ERROR_MESSAGES.REPLENISHMENT.NOTHING_TO_ORDER);
+        }
+
+        const withoutSupplier = toOrder.filter(line => !line.supplier_id);
+        if (withoutSupplier.length > 0) {
+          throw new BusinessLogicError(constants.ERROR_MESSAGES.REPLENISHMENT.NO_SUPPLIER, {
+            variant_ids: withoutSupplier.map(line => line.variant_id)
+          });
+        }
+
+        const bySupplier = new Map();
+        for (const line of toOrder) {
+          if (!bySupplier.has(line.supplier_id)) bySupplier.set(line.supplier_id, []);
+          bySupplier.get(line.supplier_id).push(line);
+        }
+
+        // One transaction per purchase order: a failure leaves the drafts saved so far
+        const purchaseOrders = [];
+        for (const [supplierId, supplierLines] of bySupplier) {
+          const purchaseOrder = await this.PurchaseOrder.save(null, {
+            supplier_id: supplierId,
+            location_id: body.location_id || null,
+            expected_date: null,
+            notes: `Reorder suggestion: ${options.windowDays}-day sales, ${options.targetCoverDays} days of cover`,
+            created_by: user.id
+          }, supplierLines.map(line => ({
+            variant_id: line.variant_id,
+            quantity_ordered: line.suggested_quantity,
+            expected_cost: line.unit_cost ?? 0
+          })));
+
+          purchaseOrders.push(await this.PurchaseOrder.findWithLines(purchaseOrder.po_id));
+        }
+
+        this.sendResponse(
+          res,
+          purchaseOrders,
+          constants.SUCCESS_MESSAGES.REPLENISHMENT.ORDERED,
+          constants.HTTP_STATUS.CREATED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Sales window and target cover of a request, defaulting to REPLENISHMENT_CONFIG
+   */
+  parseOptions(source = {}) {
+    const options = {
+      window_days: source.window_days !== undefined ? parseInt(source.window_days) : constants.REPLENISHMENT_CONFIG.VELOCITY_WINDOW,
+      target_cover_days: source.target_cover_days !== undefined
+        ? parseInt(source.target_cover_days)
+        : constants.REPLENISHMENT_CONFIG.TARGET_COVER_DAYS
+    };
+
+    this.validateRequest(options, {
+      window_days: { required: true, type: 'integer', min: 1, max: constants.REPLENISHMENT_CONFIG.MAX_DAYS },
+      target_cover_days: { required: true, type: 'integer', min: 1, max: constants.REPLENISHMENT_CONFIG.MAX_DAYS }
+    });
+
+    return { windowDays: options.window_days, targetCoverDays: options.target_cover_days };
+  }
+
+  async loadSuggestions(options, variantIds = null) {
+    const rows = await this.ShoeVariant.findReplenishmentData(replenishment.windows(options.windowDays), variantIds);
+    return replenishment.suggestAll(rows, options);
+  }
+}
+
+export default ReplenishmentController;
@@ -0,0 +1,155 @@
+// backend/controllers/ReservationController.js
+// ⏳ Reservation Controller - cart stock holds
+// Holds belong to the signed-in user or, for guests, to the X-Cart-Token header
+// of an existing server-side cart
+
+import BaseController from '../utils/BaseController.js';
+import constants from '../../config/constants.js';
+import stockUtils from '../utils/stock.js';
+import { ValidationError } from '../utils/ErrorClasses.js';
+
+class ReservationController extends BaseController {
+  constructor() {
+    super();
+    this.StockReservation = null;
+    this.Cart = null;
+  }
+
+  setModels(models) {
+    this.StockReservation = models.StockReservation;
+    this.Cart = models.Cart;
+  }
+
+  /**
+   * GET /api/reservations
+   * Active holds of the current cart
+   */
+  async getReservations(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const holderKey = this.requireHolderKey(req);
+        const reservations = await this.StockReservation.findActiveByHolder(holderKey);
+
+        this.sendResponse(
+          res,
+          reservations,
+          'Reservations fetched successfully'
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * PUT /api/reservations/:variantId
+   * Hold (or resize the hold on) a variant for the current cart
+   */
+  async reserveVariant(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const holderKey = await this.requireCartHolderKey(req);
+        const { variantId } = req.params;
+
+        this.validateRequest(
+          { ...req.body, variant_id: parseInt(variantId) },
+          {
+            variant_id: {
+              required: true,
+              type: 'integer',
+              min: 1
+            },
+            quantity: {
+              required: true,
+              type: 'integer',
+              min: 1,
+              max: constants.STOCK_RESERVATION.MAX_QUANTITY
+            }
+          }
+        );
+
+        const reservation = await this.StockReservation.reserve(
+          parseInt(variantId),
+          holderKey,
+          req.body.quantity
+        );
+
+        this.sendResponse(
+          res,
+          reservation,
+          constants.SUCCESS_MESSAGES.RESERVATION.HELD
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * DELETE /api/reservations/:variantId
+   * Release the current cart's hold on a variant
+   */
+  async releaseVariant(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const holderKey = this.requireHolderKey(req);
+        const { variantId } = req.params;
+
+        this.validateRequest(
+          { variant_id: parseInt(variantId) },
+          {
+            variant_id: {
+              required: true,
+              type: 'integer',
+              min: 1
+            }
+          }
+        );
+
+        await this.StockReservation.release(parseInt(variantId), holderKey);
+
+        this.sendResponse(
+          res,
+          null,
+          constants.SUCCESS_MESSAGES.RESERVATION.RELEASED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Holder key of the current cart, from req.user or the X-Cart-Token header
+   */
+  requireHolderKey(req) {
+    const cartToken = req.headers['x-cart-token'];
+    const holderKey = stockUtils.resolveHolderKey(req.user, cartToken);
+
+    if (!holderKey) {
+      throw new ValidationError(
+        cartToken
+          ? constants.ERROR_MESSAGES.RESERVATION.INVALID_CART_TOKEN
+          : constants.ERROR_MESSAGES.RESERVATION.MISSING_HOLDER
+      );
+    }
+
+    return holderKey;
+  }
+
+  /**
+   * Holder key allowed to take new holds: guests need a server-side cart,
+   * so a made-up token cannot hold stock
+   */
+  async requireCartHolderKey(req) {
+    const holderKey = this.requireHolderKey(req);
+
+    if (!req.user?.id && !await this.Cart.findActive({ guestToken: req.headers['x-cart-token'] })) {
+      throw new ValidationError(constants.ERROR_MESSAGES.RESERVATION.UNKNOWN_CART);
+    }
+
+    return holderKey;
+  }
+}
+
+export default ReservationController;
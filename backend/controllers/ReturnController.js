@@ -0,0 +1,625 @@
+// backend/controllers/ReturnController.js
+// ↩️ Return Controller - returns and size exchanges (RMA)
+// Customers open returns on delivered orders; sellers approve, inspect and complete them.
+// Exchanges hold the replacement sizes from approval until the exchange order is placed.
+
+import BaseController from '../utils/BaseController.js';
+import constants, { STAFF_ROLES } from '../../config/constants.js';
+import pricing from '../utils/pricing.js';
+import { BusinessLogicError, ConflictError, NotFoundError, ValidationError } from '../utils/ErrorClasses.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ReturnController extends BaseController {
+  constructor() {
+    super();
+    this.ReturnRequest = null;
+    this.Order = null;
+    this.OrderStatusHistory = null;
+    this.ShoeVariant = null;
+    this.StockReservation = null;
+    this.Payment = null;
+    this.Refund = null;
+  }
+
+  setModels(models) {
+    this.ReturnRequest = models.ReturnRequest;
+    this.Order = models.Order;
+    this.OrderStatusHistory = models.OrderStatusHistory;
+    this.ShoeVariant = models.ShoeVariant;
+    this.StockReservation = models.StockReservation;
+    this.Payment = models.Payment;
+    this.Refund = models.Refund;
+  }
+
+  /**
+   * GET /api/returns
+   * Customers get their own returns, sellers get all returns
+   */
+  async getReturns(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const user = this.requireAuth(req);
+        const pagination = this.getPaginationParams(req, { sort: 'created_at' });
+        const { status } = req.query;
+
+        if (status && !Object.values(constants.RETURN_STATUS).includes(status)) {
+          this.sendError(
+            res,
+            `status must be one of: ${Object.values(constants.RETURN_STATUS).join(', ')}`,
+            constants.HTTP_STATUS.BAD_REQUEST
+          );
+          return;
+        }
+
+        const options = { page: pagination.page, limit: pagination.limit, orderDirection: pagination.order };
+        const result = STAFF_ROLES.includes(user.role)
+          ? await this.ReturnRequest.findByStatus(status, options)
+          : await this.ReturnRequest.findByUserId(user.id, { ...options, status });
+
+        this.sendPaginatedResponse(
+          res,
+          result,
+          pagination,
+          'Returns fetched successfully'
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * GET /api/returns/:id
+   * Get a return with its items (owner or seller)
+   */
+  async getReturn(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const returnRequest = await this.loadAccessibleReturn(req);
+
+        this.sendResponse(
+          res,
+          returnRequest,
+          'Return fetched successfully'
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * POST /api/returns
+   * Open a return on lines of a delivered order (order owner only)
+   */
+  async createReturn(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const user = this.requireAuth(req);
+
+        this.validateRequest(req.body, {
+          order_id: {
+            required: true,
+            type: 'integer',
+            min: 1
+          },
+          resolution: {
+            required: true,
+            type: 'string',
+            enum: Object.values(constants.RETURN_RESOLUTIONS)
+          },
+          items: {
+            required: true,
+            type: 'array',
+            minItems: 1
+          },
+          note: {
+            required: false,
+            type: 'string',
+            maxLength: 1000
+          }
+        });
+
+        for (const item of req.body.items) {
+          this.validateRequest(item, {
+            order_item_id: {
+              required: true,
+              type: 'integer',
+              min: 1
+            },
+            quantity: {
+              required: true,
+              type: 'integer',
+              min: 1
+            },
+            reason_code: {
+              required: true,
+              type: 'string',
+              enum: Object.values(constants.RETURN_REASONS)
+            },
+            photo_urls: {
+              required: false,
+              type: 'array',
+              maxItems: constants.RETURN_POLICY.MAX_PHOTOS,
+              custom: (urls) => !Array.isArray(urls) || urls.every(photoUrl => this.validateType(photoUrl, 'url'))
+                ? null
+                : 'photo_urls must only contain URLs'
+            },
+            exchange_variant_id: {
+              required: false,
+              type: 'integer',
+              min: 1
+            }
+          });
+        }
+
+        const order = await this.Order.findWithItems(req.body.order_id);
+        if (order.user_id !== user.id) {
+          throw new NotFoundError(`Order ${req.body.order_id}`);
+        }
+
+        await this.assertReturnable(order);
+
+        const { resolution } = req.body;
+        const orderItems = new Map((order.order_items || []).map(item => [item.order_item_id, item]));
+        const requestedIds = req.body.items.map(item => item.order_item_id);
+
+        const invalidIds = requestedIds.filter((id, index) =>
+          !orderItems.has(id) || requestedIds.indexOf(id) !== index
+        );
+        if (invalidIds.length > 0) {
+          throw new ValidationError(constants.ERROR_MESSAGES.RETURN.INVALID_ITEM, { order_item_ids: invalidIds });
+        }
+
+        if (resolution === constants.RETURN_RESOLUTIONS.EXCHANGE) {
+          await this.assertExchangeVariants(req.body.items, orderItems);
+        }
+
+        const items = req.body.items.map(item => ({
+          order_item_id: item.order_item_id,
+          quantity: item.quantity,
+          reason_code: item.reason_code,
+          photo_urls: item.photo_urls || [],
+          exchange_variant_id: resolution === constants.RETURN_RESOLUTIONS.EXCHANGE ? item.exchange_variant_id : null
+        }));
+
+        const refundAmount = resolution === constants.RETURN_RESOLUTIONS.REFUND
+          ? pricing.roundAmount(items.reduce(
+            (sum, item) => sum + Number(orderItems.get(item.order_item_id).price_per_unit) * item.quantity,
+            0
+          ))
+          : 0;
+
+        const created = await this.ReturnRequest.createWithItems({
+          order_id: order.order_id,
+          user_id: user.id,
+          resolution,
+          customer_note: req.body.note || null,
+          refund_amount: refundAmount
+        }, items);
+
+        this.sendResponse(
+          res,
+          await this.ReturnRequest.findWithItems(created.return_id),
+          constants.SUCCESS_MESSAGES.RETURN.CREATED,
+          constants.HTTP_STATUS.CREATED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * PUT /api/returns/:id/approve
+   * Accept a return (Seller only). Exchanges hold the replacement sizes.
+   */
+  async approveReturn(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const user = this.requireRole(req, STAFF_ROLES);
+        const returnRequest = await this.loadAccessibleReturn(req);
+
+        this.validateRequest(req.body || {}, {
+          note: {
+            required: false,
+            type: 'string',
+            maxLength: 1000
+          }
+        });
+
+        this.ReturnRequest.assertTransition(returnRequest.status, constants.RETURN_STATUS.APPROVED);
+
+        await this.holdExchangeStock(returnRequest);
+
+        try {
+          await this.ReturnRequest.transition(returnRequest, constants.RETURN_STATUS.APPROVED, {
+            seller_note: req.body?.note || returnRequest.seller_note,
+            reviewed_by: user.id
+          });
+        } catch (error) {
+          // Keep the holds if a concurrent approval won, they are now that approval's
+          const current = await this.ReturnRequest.findById(returnRequest.return_id);
+          if (current?.status !== constants.RETURN_STATUS.APPROVED) {
+            await this.releaseExchangeStock(returnRequest);
+          }
+          throw error;
+        }
+
+        this.sendResponse(
+          res,
+          await this.ReturnRequest.findWithItems(returnRequest.return_id),
+          constants.SUCCESS_MESSAGES.RETURN.APPROVED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * PUT /api/returns/:id/reject
+   * Refuse a return with a reason for the customer (Seller only)
+   */
+  async rejectReturn(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const user = this.requireRole(req, STAFF_ROLES);
+        const returnRequest = await this.loadAccessibleReturn(req);
+
+        this.validateRequest(req.body || {}, {
+          note: {
+            required: true,
+            type: 'string',
+            maxLength: 1000
+          }
+        });
+
+        await this.ReturnRequest.transition(returnRequest, constants.RETURN_STATUS.REJECTED, {
+          seller_note: req.body.note,
+          reviewed_by: user.id
+        });
+
+        this.sendResponse(
+          res,
+          await this.ReturnRequest.findWithItems(returnRequest.return_id),
+          constants.SUCCESS_MESSAGES.RETURN.REJECTED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * PUT /api/returns/:id/receive
+   * Record the inspection of the returned parcel (Seller only).
+   * Resellable units go back to stock.
+   */
+  async receiveReturn(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const user = this.requireRole(req, STAFF_ROLES);
+        const returnRequest = await this.loadAccessibleReturn(req);
+
+        this.validateRequest(req.body || {}, {
+          items: {
+            required: true,
+            type: 'array',
+            minItems: 1
+          }
+        });
+
+        for (const item of req.body.items) {
+          this.validateRequest(item, {
+            return_item_id: {
+              required: true,
+              type: 'integer',
+              min: 1
+            },
+            condition: {
+              required: true,
+              type: 'string',
+              enum: Object.values(constants.RETURN_ITEM_CONDITIONS)
+            }
+          });
+        }
+
+        const inspected = new Set(req.body.items.map(item => item.return_item_id));
+        const returnItemIds = returnRequest.return_items.map(item => item.return_item_id);
+
+        if (returnItemIds.some(id => !inspected.has(id)) || inspected.size !== returnItemIds.length) {
+          throw new ValidationError(constants.ERROR_MESSAGES.RETURN.CONDITION_REQUIRED, {
+            return_item_ids: returnItemIds
+          });
+        }
+
+        this.ReturnRequest.assertTransition(returnRequest.status, constants.RETURN_STATUS.RECEIVED);
+
+        await this.ReturnRequest.receive(returnRequest.return_id, req.body.items, user.id);
+
+        this.sendResponse(
+          res,
+          await this.ReturnRequest.findWithItems(returnRequest.return_id),
+          constants.SUCCESS_MESSAGES.RETURN.RECEIVED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * PUT /api/returns/:id/complete
+   * Settle a received return (Seller only): refund the payments it covers,
+   * or place the exchange order from the held replacement sizes.
+   */
+  async completeReturn(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const user = this.requireRole(req, STAFF_ROLES);
+        const returnRequest = await this.loadAccessibleReturn(req);
+
+        this.ReturnRequest.assertTransition(returnRequest.status, constants.RETURN_STATUS.COMPLETED);
+
+        const result = returnRequest.resolution === constants.RETURN_RESOLUTIONS.EXCHANGE
+          ? await this.completeExchange(returnRequest)
+          : await this.completeRefund(returnRequest, user);
+
+        this.sendResponse(
+          res,
+          {
+            return: await this.ReturnRequest.findWithItems(returnRequest.return_id),
+            ...result
+          },
+          constants.SUCCESS_MESSAGES.RETURN.COMPLETED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * PUT /api/returns/:id/cancel
+   * Withdraw a return: customers while it is still requested, sellers until it is received
+   */
+  async cancelReturn(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const user = this.requireAuth(req);
+        const returnRequest = await this.loadAccessibleReturn(req);
+
+        if (!STAFF_ROLES.includes(user.role) && returnRequest.status !== constants.RETURN_STATUS.REQUESTED) {
+          throw new BusinessLogicError(constants.ERROR_MESSAGES.RETURN.INVALID_TRANSITION, {
+            from: returnRequest.status,
+            to: constants.RETURN_STATUS.CANCELLED,
+            allowed: []
+          });
+        }
+
+        await this.ReturnRequest.transition(returnRequest, constants.RETURN_STATUS.CANCELLED);
+
+        if (returnRequest.status === constants.RETURN_STATUS.APPROVED) {
+          await this.releaseExchangeStock(returnRequest);
+        }
+
+        this.sendResponse(
+          res,
+          await this.ReturnRequest.findWithItems(returnRequest.return_id),
+          constants.SUCCESS_MESSAGES.RETURN.CANCELLED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Refund the returned lines on the completed payments of the order. A payment that
+   * covers the whole refund_amount gets a refund tied to the returned items; otherwise
+   * payments are refunded as far as they go and any rest is reported as outstanding.
+   */
+  async completeRefund(returnRequest, user) {
+    const payments = await this.Payment.findByOrderId(returnRequest.order_id);
+    const refunds = [];
+    let remaining = Number(returnRequest.refund_amount);
+
+    for (const payment of payments) {
+      if (remaining <= 0) break;
+      if (!constants.REFUNDABLE_PAYMENT_STATUSES.includes(payment.status)) continue;
+
+      const refundable = pricing.roundAmount(Number(payment.payment_amount) - Number(payment.refunded_amount || 0));
+      if (refundable <= 0) continue;
+
+      const coversAll = refunds.length === 0 && refundable >= remaining;
+      const refund = await this.Refund.issue(payment, {
+        items: coversAll
+          ? returnRequest.return_items.map(item => ({ order_item_id: item.order_item_id, quantity: item.quantity }))
+          : [],
+        adjustmentAmount: coversAll ? 0 : Math.min(refundable, remaining),
+        reason: `Return ${returnRequest.return_id}`,
+        returnId: returnRequest.return_id,
+        createdBy: user.id
+      });
+
+      if (refund && refund.status !== constants.REFUND_STATUS.FAILED) {
+        refunds.push(refund);
+        remaining = pricing.roundAmount(remaining - Number(refund.amount));
+      }
+    }
+
+    await this.ReturnRequest.transition(returnRequest, constants.RETURN_STATUS.COMPLETED, {
+      completed_at: new Date().toISOString()
+    });
+
+    const refundedPaymentIds = new Set(refunds.map(refund => refund.payment_id));
+
+    return {
+      refunded_payments: (await this.Payment.findByOrderId(returnRequest.order_id))
+        .filter(payment => refundedPaymentIds.has(payment.payment_id)),
+      refunds,
+      outstanding_refund: pricing.roundAmount(Math.max(remaining, 0))
+    };
+  }
+
+  /**
+   * Place the replacement order at no charge, taking the stock held at approval.
+   * If another request completed the return first, the duplicate order is cancelled.
+   */
+  async completeExchange(returnRequest) {
+    const order = await this.Order.findWithItems(returnRequest.order_id);
+    const lines = this.exchangeLines(returnRequest).map(line => ({ ...line, price_per_unit: 0 }));
+
+    const exchangeOrder = await this.Order.createWithItems({
+      user_id: returnRequest.user_id,
+      address_id: order.address_id,
+      total_amount: 0,
+      shipping_cost: 0,
+      tax_amount: 0,
+      notes: `Exchange for return #${returnRequest.return_id}`,
+      holder_key: this.ReturnRequest.exchangeHolderKey(returnRequest.return_id)
+    }, lines);
+
+    try {
+      await this.ReturnRequest.transition(returnRequest, constants.RETURN_STATUS.COMPLETED, {
+        completed_at: new Date().toISOString(),
+        exchange_order_id: exchangeOrder.order_id
+      });
+    } catch (error) {
+      if (error instanceof ConflictError) {
+        await this.Order.cancel(exchangeOrder.order_id, { reason: 'Duplicate exchange order' });
+      }
+      throw error;
+    }
+
+    return {
+      exchange_order: await this.Order.findWithItems(exchangeOrder.order_id)
+    };
+  }
+
+  /**
+   * Only delivered orders within the return window can be returned.
+   * The window starts at the delivered entry of the status history.
+   */
+  async assertReturnable(order) {
+    if (order.status !== constants.ORDER_STATUS.DELIVERED) {
+      throw new BusinessLogicError(constants.ERROR_MESSAGES.RETURN.ORDER_NOT_DELIVERED, { status: order.status });
+    }
+
+    const history = await this.OrderStatusHistory.findByOrderId(order.order_id);
+    const delivered = history.filter(entry => entry.to_status === constants.ORDER_STATUS.DELIVERED).pop();
+    const deliveredAt = new Date(delivered?.created_at || order.updated_at);
+
+    if (Date.now() - deliveredAt.getTime() > constants.RETURN_POLICY.WINDOW_DAYS * DAY_MS) {
+      throw new BusinessLogicError(constants.ERROR_MESSAGES.RETURN.WINDOW_CLOSED, {
+        delivered_at: deliveredAt.toISOString(),
+        window_days: constants.RETURN_POLICY.WINDOW_DAYS
+      });
+    }
+  }
+
+  /**
+   * Every exchanged line needs an active, different variant of the same shoe
+   */
+  async assertExchangeVariants(items, orderItems) {
+    const missing = items.filter(item => !item.exchange_variant_id).map(item => item.order_item_id);
+    if (missing.length > 0) {
+      throw new ValidationError(constants.ERROR_MESSAGES.RETURN.EXCHANGE_VARIANT_REQUIRED, { order_item_ids: missing });
+    }
+
+    const variants = await this.ShoeVariant.findByIds(items.map(item => item.exchange_variant_id));
+    const variantMap = new Map(variants.map(variant => [variant.variant_id, variant]));
+
+    const invalid = items.filter(item => {
+      const ordered = orderItems.get(item.order_item_id);
+      const replacement = variantMap.get(item.exchange_variant_id);
+
+      return !replacement ||
+        replacement.is_active === false ||
+        replacement.shoes?.is_active === false ||
+        replacement.variant_id === ordered.variant_id ||
+        replacement.shoe_id !== ordered.shoe_variants?.shoes?.shoe_id;
+    });
+
+    if (invalid.length > 0) {
+      throw new BusinessLogicError(
+        constants.ERROR_MESSAGES.RETURN.INVALID_EXCHANGE_VARIANT,
+        invalid.map(item => ({ order_item_id: item.order_item_id, exchange_variant_id: item.exchange_variant_id }))
+      );
+    }
+  }
+
+  /**
+   * Replacement quantity per variant of an exchange
+   */
+  exchangeLines(returnRequest) {
+    const quantities = new Map();
+
+    for (const item of returnRequest.return_items || []) {
+      if (!item.exchange_variant_id) continue;
+      quantities.set(item.exchange_variant_id, (quantities.get(item.exchange_variant_id) || 0) + item.quantity);
+    }
+
+    return Array.from(quantities, ([variant_id, quantity]) => ({ variant_id, quantity }));
+  }
+
+  /**
+   * Hold the replacement sizes of an exchange until the parcel comes back
+   */
+  async holdExchangeStock(returnRequest) {
+    const holderKey = this.ReturnRequest.exchangeHolderKey(returnRequest.return_id);
+    const ttlMinutes = constants.RETURN_POLICY.EXCHANGE_HOLD_DAYS * 24 * 60;
+    const held = [];
+
+    try {
+      for (const line of this.exchangeLines(returnRequest)) {
+        await this.StockReservation.reserve(line.variant_id, holderKey, line.quantity, ttlMinutes);
+        held.push(line);
+      }
+    } catch (error) {
+      for (const line of held) {
+        await this.StockReservation.release(line.variant_id, holderKey);
+      }
+      throw error;
+    }
+  }
+
+  async releaseExchangeStock(returnRequest) {
+    const holderKey = this.ReturnRequest.exchangeHolderKey(returnRequest.return_id);
+
+    for (const line of this.exchangeLines(returnRequest)) {
+      await this.StockReservation.release(line.variant_id, holderKey);
+    }
+  }
+
+  /**
+   * Load a return the current user may see.
+   * Other customers' returns are reported as not found rather than forbidden.
+   */
+  async loadAccessibleReturn(req) {
+    const user = this.requireAuth(req);
+    const { id } = req.params;
+
+    this.validateRequest(
+      { id: parseInt(id) },
+      {
+        id: {
+          required: true,
+          type: 'integer',
+          min: 1
+        }
+      }
+    );
+
+    const returnRequest = await this.ReturnRequest.findWithItems(parseInt(id));
+    if (returnRequest.user_id !== user.id && !STAFF_ROLES.includes(user.role)) {
+      throw new NotFoundError(`Return ${id}`);
+    }
+
+    return returnRequest;
+  }
+}
+
+export default ReturnController;
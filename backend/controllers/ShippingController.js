@@ -0,0 +1,125 @@
+// backend/controllers/ShippingController.js
+// 🚚 Shipping Controller - shipping rates for checkout
+// Rates depend on the destination province, the order subtotal and the item count.
+
+import BaseController from '../utils/BaseController.js';
+import constants from '../../config/constants.js';
+import shippingUtils from '../utils/shipping.js';
+import stockUtils from '../utils/stock.js';
+import { NotFoundError } from '../utils/ErrorClasses.js';
+
+class ShippingController extends BaseController {
+  constructor() {
+    super();
+    this.Address = null;
+    this.Cart = null;
+  }
+
+  setModels(models) {
+    this.Address = models.Address;
+    this.Cart = models.Cart;
+  }
+
+  /**
+   * GET /api/shipping/quote
+   * Rates of the methods offered for a destination, cheapest first.
+   * Destination: ?address_id= (signed in) or ?province=. Without ?subtotal= and
+   * ?item_count= the current cart is used.
+   */
+  async getQuote(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const query = {
+          ...req.query,
+          address_id: req.query.address_id !== undefined ? parseInt(req.query.address_id) : undefined,
+          subtotal: req.query.subtotal !== undefined ? Number(req.query.subtotal) : undefined,
+          item_count: req.query.item_count !== undefined ? parseInt(req.query.item_count) : undefined
+        };
+
+        this.validateRequest(query, {
+          address_id: {
+            required: false,
+            type: 'integer',
+            min: 1
+          },
+          province: {
+            required: false,
+            type: 'string',
+            maxLength: 100
+          },
+          subtotal: {
+            required: false,
+            type: 'number',
+            min: 0
+          },
+          item_count: {
+            required: false,
+            type: 'integer',
+            min: 1
+          },
+          method: {
+            required: false,
+            type: 'string',
+            enum: Object.keys(constants.SHIPPING_METHODS)
+          }
+        });
+
+        let province = query.province || null;
+        if (query.address_id) {
+          const user = this.requireAuth(req);
+          const address = await this.Address.findById(query.address_id);
+          if (!address || address.user_id !== user.id) {
+            throw new NotFoundError('Address');
+          }
+          province = address.state;
+        }
+
+        const basket = query.subtotal === undefined || query.item_count === undefined
+          ? await this.loadCartTotals(req)
+          : { subtotal: 0, itemCount: 1 };
+
+        const options = {
+          province,
+          subtotal: query.subtotal ?? basket.subtotal,
+          itemCount: query.item_count ?? basket.itemCount
+        };
+
+        const methods = query.method
+          ? [shippingUtils.quote(query.method, options)].filter(Boolean)
+          : shippingUtils.quoteAll(options);
+
+        this.sendResponse(
+          res,
+          {
+            province,
+            subtotal: options.subtotal,
+            item_count: options.itemCount,
+            default_method: constants.SHIPPING_CONFIG.DEFAULT_METHOD,
+            methods
+          },
+          constants.SUCCESS_MESSAGES.SHIPPING.QUOTED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Subtotal and item count of the caller's cart (empty when there is none)
+   */
+  async loadCartTotals(req) {
+    const cartToken = req.headers['x-cart-token'];
+    const holderKey = stockUtils.resolveHolderKey(req.user, cartToken);
+    if (!holderKey) return { subtotal: 0, itemCount: 1 };
+
+    const owner = req.user?.id ? { userId: req.user.id } : { guestToken: cartToken };
+    const cart = await this.Cart.findActive(owner);
+    if (!cart) return { subtotal: 0, itemCount: 1 };
+
+    const summary = this.Cart.buildSummary(await this.Cart.findWithItems(cart.cart_id), holderKey);
+    return { subtotal: summary.subtotal, itemCount: Math.max(1, summary.item_count) };
+  }
+}
+
+export default ShippingController;
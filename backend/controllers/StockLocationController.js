@@ -0,0 +1,245 @@
+// backend/controllers/StockLocationController.js
+// 🏬 Stock Location Controller - warehouses and stores holding stock (Seller only)
+// Stock at sellable locations is what the storefront sells. Locations are deactivated
+// rather than deleted, and only once their stock has been moved out.
+
+import BaseController from '../utils/BaseController.js';
+import constants, { STAFF_ROLES } from '../../config/constants.js';
+import shippingUtils from '../utils/shipping.js';
+import { BusinessLogicError, NotFoundError } from '../utils/ErrorClasses.js';
+
+// Columns a seller may write; the default location is set up with the schema
+const LOCATION_FIELDS = [
+  'location_code', 'location_name', 'location_type', 'province', 'address', 'is_sellable', 'priority', 'is_active'
+];
+
+const LOCATION_CODE = /^[A-Z0-9_-]+$/;
+
+class StockLocationController extends BaseController {
+  constructor() {
+    super();
+    this.StockLocation = null;
+  }
+
+  setModels(models) {
+    this.StockLocation = models.StockLocation;
+  }
+
+  /**
+   * GET /api/locations
+   * List locations by priority (?is_active=true|false, ?is_sellable=true|false)
+   */
+  async getLocations(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        this.requireRole(req, STAFF_ROLES);
+        const { is_active, is_sellable } = req.query;
+
+        const locations = await this.StockLocation.findAll({
+          isActive: is_active === undefined ? undefined : is_active === 'true',
+          isSellable: is_sellable === undefined ? undefined : is_sellable === 'true'
+        });
+
+        this.sendResponse(
+          res,
+          locations,
+          constants.SUCCESS_MESSAGES.LOCATION.FETCHED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * GET /api/locations/stock?variant_id=1,2,3
+   * Stock of each variant per location, the sellable total and the units in transit to a location
+   */
+  async getStock(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        this.requireRole(req, STAFF_ROLES);
+        const variantIds = [...new Set(
+          (req.query.variant_id || '').toString().split(',').filter(Boolean).map(id => parseInt(id))
+        )];
+
+        this.validateRequest({ variant_id: variantIds }, {
+          variant_id: { required: true, type: 'array', minItems: 1, maxItems: 200 }
+        });
+        for (const id of variantIds) {
+          this.validateRequest({ variant_id: id }, {
+            variant_id: { required: true, type: 'integer', min: 1 }
+          });
+        }
+
+        const stock = await this.StockLocation.findStock(variantIds);
+
+        this.sendResponse(
+          res,
+          variantIds.map(variantId => ({ variant_id: variantId, ...stock.get(variantId) })),
+          constants.SUCCESS_MESSAGES.LOCATION.STOCK_FETCHED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * GET /api/locations/:id
+   * Get a location
+   */
+  async getLocation(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        this.requireRole(req, STAFF_ROLES);
+
+        this.sendResponse(
+          res,
+          await this.loadLocation(req),
+          'Location fetched successfully'
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * POST /api/locations
+   * Create a warehouse or store
+   */
+  async createLocation(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        this.requireRole(req, STAFF_ROLES);
+        const data = this.pickFields(req.body);
+
+        this.validateRequest(data, this.getValidationRules(true));
+
+        if (data.is_active === false) {
+          if (data.is_sellable) {
+            throw new BusinessLogicError(constants.ERROR_MESSAGES.LOCATION.INACTIVE, { is_sellable: true });
+          }
+          data.is_sellable = false;
+        }
+
+        const location = await this.StockLocation.createLocation(data);
+
+        this.sendResponse(
+          res,
+          location,
+          constants.SUCCESS_MESSAGES.LOCATION.CREATED,
+          constants.HTTP_STATUS.CREATED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * PUT /api/locations/:id
+   * Update a location. Deactivating it also stops selling from it, and needs its stock
+   * (on hand and in transit) to be moved out first; the default location stays active and sellable.
+   */
+  async updateLocation(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        this.requireRole(req, STAFF_ROLES);
+        const current = await this.loadLocation(req);
+        const updates = this.pickFields(req.body);
+
+        this.validateRequest(updates, this.getValidationRules(false));
+
+        if (current.is_default && (updates.is_active === false || updates.is_sellable === false)) {
+          throw new BusinessLogicError(constants.ERROR_MESSAGES.LOCATION.DEFAULT_REQUIRED, {
+            location_id: current.location_id
+          });
+        }
+
+        const isActive = updates.is_active ?? current.is_active;
+        if (!isActive && updates.is_sellable) {
+          throw new BusinessLogicError(constants.ERROR_MESSAGES.LOCATION.INACTIVE, {
+            location_id: current.location_id
+          });
+        }
+
+        if (current.is_active && updates.is_active === false) {
+          if (await this.StockLocation.hasStock(current.location_id)) {
+            throw new BusinessLogicError(constants.ERROR_MESSAGES.LOCATION.NOT_EMPTY, {
+              location_id: current.location_id
+            });
+          }
+          updates.is_sellable = false;
+        }
+
+        const location = await this.StockLocation.updateLocation(current.location_id, updates);
+
+        this.sendResponse(
+          res,
+          location,
+          constants.SUCCESS_MESSAGES.LOCATION.UPDATED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Location of the :id route parameter, or NotFound
+   */
+  async loadLocation(req) {
+    const locationId = parseInt(req.params.id);
+
+    this.validateRequest(
+      { id: locationId },
+      {
+        id: {
+          required: true,
+          type: 'integer',
+          min: 1
+        }
+      }
+    );
+
+    const location = await this.StockLocation.findById(locationId);
+    if (!location) {
+      throw new NotFoundError('Location');
+    }
+
+    return location;
+  }
+
+  /**
+   * Writable fields of the body; codes are upper-cased and provinces written like shipping zones
+   */
+  pickFields(body = {}) {
+    const data = Object.fromEntries(
+      Object.entries(body)
+        .filter(([field]) => LOCATION_FIELDS.includes(field))
+        .map(([field, value]) => [field, typeof value === 'string' ? value.trim() : value])
+    );
+
+    if (typeof data.location_code === 'string') data.location_code = data.location_code.toUpperCase();
+    if (typeof data.province === 'string') data.province = shippingUtils.normalizeProvince(data.province) || null;
+
+    return data;
+  }
+
+  getValidationRules(creating) {
+    return {
+      location_code: { required: creating, type: 'string', minLength: 2, maxLength: 20, pattern: LOCATION_CODE },
+      location_name: { required: creating, type: 'string', minLength: 2, maxLength: 100 },
+      location_type: { required: false, type: 'string', enum: Object.values(constants.LOCATION_TYPES) },
+      province: { required: false, type: 'string', maxLength: 100 },
+      address: { required: false, type: 'string', maxLength: 500 },
+      is_sellable: { required: false, type: 'boolean' },
+      priority: { required: false, type: 'integer' },
+      is_active: { required: false, type: 'boolean' }
+    };
+  }
+}
+
+export default StockLocationController;
@@ -0,0 +1,254 @@
+// backend/controllers/StockTransferController.js
+// 🚛 Stock Transfer Controller - stock moved between locations (Seller only)
+// Sending a transfer takes the units out of the source at once; they are in transit
+// until received at the destination, or go back to the source when it is cancelled.
+
+import BaseController from '../utils/BaseController.js';
+import constants, { STAFF_ROLES } from '../../config/constants.js';
+import { BusinessLogicError, NotFoundError, ValidationError } from '../utils/ErrorClasses.js';
+
+class StockTransferController extends BaseController {
+  constructor() {
+    super();
+    this.StockTransfer = null;
+    this.StockLocation = null;
+    this.ShoeVariant = null;
+  }
+
+  setModels(models) {
+    this.StockTransfer = models.StockTransfer;
+    this.StockLocation = models.StockLocation;
+    this.ShoeVariant = models.ShoeVariant;
+  }
+
+  /**
+   * GET /api/transfers
+   * Transfers, newest first, with their units shipped and received
+   * (?status=in_transit|received|cancelled, ?location_id= from or to a location)
+   */
+  async getTransfers(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        this.requireRole(req, STAFF_ROLES);
+        const pagination = this.getPaginationParams(req, { sort: 'transfer_id' });
+        const filters = {
+          status: req.query.status,
+          location_id: req.query.location_id ? parseInt(req.query.location_id) : undefined
+        };
+
+        this.validateRequest(filters, {
+          status: { required: false, type: 'string', enum: Object.values(constants.TRANSFER_STATUS) },
+          location_id: { required: false, type: 'integer', min: 1 }
+        });
+
+        const result = await this.StockTransfer.findAll({
+          status: filters.status,
+          locationId: filters.location_id,
+          page: pagination.page,
+          limit: pagination.limit
+        });
+
+        this.sendPaginatedResponse(
+          res,
+          result,
+          pagination,
+          constants.SUCCESS_MESSAGES.TRANSFER.FETCHED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * GET /api/transfers/:id
+   * Get a transfer with its lines and their variants
+   */
+  async getTransfer(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        this.requireRole(req, STAFF_ROLES);
+
+        this.sendResponse(
+          res,
+          await this.StockTransfer.findWithLines(this.parseTransferId(req)),
+          'Transfer fetched successfully'
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * POST /api/transfers
+   * Send stock { from_location_id, to_location_id, notes, items: [{ variant_id, quantity }] }.
+   * The source must hold the units; both locations must be active.
+   */
+  async createTransfer(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const user = this.requireRole(req, STAFF_ROLES);
+        const body = req.body || {};
+
+        this.validateRequest(body, {
+          from_location_id: { required: true, type: 'integer', min: 1 },
+          to_location_id: { required: true, type: 'integer', min: 1 },
+          notes: { required: false, type: 'string', maxLength: 500 },
+          items: { required: true, type: 'array', minItems: 1, maxItems: 200 }
+        });
+
+        for (const item of body.items) {
+          this.validateRequest(item || {}, {
+            variant_id: { required: true, type: 'integer', min: 1 },
+            quantity: { required: true, type: 'integer', min: 1 }
+          });
+        }
+
+        if (body.from_location_id === body.to_location_id) {
+          throw new ValidationError(constants.ERROR_MESSAGES.TRANSFER.SAME_LOCATION, [
+            { field: 'to_location_id', message: constants.ERROR_MESSAGES.TRANSFER.SAME_LOCATION }
+          ]);
+        }
+
+        const variantIds = body.items.map(item => item.variant_id);
+        this.assertUniqueVariants(variantIds);
+
+        for (const locationId of [body.from_location_id, body.to_location_id]) {
+          const location = await this.StockLocation.findById(locationId);
+          if (!location) {
+            throw new NotFoundError(`Location ${locationId}`);
+          }
+          if (!location.is_active) {
+            throw new BusinessLogicError(constants.ERROR_MESSAGES.LOCATION.INACTIVE, { location_id: locationId });
+          }
+        }
+
+        const known = new Set((await this.ShoeVariant.findByIds(variantIds)).map(variant => variant.variant_id));
+        const missing = variantIds.filter(id => !known.has(id));
+        if (missing.length > 0) {
+          throw new NotFoundError(`Variant ${missing.join(', ')}`);
+        }
+
+        const transfer = await this.StockTransfer.create(
+          {
+            from_location_id: body.from_location_id,
+            to_location_id: body.to_location_id,
+            notes: body.notes?.trim() || null,
+            created_by: user.id
+          },
+          body.items.map(item => ({ variant_id: item.variant_id, quantity: item.quantity }))
+        );
+
+        this.sendResponse(
+          res,
+          await this.StockTransfer.findWithLines(transfer.transfer_id),
+          constants.SUCCESS_MESSAGES.TRANSFER.CREATED,
+          constants.HTTP_STATUS.CREATED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * PUT /api/transfers/:id/receive
+   * Receive a transfer at its destination. items [{ variant_id, quantity_received }] lists the
+   * lines that arrived short; lines left out arrive in full.
+   */
+  async receiveTransfer(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const user = this.requireRole(req, STAFF_ROLES);
+        const transferId = this.parseTransferId(req);
+        const body = req.body || {};
+
+        this.validateRequest(body, {
+          items: { required: false, type: 'array', maxItems: 200 }
+        });
+
+        const items = body.items || [];
+        for (const item of items) {
+          this.validateRequest(item || {}, {
+            variant_id: { required: true, type: 'integer', min: 1 },
+            quantity_received: {
+              required: true,
+              type: 'integer',
+              custom: value => (value >= 0 ? null : 'quantity_received must be at least 0')
+            }
+          });
+        }
+        this.assertUniqueVariants(items.map(item => item.variant_id));
+
+        await this.StockTransfer.receive(
+          transferId,
+          items.map(item => ({ variant_id: item.variant_id, quantity_received: item.quantity_received })),
+          user.id
+        );
+
+        this.sendResponse(
+          res,
+          await this.StockTransfer.findWithLines(transferId),
+          constants.SUCCESS_MESSAGES.TRANSFER.RECEIVED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * PUT /api/transfers/:id/cancel
+   * Cancel a transfer still in transit; its units go back to the source
+   */
+  async cancelTransfer(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const user = this.requireRole(req, STAFF_ROLES);
+        const transferId = this.parseTransferId(req);
+
+        await this.StockTransfer.cancel(transferId, user.id);
+
+        this.sendResponse(
+          res,
+          await this.StockTransfer.findWithLines(transferId),
+          constants.SUCCESS_MESSAGES.TRANSFER.CANCELLED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * ID of the :id route parameter
+   */
+  parseTransferId(req) {
+    const transferId = parseInt(req.params.id);
+
+    this.validateRequest(
+      { id: transferId },
+      {
+        id: {
+          required: true,
+          type: 'integer',
+          min: 1
+        }
+      }
+    );
+
+    return transferId;
+  }
+
+  assertUniqueVariants(variantIds) {
+    const duplicates = variantIds.filter((id, index) => variantIds.indexOf(id) !== index);
+    if (duplicates.length > 0) {
+      throw new ValidationError(constants.ERROR_MESSAGES.TRANSFER.DUPLICATE_VARIANT, [
+        { field: 'items', message: `Variant ${[...new Set(duplicates)].join(', ')} is listed more than once` }
+      ]);
+    }
+  }
+}
+
+export default StockTransferController;
@@ -0,0 +1,344 @@
+// backend/controllers/StocktakeController.js
+// 📋 Stocktake Controller - physical stock counts with variance review (Seller only)
+// A session counts all variants, a category or a shoe at one location. Staff enter or scan counts,
+// review the variances and their value at cost, then approve to adjust stock.
+
+import BaseController from '../utils/BaseController.js';
+import constants, { STAFF_ROLES } from '../../config/constants.js';
+import { BusinessLogicError, NotFoundError, ValidationError } from '../utils/ErrorClasses.js';
+
+class StocktakeController extends BaseController {
+  constructor() {
+    super();
+    this.Stocktake = null;
+    this.ShoeVariant = null;
+    this.StockLocation = null;
+  }
+
+  setModels(models) {
+    this.Stocktake = models.Stocktake;
+    this.ShoeVariant = models.ShoeVariant;
+    this.StockLocation = models.StockLocation;
+  }
+
+  /**
+   * GET /api/stocktakes
+   * Stocktakes, newest first (?status=counting|approved|cancelled, ?location_id=)
+   */
+  async getStocktakes(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        this.requireRole(req, STAFF_ROLES);
+        const pagination = this.getPaginationParams(req, { sort: 'stocktake_id' });
+
+        const filters = {
+          status: req.query.status,
+          location_id: req.query.location_id ? parseInt(req.query.location_id) : undefined
+        };
+
+        this.validateRequest(filters, {
+          status: { required: false, type: 'string', enum: Object.values(constants.STOCKTAKE_STATUS) },
+          location_id: { required: false, type: 'integer', min: 1 }
+        });
+
+        const result = await this.Stocktake.findAll({
+          status: filters.status,
+          locationId: filters.location_id,
+          page: pagination.page,
+          limit: pagination.limit
+        });
+
+        this.sendPaginatedResponse(
+          res,
+          result,
+          pagination,
+          constants.SUCCESS_MESSAGES.STOCKTAKE.FETCHED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * GET /api/stocktakes/:id
+   * Get a stocktake with its lines: expected and counted quantities, the variance,
+   * its value at cost and the stock movements since the session started
+   */
+  async getStocktake(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        this.requireRole(req, STAFF_ROLES);
+
+        this.sendResponse(
+          res,
+          await this.Stocktake.findWithLines(this.parseStocktakeId(req)),
+          'Stocktake fetched successfully'
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * POST /api/stocktakes
+   * Start counting { scope_type: all|category|shoe, scope_id, location_id, note }
+   * at location_id (the default location when omitted).
+   * A variant can only be in one open stocktake per location.
+   */
+  async startStocktake(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const user = this.requireRole(req, STAFF_ROLES);
+        const body = req.body || {};
+
+        this.validateRequest(body, {
+          scope_type: {
+            required: true,
+            type: 'string',
+            enum: Object.values(constants.STOCKTAKE_SCOPES)
+          },
+          scope_id: {
+            required: body.scope_type !== constants.STOCKTAKE_SCOPES.ALL,
+            type: 'integer',
+            min: 1
+          },
+          location_id: {
+            required: false,
+            type: 'integer',
+            min: 1
+          },
+          note: {
+            required: false,
+            type: 'string',
+            maxLength: 500
+          }
+        }, {
+          'scope_id.scope_id is required': constants.ERROR_MESSAGES.STOCKTAKE.SCOPE_ID_REQUIRED
+        });
+
+        if (body.location_id) {
+          const location = await this.StockLocation.findById(body.location_id);
+          if (!location) {
+            throw new NotFoundError('Location');
+          }
+          if (!location.is_active) {
+            throw new BusinessLogicError(constants.ERROR_MESSAGES.LOCATION.INACTIVE, {
+              location_id: location.location_id
+            });
+          }
+        }
+
+        const stocktake = await this.Stocktake.start(
+          {
+            type: body.scope_type,
+            id: body.scope_type === constants.STOCKTAKE_SCOPES.ALL ? null : body.scope_id,
+            locationId: body.location_id || null
+          },
+          user.id,
+          body.note || null
+        );
+
+        this.sendResponse(
+          res,
+          await this.Stocktake.findWithLines(stocktake.stocktake_id),
+          constants.SUCCESS_MESSAGES.STOCKTAKE.STARTED,
+          constants.HTTP_STATUS.CREATED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * PUT /api/stocktakes/:id/counts
+   * Enter counted quantities: counts [{ variant_id or sku, counted_quantity }].
+   * Counting a line again replaces its count.
+   */
+  async recordCounts(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const user = this.requireRole(req, STAFF_ROLES);
+        const stocktakeId = this.parseStocktakeId(req);
+
+        this.validateRequest(req.body || {}, {
+          counts: {
+            required: true,
+            type: 'array',
+            minItems: 1,
+            maxItems: 1000
+          }
+        });
+
+        for (const count of req.body.counts) {
+          this.validateRequest(count || {}, {
+            variant_id: { required: !count?.sku, type: 'integer', min: 1 },
+            sku: { required: false, type: 'string', maxLength: 50 },
+            counted_quantity: {
+              required: true,
+              type: 'integer',
+              custom: value => (value >= 0 ? null : 'counted_quantity must be at least 0')
+            }
+          });
+        }
+
+        const variantIds = await this.resolveVariants(req.body.counts);
+        const duplicates = variantIds.filter((id, index) => variantIds.indexOf(id) !== index);
+        if (duplicates.length > 0) {
+          throw new ValidationError(constants.ERROR_MESSAGES.STOCKTAKE.DUPLICATE_VARIANT, [
+            { field: 'counts', message: `Variant ${[...new Set(duplicates)].join(', ')} is counted more than once` }
+          ]);
+        }
+
+        await this.Stocktake.recordCounts(
+          stocktakeId,
+          req.body.counts.map((count, index) => ({
+            variant_id: variantIds[index],
+            counted_quantity: count.counted_quantity
+          })),
+          user.id
+        );
+
+        this.sendResponse(
+          res,
+          await this.Stocktake.findWithLines(stocktakeId),
+          constants.SUCCESS_MESSAGES.STOCKTAKE.COUNTED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * POST /api/stocktakes/:id/scans
+   * Scan a SKU: { sku, quantity } adds quantity (default 1, negative to undo) to its count.
+   * Returns the scanned line.
+   */
+  async scanSku(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const user = this.requireRole(req, STAFF_ROLES);
+        const stocktakeId = this.parseStocktakeId(req);
+        const body = req.body || {};
+
+        this.validateRequest(body, {
+          sku: { required: true, type: 'string', maxLength: 50 },
+          quantity: {
+            required: false,
+            type: 'integer',
+            custom: value => (value !== 0 ? null : 'quantity must not be 0')
+          }
+        });
+
+        const [variantId] = await this.resolveVariants([{ sku: body.sku.trim() }]);
+
+        await this.Stocktake.recordCounts(
+          stocktakeId,
+          [{ variant_id: variantId, counted_quantity: body.quantity ?? 1 }],
+          user.id,
+          true
+        );
+
+        const stocktake = await this.Stocktake.findWithLines(stocktakeId);
+
+        this.sendResponse(
+          res,
+          {
+            line: stocktake.lines.find(line => line.variant_id === variantId),
+            summary: stocktake.summary
+          },
+          constants.SUCCESS_MESSAGES.STOCKTAKE.COUNTED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * PUT /api/stocktakes/:id/approve
+   * Post the variance of every counted line as an adjustment movement.
+   * Uncounted lines keep their stock.
+   */
+  async approveStocktake(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const user = this.requireRole(req, STAFF_ROLES);
+        const stocktakeId = this.parseStocktakeId(req);
+
+        await this.Stocktake.approve(stocktakeId, user.id);
+
+        this.sendResponse(
+          res,
+          await this.Stocktake.findWithLines(stocktakeId),
+          constants.SUCCESS_MESSAGES.STOCKTAKE.APPROVED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * PUT /api/stocktakes/:id/cancel
+   * Drop a stocktake that is still counting, without touching stock
+   */
+  async cancelStocktake(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        this.requireRole(req, STAFF_ROLES);
+        const stocktakeId = this.parseStocktakeId(req);
+
+        await this.Stocktake.cancel(stocktakeId);
+
+        this.sendResponse(
+          res,
+          await this.Stocktake.findWithLines(stocktakeId),
+          constants.SUCCESS_MESSAGES.STOCKTAKE.CANCELLED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * ID of the :id route parameter
+   */
+  parseStocktakeId(req) {
+    const stocktakeId = parseInt(req.params.id);
+
+    this.validateRequest(
+      { id: stocktakeId },
+      {
+        id: {
+          required: true,
+          type: 'integer',
+          min: 1
+        }
+      }
+    );
+
+    return stocktakeId;
+  }
+
+  /**
+   * Variant ID of each count, looking scanned SKUs up (variant_id wins when both are sent)
+   */
+  async resolveVariants(counts) {
+    const skus = [...new Set(counts.filter(count => !count.variant_id).map(count => count.sku))];
+    const bySku = new Map((await this.ShoeVariant.findBySkus(skus)).map(variant => [variant.sku, variant.variant_id]));
+
+    const unknown = skus.filter(sku => !bySku.has(sku));
+    if (unknown.length > 0) {
+      throw new NotFoundError(`SKU ${unknown.join(', ')}`);
+    }
+
+    return counts.map(count => count.variant_id || bySku.get(count.sku));
+  }
+}
+
+export default StocktakeController;
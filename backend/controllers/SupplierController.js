@@ -0,0 +1,210 @@
+// backend/controllers/SupplierController.js
+// 🚚 Supplier Controller - suppliers of imported stock (Seller only)
+// Suppliers are deactivated rather than deleted, as imports reference them.
+
+import BaseController from '../utils/BaseController.js';
+import constants, { STAFF_ROLES } from '../../config/constants.js';
+import { NotFoundError } from '../utils/ErrorClasses.js';
+
+// Columns a seller may write
+const SUPPLIER_FIELDS = ['supplier_name', 'contact_email', 'phone', 'address', 'lead_time_days', 'is_active'];
+
+class SupplierController extends BaseController {
+  constructor() {
+    super();
+    this.Supplier = null;
+  }
+
+  setModels(models) {
+    this.Supplier = models.Supplier;
+  }
+
+  /**
+   * GET /api/suppliers
+   * List suppliers by name with their import statistics
+   * (?search= on name, email or phone, ?is_active=true|false)
+   */
+  async getSuppliers(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        this.requireRole(req, STAFF_ROLES);
+        const pagination = this.getPaginationParams(req, { sort: 'supplier_name' });
+        const { search, is_active } = req.query;
+
+        this.validateRequest({ search }, {
+          search: { required: false, type: 'string', maxLength: 100 }
+        });
+
+        const result = await this.Supplier.findAll({
+          search,
+          isActive: is_active === undefined ? undefined : is_active === 'true',
+          page: pagination.page,
+          limit: pagination.limit
+        });
+
+        const stats = await this.Supplier.getStats(result.data.map(supplier => supplier.supplier_id));
+
+        this.sendPaginatedResponse(
+          res,
+          {
+            ...result,
+            data: result.data.map(supplier => ({ ...supplier, stats: stats.get(supplier.supplier_id) }))
+          },
+          pagination,
+          constants.SUCCESS_MESSAGES.SUPPLIER.FETCHED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * GET /api/suppliers/:id
+   * Get a supplier with its import statistics: units imported, spend,
+   * last import date and the shoes it supplies
+   */
+  async getSupplier(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        this.requireRole(req, STAFF_ROLES);
+        const supplier = await this.loadSupplier(req);
+        const stats = await this.Supplier.getStats([supplier.supplier_id]);
+
+        this.sendResponse(
+          res,
+          { ...supplier, stats: stats.get(supplier.supplier_id) },
+          'Supplier fetched successfully'
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * POST /api/suppliers
+   * Create a supplier
+   */
+  async createSupplier(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        this.requireRole(req, STAFF_ROLES);
+        const data = this.pickFields(req.body);
+
+        this.validateRequest(data, this.getValidationRules(true));
+
+        const supplier = await this.Supplier.createSupplier(data);
+
+        this.sendResponse(
+          res,
+          supplier,
+          constants.SUCCESS_MESSAGES.SUPPLIER.CREATED,
+          constants.HTTP_STATUS.CREATED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * PUT /api/suppliers/:id
+   * Update a supplier (is_active: true reactivates it)
+   */
+  async updateSupplier(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        this.requireRole(req, STAFF_ROLES);
+        const current = await this.loadSupplier(req);
+        const updates = this.pickFields(req.body);
+
+        this.validateRequest(updates, this.getValidationRules(false));
+
+        const supplier = await this.Supplier.updateSupplier(current.supplier_id, updates);
+
+        this.sendResponse(
+          res,
+          supplier,
+          constants.SUCCESS_MESSAGES.SUPPLIER.UPDATED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * DELETE /api/suppliers/:id
+   * Deactivate a supplier (its imports keep referencing it)
+   */
+  async deactivateSupplier(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        this.requireRole(req, STAFF_ROLES);
+        const current = await this.loadSupplier(req);
+
+        const supplier = await this.Supplier.updateSupplier(current.supplier_id, { is_active: false });
+
+        this.sendResponse(
+          res,
+          supplier,
+          constants.SUCCESS_MESSAGES.SUPPLIER.DEACTIVATED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Supplier of the :id route parameter, or NotFound
+   */
+  async loadSupplier(req) {
+    const supplierId = parseInt(req.params.id);
+
+    this.validateRequest(
+      { id: supplierId },
+      {
+        id: {
+          required: true,
+          type: 'integer',
+          min: 1
+        }
+      }
+    );
+
+    const supplier = await this.Supplier.findById(supplierId);
+    if (!supplier) {
+      throw new NotFoundError('Supplier');
+    }
+
+    return supplier;
+  }
+
+  pickFields(body = {}) {
+    return Object.fromEntries(
+      Object.entries(body)
+        .filter(([field]) => SUPPLIER_FIELDS.includes(field))
+        .map(([field, value]) => [field, typeof value === 'string' ? value.trim() : value])
+    );
+  }
+
+  getValidationRules(creating) {
+    return {
+      supplier_name: { required: creating, type: 'string', minLength: 2, maxLength: 100 },
+      contact_email: { required: false, type: 'email', maxLength: 100 },
+      phone: { required: false, type: 'string', maxLength: 20, pattern: constants.VALIDATION_RULES.PHONE },
+      address: { required: false, type: 'string', maxLength: 500 },
+      lead_time_days: {
+        required: false,
+        type: 'integer',
+        max: constants.REPLENISHMENT_CONFIG.MAX_DAYS,
+        custom: value => (value >= 0 ? null : 'lead_time_days must be at least 0')
+      },
+      is_active: { required: false, type: 'boolean' }
+    };
+  }
+}
+
+export default SupplierController;
@@ -4,15 +4,18 @@
 
 import BaseController from '../utils/BaseController.js';
 import constants from '../../config/constants.js';
+import stockUtils from '../utils/stock.js';
 
 class VariantController extends BaseController {
   constructor() {
     super();
     this.ShoeVariant = null;
+    this.StockMovement = null;
   }
 
   setModels(models) {
     this.ShoeVariant = models.ShoeVariant;
+    this.StockMovement = models.StockMovement;
   }
 
   /**
@@ -112,6 +115,11 @@ class VariantController extends BaseController {
             required: false,
             type: 'number',
             min: 0
+          },
+          low_stock_threshold: {
+            required: false,
+            type: 'integer',
+            custom: value => (value >= 0 ? null : 'low_stock_threshold must be at least 0')
           }
         });
 
@@ -173,6 +181,11 @@ class VariantController extends BaseController {
               required: false,
               type: 'number',
               min: 0
+            },
+            low_stock_threshold: {
+              required: false,
+              type: 'integer',
+              custom: value => (value >= 0 ? null : 'low_stock_threshold must be at least 0')
             }
           }
         );
@@ -216,18 +229,19 @@ class VariantController extends BaseController {
 
   /**
    * PATCH /api/variants/:id/stock
-   * Update stock
+   * Update the stock at location_id (the default location when omitted), recorded as an
+   * adjustment movement with the optional note
    */
   async updateStock(req, res) {
     return this.handleRequest(req, res, async () => {
       try {
-        this.requireRole(req, ['seller', 'admin']);
+        const user = this.requireRole(req, ['seller', 'admin']);
 
         const { id } = req.params;
-        const { quantity, operation = 'set' } = req.body;
+        const { quantity, operation = 'set', note, location_id } = req.body;
 
         this.validateRequest(
-          { id: parseInt(id), quantity: parseInt(quantity) },
+          { id: parseInt(id), quantity: parseInt(quantity), note, location_id },
           {
             id: {
               required: true,
@@ -238,6 +252,16 @@ class VariantController extends BaseController {
               required: true,
               type: 'integer',
               min: 0
+            },
+            note: {
+              required: false,
+              type: 'string',
+              maxLength: 500
+            },
+            location_id: {
+              required: false,
+              type: 'integer',
+              min: 1
             }
           }
         );
@@ -245,7 +269,7 @@ class VariantController extends BaseController {
         if (!['set', 'add', 'subtract'].includes(operation)) {
           this.sendError(
             res,
-            'operation must be "set", "add", or "subtract"',
+            constants.ERROR_MESSAGES.INVENTORY.INVALID_OPERATION,
             constants.HTTP_STATUS.BAD_REQUEST
           );
           return;
@@ -254,7 +278,14 @@ class VariantController extends BaseController {
         const updatedVariant = await this.ShoeVariant.updateStock(
           parseInt(id),
           parseInt(quantity),
-          operation
+          operation,
+          {
+            type: constants.STOCK_MOVEMENT_TYPES.ADJUSTMENT,
+            locationId: location_id || null,
+            referenceType: 'manual',
+            createdBy: user.id,
+            note: note || null
+          }
         );
 
         this.sendResponse(
@@ -268,6 +299,110 @@ class VariantController extends BaseController {
     });
   }
 
+  /**
+   * GET /api/variants/:id/movements
+   * Stock movements of a variant, newest first (Admin/Seller only), optionally of one ?type=
+   * and at one ?location_id=
+   */
+  async getMovements(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        this.requireRole(req, ['seller', 'admin']);
+
+        const variantId = parseInt(req.params.id);
+        const locationId = req.query.location_id ? parseInt(req.query.location_id) : undefined;
+
+        this.validateRequest(
+          { id: variantId, type: req.query.type, location_id: locationId },
+          {
+            id: {
+              required: true,
+              type: 'integer',
+              min: 1
+            },
+            type: {
+              required: false,
+              type: 'string',
+              enum: Object.values(constants.STOCK_MOVEMENT_TYPES)
+            },
+            location_id: {
+              required: false,
+              type: 'integer',
+              min: 1
+            }
+          }
+        );
+
+        const variant = await this.ShoeVariant.findById(variantId);
+        if (!variant) {
+          this.sendError(
+            res,
+            'Variant not found',
+            constants.HTTP_STATUS.NOT_FOUND
+          );
+          return;
+        }
+
+        const pagination = this.getPaginationParams(req, { sort: 'movement_id' });
+        const result = await this.StockMovement.findByVariant(variantId, {
+          type: req.query.type,
+          locationId,
+          page: pagination.page,
+          limit: pagination.limit
+        });
+
+        this.sendPaginatedResponse(
+          res,
+          result,
+          pagination,
+          constants.SUCCESS_MESSAGES.INVENTORY.MOVEMENTS_FETCHED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * GET /api/variants/stock-drift
+   * Rebuild stock from the movement ledger and list variants whose cached
+   * stock_quantity differs (Admin/Seller only), optionally only ?variant_id=
+   */
+  async getStockDrift(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        this.requireRole(req, ['seller', 'admin']);
+
+        const variantId = req.query.variant_id !== undefined ? parseInt(req.query.variant_id) : undefined;
+
+        this.validateRequest(
+          { variant_id: variantId },
+          {
+            variant_id: {
+              required: false,
+              type: 'integer',
+              min: 1
+            }
+          }
+        );
+
+        const drifted = await this.StockMovement.findDrift(variantId ?? null);
+
+        this.sendResponse(
+          res,
+          {
+            checked_at: new Date().toISOString(),
+            in_sync: drifted.length === 0,
+            variants: drifted
+          },
+          constants.SUCCESS_MESSAGES.INVENTORY.DRIFT_CHECKED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
   /**
    * GET /api/variants/find
    * Find variant by composite key (shoe_id, color_id, size_id)
@@ -379,7 +514,7 @@ class VariantController extends BaseController {
       try {
         this.requireRole(req, ['seller', 'admin']);
 
-        const { threshold = 10 } = req.query;
+        const { threshold = constants.LOW_STOCK_ALERT_CONFIG.DEFAULT_THRESHOLD } = req.query;
 
         const variants = await this.ShoeVariant.findLowStock(parseInt(threshold));
 
@@ -533,9 +668,11 @@ class VariantController extends BaseController {
           }
         );
 
+        // The caller's own cart holds still count as available to it
         const stockInfo = await this.ShoeVariant.checkStock(
           parseInt(id),
-          parseInt(quantity)
+          parseInt(quantity),
+          stockUtils.resolveHolderKey(req.user, req.headers['x-cart-token'])
         );
 
         this.sendResponse(
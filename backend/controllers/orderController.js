@@ -1,40 +1,581 @@
+// backend/controllers/orderController.js
 // 🛒 Order Controller - CRUD orders
 // Handles order management and processing
 
-class OrderController {
-    constructor() {
-        // Initialize order controller
+import BaseController from '../utils/BaseController.js';
+import constants, { STAFF_ROLES } from '../../config/constants.js';
+import paymentGateway from '../utils/payments.js';
+import pricing from '../utils/pricing.js';
+import shippingUtils from '../utils/shipping.js';
+import stockUtils from '../utils/stock.js';
+import { BusinessLogicError, NotFoundError, ValidationError } from '../utils/ErrorClasses.js';
+
+class OrderController extends BaseController {
+  constructor() {
+    super();
+    this.Order = null;
+    this.ShoeVariant = null;
+    this.Address = null;
+    this.OrderStatusHistory = null;
+    this.Cart = null;
+    this.CartItem = null;
+    this.Payment = null;
+    this.Refund = null;
+    this.CodCollection = null;
+    this.Promotion = null;
+  }
+
+  setModels(models) {
+    this.Order = models.Order;
+    this.ShoeVariant = models.ShoeVariant;
+    this.Address = models.Address;
+    this.OrderStatusHistory = models.OrderStatusHistory;
+    this.Cart = models.Cart;
+    this.CartItem = models.CartItem;
+    this.Payment = models.Payment;
+    this.Refund = models.Refund;
+    this.CodCollection = models.CodCollection;
+    this.Promotion = models.Promotion;
+  }
+
+  /**
+   * GET /api/orders
+   * Customers get their own orders, sellers get all orders
+   */
+  async getOrders(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const user = this.requireAuth(req);
+        const pagination = this.getPaginationParams(req, { sort: 'order_date' });
+        const { status } = req.query;
+
+        if (status && !Object.values(constants.ORDER_STATUS).includes(status)) {
+          this.sendError(
+            res,
+            constants.ERROR_MESSAGES.ORDER.INVALID_STATUS,
+            constants.HTTP_STATUS.BAD_REQUEST
+          );
+          return;
+        }
+
+        const options = { page: pagination.page, limit: pagination.limit, orderDirection: pagination.order };
+        const result = STAFF_ROLES.includes(user.role)
+          ? await this.Order.findByStatus(status, options)
+          : await this.Order.findByUserId(user.id, { ...options, status });
+
+        this.sendPaginatedResponse(
+          res,
+          result,
+          pagination,
+          'Orders fetched successfully'
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * GET /api/orders/:id
+   * Get specific order with items (owner or seller)
+   */
+  async getOrder(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const order = await this.loadAccessibleOrder(req);
+
+        this.sendResponse(
+          res,
+          order,
+          'Order fetched successfully'
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * POST /api/orders
+   * Place an order. Lines are priced, discounted and taxed server-side and stock is
+   * decremented atomically with the insert, from the location picked by the fulfilment rule. The buyer's cart holds become the sale.
+   * Without coupon_code the coupon entered on the cart is used; a coupon that does
+   * not apply fails the order instead of silently charging the full price.
+   */
+  async createOrder(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const user = this.requireAuth(req);
+
+        this.validateRequest(req.body, {
+          address_id: {
+            required: true,
+            type: 'integer',
+            min: 1
+          },
+          items: {
+            required: true,
+            type: 'array',
+            minItems: 1
+          },
+          notes: {
+            required: false,
+            type: 'string',
+            maxLength: 500
+          }
+        });
+
+        const holderKey = stockUtils.resolveHolderKey(user);
+        const cart = await this.Cart.findActive({ userId: user.id });
+        const { address, quote } = await this.prepareCheckout(user, {
+          ...req.body,
+          coupon_code: req.body.coupon_code ?? cart?.coupon_code ?? undefined
+        }, holderKey);
+
+        if (quote.coupon && !quote.coupon.applied) {
+          throw new BusinessLogicError(constants.ERROR_MESSAGES.PROMOTION.COUPON_NOT_APPLICABLE, quote.coupon);
+        }
+
+        const order = await this.Order.createWithItems({
+          user_id: user.id,
+          address_id: req.body.address_id,
+          total_amount: quote.total_amount,
+          shipping_cost: quote.shipping_cost,
+          shipping_method: quote.shipping.method,
+          tax_amount: quote.tax_amount,
+          prices_include_tax: quote.prices_include_tax,
+          tax_jurisdiction: quote.tax_jurisdiction,
+          tax_lines: quote.tax_lines,
+          discount_amount: quote.discount_amount,
+          shipping_discount: quote.shipping_discount,
+          promotions: quote.promotions.map(promotion => ({
+            promotion_id: promotion.promotion_id,
+            code: promotion.code,
+            discount_amount: promotion.discount_amount,
+            shipping_discount: promotion.shipping_discount
+          })),
+          notes: req.body.notes || null,
+          holder_key: holderKey,
+          fulfilment_rule: constants.INVENTORY_CONFIG.FULFILMENT_RULE,
+          fulfilment_province: shippingUtils.normalizeProvince(address?.state) || null
+        }, quote.lines);
+
+        // Ordered lines leave the buyer's cart, and so does a redeemed coupon
+        if (cart) {
+          await this.CartItem.removeVariants(cart.cart_id, quote.lines.map(line => line.variant_id));
+          if (cart.coupon_code && quote.coupon?.applied) {
+            await this.Cart.setCouponCode(cart.cart_id, null);
+          }
+        }
+
+        const createdOrder = await this.Order.findWithItems(order.order_id);
+
+        this.sendResponse(
+          res,
+          createdOrder,
+          constants.SUCCESS_MESSAGES.ORDER.CREATED,
+          constants.HTTP_STATUS.CREATED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * POST /api/orders/quote
+   * Price, discount, ship and tax a checkout without placing it. Same body as POST /api/orders;
+   * address_id is optional and selects the shipping zone and tax jurisdiction.
+   * A coupon that does not apply is reported in coupon.reason rather than refused.
+   */
+  async quoteOrder(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const user = this.requireAuth(req);
+
+        this.validateRequest(req.body, {
+          address_id: {
+            required: false,
+            type: 'integer',
+            min: 1
+          },
+          items: {
+            required: true,
+            type: 'array',
+            minItems: 1
+          }
+        });
+
+        const { quote } = await this.prepareCheckout(user, req.body, stockUtils.resolveHolderKey(user));
+
+        this.sendResponse(
+          res,
+          quote,
+          constants.SUCCESS_MESSAGES.ORDER.QUOTED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * PUT /api/orders/:id/status
+   * Move an order to its next status (Seller only). Shipping may set { courier, tracking_number },
+   * which cash on delivery orders need; delivering a cash on delivery order records the cash to collect.
+   */
+  async updateOrderStatus(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const user = this.requireRole(req, STAFF_ROLES);
+        const { id } = req.params;
+
+        this.validateRequest(
+          { ...req.body, id: parseInt(id) },
+          {
+            id: {
+              required: true,
+              type: 'integer',
+              min: 1
+            },
+            status: {
+              required: true,
+              type: 'string',
+              enum: Object.values(constants.ORDER_STATUS)
+            },
+            note: {
+              required: false,
+              type: 'string',
+              maxLength: 500
+            },
+            courier: {
+              required: false,
+              type: 'string',
+              enum: Object.values(constants.COURIERS)
+            },
+            tracking_number: {
+              required: false,
+              type: 'string',
+              maxLength: 100
+            }
+          }
+        );
+
+        if (req.body.status === constants.ORDER_STATUS.CANCELLED) {
+          const result = await this.performCancellation(parseInt(id), user, req.body.note || null);
+
+          this.sendResponse(
+            res,
+            result,
+            constants.SUCCESS_MESSAGES.ORDER.CANCELLED
+          );
+          return;
+        }
+
+        const orderId = parseInt(id);
+        const codPayment = [constants.ORDER_STATUS.SHIPPED, constants.ORDER_STATUS.DELIVERED].includes(req.body.status)
+          ? await this.findPayOnDeliveryPayment(orderId)
+          : null;
+
+        if (req.body.status === constants.ORDER_STATUS.SHIPPED) {
+          await this.prepareShipment(orderId, req.body, codPayment);
+        }
+
+        const updatedOrder = await this.Order.updateStatus(orderId, req.body.status, {
+          changedBy: user.id,
+          note: req.body.note || null
+        });
+
+        const codCollection = req.body.status === constants.ORDER_STATUS.DELIVERED && codPayment
+          ? await this.CodCollection.recordDelivery(codPayment, await this.Order.findById(orderId))
+          : null;
+
+        this.sendResponse(
+          res,
+          codCollection ? { ...updatedOrder, cod_collection: codCollection } : updatedOrder,
+          constants.SUCCESS_MESSAGES.ORDER.STATUS_UPDATED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * GET /api/orders/:id/history
+   * Status timeline of an order (owner or seller)
+   */
+  async getOrderHistory(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const order = await this.loadAccessibleOrder(req);
+        const history = await this.OrderStatusHistory.findByOrderId(order.order_id);
+
+        this.sendResponse(
+          res,
+          history,
+          'Order history fetched successfully'
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * GET /api/orders/:id/invoice
+   * Invoice with the tax breakdown stored at checkout (owner or seller)
+   */
+  async getOrderInvoice(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const order = await this.loadAccessibleOrder(req);
+
+        this.sendResponse(
+          res,
+          this.Order.buildInvoice(order),
+          constants.SUCCESS_MESSAGES.ORDER.INVOICE
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * PUT /api/orders/:id/cancel
+   * Cancel an order before it ships (owner or seller). Repeating the call is harmless.
+   */
+  async cancelOrder(req, res) {
+    return this.handleRequest(req, res, async () => {
+      try {
+        const user = this.requireAuth(req);
+
+        this.validateRequest(req.body || {}, {
+          reason: {
+            required: false,
+            type: 'string',
+            maxLength: 500
+          }
+        });
+
+        const order = await this.loadAccessibleOrder(req);
+        const result = await this.performCancellation(order.order_id, user, req.body?.reason || null);
+
+        this.sendResponse(
+          res,
+          result,
+          constants.SUCCESS_MESSAGES.ORDER.CANCELLED
+        );
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Cancel an order and refund what is left on its completed payments.
+   * Refunds run on every call so a retry finishes an interrupted cancellation.
+   */
+  async performCancellation(orderId, user, reason) {
+    const cancelledNow = await this.Order.cancel(orderId, { cancelledBy: user.id, reason });
+
+    const payments = await this.Payment.findByOrderId(orderId);
+    const refunds = [];
+    for (const payment of payments) {
+      if (constants.REFUNDABLE_PAYMENT_STATUSES.includes(payment.status)) {
+        const refund = await this.Refund.issue(payment, {
+          full: true,
+          reason: reason || 'order_cancelled',
+          createdBy: user.id
+        });
+        if (refund) refunds.push(refund);
+      }
     }
 
-    // Get all orders for user
-    async getOrders(req, res) {
-        // TODO: Implement get orders logic
-        res.status(501).json({ message: 'Get orders endpoint not implemented yet' });
+    const order = await this.Order.findWithItems(orderId);
+    const refundedPaymentIds = new Set(refunds.map(refund => refund.payment_id));
+
+    return {
+      order,
+      already_cancelled: !cancelledNow,
+      restocked: cancelledNow ? stockUtils.restoreStockAfterCancellation(order.order_items) : [],
+      refunded_payments: (await this.Payment.findByOrderId(orderId))
+        .filter(payment => refundedPaymentIds.has(payment.payment_id)),
+      refunds
+    };
+  }
+
+  /**
+   * Store the courier and tracking number of an order about to ship.
+   * Cash on delivery orders cannot ship without a courier, who collects the cash.
+   */
+  async prepareShipment(orderId, body, codPayment) {
+    const order = await this.Order.findById(orderId);
+    if (!order) throw new NotFoundError(`Order ${orderId}`);
+
+    const courier = body.courier || order.courier;
+    if (codPayment && !courier) {
+      throw new ValidationError(constants.ERROR_MESSAGES.COD.COURIER_REQUIRED, [
+        { field: 'courier', message: `courier is required, one of: ${Object.values(constants.COURIERS).join(', ')}` }
+      ]);
     }
 
-    // Get specific order
-    async getOrder(req, res) {
-        // TODO: Implement get order logic
-        res.status(501).json({ message: 'Get order endpoint not implemented yet' });
+    if (body.courier || body.tracking_number) {
+      await this.Order.setShipment(orderId, {
+        courier,
+        trackingNumber: body.tracking_number || order.tracking_number
+      });
     }
+  }
 
-    // Create new order
-    async createOrder(req, res) {
-        // TODO: Implement create order logic
-        res.status(501).json({ message: 'Create order endpoint not implemented yet' });
+  // Pending payment of an order that is paid on delivery (cash on delivery), if any
+  async findPayOnDeliveryPayment(orderId) {
+    const payments = await this.Payment.findByOrderId(orderId);
+    return payments.find(payment => (
+      payment.status === constants.PAYMENT_STATUS.PENDING &&
+      paymentGateway.hasProvider(payment.provider) &&
+      paymentGateway.getProvider(payment.provider).payOnDelivery
+    )) || null;
+  }
+
+  /**
+   * Validate checkout lines, check stock and price them with promotions, shipping and tax.
+   * The address (when given) must belong to the user; it selects the shipping
+   * zone and the tax jurisdiction.
+   */
+  async prepareCheckout(user, body, holderKey) {
+    this.validateRequest(body, {
+      shipping_method: {
+        required: false,
+        type: 'string',
+        enum: Object.keys(constants.SHIPPING_METHODS)
+      },
+      coupon_code: {
+        required: false,
+        type: 'string',
+        maxLength: 50
+      }
+    });
+
+    for (const item of body.items) {
+      this.validateRequest(item, {
+        variant_id: {
+          required: true,
+          type: 'integer',
+          min: 1
+        },
+        quantity: {
+          required: true,
+          type: 'integer',
+          min: 1
+        }
+      });
     }
 
-    // Update order status
-    async updateOrderStatus(req, res) {
-        // TODO: Implement update order status logic
-        res.status(501).json({ message: 'Update order status endpoint not implemented yet' });
+    let address = null;
+    if (body.address_id) {
+      address = await this.Address.findById(body.address_id);
+      if (!address || address.user_id !== user.id) {
+        throw new NotFoundError('Address');
+      }
     }
 
-    // Cancel order
-    async cancelOrder(req, res) {
-        // TODO: Implement cancel order logic
-        res.status(501).json({ message: 'Cancel order endpoint not implemented yet' });
+    const items = pricing.normalizeItems(body.items);
+    const variants = await this.ShoeVariant.findByIds(items.map(item => item.variant_id));
+
+    const unavailable = this.checkLines(items, variants, holderKey).filter(line => !line.available);
+    if (unavailable.length > 0) {
+      throw new BusinessLogicError(
+        constants.ERROR_MESSAGES.PRODUCT.INSUFFICIENT_STOCK,
+        unavailable
+      );
     }
+
+    const { subtotal } = pricing.priceLines(items, variants);
+    const shipping = shippingUtils.quote(body.shipping_method || constants.SHIPPING_CONFIG.DEFAULT_METHOD, {
+      province: address?.state,
+      subtotal,
+      itemCount: items.reduce((sum, item) => sum + item.quantity, 0)
+    });
+
+    if (!shipping) {
+      throw new BusinessLogicError(constants.ERROR_MESSAGES.SHIPPING.METHOD_UNAVAILABLE, {
+        shipping_method: body.shipping_method,
+        province: address?.state || null
+      });
+    }
+
+    const { promotions, context } = await this.Promotion.loadApplicable({
+      code: body.coupon_code || null,
+      userId: user.id
+    });
+
+    return {
+      address,
+      quote: {
+        ...pricing.quoteOrder(items, variants, {
+          address,
+          shippingCost: shipping.cost,
+          promotions,
+          promotionContext: context,
+          couponCode: body.coupon_code || null
+        }),
+        shipping
+      }
+    };
+  }
+
+  /**
+   * Load an order the current user may see.
+   * Other customers' orders are reported as not found rather than forbidden.
+   */
+  async loadAccessibleOrder(req) {
+    const user = this.requireAuth(req);
+    const { id } = req.params;
+
+    this.validateRequest(
+      { id: parseInt(id) },
+      {
+        id: {
+          required: true,
+          type: 'integer',
+          min: 1
+        }
+      }
+    );
+
+    const order = await this.Order.findWithItems(parseInt(id));
+    if (STAFF_ROLES.includes(user.role)) {
+      return order;
+    }
+    if (order.user_id !== user.id) {
+      throw new NotFoundError(`Order ${id}`);
+    }
+
+    // The cost of goods sold snapshot is for sellers only
+    order.order_items = (order.order_items || []).map(({ unit_cost, ...item }) => item);
+    return order;
+  }
+
+  /**
+   * Stock check per requested line, in ShoeVariant.checkStock format.
+   * Missing variants and variants of inactive shoes count as zero stock,
+   * holds of other carts are not available to this buyer.
+   */
+  checkLines(items, variants, holderKey = null) {
+    const variantMap = new Map(variants.map(v => [v.variant_id, v]));
+
+    return items.map(item => {
+      const variant = variantMap.get(item.variant_id);
+      const sellable = variant && variant.shoes?.is_active !== false ? variant : null;
+
+      return {
+        variant_id: item.variant_id,
+        ...this.ShoeVariant.buildStockCheck(sellable, item.quantity, holderKey)
+      };
+    });
+  }
 }
 
-export default OrderController;
\ No newline at end of file
+export default OrderController;
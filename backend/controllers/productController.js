@@ -145,6 +145,11 @@ class ProductController extends BaseController {
           image_url: {
             required: false,
             type: 'string'
+          },
+          low_stock_threshold: {
+            required: false,
+            type: 'integer',
+            custom: value => (value >= 0 ? null : 'low_stock_threshold must be at least 0')
           }
         });
 
@@ -194,6 +199,11 @@ class ProductController extends BaseController {
               required: false,
               type: 'number',
               min: 0
+            },
+            low_stock_threshold: {
+              required: false,
+              type: 'integer',
+              custom: value => (value >= 0 ? null : 'low_stock_threshold must be at least 0')
             }
           }
         );
@@ -14,8 +14,8 @@ class CorsMiddleware {
             res.setHeader('Access-Control-Allow-Origin', origin);
         }
         
-        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Cart-Token');
         res.setHeader('Access-Control-Allow-Credentials', 'true');
         
         if (req.method === 'OPTIONS') {
@@ -5,7 +5,7 @@ import BaseModel from '../utils/BaseModel.js';
 
 class Address extends BaseModel {
     constructor() {
-        super('addresses');
+        super('addresses', 'address_id');
     }
 
     // Get addresses by user ID
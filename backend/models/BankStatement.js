@@ -0,0 +1,150 @@
+// 🏦 Bank Statement Model - bank_statements and bank_statement_lines tables
+// Uploaded bank statements and the transfers on them, matched to bank transfer payments
+
+import createSupabaseConfig from '../../config/supabase.js';
+import BaseModel from '../utils/BaseModel.js';
+import constants from '../../config/constants.js';
+import { DatabaseError } from '../utils/ErrorClasses.js';
+
+const supabaseConfig = createSupabaseConfig();
+
+const LINE_SELECT = `
+    *,
+    payments (
+        payment_id,
+        order_id,
+        payment_amount,
+        status,
+        transaction_id
+    )
+`;
+
+class BankStatement extends BaseModel {
+    constructor() {
+        super(constants.DATABASE_TABLES.BANK_STATEMENTS, 'statement_id');
+        this.linesTable = constants.DATABASE_TABLES.BANK_STATEMENT_LINES;
+    }
+
+    // Record an uploaded statement (its counts are filled in by updateCounts)
+    async createStatement(statementData) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .insert([statementData])
+            .select()
+            .single();
+
+        if (error) throw new DatabaseError(`Failed to create bank statement: ${error.message}`, error);
+        return data;
+    }
+
+    async updateCounts(statementId, counts) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .update(counts)
+            .eq(this.primaryKey, statementId)
+            .select()
+            .single();
+
+        if (error) throw new DatabaseError(`Failed to update bank statement: ${error.message}`, error);
+        return data;
+    }
+
+    // Uploaded statements, newest first
+    async findStatements({ page = 1, limit = 20 } = {}) {
+        const offset = (page - 1) * limit;
+
+        const { data, error, count } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .select('*', { count: 'exact' })
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (error) throw new DatabaseError(`Failed to fetch bank statements: ${error.message}`, error);
+
+        return {
+            data: data || [],
+            total: count || 0,
+            page,
+            limit,
+            totalPages: Math.ceil((count || 0) / limit)
+        };
+    }
+
+    /**
+     * Store the lines of a statement. Lines whose fingerprint was imported before
+     * are left out, so only the new lines are returned (in line order).
+     */
+    async insertLines(statementId, lines) {
+        if (lines.length === 0) return [];
+
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.linesTable)
+            .upsert(
+                lines.map(line => ({ ...line, statement_id: statementId })),
+                { onConflict: 'fingerprint', ignoreDuplicates: true }
+            )
+            .select();
+
+        if (error) throw new DatabaseError(`Failed to store bank statement lines: ${error.message}`, error);
+        return (data || []).sort((a, b) => a.line_number - b.line_number);
+    }
+
+    // Statement lines with their payment, by status and/or statement; oldest first
+    async findLines({ status, statementId, page = 1, limit = 20 } = {}) {
+        const offset = (page - 1) * limit;
+
+        let query = supabaseConfig.getAdminClient()
+            .from(this.linesTable)
+            .select(LINE_SELECT, { count: 'exact' })
+            .order('created_at', { ascending: true })
+            .order('line_number', { ascending: true })
+            .range(offset, offset + limit - 1);
+
+        if (status) query = query.eq('status', status);
+        if (statementId) query = query.eq('statement_id', statementId);
+
+        const { data, error, count } = await query;
+        if (error) throw new DatabaseError(`Failed to fetch bank statement lines: ${error.message}`, error);
+
+        return {
+            data: data || [],
+            total: count || 0,
+            page,
+            limit,
+            totalPages: Math.ceil((count || 0) / limit)
+        };
+    }
+
+    async findLineById(lineId) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.linesTable)
+            .select(LINE_SELECT)
+            .eq('line_id', lineId)
+            .maybeSingle();
+
+        if (error) throw new DatabaseError(`Failed to fetch bank statement line: ${error.message}`, error);
+        return data;
+    }
+
+    /**
+     * Update a line, only if it is still in fromStatus.
+     * Returns the updated line, or null when it had already moved on.
+     */
+    async updateLine(lineId, fields, fromStatus = null) {
+        let query = supabaseConfig.getAdminClient()
+            .from(this.linesTable)
+            .update(fields)
+            .eq('line_id', lineId);
+
+        if (fromStatus) {
+            query = query.eq('status', fromStatus);
+        }
+
+        const { data, error } = await query.select(LINE_SELECT).maybeSingle();
+
+        if (error) throw new DatabaseError(`Failed to update bank statement line: ${error.message}`, error);
+        return data;
+    }
+}
+
+export default BankStatement;
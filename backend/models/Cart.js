@@ -0,0 +1,219 @@
+// 🛍️ Cart Model - carts table
+// Server-side carts for signed-in users and guests (by cart token)
+
+import createSupabaseConfig from '../../config/supabase.js';
+import BaseModel from '../utils/BaseModel.js';
+import constants from '../../config/constants.js';
+import pricing from '../utils/pricing.js';
+import promotionUtils from '../utils/promotions.js';
+import stockUtils from '../utils/stock.js';
+import { DatabaseError } from '../utils/ErrorClasses.js';
+
+const supabaseConfig = createSupabaseConfig();
+
+// Cart with its lines and everything needed to price and stock-check them
+const CART_DETAIL_SELECT = `
+    *,
+    cart_items (
+        *,
+        shoe_variants (
+            *,
+            shoes (shoe_id, shoe_name, base_price, image_url, category_id, is_active),
+            colors (color_id, color_name, hex_code),
+            sizes (size_id, size_value, size_type),
+            ${stockUtils.HOLDS_SELECT}
+        )
+    )
+`;
+
+class Cart extends BaseModel {
+    constructor() {
+        super(constants.DATABASE_TABLES.CARTS, 'cart_id');
+    }
+
+    /**
+     * Active cart of an owner
+     * @param {Object} owner - { userId } for signed-in users, { guestToken } for guests
+     */
+    async findActive({ userId = null, guestToken = null }) {
+        let query = supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .select('*')
+            .eq('status', 'active');
+
+        query = userId
+            ? query.eq('user_id', userId)
+            : query.eq('guest_token', guestToken).is('user_id', null);
+
+        const { data, error } = await query.maybeSingle();
+
+        if (error) throw new DatabaseError(`Failed to fetch cart: ${error.message}`, error);
+        return data;
+    }
+
+    // Active cart of an owner, created on first use
+    async getOrCreate(owner) {
+        const existing = await this.findActive(owner);
+        if (existing) return existing;
+
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .insert(owner.userId ? { user_id: owner.userId } : { guest_token: owner.guestToken })
+            .select()
+            .single();
+
+        if (error) {
+            // Another request created it first (one active cart per owner)
+            if (error.code === '23505') return this.findActive(owner);
+            throw new DatabaseError(`Failed to create cart: ${error.message}`, error);
+        }
+
+        return data;
+    }
+
+    // Cart with items, variants and their active holds
+    async findWithItems(cartId) {
+        const query = supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .select(CART_DETAIL_SELECT)
+            .eq(this.primaryKey, cartId);
+
+        const { data, error } = await stockUtils.withActiveHolds(query, 'cart_items.shoe_variants.').single();
+
+        if (error) throw new DatabaseError(`Failed to fetch cart items: ${error.message}`, error);
+        return data;
+    }
+
+    /**
+     * Merge a guest cart (and its stock holds) into the user's cart.
+     * Safe to call repeatedly: a merged guest cart is no longer active.
+     */
+    async mergeGuest(guestToken, userId) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .rpc('merge_guest_cart', {
+                p_guest_token: guestToken,
+                p_user_id: userId
+            });
+
+        if (error) throw new DatabaseError(`Failed to merge guest cart: ${error.message}`, error);
+        return data;
+    }
+
+    // Set or clear (null) the coupon entered on a cart
+    async setCouponCode(cartId, code) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .update({ coupon_code: code })
+            .eq(this.primaryKey, cartId)
+            .select()
+            .single();
+
+        if (error) throw new DatabaseError(`Failed to update cart coupon: ${error.message}`, error);
+        return data;
+    }
+
+    /**
+     * Cart as returned by the API: lines with live price, stock status and warnings.
+     * With promotion data, purchasable lines also carry their share of each discount.
+     * @param {Object} cart - Result of findWithItems
+     * @param {string} holderKey - The cart's own holds count as available to it
+     * @param {Object} promotionData - Result of Promotion.loadApplicable (optional)
+     */
+    buildSummary(cart, holderKey, promotionData = null) {
+        const lines = (cart.cart_items || [])
+            .sort((a, b) => a.cart_item_id - b.cart_item_id)
+            .map(item => this._buildLine(item, holderKey));
+
+        const purchasable = lines.filter(line => line.warnings.every(
+            warning => warning.code === constants.CART_WARNINGS.PRICE_CHANGED
+        ));
+        const subtotal = pricing.roundAmount(purchasable.reduce((sum, line) => sum + line.line_total, 0));
+
+        const discounts = promotionUtils.apply(
+            purchasable.map(line => ({
+                variant_id: line.variant_id,
+                shoe_id: line.variant.shoes?.shoe_id,
+                category_id: line.variant.shoes?.category_id,
+                quantity: line.quantity,
+                price_per_unit: line.unit_price,
+                line_total: line.line_total
+            })),
+            {
+                promotions: promotionData?.promotions || [],
+                couponCode: cart.coupon_code,
+                context: promotionData?.context || {}
+            }
+        );
+        const discountByVariant = new Map(discounts.lines.map(line => [line.variant_id, line.discount_amount]));
+
+        return {
+            cart_id: cart.cart_id,
+            items: lines.map(line => {
+                const discount = discountByVariant.get(line.variant_id) || 0;
+                return {
+                    ...line,
+                    discount_amount: discount,
+                    discounted_line_total: pricing.roundAmount(line.line_total - discount)
+                };
+            }),
+            item_count: lines.reduce((sum, line) => sum + line.quantity, 0),
+            subtotal,
+            discount_amount: discounts.discount_amount,
+            total: pricing.roundAmount(subtotal - discounts.discount_amount),
+            promotions: discounts.promotions,
+            coupon_code: cart.coupon_code || null,
+            coupon: discounts.coupon,
+            has_warnings: lines.some(line => line.warnings.length > 0),
+            updated_at: cart.updated_at
+        };
+    }
+
+    _buildLine(item, holderKey) {
+        const { stock_reservations, ...variant } = item.shoe_variants || {};
+        const active = item.shoe_variants?.is_active !== false && variant.shoes?.is_active !== false;
+        const unitPrice = pricing.resolveUnitPrice(variant);
+        const availableQuantity = active
+            ? stockUtils.calculateAvailableStock(item.shoe_variants, holderKey)
+            : 0;
+        const warnings = [];
+
+        if (!active) {
+            warnings.push({ code: constants.CART_WARNINGS.VARIANT_INACTIVE });
+        } else if (availableQuantity < item.quantity) {
+            warnings.push({
+                code: constants.CART_WARNINGS.INSUFFICIENT_STOCK,
+                available_quantity: availableQuantity
+            });
+        }
+
+        if (pricing.roundAmount(item.price_at_add) !== unitPrice) {
+            warnings.push({
+                code: constants.CART_WARNINGS.PRICE_CHANGED,
+                previous_price: pricing.roundAmount(item.price_at_add),
+                current_price: unitPrice
+            });
+        }
+
+        let stockStatus = constants.STOCK_STATUS.IN_STOCK;
+        if (availableQuantity === 0) {
+            stockStatus = constants.STOCK_STATUS.OUT_OF_STOCK;
+        } else if (availableQuantity < item.quantity) {
+            stockStatus = constants.STOCK_STATUS.INSUFFICIENT;
+        }
+
+        return {
+            cart_item_id: item.cart_item_id,
+            variant_id: item.variant_id,
+            quantity: item.quantity,
+            unit_price: unitPrice,
+            price_at_add: pricing.roundAmount(item.price_at_add),
+            line_total: pricing.roundAmount(unitPrice * item.quantity),
+            stock_status: stockStatus,
+            available_quantity: availableQuantity,
+            warnings,
+            variant
+        };
+    }
+}
+
+export default Cart;
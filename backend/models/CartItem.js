@@ -0,0 +1,84 @@
+// 🛍️ Cart Item Model - cart_items table
+// One line per variant in a cart
+
+import createSupabaseConfig from '../../config/supabase.js';
+import BaseModel from '../utils/BaseModel.js';
+import constants from '../../config/constants.js';
+import { DatabaseError } from '../utils/ErrorClasses.js';
+
+const supabaseConfig = createSupabaseConfig();
+
+class CartItem extends BaseModel {
+    constructor() {
+        super(constants.DATABASE_TABLES.CART_ITEMS, 'cart_item_id');
+    }
+
+    // Line of a variant in a cart (null when not in the cart)
+    async findByCartAndVariant(cartId, variantId) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .select('*')
+            .eq('cart_id', cartId)
+            .eq('variant_id', variantId)
+            .maybeSingle();
+
+        if (error) throw new DatabaseError(`Failed to fetch cart item: ${error.message}`, error);
+        return data;
+    }
+
+    // Get all lines of a cart
+    async findByCartId(cartId) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .select('*')
+            .eq('cart_id', cartId);
+
+        if (error) throw new DatabaseError(`Failed to fetch cart items: ${error.message}`, error);
+        return data || [];
+    }
+
+    /**
+     * Set the quantity of a variant in a cart, adding the line if needed.
+     * price_at_add is only written for new lines so price changes stay visible.
+     */
+    async setQuantity(cartId, variantId, quantity, priceAtAdd) {
+        const existing = await this.findByCartAndVariant(cartId, variantId);
+
+        const request = existing
+            ? supabaseConfig.getAdminClient()
+                .from(this.tableName)
+                .update({ quantity })
+                .eq(this.primaryKey, existing.cart_item_id)
+            : supabaseConfig.getAdminClient()
+                .from(this.tableName)
+                .insert({ cart_id: cartId, variant_id: variantId, quantity, price_at_add: priceAtAdd });
+
+        const { data, error } = await request.select().single();
+
+        if (error) throw new DatabaseError(`Failed to save cart item: ${error.message}`, error);
+        return data;
+    }
+
+    // Remove variants from a cart
+    async removeVariants(cartId, variantIds) {
+        const { error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .delete()
+            .eq('cart_id', cartId)
+            .in('variant_id', variantIds);
+
+        if (error) throw new DatabaseError(`Failed to remove cart items: ${error.message}`, error);
+    }
+
+    // Remove every line of a cart
+    async removeByCartId(cartId) {
+        const { error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .delete()
+            .eq('cart_id', cartId);
+
+        if (error) throw new DatabaseError(`Failed to clear cart: ${error.message}`, error);
+    }
+}
+
+export default CartItem;
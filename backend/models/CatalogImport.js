@@ -0,0 +1,156 @@
+// 📦 Catalog Import Model - categories / shoes / colors / sizes / shoe_variants tables
+// Loads what a catalog file refers to, so utils/catalogImport.js can plan each row, and
+// applies the planned rows in one transaction with import_catalog().
+
+import createSupabaseConfig from '../../config/supabase.js';
+import BaseModel from '../utils/BaseModel.js';
+import constants from '../../config/constants.js';
+import { ConflictError, DatabaseError, NotFoundError } from '../utils/ErrorClasses.js';
+
+const supabaseConfig = createSupabaseConfig();
+
+// Rows fetched per request when reading whole tables, and values per .in() filter
+const PAGE_SIZE = 1000;
+const FILTER_CHUNK = 200;
+
+class CatalogImport extends BaseModel {
+    constructor() {
+        super(constants.DATABASE_TABLES.SHOE_VARIANTS, 'variant_id');
+    }
+
+    /**
+     * Records the rows refer to, keyed like utils/catalogImport.js looks them up:
+     * categories, shoes, colors and sizes by lowercased name (the oldest when names differ only by case),
+     * variants by SKU with their stock at locationId, and combinations ("shoe_id|color_id|size_id" -> SKU)
+     * of the variants of those shoes.
+     */
+    async findExisting(rows, locationId) {
+        const [categories, shoes, colors, sizes] = await Promise.all([
+            this._fetchTable(constants.DATABASE_TABLES.CATEGORIES, 'category_id, category_name', 'category_id'),
+            this._fetchTable(
+                constants.DATABASE_TABLES.SHOES,
+                'shoe_id, shoe_name, category_id, description, base_price, image_url, categories (category_name)',
+                'shoe_id'
+            ),
+            this._fetchTable(constants.DATABASE_TABLES.COLORS, 'color_id, color_name', 'color_id'),
+            this._fetchTable(constants.DATABASE_TABLES.SIZES, 'size_id, size_value', 'size_id')
+        ]);
+
+        const byName = (records, field) => {
+            const map = new Map();
+            for (const record of records) {
+                const key = record[field].toLowerCase();
+                if (!map.has(key)) map.set(key, record);
+            }
+            return map;
+        };
+
+        const existing = {
+            categories: byName(categories, 'category_name'),
+            shoes: byName(shoes, 'shoe_name'),
+            colors: byName(colors, 'color_name'),
+            sizes: byName(sizes, 'size_value'),
+            variants: new Map(),
+            combinations: new Map()
+        };
+
+        const client = supabaseConfig.getAdminClient();
+        const skus = [...new Set(rows.map(row => row.values.sku).filter(Boolean))];
+        const shoeIds = [...new Set(rows
+            .map(row => row.values.shoe_name && existing.shoes.get(row.values.shoe_name.toLowerCase())?.shoe_id)
+            .filter(Boolean))];
+
+        const variants = await this._fetchIn(skus, chunk => client
+            .from(this.tableName)
+            .select(`
+                variant_id, shoe_id, color_id, size_id, sku, variant_price, is_active,
+                shoes (shoe_name), colors (color_name), sizes (size_value)
+            `)
+            .in('sku', chunk));
+
+        const stock = await this._fetchIn(variants.map(variant => variant.variant_id), chunk => client
+            .from(constants.DATABASE_TABLES.LOCATION_STOCK)
+            .select('variant_id, quantity')
+            .eq('location_id', locationId)
+            .in('variant_id', chunk));
+        const quantities = new Map(stock.map(row => [row.variant_id, row.quantity]));
+
+        for (const variant of variants) {
+            existing.variants.set(variant.sku, { ...variant, stock: quantities.get(variant.variant_id) || 0 });
+        }
+
+        const shoeVariants = await this._fetchIn(shoeIds, chunk => client
+            .from(this.tableName)
+            .select('shoe_id, color_id, size_id, sku')
+            .in('shoe_id', chunk));
+
+        for (const variant of shoeVariants) {
+            existing.combinations.set(`${variant.shoe_id}|${variant.color_id}|${variant.size_id}`, variant.sku);
+        }
+
+        return existing;
+    }
+
+    /**
+     * Import planned rows ({ line, ...values }, see utils/catalogImport.js importRows) in one transaction
+     * @returns {Promise<Array>} [{ line, variant_id, action }]
+     * @throws {ConflictError} The catalog changed since the rows were planned; nothing is imported
+     */
+    async apply(rows, locationId, createdBy) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .rpc('import_catalog', {
+                p_rows: rows,
+                p_location_id: locationId,
+                p_created_by: createdBy
+            });
+
+        if (error) {
+            if (['SKU_CONFLICT', 'SHOE_INCOMPLETE', 'STOCK_CHANGED', 'INSUFFICIENT_STOCK'].includes(error.message)
+                || error.code === '23505') {
+                const { line } = this._parseDetails(error.details, {}) || {};
+                throw new ConflictError(
+                    `${constants.ERROR_MESSAGES.CATALOG_IMPORT.CHANGED_SINCE_PREVIEW}${line ? ` (line ${line})` : ''}`
+                );
+            }
+            if (error.message === 'LOCATION_NOT_FOUND') {
+                throw new NotFoundError(`Location ${locationId}`);
+            }
+            throw new DatabaseError(`Failed to import catalog: ${error.message}`, error);
+        }
+
+        return data || [];
+    }
+
+    // Every row of a table, a page at a time
+    async _fetchTable(table, columns, orderBy) {
+        const records = [];
+
+        for (let offset = 0; ; offset += PAGE_SIZE) {
+            const { data, error } = await supabaseConfig.getAdminClient()
+                .from(table)
+                .select(columns)
+                .order(orderBy, { ascending: true })
+                .range(offset, offset + PAGE_SIZE - 1);
+
+            if (error) throw new DatabaseError(`Failed to fetch ${table}: ${error.message}`, error);
+
+            records.push(...(data || []));
+            if (!data || data.length < PAGE_SIZE) return records;
+        }
+    }
+
+    // Results of a filtered query run on chunks of values, so long lists stay within URL limits
+    async _fetchIn(values, query) {
+        const records = [];
+
+        for (let i = 0; i < values.length; i += FILTER_CHUNK) {
+            const { data, error } = await query(values.slice(i, i + FILTER_CHUNK));
+            if (error) throw new DatabaseError(`Failed to fetch catalog records: ${error.message}`, error);
+            records.push(...(data || []));
+        }
+
+        return records;
+    }
+}
+
+export default CatalogImport;
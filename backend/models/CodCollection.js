@@ -0,0 +1,175 @@
+// 💵 COD Collection Model - cod_collections and cod_remittances tables
+// Cash to collect for delivered cash on delivery orders and the courier remittances confirming it
+
+import createSupabaseConfig from '../../config/supabase.js';
+import BaseModel from '../utils/BaseModel.js';
+import constants from '../../config/constants.js';
+import { BusinessLogicError, DatabaseError } from '../utils/ErrorClasses.js';
+
+const supabaseConfig = createSupabaseConfig();
+
+class CodCollection extends BaseModel {
+    constructor() {
+        super(constants.DATABASE_TABLES.COD_COLLECTIONS, 'collection_id');
+        this.remittancesTable = constants.DATABASE_TABLES.COD_REMITTANCES;
+    }
+
+    /**
+     * Record the cash to collect for a delivered order. A payment is only recorded once,
+     * so delivering again (or retrying) returns the existing collection.
+     * Orders shipped without a courier are collected by the shop.
+     */
+    async recordDelivery(payment, order) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .upsert([{
+                payment_id: payment.payment_id,
+                order_id: order.order_id,
+                courier: order.courier || constants.COURIERS.SHOP,
+                tracking_number: order.tracking_number || null,
+                expected_amount: payment.payment_amount
+            }], { onConflict: 'payment_id', ignoreDuplicates: true })
+            .select();
+
+        if (error) throw new DatabaseError(`Failed to record cash on delivery collection: ${error.message}`, error);
+        return data?.[0] || this.findByPaymentId(payment.payment_id);
+    }
+
+    async findByPaymentId(paymentId) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .select('*')
+            .eq('payment_id', paymentId)
+            .maybeSingle();
+
+        if (error) throw new DatabaseError(`Failed to fetch cash on delivery collection: ${error.message}`, error);
+        return data;
+    }
+
+    // Collections by status and/or courier, oldest delivery first
+    async findAll({ status, courier, remittanceId, page = 1, limit = 20 } = {}) {
+        const offset = (page - 1) * limit;
+
+        let query = supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .select('*', { count: 'exact' })
+            .order('delivered_at', { ascending: true })
+            .range(offset, offset + limit - 1);
+
+        if (status) query = query.eq('status', status);
+        if (courier) query = query.eq('courier', courier);
+        if (remittanceId) query = query.eq('remittance_id', remittanceId);
+
+        const { data, error, count } = await query;
+        if (error) throw new DatabaseError(`Failed to fetch cash on delivery collections: ${error.message}`, error);
+
+        return {
+            data: data || [],
+            total: count || 0,
+            page,
+            limit,
+            totalPages: Math.ceil((count || 0) / limit)
+        };
+    }
+
+    /**
+     * Confirm the cash a courier handed over (see confirm_cod_collections in schema.sql)
+     * @param {Object} remittanceData - { courier, reference, note, confirmed_by }
+     * @param {Array} items - [{ order_id | tracking_number, collected_amount }]
+     * @returns {Promise<Object>} The remittance with its cod_collections
+     */
+    async confirm(remittanceData, items) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .rpc('confirm_cod_collections', {
+                p_remittance: remittanceData,
+                p_items: items
+            });
+
+        if (error) {
+            if (error.message === 'COD_COLLECTIONS_INVALID') {
+                throw new BusinessLogicError(constants.ERROR_MESSAGES.COD.COLLECTIONS_INVALID, this._parseDetails(error.details, []));
+            }
+            throw new DatabaseError(`Failed to confirm cash collection: ${error.message}`, error);
+        }
+
+        return this.findRemittance(data.remittance_id);
+    }
+
+    // Remittances, newest first, optionally of one courier
+    async findRemittances({ courier, page = 1, limit = 20 } = {}) {
+        const offset = (page - 1) * limit;
+
+        let query = supabaseConfig.getAdminClient()
+            .from(this.remittancesTable)
+            .select('*', { count: 'exact' })
+            .order('confirmed_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (courier) query = query.eq('courier', courier);
+
+        const { data, error, count } = await query;
+        if (error) throw new DatabaseError(`Failed to fetch courier remittances: ${error.message}`, error);
+
+        return {
+            data: data || [],
+            total: count || 0,
+            page,
+            limit,
+            totalPages: Math.ceil((count || 0) / limit)
+        };
+    }
+
+    // A remittance with its collections
+    async findRemittance(remittanceId) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.remittancesTable)
+            .select('*, cod_collections (*)')
+            .eq('remittance_id', remittanceId)
+            .maybeSingle();
+
+        if (error) throw new DatabaseError(`Failed to fetch courier remittance: ${error.message}`, error);
+        return data;
+    }
+
+    /**
+     * Close a discrepancy, only if the collection still has one.
+     * Returns the updated collection, or null when it had already moved on.
+     */
+    async resolve(collectionId, { resolvedBy = null, note = null } = {}) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .update({
+                status: constants.COD_COLLECTION_STATUS.RESOLVED,
+                resolved_by: resolvedBy,
+                resolved_at: new Date().toISOString(),
+                resolution_note: note
+            })
+            .eq(this.primaryKey, collectionId)
+            .eq('status', constants.COD_COLLECTION_STATUS.DISCREPANCY)
+            .select()
+            .maybeSingle();
+
+        if (error) throw new DatabaseError(`Failed to resolve cash collection: ${error.message}`, error);
+        return data;
+    }
+
+    /**
+     * Deliveries, collected cash, discrepancies and outstanding cash per day and courier
+     * (see cod_daily_report in schema.sql)
+     * @param {string} from - First day, YYYY-MM-DD
+     * @param {string} to - Last day, YYYY-MM-DD
+     */
+    async dailyReport(from, to, timezone = constants.REPORT_CONFIG.TIMEZONE) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .rpc('cod_daily_report', {
+                p_from: from,
+                p_to: to,
+                p_timezone: timezone
+            });
+
+        if (error) throw new DatabaseError(`Failed to build cash on delivery report: ${error.message}`, error);
+        return data || [];
+    }
+}
+
+export default CodCollection;
@@ -0,0 +1,32 @@
+// ✉️ Email Outbox Model - email_outbox table
+// Emails are queued here and sent by a mail worker, so a slow or failing mail
+// server never holds up the request that produced them.
+
+import createSupabaseConfig from '../../config/supabase.js';
+import BaseModel from '../utils/BaseModel.js';
+import constants from '../../config/constants.js';
+import { DatabaseError } from '../utils/ErrorClasses.js';
+
+const supabaseConfig = createSupabaseConfig();
+
+class EmailOutbox extends BaseModel {
+    constructor() {
+        super(constants.DATABASE_TABLES.EMAIL_OUTBOX, 'email_id');
+    }
+
+    /**
+     * Queue emails for sending
+     * @param {Array} emails - [{ recipient, subject, body, reference_type, reference_id }]
+     */
+    async enqueue(emails) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .insert(emails)
+            .select();
+
+        if (error) throw new DatabaseError(`Failed to queue emails: ${error.message}`, error);
+        return data || [];
+    }
+}
+
+export default EmailOutbox;
@@ -1,29 +1,110 @@
 // 📥 Import Model - imports table
-// Handles inventory import data management
+// Stock received from suppliers. Inserting an import adds its units to the variant
+// (an 'import' stock movement) and updates the variant's weighted-average cost in
+// the update_stock_on_import() trigger; imports are never edited afterwards.
 
+import createSupabaseConfig from '../../config/supabase.js';
 import BaseModel from '../utils/BaseModel.js';
+import constants from '../../config/constants.js';
+import { DatabaseError, NotFoundError } from '../utils/ErrorClasses.js';
+
+const supabaseConfig = createSupabaseConfig();
+
+// Relations loaded with imports
+const IMPORT_SELECT = `
+    *,
+    suppliers (supplier_id, supplier_name),
+    stock_locations (location_id, location_code, location_name),
+    shoe_variants (
+        variant_id,
+        sku,
+        shoes (shoe_id, shoe_name),
+        colors (color_id, color_name),
+        sizes (size_id, size_value, size_type)
+    )
+`;
 
 class Import extends BaseModel {
     constructor() {
-        super('imports');
+        super(constants.DATABASE_TABLES.IMPORTS, 'import_id');
+    }
+
+    /**
+     * Imports, newest first, filtered by supplier, variant, user and import date
+     * (from/to are inclusive ISO dates or timestamps)
+     */
+    async findAll({ supplierId, variantId, userId, from, to, page = 1, limit = 20 } = {}) {
+        const offset = (page - 1) * limit;
+
+        let query = supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .select(IMPORT_SELECT, { count: 'exact' })
+            .order('import_date', { ascending: false })
+            .order('import_id', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (supplierId) query = query.eq('supplier_id', supplierId);
+        if (variantId) query = query.eq('variant_id', variantId);
+        if (userId) query = query.eq('user_id', userId);
+        if (from) query = query.gte('import_date', from);
+        if (to) query = query.lte('import_date', to);
+
+        const { data, error, count } = await query;
+        if (error) throw new DatabaseError(`Failed to fetch imports: ${error.message}`, error);
+
+        return {
+            data: data || [],
+            total: count || 0,
+            page,
+            limit,
+            totalPages: Math.ceil((count || 0) / limit)
+        };
     }
 
     // Get imports by user ID
-    async findByUserId(userId) {
-        // TODO: Implement find by user ID logic
-        throw new Error('Find by user ID method not implemented');
+    async findByUserId(userId, options = {}) {
+        return this.findAll({ ...options, userId });
     }
 
     // Get imports by variant ID
-    async findByVariantId(variantId) {
-        // TODO: Implement find by variant ID logic
-        throw new Error('Find by variant ID method not implemented');
+    async findByVariantId(variantId, options = {}) {
+        return this.findAll({ ...options, variantId });
     }
 
     // Get imports by date range
-    async findByDateRange(startDate, endDate) {
-        // TODO: Implement find by date range logic
-        throw new Error('Find by date range method not implemented');
+    async findByDateRange(startDate, endDate, options = {}) {
+        return this.findAll({ ...options, from: startDate, to: endDate });
+    }
+
+    async findWithDetails(importId) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .select(IMPORT_SELECT)
+            .eq(this.primaryKey, importId)
+            .maybeSingle();
+
+        if (error) throw new DatabaseError(`Failed to fetch import: ${error.message}`, error);
+        if (!data) throw new NotFoundError(`Import ${importId}`);
+        return data;
+    }
+
+    /**
+     * Record the lines of one receipt. The rows are inserted in a single statement,
+     * so either every line is received (with its stock movement) or none is.
+     */
+    async createImports(rows) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .insert(rows)
+            .select(IMPORT_SELECT);
+
+        if (error) {
+            if (error.code === '23503') {
+                throw new NotFoundError('Variant');
+            }
+            throw new DatabaseError(`Failed to record import: ${error.message}`, error);
+        }
+        return data || [];
     }
 }
 
@@ -0,0 +1,149 @@
+// 🔔 Low Stock Alert Model - low_stock_alerts / low_stock_alert_deliveries tables
+// Alerts are raised and resolved by evaluate_low_stock() as stock crosses a variant's
+// threshold; the backend delivers them through the alert channels and staff acknowledge them.
+
+import createSupabaseConfig from '../../config/supabase.js';
+import BaseModel from '../utils/BaseModel.js';
+import constants from '../../config/constants.js';
+import { ConflictError, DatabaseError, NotFoundError } from '../utils/ErrorClasses.js';
+
+const supabaseConfig = createSupabaseConfig();
+
+// Relations loaded with alerts
+const ALERT_SELECT = `
+    *,
+    shoe_variants (
+        variant_id,
+        sku,
+        stock_quantity,
+        low_stock_threshold,
+        shoes (shoe_id, shoe_name, low_stock_threshold),
+        colors (color_id, color_name),
+        sizes (size_id, size_value)
+    ),
+    low_stock_alert_deliveries (channel, status, attempts, last_error, delivered_at)
+`;
+
+class LowStockAlert extends BaseModel {
+    constructor() {
+        super(constants.DATABASE_TABLES.LOW_STOCK_ALERTS, 'alert_id');
+    }
+
+    // Alerts, newest first, optionally of one status and variant
+    async findAll({ status, variantId, page = 1, limit = 20 } = {}) {
+        const offset = (page - 1) * limit;
+
+        let query = supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .select(ALERT_SELECT, { count: 'exact' })
+            .order('alert_id', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (status) query = query.eq('status', status);
+        if (variantId) query = query.eq('variant_id', variantId);
+
+        const { data, error, count } = await query;
+        if (error) throw new DatabaseError(`Failed to fetch alerts: ${error.message}`, error);
+
+        return {
+            data: data || [],
+            total: count || 0,
+            page,
+            limit,
+            totalPages: Math.ceil((count || 0) / limit)
+        };
+    }
+
+    // Number of alerts per status
+    async countByStatus() {
+        const counts = {};
+
+        for (const status of Object.values(constants.LOW_STOCK_ALERT_STATUS)) {
+            const { count, error } = await supabaseConfig.getAdminClient()
+                .from(this.tableName)
+                .select('alert_id', { count: 'exact', head: true })
+                .eq('status', status);
+
+            if (error) throw new DatabaseError(`Failed to count alerts: ${error.message}`, error);
+            counts[status] = count || 0;
+        }
+
+        return counts;
+    }
+
+    // Alerts some channel has still to deliver, oldest first
+    async findUndispatched(limit = constants.LOW_STOCK_ALERT_CONFIG.BATCH_SIZE) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .select(ALERT_SELECT)
+            .is('dispatched_at', null)
+            .order('alert_id', { ascending: true })
+            .limit(limit);
+
+        if (error) throw new DatabaseError(`Failed to fetch undispatched alerts: ${error.message}`, error);
+        return data || [];
+    }
+
+    /**
+     * Acknowledge an open alert. Acknowledged alerts stay until the stock is back above
+     * the threshold, so the variant does not alert again in the meantime.
+     */
+    async acknowledge(alertId, acknowledgedBy, note = null) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .update({
+                status: constants.LOW_STOCK_ALERT_STATUS.ACKNOWLEDGED,
+                acknowledged_by: acknowledgedBy,
+                acknowledged_at: new Date().toISOString(),
+                acknowledgement_note: note
+            })
+            .eq(this.primaryKey, alertId)
+            .eq('status', constants.LOW_STOCK_ALERT_STATUS.OPEN)
+            .select()
+            .maybeSingle();
+
+        if (error) throw new DatabaseError(`Failed to acknowledge alert: ${error.message}`, error);
+
+        if (!data) {
+            if (!(await this.findById(alertId))) {
+                throw new NotFoundError(`Alert ${alertId}`);
+            }
+            throw new ConflictError(constants.ERROR_MESSAGES.ALERT.NOT_OPEN);
+        }
+
+        return data;
+    }
+
+    /**
+     * Record the outcome of delivering an alert through a channel
+     * @param {Object} outcome - { status (ALERT_DELIVERY_STATUS), attempts, error }
+     */
+    async recordDelivery(alertId, channel, { status, attempts, error: deliveryError = null }) {
+        const now = new Date().toISOString();
+
+        const { error } = await supabaseConfig.getAdminClient()
+            .from(constants.DATABASE_TABLES.LOW_STOCK_ALERT_DELIVERIES)
+            .upsert({
+                alert_id: alertId,
+                channel,
+                status,
+                attempts,
+                last_error: deliveryError,
+                delivered_at: status === constants.ALERT_DELIVERY_STATUS.SENT ? now : null,
+                updated_at: now
+            }, { onConflict: 'alert_id,channel' });
+
+        if (error) throw new DatabaseError(`Failed to record alert delivery: ${error.message}`, error);
+    }
+
+    async markDispatched(alertId) {
+        const { error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .update({ dispatched_at: new Date().toISOString() })
+            .eq(this.primaryKey, alertId);
+
+        if (error) throw new DatabaseError(`Failed to mark alert dispatched: ${error.message}`, error);
+    }
+}
+
+export default LowStockAlert;
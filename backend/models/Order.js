@@ -1,42 +1,280 @@
 // 🛒 Order Model - orders table
 // Handles order data management
 
+import createSupabaseConfig from '../../config/supabase.js';
 import BaseModel from '../utils/BaseModel.js';
+import constants from '../../config/constants.js';
+import pricing from '../utils/pricing.js';
+import taxUtils from '../utils/tax.js';
+import { BusinessLogicError, ConflictError, DatabaseError, NotFoundError } from '../utils/ErrorClasses.js';
+
+const supabaseConfig = createSupabaseConfig();
+
+// Relations loaded with a single order
+const ORDER_DETAIL_SELECT = `
+    *,
+    addresses (address_id, street, city, state, country, zip_code),
+    order_items (
+        *,
+        shoe_variants (
+            variant_id,
+            sku,
+            shoes (shoe_id, shoe_name, image_url),
+            colors (color_id, color_name, hex_code),
+            sizes (size_id, size_value, size_type)
+        )
+    ),
+    order_tax_lines (*)
+`;
 
 class Order extends BaseModel {
     constructor() {
-        super('orders');
+        super(constants.DATABASE_TABLES.ORDERS, 'order_id');
     }
 
     // Get orders by user ID
-    async findByUserId(userId) {
-        // TODO: Implement find by user ID logic
-        throw new Error('Find by user ID method not implemented');
+    async findByUserId(userId, options = {}) {
+        const { status, ...pagination } = options;
+        return this.find(
+            { user_id: userId, status },
+            { orderBy: 'order_date', ...pagination }
+        );
     }
 
     // Get orders by status
-    async findByStatus(status) {
-        // TODO: Implement find by status logic
-        throw new Error('Find by status method not implemented');
+    async findByStatus(status, options = {}) {
+        return this.find({ status }, { orderBy: 'order_date', ...options });
     }
 
     // Get order with items
     async findWithItems(orderId) {
-        // TODO: Implement find with items logic
-        throw new Error('Find with items method not implemented');
+        try {
+            const { data, error } = await supabaseConfig.getAdminClient()
+                .from(this.tableName)
+                .select(ORDER_DETAIL_SELECT)
+                .eq(this.primaryKey, orderId)
+                .maybeSingle();
+
+            if (error) throw new DatabaseError(`Failed to fetch order: ${error.message}`, error);
+            if (!data) throw new NotFoundError(`Order ${orderId}`);
+
+            return data;
+        } catch (error) {
+            if (error instanceof DatabaseError || error instanceof NotFoundError) throw error;
+            throw new DatabaseError(`Find order operation failed: ${error.message}`, error);
+        }
+    }
+
+    /**
+     * Create an order with its items in one transaction.
+     * Stock is locked, checked and decremented by create_order_with_items(),
+     * so two buyers can never both take the last unit. Holds of orderData.holder_key
+     * count towards the order and are marked converted; orderData.tax_lines are stored with it.
+     * Applied orderData.promotions are redeemed in the same transaction, after their usage limits are re-checked.
+     * Stock is taken from the sellable location ranked first by orderData.fulfilment_rule (nearest to
+     * fulfilment_province, or most_stock) that holds every line, or split across locations when none does.
+     * @param {Object} orderData - user_id, address_id, total_amount, shipping_cost, shipping_method, tax_amount,
+     *   prices_include_tax, tax_jurisdiction, tax_lines, discount_amount, shipping_discount, promotions, notes, holder_key,
+     *   fulfilment_rule, fulfilment_province
+     * @param {Array} lines - [{ variant_id, quantity, price_per_unit, list_price_per_unit, discount_amount }]
+     */
+    async createWithItems(orderData, lines) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .rpc('create_order_with_items', {
+                p_order: orderData,
+                p_items: lines.map(line => ({
+                    variant_id: line.variant_id,
+                    quantity: line.quantity,
+                    price_per_unit: line.price_per_unit,
+                    list_price_per_unit: line.list_price_per_unit ?? line.price_per_unit,
+                    discount_amount: line.discount_amount || 0
+                }))
+            });
+
+        if (error) {
+            if (error.message === 'INSUFFICIENT_STOCK') {
+                throw new BusinessLogicError(
+                    constants.ERROR_MESSAGES.PRODUCT.INSUFFICIENT_STOCK,
+                    this._parseDetails(error.details, [])
+                );
+            }
+            if (error.message === 'PROMOTION_LIMIT_REACHED') {
+                throw new BusinessLogicError(
+                    constants.ERROR_MESSAGES.PROMOTION.LIMIT_REACHED,
+                    this._parseDetails(error.details, {})
+                );
+            }
+            throw new DatabaseError(`Failed to create order: ${error.message}`, error);
+        }
+
+        return data;
+    }
+
+    // Check whether ORDER_STATUS_TRANSITIONS allows moving between two statuses
+    canTransition(fromStatus, toStatus) {
+        return (constants.ORDER_STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+    }
+
+    /**
+     * Update order status following ORDER_STATUS_TRANSITIONS.
+     * The transition is recorded in order_status_history by change_order_status().
+     * Cancelling has side effects and goes through cancel() instead.
+     * @param {number} orderId
+     * @param {string} status - Target status
+     * @param {Object} options - { changedBy, note }
+     */
+    async updateStatus(orderId, status, { changedBy = null, note = null } = {}) {
+        if (status === constants.ORDER_STATUS.CANCELLED) {
+            throw new BusinessLogicError(constants.ERROR_MESSAGES.ORDER.USE_CANCEL);
+        }
+
+        const order = await this.findById(orderId);
+        if (!order) throw new NotFoundError(`Order ${orderId}`);
+
+        if (!this.canTransition(order.status, status)) {
+            throw new BusinessLogicError(constants.ERROR_MESSAGES.ORDER.INVALID_TRANSITION, {
+                from: order.status,
+                to: status,
+                allowed: constants.ORDER_STATUS_TRANSITIONS[order.status] || []
+            });
+        }
+
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .rpc('change_order_status', {
+                p_order_id: orderId,
+                p_from_status: order.status,
+                p_to_status: status,
+                p_changed_by: changedBy,
+                p_note: note
+            });
+
+        if (error) {
+            if (error.message === 'STATUS_CONFLICT') {
+                throw new ConflictError(constants.ERROR_MESSAGES.ORDER.STATUS_CONFLICT);
+            }
+            throw new DatabaseError(`Failed to update order status: ${error.message}`, error);
+        }
+
+        return data;
+    }
+
+    // Store who delivers an order and its tracking number
+    async setShipment(orderId, { courier, trackingNumber = null }) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .update({ courier, tracking_number: trackingNumber })
+            .eq(this.primaryKey, orderId)
+            .select()
+            .single();
+
+        if (error) throw new DatabaseError(`Failed to update order shipment: ${error.message}`, error);
+        return data;
     }
 
-    // Update order status
-    async updateStatus(orderId, status) {
-        // TODO: Implement update status logic
-        throw new Error('Update status method not implemented');
+    /**
+     * Cancel an order: restock its lines, fail pending payments and record the reason.
+     * Idempotent - returns false when the order was already cancelled.
+     * Completed payments are not touched here (see OrderController.cancelOrder).
+     * @param {number} orderId
+     * @param {Object} options - { cancelledBy, reason }
+     */
+    async cancel(orderId, { cancelledBy = null, reason = null } = {}) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .rpc('cancel_order', {
+                p_order_id: orderId,
+                p_cancelled_by: cancelledBy,
+                p_reason: reason
+            });
+
+        if (error) {
+            if (error.message === 'ORDER_NOT_FOUND') {
+                throw new NotFoundError(`Order ${orderId}`);
+            }
+            if (error.message === 'CANNOT_CANCEL') {
+                throw new BusinessLogicError(
+                    constants.ERROR_MESSAGES.ORDER.CANNOT_CANCEL,
+                    this._parseDetails(error.details, {})
+                );
+            }
+            throw new DatabaseError(`Failed to cancel order: ${error.message}`, error);
+        }
+
+        return data === true;
     }
 
     // Calculate total amount
     async calculateTotal(orderId) {
-        // TODO: Implement calculate total logic
-        throw new Error('Calculate total method not implemented');
+        const order = await this.findWithItems(orderId);
+        const itemsTotal = (order.order_items || []).reduce(
+            (sum, item) => sum + Number(item.price_per_unit) * item.quantity,
+            0
+        );
+
+        // Inclusive prices already contain the tax
+        const taxOnTop = order.prices_include_tax ? 0 : Number(order.tax_amount || 0);
+
+        const shipping = Number(order.shipping_cost || 0) - Number(order.shipping_discount || 0);
+
+        return pricing.roundAmount(itemsTotal + shipping + taxOnTop);
+    }
+
+    /**
+     * Invoice of a loaded order (findWithItems), from the tax breakdown stored at checkout
+     */
+    buildInvoice(order) {
+        const taxLines = order.order_tax_lines || [];
+        const taxByItem = new Map(taxLines.filter(line => line.order_item_id).map(line => [line.order_item_id, line]));
+        const shippingTax = taxLines.find(line => line.line_type === 'shipping') || null;
+
+        const lines = (order.order_items || []).map(item => {
+            const variant = item.shoe_variants || {};
+            const tax = taxByItem.get(item.order_item_id);
+            const lineTotal = pricing.roundAmount(Number(item.price_per_unit) * item.quantity);
+
+            return {
+                order_item_id: item.order_item_id,
+                description: [variant.shoes?.shoe_name, variant.colors?.color_name, variant.sizes?.size_value]
+                    .filter(Boolean)
+                    .join(' / '),
+                sku: variant.sku,
+                quantity: item.quantity,
+                list_unit_price: Number(item.list_price_per_unit ?? item.price_per_unit),
+                discount_amount: Number(item.discount_amount || 0),
+                unit_price: Number(item.price_per_unit),
+                line_total: lineTotal,
+                tax_rate: tax ? Number(tax.tax_rate) : 0,
+                taxable_amount: tax ? Number(tax.taxable_amount) : lineTotal,
+                tax_amount: tax ? Number(tax.tax_amount) : 0,
+                gross_amount: tax ? Number(tax.gross_amount) : lineTotal
+            };
+        });
+
+        return {
+            invoice_number: `INV-${String(order.order_id).padStart(8, '0')}`,
+            order_id: order.order_id,
+            issued_at: order.order_date,
+            bill_to: order.addresses,
+            jurisdiction: order.tax_jurisdiction,
+            prices_include_tax: order.prices_include_tax,
+            lines,
+            shipping: {
+                method: order.shipping_method,
+                amount: Number(order.shipping_cost || 0),
+                discount: Number(order.shipping_discount || 0),
+                tax_rate: shippingTax ? Number(shippingTax.tax_rate) : 0,
+                tax_amount: shippingTax ? Number(shippingTax.tax_amount) : 0
+            },
+            tax_summary: taxUtils.summarize(taxLines),
+            subtotal: pricing.roundAmount(lines.reduce((sum, line) => sum + line.line_total, 0)),
+            discount_amount: Number(order.discount_amount || 0),
+            shipping_cost: Number(order.shipping_cost || 0),
+            shipping_discount: Number(order.shipping_discount || 0),
+            tax_amount: Number(order.tax_amount || 0),
+            total_amount: Number(order.total_amount),
+            refunded_amount: Number(order.refunded_amount || 0),
+            net_amount: pricing.roundAmount(Number(order.total_amount) - Number(order.refunded_amount || 0))
+        };
     }
 }
 
-export default Order;
\ No newline at end of file
+export default Order;
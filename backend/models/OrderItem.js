@@ -1,29 +1,49 @@
 // 📋 Order Item Model - order_items table
 // Handles order item data management
 
+import createSupabaseConfig from '../../config/supabase.js';
 import BaseModel from '../utils/BaseModel.js';
+import constants from '../../config/constants.js';
+import pricing from '../utils/pricing.js';
+import { DatabaseError, NotFoundError } from '../utils/ErrorClasses.js';
+
+const supabaseConfig = createSupabaseConfig();
 
 class OrderItem extends BaseModel {
     constructor() {
-        super('order_items');
+        super(constants.DATABASE_TABLES.ORDER_ITEMS, 'order_item_id');
     }
 
     // Get order items by order ID
     async findByOrderId(orderId) {
-        // TODO: Implement find by order ID logic
-        throw new Error('Find by order ID method not implemented');
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .select('*')
+            .eq('order_id', orderId)
+            .order('order_item_id');
+
+        if (error) throw new DatabaseError(`Failed to fetch order items: ${error.message}`, error);
+        return data || [];
     }
 
     // Get order items by variant ID
     async findByVariantId(variantId) {
-        // TODO: Implement find by variant ID logic
-        throw new Error('Find by variant ID method not implemented');
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .select('*')
+            .eq('variant_id', variantId)
+            .order('created_at', { ascending: false });
+
+        if (error) throw new DatabaseError(`Failed to fetch order items: ${error.message}`, error);
+        return data || [];
     }
 
     // Calculate subtotal
     async calculateSubtotal(orderItemId) {
-        // TODO: Implement calculate subtotal logic
-        throw new Error('Calculate subtotal method not implemented');
+        const item = await this.findById(orderItemId);
+        if (!item) throw new NotFoundError(`Order item ${orderItemId}`);
+
+        return pricing.roundAmount(Number(item.price_per_unit) * item.quantity);
     }
 }
 
@@ -0,0 +1,30 @@
+// 🕒 Order Status History Model - order_status_history table
+// Timeline of order status transitions (written by change_order_status)
+
+import createSupabaseConfig from '../../config/supabase.js';
+import BaseModel from '../utils/BaseModel.js';
+import constants from '../../config/constants.js';
+import { DatabaseError } from '../utils/ErrorClasses.js';
+
+const supabaseConfig = createSupabaseConfig();
+
+class OrderStatusHistory extends BaseModel {
+    constructor() {
+        super(constants.DATABASE_TABLES.ORDER_STATUS_HISTORY, 'history_id');
+    }
+
+    // Get the timeline of an order, oldest first
+    async findByOrderId(orderId) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .select('*')
+            .eq('order_id', orderId)
+            .order('created_at', { ascending: true })
+            .order('history_id', { ascending: true });
+
+        if (error) throw new DatabaseError(`Failed to fetch order status history: ${error.message}`, error);
+        return data || [];
+    }
+}
+
+export default OrderStatusHistory;
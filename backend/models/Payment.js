@@ -1,35 +1,149 @@
 // 💳 Payment Model - payments table
 // Handles payment data management
 
+import createSupabaseConfig from '../../config/supabase.js';
 import BaseModel from '../utils/BaseModel.js';
+import constants from '../../config/constants.js';
+import { BusinessLogicError, ConflictError, DatabaseError } from '../utils/ErrorClasses.js';
+
+const supabaseConfig = createSupabaseConfig();
 
 class Payment extends BaseModel {
     constructor() {
-        super('payments');
+        super(constants.DATABASE_TABLES.PAYMENTS, 'payment_id');
     }
 
     // Get payments by order ID
     async findByOrderId(orderId) {
-        // TODO: Implement find by order ID logic
-        throw new Error('Find by order ID method not implemented');
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .select('*')
+            .eq('order_id', orderId)
+            .order('created_at', { ascending: true });
+
+        if (error) throw new DatabaseError(`Failed to fetch payments: ${error.message}`, error);
+        return data || [];
     }
 
     // Get payments by status
-    async findByStatus(status) {
-        // TODO: Implement find by status logic
-        throw new Error('Find by status method not implemented');
+    async findByStatus(status, options = {}) {
+        return this.find({ status }, { orderBy: 'created_at', ...options });
     }
 
     // Get payments by method
-    async findByMethod(paymentMethod) {
-        // TODO: Implement find by method logic
-        throw new Error('Find by method method not implemented');
+    async findByMethod(paymentMethod, options = {}) {
+        return this.find({ payment_method: paymentMethod }, { orderBy: 'created_at', ...options });
+    }
+
+    // Get a payment by its provider reference
+    async findByReference(provider, reference) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .select('*')
+            .eq('provider', provider)
+            .eq('transaction_id', reference)
+            .maybeSingle();
+
+        if (error) throw new DatabaseError(`Failed to fetch payment: ${error.message}`, error);
+        return data;
+    }
+
+    // Get the payments of a provider with any of the given references
+    async findByReferences(provider, references) {
+        if (references.length === 0) return [];
+
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .select('*')
+            .eq('provider', provider)
+            .in('transaction_id', references);
+
+        if (error) throw new DatabaseError(`Failed to fetch payments: ${error.message}`, error);
+        return data || [];
+    }
+
+    /**
+     * Record a new pending payment.
+     * An order can only have one pending or completed payment (idx_payments_open_order).
+     */
+    async createPending(paymentData) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .insert([{
+                ...paymentData,
+                status: constants.PAYMENT_STATUS.PENDING,
+                payment_date: paymentData.payment_date || new Date().toISOString()
+            }])
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === '23505') {
+                throw new ConflictError(constants.ERROR_MESSAGES.PAYMENT.ALREADY_IN_PROGRESS);
+            }
+            throw new DatabaseError(`Failed to create payment: ${error.message}`, error);
+        }
+
+        return data;
     }
 
-    // Update payment status
-    async updateStatus(paymentId, status) {
-        // TODO: Implement update status logic
-        throw new Error('Update status method not implemented');
+    // Store the provider reference of a payment
+    async setReference(paymentId, reference) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .update({ transaction_id: reference })
+            .eq(this.primaryKey, paymentId)
+            .select()
+            .single();
+
+        if (error) throw new DatabaseError(`Failed to update payment: ${error.message}`, error);
+        return data;
+    }
+
+    /**
+     * Update payment status, only if it is still in fromStatus.
+     * Returns the updated payment, or null when it had already moved on.
+     */
+    async updateStatus(paymentId, status, fromStatus = null, fields = {}) {
+        let query = supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .update({ ...fields, status })
+            .eq(this.primaryKey, paymentId);
+
+        if (fromStatus) {
+            query = query.eq('status', fromStatus);
+        }
+
+        const { data, error } = await query.select().maybeSingle();
+
+        if (error) throw new DatabaseError(`Failed to update payment status: ${error.message}`, error);
+        return data;
+    }
+
+    // Check whether PAYMENT_STATUS_TRANSITIONS allows moving between two statuses
+    canTransition(fromStatus, toStatus) {
+        return (constants.PAYMENT_STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+    }
+
+    /**
+     * Move a payment to another status, only if nobody moved it first.
+     * @param {Object} payment - Current row (its status is the expected one)
+     * @param {string} status - Target status
+     * @param {Object} fields - Extra columns to write (failure_reason, completed_at, ...)
+     */
+    async transition(payment, status, fields = {}) {
+        if (!this.canTransition(payment.status, status)) {
+            throw new BusinessLogicError(constants.ERROR_MESSAGES.PAYMENT.INVALID_TRANSITION, {
+                from: payment.status,
+                to: status,
+                allowed: constants.PAYMENT_STATUS_TRANSITIONS[payment.status] || []
+            });
+        }
+
+        const updated = await this.updateStatus(payment.payment_id, status, payment.status, fields);
+        if (!updated) throw new ConflictError(constants.ERROR_MESSAGES.PAYMENT.STATUS_CONFLICT);
+
+        return updated;
     }
 }
 
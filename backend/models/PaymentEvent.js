@@ -0,0 +1,80 @@
+// 📨 Payment Event Model - payment_events table
+// Raw payment provider webhook events and how they were applied
+
+import createSupabaseConfig from '../../config/supabase.js';
+import BaseModel from '../utils/BaseModel.js';
+import constants from '../../config/constants.js';
+import { DatabaseError } from '../utils/ErrorClasses.js';
+
+const supabaseConfig = createSupabaseConfig();
+
+class PaymentEvent extends BaseModel {
+    constructor() {
+        super(constants.DATABASE_TABLES.PAYMENT_EVENTS, 'payment_event_id');
+    }
+
+    // Get a stored event by its provider event ID
+    async findByEventId(provider, eventId) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .select('*')
+            .eq('provider', provider)
+            .eq('event_id', eventId)
+            .maybeSingle();
+
+        if (error) throw new DatabaseError(`Failed to fetch payment event: ${error.message}`, error);
+        return data;
+    }
+
+    // Get the events of a payment, oldest first
+    async findByPaymentId(paymentId) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .select('payment_event_id, provider, event_id, event_type, status, error, signed_at, received_at, processed_at')
+            .eq('payment_id', paymentId)
+            .order('received_at', { ascending: true });
+
+        if (error) throw new DatabaseError(`Failed to fetch payment events: ${error.message}`, error);
+        return data || [];
+    }
+
+    /**
+     * Store a received event. Each provider event_id is stored once: when it is
+     * already there, the stored row is returned with duplicate = true.
+     * @returns {Promise<{event: Object, duplicate: boolean}>}
+     */
+    async record(eventData) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .insert([{ ...eventData, status: constants.PAYMENT_EVENT_STATUS.RECEIVED }])
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === '23505') {
+                return {
+                    event: await this.findByEventId(eventData.provider, eventData.event_id),
+                    duplicate: true
+                };
+            }
+            throw new DatabaseError(`Failed to store payment event: ${error.message}`, error);
+        }
+
+        return { event: data, duplicate: false };
+    }
+
+    // Record how an event was applied
+    async markStatus(eventId, status, fields = {}) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .update({ ...fields, status, processed_at: new Date().toISOString() })
+            .eq(this.primaryKey, eventId)
+            .select()
+            .single();
+
+        if (error) throw new DatabaseError(`Failed to update payment event: ${error.message}`, error);
+        return data;
+    }
+}
+
+export default PaymentEvent;
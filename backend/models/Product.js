@@ -6,7 +6,8 @@
 import createSupabaseConfig from '../../config/supabase.js';
 import constants from '../../config/constants.js';
 import BaseModel from '../utils/BaseModel.js';
-import { ValidationError, NotFoundError } from '../utils/ErrorClasses.js';
+import inventory from '../utils/inventory.js';
+import { AppError, ValidationError, NotFoundError } from '../utils/ErrorClasses.js';
 
 const supabaseConfig = createSupabaseConfig();
 
@@ -485,45 +486,23 @@ class Product extends BaseModel {
     }
 
     /**
-     * Update product stock
+     * Update product stock through the inventory service (recorded as a stock movement).
+     * operation is 'set', 'increment' or 'decrement'; see ShoeVariant.updateStock.
      */
-    async updateStock(variantId, quantity, operation = 'set') {
+    async updateStock(variantId, quantity, operation = 'set', context = {}) {
         try {
-            let updateData;
-            
-            if (operation === 'increment') {
-                // Get current stock
-                const { data: variant } = await supabaseConfig.getAdminClient()
-                    .from(constants.DATABASE_TABLES.SHOE_VARIANTS)
-                    .select('stock_quantity')
-                    .eq('variant_id', variantId)
-                    .single();
-                
-                updateData = { stock_quantity: (variant.stock_quantity || 0) + quantity };
-            } else if (operation === 'decrement') {
-                // Get current stock
-                const { data: variant } = await supabaseConfig.getAdminClient()
-                    .from(constants.DATABASE_TABLES.SHOE_VARIANTS)
-                    .select('stock_quantity')
-                    .eq('variant_id', variantId)
-                    .single();
-                
-                const newStock = Math.max(0, (variant.stock_quantity || 0) - quantity);
-                updateData = { stock_quantity: newStock };
-            } else {
-                updateData = { stock_quantity: quantity };
-            }
+            await inventory.applyOperation(variantId, quantity, operation, context);
 
             const { data, error } = await supabaseConfig.getAdminClient()
                 .from(constants.DATABASE_TABLES.SHOE_VARIANTS)
-                .update(updateData)
-                .eq('variant_id', variantId)
                 .select()
+                .eq('variant_id', variantId)
                 .single();
 
             if (error) throw error;
             return data;
         } catch (error) {
+            if (error instanceof AppError) throw error;
             console.error('Update stock error:', error);
             throw new Error(`Failed to update stock: ${error.message}`);
         }
@@ -0,0 +1,174 @@
+// 🏷️ Promotion Model - promotions / promotion_redemptions tables
+// Coupons (promotions with a code) and automatic promotions
+
+import createSupabaseConfig from '../../config/supabase.js';
+import BaseModel from '../utils/BaseModel.js';
+import constants from '../../config/constants.js';
+import promotionUtils from '../utils/promotions.js';
+import { ConflictError, DatabaseError } from '../utils/ErrorClasses.js';
+
+const supabaseConfig = createSupabaseConfig();
+
+class Promotion extends BaseModel {
+    constructor() {
+        super(constants.DATABASE_TABLES.PROMOTIONS, 'promotion_id');
+    }
+
+    // List promotions, optionally only active ones or only coupons / automatic ones
+    async findAll(options = {}) {
+        const { isActive, kind, page = 1, limit = 20 } = options;
+        const offset = (page - 1) * limit;
+
+        let query = supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .select('*', { count: 'exact' })
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (isActive !== undefined) query = query.eq('is_active', isActive);
+        if (kind === 'coupon') query = query.not('code', 'is', null);
+        if (kind === 'automatic') query = query.is('code', null);
+
+        const { data, error, count } = await query;
+        if (error) throw new DatabaseError(`Failed to fetch promotions: ${error.message}`, error);
+
+        return {
+            data: data || [],
+            total: count || 0,
+            page,
+            limit,
+            totalPages: Math.ceil((count || 0) / limit)
+        };
+    }
+
+    // Get a coupon by its code (any state, so callers can say why it does not apply)
+    async findByCode(code) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .select('*')
+            .eq('code', promotionUtils.normalizeCode(code))
+            .maybeSingle();
+
+        if (error) throw new DatabaseError(`Failed to fetch coupon: ${error.message}`, error);
+        return data;
+    }
+
+    // Active automatic promotions
+    async findAutomatic() {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .select('*')
+            .is('code', null)
+            .eq('is_active', true);
+
+        if (error) throw new DatabaseError(`Failed to fetch promotions: ${error.message}`, error);
+        return data || [];
+    }
+
+    /**
+     * Everything promotionUtils.apply() needs for one buyer.
+     * @param {Object} options - { code, userId } (both optional)
+     * @returns {Object} { promotions, coupon, context: { isFirstOrder, segment, usage } }
+     */
+    async loadApplicable({ code = null, userId = null } = {}) {
+        const [automatic, coupon] = await Promise.all([
+            this.findAutomatic(),
+            code ? this.findByCode(code) : null
+        ]);
+
+        const promotions = coupon ? [...automatic, coupon] : automatic;
+        const context = userId
+            ? await this.buildContext(userId, promotions.map(promotion => promotion.promotion_id))
+            : { isFirstOrder: null, segment: null, usage: await this.countUsage(promotions.map(p => p.promotion_id)) };
+
+        return { promotions, coupon, context };
+    }
+
+    // First-order flag, segment and promotion usage of a customer
+    async buildContext(userId, promotionIds = []) {
+        const { data: orders, error } = await supabaseConfig.getAdminClient()
+            .from(constants.DATABASE_TABLES.ORDERS)
+            .select('total_amount')
+            .eq('user_id', userId)
+            .neq('status', 'cancelled');
+
+        if (error) throw new DatabaseError(`Failed to fetch customer orders: ${error.message}`, error);
+
+        const stats = {
+            order_count: orders.length,
+            lifetime_spend: orders.reduce((sum, order) => sum + Number(order.total_amount), 0)
+        };
+
+        return {
+            isFirstOrder: stats.order_count === 0,
+            segment: promotionUtils.segmentFor(stats),
+            usage: await this.countUsage(promotionIds, userId)
+        };
+    }
+
+    /**
+     * Redemptions per promotion, leaving out cancelled orders.
+     * @returns {Map} promotion_id -> { total, customer }
+     */
+    async countUsage(promotionIds, userId = null) {
+        const usage = new Map(promotionIds.map(id => [id, { total: 0, customer: 0 }]));
+        if (promotionIds.length === 0) return usage;
+
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(constants.DATABASE_TABLES.PROMOTION_REDEMPTIONS)
+            .select('promotion_id, user_id, orders!inner(status)')
+            .in('promotion_id', promotionIds)
+            .neq('orders.status', 'cancelled');
+
+        if (error) throw new DatabaseError(`Failed to count promotion usage: ${error.message}`, error);
+
+        for (const redemption of data || []) {
+            const count = usage.get(redemption.promotion_id);
+            count.total += 1;
+            if (userId && redemption.user_id === userId) count.customer += 1;
+        }
+
+        return usage;
+    }
+
+    // Create a promotion; coupon codes are stored upper case and must be unique
+    async createPromotion(promotionData) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .insert([this._normalize(promotionData)])
+            .select()
+            .single();
+
+        if (error) throw this._mapWriteError(error, 'create');
+        return data;
+    }
+
+    async updatePromotion(promotionId, updates) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .update(this._normalize(updates))
+            .eq(this.primaryKey, promotionId)
+            .select()
+            .maybeSingle();
+
+        if (error) throw this._mapWriteError(error, 'update');
+        return data;
+    }
+
+    _normalize(promotionData) {
+        if (!('code' in promotionData)) return promotionData;
+        return {
+            ...promotionData,
+            code: promotionData.code ? promotionUtils.normalizeCode(promotionData.code) : null
+        };
+    }
+
+    _mapWriteError(error, action) {
+        if (error.code === '23505') {
+            return new ConflictError(constants.ERROR_MESSAGES.PROMOTION.CODE_TAKEN);
+        }
+        return new DatabaseError(`Failed to ${action} promotion: ${error.message}`, error);
+    }
+}
+
+export default Promotion;
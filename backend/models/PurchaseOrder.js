@@ -0,0 +1,225 @@
+// 🧾 Purchase Order Model - purchase_orders / purchase_order_lines tables
+// Stock ordered from suppliers. Receipts go through receive_purchase_order(), which
+// inserts imports rows: stock, average cost and movements follow from the import trigger.
+
+import createSupabaseConfig from '../../config/supabase.js';
+import BaseModel from '../utils/BaseModel.js';
+import constants from '../../config/constants.js';
+import pricing from '../utils/pricing.js';
+import { BusinessLogicError, ConflictError, DatabaseError, NotFoundError } from '../utils/ErrorClasses.js';
+
+const supabaseConfig = createSupabaseConfig();
+
+// Relations loaded with purchase order lists
+const PURCHASE_ORDER_LIST_SELECT = `
+    *,
+    suppliers (supplier_id, supplier_name),
+    stock_locations (location_id, location_code, location_name),
+    purchase_order_lines (quantity_ordered, quantity_received, expected_cost)
+`;
+
+// Relations loaded with a single purchase order, receipts included
+const PURCHASE_ORDER_DETAIL_SELECT = `
+    *,
+    suppliers (supplier_id, supplier_name, contact_email, phone),
+    stock_locations (location_id, location_code, location_name),
+    purchase_order_lines (
+        *,
+        shoe_variants (
+            variant_id,
+            sku,
+            stock_quantity,
+            average_cost,
+            shoes (shoe_id, shoe_name),
+            colors (color_id, color_name),
+            sizes (size_id, size_value, size_type)
+        ),
+        imports (import_id, quantity_imported, import_price, import_date, user_id, notes)
+    )
+`;
+
+class PurchaseOrder extends BaseModel {
+    constructor() {
+        super(constants.DATABASE_TABLES.PURCHASE_ORDERS, 'po_id');
+    }
+
+    /**
+     * Purchase orders, newest first, with their totals.
+     * status 'open' matches every status in OPEN_PURCHASE_ORDER_STATUSES.
+     */
+    async findAll({ status, supplierId, page = 1, limit = 20 } = {}) {
+        const offset = (page - 1) * limit;
+
+        let query = supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .select(PURCHASE_ORDER_LIST_SELECT, { count: 'exact' })
+            .order('po_id', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (status === 'open') query = query.in('status', constants.OPEN_PURCHASE_ORDER_STATUSES);
+        else if (status) query = query.eq('status', status);
+        if (supplierId) query = query.eq('supplier_id', supplierId);
+
+        const { data, error, count } = await query;
+        if (error) throw new DatabaseError(`Failed to fetch purchase orders: ${error.message}`, error);
+
+        return {
+            data: (data || []).map(({ purchase_order_lines: lines, ...purchaseOrder }) => ({
+                ...purchaseOrder,
+                ...this.summarize(lines || [])
+            })),
+            total: count || 0,
+            page,
+            limit,
+            totalPages: Math.ceil((count || 0) / limit)
+        };
+    }
+
+    // Get purchase order with lines, their variants and receipts
+    async findWithLines(poId) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .select(PURCHASE_ORDER_DETAIL_SELECT)
+            .eq(this.primaryKey, poId)
+            .order('po_line_id', { referencedTable: 'purchase_order_lines' })
+            .maybeSingle();
+
+        if (error) throw new DatabaseError(`Failed to fetch purchase order: ${error.message}`, error);
+        if (!data) throw new NotFoundError(`Purchase order ${poId}`);
+
+        return { ...data, ...this.summarize(data.purchase_order_lines || []) };
+    }
+
+    /**
+     * Draft a purchase order, or edit a draft (poId) in one transaction.
+     * @param {number|null} poId - null to create
+     * @param {Object} fields - supplier_id, location_id, expected_date, notes, created_by
+     * @param {Array|null} lines - [{ variant_id, quantity_ordered, expected_cost }], null keeps the lines
+     */
+    async save(poId, fields, lines = null) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .rpc('save_purchase_order', {
+                p_po_id: poId,
+                p_po: fields,
+                p_lines: lines
+            });
+
+        if (error) {
+            if (error.message === 'PURCHASE_ORDER_NOT_FOUND') {
+                throw new NotFoundError(`Purchase order ${poId}`);
+            }
+            if (error.message === 'STATUS_CONFLICT') {
+                throw new ConflictError(constants.ERROR_MESSAGES.PURCHASE_ORDER.NOT_EDITABLE);
+            }
+            if (error.code === '23503') {
+                throw new NotFoundError('Variant');
+            }
+            throw new DatabaseError(`Failed to save purchase order: ${error.message}`, error);
+        }
+
+        return data;
+    }
+
+    // Check whether PURCHASE_ORDER_STATUS_TRANSITIONS allows moving between two statuses
+    canTransition(fromStatus, toStatus) {
+        return (constants.PURCHASE_ORDER_STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+    }
+
+    // Throw unless PURCHASE_ORDER_STATUS_TRANSITIONS allows the move
+    assertTransition(fromStatus, toStatus) {
+        if (!this.canTransition(fromStatus, toStatus)) {
+            throw new BusinessLogicError(constants.ERROR_MESSAGES.PURCHASE_ORDER.INVALID_TRANSITION, {
+                from: fromStatus,
+                to: toStatus,
+                allowed: constants.PURCHASE_ORDER_STATUS_TRANSITIONS[fromStatus] || []
+            });
+        }
+    }
+
+    /**
+     * Move a purchase order to another status, only if nobody moved it first.
+     * @param {Object} purchaseOrder - Current row (its status is the expected one)
+     * @param {string} status - Target status
+     * @param {Object} fields - Extra columns to write (approved_by, sent_at, ...)
+     */
+    async transition(purchaseOrder, status, fields = {}) {
+        this.assertTransition(purchaseOrder.status, status);
+
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .update({ ...fields, status })
+            .eq(this.primaryKey, purchaseOrder.po_id)
+            .eq('status', purchaseOrder.status)
+            .select()
+            .maybeSingle();
+
+        if (error) throw new DatabaseError(`Failed to update purchase order status: ${error.message}`, error);
+        if (!data) throw new ConflictError(constants.ERROR_MESSAGES.PURCHASE_ORDER.STATUS_CONFLICT);
+
+        return data;
+    }
+
+    /**
+     * Record a receipt of a sent purchase order.
+     * @param {number} poId
+     * @param {Array} items - [{ po_line_id, quantity, import_price }]
+     * @param {string} receivedBy - Seller user ID
+     * @param {string|null} note - Notes of the imports rows
+     */
+    async receive(poId, items, receivedBy, note = null) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .rpc('receive_purchase_order', {
+                p_po_id: poId,
+                p_items: items,
+                p_received_by: receivedBy,
+                p_note: note
+            });
+
+        if (error) {
+            if (error.message === 'PURCHASE_ORDER_NOT_FOUND') {
+                throw new NotFoundError(`Purchase order ${poId}`);
+            }
+            if (error.message === 'STATUS_CONFLICT') {
+                throw new ConflictError(constants.ERROR_MESSAGES.PURCHASE_ORDER.STATUS_CONFLICT);
+            }
+            if (error.message === 'RECEIPT_EXCEEDS_ORDERED') {
+                throw new BusinessLogicError(
+                    constants.ERROR_MESSAGES.PURCHASE_ORDER.RECEIPT_EXCEEDS_ORDERED,
+                    this._parseDetails(error.details, [])
+                );
+            }
+            throw new DatabaseError(`Failed to receive purchase order: ${error.message}`, error);
+        }
+
+        return data;
+    }
+
+    /**
+     * Units still to come per variant from open purchase orders
+     * @returns {Promise<Array>} [{ variant_id, incoming, next_expected_date }]
+     */
+    async findIncoming(variantIds = null) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .rpc('incoming_stock', { p_variant_ids: variantIds });
+
+        if (error) throw new DatabaseError(`Failed to fetch incoming stock: ${error.message}`, error);
+        return data || [];
+    }
+
+    // Ordered, received and open units with the expected cost of the lines
+    summarize(lines) {
+        const ordered = lines.reduce((sum, line) => sum + line.quantity_ordered, 0);
+        const received = lines.reduce((sum, line) => sum + line.quantity_received, 0);
+
+        return {
+            units_ordered: ordered,
+            units_received: received,
+            units_open: ordered - received,
+            expected_total: pricing.roundAmount(
+                lines.reduce((sum, line) => sum + line.quantity_ordered * Number(line.expected_cost), 0)
+            )
+        };
+    }
+}
+
+export default PurchaseOrder;
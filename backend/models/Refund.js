@@ -0,0 +1,180 @@
+// 💸 Refund Model - refunds and refund_items tables
+// Whole or partial refunds of a payment, tied to order items where they apply
+
+import createSupabaseConfig from '../../config/supabase.js';
+import BaseModel from '../utils/BaseModel.js';
+import constants from '../../config/constants.js';
+import paymentGateway from '../utils/payments.js';
+import { BusinessLogicError, DatabaseError, ExternalServiceError, NotFoundError } from '../utils/ErrorClasses.js';
+
+const supabaseConfig = createSupabaseConfig();
+
+const REFUND_SELECT = `
+    *,
+    refund_items (
+        refund_item_id,
+        order_item_id,
+        quantity,
+        amount
+    )
+`;
+
+class Refund extends BaseModel {
+    constructor() {
+        super(constants.DATABASE_TABLES.REFUNDS, 'refund_id');
+    }
+
+    // Get the refunds of a payment with their items, oldest first
+    async findByPaymentId(paymentId) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .select(REFUND_SELECT)
+            .eq('payment_id', paymentId)
+            .order('created_at', { ascending: true });
+
+        if (error) throw new DatabaseError(`Failed to fetch refunds: ${error.message}`, error);
+        return data || [];
+    }
+
+    // Get the refunds of an order with their items, oldest first
+    async findByOrderId(orderId) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .select(REFUND_SELECT)
+            .eq('order_id', orderId)
+            .order('created_at', { ascending: true });
+
+        if (error) throw new DatabaseError(`Failed to fetch refunds: ${error.message}`, error);
+        return data || [];
+    }
+
+    /**
+     * Refund a payment: reserve the amount (create_refund), give the money back
+     * through the payment's provider, then settle the refund (complete_refund).
+     * Payments without a provider (cash, manual) are only recorded.
+     * @param {Object} payment - payments row
+     * @param {Object} options
+     * @param {Array} options.items - [{ order_item_id, quantity, amount }] (amount defaults to quantity x price_per_unit)
+     * @param {number} options.adjustmentAmount - Amount not tied to items (shipping, goodwill)
+     * @param {boolean} options.full - Without items, refund everything still refundable
+     * @param {string} options.reason
+     * @param {number} options.returnId - Return request the refund settles
+     * @param {string} options.createdBy - User ID
+     * @returns {Promise<Object|null>} The refund with its items, or null when a full refund finds nothing left
+     */
+    async issue(payment, { items = [], adjustmentAmount = 0, full = false, reason = null, returnId = null, createdBy = null } = {}) {
+        const refund = await this.create(payment.payment_id, {
+            adjustment_amount: adjustmentAmount,
+            full,
+            reason,
+            return_id: returnId,
+            created_by: createdBy
+        }, items);
+
+        if (!refund) return null;
+
+        if (!payment.provider || !payment.transaction_id) {
+            return this.complete(refund.refund_id, constants.REFUND_STATUS.SUCCEEDED);
+        }
+
+        const provider = paymentGateway.getProvider(payment.provider);
+        let result;
+        try {
+            result = await provider.refund(payment.transaction_id, {
+                amount: Number(refund.amount),
+                reason
+            });
+        } catch (error) {
+            await this.complete(refund.refund_id, constants.REFUND_STATUS.FAILED, { failureReason: error.message });
+            throw new ExternalServiceError(provider.name, error.message);
+        }
+
+        switch (result.status) {
+            case constants.PAYMENT_INTENT_STATUS.SUCCEEDED:
+                return this.complete(refund.refund_id, constants.REFUND_STATUS.SUCCEEDED, {
+                    providerRefundId: result.refund_reference
+                });
+            case constants.PAYMENT_INTENT_STATUS.FAILED:
+                return this.complete(refund.refund_id, constants.REFUND_STATUS.FAILED, {
+                    providerRefundId: result.refund_reference,
+                    failureReason: result.failure_reason || 'refund_failed'
+                });
+            default:
+                // Still processing at the provider: stays pending (and reserved)
+                return this.findWithItems(refund.refund_id);
+        }
+    }
+
+    // Reserve a refund on a payment (see create_refund in schema.sql)
+    async create(paymentId, refundData, items) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .rpc('create_refund', {
+                p_refund: { ...refundData, payment_id: paymentId },
+                p_items: items
+            });
+
+        if (error) {
+            switch (error.message) {
+                case 'PAYMENT_NOT_FOUND':
+                    throw new NotFoundError(`Payment ${paymentId}`);
+                case 'PAYMENT_NOT_REFUNDABLE':
+                    throw new BusinessLogicError(constants.ERROR_MESSAGES.REFUND.NOT_REFUNDABLE, this._parseDetails(error.details, null));
+                case 'REFUND_ITEMS_EXCEEDED':
+                    throw new BusinessLogicError(constants.ERROR_MESSAGES.REFUND.ITEMS_EXCEEDED, this._parseDetails(error.details, []));
+                case 'REFUND_EXCEEDS_PAYMENT':
+                    throw new BusinessLogicError(constants.ERROR_MESSAGES.REFUND.EXCEEDS_PAYMENT, this._parseDetails(error.details, null));
+                case 'NOTHING_TO_REFUND':
+                    throw new BusinessLogicError(constants.ERROR_MESSAGES.REFUND.NOTHING_TO_REFUND);
+                default:
+                    throw new DatabaseError(`Failed to create refund: ${error.message}`, error);
+            }
+        }
+
+        return data?.refund_id ? data : null;
+    }
+
+    // Settle a pending refund; succeeded refunds update the payment and order refunded_amount
+    async complete(refundId, status, { providerRefundId = null, failureReason = null } = {}) {
+        const { error } = await supabaseConfig.getAdminClient()
+            .rpc('complete_refund', {
+                p_refund_id: refundId,
+                p_status: status,
+                p_provider_refund_id: providerRefundId,
+                p_failure_reason: failureReason
+            });
+
+        if (error) throw new DatabaseError(`Failed to complete refund: ${error.message}`, error);
+        return this.findWithItems(refundId);
+    }
+
+    // Get a refund with its items
+    async findWithItems(refundId) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .select(REFUND_SELECT)
+            .eq(this.primaryKey, refundId)
+            .maybeSingle();
+
+        if (error) throw new DatabaseError(`Failed to fetch refund: ${error.message}`, error);
+        return data;
+    }
+
+    /**
+     * Captured, refunded and net revenue per day (see payment_revenue_report in schema.sql)
+     * @param {string} from - First day, YYYY-MM-DD
+     * @param {string} to - Last day, YYYY-MM-DD
+     */
+    async revenueReport(from, to, timezone = constants.REPORT_CONFIG.TIMEZONE) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .rpc('payment_revenue_report', {
+                p_from: from,
+                p_to: to,
+                p_timezone: timezone
+            });
+
+        if (error) throw new DatabaseError(`Failed to build revenue report: ${error.message}`, error);
+        return data || [];
+    }
+}
+
+export default Refund;
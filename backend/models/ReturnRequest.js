@@ -0,0 +1,165 @@
+// ↩️ Return Request Model - return_requests / return_items tables
+// Returns and size exchanges (RMA) of delivered order lines
+
+import createSupabaseConfig from '../../config/supabase.js';
+import BaseModel from '../utils/BaseModel.js';
+import constants from '../../config/constants.js';
+import { BusinessLogicError, ConflictError, DatabaseError, NotFoundError } from '../utils/ErrorClasses.js';
+
+const supabaseConfig = createSupabaseConfig();
+
+// Relations loaded with a single return
+const RETURN_DETAIL_SELECT = `
+    *,
+    return_items (
+        *,
+        order_items (
+            order_item_id,
+            variant_id,
+            quantity,
+            price_per_unit,
+            shoe_variants (
+                variant_id,
+                sku,
+                shoes (shoe_id, shoe_name, image_url),
+                colors (color_id, color_name, hex_code),
+                sizes (size_id, size_value, size_type)
+            )
+        ),
+        exchange_variant:shoe_variants!return_items_exchange_variant_id_fkey (
+            variant_id,
+            sku,
+            sizes (size_id, size_value, size_type)
+        )
+    )
+`;
+
+class ReturnRequest extends BaseModel {
+    constructor() {
+        super(constants.DATABASE_TABLES.RETURN_REQUESTS, 'return_id');
+    }
+
+    // Get returns by user ID
+    async findByUserId(userId, options = {}) {
+        const { status, ...pagination } = options;
+        return this.find(
+            { user_id: userId, status },
+            { orderBy: 'created_at', ...pagination }
+        );
+    }
+
+    // Get returns by status
+    async findByStatus(status, options = {}) {
+        return this.find({ status }, { orderBy: 'created_at', ...options });
+    }
+
+    // Get return with items
+    async findWithItems(returnId) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .select(RETURN_DETAIL_SELECT)
+            .eq(this.primaryKey, returnId)
+            .maybeSingle();
+
+        if (error) throw new DatabaseError(`Failed to fetch return: ${error.message}`, error);
+        if (!data) throw new NotFoundError(`Return ${returnId}`);
+
+        return data;
+    }
+
+    /**
+     * Open a return with its items in one transaction.
+     * create_return_request() locks the order and rejects quantities already returned.
+     * @param {Object} returnData - order_id, user_id, resolution, customer_note, refund_amount
+     * @param {Array} items - [{ order_item_id, quantity, reason_code, photo_urls, exchange_variant_id }]
+     */
+    async createWithItems(returnData, items) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .rpc('create_return_request', {
+                p_return: returnData,
+                p_items: items
+            });
+
+        if (error) {
+            if (error.message === 'QUANTITY_EXCEEDED') {
+                throw new BusinessLogicError(
+                    constants.ERROR_MESSAGES.RETURN.QUANTITY_EXCEEDED,
+                    this._parseDetails(error.details, [])
+                );
+            }
+            throw new DatabaseError(`Failed to create return: ${error.message}`, error);
+        }
+
+        return data;
+    }
+
+    // Check whether RETURN_STATUS_TRANSITIONS allows moving between two statuses
+    canTransition(fromStatus, toStatus) {
+        return (constants.RETURN_STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+    }
+
+    // Throw unless RETURN_STATUS_TRANSITIONS allows the move
+    assertTransition(fromStatus, toStatus) {
+        if (!this.canTransition(fromStatus, toStatus)) {
+            throw new BusinessLogicError(constants.ERROR_MESSAGES.RETURN.INVALID_TRANSITION, {
+                from: fromStatus,
+                to: toStatus,
+                allowed: constants.RETURN_STATUS_TRANSITIONS[fromStatus] || []
+            });
+        }
+    }
+
+    /**
+     * Move a return to another status, only if nobody moved it first.
+     * @param {Object} returnRequest - Current row (its status is the expected one)
+     * @param {string} status - Target status
+     * @param {Object} fields - Extra columns to write (seller_note, reviewed_by, ...)
+     */
+    async transition(returnRequest, status, fields = {}) {
+        this.assertTransition(returnRequest.status, status);
+
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .update({ ...fields, status })
+            .eq(this.primaryKey, returnRequest.return_id)
+            .eq('status', returnRequest.status)
+            .select()
+            .maybeSingle();
+
+        if (error) throw new DatabaseError(`Failed to update return status: ${error.message}`, error);
+        if (!data) throw new ConflictError(constants.ERROR_MESSAGES.RETURN.STATUS_CONFLICT);
+
+        return data;
+    }
+
+    /**
+     * Record the inspection of a returned parcel and restock resellable units.
+     * @param {number} returnId
+     * @param {Array} items - [{ return_item_id, condition }]
+     * @param {string} receivedBy - Seller user ID
+     */
+    async receive(returnId, items, receivedBy) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .rpc('receive_return', {
+                p_return_id: returnId,
+                p_items: items,
+                p_received_by: receivedBy
+            });
+
+        if (error) {
+            if (error.message === 'STATUS_CONFLICT') {
+                throw new ConflictError(constants.ERROR_MESSAGES.RETURN.STATUS_CONFLICT);
+            }
+            throw new DatabaseError(`Failed to receive return: ${error.message}`, error);
+        }
+
+        return data;
+    }
+
+    // Holder key of the stock held for an exchange
+    exchangeHolderKey(returnId) {
+        return `return:${returnId}`;
+    }
+}
+
+export default ReturnRequest;
@@ -4,7 +4,8 @@
 import createSupabaseConfig from '../../config/supabase.js';
 import BaseModel from '../utils/BaseModel.js';
 import constants from '../../config/constants.js';
-import { NotFoundError } from '../utils/ErrorClasses.js';
+import { DatabaseError, NotFoundError } from '../utils/ErrorClasses.js';
+import stockUtils from '../utils/stock.js';
 
 const supabaseConfig = createSupabaseConfig();
 
@@ -17,6 +18,7 @@ class Shoe extends BaseModel {
       'description',
       'base_price',
       'image_url',
+      'low_stock_threshold',
       'is_active'
     ];
     this.validationRules = {
@@ -110,36 +112,8 @@ class Shoe extends BaseModel {
           )
         `, { count: 'exact' });
 
-      // Apply base filters
-      if (is_active !== undefined) {
-        query = query.eq('is_active', is_active);
-      }
-
-      if (category_id) {
-        query = query.eq('category_id', category_id);
-      }
-
-      if (min_price) {
-        query = query.gte('base_price', min_price);
-      }
-
-      if (max_price) {
-        query = query.lte('base_price', max_price);
-      }
-
-      if (search) {
-        query = query.or(`shoe_name.ilike.%${search}%,description.ilike.%${search}%`);
-      }
-
-      // ⭐ NEW: Filter by color (if variants have any of these colors)
-      if (color_ids && Array.isArray(color_ids) && color_ids.length > 0) {
-        query = query.in('shoe_variants.color_id', color_ids);
-      }
-
-      // ⭐ NEW: Filter by size (if variants have any of these sizes)
-      if (size_ids && Array.isArray(size_ids) && size_ids.length > 0) {
-        query = query.in('shoe_variants.size_id', size_ids);
-      }
+      // Apply base filters, color and size filters
+      query = this._applyFilters(query, { category_id, min_price, max_price, search, color_ids, size_ids, is_active });
 
       // ⭐ NEW: Only show variants with stock > 0
       query = query.gt('shoe_variants.stock_quantity', 0);
@@ -183,6 +157,92 @@ class Shoe extends BaseModel {
     }
   }
 
+  /**
+   * Filters shared by findAllWithFilters and the catalog export. color_ids and size_ids
+   * filter the embedded shoe_variants, so the query has to embed them.
+   */
+  _applyFilters(query, { category_id, min_price, max_price, search, color_ids, size_ids, is_active } = {}) {
+    if (is_active !== undefined) {
+      query = query.eq('is_active', is_active);
+    }
+
+    if (category_id) {
+      query = query.eq('category_id', category_id);
+    }
+
+    if (min_price) {
+      query = query.gte('base_price', min_price);
+    }
+
+    if (max_price) {
+      query = query.lte('base_price', max_price);
+    }
+
+    if (search) {
+      query = query.or(`shoe_name.ilike.%${search}%,description.ilike.%${search}%`);
+    }
+
+    // Filter by color (if variants have any of these colors)
+    if (color_ids && Array.isArray(color_ids) && color_ids.length > 0) {
+      query = query.in('shoe_variants.color_id', color_ids);
+    }
+
+    // Filter by size (if variants have any of these sizes)
+    if (size_ids && Array.isArray(size_ids) && size_ids.length > 0) {
+      query = query.in('shoe_variants.size_id', size_ids);
+    }
+
+    return query;
+  }
+
+  /**
+   * Catalog export: shoes in shoe_id order, batchSize at a time, with their category and every
+   * variant (color, size, stock per location), so the whole catalog is never held in memory.
+   * Takes the filters of findAllWithFilters, but is_active only filters when given and variants
+   * are not limited to active ones in stock. With color_ids or size_ids only the matching variants
+   * (and shoes having some) are included; otherwise shoes without variants are too.
+   * @yields {Array<Object>} Shoes of the next batch
+   */
+  async *findCatalogBatches(filters = {}, batchSize = constants.CATALOG_EXPORT_CONFIG.BATCH_SIZE) {
+    const variantFilter = (filters.color_ids?.length > 0) || (filters.size_ids?.length > 0);
+    let lastShoeId = 0;
+
+    while (true) {
+      let query = supabaseConfig.getAdminClient()
+        .from(this.tableName)
+        .select(`
+          *,
+          categories (category_id, category_name),
+          shoe_variants${variantFilter ? '!inner' : ''} (
+            variant_id,
+            sku,
+            variant_price,
+            stock_quantity,
+            low_stock_threshold,
+            is_active,
+            colors (color_id, color_name, hex_code),
+            sizes (size_id, size_value, size_type),
+            location_stock (location_id, quantity)
+          )
+        `)
+        .gt('shoe_id', lastShoeId)
+        .order('shoe_id', { ascending: true })
+        .order('variant_id', { ascending: true, referencedTable: 'shoe_variants' })
+        .limit(batchSize);
+
+      query = this._applyFilters(query, filters);
+
+      const { data, error } = await query;
+      if (error) throw new DatabaseError(`Failed to export catalog: ${error.message}`, error);
+      if (!data || data.length === 0) return;
+
+      yield data;
+
+      if (data.length < batchSize) return;
+      lastShoeId = data[data.length - 1].shoe_id;
+    }
+  }
+
   /**
    * ⭐ Deduplicate shoes and aggregate variant data
    * Groups variants by shoe_id and calculates stock info
@@ -278,7 +338,7 @@ class Shoe extends BaseModel {
    */
   async findByIdWithDetails(shoeId) {
     try {
-      const { data, error } = await supabaseConfig.getAdminClient()
+      const query = supabaseConfig.getAdminClient()
         .from(this.tableName)
         .select(`
           *,
@@ -286,11 +346,13 @@ class Shoe extends BaseModel {
           shoe_variants (
             *,
             colors (*),
-            sizes (*)
+            sizes (*),
+            ${stockUtils.HOLDS_SELECT}
           )
         `)
-        .eq(this.primaryKey, shoeId)
-        .single();
+        .eq(this.primaryKey, shoeId);
+
+      const { data, error } = await stockUtils.withActiveHolds(query, 'shoe_variants.').single();
 
       if (error) {
         if (error.code === 'PGRST116') {
@@ -299,14 +361,17 @@ class Shoe extends BaseModel {
         throw error;
       }
 
-      // Calculate stock info
+      // Calculate stock info (available = stock minus active cart holds)
       if (data) {
-        const variants = data.shoe_variants || [];
+        const variants = (data.shoe_variants || []).map(v => stockUtils.withAvailability(v));
         const totalStock = variants.reduce((sum, v) => sum + (v.stock_quantity || 0), 0);
+        const availableStock = variants.reduce((sum, v) => sum + v.available_quantity, 0);
 
+        data.shoe_variants = variants;
         data.stock_info = {
           total_stock: totalStock,
-          has_stock: totalStock > 0,
+          available_stock: availableStock,
+          has_stock: availableStock > 0,
           variant_count: variants.length
         };
       }
@@ -4,6 +4,10 @@
 import createSupabaseConfig from '../../config/supabase.js';
 import BaseModel from '../utils/BaseModel.js';
 import constants from '../../config/constants.js';
+import stockUtils from '../utils/stock.js';
+import inventory from '../utils/inventory.js';
+import alerts from '../utils/alerts.js';
+import { AppError } from '../utils/ErrorClasses.js';
 
 const supabaseConfig = createSupabaseConfig();
 
@@ -18,6 +22,7 @@ class ShoeVariant extends BaseModel {
       'stock_quantity',
       'sku',
       'variant_price',
+      'low_stock_threshold',
       'is_active'
     ];
 
@@ -58,21 +63,24 @@ class ShoeVariant extends BaseModel {
 
   async findByShoeId(shoeId) {
     try {
-      const { data, error } = await supabaseConfig.getAdminClient()
+      const query = supabaseConfig.getAdminClient()
         .from(this.tableName)
         .select(`
           *,
           shoes (shoe_id, shoe_name, base_price, image_url),
           colors (color_id, color_name, hex_code),
-          sizes (size_id, size_value, size_type)
+          sizes (size_id, size_value, size_type),
+          ${stockUtils.HOLDS_SELECT}
         `)
         .eq('shoe_id', shoeId)
         .eq('is_active', true)
         .order('color_id')
         .order('size_id');
 
+      const { data, error } = await stockUtils.withActiveHolds(query);
+
       if (error) throw error;
-      return data || [];
+      return (data || []).map(variant => stockUtils.withAvailability(variant));
     } catch (error) {
       throw new Error(`Failed to fetch variants by shoe ID: ${error.message}`);
     }
@@ -98,6 +106,23 @@ class ShoeVariant extends BaseModel {
     }
   }
 
+  // Variant IDs of several SKUs at once (scanned barcodes)
+  async findBySkus(skus) {
+    try {
+      if (!skus || skus.length === 0) return [];
+
+      const { data, error } = await supabaseConfig.getAdminClient()
+        .from(this.tableName)
+        .select('variant_id, sku')
+        .in('sku', skus);
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      throw new Error(`Failed to fetch variants by SKU: ${error.message}`);
+    }
+  }
+
   async findByComposite(shoeId, colorId, sizeId) {
     try {
       const { data, error } = await supabaseConfig.getAdminClient()
@@ -120,63 +145,101 @@ class ShoeVariant extends BaseModel {
     }
   }
 
-  async updateStock(variantId, quantity, operation = 'set') {
+  /**
+   * Change the stock of a variant through the inventory service, which records the movement.
+   * operation is 'set' (to quantity), 'add' or 'subtract' (quantity units);
+   * context = { type, locationId, referenceType, referenceId, createdBy, note }, an adjustment
+   * at the default location by default.
+   * Subtracting more than the location holds throws a ConflictError and changes nothing.
+   * A change that takes the variant to its low-stock threshold raises an alert in the
+   * database, which is dispatched straight away.
+   */
+  async updateStock(variantId, quantity, operation = 'set', context = {}) {
     try {
-      let newQuantity;
-
-      if (operation === 'set') {
-        newQuantity = quantity;
-      } else {
-        const variant = await this.findById(variantId);
-        if (!variant) throw new Error('Variant not found');
-
-        if (operation === 'add') {
-          newQuantity = (variant.stock_quantity || 0) + quantity;
-        } else if (operation === 'subtract') {
-          newQuantity = Math.max(0, (variant.stock_quantity || 0) - quantity);
-        } else {
-          throw new Error('Invalid operation');
-        }
-      }
+      await inventory.applyOperation(variantId, quantity, operation, context);
 
-      const { data, error } = await supabaseConfig.getAdminClient()
+      const variant = await this.findById(variantId);
+
+      alerts.dispatchSoon();
+      return variant;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new Error(`Failed to update stock: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check whether requestedQuantity can be sold now.
+   * Units held by other carts are not available; pass the caller's holder key
+   * so its own holds still count towards it.
+   */
+  async checkStock(variantId, requestedQuantity, holderKey = null) {
+    try {
+      const query = supabaseConfig.getAdminClient()
         .from(this.tableName)
-        .update({ 
-          stock_quantity: newQuantity,
-          updated_at: new Date().toISOString()
-        })
-        .eq('variant_id', variantId)
-        .select()
-        .single();
+        .select(`*, ${stockUtils.HOLDS_SELECT}`)
+        .eq('variant_id', variantId);
+
+      const { data: variant, error } = await stockUtils.withActiveHolds(query).maybeSingle();
 
       if (error) throw error;
+      if (!variant) throw new Error('Variant not found');
 
-      await this._checkLowStockAlert(variantId, newQuantity);
-      return data;
+      return this.buildStockCheck(variant, requestedQuantity, holderKey);
     } catch (error) {
-      throw new Error(`Failed to update stock: ${error.message}`);
+      throw new Error(`Failed to check stock: ${error.message}`);
     }
   }
 
-  async checkStock(variantId, requestedQuantity) {
+  /**
+   * Stock check result for an already loaded variant (with its stock_reservations).
+   * Shared by checkStock and order validation so both report shortfalls the same way.
+   */
+  buildStockCheck(variant, requestedQuantity, holderKey = null) {
+    const currentStock = variant?.is_active === false ? 0 : (variant?.stock_quantity || 0);
+    const reservedQuantity = stockUtils.reservedQuantity(variant, holderKey);
+    const availableQuantity = stockUtils.calculateAvailableStock(variant, holderKey);
+    const available = availableQuantity >= requestedQuantity;
+
+    return {
+      available,
+      current_stock: currentStock,
+      reserved_quantity: reservedQuantity,
+      available_quantity: availableQuantity,
+      requested_quantity: requestedQuantity,
+      shortfall: available ? 0 : requestedQuantity - availableQuantity
+    };
+  }
+
+  /**
+   * Find several variants at once with the shoe data needed for pricing
+   * and their active holds for stock checks
+   */
+  async findByIds(variantIds) {
     try {
-      const variant = await this.findById(variantId);
-      if (!variant) throw new Error('Variant not found');
+      if (!variantIds || variantIds.length === 0) return [];
 
-      const available = variant.stock_quantity >= requestedQuantity;
+      const query = supabaseConfig.getAdminClient()
+        .from(this.tableName)
+        .select(`
+          *,
+          shoes (shoe_id, shoe_name, base_price, image_url, category_id, is_active, categories (category_id, category_name)),
+          colors (color_id, color_name, hex_code),
+          sizes (size_id, size_value, size_type),
+          ${stockUtils.HOLDS_SELECT}
+        `)
+        .in('variant_id', variantIds);
+
+      const { data, error } = await stockUtils.withActiveHolds(query);
 
-      return {
-        available,
-        current_stock: variant.stock_quantity,
-        requested_quantity: requestedQuantity,
-        shortfall: available ? 0 : requestedQuantity - variant.stock_quantity
-      };
+      if (error) throw error;
+      return data || [];
     } catch (error) {
-      throw new Error(`Failed to check stock: ${error.message}`);
+      throw new Error(`Failed to fetch variants by IDs: ${error.message}`);
     }
   }
 
-  async findLowStock(threshold = 10) {
+  async findLowStock(threshold = constants.LOW_STOCK_ALERT_CONFIG.DEFAULT_THRESHOLD) {
     try {
       const { data, error } = await supabaseConfig.getAdminClient()
         .from(this.tableName)
@@ -197,6 +260,26 @@ class ShoeVariant extends BaseModel {
     }
   }
 
+  /**
+   * Sales, stock and supplier figures behind reorder suggestions (replenishment_data()),
+   * for every active variant or only variantIds
+   * @param {number[]} windows - Sales windows in days
+   */
+  async findReplenishmentData(windows, variantIds = null) {
+    try {
+      const { data, error } = await supabaseConfig.getAdminClient()
+        .rpc('replenishment_data', {
+          p_windows: windows,
+          p_variant_ids: variantIds
+        });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      throw new Error(`Failed to fetch replenishment data: ${error.message}`);
+    }
+  }
+
   async bulkCreate(variantsData) {
     try {
       for (const variant of variantsData) {
@@ -226,13 +309,6 @@ class ShoeVariant extends BaseModel {
       throw new Error(`Failed to bulk create variants: ${error.message}`);
     }
   }
-
-  async _checkLowStockAlert(variantId, currentStock) {
-    const LOW_STOCK_THRESHOLD = 10;
-    if (currentStock <= LOW_STOCK_THRESHOLD) {
-      console.warn(`⚠️ LOW STOCK ALERT: Variant ${variantId} has only ${currentStock} units remaining`);
-    }
-  }
 }
 
 // Export CLASS - OOP standard
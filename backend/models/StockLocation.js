@@ -0,0 +1,169 @@
+// 🏬 Stock Location Model - stock_locations / location_stock tables
+// Warehouses and stores holding stock. location_stock is kept by the stock movement
+// functions; shoe_variants.stock_quantity caches the stock at sellable locations.
+// Locations are deactivated, never deleted: movements keep referencing them.
+
+import createSupabaseConfig from '../../config/supabase.js';
+import BaseModel from '../utils/BaseModel.js';
+import constants from '../../config/constants.js';
+import { BusinessLogicError, ConflictError, DatabaseError } from '../utils/ErrorClasses.js';
+
+const supabaseConfig = createSupabaseConfig();
+
+class StockLocation extends BaseModel {
+    constructor() {
+        super(constants.DATABASE_TABLES.STOCK_LOCATIONS, 'location_id');
+    }
+
+    // Locations by priority (highest first), optionally only active or sellable ones
+    async findAll({ isActive, isSellable } = {}) {
+        let query = supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .select('*')
+            .order('priority', { ascending: false })
+            .order('location_id', { ascending: true });
+
+        if (isActive !== undefined) query = query.eq('is_active', isActive);
+        if (isSellable !== undefined) query = query.eq('is_sellable', isSellable);
+
+        const { data, error } = await query;
+        if (error) throw new DatabaseError(`Failed to fetch locations: ${error.message}`, error);
+
+        return data || [];
+    }
+
+    // The location stock changes go to when none is given (see default_stock_location())
+    async findDefault() {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .select('*')
+            .eq('is_default', true)
+            .maybeSingle();
+
+        if (error) throw new DatabaseError(`Failed to fetch the default location: ${error.message}`, error);
+        return data;
+    }
+
+    async createLocation(locationData) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .insert([locationData])
+            .select()
+            .single();
+
+        if (error) throw this._mapWriteError(error, 'create');
+        return data;
+    }
+
+    async updateLocation(locationId, updates) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .update(updates)
+            .eq(this.primaryKey, locationId)
+            .select()
+            .maybeSingle();
+
+        if (error) throw this._mapWriteError(error, 'update');
+        return data;
+    }
+
+    /**
+     * Whether a location still holds units, on hand or in transit to or from it
+     */
+    async hasStock(locationId) {
+        const client = supabaseConfig.getAdminClient();
+
+        const { count: onHand, error } = await client
+            .from(constants.DATABASE_TABLES.LOCATION_STOCK)
+            .select('variant_id', { count: 'exact', head: true })
+            .eq('location_id', locationId)
+            .gt('quantity', 0);
+
+        if (error) throw new DatabaseError(`Failed to check location stock: ${error.message}`, error);
+        if (onHand > 0) return true;
+
+        const { count: inTransit, error: transferError } = await client
+            .from(constants.DATABASE_TABLES.STOCK_TRANSFERS)
+            .select('transfer_id', { count: 'exact', head: true })
+            .eq('status', constants.TRANSFER_STATUS.IN_TRANSIT)
+            .or(`from_location_id.eq.${locationId},to_location_id.eq.${locationId}`);
+
+        if (transferError) {
+            throw new DatabaseError(`Failed to check transfers in transit: ${transferError.message}`, transferError);
+        }
+
+        return inTransit > 0;
+    }
+
+    /**
+     * Stock of each variant per location: locations [{ location_id, location_code, location_name,
+     * is_sellable, quantity }], sellable_quantity (what the storefront sells) and in_transit
+     * [{ transfer_id, to_location_id, to_location_code, quantity }].
+     * @returns {Promise<Map>} variant_id -> breakdown (empty for variants without stock)
+     */
+    async findStock(variantIds) {
+        const breakdown = new Map(variantIds.map(id => [id, { locations: [], sellable_quantity: 0, in_transit: [] }]));
+        if (variantIds.length === 0) return breakdown;
+
+        const client = supabaseConfig.getAdminClient();
+
+        const { data: stock, error } = await client
+            .from(constants.DATABASE_TABLES.LOCATION_STOCK)
+            .select('variant_id, quantity, stock_locations (location_id, location_code, location_name, is_sellable, priority)')
+            .in('variant_id', variantIds)
+            .gt('quantity', 0);
+
+        if (error) throw new DatabaseError(`Failed to fetch stock by location: ${error.message}`, error);
+
+        const { data: transit, error: transitError } = await client
+            .from(constants.DATABASE_TABLES.STOCK_TRANSFER_LINES)
+            .select(`
+                variant_id,
+                quantity,
+                stock_transfers!inner (transfer_id, status, to_location_id, stock_locations!stock_transfers_to_location_id_fkey (location_code))
+            `)
+            .in('variant_id', variantIds)
+            .eq('stock_transfers.status', constants.TRANSFER_STATUS.IN_TRANSIT);
+
+        if (transitError) {
+            throw new DatabaseError(`Failed to fetch stock in transit: ${transitError.message}`, transitError);
+        }
+
+        const byPriority = (a, b) => b.priority - a.priority || a.location_id - b.location_id;
+
+        for (const row of stock || []) {
+            const entry = breakdown.get(row.variant_id);
+            const { priority, ...location } = row.stock_locations;
+
+            entry.locations.push({ ...location, priority, quantity: row.quantity });
+            if (location.is_sellable) entry.sellable_quantity += row.quantity;
+        }
+
+        for (const entry of breakdown.values()) {
+            entry.locations = entry.locations.sort(byPriority).map(({ priority, ...location }) => location);
+        }
+
+        for (const row of transit || []) {
+            breakdown.get(row.variant_id).in_transit.push({
+                transfer_id: row.stock_transfers.transfer_id,
+                to_location_id: row.stock_transfers.to_location_id,
+                to_location_code: row.stock_transfers.stock_locations?.location_code ?? null,
+                quantity: row.quantity
+            });
+        }
+
+        return breakdown;
+    }
+
+    _mapWriteError(error, action) {
+        if (error.code === '23505') {
+            return new ConflictError(constants.ERROR_MESSAGES.LOCATION.CODE_TAKEN);
+        }
+        if (error.code === '23514') {
+            return new BusinessLogicError(constants.ERROR_MESSAGES.LOCATION.DEFAULT_REQUIRED);
+        }
+        return new DatabaseError(`Failed to ${action} location: ${error.message}`, error);
+    }
+}
+
+export default StockLocation;
@@ -0,0 +1,56 @@
+// 📒 Stock Movement Model - stock_movements table
+// Append-only ledger of stock changes, one location each; written by the inventory service
+// (utils/inventory.js) and the order, return, import and transfer database functions, never updated here
+
+import createSupabaseConfig from '../../config/supabase.js';
+import BaseModel from '../utils/BaseModel.js';
+import constants from '../../config/constants.js';
+import { DatabaseError } from '../utils/ErrorClasses.js';
+
+const supabaseConfig = createSupabaseConfig();
+
+class StockMovement extends BaseModel {
+    constructor() {
+        super(constants.DATABASE_TABLES.STOCK_MOVEMENTS, 'movement_id');
+    }
+
+    // Movements of a variant with their location, newest first, optionally of one movement type or location
+    async findByVariant(variantId, { type, locationId, page = 1, limit = 20 } = {}) {
+        const offset = (page - 1) * limit;
+
+        let query = supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .select('*, stock_locations (location_id, location_code, location_name)', { count: 'exact' })
+            .eq('variant_id', variantId)
+            .order('movement_id', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (type) query = query.eq('movement_type', type);
+        if (locationId) query = query.eq('location_id', locationId);
+
+        const { data, error, count } = await query;
+        if (error) throw new DatabaseError(`Failed to fetch stock movements: ${error.message}`, error);
+
+        return {
+            data: data || [],
+            total: count || 0,
+            page,
+            limit,
+            totalPages: Math.ceil((count || 0) / limit)
+        };
+    }
+
+    /**
+     * Rebuild stock from the ledger and compare it with the cached stock_quantity.
+     * Returns the variants that drifted (all, or only variantId) with their drift.
+     */
+    async findDrift(variantId = null) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .rpc('stock_ledger_drift', { p_variant_id: variantId });
+
+        if (error) throw new DatabaseError(`Failed to check the stock ledger: ${error.message}`, error);
+        return data || [];
+    }
+}
+
+export default StockMovement;
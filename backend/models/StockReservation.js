@@ -0,0 +1,85 @@
+// ⏳ Stock Reservation Model - stock_reservations table
+// Time-limited cart holds that reduce available-to-sell without touching stock_quantity
+
+import createSupabaseConfig from '../../config/supabase.js';
+import BaseModel from '../utils/BaseModel.js';
+import constants from '../../config/constants.js';
+import { BusinessLogicError, DatabaseError } from '../utils/ErrorClasses.js';
+
+const supabaseConfig = createSupabaseConfig();
+
+class StockReservation extends BaseModel {
+    constructor() {
+        super(constants.DATABASE_TABLES.STOCK_RESERVATIONS, 'reservation_id');
+    }
+
+    /**
+     * Hold quantity units of a variant for a cart, restarting the expiry.
+     * Calling again with a new quantity resizes the hold; 0 releases it.
+     * @param {number} variantId
+     * @param {string} holderKey - 'user:<uuid>' or 'guest:<token>'
+     * @param {number} quantity
+     * @param {number} ttlMinutes
+     */
+    async reserve(variantId, holderKey, quantity, ttlMinutes = constants.STOCK_RESERVATION.TTL_MINUTES) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .rpc('reserve_stock', {
+                p_variant_id: variantId,
+                p_holder_key: holderKey,
+                p_quantity: quantity,
+                p_ttl_seconds: ttlMinutes * 60
+            });
+
+        if (error) {
+            if (error.message === 'INSUFFICIENT_STOCK') {
+                throw new BusinessLogicError(
+                    constants.ERROR_MESSAGES.PRODUCT.INSUFFICIENT_STOCK,
+                    this._parseDetails(error.details, [])
+                );
+            }
+            throw new DatabaseError(`Failed to reserve stock: ${error.message}`, error);
+        }
+
+        // reserve_stock returns an empty row when there was nothing to release
+        return data?.reservation_id ? data : null;
+    }
+
+    // Release a cart's hold on a variant
+    async release(variantId, holderKey) {
+        return this.reserve(variantId, holderKey, 0);
+    }
+
+    // Active, unexpired holds of a cart with the variant details
+    async findActiveByHolder(holderKey) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .select(`
+                *,
+                shoe_variants (
+                    variant_id,
+                    sku,
+                    shoes (shoe_id, shoe_name, image_url),
+                    colors (color_id, color_name, hex_code),
+                    sizes (size_id, size_value, size_type)
+                )
+            `)
+            .eq('holder_key', holderKey)
+            .eq('status', 'active')
+            .gt('expires_at', new Date().toISOString())
+            .order('created_at', { ascending: true });
+
+        if (error) throw new DatabaseError(`Failed to fetch stock reservations: ${error.message}`, error);
+        return data || [];
+    }
+
+    // Mark expired holds as expired, returns how many were released
+    async releaseExpired() {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .rpc('release_expired_reservations');
+
+        if (error) throw new DatabaseError(`Failed to release expired reservations: ${error.message}`, error);
+        return data || 0;
+    }
+}
+
+export default StockReservation;
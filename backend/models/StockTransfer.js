@@ -0,0 +1,177 @@
+// 🚛 Stock Transfer Model - stock_transfers / stock_transfer_lines tables
+// Stock moved between locations. Units leave the source when the transfer is created
+// and arrive at the destination when it is received; both moves are stock movements
+// written by the transfer database functions.
+
+import createSupabaseConfig from '../../config/supabase.js';
+import BaseModel from '../utils/BaseModel.js';
+import constants from '../../config/constants.js';
+import { BusinessLogicError, ConflictError, DatabaseError, NotFoundError } from '../utils/ErrorClasses.js';
+
+const supabaseConfig = createSupabaseConfig();
+
+// Relations loaded with transfer lists
+const TRANSFER_LIST_SELECT = `
+    *,
+    from_location:stock_locations!stock_transfers_from_location_id_fkey (location_id, location_code, location_name),
+    to_location:stock_locations!stock_transfers_to_location_id_fkey (location_id, location_code, location_name),
+    stock_transfer_lines (quantity, quantity_received)
+`;
+
+// Relations loaded with a single transfer
+const TRANSFER_DETAIL_SELECT = `
+    *,
+    from_location:stock_locations!stock_transfers_from_location_id_fkey (location_id, location_code, location_name),
+    to_location:stock_locations!stock_transfers_to_location_id_fkey (location_id, location_code, location_name),
+    stock_transfer_lines (
+        *,
+        shoe_variants (
+            variant_id,
+            sku,
+            shoes (shoe_id, shoe_name),
+            colors (color_id, color_name),
+            sizes (size_id, size_value, size_type)
+        )
+    )
+`;
+
+class StockTransfer extends BaseModel {
+    constructor() {
+        super(constants.DATABASE_TABLES.STOCK_TRANSFERS, 'transfer_id');
+    }
+
+    // Transfers, newest first, optionally of one status and from or to one location
+    async findAll({ status, locationId, page = 1, limit = 20 } = {}) {
+        const offset = (page - 1) * limit;
+
+        let query = supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .select(TRANSFER_LIST_SELECT, { count: 'exact' })
+            .order('transfer_id', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (status) query = query.eq('status', status);
+        if (locationId) query = query.or(`from_location_id.eq.${locationId},to_location_id.eq.${locationId}`);
+
+        const { data, error, count } = await query;
+        if (error) throw new DatabaseError(`Failed to fetch transfers: ${error.message}`, error);
+
+        return {
+            data: (data || []).map(({ stock_transfer_lines: lines, ...transfer }) => ({
+                ...transfer,
+                ...this.summarize(lines || [])
+            })),
+            total: count || 0,
+            page,
+            limit,
+            totalPages: Math.ceil((count || 0) / limit)
+        };
+    }
+
+    // Get a transfer with its lines and their variants
+    async findWithLines(transferId) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .select(TRANSFER_DETAIL_SELECT)
+            .eq(this.primaryKey, transferId)
+            .order('variant_id', { referencedTable: 'stock_transfer_lines' })
+            .maybeSingle();
+
+        if (error) throw new DatabaseError(`Failed to fetch transfer: ${error.message}`, error);
+        if (!data) throw new NotFoundError(`Transfer ${transferId}`);
+
+        return { ...data, ...this.summarize(data.stock_transfer_lines || []) };
+    }
+
+    /**
+     * Send stock: the units leave the source location at once and are in transit
+     * @param {Object} fields - from_location_id, to_location_id, notes, created_by
+     * @param {Array} lines - [{ variant_id, quantity }]
+     */
+    async create(fields, lines) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .rpc('create_stock_transfer', {
+                p_transfer: fields,
+                p_lines: lines
+            });
+
+        if (error) {
+            if (error.message === 'INSUFFICIENT_STOCK') {
+                throw new BusinessLogicError(
+                    constants.ERROR_MESSAGES.PRODUCT.INSUFFICIENT_STOCK,
+                    this._parseDetails(error.details, {})
+                );
+            }
+            if (error.code === '23503') {
+                throw new NotFoundError('Variant');
+            }
+            throw new DatabaseError(`Failed to create transfer: ${error.message}`, error);
+        }
+
+        return data;
+    }
+
+    /**
+     * Receive a transfer at its destination
+     * @param {Array} items - [{ variant_id, quantity_received }] for lines short on arrival; other lines arrive in full
+     */
+    async receive(transferId, items, receivedBy) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .rpc('receive_stock_transfer', {
+                p_transfer_id: transferId,
+                p_items: items,
+                p_received_by: receivedBy
+            });
+
+        if (error) {
+            this._throwCommonError(error, transferId);
+            if (error.message === 'RECEIPT_EXCEEDS_SHIPPED') {
+                throw new BusinessLogicError(constants.ERROR_MESSAGES.TRANSFER.RECEIPT_EXCEEDS_SHIPPED, {
+                    lines: this._parseDetails(error.details, [])
+                });
+            }
+            throw new DatabaseError(`Failed to receive transfer: ${error.message}`, error);
+        }
+
+        return data;
+    }
+
+    // Cancel a transfer in transit; its units go back to the source location
+    async cancel(transferId, cancelledBy) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .rpc('cancel_stock_transfer', {
+                p_transfer_id: transferId,
+                p_cancelled_by: cancelledBy
+            });
+
+        if (error) {
+            this._throwCommonError(error, transferId);
+            throw new DatabaseError(`Failed to cancel transfer: ${error.message}`, error);
+        }
+
+        return data;
+    }
+
+    // Units shipped and received over the lines of a transfer
+    summarize(lines) {
+        const received = lines.filter(line => line.quantity_received !== null);
+
+        return {
+            line_count: lines.length,
+            units_shipped: lines.reduce((sum, line) => sum + line.quantity, 0),
+            units_received: received.reduce((sum, line) => sum + line.quantity_received, 0),
+            units_lost: received.reduce((sum, line) => sum + line.quantity - line.quantity_received, 0)
+        };
+    }
+
+    _throwCommonError(error, transferId) {
+        if (error.message === 'TRANSFER_NOT_FOUND') {
+            throw new NotFoundError(`Transfer ${transferId}`);
+        }
+        if (error.message === 'STATUS_CONFLICT') {
+            throw new ConflictError(constants.ERROR_MESSAGES.TRANSFER.NOT_IN_TRANSIT);
+        }
+    }
+}
+
+export default StockTransfer;
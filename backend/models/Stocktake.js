@@ -0,0 +1,222 @@
+// 📋 Stocktake Model - stocktakes / stocktake_lines tables
+// Physical count sessions at one location. Counts are compared with the location's stock at
+// the moment they were entered, and approve_stocktake() posts the variances as adjustment movements.
+
+import createSupabaseConfig from '../../config/supabase.js';
+import BaseModel from '../utils/BaseModel.js';
+import constants from '../../config/constants.js';
+import pricing from '../utils/pricing.js';
+import { BusinessLogicError, ConflictError, DatabaseError, NotFoundError } from '../utils/ErrorClasses.js';
+
+const supabaseConfig = createSupabaseConfig();
+
+// Relations loaded with the lines of a stocktake
+const LINE_SELECT = `
+    *,
+    shoe_variants (
+        variant_id,
+        sku,
+        average_cost,
+        shoes (shoe_id, shoe_name),
+        colors (color_id, color_name),
+        sizes (size_id, size_value, size_type)
+    )
+`;
+
+class Stocktake extends BaseModel {
+    constructor() {
+        super(constants.DATABASE_TABLES.STOCKTAKES, 'stocktake_id');
+    }
+
+    // Stocktakes, newest first, optionally of one status or location
+    async findAll({ status, locationId, page = 1, limit = 20 } = {}) {
+        return this.find(
+            { status, location_id: locationId },
+            { orderBy: 'stocktake_id', orderDirection: 'desc', page, limit }
+        );
+    }
+
+    /**
+     * Stocktake with its location, its lines (variant, expected and counted quantities, variance
+     * and its value at average cost) and the totals of the session
+     */
+    async findWithLines(stocktakeId) {
+        const client = supabaseConfig.getAdminClient();
+
+        const { data: stocktake, error: stocktakeError } = await client
+            .from(this.tableName)
+            .select('*, stock_locations (location_id, location_code, location_name)')
+            .eq(this.primaryKey, stocktakeId)
+            .maybeSingle();
+
+        if (stocktakeError) throw new DatabaseError(`Failed to fetch stocktake: ${stocktakeError.message}`, stocktakeError);
+        if (!stocktake) throw new NotFoundError(`Stocktake ${stocktakeId}`);
+
+        const { data, error } = await client
+            .from(constants.DATABASE_TABLES.STOCKTAKE_LINES)
+            .select(LINE_SELECT)
+            .eq('stocktake_id', stocktakeId)
+            .order('variant_id');
+
+        if (error) throw new DatabaseError(`Failed to fetch stocktake lines: ${error.message}`, error);
+
+        // Stock now at the stocktake's location
+        const { data: stock, error: stockError } = await client
+            .from(constants.DATABASE_TABLES.LOCATION_STOCK)
+            .select('variant_id, quantity')
+            .eq('location_id', stocktake.location_id)
+            .in('variant_id', (data || []).map(line => line.variant_id));
+
+        if (stockError) throw new DatabaseError(`Failed to fetch location stock: ${stockError.message}`, stockError);
+
+        const currentStock = new Map((stock || []).map(row => [row.variant_id, row.quantity]));
+        const lines = (data || []).map(line => this.withVariance(line, currentStock.get(line.variant_id) ?? 0));
+        return { ...stocktake, lines, summary: this.summarize(lines) };
+    }
+
+    /**
+     * Start a stocktake, snapshotting the location's stock of every variant in scope
+     * @param {Object} scope - { type: 'all'|'category'|'shoe', id, locationId } (the default location without locationId)
+     */
+    async start(scope, startedBy, note = null) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .rpc('start_stocktake', {
+                p_scope_type: scope.type,
+                p_scope_id: scope.id ?? null,
+                p_location_id: scope.locationId ?? null,
+                p_started_by: startedBy,
+                p_note: note
+            });
+
+        if (error) {
+            if (error.message === 'STOCKTAKE_OVERLAP') {
+                throw new ConflictError(
+                    `${constants.ERROR_MESSAGES.STOCKTAKE.OVERLAP} (variants ${this._parseDetails(error.details, []).join(', ')})`
+                );
+            }
+            if (error.message === 'STOCKTAKE_SCOPE_EMPTY') {
+                throw new BusinessLogicError(constants.ERROR_MESSAGES.STOCKTAKE.SCOPE_EMPTY, scope);
+            }
+            if (error.code === '23503') {
+                throw new NotFoundError(`Location ${scope.locationId}`);
+            }
+            throw new DatabaseError(`Failed to start stocktake: ${error.message}`, error);
+        }
+
+        return data;
+    }
+
+    /**
+     * Record counted quantities; with add they are added to the count so far (scans)
+     * @param {Array} counts - [{ variant_id, counted_quantity }]
+     */
+    async recordCounts(stocktakeId, counts, countedBy, add = false) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .rpc('record_stocktake_counts', {
+                p_stocktake_id: stocktakeId,
+                p_counts: counts,
+                p_counted_by: countedBy,
+                p_add: add
+            });
+
+        if (error) {
+            this._throwCommonError(error, stocktakeId);
+            if (error.message === 'VARIANT_NOT_IN_STOCKTAKE') {
+                throw new BusinessLogicError(constants.ERROR_MESSAGES.STOCKTAKE.NOT_IN_SCOPE, {
+                    variant_ids: this._parseDetails(error.details, [])
+                });
+            }
+            if (error.code === '23514') {
+                throw new BusinessLogicError(constants.ERROR_MESSAGES.STOCKTAKE.NEGATIVE_COUNT, { stocktake_id: stocktakeId });
+            }
+            throw new DatabaseError(`Failed to record counts: ${error.message}`, error);
+        }
+
+        return data || [];
+    }
+
+    // Post the variances of the counted lines as adjustment movements
+    async approve(stocktakeId, approvedBy) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .rpc('approve_stocktake', {
+                p_stocktake_id: stocktakeId,
+                p_approved_by: approvedBy
+            });
+
+        if (error) {
+            this._throwCommonError(error, stocktakeId);
+            throw new DatabaseError(`Failed to approve stocktake: ${error.message}`, error);
+        }
+
+        return data;
+    }
+
+    // Cancel a stocktake that is still counting; stock is left unchanged
+    async cancel(stocktakeId) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .update({ status: constants.STOCKTAKE_STATUS.CANCELLED, cancelled_at: new Date().toISOString() })
+            .eq(this.primaryKey, stocktakeId)
+            .eq('status', constants.STOCKTAKE_STATUS.COUNTING)
+            .select()
+            .maybeSingle();
+
+        if (error) throw new DatabaseError(`Failed to cancel stocktake: ${error.message}`, error);
+        if (!data) throw new ConflictError(constants.ERROR_MESSAGES.STOCKTAKE.NOT_COUNTING);
+
+        return data;
+    }
+
+    /**
+     * Variance of a line: counted minus the stock when it was counted. movements_since_start
+     * is what sales, receipts and other changes moved until the count (or until now, from
+     * currentStock at the stocktake's location). Approved lines are valued at the cost they were adjusted at.
+     */
+    withVariance(line, currentStock) {
+        const { shoe_variants: variant, ...rest } = line;
+        const counted = line.counted_quantity !== null;
+        const variance = counted ? line.counted_quantity - line.expected_quantity : null;
+        const unitCost = line.unit_cost ?? variant?.average_cost ?? null;
+
+        return {
+            ...rest,
+            sku: variant?.sku ?? null,
+            shoe_name: variant?.shoes?.shoe_name ?? null,
+            color_name: variant?.colors?.color_name ?? null,
+            size: variant?.sizes ? `${variant.sizes.size_value} ${variant.sizes.size_type}` : null,
+            current_stock: currentStock,
+            movements_since_start: (counted ? line.expected_quantity : currentStock) - line.snapshot_quantity,
+            variance,
+            unit_cost: unitCost === null ? null : Number(unitCost),
+            variance_value: variance === null || unitCost === null
+                ? null
+                : pricing.roundAmount(variance * Number(unitCost))
+        };
+    }
+
+    summarize(lines) {
+        const counted = lines.filter(line => line.variance !== null);
+        const sum = values => values.reduce((total, value) => total + value, 0);
+
+        return {
+            lines: lines.length,
+            counted: counted.length,
+            uncounted: lines.length - counted.length,
+            with_variance: counted.filter(line => line.variance !== 0).length,
+            units_over: sum(counted.filter(line => line.variance > 0).map(line => line.variance)),
+            units_short: sum(counted.filter(line => line.variance < 0).map(line => -line.variance)),
+            variance_value: pricing.roundAmount(sum(counted.map(line => line.variance_value || 0)))
+        };
+    }
+
+    _throwCommonError(error, stocktakeId) {
+        if (error.message === 'STOCKTAKE_NOT_FOUND') {
+            throw new NotFoundError(`Stocktake ${stocktakeId}`);
+        }
+        if (error.message === 'STATUS_CONFLICT') {
+            throw new ConflictError(constants.ERROR_MESSAGES.STOCKTAKE.NOT_COUNTING);
+        }
+    }
+}
+
+export default Stocktake;
@@ -0,0 +1,112 @@
+// 🚚 Supplier Model - suppliers table
+// Suppliers are deactivated, never deleted: imports keep referencing them
+
+import createSupabaseConfig from '../../config/supabase.js';
+import BaseModel from '../utils/BaseModel.js';
+import constants from '../../config/constants.js';
+import { ConflictError, DatabaseError } from '../utils/ErrorClasses.js';
+
+const supabaseConfig = createSupabaseConfig();
+
+const EMPTY_STATS = {
+    import_count: 0,
+    units_imported: 0,
+    total_spend: 0,
+    last_import_date: null,
+    shoes: []
+};
+
+class Supplier extends BaseModel {
+    constructor() {
+        super(constants.DATABASE_TABLES.SUPPLIERS, 'supplier_id');
+    }
+
+    // Suppliers by name, optionally matching ?search (name, email or phone) and active state
+    async findAll({ search, isActive, page = 1, limit = 20 } = {}) {
+        const offset = (page - 1) * limit;
+
+        let query = supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .select('*', { count: 'exact' })
+            .order('supplier_name', { ascending: true })
+            .range(offset, offset + limit - 1);
+
+        if (isActive !== undefined) query = query.eq('is_active', isActive);
+
+        // Commas and parentheses would break the or() filter syntax
+        const term = (search || '').replace(/[,()%]/g, ' ').trim();
+        if (term) {
+            query = query.or(`supplier_name.ilike.%${term}%,contact_email.ilike.%${term}%,phone.ilike.%${term}%`);
+        }
+
+        const { data, error, count } = await query;
+        if (error) throw new DatabaseError(`Failed to fetch suppliers: ${error.message}`, error);
+
+        return {
+            data: data || [],
+            total: count || 0,
+            page,
+            limit,
+            totalPages: Math.ceil((count || 0) / limit)
+        };
+    }
+
+    async createSupplier(supplierData) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .insert([supplierData])
+            .select()
+            .single();
+
+        if (error) throw this._mapWriteError(error, 'create');
+        return data;
+    }
+
+    async updateSupplier(supplierId, updates) {
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .from(this.tableName)
+            .update(updates)
+            .eq(this.primaryKey, supplierId)
+            .select()
+            .maybeSingle();
+
+        if (error) throw this._mapWriteError(error, 'update');
+        return data;
+    }
+
+    /**
+     * Import statistics per supplier: import_count, units_imported, total_spend,
+     * last_import_date and the shoes supplied ([{ shoe_id, shoe_name, units }]).
+     * @returns {Promise<Map>} supplier_id -> stats (zeros for suppliers without imports)
+     */
+    async getStats(supplierIds) {
+        const stats = new Map(supplierIds.map(id => [id, { ...EMPTY_STATS }]));
+        if (supplierIds.length === 0) return stats;
+
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .rpc('supplier_stats', { p_supplier_ids: supplierIds });
+
+        if (error) throw new DatabaseError(`Failed to fetch supplier statistics: ${error.message}`, error);
+
+        for (const row of data || []) {
+            stats.set(row.supplier_id, {
+                import_count: row.import_count,
+                units_imported: row.units_imported,
+                total_spend: Number(row.total_spend),
+                last_import_date: row.last_import_date,
+                shoes: row.shoes || []
+            });
+        }
+
+        return stats;
+    }
+
+    _mapWriteError(error, action) {
+        if (error.code === '23505') {
+            return new ConflictError(constants.ERROR_MESSAGES.SUPPLIER.NAME_TAKEN);
+        }
+        return new DatabaseError(`Failed to ${action} supplier: ${error.message}`, error);
+    }
+}
+
+export default Supplier;
@@ -12,9 +12,28 @@ import ShoeVariant from './ShoeVariant.js';
 import Size from './Size.js';
 import Order from './Order.js';
 import OrderItem from './OrderItem.js';
+import OrderStatusHistory from './OrderStatusHistory.js';
+import Cart from './Cart.js';
+import CartItem from './CartItem.js';
+import StockReservation from './StockReservation.js';
+import StockMovement from './StockMovement.js';
 import Payment from './Payment.js';
+import PaymentEvent from './PaymentEvent.js';
+import BankStatement from './BankStatement.js';
+import ReturnRequest from './ReturnRequest.js';
+import Refund from './Refund.js';
+import CodCollection from './CodCollection.js';
+import Promotion from './Promotion.js';
 import Review from './Review.js';
+import Supplier from './Supplier.js';
 import Import from './Import.js';
+import PurchaseOrder from './PurchaseOrder.js';
+import Stocktake from './Stocktake.js';
+import StockLocation from './StockLocation.js';
+import StockTransfer from './StockTransfer.js';
+import LowStockAlert from './LowStockAlert.js';
+import EmailOutbox from './EmailOutbox.js';
+import CatalogImport from './CatalogImport.js';
 
 // Initialize models with Supabase client
 let models = {};
@@ -33,9 +52,28 @@ function initializeModels() {
         Size: new Size(),
         Order: new Order(),
         OrderItem: new OrderItem(),
+        OrderStatusHistory: new OrderStatusHistory(),
+        Cart: new Cart(),
+        CartItem: new CartItem(),
+        StockReservation: new StockReservation(),
+        StockMovement: new StockMovement(),
         Payment: new Payment(),
+        PaymentEvent: new PaymentEvent(),
+        BankStatement: new BankStatement(),
+        ReturnRequest: new ReturnRequest(),
+        Refund: new Refund(),
+        CodCollection: new CodCollection(),
+        Promotion: new Promotion(),
         Review: new Review(),
-        Import: new Import()
+        Supplier: new Supplier(),
+        Import: new Import(),
+        PurchaseOrder: new PurchaseOrder(),
+        Stocktake: new Stocktake(),
+        StockLocation: new StockLocation(),
+        StockTransfer: new StockTransfer(),
+        LowStockAlert: new LowStockAlert(),
+        EmailOutbox: new EmailOutbox(),
+        CatalogImport: new CatalogImport()
     };
 
     console.log('✅ All models initialized with Supabase client');
@@ -65,9 +103,28 @@ export {
     Size,
     Order,
     OrderItem,
+    OrderStatusHistory,
+    Cart,
+    CartItem,
+    StockReservation,
+    StockMovement,
     Payment,
+    PaymentEvent,
+    BankStatement,
+    ReturnRequest,
+    Refund,
+    CodCollection,
+    Promotion,
     Review,
-    Import
+    Supplier,
+    Import,
+    PurchaseOrder,
+    Stocktake,
+    StockLocation,
+    StockTransfer,
+    LowStockAlert,
+    EmailOutbox,
+    CatalogImport
 };
 
 // Also export as default for compatibility
@@ -84,8 +141,27 @@ export default {
     Size,
     Order,
     OrderItem,
+    OrderStatusHistory,
+    Cart,
+    CartItem,
+    StockReservation,
+    StockMovement,
     Payment,
+    PaymentEvent,
+    BankStatement,
+    ReturnRequest,
+    Refund,
+    CodCollection,
+    Promotion,
     Review,
-    Import
+    Supplier,
+    Import,
+    PurchaseOrder,
+    Stocktake,
+    StockLocation,
+    StockTransfer,
+    LowStockAlert,
+    EmailOutbox,
+    CatalogImport
 };
 
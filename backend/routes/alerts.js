@@ -0,0 +1,60 @@
+// backend/routes/alerts.js
+// 🔔 Alert Routes - /api/alerts/*
+// Low-stock alert inbox routes (No Express)
+
+import url from 'url';
+
+/**
+ * Alert routes handler
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {AlertController} controller
+ * @param {string} pathname - Request pathname
+ */
+export default function alertRoutes(req, res, controller, pathname) {
+  const parsedUrl = url.parse(req.url, true);
+  const method = req.method;
+  req.query = parsedUrl.query || {};
+
+  // Extract path after /api/alerts
+  const path = pathname.replace('/api/alerts', '') || '/';
+  const segments = path.split('/').filter(Boolean);
+
+  try {
+    // GET /api/alerts/summary
+    if (path === '/summary' && method === 'GET') {
+      return controller.getSummary(req, res);
+    }
+
+    // PUT /api/alerts/:id/acknowledge
+    if (segments.length === 2 && segments[1] === 'acknowledge' && method === 'PUT') {
+      req.params = { id: segments[0] };
+      return controller.acknowledgeAlert(req, res);
+    }
+
+    // GET /api/alerts
+    if (path === '/' && method === 'GET') {
+      return controller.getAlerts(req, res);
+    }
+
+    // Route not found
+    return res.writeHead(404, { 'Content-Type': 'application/json' }).end(
+      JSON.stringify({
+        success: false,
+        error: 'Alert route not found',
+        path: pathname,
+        method: method
+      })
+    );
+
+  } catch (error) {
+    console.error('Alert route error:', error);
+    return res.writeHead(500, { 'Content-Type': 'application/json' }).end(
+      JSON.stringify({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      })
+    );
+  }
+}
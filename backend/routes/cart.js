@@ -0,0 +1,86 @@
+// backend/routes/cart.js
+// 🛍️ Cart Routes - /api/cart/*
+// Server-side cart routes (No Express)
+
+import url from 'url';
+
+/**
+ * Cart routes handler
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {CartController} controller
+ * @param {string} pathname - Request pathname
+ */
+export default function cartRoutes(req, res, controller, pathname) {
+  const parsedUrl = url.parse(req.url, true);
+  const method = req.method;
+  req.query = parsedUrl.query || {};
+
+  // Extract path after /api/cart
+  const path = pathname.replace('/api/cart', '') || '/';
+  const segments = path.split('/').filter(Boolean);
+
+  try {
+    // POST /api/cart/items
+    if (segments.length === 1 && segments[0] === 'items' && method === 'POST') {
+      return controller.addItem(req, res);
+    }
+
+    // PATCH /api/cart/items/:variantId
+    if (segments.length === 2 && segments[0] === 'items' && method === 'PATCH') {
+      req.params = { variantId: segments[1] };
+      return controller.updateItem(req, res);
+    }
+
+    // DELETE /api/cart/items/:variantId
+    if (segments.length === 2 && segments[0] === 'items' && method === 'DELETE') {
+      req.params = { variantId: segments[1] };
+      return controller.removeItem(req, res);
+    }
+
+    // POST /api/cart/merge
+    if (segments.length === 1 && segments[0] === 'merge' && method === 'POST') {
+      return controller.mergeCart(req, res);
+    }
+
+    // POST /api/cart/coupon
+    if (segments.length === 1 && segments[0] === 'coupon' && method === 'POST') {
+      return controller.applyCoupon(req, res);
+    }
+
+    // DELETE /api/cart/coupon
+    if (segments.length === 1 && segments[0] === 'coupon' && method === 'DELETE') {
+      return controller.removeCoupon(req, res);
+    }
+
+    // GET /api/cart
+    if (path === '/' && method === 'GET') {
+      return controller.getCart(req, res);
+    }
+
+    // DELETE /api/cart
+    if (path === '/' && method === 'DELETE') {
+      return controller.clearCart(req, res);
+    }
+
+    // Route not found
+    return res.writeHead(404, { 'Content-Type': 'application/json' }).end(
+      JSON.stringify({
+        success: false,
+        error: 'Cart route not found',
+        path: pathname,
+        method: method
+      })
+    );
+
+  } catch (error) {
+    console.error('Cart route error:', error);
+    return res.writeHead(500, { 'Content-Type': 'application/json' }).end(
+      JSON.stringify({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      })
+    );
+  }
+}
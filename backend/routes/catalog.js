@@ -0,0 +1,53 @@
+// backend/routes/catalog.js
+// 📦 Catalog Routes - /api/catalog/*
+// Bulk catalog import and export routes (No Express)
+
+import url from 'url';
+
+/**
+ * Catalog routes handler
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {CatalogController} controller
+ * @param {string} pathname - Request pathname
+ */
+export default function catalogRoutes(req, res, controller, pathname) {
+  const parsedUrl = url.parse(req.url, true);
+  const method = req.method;
+  req.query = parsedUrl.query || {};
+
+  // Extract path after /api/catalog
+  const path = pathname.replace('/api/catalog', '') || '/';
+
+  try {
+    // POST /api/catalog/import
+    if (path === '/import' && method === 'POST') {
+      return controller.importCatalog(req, res);
+    }
+
+    // GET /api/catalog/export
+    if (path === '/export' && method === 'GET') {
+      return controller.exportCatalog(req, res);
+    }
+
+    // Route not found
+    return res.writeHead(404, { 'Content-Type': 'application/json' }).end(
+      JSON.stringify({
+        success: false,
+        error: 'Catalog route not found',
+        path: pathname,
+        method: method
+      })
+    );
+
+  } catch (error) {
+    console.error('Catalog route error:', error);
+    return res.writeHead(500, { 'Content-Type': 'application/json' }).end(
+      JSON.stringify({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      })
+    );
+  }
+}
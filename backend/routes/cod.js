@@ -0,0 +1,76 @@
+// backend/routes/cod.js
+// 💵 COD Routes - /api/cod/*
+// Cash on delivery collections, courier remittances and the daily report (No Express)
+
+import url from 'url';
+
+/**
+ * COD routes handler
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {CodController} controller
+ * @param {string} pathname - Request pathname
+ */
+export default function codRoutes(req, res, controller, pathname) {
+  const parsedUrl = url.parse(req.url, true);
+  const method = req.method;
+  req.query = parsedUrl.query || {};
+
+  // Extract path after /api/cod
+  const path = pathname.replace('/api/cod', '') || '/';
+  const segments = path.split('/').filter(Boolean);
+
+  try {
+    // GET /api/cod/collections
+    if (path === '/collections' && method === 'GET') {
+      return controller.getCollections(req, res);
+    }
+
+    // PUT /api/cod/collections/:id/resolve
+    if (segments.length === 3 && segments[0] === 'collections' && segments[2] === 'resolve' && method === 'PUT') {
+      req.params = { id: segments[1] };
+      return controller.resolveCollection(req, res);
+    }
+
+    // GET /api/cod/remittances
+    if (path === '/remittances' && method === 'GET') {
+      return controller.getRemittances(req, res);
+    }
+
+    // POST /api/cod/remittances
+    if (path === '/remittances' && method === 'POST') {
+      return controller.createRemittance(req, res);
+    }
+
+    // GET /api/cod/remittances/:id
+    if (segments.length === 2 && segments[0] === 'remittances' && method === 'GET') {
+      req.params = { id: segments[1] };
+      return controller.getRemittance(req, res);
+    }
+
+    // GET /api/cod/report
+    if (path === '/report' && method === 'GET') {
+      return controller.getReport(req, res);
+    }
+
+    // Route not found
+    return res.writeHead(404, { 'Content-Type': 'application/json' }).end(
+      JSON.stringify({
+        success: false,
+        error: 'COD route not found',
+        path: pathname,
+        method: method
+      })
+    );
+
+  } catch (error) {
+    console.error('COD route error:', error);
+    return res.writeHead(500, { 'Content-Type': 'application/json' }).end(
+      JSON.stringify({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      })
+    );
+  }
+}
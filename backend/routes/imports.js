@@ -1,17 +1,60 @@
+// backend/routes/imports.js
 // 📥 Import Routes - /api/imports/*
-// Inventory import management routes
+// Stock import routes (No Express)
 
-import express from 'express';
-const router = express.Router();
-import ImportController from '../controllers/ImportController.js';
+import url from 'url';
 
-const importController = new ImportController();
+/**
+ * Import routes handler
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {ImportController} controller
+ * @param {string} pathname - Request pathname
+ */
+export default function importRoutes(req, res, controller, pathname) {
+  const parsedUrl = url.parse(req.url, true);
+  const method = req.method;
+  req.query = parsedUrl.query || {};
 
-// Import routes
-router.get('/', importController.getImports.bind(importController));
-router.get('/:id', importController.getImport.bind(importController));
-router.post('/', importController.createImport.bind(importController));
-router.put('/:id', importController.updateImport.bind(importController));
-router.delete('/:id', importController.deleteImport.bind(importController));
+  // Extract path after /api/imports
+  const path = pathname.replace('/api/imports', '') || '/';
+  const segments = path.split('/').filter(Boolean);
 
-module.exports = router;
+  try {
+    // GET /api/imports
+    if (path === '/' && method === 'GET') {
+      return controller.getImports(req, res);
+    }
+
+    // POST /api/imports
+    if (path === '/' && method === 'POST') {
+      return controller.createImport(req, res);
+    }
+
+    // GET /api/imports/:id
+    if (segments.length === 1 && method === 'GET') {
+      req.params = { id: segments[0] };
+      return controller.getImport(req, res);
+    }
+
+    // Route not found
+    return res.writeHead(404, { 'Content-Type': 'application/json' }).end(
+      JSON.stringify({
+        success: false,
+        error: 'Import route not found',
+        path: pathname,
+        method: method
+      })
+    );
+
+  } catch (error) {
+    console.error('Import route error:', error);
+    return res.writeHead(500, { 'Content-Type': 'application/json' }).end(
+      JSON.stringify({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      })
+    );
+  }
+}
@@ -0,0 +1,71 @@
+// backend/routes/locations.js
+// 🏬 Stock Location Routes - /api/locations/*
+// Warehouse and store routes (No Express)
+
+import url from 'url';
+
+/**
+ * Stock location routes handler
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {StockLocationController} controller
+ * @param {string} pathname - Request pathname
+ */
+export default function locationRoutes(req, res, controller, pathname) {
+  const parsedUrl = url.parse(req.url, true);
+  const method = req.method;
+  req.query = parsedUrl.query || {};
+
+  // Extract path after /api/locations
+  const path = pathname.replace('/api/locations', '') || '/';
+  const segments = path.split('/').filter(Boolean);
+
+  try {
+    // GET /api/locations/stock (before /:id)
+    if (path === '/stock' && method === 'GET') {
+      return controller.getStock(req, res);
+    }
+
+    // GET /api/locations/:id
+    if (segments.length === 1 && method === 'GET') {
+      req.params = { id: segments[0] };
+      return controller.getLocation(req, res);
+    }
+
+    // PUT /api/locations/:id
+    if (segments.length === 1 && method === 'PUT') {
+      req.params = { id: segments[0] };
+      return controller.updateLocation(req, res);
+    }
+
+    // GET /api/locations
+    if (path === '/' && method === 'GET') {
+      return controller.getLocations(req, res);
+    }
+
+    // POST /api/locations
+    if (path === '/' && method === 'POST') {
+      return controller.createLocation(req, res);
+    }
+
+    // Route not found
+    return res.writeHead(404, { 'Content-Type': 'application/json' }).end(
+      JSON.stringify({
+        success: false,
+        error: 'Location route not found',
+        path: pathname,
+        method: method
+      })
+    );
+
+  } catch (error) {
+    console.error('Location route error:', error);
+    return res.writeHead(500, { 'Content-Type': 'application/json' }).end(
+      JSON.stringify({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      })
+    );
+  }
+}
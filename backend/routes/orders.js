@@ -1,17 +1,89 @@
+// backend/routes/orders.js
 // 🛒 Order Routes - /api/orders/*
-// Order management routes
+// Order management routes (No Express)
 
-import express from 'express';
-const router = express.Router();
-import OrderController from '../controllers/orderController.js';
+import url from 'url';
 
-const orderController = new OrderController();
+/**
+ * Order routes handler
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {OrderController} controller
+ * @param {string} pathname - Request pathname
+ */
+export default function orderRoutes(req, res, controller, pathname) {
+  const parsedUrl = url.parse(req.url, true);
+  const method = req.method;
+  req.query = parsedUrl.query || {};
 
-// Order routes
-router.get('/', orderController.getOrders.bind(orderController));
-router.get('/:id', orderController.getOrder.bind(orderController));
-router.post('/', orderController.createOrder.bind(orderController));
-router.put('/:id/status', orderController.updateOrderStatus.bind(orderController));
-router.put('/:id/cancel', orderController.cancelOrder.bind(orderController));
+  // Extract path after /api/orders
+  const path = pathname.replace('/api/orders', '') || '/';
+  const segments = path.split('/').filter(Boolean);
 
-module.exports = router;
\ No newline at end of file
+  try {
+    // PUT /api/orders/:id/status
+    if (segments.length === 2 && segments[1] === 'status' && method === 'PUT') {
+      req.params = { id: segments[0] };
+      return controller.updateOrderStatus(req, res);
+    }
+
+    // PUT /api/orders/:id/cancel
+    if (segments.length === 2 && segments[1] === 'cancel' && method === 'PUT') {
+      req.params = { id: segments[0] };
+      return controller.cancelOrder(req, res);
+    }
+
+    // GET /api/orders/:id/history
+    if (segments.length === 2 && segments[1] === 'history' && method === 'GET') {
+      req.params = { id: segments[0] };
+      return controller.getOrderHistory(req, res);
+    }
+
+    // GET /api/orders/:id/invoice
+    if (segments.length === 2 && segments[1] === 'invoice' && method === 'GET') {
+      req.params = { id: segments[0] };
+      return controller.getOrderInvoice(req, res);
+    }
+
+    // POST /api/orders/quote
+    if (segments.length === 1 && segments[0] === 'quote' && method === 'POST') {
+      return controller.quoteOrder(req, res);
+    }
+
+    // GET /api/orders/:id
+    if (segments.length === 1 && method === 'GET') {
+      req.params = { id: segments[0] };
+      return controller.getOrder(req, res);
+    }
+
+    // GET /api/orders
+    if (path === '/' && method === 'GET') {
+      return controller.getOrders(req, res);
+    }
+
+    // POST /api/orders
+    if (path === '/' && method === 'POST') {
+      return controller.createOrder(req, res);
+    }
+
+    // Route not found
+    return res.writeHead(404, { 'Content-Type': 'application/json' }).end(
+      JSON.stringify({
+        success: false,
+        error: 'Order route not found',
+        path: pathname,
+        method: method
+      })
+    );
+
+  } catch (error) {
+    console.error('Order route error:', error);
+    return res.writeHead(500, { 'Content-Type': 'application/json' }).end(
+      JSON.stringify({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      })
+    );
+  }
+}
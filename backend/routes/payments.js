@@ -1,17 +1,110 @@
+// backend/routes/payments.js
 // 💳 Payment Routes - /api/payments/*
-// Payment management routes
+// Paying for orders through the payment gateway (No Express)
 
-import express from 'express';
-const router = express.Router();
-import PaymentController from '../controllers/PaymentController.js';
+import url from 'url';
 
-const paymentController = new PaymentController();
+/**
+ * Payment routes handler
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {PaymentController} controller
+ * @param {string} pathname - Request pathname
+ */
+export default function paymentRoutes(req, res, controller, pathname) {
+  const parsedUrl = url.parse(req.url, true);
+  const method = req.method;
+  req.query = parsedUrl.query || {};
 
-// Payment routes
-router.get('/', paymentController.getPayments.bind(paymentController));
-router.get('/:id', paymentController.getPayment.bind(paymentController));
-router.post('/', paymentController.createPayment.bind(paymentController));
-router.post('/process', paymentController.processPayment.bind(paymentController));
-router.put('/:id/status', paymentController.updatePaymentStatus.bind(paymentController));
+  // Extract path after /api/payments
+  const path = pathname.replace('/api/payments', '') || '/';
+  const segments = path.split('/').filter(Boolean);
 
-module.exports = router;
+  try {
+    // GET /api/payments
+    if (path === '/' && method === 'GET') {
+      return controller.getPayments(req, res);
+    }
+
+    // POST /api/payments
+    if (path === '/' && method === 'POST') {
+      return controller.processPayment(req, res);
+    }
+
+    // GET /api/payments/revenue
+    if (path === '/revenue' && method === 'GET') {
+      return controller.getRevenueReport(req, res);
+    }
+
+    // GET /api/payments/reconciliations
+    if (path === '/reconciliations' && method === 'GET') {
+      return controller.getStatements(req, res);
+    }
+
+    // POST /api/payments/reconciliations
+    if (path === '/reconciliations' && method === 'POST') {
+      return controller.importStatement(req, res);
+    }
+
+    // GET /api/payments/reconciliations/review
+    if (path === '/reconciliations/review' && method === 'GET') {
+      return controller.getReconciliationReview(req, res);
+    }
+
+    // PUT /api/payments/reconciliations/lines/:id/resolve
+    if (segments.length === 4 && segments[0] === 'reconciliations' && segments[1] === 'lines' && segments[3] === 'resolve' && method === 'PUT') {
+      req.params = { id: segments[2] };
+      return controller.resolveStatementLine(req, res);
+    }
+
+    // POST /api/payments/webhooks/:provider
+    if (segments.length === 2 && segments[0] === 'webhooks' && method === 'POST') {
+      req.params = { provider: segments[1] };
+      return controller.handleWebhook(req, res);
+    }
+
+    // GET /api/payments/:id
+    if (segments.length === 1 && method === 'GET') {
+      req.params = { id: segments[0] };
+      return controller.getPayment(req, res);
+    }
+
+    // GET /api/payments/:id/refunds
+    if (segments.length === 2 && segments[1] === 'refunds' && method === 'GET') {
+      req.params = { id: segments[0] };
+      return controller.getRefunds(req, res);
+    }
+
+    // POST /api/payments/:id/refunds
+    if (segments.length === 2 && segments[1] === 'refunds' && method === 'POST') {
+      req.params = { id: segments[0] };
+      return controller.createRefund(req, res);
+    }
+
+    // PUT /api/payments/:id/status
+    if (segments.length === 2 && segments[1] === 'status' && method === 'PUT') {
+      req.params = { id: segments[0] };
+      return controller.updatePaymentStatus(req, res);
+    }
+
+    // Route not found
+    return res.writeHead(404, { 'Content-Type': 'application/json' }).end(
+      JSON.stringify({
+        success: false,
+        error: 'Payment route not found',
+        path: pathname,
+        method: method
+      })
+    );
+
+  } catch (error) {
+    console.error('Payment route error:', error);
+    return res.writeHead(500, { 'Content-Type': 'application/json' }).end(
+      JSON.stringify({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      })
+    );
+  }
+}
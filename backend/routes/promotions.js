@@ -0,0 +1,72 @@
+// backend/routes/promotions.js
+// 🏷️ Promotion Routes - /api/promotions/*
+// Coupon and automatic promotion management routes (No Express)
+
+import url from 'url';
+
+/**
+ * Promotion routes handler
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {PromotionController} controller
+ * @param {string} pathname - Request pathname
+ */
+export default function promotionRoutes(req, res, controller, pathname) {
+  const parsedUrl = url.parse(req.url, true);
+  const method = req.method;
+  req.query = parsedUrl.query || {};
+
+  // Extract path after /api/promotions
+  const path = pathname.replace('/api/promotions', '') || '/';
+  const segments = path.split('/').filter(Boolean);
+
+  try {
+    // GET /api/promotions
+    if (path === '/' && method === 'GET') {
+      return controller.getPromotions(req, res);
+    }
+
+    // POST /api/promotions
+    if (path === '/' && method === 'POST') {
+      return controller.createPromotion(req, res);
+    }
+
+    // GET /api/promotions/:id
+    if (segments.length === 1 && method === 'GET') {
+      req.params = { id: segments[0] };
+      return controller.getPromotion(req, res);
+    }
+
+    // PUT /api/promotions/:id
+    if (segments.length === 1 && method === 'PUT') {
+      req.params = { id: segments[0] };
+      return controller.updatePromotion(req, res);
+    }
+
+    // DELETE /api/promotions/:id
+    if (segments.length === 1 && method === 'DELETE') {
+      req.params = { id: segments[0] };
+      return controller.deactivatePromotion(req, res);
+    }
+
+    // Route not found
+    return res.writeHead(404, { 'Content-Type': 'application/json' }).end(
+      JSON.stringify({
+        success: false,
+        error: 'Promotion route not found',
+        path: pathname,
+        method: method
+      })
+    );
+
+  } catch (error) {
+    console.error('Promotion route error:', error);
+    return res.writeHead(500, { 'Content-Type': 'application/json' }).end(
+      JSON.stringify({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      })
+    );
+  }
+}
@@ -0,0 +1,90 @@
+// backend/routes/purchaseOrders.js
+// 🧾 Purchase Order Routes - /api/purchase-orders/*
+// Supplier purchase order routes (No Express)
+
+import url from 'url';
+
+// PUT /api/purchase-orders/:id/<action> -> controller method
+const ACTIONS = {
+  approve: 'approvePurchaseOrder',
+  send: 'sendPurchaseOrder',
+  cancel: 'cancelPurchaseOrder'
+};
+
+/**
+ * Purchase order routes handler
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {PurchaseOrderController} controller
+ * @param {string} pathname - Request pathname
+ */
+export default function purchaseOrderRoutes(req, res, controller, pathname) {
+  const parsedUrl = url.parse(req.url, true);
+  const method = req.method;
+  req.query = parsedUrl.query || {};
+
+  // Extract path after /api/purchase-orders
+  const path = pathname.replace('/api/purchase-orders', '') || '/';
+  const segments = path.split('/').filter(Boolean);
+
+  try {
+    // GET /api/purchase-orders/incoming
+    if (path === '/incoming' && method === 'GET') {
+      return controller.getIncoming(req, res);
+    }
+
+    // PUT /api/purchase-orders/:id/(approve|send|cancel)
+    if (segments.length === 2 && ACTIONS[segments[1]] && method === 'PUT') {
+      req.params = { id: segments[0] };
+      return controller[ACTIONS[segments[1]]](req, res);
+    }
+
+    // POST /api/purchase-orders/:id/receipts
+    if (segments.length === 2 && segments[1] === 'receipts' && method === 'POST') {
+      req.params = { id: segments[0] };
+      return controller.receivePurchaseOrder(req, res);
+    }
+
+    // GET /api/purchase-orders/:id
+    if (segments.length === 1 && method === 'GET') {
+      req.params = { id: segments[0] };
+      return controller.getPurchaseOrder(req, res);
+    }
+
+    // PUT /api/purchase-orders/:id
+    if (segments.length === 1 && method === 'PUT') {
+      req.params = { id: segments[0] };
+      return controller.updatePurchaseOrder(req, res);
+    }
+
+    // GET /api/purchase-orders
+    if (path === '/' && method === 'GET') {
+      return controller.getPurchaseOrders(req, res);
+    }
+
+    // POST /api/purchase-orders
+    if (path === '/' && method === 'POST') {
+      return controller.createPurchaseOrder(req, res);
+    }
+
+    // Route not found
+    return res.writeHead(404, { 'Content-Type': 'application/json' }).end(
+      JSON.stringify({
+        success: false,
+        error: 'Purchase order route not found',
+        path: pathname,
+        method: method
+      })
+    );
+
+  } catch (error) {
+    console.error('Purchase order route error:', error);
+    return res.writeHead(500, { 'Content-Type': 'application/json' }).end(
+      JSON.stringify({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      })
+    );
+  }
+}
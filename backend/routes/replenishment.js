@@ -0,0 +1,53 @@
+// backend/routes/replenishment.js
+// 📈 Replenishment Routes - /api/replenishment/*
+// Reorder suggestion routes (No Express)
+
+import url from 'url';
+
+/**
+ * Replenishment routes handler
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {ReplenishmentController} controller
+ * @param {string} pathname - Request pathname
+ */
+export default function replenishmentRoutes(req, res, controller, pathname) {
+  const parsedUrl = url.parse(req.url, true);
+  const method = req.method;
+  req.query = parsedUrl.query || {};
+
+  // Extract path after /api/replenishment
+  const path = pathname.replace('/api/replenishment', '') || '/';
+
+  try {
+    // GET /api/replenishment
+    if (path === '/' && method === 'GET') {
+      return controller.getSuggestions(req, res);
+    }
+
+    // POST /api/replenishment/purchase-orders
+    if (path === '/purchase-orders' && method === 'POST') {
+      return controller.createPurchaseOrders(req, res);
+    }
+
+    // Route not found
+    return res.writeHead(404, { 'Content-Type': 'application/json' }).end(
+      JSON.stringify({
+        success: false,
+        error: 'Replenishment route not found',
+        path: pathname,
+        method: method
+      })
+    );
+
+  } catch (error) {
+    console.error('Replenishment route error:', error);
+    return res.writeHead(500, { 'Content-Type': 'application/json' }).end(
+      JSON.stringify({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      })
+    );
+  }
+}
@@ -0,0 +1,61 @@
+// backend/routes/reservations.js
+// ⏳ Reservation Routes - /api/reservations/*
+// Cart stock hold routes (No Express)
+
+import url from 'url';
+
+/**
+ * Reservation routes handler
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {ReservationController} controller
+ * @param {string} pathname - Request pathname
+ */
+export default function reservationRoutes(req, res, controller, pathname) {
+  const parsedUrl = url.parse(req.url, true);
+  const method = req.method;
+  req.query = parsedUrl.query || {};
+
+  // Extract path after /api/reservations
+  const path = pathname.replace('/api/reservations', '') || '/';
+  const segments = path.split('/').filter(Boolean);
+
+  try {
+    // PUT /api/reservations/:variantId
+    if (segments.length === 1 && method === 'PUT') {
+      req.params = { variantId: segments[0] };
+      return controller.reserveVariant(req, res);
+    }
+
+    // DELETE /api/reservations/:variantId
+    if (segments.length === 1 && method === 'DELETE') {
+      req.params = { variantId: segments[0] };
+      return controller.releaseVariant(req, res);
+    }
+
+    // GET /api/reservations
+    if (path === '/' && method === 'GET') {
+      return controller.getReservations(req, res);
+    }
+
+    // Route not found
+    return res.writeHead(404, { 'Content-Type': 'application/json' }).end(
+      JSON.stringify({
+        success: false,
+        error: 'Reservation route not found',
+        path: pathname,
+        method: method
+      })
+    );
+
+  } catch (error) {
+    console.error('Reservation route error:', error);
+    return res.writeHead(500, { 'Content-Type': 'application/json' }).end(
+      JSON.stringify({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      })
+    );
+  }
+}
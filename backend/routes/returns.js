@@ -0,0 +1,75 @@
+// backend/routes/returns.js
+// ↩️ Return Routes - /api/returns/*
+// Returns and exchanges (RMA) routes (No Express)
+
+import url from 'url';
+
+// PUT /api/returns/:id/<action> -> controller method
+const ACTIONS = {
+  approve: 'approveReturn',
+  reject: 'rejectReturn',
+  receive: 'receiveReturn',
+  complete: 'completeReturn',
+  cancel: 'cancelReturn'
+};
+
+/**
+ * Return routes handler
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {ReturnController} controller
+ * @param {string} pathname - Request pathname
+ */
+export default function returnRoutes(req, res, controller, pathname) {
+  const parsedUrl = url.parse(req.url, true);
+  const method = req.method;
+  req.query = parsedUrl.query || {};
+
+  // Extract path after /api/returns
+  const path = pathname.replace('/api/returns', '') || '/';
+  const segments = path.split('/').filter(Boolean);
+
+  try {
+    // PUT /api/returns/:id/(approve|reject|receive|complete|cancel)
+    if (segments.length === 2 && ACTIONS[segments[1]] && method === 'PUT') {
+      req.params = { id: segments[0] };
+      return controller[ACTIONS[segments[1]]](req, res);
+    }
+
+    // GET /api/returns/:id
+    if (segments.length === 1 && method === 'GET') {
+      req.params = { id: segments[0] };
+      return controller.getReturn(req, res);
+    }
+
+    // GET /api/returns
+    if (path === '/' && method === 'GET') {
+      return controller.getReturns(req, res);
+    }
+
+    // POST /api/returns
+    if (path === '/' && method === 'POST') {
+      return controller.createReturn(req, res);
+    }
+
+    // Route not found
+    return res.writeHead(404, { 'Content-Type': 'application/json' }).end(
+      JSON.stringify({
+        success: false,
+        error: 'Return route not found',
+        path: pathname,
+        method: method
+      })
+    );
+
+  } catch (error) {
+    console.error('Return route error:', error);
+    return res.writeHead(500, { 'Content-Type': 'application/json' }).end(
+      JSON.stringify({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      })
+    );
+  }
+}
@@ -0,0 +1,49 @@
+// backend/routes/shipping.js
+// 🚚 Shipping Routes - /api/shipping/*
+// Shipping rate routes (No Express)
+
+import url from 'url';
+
+/**
+ * Shipping routes handler
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {ShippingController} controller
+ * @param {string} pathname - Request pathname
+ */
+export default function shippingRoutes(req, res, controller, pathname) {
+  const parsedUrl = url.parse(req.url, true);
+  const method = req.method;
+  req.query = parsedUrl.query || {};
+
+  // Extract path after /api/shipping
+  const path = pathname.replace('/api/shipping', '') || '/';
+  const segments = path.split('/').filter(Boolean);
+
+  try {
+    // GET /api/shipping/quote
+    if (segments.length === 1 && segments[0] === 'quote' && method === 'GET') {
+      return controller.getQuote(req, res);
+    }
+
+    // Route not found
+    return res.writeHead(404, { 'Content-Type': 'application/json' }).end(
+      JSON.stringify({
+        success: false,
+        error: 'Shipping route not found',
+        path: pathname,
+        method: method
+      })
+    );
+
+  } catch (error) {
+    console.error('Shipping route error:', error);
+    return res.writeHead(500, { 'Content-Type': 'application/json' }).end(
+      JSON.stringify({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      })
+    );
+  }
+}
@@ -0,0 +1,79 @@
+// backend/routes/stocktakes.js
+// 📋 Stocktake Routes - /api/stocktakes/*
+// Physical stock count routes (No Express)
+
+import url from 'url';
+
+// PUT /api/stocktakes/:id/<action> -> controller method
+const ACTIONS = {
+  counts: 'recordCounts',
+  approve: 'approveStocktake',
+  cancel: 'cancelStocktake'
+};
+
+/**
+ * Stocktake routes handler
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {StocktakeController} controller
+ * @param {string} pathname - Request pathname
+ */
+export default function stocktakeRoutes(req, res, controller, pathname) {
+  const parsedUrl = url.parse(req.url, true);
+  const method = req.method;
+  req.query = parsedUrl.query || {};
+
+  // Extract path after /api/stocktakes
+  const path = pathname.replace('/api/stocktakes', '') || '/';
+  const segments = path.split('/').filter(Boolean);
+
+  try {
+    // PUT /api/stocktakes/:id/(counts|approve|cancel)
+    if (segments.length === 2 && ACTIONS[segments[1]] && method === 'PUT') {
+      req.params = { id: segments[0] };
+      return controller[ACTIONS[segments[1]]](req, res);
+    }
+
+    // POST /api/stocktakes/:id/scans
+    if (segments.length === 2 && segments[1] === 'scans' && method === 'POST') {
+      req.params = { id: segments[0] };
+      return controller.scanSku(req, res);
+    }
+
+    // GET /api/stocktakes/:id
+    if (segments.length === 1 && method === 'GET') {
+      req.params = { id: segments[0] };
+      return controller.getStocktake(req, res);
+    }
+
+    // GET /api/stocktakes
+    if (path === '/' && method === 'GET') {
+      return controller.getStocktakes(req, res);
+    }
+
+    // POST /api/stocktakes
+    if (path === '/' && method === 'POST') {
+      return controller.startStocktake(req, res);
+    }
+
+    // Route not found
+    return res.writeHead(404, { 'Content-Type': 'application/json' }).end(
+      JSON.stringify({
+        success: false,
+        error: 'Stocktake route not found',
+        path: pathname,
+        method: method
+      })
+    );
+
+  } catch (error) {
+    console.error('Stocktake route error:', error);
+    return res.writeHead(500, { 'Content-Type': 'application/json' }).end(
+      JSON.stringify({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      })
+    );
+  }
+}
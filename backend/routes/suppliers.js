@@ -0,0 +1,72 @@
+// backend/routes/suppliers.js
+// 🚚 Supplier Routes - /api/suppliers/*
+// Supplier management routes (No Express)
+
+import url from 'url';
+
+/**
+ * Supplier routes handler
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {SupplierController} controller
+ * @param {string} pathname - Request pathname
+ */
+export default function supplierRoutes(req, res, controller, pathname) {
+  const parsedUrl = url.parse(req.url, true);
+  const method = req.method;
+  req.query = parsedUrl.query || {};
+
+  // Extract path after /api/suppliers
+  const path = pathname.replace('/api/suppliers', '') || '/';
+  const segments = path.split('/').filter(Boolean);
+
+  try {
+    // GET /api/suppliers
+    if (path === '/' && method === 'GET') {
+      return controller.getSuppliers(req, res);
+    }
+
+    // POST /api/suppliers
+    if (path === '/' && method === 'POST') {
+      return controller.createSupplier(req, res);
+    }
+
+    // GET /api/suppliers/:id
+    if (segments.length === 1 && method === 'GET') {
+      req.params = { id: segments[0] };
+      return controller.getSupplier(req, res);
+    }
+
+    // PUT /api/suppliers/:id
+    if (segments.length === 1 && method === 'PUT') {
+      req.params = { id: segments[0] };
+      return controller.updateSupplier(req, res);
+    }
+
+    // DELETE /api/suppliers/:id
+    if (segments.length === 1 && method === 'DELETE') {
+      req.params = { id: segments[0] };
+      return controller.deactivateSupplier(req, res);
+    }
+
+    // Route not found
+    return res.writeHead(404, { 'Content-Type': 'application/json' }).end(
+      JSON.stringify({
+        success: false,
+        error: 'Supplier route not found',
+        path: pathname,
+        method: method
+      })
+    );
+
+  } catch (error) {
+    console.error('Supplier route error:', error);
+    return res.writeHead(500, { 'Content-Type': 'application/json' }).end(
+      JSON.stringify({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      })
+    );
+  }
+}
@@ -0,0 +1,72 @@
+// backend/routes/transfers.js
+// 🚛 Stock Transfer Routes - /api/transfers/*
+// Stock transfer routes between locations (No Express)
+
+import url from 'url';
+
+// PUT /api/transfers/:id/<action> -> controller method
+const ACTIONS = {
+  receive: 'receiveTransfer',
+  cancel: 'cancelTransfer'
+};
+
+/**
+ * Stock transfer routes handler
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {StockTransferController} controller
+ * @param {string} pathname - Request pathname
+ */
+export default function transferRoutes(req, res, controller, pathname) {
+  const parsedUrl = url.parse(req.url, true);
+  const method = req.method;
+  req.query = parsedUrl.query || {};
+
+  // Extract path after /api/transfers
+  const path = pathname.replace('/api/transfers', '') || '/';
+  const segments = path.split('/').filter(Boolean);
+
+  try {
+    // PUT /api/transfers/:id/(receive|cancel)
+    if (segments.length === 2 && ACTIONS[segments[1]] && method === 'PUT') {
+      req.params = { id: segments[0] };
+      return controller[ACTIONS[segments[1]]](req, res);
+    }
+
+    // GET /api/transfers/:id
+    if (segments.length === 1 && method === 'GET') {
+      req.params = { id: segments[0] };
+      return controller.getTransfer(req, res);
+    }
+
+    // GET /api/transfers
+    if (path === '/' && method === 'GET') {
+      return controller.getTransfers(req, res);
+    }
+
+    // POST /api/transfers
+    if (path === '/' && method === 'POST') {
+      return controller.createTransfer(req, res);
+    }
+
+    // Route not found
+    return res.writeHead(404, { 'Content-Type': 'application/json' }).end(
+      JSON.stringify({
+        success: false,
+        error: 'Transfer route not found',
+        path: pathname,
+        method: method
+      })
+    );
+
+  } catch (error) {
+    console.error('Transfer route error:', error);
+    return res.writeHead(500, { 'Content-Type': 'application/json' }).end(
+      JSON.stringify({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      })
+    );
+  }
+}
@@ -37,6 +37,17 @@ export default function variantRoutes(req, res, controller, pathname) {
       return controller.getLowStockVariants(req, res);
     }
 
+    // GET /api/variants/stock-drift
+    if (path === '/stock-drift' && method === 'GET') {
+      return controller.getStockDrift(req, res);
+    }
+
+    // GET /api/variants/:id/movements
+    if (segments.length === 2 && segments[1] === 'movements' && method === 'GET') {
+      req.params = { id: segments[0] };
+      return controller.getMovements(req, res);
+    }
+
     // GET /api/variants/shoe/:shoeId/color/:colorId
     if (segments[0] === 'shoe' && segments[2] === 'color' && method === 'GET') {
       req.params = { 
@@ -17,18 +17,34 @@ dotenv.config({
 import ProductController from './controllers/productController.js';
 import CategoryController from './controllers/CategoryController.js';
 import OrderController from './controllers/orderController.js';
+import ReservationController from './controllers/ReservationController.js';
+import CartController from './controllers/CartController.js';
+import ReturnController from './controllers/ReturnController.js';
+import ShippingController from './controllers/ShippingController.js';
+import PromotionController from './controllers/PromotionController.js';
+import SupplierController from './controllers/SupplierController.js';
 import ProfileController from './controllers/ProfileController.js';
 import AddressController from './controllers/AddressController.js';
 import ColorController from './controllers/ColorController.js';
 import SizeController from './controllers/SizeController.js';
 import VariantController from './controllers/VariantController.js';
 import ImportController from './controllers/ImportController.js';
+import PurchaseOrderController from './controllers/PurchaseOrderController.js';
+import StocktakeController from './controllers/StocktakeController.js';
+import StockLocationController from './controllers/StockLocationController.js';
+import StockTransferController from './controllers/StockTransferController.js';
+import ReplenishmentController from './controllers/ReplenishmentController.js';
+import AlertController from './controllers/AlertController.js';
+import CatalogController from './controllers/CatalogController.js';
 import PaymentController from './controllers/PaymentController.js';
+import CodController from './controllers/CodController.js';
 import AdminController from './controllers/AdminController.js';
 import authMiddleware from './middleware/auth.js';
 import corsMiddleware from './middleware/cors.js';
 import createSupabaseConfig from '../config/supabase.js';
 import { initializeModels } from './models/index.js';
+import stockUtils from './utils/stock.js';
+import alerts from './utils/alerts.js';
 
 // ⭐ Import modular routes for your modules
 import productRoutes from './routes/products.js';
@@ -36,6 +52,23 @@ import variantRoutes from './routes/variants.js';
 import categoryRoutes from './routes/categories.js';
 import colorRoutes from './routes/colors.js';
 import sizeRoutes from './routes/sizes.js';
+import orderRoutes from './routes/orders.js';
+import reservationRoutes from './routes/reservations.js';
+import cartRoutes from './routes/cart.js';
+import returnRoutes from './routes/returns.js';
+import shippingRoutes from './routes/shipping.js';
+import promotionRoutes from './routes/promotions.js';
+import supplierRoutes from './routes/suppliers.js';
+import importRoutes from './routes/imports.js';
+import purchaseOrderRoutes from './routes/purchaseOrders.js';
+import stocktakeRoutes from './routes/stocktakes.js';
+import locationRoutes from './routes/locations.js';
+import transferRoutes from './routes/transfers.js';
+import replenishmentRoutes from './routes/replenishment.js';
+import alertRoutes from './routes/alerts.js';
+import catalogRoutes from './routes/catalog.js';
+import paymentRoutes from './routes/payments.js';
+import codRoutes from './routes/cod.js';
 
 class Server {
     constructor() {
@@ -62,11 +95,50 @@ class Server {
         this.variantController = new VariantController();
         this.variantController.setModels(this.models);  
 
-        this.orderController = new OrderController(this.models);
+        this.orderController = new OrderController();
+        this.orderController.setModels(this.models);
+
+        this.reservationController = new ReservationController();
+        this.reservationController.setModels(this.models);
+
+        this.cartController = new CartController();
+        this.cartController.setModels(this.models);
+
+        this.returnController = new ReturnController();
+        this.returnController.setModels(this.models);
+
+        this.shippingController = new ShippingController();
+        this.shippingController.setModels(this.models);
+
+        this.promotionController = new PromotionController();
+        this.promotionController.setModels(this.models);
+        this.supplierController = new SupplierController();
+        this.supplierController.setModels(this.models);
+        this.importController = new ImportController();
+        this.importController.setModels(this.models);
+        this.purchaseOrderController = new PurchaseOrderController();
+        this.purchaseOrderController.setModels(this.models);
+        this.stocktakeController = new StocktakeController();
+        this.stocktakeController.setModels(this.models);
+        this.stockLocationController = new StockLocationController();
+        this.stockLocationController.setModels(this.models);
+        this.stockTransferController = new StockTransferController();
+        this.stockTransferController.setModels(this.models);
+        this.replenishmentController = new ReplenishmentController();
+        this.replenishmentController.setModels(this.models);
+        this.alertController = new AlertController();
+        this.alertController.setModels(this.models);
+        this.catalogController = new CatalogController();
+        this.catalogController.setModels(this.models);
+
+        this.paymentController = new PaymentController();
+        this.paymentController.setModels(this.models);
+
+        this.codController = new CodController();
+        this.codController.setModels(this.models);
+
         this.profileController = new ProfileController(this.models);
         this.addressController = new AddressController(this.models);
-        this.importController = new ImportController(this.models);
-        this.paymentController = new PaymentController(this.models);
         this.adminController = new AdminController(this.models);
 
         // Setup routes
@@ -96,6 +168,12 @@ class Server {
                 // Initialize models (they now initialize their own supabase config)
                 this.models = initializeModels();
                 console.log('✅ Models initialized');
+
+                // Expire stale cart holds in the background
+                stockUtils.startReservationSweeper(this.models.StockReservation);
+
+                // Deliver low-stock alerts through the configured channels
+                alerts.start(this.models);
             } else {
                 console.warn('⚠️ Supabase client not initialized due to missing configuration');
                 this.models = {};
@@ -124,6 +202,8 @@ class Server {
                 body += chunk.toString();
             });
             req.on('end', () => {
+                // Kept as received for signature checks (payment webhooks)
+                req.rawBody = body;
                 try {
                     resolve(body ? JSON.parse(body) : {});
                 } catch (err) {
@@ -139,8 +219,8 @@ class Server {
         res.writeHead(statusCode, {
             'Content-Type': 'application/json',
             'Access-Control-Allow-Origin': '*',
-            'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-            'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+            'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Cart-Token'
         });
         res.end(JSON.stringify(data));
     }
@@ -181,6 +261,8 @@ class Server {
         }
         
         if (pathname.startsWith('/api/variants')) {
+            // Browsing is public; stock changes and the ledger need a seller (req.user)
+            await authMiddleware.authenticate(req, res);
             return variantRoutes(req, res, this.variantController, pathname);
         }
         
@@ -196,20 +278,100 @@ class Server {
             return sizeRoutes(req, res, this.sizeController, pathname);
         }
 
+        // Authenticated modules (req.user is set by the auth middleware)
+        if (pathname.startsWith('/api/orders')) {
+            await authMiddleware.authenticate(req, res);
+            return orderRoutes(req, res, this.orderController, pathname);
+        }
+
+        if (pathname.startsWith('/api/reservations')) {
+            await authMiddleware.authenticate(req, res);
+            return reservationRoutes(req, res, this.reservationController, pathname);
+        }
+
+        if (pathname === '/api/cart' || pathname.startsWith('/api/cart/')) {
+            await authMiddleware.authenticate(req, res);
+            return cartRoutes(req, res, this.cartController, pathname);
+        }
+
+        if (pathname.startsWith('/api/returns')) {
+            await authMiddleware.authenticate(req, res);
+            return returnRoutes(req, res, this.returnController, pathname);
+        }
+
+        if (pathname.startsWith('/api/shipping')) {
+            await authMiddleware.authenticate(req, res);
+            return shippingRoutes(req, res, this.shippingController, pathname);
+        }
+
+        if (pathname.startsWith('/api/promotions')) {
+            await authMiddleware.authenticate(req, res);
+            return promotionRoutes(req, res, this.promotionController, pathname);
+        }
+
+        if (pathname.startsWith('/api/suppliers')) {
+            await authMiddleware.authenticate(req, res);
+            return supplierRoutes(req, res, this.supplierController, pathname);
+        }
+
+        if (pathname === '/api/imports' || pathname.startsWith('/api/imports/')) {
+            await authMiddleware.authenticate(req, res);
+            return importRoutes(req, res, this.importController, pathname);
+        }
+
+        if (pathname === '/api/purchase-orders' || pathname.startsWith('/api/purchase-orders/')) {
+            await authMiddleware.authenticate(req, res);
+            return purchaseOrderRoutes(req, res, this.purchaseOrderController, pathname);
+        }
+
+        if (pathname === '/api/stocktakes' || pathname.startsWith('/api/stocktakes/')) {
+            await authMiddleware.authenticate(req, res);
+            return stocktakeRoutes(req, res, this.stocktakeController, pathname);
+        }
+
+        if (pathname === '/api/locations' || pathname.startsWith('/api/locations/')) {
+            await authMiddleware.authenticate(req, res);
+            return locationRoutes(req, res, this.stockLocationController, pathname);
+        }
+
+        if (pathname === '/api/transfers' || pathname.startsWith('/api/transfers/')) {
+            await authMiddleware.authenticate(req, res);
+            return transferRoutes(req, res, this.stockTransferController, pathname);
+        }
+
+        if (pathname === '/api/replenishment' || pathname.startsWith('/api/replenishment/')) {
+            await authMiddleware.authenticate(req, res);
+            return replenishmentRoutes(req, res, this.replenishmentController, pathname);
+        }
+
+        if (pathname === '/api/alerts' || pathname.startsWith('/api/alerts/')) {
+            await authMiddleware.authenticate(req, res);
+            return alertRoutes(req, res, this.alertController, pathname);
+        }
+
+        if (pathname === '/api/catalog' || pathname.startsWith('/api/catalog/')) {
+            await authMiddleware.authenticate(req, res);
+            return catalogRoutes(req, res, this.catalogController, pathname);
+        }
+
+        if (pathname === '/api/payments' || pathname.startsWith('/api/payments/')) {
+            await authMiddleware.authenticate(req, res);
+            return paymentRoutes(req, res, this.paymentController, pathname);
+        }
+
+        if (pathname === '/api/cod' || pathname.startsWith('/api/cod/')) {
+            await authMiddleware.authenticate(req, res);
+            return codRoutes(req, res, this.codController, pathname);
+        }
+
         // ⭐ BUILT-IN ROUTES (Keep existing handlers)
         // Auth routes removed - using Supabase Auth directly on frontend
-        if (pathname.startsWith('/api/orders/')) {
-            await this.handleOrderRoutes(req, res, pathname, req.method, body);
-        } else if (pathname.startsWith('/api/users/')) {
+        if (pathname.startsWith('/api/users/')) {
             await this.handleUserRoutes(req, res, pathname, req.method, body);
         } else if (pathname.startsWith('/api/profiles/')) {
             await this.handleProfileRoutes(req, res, pathname, req.method, body);
         } else if (pathname.startsWith('/api/addresses/')) {
             await this.handleAddressRoutes(req, res, pathname, req.method, body);
-        } else if (pathname.startsWith('/api/imports/')) {
-            await this.handleImportRoutes(req, res, pathname, req.method, body);
-        } else if (pathname.startsWith('/api/payments/')) {
-            await this.handlePaymentRoutes(req, res, pathname, req.method, body);
         } else if (pathname.startsWith('/api/reviews/')) {
             await this.handleReviewRoutes(req, res, pathname, req.method, body);
         } else if (pathname.startsWith('/api/admin/')) {
@@ -224,57 +386,6 @@ class Server {
         }
     }
 
-    // Order routes handler
-    async handleOrderRoutes(req, res, pathname, method, body) {
-        const orderPath = pathname.replace('/api/orders', '');
-
-        // Check authentication for protected routes
-        const authResult = await authMiddleware.authenticate(req, res);
-        if (!authResult || !authResult.success) {
-            return;
-        }
-        req.user = authResult.user;
-
-        if (orderPath === '/' || orderPath === '') {
-            if (method === 'GET') {
-                await this.orderController.getOrders(req, res);
-            } else if (method === 'POST') {
-                req.body = body;
-                await this.orderController.createOrder(req, res);
-            } else {
-                this.sendError(res, 'Method not allowed', 405);
-            }
-        } else if (orderPath.match(/^\/\d+$/)) {
-            const id = orderPath.substring(1);
-            req.params = { id };
-            if (method === 'GET') {
-                await this.orderController.getOrder(req, res);
-            } else {
-                this.sendError(res, 'Method not allowed', 405);
-            }
-        } else if (orderPath.startsWith('/status')) {
-            const id = orderPath.replace('/status', '').replace('/', '');
-            if (id && method === 'PUT') {
-                req.params = { id };
-                req.body = body;
-                await this.orderController.updateOrderStatus(req, res);
-            } else {
-                this.sendError(res, 'API endpoint not found', 404);
-            }
-        } else if (orderPath.startsWith('/cancel')) {
-            const id = orderPath.replace('/cancel', '').replace('/', '');
-            if (id && method === 'PUT') {
-                req.params = { id };
-                req.body = body;
-                await this.orderController.cancelOrder(req, res);
-            } else {
-                this.sendError(res, 'API endpoint not found', 404);
-            }
-        } else {
-            this.sendError(res, 'API endpoint not found', 404);
-        }
-    }
-
     // User routes handler (placeholder implementation)
     async handleUserRoutes(req, res, pathname, method, body) {
         this.sendError(res, 'User routes not implemented yet', 501);
@@ -336,81 +447,6 @@ class Server {
             this.sendError(res, 'API endpoint not found', 404);
         }
     }
-    // Import routes handler
-    async handleImportRoutes(req, res, pathname, method, body) {
-        const importPath = pathname.replace('/api/imports', '');
-
-        // Check authentication for protected routes
-        const authResult = await authMiddleware.authenticate(req, res);
-        if (!authResult || !authResult.success) {
-            return;
-        }
-        req.user = authResult.user;
-
-        if (importPath === '/' || importPath === '') {
-            if (method === 'GET') {
-                await this.importController.getImports(req, res);
-            } else if (method === 'POST') {
-                req.body = body;
-                await this.importController.createImport(req, res);
-            } else {
-                this.sendError(res, 'Method not allowed', 405);
-            }
-        } else if (importPath.match(/^\/\d+$/)) {
-            const id = importPath.substring(1);
-            req.params = { id };
-            if (method === 'GET') {
-                await this.importController.getImport(req, res);
-            } else if (method === 'PUT') {
-                req.body = body;
-                await this.importController.updateImport(req, res);
-            } else if (method === 'DELETE') {
-                await this.importController.deleteImport(req, res);
-            } else {
-                this.sendError(res, 'Method not allowed', 405);
-            }
-        } else {
-            this.sendError(res, 'API endpoint not found', 404);
-        }
-    }
-
-    // Payment routes handler
-    async handlePaymentRoutes(req, res, pathname, method, body) {
-        const paymentPath = pathname.replace('/api/payments', '');
-
-        // Check authentication for protected routes
-        const authResult = await authMiddleware.authenticate(req, res);
-        if (!authResult || !authResult.success) {
-            return;
-        }
-        req.user = authResult.user;
-
-        if (paymentPath === '/' || paymentPath === '') {
-            if (method === 'GET') {
-                await this.paymentController.getPayments(req, res);
-            } else if (method === 'POST') {
-                req.body = body;
-                await this.paymentController.createPayment(req, res);
-            } else {
-                this.sendError(res, 'Method not allowed', 405);
-            }
-        } else if (paymentPath.match(/^\/\d+$/)) {
-            const id = paymentPath.substring(1);
-            req.params = { id };
-            if (method === 'GET') {
-                await this.paymentController.getPayment(req, res);
-            } else if (method === 'PUT') {
-                req.body = body;
-                await this.paymentController.updatePayment(req, res);
-            } else if (method === 'DELETE') {
-                await this.paymentController.deletePayment(req, res);
-            } else {
-                this.sendError(res, 'Method not allowed', 405);
-            }
-        } else {
-            this.sendError(res, 'API endpoint not found', 404);
-        }
-    }
 
     // Review routes handler
     async handleReviewRoutes(req, res, pathname, method, body) {
@@ -279,6 +279,17 @@ export default class BaseController {
         res.end(JSON.stringify(response));
     }
 
+    /**
+     * Send CSV text as a file download, with a UTF-8 byte order mark so spreadsheets read accents
+     */
+    sendCsv(res, content, filename, statusCode = constants.HTTP_STATUS.OK) {
+        res.writeHead(statusCode, {
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="${filename}"`
+        });
+        res.end(`\uFEFF${content}`);
+    }
+
     /**
      * Send error response
      */
@@ -322,8 +333,8 @@ export default class BaseController {
         const corsOrigin = process.env.CORS_ORIGIN || '*';
         const corsHeaders = {
             'Access-Control-Allow-Origin': corsOrigin,
-            'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-            'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Requested-With',
+            'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Requested-With, X-Cart-Token',
             'Access-Control-Allow-Credentials': 'true'
         };
 
@@ -5,7 +5,7 @@
 
 import createSupabaseConfig from '../../config/supabase.js';
 import constants from '../../config/constants.js';
-import { ValidationError, DatabaseError } from './ErrorClasses.js';
+import { ValidationError, DatabaseError, ErrorFactory } from './ErrorClasses.js';
 
 export default class BaseModel {
     constructor(tableName, primaryKey = 'id') {
@@ -306,6 +306,14 @@ export default class BaseModel {
         return updateRules;
     }
 
+    /**
+     * JSON DETAIL of an exception raised by a database function, for mapping RPC errors
+     * (see ErrorFactory.parseDetails)
+     */
+    _parseDetails(details, fallback = null) {
+        return ErrorFactory.parseDetails(details, fallback);
+    }
+
     /**
      * Execute raw query (use with caution)
      */
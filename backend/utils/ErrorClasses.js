@@ -164,8 +164,8 @@ export class ConfigurationError extends AppError {
  * Business logic error class
  */
 export class BusinessLogicError extends AppError {
-    constructor(message = 'Business logic error', statusCode = 422) {
-        super(message, statusCode, 'BUSINESS_LOGIC_ERROR');
+    constructor(message = 'Business logic error', details = null, statusCode = 422) {
+        super(message, statusCode, 'BUSINESS_LOGIC_ERROR', details);
     }
 }
 
@@ -219,7 +219,7 @@ export class ErrorFactory {
             case 'configuration':
                 return new ConfigurationError(details, message);
             case 'business_logic':
-                return new BusinessLogicError(message);
+                return new BusinessLogicError(message, details);
             case 'network':
                 return new NetworkError(message);
             case 'timeout':
@@ -243,6 +243,18 @@ export class ErrorFactory {
         return new ValidationError('Validation failed', errors);
     }
 
+    /**
+     * JSON DETAIL of an exception raised by a database function (RAISE ... USING DETAIL = json::TEXT),
+     * or fallback when it has none or it is not JSON
+     */
+    static parseDetails(details, fallback = null) {
+        try {
+            return JSON.parse(details) ?? fallback;
+        } catch {
+            return fallback;
+        }
+    }
+
     /**
      * Convert unknown error to AppError
      */
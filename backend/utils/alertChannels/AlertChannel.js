@@ -0,0 +1,38 @@
+// 🔔 Alert Channel - interface every low-stock alert notification channel implements
+// Channels are registered with the alert dispatcher (../alerts.js) under their name,
+// one of constants.ALERT_CHANNELS.
+
+class AlertChannel {
+    /**
+     * @param {string} name - Channel code stored in low_stock_alert_deliveries.channel
+     */
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Deliver an alert. Throw when it could not be delivered; the dispatcher records
+     * the error and tries again on its next run.
+     * @param {Object} alert - Alert with its variant, as loaded by LowStockAlert
+     * @param {Object} models - The initialized models
+     */
+    async deliver(alert, models) {
+        throw new Error(`${this.name} channel does not implement deliver`);
+    }
+
+    // Plain-text title and message of an alert
+    describe(alert) {
+        const variant = alert.shoe_variants || {};
+        const name = [variant.shoes?.shoe_name, variant.colors?.color_name, variant.sizes?.size_value]
+            .filter(Boolean)
+            .join(' / ');
+
+        return {
+            title: `Low stock: ${name || `variant ${alert.variant_id}`}`,
+            message: `${variant.sku || `Variant ${alert.variant_id}`} is down to ${alert.stock_quantity} ` +
+                `sellable units (threshold ${alert.threshold}).`
+        };
+    }
+}
+
+export default AlertChannel;
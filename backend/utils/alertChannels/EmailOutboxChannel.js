@@ -0,0 +1,31 @@
+// ✉️ Email Outbox Channel - alerts emailed to LOW_STOCK_ALERT_CONFIG.EMAIL_RECIPIENTS
+// Emails are queued in email_outbox for the mail worker rather than sent from here.
+
+import AlertChannel from './AlertChannel.js';
+import constants from '../../../config/constants.js';
+import { ConfigurationError } from '../ErrorClasses.js';
+
+class EmailOutboxChannel extends AlertChannel {
+    constructor(recipients = constants.LOW_STOCK_ALERT_CONFIG.EMAIL_RECIPIENTS) {
+        super(constants.ALERT_CHANNELS.EMAIL);
+        this.recipients = recipients;
+    }
+
+    async deliver(alert, models) {
+        if (this.recipients.length === 0) {
+            throw new ConfigurationError('LOW_STOCK_ALERT_EMAILS', constants.ERROR_MESSAGES.ALERT.NO_RECIPIENTS);
+        }
+
+        const { title, message } = this.describe(alert);
+
+        await models.EmailOutbox.enqueue(this.recipients.map(recipient => ({
+            recipient,
+            subject: title,
+            body: `${message}\n\nAcknowledge it in the admin panel under Alerts.`,
+            reference_type: 'low_stock_alert',
+            reference_id: alert.alert_id
+        })));
+    }
+}
+
+export default EmailOutboxChannel;
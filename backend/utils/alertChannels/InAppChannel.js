@@ -0,0 +1,16 @@
+// 🔔 In-App Channel - alerts shown in the admin panel
+// The admin panel reads open alerts from /api/alerts, so delivering one only records
+// that it was published there.
+
+import AlertChannel from './AlertChannel.js';
+import constants from '../../../config/constants.js';
+
+class InAppChannel extends AlertChannel {
+    constructor() {
+        super(constants.ALERT_CHANNELS.IN_APP);
+    }
+
+    async deliver() {}
+}
+
+export default InAppChannel;
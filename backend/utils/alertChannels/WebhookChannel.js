@@ -0,0 +1,72 @@
+// 🌐 Webhook Channel - alerts POSTed as JSON to LOW_STOCK_ALERT_CONFIG.WEBHOOK.URL
+// With a secret set, requests are signed like payment webhooks:
+// "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>" in the signature header.
+
+import crypto from 'crypto';
+import AlertChannel from './AlertChannel.js';
+import constants from '../../../config/constants.js';
+import { ConfigurationError } from '../ErrorClasses.js';
+
+class WebhookChannel extends AlertChannel {
+    constructor({ url, secret, signatureHeader, timeoutMs } = {}) {
+        super(constants.ALERT_CHANNELS.WEBHOOK);
+        const config = constants.LOW_STOCK_ALERT_CONFIG.WEBHOOK;
+        this.url = url ?? config.URL;
+        this.secret = secret ?? config.SECRET;
+        this.signatureHeader = signatureHeader ?? config.SIGNATURE_HEADER;
+        this.timeoutMs = timeoutMs ?? config.TIMEOUT_MS;
+    }
+
+    async deliver(alert) {
+        if (!this.url) {
+            throw new ConfigurationError('LOW_STOCK_ALERT_WEBHOOK_URL', constants.ERROR_MESSAGES.ALERT.WEBHOOK_NOT_CONFIGURED);
+        }
+
+        const body = JSON.stringify(this.payload(alert));
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.secret) {
+            headers[this.signatureHeader] = this.sign(body);
+        }
+
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers,
+            body,
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Webhook responded ${response.status}`);
+        }
+    }
+
+    payload(alert) {
+        const variant = alert.shoe_variants || {};
+
+        return {
+            type: 'low_stock_alert',
+            ...this.describe(alert),
+            alert_id: alert.alert_id,
+            variant_id: alert.variant_id,
+            sku: variant.sku || null,
+            shoe_id: variant.shoes?.shoe_id || null,
+            shoe_name: variant.shoes?.shoe_name || null,
+            color_name: variant.colors?.color_name || null,
+            size: variant.sizes?.size_value || null,
+            stock_quantity: alert.stock_quantity,
+            threshold: alert.threshold,
+            created_at: alert.created_at
+        };
+    }
+
+    sign(body, timestamp = Math.floor(Date.now() / 1000)) {
+        const signature = crypto
+            .createHmac('sha256', this.secret)
+            .update(`${timestamp}.${body}`)
+            .digest('hex');
+
+        return `t=${timestamp},v1=${signature}`;
+    }
+}
+
+export default WebhookChannel;
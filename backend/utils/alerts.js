@@ -0,0 +1,138 @@
+// 🔔 Alert Dispatcher
+// Registry of low-stock alert channels (see alertChannels/AlertChannel.js for the interface)
+// and the background job delivering new alerts through the channels of
+// LOW_STOCK_ALERT_CONFIG.CHANNELS. Alerts themselves are raised in the database by
+// evaluate_low_stock(), whichever way the stock changed or a variant was created.
+
+import constants from '../../config/constants.js';
+import InAppChannel from './alertChannels/InAppChannel.js';
+import EmailOutboxChannel from './alertChannels/EmailOutboxChannel.js';
+import WebhookChannel from './alertChannels/WebhookChannel.js';
+
+class AlertDispatcher {
+    constructor() {
+        this.channels = new Map();
+        this.registerChannel(new InAppChannel());
+        this.registerChannel(new EmailOutboxChannel());
+        this.registerChannel(new WebhookChannel());
+
+        this.models = null;
+        this.dispatchTimer = null;
+        this.dispatching = null;
+    }
+
+    // Add or replace a channel under its name
+    registerChannel(channel) {
+        this.channels.set(channel.name, channel);
+    }
+
+    // Registered channels named in LOW_STOCK_ALERT_CONFIG.CHANNELS
+    enabledChannels() {
+        return constants.LOW_STOCK_ALERT_CONFIG.CHANNELS
+            .filter(name => this.channels.has(name))
+            .map(name => this.channels.get(name));
+    }
+
+    /**
+     * Deliver the alerts not dispatched yet. Only one run happens at a time;
+     * calls made meanwhile get the running one.
+     * @returns {Promise<number>} Alerts fully dispatched
+     */
+    async dispatchPending(models = this.models) {
+        if (!models?.LowStockAlert) return 0;
+        if (this.dispatching) return this.dispatching;
+
+        this.dispatching = (async () => {
+            let dispatched = 0;
+            for (const alert of await models.LowStockAlert.findUndispatched()) {
+                if (await this.dispatchAlert(alert, models)) dispatched++;
+            }
+            return dispatched;
+        })().finally(() => {
+            this.dispatching = null;
+        });
+
+        return this.dispatching;
+    }
+
+    /**
+     * Deliver an alert through the enabled channels that have not delivered it yet.
+     * Failed deliveries are retried on later runs up to LOW_STOCK_ALERT_CONFIG.MAX_ATTEMPTS times;
+     * the alert is marked dispatched once no channel is left to try.
+     * @returns {Promise<boolean>} Whether the alert was marked dispatched
+     */
+    async dispatchAlert(alert, models = this.models) {
+        const { MAX_ATTEMPTS } = constants.LOW_STOCK_ALERT_CONFIG;
+        const { SENT, FAILED } = constants.ALERT_DELIVERY_STATUS;
+        const deliveries = new Map((alert.low_stock_alert_deliveries || []).map(delivery => [delivery.channel, delivery]));
+        let retry = false;
+
+        // An alert resolved before it went out is not worth sending any more
+        if (alert.status !== constants.LOW_STOCK_ALERT_STATUS.RESOLVED) {
+            for (const channel of this.enabledChannels()) {
+                const delivery = deliveries.get(channel.name);
+                if (delivery && (delivery.status === SENT || delivery.attempts >= MAX_ATTEMPTS)) continue;
+
+                const attempts = (delivery?.attempts || 0) + 1;
+                try {
+                    await channel.deliver(alert, models);
+                    await models.LowStockAlert.recordDelivery(alert.alert_id, channel.name, { status: SENT, attempts });
+                } catch (error) {
+                    console.error(`❌ ${channel.name} delivery of alert ${alert.alert_id} failed:`, error.message);
+                    await models.LowStockAlert.recordDelivery(alert.alert_id, channel.name, {
+                        status: FAILED,
+                        attempts,
+                        error: error.message
+                    });
+                    if (attempts < MAX_ATTEMPTS) retry = true;
+                }
+            }
+        }
+
+        if (retry) return false;
+
+        await models.LowStockAlert.markDispatched(alert.alert_id);
+        return true;
+    }
+
+    // Dispatch now rather than at the next run, e.g. after a stock change; errors are only logged
+    dispatchSoon() {
+        this.dispatchPending().catch(error => {
+            console.error('❌ Alert dispatch failed:', error.message);
+        });
+    }
+
+    // Periodically dispatch new alerts; returns immediately if already running
+    start(models, intervalMs = constants.LOW_STOCK_ALERT_CONFIG.DISPATCH_INTERVAL_MS) {
+        if (this.dispatchTimer || !models?.LowStockAlert) return;
+        this.models = models;
+
+        const unknown = constants.LOW_STOCK_ALERT_CONFIG.CHANNELS.filter(name => !this.channels.has(name));
+        if (unknown.length > 0) {
+            console.warn(`⚠️ ${constants.ERROR_MESSAGES.ALERT.UNKNOWN_CHANNEL}: ${unknown.join(', ')}`);
+        }
+
+        this.dispatchTimer = setInterval(async () => {
+            try {
+                const dispatched = await this.dispatchPending();
+                if (dispatched > 0) {
+                    console.log(`🔔 Dispatched ${dispatched} low-stock alert(s)`);
+                }
+            } catch (error) {
+                console.error('❌ Alert dispatch failed:', error.message);
+            }
+        }, intervalMs);
+
+        // Do not keep the process alive just for the dispatcher
+        this.dispatchTimer.unref?.();
+    }
+
+    stop() {
+        if (this.dispatchTimer) {
+            clearInterval(this.dispatchTimer);
+            this.dispatchTimer = null;
+        }
+    }
+}
+
+export default new AlertDispatcher();
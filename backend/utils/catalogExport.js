@@ -0,0 +1,80 @@
+// 📤 Catalog Export Utilities
+// Turns batches of Shoe.findCatalogBatches into catalog CSV, in the columns the catalog import
+// reads back, or into nested JSON (see CatalogController.exportCatalog)
+
+import constants from '../../config/constants.js';
+import csv from './csv.js';
+
+class CatalogExportUtils {
+    constructor() {
+        // The import's fields, in its order: a file exported and edited imports as it is
+        this.columns = Object.keys(constants.CATALOG_IMPORT_CONFIG.COLUMNS);
+    }
+
+    /**
+     * CSV lines of a batch of shoes, one per variant. stock and stock_snapshot are the variant's
+     * quantity at locationId: the import leaves stock alone unless asked to update it, and then
+     * refuses rows whose stock_snapshot is no longer the quantity, so an old file cannot undo sales.
+     * Shoes without variants have no line.
+     */
+    csvRows(shoes, locationId, { header = false } = {}) {
+        const records = [];
+
+        for (const shoe of shoes) {
+            for (const variant of shoe.shoe_variants || []) {
+                records.push({
+                    category: shoe.categories?.category_name,
+                    shoe_name: shoe.shoe_name,
+                    description: shoe.description,
+                    base_price: shoe.base_price,
+                    image_url: shoe.image_url,
+                    color: variant.colors?.color_name,
+                    hex_code: variant.colors?.hex_code,
+                    size: variant.sizes?.size_value,
+                    size_type: variant.sizes?.size_type,
+                    sku: variant.sku,
+                    variant_price: variant.variant_price,
+                    stock: this.locationQuantity(variant, locationId),
+                    stock_snapshot: this.locationQuantity(variant, locationId),
+                    is_active: variant.is_active
+                });
+            }
+        }
+
+        return csv.stringify(this.columns, records, { header });
+    }
+
+    /**
+     * A shoe as a JSON document: its fields, category and variants, each variant with its color,
+     * size, sellable stock_quantity, stock at locationId and quantity per location
+     */
+    shoeDocument(shoe, locationId) {
+        const { categories, shoe_variants: variants = [], ...fields } = shoe;
+
+        return {
+            ...fields,
+            category: categories || null,
+            variants: variants.map(variant => {
+                const { colors, sizes, location_stock: locations = [], ...variantFields } = variant;
+                return {
+                    ...variantFields,
+                    stock: this.locationQuantity(variant, locationId),
+                    color: colors || null,
+                    size: sizes || null,
+                    locations: locations.filter(location => location.quantity > 0)
+                };
+            })
+        };
+    }
+
+    locationQuantity(variant, locationId) {
+        return (variant.location_stock || []).find(location => location.location_id === locationId)?.quantity || 0;
+    }
+
+    // catalog-20261018.csv
+    filename(format, date = new Date()) {
+        return `catalog-${date.toISOString().slice(0, 10).replace(/-/g, '')}.${format}`;
+    }
+}
+
+export default new CatalogExportUtils();
@@ -0,0 +1,357 @@
+// 📦 Catalog Import Utilities
+// Reads catalog files (one row per variant: shoe, color, size, SKU, price and stock, as CSV or XLSX)
+// and works out what importing each row would do (see CatalogController.importCatalog)
+
+import constants from '../../config/constants.js';
+import csv from './csv.js';
+import xlsx from './xlsx.js';
+import pricing from './pricing.js';
+import reconciliation from './reconciliation.js';
+import { ValidationError } from './ErrorClasses.js';
+
+const { CATALOG_IMPORT_ACTIONS } = constants;
+
+const REQUIRED_COLUMNS = ['shoe_name', 'color', 'size', 'sku'];
+// Fields of the shoe, color or size rather than of the variant: rows sharing one must agree on them
+const SHARED_FIELDS = {
+    shoe_name: ['category', 'description', 'base_price', 'image_url'],
+    color: ['hex_code'],
+    size: ['size_type']
+};
+// Largest DECIMAL(10,2)
+const MAX_PRICE = 99999999.99;
+const BOOLEAN_VALUES = {
+    true: true, yes: true, y: true, 1: true, active: true,
+    false: false, no: false, n: false, 0: false, inactive: false
+};
+
+class CatalogImportUtils {
+    constructor() {
+        this.config = constants.CATALOG_IMPORT_CONFIG;
+    }
+
+    // The format given, else 'xlsx' for .xlsx files and 'csv' for anything else
+    resolveFormat(filename, format) {
+        if (format) return format.toLowerCase();
+        return /\.xlsx$/i.test(filename || '') ? 'xlsx' : 'csv';
+    }
+
+    /**
+     * Read a catalog file into rows, each checked on its own and against the other rows
+     * (a SKU or a shoe / color / size on two rows, rows of a shoe disagreeing on its price...).
+     * @param {string} content - CSV text, or the XLSX file in base64
+     * @returns {Array<Object>} { line, values, errors }; blank cells are null in values
+     * @throws {ValidationError} Unreadable file, missing columns or too many rows
+     */
+    readFile(content, format) {
+        const normalizeHeader = header => reconciliation.normalizeHeader(header);
+        const { headers, records } = format === 'xlsx'
+            ? csv.toRecords(xlsx.parseRows(Buffer.from(content, 'base64')), { normalizeHeader })
+            : csv.parse(content, { normalizeHeader });
+        const columns = this.mapColumns(headers);
+
+        const missing = REQUIRED_COLUMNS.filter(field => !columns[field]);
+        if (missing.length > 0) {
+            throw new ValidationError(constants.ERROR_MESSAGES.CATALOG_IMPORT.MISSING_COLUMNS, [
+                { field: 'content', message: `Missing ${missing.join(', ')}; columns found: ${headers.join(', ') || 'none'}` }
+            ]);
+        }
+        if (records.length > this.config.MAX_ROWS) {
+            throw new ValidationError(constants.ERROR_MESSAGES.CATALOG_IMPORT.TOO_MANY_ROWS, [
+                { field: 'content', message: `At most ${this.config.MAX_ROWS} rows per file` }
+            ]);
+        }
+
+        const rows = records.map(record => this.parseRecord(record, columns));
+        this.checkRows(rows);
+        return rows;
+    }
+
+    // First header matching each field's aliases (CATALOG_IMPORT_CONFIG.COLUMNS)
+    mapColumns(headers) {
+        return Object.fromEntries(
+            Object.entries(this.config.COLUMNS).map(([field, aliases]) => [
+                field,
+                aliases.find(alias => headers.includes(alias)) || null
+            ])
+        );
+    }
+
+    // Typed values of a record and what is wrong with them
+    parseRecord({ line, values }, columns) {
+        const errors = [];
+        // Cells of an exported file that were protected from running as formulas are read back as written
+        const raw = field => (columns[field] ? csv.unprotect(values[columns[field]] || '') : '');
+
+        const text = (field, { required = false, minLength = 1, maxLength }) => {
+            const value = raw(field);
+            if (!value) {
+                if (required) errors.push(`${field} is required`);
+                return null;
+            }
+            if (value.length < minLength || value.length > maxLength) {
+                errors.push(`${field} must be ${minLength} to ${maxLength} characters`);
+            }
+            return value;
+        };
+
+        const price = field => {
+            const value = raw(field);
+            if (!value) return null;
+
+            const amount = reconciliation.parseAmount(value);
+            if (Number.isNaN(amount) || amount < 0 || amount > MAX_PRICE) {
+                errors.push(`${field} "${value}" is not a valid price`);
+                return null;
+            }
+            return amount;
+        };
+
+        const quantity = field => {
+            const value = raw(field);
+            if (!value) return null;
+
+            if (!/^\d+$/.test(value)) {
+                errors.push(`${field} "${value}" must be a whole number of at least 0`);
+                return null;
+            }
+            return parseInt(value, 10);
+        };
+
+        const active = raw('is_active').toLowerCase();
+        if (active && !(active in BOOLEAN_VALUES)) {
+            errors.push(`is_active "${raw('is_active')}" must be true or false`);
+        }
+
+        let hexCode = raw('hex_code');
+        if (hexCode) {
+            hexCode = `#${hexCode.replace(/^#/, '').toUpperCase()}`;
+            if (!/^#[0-9A-F]{6}$/.test(hexCode)) {
+                errors.push(`hex_code "${raw('hex_code')}" must look like #FF0000`);
+            }
+        }
+
+        return {
+            line,
+            values: {
+                category: text('category', { maxLength: 100 }),
+                shoe_name: text('shoe_name', { required: true, maxLength: 100 }),
+                description: text('description', { maxLength: 5000 }),
+                base_price: price('base_price'),
+                image_url: text('image_url', { maxLength: 2000 }),
+                color: text('color', { required: true, minLength: 2, maxLength: 50 }),
+                hex_code: hexCode || null,
+                size: text('size', { required: true, maxLength: 10 }),
+                size_type: text('size_type', { maxLength: 20 }),
+                sku: text('sku', { required: true, maxLength: 50 }),
+                variant_price: price('variant_price'),
+                stock: quantity('stock'),
+                stock_snapshot: quantity('stock_snapshot'),
+                is_active: active in BOOLEAN_VALUES ? BOOLEAN_VALUES[active] : null
+            },
+            errors
+        };
+    }
+
+    // Errors of rows repeating a SKU or a variant, or disagreeing with an earlier row on shared fields
+    checkRows(rows) {
+        const key = value => String(value).toLowerCase();
+        const skus = new Map();
+        const variants = new Map();
+        const shared = Object.fromEntries(Object.keys(SHARED_FIELDS).map(group => [group, new Map()]));
+
+        for (const row of rows) {
+            if (row.errors.length > 0) continue;
+            const { values } = row;
+
+            if (skus.has(values.sku)) {
+                row.errors.push(`SKU ${values.sku} is also on line ${skus.get(values.sku)}`);
+            } else {
+                skus.set(values.sku, row.line);
+            }
+
+            const variantKey = [values.shoe_name, values.color, values.size].map(key).join('|');
+            if (variants.has(variantKey)) {
+                row.errors.push(`${values.shoe_name} ${values.color} / ${values.size} is also on line ${variants.get(variantKey)}`);
+            } else {
+                variants.set(variantKey, row.line);
+            }
+
+            for (const [group, fields] of Object.entries(SHARED_FIELDS)) {
+                const groupKey = key(values[group]);
+                if (!shared[group].has(groupKey)) shared[group].set(groupKey, {});
+                const seen = shared[group].get(groupKey);
+
+                for (const field of fields) {
+                    if (values[field] === null) continue;
+
+                    if (!seen[field]) {
+                        seen[field] = { value: values[field], line: row.line };
+                    } else if (key(seen[field].value) !== key(values[field])) {
+                        row.errors.push(`${field} differs from line ${seen[field].line} for ${values[group]}`);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * What importing each row does, given the records the file refers to (CatalogImport.findExisting).
+     * A row creates a variant or updates the one with its SKU, creating the category, shoe, color and
+     * size it names first when they do not exist; those are listed on the first row creating them.
+     * Blank cells leave stored values as they are. stock is the opening stock of new variants; the
+     * stock of existing ones is only set with updateStock, and not when stock_snapshot is no longer
+     * their quantity (sales or receipts since the file was made would be undone).
+     * @returns {{ summary: Object, rows: Array<Object> }} rows are { line, sku, shoe_name, color, size,
+     *   variant_id, action (CATALOG_IMPORT_ACTIONS), creates, changes: { field: { from, to } }, stock_skipped, errors }
+     */
+    plan(rows, existing, { updateStock = false } = {}) {
+        const created = { category: new Set(), shoe: new Set(), color: new Set(), size: new Set() };
+        const reported = new Set();
+        const report = rows.map(row => this.planRow(row, existing, created, reported, updateStock));
+        const count = action => report.filter(entry => entry.action === action).length;
+
+        return {
+            summary: {
+                rows: report.length,
+                create: count(CATALOG_IMPORT_ACTIONS.CREATE),
+                update: count(CATALOG_IMPORT_ACTIONS.UPDATE),
+                unchanged: count(CATALOG_IMPORT_ACTIONS.UNCHANGED),
+                error: count(CATALOG_IMPORT_ACTIONS.ERROR),
+                // Existing variants whose stock differs from the file's, left as they are without updateStock
+                stock_skipped: report.filter(entry => entry.stock_skipped).length,
+                new_categories: created.category.size,
+                new_shoes: created.shoe.size,
+                new_colors: created.color.size,
+                new_sizes: created.size.size
+            },
+            rows: report
+        };
+    }
+
+    planRow({ line, values, errors }, existing, created, reported, updateStock) {
+        const key = value => value.toLowerCase();
+        const entry = {
+            line,
+            sku: values.sku,
+            shoe_name: values.shoe_name,
+            color: values.color,
+            size: values.size,
+            variant_id: null,
+            action: CATALOG_IMPORT_ACTIONS.ERROR,
+            creates: [],
+            changes: {},
+            stock_skipped: false,
+            errors: [...errors]
+        };
+        if (entry.errors.length > 0) return entry;
+
+        const category = values.category ? existing.categories.get(key(values.category)) : null;
+        const shoe = existing.shoes.get(key(values.shoe_name));
+        const color = existing.colors.get(key(values.color));
+        const size = existing.sizes.get(key(values.size));
+        const variant = existing.variants.get(values.sku);
+        const newShoe = !shoe && !created.shoe.has(key(values.shoe_name));
+
+        if (newShoe && !values.category) {
+            entry.errors.push('category is required for a new shoe');
+        }
+        if (newShoe && values.base_price === null && values.variant_price === null) {
+            entry.errors.push('base_price is required for a new shoe');
+        }
+        if (variant && !(shoe && color && size
+            && variant.shoe_id === shoe.shoe_id && variant.color_id === color.color_id && variant.size_id === size.size_id)) {
+            entry.errors.push(
+                `SKU ${values.sku} is already ${variant.shoes?.shoe_name} ${variant.colors?.color_name} / ${variant.sizes?.size_value}`
+            );
+        }
+        if (variant && updateStock && values.stock !== null && values.stock_snapshot !== null
+            && values.stock_snapshot !== variant.stock) {
+            entry.errors.push(
+                `Stock changed since the file was made: stock_snapshot is ${values.stock_snapshot}, the quantity is now ${variant.stock}`
+            );
+        }
+        if (!variant && shoe && color && size) {
+            const sku = existing.combinations.get(`${shoe.shoe_id}|${color.color_id}|${size.size_id}`);
+            if (sku) entry.errors.push(`${shoe.shoe_name} ${color.color_name} / ${size.size_value} already has SKU ${sku}`);
+        }
+        if (entry.errors.length > 0) return entry;
+
+        const creates = (type, name, exists) => {
+            if (exists || created[type].has(key(name))) return;
+            created[type].add(key(name));
+            entry.creates.push(type);
+        };
+        creates('category', values.category || '', !values.category || category);
+        creates('shoe', values.shoe_name, shoe);
+        creates('color', values.color, color);
+        creates('size', values.size, size);
+
+        const change = (field, from, to) => {
+            if (to === null || String(from ?? '') === String(to)) return;
+            entry.changes[field] = { from: from ?? null, to };
+        };
+
+        // Shoe fields are reported once, on the first row changing them
+        if (shoe) {
+            const shoeChange = (field, from, to, same) => {
+                const fieldKey = `${shoe.shoe_id}|${field}`;
+                if (to === null || same || reported.has(fieldKey)) return;
+                reported.add(fieldKey);
+                entry.changes[field] = { from: from ?? null, to };
+            };
+            shoeChange('category', shoe.categories?.category_name, values.category,
+                Boolean(category) && category.category_id === shoe.category_id);
+            shoeChange('description', shoe.description, values.description, values.description === shoe.description);
+            shoeChange('base_price', Number(shoe.base_price), values.base_price,
+                pricing.roundAmount(shoe.base_price) === values.base_price);
+            shoeChange('image_url', shoe.image_url, values.image_url, values.image_url === shoe.image_url);
+        }
+
+        if (variant) {
+            entry.variant_id = variant.variant_id;
+            change('variant_price', variant.variant_price === null ? null : pricing.roundAmount(variant.variant_price), values.variant_price);
+            change('is_active', variant.is_active, values.is_active);
+            if (updateStock) {
+                change('stock', variant.stock, values.stock);
+            } else {
+                entry.stock_skipped = values.stock !== null && values.stock !== variant.stock;
+            }
+        } else if (values.stock) {
+            entry.changes.stock = { from: 0, to: values.stock };
+        }
+
+        entry.action = !variant
+            ? CATALOG_IMPORT_ACTIONS.CREATE
+            : entry.creates.length > 0 || Object.keys(entry.changes).length > 0
+                ? CATALOG_IMPORT_ACTIONS.UPDATE
+                : CATALOG_IMPORT_ACTIONS.UNCHANGED;
+
+        return entry;
+    }
+
+    /**
+     * Rows of the plan that create or update something, as import_catalog() takes them. stock is only
+     * sent when the plan changes it, with stock_expected, the quantity the change was planned from.
+     */
+    importRows(rows, report) {
+        const entries = new Map(report
+            .filter(entry => entry.action === CATALOG_IMPORT_ACTIONS.CREATE || entry.action === CATALOG_IMPORT_ACTIONS.UPDATE)
+            .map(entry => [entry.line, entry]));
+
+        return rows
+            .filter(row => entries.has(row.line))
+            .map(row => {
+                const { stock_snapshot: snapshot, ...values } = row.values;
+                const stock = entries.get(row.line).changes.stock;
+                return {
+                    line: row.line,
+                    ...values,
+                    stock: stock ? stock.to : null,
+                    stock_expected: stock ? stock.from : null
+                };
+            });
+    }
+}
+
+export default new CatalogImportUtils();
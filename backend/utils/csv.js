@@ -0,0 +1,128 @@
+// 📄 CSV Utilities
+// RFC 4180 style parsing and writing (quoted fields, embedded commas, quotes and newlines)
+
+// Text starting like this is run as a formula when the file is opened in a spreadsheet; leading
+// quotes are included so that text escape() protects always comes back as it was from unprotect()
+const FORMULA_START = /^'*[=+\-@\t\r]/;
+
+class CsvUtils {
+    constructor() {
+        // Initialize CSV utilities
+    }
+
+    /**
+     * Parse CSV text into rows of fields.
+     * Strips a UTF-8 byte order mark, accepts \n and \r\n, and drops blank lines.
+     * The delimiter is detected from the first line (comma, semicolon or tab) unless given.
+     * @returns {Array<Array<string>>}
+     */
+    parseRows(text, { delimiter = null } = {}) {
+        const input = String(text || '').replace(/^\uFEFF/, '');
+        const separator = delimiter || this.detectDelimiter(input);
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+
+            if (quoted) {
+                if (char === '"' && input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                quoted = true;
+            } else if (char === separator) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows.filter(fields => fields.some(value => value.trim() !== ''));
+    }
+
+    /**
+     * Parse CSV text with a header line into objects keyed by header.
+     * @param {Function} normalizeHeader - Maps each header cell to its key (default: trimmed)
+     * @returns {{ headers: Array<string>, records: Array<{ line: number, values: Object }> }}
+     */
+    parse(text, { delimiter = null, normalizeHeader = header => header.trim() } = {}) {
+        return this.toRecords(this.parseRows(text, { delimiter }), { normalizeHeader });
+    }
+
+    /**
+     * Rows of fields whose first row is the header (as from parseRows, or a spreadsheet) into
+     * records like parse() returns
+     */
+    toRecords(rows, { normalizeHeader = header => header.trim() } = {}) {
+        const [headerRow = [], ...records] = rows;
+        const headers = headerRow.map(normalizeHeader);
+
+        return {
+            headers,
+            records: records.map((fields, index) => ({
+                line: index + 2,
+                values: Object.fromEntries(headers.map((header, column) => [header, (fields[column] ?? '').trim()]))
+            }))
+        };
+    }
+
+    // Most frequent of comma, semicolon and tab on the first line
+    detectDelimiter(text) {
+        const firstLine = text.slice(0, text.search(/\r?\n|$/));
+        const counts = [',', ';', '\t'].map(candidate => [candidate, firstLine.split(candidate).length - 1]);
+        counts.sort((a, b) => b[1] - a[1]);
+        return counts[0][1] > 0 ? counts[0][0] : ',';
+    }
+
+    /**
+     * Write rows as CSV text (\r\n line endings).
+     * @param {Array<string>} columns - Keys to write, in order; also the header line
+     * @param {Array<Object>} records
+     * @param {boolean} header - Start with the header line (off for the later chunks of a stream)
+     */
+    stringify(columns, records, { header = true } = {}) {
+        const lines = header ? [columns.map(column => this.escape(column)).join(',')] : [];
+        for (const record of records) {
+            lines.push(columns.map(column => this.escape(record[column])).join(','));
+        }
+        return lines.length > 0 ? `${lines.join('\r\n')}\r\n` : '';
+    }
+
+    /**
+     * Quote a field when it contains a delimiter, quote or line break. Text that a spreadsheet would
+     * run as a formula (=, +, -, @, tab or CR first) gets a leading ' so it stays text.
+     */
+    escape(value) {
+        if (value === null || value === undefined) return '';
+        let text = value instanceof Date ? value.toISOString() : String(value);
+        if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+        return /[",;\r\n\t]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // A field as it was before escape() protected it from formula evaluation ('=1+1 -> =1+1)
+    unprotect(text) {
+        return text.startsWith("'") && FORMULA_START.test(text) ? text.slice(1) : text;
+    }
+}
+
+export default new CsvUtils();
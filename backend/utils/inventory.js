@@ -0,0 +1,110 @@
+// 📦 Inventory Service
+// The single path for stock changes: record_stock_movement() updates the location's
+// quantity (and the cached shoe_variants.stock_quantity when the location is sellable)
+// and appends its stock_movements row in one transaction.
+// Orders, cancellations, returns and imports move stock inside their own database
+// functions through the same apply_stock_movement().
+
+import createSupabaseConfig from '../../config/supabase.js';
+import constants from '../../config/constants.js';
+import { ConflictError, DatabaseError, ErrorFactory, NotFoundError, ValidationError } from './ErrorClasses.js';
+
+const supabaseConfig = createSupabaseConfig();
+
+const MOVEMENT_TYPES = Object.values(constants.STOCK_MOVEMENT_TYPES);
+
+// Stock operations of ShoeVariant.updateStock and their Product.updateStock aliases
+const OPERATIONS = {
+    set: 'set',
+    add: 'add',
+    increment: 'add',
+    subtract: 'subtract',
+    decrement: 'subtract'
+};
+
+class InventoryService {
+    /**
+     * Apply a stock operation: 'set' to quantity, 'add'/'increment' or 'subtract'/'decrement'
+     * quantity units. Shared by the ShoeVariant and Product models.
+     * Taking out more than is in stock fails with a ConflictError.
+     */
+    async applyOperation(variantId, quantity, operation = 'set', context = {}) {
+        switch (OPERATIONS[operation]) {
+            case 'set':
+                return this.setQuantity(variantId, quantity, context);
+            case 'add':
+                return this.adjust(variantId, quantity, context);
+            case 'subtract':
+                return this.adjust(variantId, -quantity, context);
+            default:
+                throw new ValidationError(constants.ERROR_MESSAGES.INVENTORY.INVALID_OPERATION, [
+                    { field: 'operation', message: constants.ERROR_MESSAGES.INVENTORY.INVALID_OPERATION }
+                ]);
+        }
+    }
+
+    /**
+     * Add (positive) or take out (negative) units of a variant.
+     * @param {number} variantId
+     * @param {number} quantityChange
+     * @param {Object} context - { type, locationId, referenceType, referenceId, createdBy, note };
+     *   without locationId the change goes to the default location
+     * @returns {Promise<Object|null>} The movement (quantity_after is the location's new stock), null when nothing changed
+     */
+    async adjust(variantId, quantityChange, context = {}) {
+        return this.record({ variant_id: variantId, quantity_change: quantityChange }, context);
+    }
+
+    // Set the stock of a variant at a location to quantity, recording the difference
+    async setQuantity(variantId, quantity, context = {}) {
+        return this.record({ variant_id: variantId, quantity }, context);
+    }
+
+    async record(movement, {
+        type = constants.STOCK_MOVEMENT_TYPES.ADJUSTMENT,
+        locationId = null,
+        referenceType = null,
+        referenceId = null,
+        createdBy = null,
+        note = null
+    } = {}) {
+        if (!MOVEMENT_TYPES.includes(type)) {
+            throw new ValidationError(constants.ERROR_MESSAGES.INVENTORY.INVALID_MOVEMENT_TYPE, [
+                { field: 'movement_type', message: `movement_type must be one of ${MOVEMENT_TYPES.join(', ')}` }
+            ]);
+        }
+
+        const { data, error } = await supabaseConfig.getAdminClient()
+            .rpc('record_stock_movement', {
+                p_movement: {
+                    ...movement,
+                    location_id: locationId,
+                    movement_type: type,
+                    reference_type: referenceType,
+                    reference_id: referenceId,
+                    created_by: createdBy,
+                    note
+                }
+            });
+
+        if (error) {
+            if (error.message === 'VARIANT_NOT_FOUND') {
+                throw new NotFoundError(`Variant ${movement.variant_id}`);
+            }
+            if (error.message === 'LOCATION_NOT_FOUND') {
+                throw new NotFoundError(`Location ${locationId}`);
+            }
+            if (error.message === 'INSUFFICIENT_STOCK') {
+                const { current_stock, quantity_change, location_id } = ErrorFactory.parseDetails(error.details, {});
+                throw new ConflictError(
+                    `${constants.ERROR_MESSAGES.INVENTORY.NEGATIVE_STOCK}: ${current_stock ?? 0} in stock at location ${location_id}, change of ${quantity_change}`
+                );
+            }
+            throw new DatabaseError(`Failed to record stock movement: ${error.message}`, error);
+        }
+
+        return data?.movement_id ? data : null;
+    }
+}
+
+export default new InventoryService();
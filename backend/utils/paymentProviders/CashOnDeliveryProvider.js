@@ -0,0 +1,52 @@
+// 💵 Cash on Delivery Provider - the courier collects the order total at the door
+// Payments stay processing until staff confirm the cash the courier handed over
+// (see CodController), so nothing here ever settles a payment.
+
+import PaymentProvider from './PaymentProvider.js';
+import constants from '../../../config/constants.js';
+
+const { PAYMENT_INTENT_STATUS } = constants;
+
+class CashOnDeliveryProvider extends PaymentProvider {
+    constructor() {
+        super('cod');
+        this.payOnDelivery = true;
+    }
+
+    async createIntent({ payment, amount } = {}) {
+        return {
+            reference: `cod_${payment.payment_id}`,
+            status: PAYMENT_INTENT_STATUS.PROCESSING,
+            next_action: this.collectionInstructions(amount)
+        };
+    }
+
+    async capture(reference, params = {}) {
+        return this.retrieve(reference, params);
+    }
+
+    async retrieve(reference, { amount } = {}) {
+        return {
+            status: PAYMENT_INTENT_STATUS.PROCESSING,
+            next_action: amount ? this.collectionInstructions(amount) : null
+        };
+    }
+
+    // Cash is handed back in person; the refund is only recorded here
+    async refund(reference, { amount } = {}) {
+        return {
+            refund_reference: `cod_refund_${reference}_${Date.now()}`,
+            status: PAYMENT_INTENT_STATUS.SUCCEEDED,
+            amount
+        };
+    }
+
+    collectionInstructions(amount) {
+        return {
+            type: 'cash_on_delivery',
+            amount: Number(amount)
+        };
+    }
+}
+
+export default CashOnDeliveryProvider;
@@ -0,0 +1,105 @@
+// 🧪 Mock Payment Provider - local stand-in for a card / e-wallet gateway
+// Simulates an approved payment, a decline, or one that is confirmed a few seconds later.
+// Stateless: the scenario and creation time are encoded in the reference, so pending
+// payments still settle after a server restart.
+
+import crypto from 'crypto';
+import PaymentProvider from './PaymentProvider.js';
+import constants from '../../../config/constants.js';
+import { ValidationError } from '../ErrorClasses.js';
+
+const { PAYMENT_INTENT_STATUS, MOCK_PAYMENT_SCENARIOS } = constants;
+
+class MockPaymentProvider extends PaymentProvider {
+    constructor(config = constants.PAYMENT_CONFIG.MOCK) {
+        super('mock', { webhookSecret: config.WEBHOOK_SECRET });
+        this.defaultScenario = config.DEFAULT_SCENARIO;
+        this.confirmDelayMs = config.CONFIRM_DELAY_MS;
+    }
+
+    // options.scenario picks the outcome; unknown values fall back to the default
+    async createIntent({ options = {} } = {}) {
+        const scenario = Object.values(MOCK_PAYMENT_SCENARIOS).includes(options.scenario)
+            ? options.scenario
+            : this.defaultScenario;
+        const reference = `mock_${scenario}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+
+        switch (scenario) {
+            case MOCK_PAYMENT_SCENARIOS.DECLINE:
+                return { reference, status: PAYMENT_INTENT_STATUS.FAILED, failure_reason: 'card_declined' };
+            case MOCK_PAYMENT_SCENARIOS.DELAYED:
+                return {
+                    reference,
+                    status: PAYMENT_INTENT_STATUS.PROCESSING,
+                    next_action: { type: 'poll', retry_after_ms: this.confirmDelayMs }
+                };
+            default:
+                return { reference, status: PAYMENT_INTENT_STATUS.REQUIRES_CAPTURE };
+        }
+    }
+
+    async capture(reference) {
+        return this.retrieve(reference);
+    }
+
+    async retrieve(reference) {
+        const { scenario, createdAt } = this.parseReference(reference);
+
+        if (scenario === MOCK_PAYMENT_SCENARIOS.DECLINE) {
+            return { status: PAYMENT_INTENT_STATUS.FAILED, failure_reason: 'card_declined' };
+        }
+        if (scenario === MOCK_PAYMENT_SCENARIOS.DELAYED && Date.now() - createdAt < this.confirmDelayMs) {
+            return { status: PAYMENT_INTENT_STATUS.PROCESSING };
+        }
+        return { status: PAYMENT_INTENT_STATUS.SUCCEEDED };
+    }
+
+    async refund(reference, { amount } = {}) {
+        this.parseReference(reference);
+        return {
+            refund_reference: `mock_re_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+            status: PAYMENT_INTENT_STATUS.SUCCEEDED,
+            amount
+        };
+    }
+
+    /**
+     * Mock events are plain JSON: { id, type, data: { reference, status, failure_reason } }
+     * where status is one of PAYMENT_INTENT_STATUS
+     */
+    parseWebhook(rawBody) {
+        let event;
+        try {
+            event = JSON.parse(rawBody);
+        } catch {
+            throw new ValidationError(constants.ERROR_MESSAGES.PAYMENT.INVALID_WEBHOOK);
+        }
+
+        if (!event?.id || !event.type || !event.data?.reference) {
+            throw new ValidationError(constants.ERROR_MESSAGES.PAYMENT.INVALID_WEBHOOK);
+        }
+        if (event.data.status && !Object.values(PAYMENT_INTENT_STATUS).includes(event.data.status)) {
+            throw new ValidationError(constants.ERROR_MESSAGES.PAYMENT.INVALID_WEBHOOK);
+        }
+
+        return {
+            event_id: String(event.id),
+            type: event.type,
+            reference: event.data.reference,
+            status: event.data.status || null,
+            failure_reason: event.data.failure_reason || null,
+            payload: event
+        };
+    }
+
+    // mock_<scenario>_<timestamp>_<random>
+    parseReference(reference) {
+        const [prefix, scenario, createdAt] = String(reference).split('_');
+        if (prefix !== 'mock' || !Object.values(MOCK_PAYMENT_SCENARIOS).includes(scenario)) {
+            throw new ValidationError(`Unknown mock payment reference: ${reference}`);
+        }
+        return { scenario, createdAt: Number(createdAt) };
+    }
+}
+
+export default MockPaymentProvider;
@@ -0,0 +1,121 @@
+// 💳 Payment Provider - interface every payment gateway integration implements
+// Results use the normalized statuses of constants.PAYMENT_INTENT_STATUS so the
+// payment flow does not depend on any one gateway's vocabulary.
+
+import crypto from 'crypto';
+import constants from '../../../config/constants.js';
+import { AuthenticationError, ConfigurationError } from '../ErrorClasses.js';
+
+class PaymentProvider {
+    /**
+     * @param {string} name - Provider code stored in payments.provider, e.g. 'mock'
+     * @param {Object} options - { webhookSecret } shared with the provider to sign webhooks
+     */
+    constructor(name, { webhookSecret = '' } = {}) {
+        this.name = name;
+        this.webhookSecret = webhookSecret;
+        // Paid when the goods arrive: the order is confirmed while the payment is still pending
+        this.payOnDelivery = false;
+    }
+
+    /**
+     * Start a payment at the provider.
+     * @param {Object} params - { payment, order, amount, currency, options }
+     * @returns {Promise<Object>} { reference, status, failure_reason?, next_action? }
+     */
+    async createIntent(params) {
+        throw new Error(`${this.name} provider does not implement createIntent`);
+    }
+
+    /**
+     * Capture an authorized payment.
+     * @param {string} reference - Provider reference returned by createIntent
+     * @param {Object} params - { amount }
+     * @returns {Promise<Object>} { status, failure_reason? }
+     */
+    async capture(reference, params = {}) {
+        throw new Error(`${this.name} provider does not implement capture`);
+    }
+
+    /**
+     * Current state of a payment at the provider (used to settle pending payments).
+     * @param {Object} params - { amount }
+     * @returns {Promise<Object>} { status, failure_reason?, next_action? }
+     */
+    async retrieve(reference, params = {}) {
+        throw new Error(`${this.name} provider does not implement retrieve`);
+    }
+
+    /**
+     * Give money back on a captured payment.
+     * @param {string} reference
+     * @param {Object} params - { amount, reason }
+     * @returns {Promise<Object>} { refund_reference, status, amount }
+     */
+    async refund(reference, params = {}) {
+        throw new Error(`${this.name} provider does not implement refund`);
+    }
+
+    /**
+     * Turn a webhook request into a provider event.
+     * @param {string} rawBody - Unparsed request body
+     * @param {Object} headers - Request headers
+     * @returns {Object} { event_id, type, reference, status, failure_reason, payload }
+     */
+    parseWebhook(rawBody, headers = {}) {
+        throw new Error(`${this.name} provider does not implement parseWebhook`);
+    }
+
+    /**
+     * Signature header for a webhook body: "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${rawBody}`>".
+     * Providers with their own signing scheme override this and verifyWebhook.
+     */
+    signWebhook(rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+        return `t=${timestamp},v1=${this.webhookSignature(rawBody, timestamp)}`;
+    }
+
+    /**
+     * Check the signature and age of a webhook request.
+     * @returns {Date} When the provider signed the event
+     * @throws {AuthenticationError} Missing or wrong signature, or a timestamp outside the tolerance
+     */
+    verifyWebhook(rawBody, headers = {}) {
+        const { SIGNATURE_HEADER, TOLERANCE_SECONDS } = constants.PAYMENT_CONFIG.WEBHOOK;
+        const parts = Object.fromEntries(
+            String(headers[SIGNATURE_HEADER] || '')
+                .split(',')
+                .map(part => part.trim().split('='))
+                .filter(pair => pair.length === 2)
+        );
+        const timestamp = Number(parts.t);
+
+        if (!Number.isInteger(timestamp) || !parts.v1) {
+            throw new AuthenticationError(constants.ERROR_MESSAGES.PAYMENT.INVALID_SIGNATURE);
+        }
+
+        const expected = Buffer.from(this.webhookSignature(rawBody, timestamp), 'hex');
+        const received = Buffer.from(parts.v1, 'hex');
+        if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+            throw new AuthenticationError(constants.ERROR_MESSAGES.PAYMENT.INVALID_SIGNATURE);
+        }
+
+        if (Math.abs(Date.now() / 1000 - timestamp) > TOLERANCE_SECONDS) {
+            throw new AuthenticationError(constants.ERROR_MESSAGES.PAYMENT.STALE_WEBHOOK);
+        }
+
+        return new Date(timestamp * 1000);
+    }
+
+    webhookSignature(rawBody, timestamp) {
+        if (!this.webhookSecret) {
+            throw new ConfigurationError(`${this.name} webhook secret`, constants.ERROR_MESSAGES.PAYMENT.WEBHOOK_NOT_CONFIGURED);
+        }
+
+        return crypto
+            .createHmac('sha256', this.webhookSecret)
+            .update(`${timestamp}.${rawBody}`)
+            .digest('hex');
+    }
+}
+
+export default PaymentProvider;
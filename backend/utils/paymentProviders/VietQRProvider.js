@@ -0,0 +1,141 @@
+// 🏦 VietQR Provider - bank transfers to the shop account
+// Builds the VietQR (EMVCo / NAPAS 247) payload a banking app scans, with the amount and a
+// unique reference in the transfer memo. Transfers are confirmed by reconciling bank
+// statements (see utils/reconciliation.js), so payments stay processing until then.
+
+import crypto from 'crypto';
+import PaymentProvider from './PaymentProvider.js';
+import constants from '../../../config/constants.js';
+import { ConfigurationError } from '../ErrorClasses.js';
+
+const { PAYMENT_INTENT_STATUS } = constants;
+
+// NAPAS globally unique identifier and service code for transfers to an account
+const NAPAS_GUID = 'A000000727';
+const SERVICE_TRANSFER_TO_ACCOUNT = 'QRIBFTTA';
+const CURRENCY_VND = '704';
+
+// Letters only, so the reference ends where the payment ID digits stop (no I/O, they read as 1/0)
+const REFERENCE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+class VietQRProvider extends PaymentProvider {
+    constructor(config = constants.PAYMENT_CONFIG.VIETQR) {
+        super('vietqr');
+        this.config = config;
+    }
+
+    async createIntent({ payment, amount } = {}) {
+        this.assertConfigured();
+        const reference = this.createReference(payment.payment_id);
+
+        return {
+            reference,
+            status: PAYMENT_INTENT_STATUS.PROCESSING,
+            next_action: this.transferInstructions(reference, amount)
+        };
+    }
+
+    async capture(reference, params = {}) {
+        return this.retrieve(reference, params);
+    }
+
+    // Transfers are only confirmed by statement reconciliation
+    async retrieve(reference, { amount } = {}) {
+        return {
+            status: PAYMENT_INTENT_STATUS.PROCESSING,
+            next_action: amount ? this.transferInstructions(reference, amount) : null
+        };
+    }
+
+    // The money is sent back from the shop's banking app; the refund is only recorded here
+    async refund(reference, { amount } = {}) {
+        return {
+            refund_reference: `manual_${reference}_${Date.now()}`,
+            status: PAYMENT_INTENT_STATUS.SUCCEEDED,
+            amount
+        };
+    }
+
+    /**
+     * What the customer needs to pay: the QR payload and image plus the details to type by hand
+     */
+    transferInstructions(reference, amount) {
+        const { BANK_BIN, ACCOUNT_NUMBER, ACCOUNT_NAME, IMAGE_BASE_URL, IMAGE_TEMPLATE } = this.config;
+        const wholeAmount = Math.round(Number(amount));
+        const query = new URLSearchParams({ amount: String(wholeAmount), addInfo: reference });
+        if (ACCOUNT_NAME) query.set('accountName', ACCOUNT_NAME);
+
+        return {
+            type: 'bank_transfer',
+            bank_bin: BANK_BIN,
+            account_number: ACCOUNT_NUMBER,
+            account_name: ACCOUNT_NAME,
+            amount: wholeAmount,
+            memo: reference,
+            qr_payload: this.buildPayload({ amount: wholeAmount, memo: reference }),
+            qr_image_url: `${IMAGE_BASE_URL}/${BANK_BIN}-${ACCOUNT_NUMBER}-${IMAGE_TEMPLATE}.png?${query}`
+        };
+    }
+
+    /**
+     * EMVCo merchant-presented QR for a transfer of amount VND with the memo as purpose
+     */
+    buildPayload({ amount, memo }) {
+        const { BANK_BIN, ACCOUNT_NUMBER } = this.config;
+        const beneficiary = this.tlv('00', BANK_BIN) + this.tlv('01', ACCOUNT_NUMBER);
+
+        const payload = [
+            this.tlv('00', '01'),
+            this.tlv('01', amount ? '12' : '11'),
+            this.tlv('38', this.tlv('00', NAPAS_GUID) + this.tlv('01', beneficiary) + this.tlv('02', SERVICE_TRANSFER_TO_ACCOUNT)),
+            this.tlv('53', CURRENCY_VND),
+            amount ? this.tlv('54', String(amount)) : '',
+            this.tlv('58', 'VN'),
+            memo ? this.tlv('62', this.tlv('08', memo)) : '',
+            '6304'
+        ].join('');
+
+        return payload + this.crc16(payload);
+    }
+
+    // <prefix><6+ digit payment ID><4 letters>
+    createReference(paymentId) {
+        const suffix = Array.from(crypto.randomBytes(4), byte => REFERENCE_ALPHABET[byte % REFERENCE_ALPHABET.length]).join('');
+        return `${this.config.REFERENCE_PREFIX}${String(paymentId).padStart(6, '0')}${suffix}`;
+    }
+
+    /**
+     * References found in a bank statement memo. Banks drop or insert spaces and
+     * punctuation, so the memo is compared upper case with only letters and digits.
+     */
+    extractReferences(text) {
+        const compact = String(text || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+        const pattern = new RegExp(`${this.config.REFERENCE_PREFIX}\\d{6,}[${REFERENCE_ALPHABET}]{4}`, 'g');
+        return [...new Set(compact.match(pattern) || [])];
+    }
+
+    assertConfigured() {
+        if (!this.config.BANK_BIN || !this.config.ACCOUNT_NUMBER) {
+            throw new ConfigurationError('VIETQR_BANK_BIN / VIETQR_ACCOUNT_NUMBER', 'bank account for transfers is not set');
+        }
+    }
+
+    // ID + two digit length + value
+    tlv(id, value) {
+        return `${id}${String(value.length).padStart(2, '0')}${value}`;
+    }
+
+    // CRC-16/CCITT-FALSE as 4 upper case hex digits
+    crc16(text) {
+        let crc = 0xFFFF;
+        for (const byte of Buffer.from(text, 'utf8')) {
+            crc ^= byte << 8;
+            for (let bit = 0; bit < 8; bit++) {
+                crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xFFFF : (crc << 1) & 0xFFFF;
+            }
+        }
+        return crc.toString(16).toUpperCase().padStart(4, '0');
+    }
+}
+
+export default VietQRProvider;
@@ -0,0 +1,74 @@
+// 💳 Payment Gateway Utilities
+// Registry of payment providers (see paymentProviders/PaymentProvider.js for the interface)
+// and the mapping from payment method to provider
+
+import constants from '../../config/constants.js';
+import MockPaymentProvider from './paymentProviders/MockPaymentProvider.js';
+import CashOnDeliveryProvider from './paymentProviders/CashOnDeliveryProvider.js';
+import VietQRProvider from './paymentProviders/VietQRProvider.js';
+import { BusinessLogicError, ConfigurationError } from './ErrorClasses.js';
+
+class PaymentGateway {
+    constructor() {
+        this.providers = new Map();
+        if (this.mockEnabled()) {
+            this.registerProvider(new MockPaymentProvider());
+        }
+        this.registerProvider(new VietQRProvider());
+        this.registerProvider(new CashOnDeliveryProvider());
+    }
+
+    // Add or replace a provider under its name
+    registerProvider(provider) {
+        this.providers.set(provider.name, provider);
+    }
+
+    hasProvider(name) {
+        return this.providers.has(name);
+    }
+
+    getProvider(name) {
+        const provider = this.providers.get(name);
+        if (!provider) {
+            throw new BusinessLogicError(constants.ERROR_MESSAGES.PAYMENT.UNKNOWN_PROVIDER, { provider: name });
+        }
+        return provider;
+    }
+
+    // Whether the mock provider can be used (PAYMENT_CONFIG.MOCK_ENVIRONMENTS); never in production
+    mockEnabled() {
+        return constants.PAYMENT_CONFIG.MOCK_ENVIRONMENTS.includes(process.env.NODE_ENV || 'development');
+    }
+
+    /**
+     * Provider that handles a payment method (PAYMENT_CONFIG.METHOD_PROVIDERS, else the default,
+     * else the mock provider where it is enabled)
+     * @throws {ConfigurationError} No usable provider is configured for the method
+     */
+    resolveProvider(paymentMethod) {
+        const { METHOD_PROVIDERS, DEFAULT_PROVIDER } = constants.PAYMENT_CONFIG;
+        const name = METHOD_PROVIDERS[paymentMethod] || DEFAULT_PROVIDER || (this.mockEnabled() ? 'mock' : null);
+
+        if (!name || !this.hasProvider(name)) {
+            throw new ConfigurationError(
+                `PAYMENT_PROVIDER (${paymentMethod})`,
+                constants.ERROR_MESSAGES.PAYMENT.UNKNOWN_PROVIDER
+            );
+        }
+        return this.providers.get(name);
+    }
+
+    // Payment status a provider result leads to, or null while it is still in progress
+    paymentStatusFor(intentStatus) {
+        switch (intentStatus) {
+            case constants.PAYMENT_INTENT_STATUS.SUCCEEDED:
+                return constants.PAYMENT_STATUS.COMPLETED;
+            case constants.PAYMENT_INTENT_STATUS.FAILED:
+                return constants.PAYMENT_STATUS.FAILED;
+            default:
+                return null;
+        }
+    }
+}
+
+export default new PaymentGateway();
@@ -0,0 +1,135 @@
+// 💰 Pricing Utilities
+// Server-side price resolution for cart and order lines
+
+import taxUtils from './tax.js';
+import promotionUtils from './promotions.js';
+
+class PricingUtils {
+    constructor() {
+        // Initialize pricing utilities
+    }
+
+    // Round a money amount to the precision of DECIMAL(10,2) columns
+    roundAmount(amount) {
+        return Math.round((Number(amount) || 0) * 100) / 100;
+    }
+
+    // Unit price of a variant: its own price when set, otherwise the shoe base price
+    resolveUnitPrice(variant) {
+        if (variant.variant_price !== null && variant.variant_price !== undefined) {
+            return this.roundAmount(variant.variant_price);
+        }
+        return this.roundAmount(variant.shoes?.base_price);
+    }
+
+    // Merge duplicate variant lines so each variant appears once
+    normalizeItems(items = []) {
+        const merged = new Map();
+
+        for (const item of items) {
+            const variantId = parseInt(item.variant_id);
+            const quantity = parseInt(item.quantity);
+            merged.set(variantId, (merged.get(variantId) || 0) + quantity);
+        }
+
+        return Array.from(merged, ([variant_id, quantity]) => ({ variant_id, quantity }));
+    }
+
+    // Price normalized items against loaded variants (with their shoes relation)
+    priceLines(items, variants) {
+        const variantMap = new Map(variants.map(v => [v.variant_id, v]));
+
+        const lines = items.map(item => {
+            const variant = variantMap.get(item.variant_id);
+            const pricePerUnit = this.resolveUnitPrice(variant);
+
+            return {
+                variant_id: item.variant_id,
+                quantity: item.quantity,
+                price_per_unit: pricePerUnit,
+                line_total: this.roundAmount(pricePerUnit * item.quantity)
+            };
+        });
+
+        const subtotal = this.roundAmount(lines.reduce((sum, line) => sum + line.line_total, 0));
+
+        return { lines, subtotal };
+    }
+
+    /**
+     * Priced lines with discounts, tax and totals. Checkout quotes and order creation
+     * both use this, so the quoted total is the one that gets charged.
+     * Discounts come off before tax; price_per_unit of a line is its discounted unit price
+     * and list_price_per_unit the catalog one.
+     * @param {Array} items - Normalized items [{ variant_id, quantity }]
+     * @param {Array} variants - Loaded variants with shoes.categories
+     * @param {Object} options - { address, shippingCost, promotions, promotionContext, couponCode }
+     */
+    quoteOrder(items, variants, {
+        address = null,
+        shippingCost = 0,
+        promotions = [],
+        promotionContext = {},
+        couponCode = null
+    } = {}) {
+        const variantMap = new Map(variants.map(v => [v.variant_id, v]));
+        const { lines, subtotal } = this.priceLines(items, variants);
+        const shipping = this.roundAmount(shippingCost);
+
+        const discounts = promotionUtils.apply(
+            lines.map(line => {
+                const shoe = variantMap.get(line.variant_id)?.shoes;
+                return { ...line, shoe_id: shoe?.shoe_id, category_id: shoe?.categories?.category_id ?? shoe?.category_id };
+            }),
+            { promotions, couponCode, context: promotionContext, shippingCost: shipping }
+        );
+        const netShipping = this.roundAmount(shipping - discounts.shipping_discount);
+
+        // Orders store a unit price, so a line is charged unit price x quantity
+        // and any rounding difference stays with the discount
+        const discounted = discounts.lines.map(line => {
+            const lineTotal = this.roundAmount(line.discounted_unit_price * line.quantity);
+            return { ...line, discounted_line_total: lineTotal, discount_amount: this.roundAmount(line.line_total - lineTotal) };
+        });
+        const discountAmount = this.roundAmount(discounted.reduce((sum, line) => sum + line.discount_amount, 0));
+
+        const tax = taxUtils.calculate(
+            discounted.map(line => ({
+                variant_id: line.variant_id,
+                line_total: line.discounted_line_total,
+                category_name: variantMap.get(line.variant_id)?.shoes?.categories?.category_name
+            })),
+            { address, shippingCost: netShipping }
+        );
+        const taxAmount = this.roundAmount(tax.tax_amount);
+
+        return {
+            lines: discounted.map((line, index) => ({
+                variant_id: line.variant_id,
+                quantity: line.quantity,
+                list_price_per_unit: line.price_per_unit,
+                price_per_unit: line.discounted_unit_price,
+                discount_amount: line.discount_amount,
+                line_total: line.discounted_line_total,
+                tax_rate: tax.lines[index].tax_rate,
+                tax_amount: tax.lines[index].tax_amount
+            })),
+            subtotal,
+            discount_amount: discountAmount,
+            shipping_cost: shipping,
+            shipping_discount: discounts.shipping_discount,
+            tax_amount: taxAmount,
+            total_amount: this.roundAmount(
+                subtotal - discountAmount + netShipping + (tax.prices_include_tax ? 0 : taxAmount)
+            ),
+            prices_include_tax: tax.prices_include_tax,
+            tax_jurisdiction: tax.jurisdiction,
+            tax_rule: tax.rule_name,
+            tax_lines: tax.lines,
+            promotions: discounts.promotions,
+            coupon: discounts.coupon
+        };
+    }
+}
+
+export default new PricingUtils();
@@ -0,0 +1,214 @@
+// 🏷️ Promotion Utilities
+// Evaluates automatic promotions and coupons against priced lines
+// and allocates every discount to the lines it came from
+
+import constants from '../../config/constants.js';
+
+const { PROMOTION_ACTIONS, PROMOTION_REJECTIONS } = constants;
+
+class PromotionUtils {
+    // Coupon codes are stored upper case
+    normalizeCode(code) {
+        return (code || '').toString().trim().toUpperCase();
+    }
+
+    // Segment of a customer from their non-cancelled orders ({ order_count, lifetime_spend })
+    segmentFor(stats = {}) {
+        if ((stats.lifetime_spend || 0) >= constants.PROMOTION_CONFIG.VIP_MIN_SPEND) {
+            return constants.CUSTOMER_SEGMENTS.VIP;
+        }
+        return (stats.order_count || 0) > 0
+            ? constants.CUSTOMER_SEGMENTS.RETURNING
+            : constants.CUSTOMER_SEGMENTS.NEW;
+    }
+
+    // Lines a promotion targets: every non-empty filter must match
+    eligibleLines(promotion, lines) {
+        const categories = promotion.category_ids || [];
+        const shoes = promotion.shoe_ids || [];
+        const variants = promotion.variant_ids || [];
+
+        return lines.filter(line =>
+            (categories.length === 0 || categories.includes(line.category_id)) &&
+            (shoes.length === 0 || shoes.includes(line.shoe_id)) &&
+            (variants.length === 0 || variants.includes(line.variant_id))
+        );
+    }
+
+    /**
+     * Why a promotion does not apply, or null when it does.
+     * @param {Object} promotion - promotions row
+     * @param {Array} lines - Priced lines [{ variant_id, shoe_id, category_id, quantity, line_total }]
+     * @param {Object} context - { now, isFirstOrder, segment, usage: Map(promotion_id -> { total, customer }) }
+     */
+    rejectionReason(promotion, lines, context = {}) {
+        const now = context.now || new Date();
+        const usage = context.usage?.get(promotion.promotion_id) || { total: 0, customer: 0 };
+        const subtotal = lines.reduce((sum, line) => sum + line.line_total, 0);
+
+        if (!promotion.is_active) return PROMOTION_REJECTIONS.INACTIVE;
+        if (promotion.starts_at && new Date(promotion.starts_at) > now) return PROMOTION_REJECTIONS.NOT_STARTED;
+        if (promotion.ends_at && new Date(promotion.ends_at) <= now) return PROMOTION_REJECTIONS.EXPIRED;
+        if (promotion.usage_limit && usage.total >= promotion.usage_limit) return PROMOTION_REJECTIONS.USAGE_LIMIT;
+        if (promotion.usage_limit_per_customer && usage.customer >= promotion.usage_limit_per_customer) {
+            return PROMOTION_REJECTIONS.CUSTOMER_USAGE_LIMIT;
+        }
+        if (promotion.first_order_only && context.isFirstOrder === false) return PROMOTION_REJECTIONS.FIRST_ORDER_ONLY;
+        if ((promotion.customer_segments || []).length > 0 && !promotion.customer_segments.includes(context.segment)) {
+            return PROMOTION_REJECTIONS.CUSTOMER_SEGMENT;
+        }
+        if (subtotal < Number(promotion.min_subtotal || 0)) return PROMOTION_REJECTIONS.MIN_SUBTOTAL;
+        if (promotion.action_type !== PROMOTION_ACTIONS.FREE_SHIPPING && this.eligibleLines(promotion, lines).length === 0) {
+            return PROMOTION_REJECTIONS.NO_ELIGIBLE_ITEMS;
+        }
+
+        return null;
+    }
+
+    /**
+     * Apply automatic promotions (highest priority first) and then the coupon.
+     * Each promotion discounts what earlier ones left of a line, so lines never go below zero.
+     * @param {Array} lines - Priced lines [{ variant_id, shoe_id, category_id, quantity, price_per_unit, line_total }]
+     * @param {Object} options - { promotions, couponCode, context, shippingCost }
+     * @returns {Object} { lines, discount_amount, shipping_discount, promotions, coupon }
+     */
+    apply(lines, { promotions = [], couponCode = null, context = {}, shippingCost = 0 } = {}) {
+        const code = couponCode ? this.normalizeCode(couponCode) : null;
+        const working = lines.map(line => ({ ...line, discount_amount: 0 }));
+        let shippingLeft = Number(shippingCost) || 0;
+
+        const automatic = promotions
+            .filter(promotion => !promotion.code)
+            .sort((a, b) => (b.priority || 0) - (a.priority || 0) || a.promotion_id - b.promotion_id);
+        const coupon = code ? promotions.find(promotion => promotion.code === code) : null;
+
+        const applied = [];
+        let couponResult = code ? { code, applied: false, reason: coupon ? null : PROMOTION_REJECTIONS.NOT_FOUND } : null;
+
+        for (const promotion of coupon ? [...automatic, coupon] : automatic) {
+            const reason = this.rejectionReason(promotion, lines, context);
+            if (reason) {
+                if (promotion === coupon) couponResult.reason = reason;
+                continue;
+            }
+
+            const allocations = this.allocate(promotion, working);
+            const shippingDiscount = promotion.action_type === PROMOTION_ACTIONS.FREE_SHIPPING ? shippingLeft : 0;
+            const discount = this.round(allocations.reduce((sum, allocation) => sum + allocation.amount, 0));
+
+            if (discount === 0 && promotion.action_type !== PROMOTION_ACTIONS.FREE_SHIPPING) {
+                if (promotion === coupon) couponResult.reason = PROMOTION_REJECTIONS.NO_ELIGIBLE_ITEMS;
+                continue;
+            }
+
+            for (const allocation of allocations) {
+                const line = working.find(item => item.variant_id === allocation.variant_id);
+                line.discount_amount = this.round(line.discount_amount + allocation.amount);
+            }
+            shippingLeft -= shippingDiscount;
+
+            applied.push({
+                promotion_id: promotion.promotion_id,
+                code: promotion.code || null,
+                name: promotion.name,
+                action_type: promotion.action_type,
+                discount_amount: discount,
+                shipping_discount: shippingDiscount,
+                allocations
+            });
+
+            if (promotion === coupon) couponResult = { code, applied: true, reason: null };
+        }
+
+        const resultLines = working.map(line => ({
+            ...line,
+            discounted_line_total: this.round(line.line_total - line.discount_amount),
+            discounted_unit_price: this.round((line.line_total - line.discount_amount) / line.quantity)
+        }));
+
+        return {
+            lines: resultLines,
+            discount_amount: this.round(resultLines.reduce((sum, line) => sum + line.discount_amount, 0)),
+            shipping_discount: this.round((Number(shippingCost) || 0) - shippingLeft),
+            promotions: applied,
+            coupon: couponResult
+        };
+    }
+
+    /**
+     * Discount per line of one promotion, from what is left of each line
+     * @returns {Array} [{ variant_id, amount }]
+     */
+    allocate(promotion, lines) {
+        const eligible = this.eligibleLines(promotion, lines);
+        const left = line => line.line_total - line.discount_amount;
+
+        switch (promotion.action_type) {
+            case PROMOTION_ACTIONS.PERCENT_OFF: {
+                const percent = Math.min(Number(promotion.action_value), 100) / 100;
+                return eligible
+                    .map(line => ({ variant_id: line.variant_id, amount: this.round(left(line) * percent) }))
+                    .filter(allocation => allocation.amount > 0);
+            }
+
+            case PROMOTION_ACTIONS.FIXED_OFF: {
+                const base = eligible.reduce((sum, line) => sum + left(line), 0);
+                const total = Math.min(Number(promotion.action_value), base);
+                return this.spread(total, eligible.map(line => ({ variant_id: line.variant_id, weight: left(line) })));
+            }
+
+            case PROMOTION_ACTIONS.BUY_X_GET_Y:
+                return this.buyXGetY(promotion, eligible, left);
+
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Every buy_quantity + get_quantity eligible units (most expensive first),
+     * the get_quantity cheapest of the group get action_value percent off (100 = free).
+     */
+    buyXGetY(promotion, eligible, left) {
+        const groupSize = promotion.buy_quantity + promotion.get_quantity;
+        const percent = Math.min(Number(promotion.action_value), 100) / 100;
+
+        const units = eligible
+            .flatMap(line => Array.from({ length: line.quantity }, () => ({
+                variant_id: line.variant_id,
+                price: left(line) / line.quantity
+            })))
+            .sort((a, b) => b.price - a.price);
+
+        const discounts = new Map();
+        for (let start = 0; start + groupSize <= units.length; start += groupSize) {
+            for (const unit of units.slice(start + promotion.buy_quantity, start + groupSize)) {
+                discounts.set(unit.variant_id, (discounts.get(unit.variant_id) || 0) + unit.price * percent);
+            }
+        }
+
+        return Array.from(discounts, ([variant_id, amount]) => ({ variant_id, amount: this.round(amount) }))
+            .filter(allocation => allocation.amount > 0);
+    }
+
+    // Split an amount by weight; rounding leftovers go to the last share
+    spread(total, shares) {
+        const weightSum = shares.reduce((sum, share) => sum + share.weight, 0);
+        if (total <= 0 || weightSum <= 0) return [];
+
+        let given = 0;
+        return shares.map((share, index) => {
+            const amount = index === shares.length - 1
+                ? this.round(total - given)
+                : this.round(total * share.weight / weightSum);
+            given += amount;
+            return { variant_id: share.variant_id, amount };
+        }).filter(allocation => allocation.amount > 0);
+    }
+
+    round(amount) {
+        return Math.round((Number(amount) || 0) * 100) / 100;
+    }
+}
+
+export default new PromotionUtils();
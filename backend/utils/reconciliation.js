@@ -0,0 +1,167 @@
+// 🧾 Bank Statement Reconciliation Utilities
+// Reads bank statement CSV exports into credit lines and decides which pending
+// payment each transfer settles (see PaymentController.importStatement)
+
+import crypto from 'crypto';
+import constants from '../../config/constants.js';
+import csv from './csv.js';
+import pricing from './pricing.js';
+import { ValidationError } from './ErrorClasses.js';
+
+const { BANK_STATEMENT_LINE_STATUS, RECONCILIATION_REVIEW_REASONS } = constants;
+
+class ReconciliationUtils {
+    constructor() {
+        this.config = constants.RECONCILIATION_CONFIG;
+    }
+
+    // 'Ngày giao dịch' -> 'ngay_giao_dich'
+    normalizeHeader(header) {
+        return (header || '')
+            .toString()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/đ/gi, 'd')
+            .toLowerCase()
+            .trim()
+            .replace(/[^a-z0-9]+/g, '_')
+            .replace(/^_+|_+$/g, '');
+    }
+
+    /**
+     * Parse a statement into the money that came in.
+     * Uses the credit column when the bank splits debit and credit, else the signed amount column;
+     * debits and zero lines are skipped.
+     * @returns {{ lines: Array<Object>, skipped: number }} lines are
+     *   { line_number, transaction_date, amount, description, bank_reference }
+     * @throws {ValidationError} Missing columns, too many lines or unreadable amounts
+     */
+    parseStatement(text) {
+        const { headers, records } = csv.parse(text, { normalizeHeader: header => this.normalizeHeader(header) });
+        const columns = this.mapColumns(headers);
+
+        if (!(columns.credit || columns.amount) || !columns.description) {
+            throw new ValidationError(constants.ERROR_MESSAGES.RECONCILIATION.MISSING_COLUMNS, [
+                { field: 'content', message: `Columns found: ${headers.join(', ') || 'none'}` }
+            ]);
+        }
+        if (records.length > this.config.MAX_LINES) {
+            throw new ValidationError(constants.ERROR_MESSAGES.RECONCILIATION.TOO_MANY_LINES, [
+                { field: 'content', message: `At most ${this.config.MAX_LINES} lines per statement` }
+            ]);
+        }
+
+        const lines = [];
+        const errors = [];
+        let skipped = 0;
+
+        for (const { line, values } of records) {
+            const rawAmount = values[columns.credit || columns.amount];
+            const amount = rawAmount ? this.parseAmount(rawAmount) : 0;
+
+            if (Number.isNaN(amount)) {
+                errors.push({ field: `line ${line}`, message: `Unreadable amount "${rawAmount}"` });
+                continue;
+            }
+            if (amount <= 0) {
+                skipped++;
+                continue;
+            }
+
+            lines.push({
+                line_number: line,
+                transaction_date: columns.transaction_date ? this.parseDate(values[columns.transaction_date]) : null,
+                amount,
+                description: values[columns.description] || '',
+                bank_reference: columns.bank_reference ? values[columns.bank_reference] || null : null
+            });
+        }
+
+        if (errors.length > 0) {
+            throw new ValidationError('Bank statement has unreadable lines', errors.slice(0, 20));
+        }
+
+        return { lines, skipped };
+    }
+
+    // First header matching each field's aliases (RECONCILIATION_CONFIG.COLUMNS)
+    mapColumns(headers) {
+        return Object.fromEntries(
+            Object.entries(this.config.COLUMNS).map(([field, aliases]) => [
+                field,
+                aliases.find(alias => headers.includes(alias)) || null
+            ])
+        );
+    }
+
+    /**
+     * '1.500.000', '1,500,000.00', '+1 500 000 VND', '(250,000)' -> numbers.
+     * A separator followed by one or two final digits is the decimal point; any other is grouping.
+     * @returns {number} NaN when there is no number
+     */
+    parseAmount(value) {
+        const text = String(value).trim();
+        const negative = /^-|^\(.*\)$/.test(text);
+        let digits = text.replace(/[^0-9.,]/g, '');
+        if (!/\d/.test(digits)) return NaN;
+
+        const decimal = digits.match(/[.,](\d{1,2})$/);
+        digits = decimal
+            ? `${digits.slice(0, decimal.index).replace(/[.,]/g, '')}.${decimal[1]}`
+            : digits.replace(/[.,]/g, '');
+
+        const amount = pricing.roundAmount(Number(digits));
+        return negative ? -amount : amount;
+    }
+
+    // 'dd/mm/yyyy[ hh:mm[:ss]]' (Vietnamese banks) or 'yyyy-mm-dd...' -> 'YYYY-MM-DD', else null
+    parseDate(value) {
+        const text = String(value || '').trim();
+        let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+        const [year, month, day] = match
+            ? [match[1], match[2], match[3]]
+            : (match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})/)) ? [match[3], match[2], match[1]] : [];
+
+        if (!year) return null;
+
+        const iso = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+        const date = new Date(`${iso}T00:00:00Z`);
+        return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(iso) ? iso : null;
+    }
+
+    /**
+     * Identity of a transfer, so uploading overlapping statements imports each line once:
+     * the bank's own reference when the export has one, else date, amount and memo.
+     */
+    fingerprint(line) {
+        const key = line.bank_reference
+            ? `ref|${line.bank_reference.trim().toUpperCase()}`
+            : `line|${line.transaction_date || ''}|${line.amount}|${line.description.replace(/\s+/g, ' ').trim().toUpperCase()}`;
+
+        return crypto.createHash('sha256').update(key).digest('hex');
+    }
+
+    /**
+     * Whether a transfer settles a payment outright or needs someone to look at it.
+     * @param {Object} line - Parsed statement line
+     * @param {Object|null} payment - Payment its memo refers to
+     * @param {boolean} claimed - Another line of the same statement already settles this payment
+     * @returns {{ status: string, review_reason: string|null }}
+     */
+    classify(line, payment, claimed = false) {
+        const review = reason => ({ status: BANK_STATEMENT_LINE_STATUS.NEEDS_REVIEW, review_reason: reason });
+
+        if (!payment) return review(RECONCILIATION_REVIEW_REASONS.UNMATCHED);
+        if (claimed || payment.status !== constants.PAYMENT_STATUS.PENDING) {
+            return review(RECONCILIATION_REVIEW_REASONS.PAYMENT_NOT_PENDING);
+        }
+
+        const expected = pricing.roundAmount(Number(payment.payment_amount));
+        if (line.amount < expected) return review(RECONCILIATION_REVIEW_REASONS.PARTIAL_AMOUNT);
+        if (line.amount > expected) return review(RECONCILIATION_REVIEW_REASONS.OVERPAID);
+
+        return { status: BANK_STATEMENT_LINE_STATUS.MATCHED, review_reason: null };
+    }
+}
+
+export default new ReconciliationUtils();
@@ -0,0 +1,92 @@
+// 📈 Replenishment Utilities
+// Reorder suggestions from sales velocity, supplier lead time and a target cover
+// Figures per variant come from replenishment_data() in schema.sql
+
+import constants from '../../config/constants.js';
+import pricing from './pricing.js';
+
+class ReplenishmentUtils {
+    constructor() {
+        this.config = constants.REPLENISHMENT_CONFIG;
+    }
+
+    // Units sold per day over a window; variants listed for less time are averaged over their days listed
+    velocity(row, windowDays) {
+        const sold = Number(row.units_sold?.[windowDays] || 0);
+        return sold / Math.max(1, Math.min(windowDays, row.days_listed || windowDays));
+    }
+
+    /**
+     * Suggestion for one variant. The variant needs reordering once stock on hand plus incoming
+     * units fall to the reorder point (the sales expected over the lead time); the suggested
+     * quantity then brings them up to the lead time plus targetCoverDays of sales.
+     * Variants that did not sell in the window are never suggested.
+     * @param {Object} row - Row of replenishment_data()
+     * @param {Object} options - { windowDays, targetCoverDays }
+     */
+    suggest(row, { windowDays = this.config.VELOCITY_WINDOW, targetCoverDays = this.config.TARGET_COVER_DAYS } = {}) {
+        const velocity = this.velocity(row, windowDays);
+        const leadTimeDays = row.lead_time_days ?? this.config.DEFAULT_LEAD_TIME_DAYS;
+        const position = row.on_hand + row.incoming;
+        const reorderPoint = Math.ceil(velocity * leadTimeDays);
+        const targetStock = Math.ceil(velocity * (leadTimeDays + targetCoverDays));
+        const needsReorder = velocity > 0 && position <= reorderPoint;
+        const suggestedQuantity = needsReorder ? Math.max(0, targetStock - position) : 0;
+        const unitCost = row.last_cost ?? row.average_cost ?? null;
+
+        return {
+            variant_id: row.variant_id,
+            sku: row.sku,
+            shoe_id: row.shoe_id,
+            shoe_name: row.shoe_name,
+            category_id: row.category_id,
+            color_name: row.color_name,
+            size: row.size_label?.trim() || null,
+            on_hand: row.on_hand,
+            incoming: row.incoming,
+            next_expected_date: row.next_expected_date,
+            units_sold: Object.fromEntries(
+                this.windows(windowDays).map(days => [days, Number(row.units_sold?.[days] || 0)])
+            ),
+            daily_velocity: Math.round(velocity * 100) / 100,
+            days_of_cover: velocity > 0 ? Math.round((row.on_hand / velocity) * 10) / 10 : null,
+            supplier_id: row.supplier_id,
+            supplier_name: row.supplier_name,
+            lead_time_days: leadTimeDays,
+            reorder_point: reorderPoint,
+            target_stock: targetStock,
+            needs_reorder: needsReorder,
+            suggested_quantity: suggestedQuantity,
+            unit_cost: unitCost === null ? null : Number(unitCost),
+            suggested_value: unitCost === null ? null : pricing.roundAmount(suggestedQuantity * Number(unitCost))
+        };
+    }
+
+    // Suggestions for every row, the ones running out soonest first
+    suggestAll(rows, options = {}) {
+        const cover = suggestion => suggestion.days_of_cover ?? Infinity;
+
+        return rows
+            .map(row => this.suggest(row, options))
+            .sort((a, b) => cover(a) - cover(b) || b.daily_velocity - a.daily_velocity || a.variant_id - b.variant_id);
+    }
+
+    // The configured windows plus windowDays, shortest first
+    windows(windowDays = this.config.VELOCITY_WINDOW) {
+        return [...new Set([...this.config.WINDOWS, windowDays])].sort((a, b) => a - b);
+    }
+
+    summarize(suggestions) {
+        const toOrder = suggestions.filter(suggestion => suggestion.suggested_quantity > 0);
+
+        return {
+            variants: suggestions.length,
+            needs_reorder: toOrder.length,
+            without_supplier: toOrder.filter(suggestion => !suggestion.supplier_id).length,
+            units: toOrder.reduce((sum, suggestion) => sum + suggestion.suggested_quantity, 0),
+            value: pricing.roundAmount(toOrder.reduce((sum, suggestion) => sum + (suggestion.suggested_value || 0), 0))
+        };
+    }
+}
+
+export default new ReplenishmentUtils();
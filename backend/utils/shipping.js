@@ -0,0 +1,77 @@
+// 🚚 Shipping Utilities
+// Shipping rates by method, destination province, subtotal and item count
+// Methods come from constants.SHIPPING_METHODS
+
+import constants from '../../config/constants.js';
+
+// Administrative prefixes people type in front of a province name
+const PROVINCE_PREFIX = /^(thanh pho|tp\.?|tinh|city of|province of)\s+/;
+
+class ShippingUtils {
+    constructor() {
+        this.methods = constants.SHIPPING_METHODS;
+    }
+
+    // 'TP. Hồ Chí Minh' -> 'ho chi minh'
+    normalizeProvince(province) {
+        return (province || '')
+            .toString()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/đ/gi, 'd')
+            .toLowerCase()
+            .trim()
+            .replace(PROVINCE_PREFIX, '')
+            .replace(/\s+/g, ' ');
+    }
+
+    hasMethod(code) {
+        return Object.prototype.hasOwnProperty.call(this.methods, code);
+    }
+
+    /**
+     * Rate of one method, or null when it is not offered for the destination.
+     * @param {string} code - Method code, e.g. 'standard'
+     * @param {Object} options - { province, subtotal, itemCount }
+     */
+    quote(code, { province = null, subtotal = 0, itemCount = 1 } = {}) {
+        const method = this.methods[code];
+        if (!method) return null;
+
+        const destination = this.normalizeProvince(province);
+
+        if (method.availableProvinces && !method.availableProvinces.includes(destination)) {
+            return null;
+        }
+
+        const zone = (method.zones || []).find(rule => rule.provinces.includes(destination));
+        const rule = { ...method, ...zone };
+
+        const freeShipping = rule.freeShippingThreshold !== null &&
+            rule.freeShippingThreshold !== undefined &&
+            Number(subtotal) >= rule.freeShippingThreshold;
+
+        const cost = freeShipping
+            ? 0
+            : rule.baseRate + rule.perItemRate * Math.max(0, itemCount - 1);
+
+        return {
+            method: code,
+            name: method.name,
+            cost,
+            free_shipping: freeShipping,
+            free_shipping_threshold: rule.freeShippingThreshold ?? null,
+            estimated_days: rule.estimatedDays
+        };
+    }
+
+    // Rates of every method offered for the destination, cheapest first
+    quoteAll(options = {}) {
+        return Object.keys(this.methods)
+            .map(code => this.quote(code, options))
+            .filter(Boolean)
+            .sort((a, b) => a.cost - b.cost);
+    }
+}
+
+export default new ShippingUtils();
@@ -1,21 +1,91 @@
 // 📊 Stock Calculation Utilities
 // Handles stock management and calculations
+// Available-to-sell = stock_quantity - active cart holds (stock_reservations)
+
+import constants from '../../config/constants.js';
+
+// Guest cart tokens are client generated UUIDs (or similar opaque ids)
+const CART_TOKEN_PATTERN = /^[A-Za-z0-9-]{16,64}$/;
 
 class StockUtils {
     constructor() {
-        // Initialize stock utilities
+        // Embedded relation that loads the holds of a variant
+        this.HOLDS_SELECT = 'stock_reservations (quantity, holder_key, expires_at, status)';
+        this.sweepTimer = null;
+    }
+
+    // Holder key of a cart: the signed-in user, otherwise the guest cart token
+    resolveHolderKey(user, cartToken) {
+        if (user?.id) return `user:${user.id}`;
+        if (cartToken && CART_TOKEN_PATTERN.test(cartToken)) return `guest:${cartToken}`;
+        return null;
     }
 
-    // Calculate available stock
-    calculateAvailableStock(variantId) {
-        // TODO: Implement available stock calculation
-        return 0;
+    // Restrict the embedded holds of a query to active ones
+    // path is the relation prefix, e.g. 'shoe_variants.' when variants are embedded too
+    withActiveHolds(query, path = '') {
+        return query.eq(`${path}stock_reservations.status`, 'active');
+    }
+
+    // Units held by active, unexpired holds (optionally ignoring one cart's own holds)
+    reservedQuantity(variant, excludeHolderKey = null) {
+        const now = Date.now();
+
+        return (variant?.stock_reservations || [])
+            .filter(hold =>
+                hold.status === 'active' &&
+                new Date(hold.expires_at).getTime() > now &&
+                hold.holder_key !== excludeHolderKey
+            )
+            .reduce((sum, hold) => sum + hold.quantity, 0);
+    }
+
+    // Calculate available stock of a loaded variant
+    calculateAvailableStock(variant, excludeHolderKey = null) {
+        if (!variant || variant.is_active === false) return 0;
+        return Math.max(0, (variant.stock_quantity || 0) - this.reservedQuantity(variant, excludeHolderKey));
     }
 
     // Check stock availability
-    checkStockAvailability(variantId, requestedQuantity) {
-        // TODO: Implement stock availability check
-        return false;
+    checkStockAvailability(variant, requestedQuantity, excludeHolderKey = null) {
+        return this.calculateAvailableStock(variant, excludeHolderKey) >= requestedQuantity;
+    }
+
+    // Replace the raw holds of a loaded variant with reserved/available quantities
+    withAvailability(variant) {
+        const { stock_reservations, ...rest } = variant;
+
+        return {
+            ...rest,
+            reserved_quantity: this.reservedQuantity(variant),
+            available_quantity: this.calculateAvailableStock(variant)
+        };
+    }
+
+    // Periodically expire stale holds; returns immediately if already running
+    startReservationSweeper(StockReservation, intervalMs = constants.STOCK_RESERVATION.SWEEP_INTERVAL_MS) {
+        if (this.sweepTimer || !StockReservation) return;
+
+        this.sweepTimer = setInterval(async () => {
+            try {
+                const released = await StockReservation.releaseExpired();
+                if (released > 0) {
+                    console.log(`🧹 Released ${released} expired stock reservation(s)`);
+                }
+            } catch (error) {
+                console.error('❌ Reservation sweep failed:', error.message);
+            }
+        }, intervalMs);
+
+        // Do not keep the process alive just for the sweeper
+        this.sweepTimer.unref?.();
+    }
+
+    stopReservationSweeper() {
+        if (this.sweepTimer) {
+            clearInterval(this.sweepTimer);
+            this.sweepTimer = null;
+        }
     }
 
     // Update stock after order
@@ -24,10 +94,15 @@ class StockUtils {
         return false;
     }
 
-    // Restore stock after cancellation
-    restoreStockAfterCancellation(variantId, quantity) {
-        // TODO: Implement stock restoration after cancellation
-        return false;
+    // Units put back per variant when an order is cancelled (applied by cancel_order)
+    restoreStockAfterCancellation(orderItems = []) {
+        const restocked = new Map();
+
+        for (const item of orderItems) {
+            restocked.set(item.variant_id, (restocked.get(item.variant_id) || 0) + item.quantity);
+        }
+
+        return Array.from(restocked, ([variant_id, quantity]) => ({ variant_id, quantity }));
     }
 }
 
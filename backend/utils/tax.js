@@ -0,0 +1,139 @@
+// 🧾 Tax Utilities
+// Tax calculation for quotes, orders and invoices
+// Rule sets come from constants.TAX_RULE_SETS; more jurisdictions can be registered at startup.
+
+import constants from '../../config/constants.js';
+
+class TaxUtils {
+    constructor() {
+        this.ruleSets = new Map(Object.entries(constants.TAX_RULE_SETS));
+    }
+
+    /**
+     * Add or replace the rule set of a jurisdiction.
+     * @param {string} code - Jurisdiction code, e.g. 'VN' or 'US-CA'
+     * @param {Object} ruleSet - { name, countries, states?, pricesIncludeTax, defaultRate, categoryRates, shippingRate?, roundingUnit }
+     */
+    registerRuleSet(code, ruleSet) {
+        this.ruleSets.set(code, ruleSet);
+    }
+
+    // Rule set of an address: a state-specific match wins over a country-wide one
+    resolveRuleSet(address = null) {
+        const country = this.normalize(address?.country);
+        const state = this.normalize(address?.state);
+
+        let match = null;
+        if (country) {
+            for (const [code, ruleSet] of this.ruleSets) {
+                if (!(ruleSet.countries || []).includes(country)) continue;
+
+                if (ruleSet.states) {
+                    if (ruleSet.states.includes(state)) {
+                        match = { code, ...ruleSet };
+                        break;
+                    }
+                } else if (!match) {
+                    match = { code, ...ruleSet };
+                }
+            }
+        }
+
+        if (match) return match;
+
+        const code = constants.TAX_CONFIG.DEFAULT_JURISDICTION;
+        return { code, ...this.ruleSets.get(code) };
+    }
+
+    // Rate of a product category under a rule set
+    rateFor(ruleSet, categoryName = null) {
+        const rates = ruleSet.categoryRates || {};
+        const key = Object.keys(rates).find(name => this.normalize(name) === this.normalize(categoryName));
+        return key !== undefined ? rates[key] : ruleSet.defaultRate;
+    }
+
+    // Round a tax amount to the rule set's unit (whole VND by default)
+    roundTax(amount, roundingUnit = 1) {
+        return Math.round((Number(amount) || 0) / roundingUnit) * roundingUnit;
+    }
+
+    /**
+     * Tax of one amount. Inclusive amounts have the tax taken out,
+     * exclusive amounts have it added on top.
+     * @returns {{ taxable_amount, tax_amount, gross_amount }}
+     */
+    taxAmount(amount, rate, ruleSet) {
+        const value = Number(amount) || 0;
+
+        if (ruleSet.pricesIncludeTax) {
+            const tax = this.roundTax(value * rate / (1 + rate), ruleSet.roundingUnit);
+            return { taxable_amount: value - tax, tax_amount: tax, gross_amount: value };
+        }
+
+        const tax = this.roundTax(value * rate, ruleSet.roundingUnit);
+        return { taxable_amount: value, tax_amount: tax, gross_amount: value + tax };
+    }
+
+    /**
+     * Tax breakdown of priced order lines and shipping.
+     * @param {Array} lines - [{ variant_id, line_total, category_name }]
+     * @param {Object} options - { address, shippingCost }
+     * @returns {Object} { jurisdiction, rule_name, prices_include_tax, lines, tax_amount }
+     */
+    calculate(lines, { address = null, shippingCost = 0 } = {}) {
+        const ruleSet = this.resolveRuleSet(address);
+
+        const taxLines = lines.map(line => {
+            const rate = this.rateFor(ruleSet, line.category_name);
+
+            return {
+                line_type: 'item',
+                variant_id: line.variant_id,
+                category_name: line.category_name || null,
+                tax_rate: rate,
+                ...this.taxAmount(line.line_total, rate, ruleSet)
+            };
+        });
+
+        if (Number(shippingCost) > 0) {
+            const rate = ruleSet.shippingRate ?? ruleSet.defaultRate;
+
+            taxLines.push({
+                line_type: 'shipping',
+                variant_id: null,
+                category_name: null,
+                tax_rate: rate,
+                ...this.taxAmount(shippingCost, rate, ruleSet)
+            });
+        }
+
+        return {
+            jurisdiction: ruleSet.code,
+            rule_name: ruleSet.name,
+            prices_include_tax: ruleSet.pricesIncludeTax,
+            lines: taxLines,
+            tax_amount: taxLines.reduce((sum, line) => sum + line.tax_amount, 0)
+        };
+    }
+
+    // Totals per rate, as printed on an invoice
+    summarize(taxLines = []) {
+        const byRate = new Map();
+
+        for (const line of taxLines) {
+            const rate = Number(line.tax_rate);
+            const total = byRate.get(rate) || { tax_rate: rate, taxable_amount: 0, tax_amount: 0 };
+            total.taxable_amount += Number(line.taxable_amount);
+            total.tax_amount += Number(line.tax_amount);
+            byRate.set(rate, total);
+        }
+
+        return Array.from(byRate.values()).sort((a, b) => b.tax_rate - a.tax_rate);
+    }
+
+    normalize(value) {
+        return (value || '').toString().trim().toLowerCase();
+    }
+}
+
+export default new TaxUtils();
@@ -0,0 +1,193 @@
+// 📊 XLSX Utilities
+// Reads the first worksheet of an .xlsx workbook into rows of text, like csv.parseRows().
+// An .xlsx file is a zip of XML parts; only what cell values need is read (shared strings,
+// the workbook's sheet order and one worksheet), so no spreadsheet library is required.
+
+import zlib from 'zlib';
+import { ValidationError } from './ErrorClasses.js';
+
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP_CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const ZIP_LOCAL_FILE_HEADER = 0x04034b50;
+// Inflated size allowed per part, so a small upload cannot expand without bound
+const MAX_PART_SIZE = 64 * 1024 * 1024;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+class XlsxUtils {
+    constructor() {
+        // Initialize XLSX utilities
+    }
+
+    /**
+     * Rows of the workbook's first worksheet, each cell as text; blank rows are dropped.
+     * Numbers come back as written ('129.99', '12'), booleans as 'TRUE' / 'FALSE'.
+     * @param {Buffer} buffer - The .xlsx file
+     * @returns {Array<Array<string>>}
+     * @throws {ValidationError} Not a readable workbook
+     */
+    parseRows(buffer) {
+        const parts = this.unzip(buffer);
+        const sheet = parts.get(this.firstSheetPath(parts));
+
+        if (!sheet) {
+            throw new ValidationError('Workbook has no worksheet', [{ field: 'content', message: 'No worksheet found' }]);
+        }
+
+        const sharedStrings = this.readSharedStrings(parts.get('xl/sharedStrings.xml'));
+        return this.readSheet(sheet, sharedStrings)
+            .filter(fields => fields.some(value => value.trim() !== ''));
+    }
+
+    /**
+     * Text of the XML parts of a zip archive
+     * @returns {Map<string, string>} path -> content
+     */
+    unzip(buffer) {
+        const fail = message => new ValidationError('Not a readable XLSX file', [{ field: 'content', message }]);
+
+        // The end of central directory record is in the last 64 KB (its comment is at most that long)
+        let end = -1;
+        for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 22 - 0xffff); offset--) {
+            if (buffer.readUInt32LE(offset) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+                end = offset;
+                break;
+            }
+        }
+        if (end < 0) throw fail('Not a zip archive');
+
+        const entryCount = buffer.readUInt16LE(end + 10);
+        let offset = buffer.readUInt32LE(end + 16);
+        const parts = new Map();
+
+        for (let i = 0; i < entryCount; i++) {
+            if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== ZIP_CENTRAL_DIRECTORY_ENTRY) {
+                throw fail('Corrupt zip directory');
+            }
+
+            const method = buffer.readUInt16LE(offset + 10);
+            const compressedSize = buffer.readUInt32LE(offset + 20);
+            const nameLength = buffer.readUInt16LE(offset + 28);
+            const extraLength = buffer.readUInt16LE(offset + 30);
+            const commentLength = buffer.readUInt16LE(offset + 32);
+            const localOffset = buffer.readUInt32LE(offset + 42);
+            const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+            offset += 46 + nameLength + extraLength + commentLength;
+
+            if (!/\.(xml|rels)$/.test(name)) continue;
+
+            if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== ZIP_LOCAL_FILE_HEADER) {
+                throw fail(`Corrupt zip entry ${name}`);
+            }
+            const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+            const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+            try {
+                if (method === 0) {
+                    parts.set(name, data.toString('utf8'));
+                } else if (method === 8) {
+                    parts.set(name, zlib.inflateRawSync(data, { maxOutputLength: MAX_PART_SIZE }).toString('utf8'));
+                } else {
+                    throw new Error(`unsupported compression method ${method}`);
+                }
+            } catch (error) {
+                throw fail(`Cannot extract ${name}: ${error.message}`);
+            }
+        }
+
+        return parts;
+    }
+
+    // Path of the first sheet in workbook order, else the first worksheet part
+    firstSheetPath(parts) {
+        const workbook = parts.get('xl/workbook.xml') || '';
+        const rels = parts.get('xl/_rels/workbook.xml.rels') || '';
+        const sheet = workbook.match(/<sheet\b[^>]*>/);
+        const relationId = sheet && this.attribute(sheet[0], 'r:id');
+
+        if (relationId) {
+            for (const [relationship] of rels.matchAll(/<Relationship\b[^>]*>/g)) {
+                if (this.attribute(relationship, 'Id') !== relationId) continue;
+
+                const target = this.attribute(relationship, 'Target');
+                return target.startsWith('/') ? target.slice(1) : `xl/${target.replace(/^\.\//, '')}`;
+            }
+        }
+
+        return [...parts.keys()].filter(name => /^xl\/worksheets\/[^/]+\.xml$/.test(name)).sort()[0];
+    }
+
+    // Shared string table: the text of each <si>, rich text runs joined
+    readSharedStrings(xml = '') {
+        return [...xml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(([, item]) => this.text(item));
+    }
+
+    // Rows of a worksheet in sheet order, each cell placed in its column (B3 -> index 1)
+    readSheet(xml, sharedStrings) {
+        const rows = [];
+
+        for (const [, , rowContent = ''] of xml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+            const fields = [];
+
+            for (const [, cellAttributes, cellContent = ''] of rowContent.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+                const reference = this.attribute(cellAttributes, 'r');
+                const column = reference ? this.columnIndex(reference) : fields.length;
+                fields[column] = this.cellText(cellAttributes, cellContent, sharedStrings);
+            }
+
+            rows.push(Array.from(fields, value => value ?? ''));
+        }
+
+        return rows;
+    }
+
+    cellText(attributes, content, sharedStrings) {
+        const type = this.attribute(attributes, 't') || 'n';
+        const valueMatch = content.match(/<v>([\s\S]*?)<\/v>/);
+        const value = valueMatch ? this.decode(valueMatch[1]) : '';
+
+        switch (type) {
+            case 's':
+                return sharedStrings[parseInt(value)] ?? '';
+            case 'inlineStr':
+                return this.text(content);
+            case 'b':
+                return value === '1' ? 'TRUE' : 'FALSE';
+            case 'n':
+                // Binary floating point noise: 129.99 is stored as 129.99000000000001
+                return value === '' || Number.isNaN(Number(value)) ? value : String(Number(Number(value).toPrecision(15)));
+            default:
+                return value;
+        }
+    }
+
+    // 'AB12' -> 27
+    columnIndex(reference) {
+        let index = 0;
+        for (const letter of reference.replace(/[^A-Z]/gi, '').toUpperCase()) {
+            index = index * 26 + (letter.charCodeAt(0) - 64);
+        }
+        return index - 1;
+    }
+
+    // Concatenated <t> elements of an element's content, leaving out phonetic hints
+    text(xml) {
+        return [...xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)].map(([, value]) => this.decode(value)).join('');
+    }
+
+    attribute(tag, name) {
+        const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+        return match ? this.decode(match[1]) : null;
+    }
+
+    decode(value) {
+        return value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+            if (code[0] === '#') {
+                return String.fromCodePoint(code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1)));
+            }
+            return XML_ENTITIES[code] ?? entity;
+        });
+    }
+}
+
+export default new XlsxUtils();
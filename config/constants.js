@@ -14,6 +14,7 @@ export const HTTP_STATUS = {
     CONFLICT: 409,
     UNPROCESSABLE_ENTITY: 422,
     INTERNAL_SERVER_ERROR: 500,
+    NOT_IMPLEMENTED: 501,
     SERVICE_UNAVAILABLE: 503
 };
 
@@ -22,6 +23,9 @@ export const USER_ROLES = {
     SELLER: 'seller'
 };
 
+// Roles allowed into the back office (every order, stock and payment)
+export const STAFF_ROLES = ['seller', 'admin'];
+
 export const ORDER_STATUS = {
     PENDING: 'pending',
     PROCESSING: 'processing',
@@ -30,10 +34,354 @@ export const ORDER_STATUS = {
     CANCELLED: 'cancelled'
 };
 
+// Allowed order status transitions (from -> to[])
+// Cancelling is only possible before the order ships
+export const ORDER_STATUS_TRANSITIONS = {
+    pending: ['processing', 'cancelled'],
+    processing: ['shipped', 'cancelled'],
+    shipped: ['delivered'],
+    delivered: [],
+    cancelled: []
+};
+
+export const RETURN_STATUS = {
+    REQUESTED: 'requested',
+    APPROVED: 'approved',
+    REJECTED: 'rejected',
+    RECEIVED: 'received',
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled'
+};
+
+// Allowed return status transitions (from -> to[])
+export const RETURN_STATUS_TRANSITIONS = {
+    requested: ['approved', 'rejected', 'cancelled'],
+    approved: ['received', 'cancelled'],
+    received: ['completed'],
+    rejected: [],
+    completed: [],
+    cancelled: []
+};
+
+export const RETURN_RESOLUTIONS = {
+    REFUND: 'refund',
+    EXCHANGE: 'exchange'
+};
+
+export const RETURN_REASONS = {
+    TOO_SMALL: 'too_small',
+    TOO_LARGE: 'too_large',
+    DEFECTIVE: 'defective',
+    NOT_AS_DESCRIBED: 'not_as_described',
+    WRONG_ITEM: 'wrong_item',
+    CHANGED_MIND: 'changed_mind'
+};
+
+export const RETURN_ITEM_CONDITIONS = {
+    RESELLABLE: 'resellable',
+    DAMAGED: 'damaged'
+};
+
+export const RETURN_POLICY = {
+    WINDOW_DAYS: 30,
+    MAX_PHOTOS: 5,
+    EXCHANGE_HOLD_DAYS: 14
+};
+
+// Cart holds: how long a hold lasts and how often expired holds are swept
+export const STOCK_RESERVATION = {
+    TTL_MINUTES: parseInt(process.env.RESERVATION_TTL_MINUTES) || 15,
+    // Most units of one variant a single cart may hold
+    MAX_QUANTITY: 10,
+    SWEEP_INTERVAL_MS: 60 * 1000
+};
+
+// Tax rule sets by jurisdiction code (see backend/utils/tax.js)
+// Addresses are matched on country (and state when a rule set lists states).
+// Amounts are VND; taxes are rounded per line to roundingUnit.
+export const TAX_RULE_SETS = {
+    VN: {
+        name: 'Vietnam VAT',
+        countries: ['vietnam', 'viet nam', 'vn'],
+        pricesIncludeTax: process.env.TAX_PRICES_INCLUDE_TAX !== 'false',
+        defaultRate: process.env.VAT_RATE !== undefined ? parseFloat(process.env.VAT_RATE) : 0.10,
+        // Rates that differ from defaultRate, by category_name
+        categoryRates: {},
+        roundingUnit: 1
+    }
+};
+
+export const TAX_CONFIG = {
+    // Used when an address matches no rule set, and for quotes without an address
+    DEFAULT_JURISDICTION: 'VN'
+};
+
+// Shipping methods (see backend/utils/shipping.js). Amounts are VND.
+// A method applies its zone rule when the destination province (addresses.state) is listed there;
+// subtotals at or above freeShippingThreshold ship free. perItemRate is charged per item after the first.
+export const SHIPPING_METHODS = {
+    standard: {
+        name: 'Standard delivery',
+        baseRate: 30000,
+        perItemRate: 5000,
+        freeShippingThreshold: 1000000,
+        estimatedDays: [3, 5],
+        zones: [
+            {
+                provinces: ['ho chi minh', 'ha noi'],
+                baseRate: 20000,
+                estimatedDays: [1, 3]
+            }
+        ]
+    },
+    express: {
+        name: 'Express delivery',
+        baseRate: 60000,
+        perItemRate: 10000,
+        freeShippingThreshold: null,
+        estimatedDays: [1, 2],
+        // Only offered to these provinces
+        availableProvinces: ['ho chi minh', 'ha noi', 'da nang', 'hai phong', 'can tho'],
+        zones: [
+            {
+                provinces: ['ho chi minh', 'ha noi'],
+                baseRate: 40000,
+                estimatedDays: [0, 1]
+            }
+        ]
+    },
+    pickup: {
+        name: 'In-store pickup',
+        baseRate: 0,
+        perItemRate: 0,
+        freeShippingThreshold: null,
+        estimatedDays: [0, 1],
+        zones: []
+    }
+};
+
+export const SHIPPING_CONFIG = {
+    DEFAULT_METHOD: 'standard'
+};
+
+// Promotions (see backend/utils/promotions.js)
+export const PROMOTION_ACTIONS = {
+    PERCENT_OFF: 'percent_off',
+    FIXED_OFF: 'fixed_off',
+    FREE_SHIPPING: 'free_shipping',
+    BUY_X_GET_Y: 'buy_x_get_y'
+};
+
+// Why a promotion does not apply (reported for coupons)
+export const PROMOTION_REJECTIONS = {
+    NOT_FOUND: 'NOT_FOUND',
+    INACTIVE: 'INACTIVE',
+    NOT_STARTED: 'NOT_STARTED',
+    EXPIRED: 'EXPIRED',
+    MIN_SUBTOTAL: 'MIN_SUBTOTAL',
+    NO_ELIGIBLE_ITEMS: 'NO_ELIGIBLE_ITEMS',
+    FIRST_ORDER_ONLY: 'FIRST_ORDER_ONLY',
+    CUSTOMER_SEGMENT: 'CUSTOMER_SEGMENT',
+    USAGE_LIMIT: 'USAGE_LIMIT',
+    CUSTOMER_USAGE_LIMIT: 'CUSTOMER_USAGE_LIMIT'
+};
+
+// Customer segments, derived from the customer's non-cancelled orders
+export const CUSTOMER_SEGMENTS = {
+    NEW: 'new',
+    RETURNING: 'returning',
+    VIP: 'vip'
+};
+
+export const PROMOTION_CONFIG = {
+    VIP_MIN_SPEND: parseInt(process.env.VIP_MIN_SPEND) || 10000000,
+    CODE_PATTERN: /^[A-Z0-9_-]{3,50}$/
+};
+
+// Line-level problems reported with a cart
+export const CART_WARNINGS = {
+    PRICE_CHANGED: 'PRICE_CHANGED',
+    VARIANT_INACTIVE: 'VARIANT_INACTIVE',
+    INSUFFICIENT_STOCK: 'INSUFFICIENT_STOCK'
+};
+
+// Why a variant's stock changed (stock_movements.movement_type)
+// cancellation puts back the units a cancelled order's sale had taken (reservation_release is kept
+// for units released from a hold, not sold); transfer_out / transfer_in move units between locations
+export const STOCK_MOVEMENT_TYPES = {
+    OPENING: 'opening',
+    SALE: 'sale',
+    RETURN: 'return',
+    IMPORT: 'import',
+    ADJUSTMENT: 'adjustment',
+    RESERVATION_RELEASE: 'reservation_release',
+    CANCELLATION: 'cancellation',
+    TRANSFER_OUT: 'transfer_out',
+    TRANSFER_IN: 'transfer_in'
+};
+
+export const LOCATION_TYPES = {
+    WAREHOUSE: 'warehouse',
+    STORE: 'store'
+};
+
+// Which sellable location ships an online order (see fulfilment_locations() in schema.sql):
+// nearest prefers locations in the shipping province, most_stock those holding most of the order.
+// Ties go to the location with the higher priority.
+export const FULFILMENT_RULES = {
+    NEAREST: 'nearest',
+    MOST_STOCK: 'most_stock'
+};
+
+export const INVENTORY_CONFIG = {
+    FULFILMENT_RULE: process.env.FULFILMENT_RULE || 'nearest'
+};
+
+// in_transit -> received, or cancelled (units go back to the source)
+export const TRANSFER_STATUS = {
+    IN_TRANSIT: 'in_transit',
+    RECEIVED: 'received',
+    CANCELLED: 'cancelled'
+};
+
+export const PURCHASE_ORDER_STATUS = {
+    DRAFT: 'draft',
+    APPROVED: 'approved',
+    SENT: 'sent',
+    PARTIALLY_RECEIVED: 'partially_received',
+    RECEIVED: 'received',
+    CANCELLED: 'cancelled'
+};
+
+// Allowed purchase order status transitions (from -> to[]); receipts move sent orders on
+// Cancelling a partially received order closes what is still open on it
+export const PURCHASE_ORDER_STATUS_TRANSITIONS = {
+    draft: ['approved', 'cancelled'],
+    approved: ['sent', 'cancelled'],
+    sent: ['partially_received', 'received', 'cancelled'],
+    partially_received: ['received', 'cancelled'],
+    received: [],
+    cancelled: []
+};
+
+// Purchase orders whose unreceived units count as incoming stock
+export const OPEN_PURCHASE_ORDER_STATUSES = ['approved', 'sent', 'partially_received'];
+
+// Reorder suggestions (see backend/utils/replenishment.js). Sales velocity is measured over each of
+// WINDOWS days; VELOCITY_WINDOW is the one suggestions use unless another is asked for. A variant is
+// reordered once its stock and incoming units no longer cover the supplier's lead time, up to the
+// lead time plus TARGET_COVER_DAYS of sales.
+export const REPLENISHMENT_CONFIG = {
+    WINDOWS: [7, 30, 90],
+    VELOCITY_WINDOW: parseInt(process.env.REORDER_VELOCITY_WINDOW) || 30,
+    TARGET_COVER_DAYS: parseInt(process.env.REORDER_TARGET_COVER_DAYS) || 30,
+    // Lead time of variants without a supplier yet
+    DEFAULT_LEAD_TIME_DAYS: 14,
+    MAX_DAYS: 365
+};
+
+// Low-stock alerts: open -> acknowledged by staff; resolved once the stock is back above
+// the threshold, which lets the variant raise a new alert
+export const LOW_STOCK_ALERT_STATUS = {
+    OPEN: 'open',
+    ACKNOWLEDGED: 'acknowledged',
+    RESOLVED: 'resolved'
+};
+
+// Channels that deliver low-stock alerts (see backend/utils/alerts.js)
+export const ALERT_CHANNELS = {
+    IN_APP: 'in_app',
+    EMAIL: 'email',
+    WEBHOOK: 'webhook'
+};
+
+export const ALERT_DELIVERY_STATUS = {
+    SENT: 'sent',
+    FAILED: 'failed'
+};
+
+export const LOW_STOCK_ALERT_CONFIG = {
+    // Threshold of variants whose shoe has none either, as in evaluate_low_stock()
+    DEFAULT_THRESHOLD: 10,
+    // Comma-separated ALERT_CHANNELS that deliver new alerts
+    CHANNELS: (process.env.LOW_STOCK_ALERT_CHANNELS || 'in_app').split(',').map(channel => channel.trim()).filter(Boolean),
+    EMAIL_RECIPIENTS: (process.env.LOW_STOCK_ALERT_EMAILS || '').split(',').map(email => email.trim()).filter(Boolean),
+    WEBHOOK: {
+        URL: process.env.LOW_STOCK_ALERT_WEBHOOK_URL || '',
+        SECRET: process.env.LOW_STOCK_ALERT_WEBHOOK_SECRET || '',
+        SIGNATURE_HEADER: 'x-alert-signature',
+        TIMEOUT_MS: 5000
+    },
+    DISPATCH_INTERVAL_MS: parseInt(process.env.LOW_STOCK_ALERT_DISPATCH_MS) || 60 * 1000,
+    BATCH_SIZE: 50,
+    // Failed deliveries are retried on each dispatch until then
+    MAX_ATTEMPTS: 5
+};
+
+export const CATALOG_IMPORT_CONFIG = {
+    MAX_FILE_SIZE: 5 * 1024 * 1024,
+    MAX_ROWS: 2000,
+    FORMATS: ['csv', 'xlsx'],
+    // Accepted headers per field, compared without case, accents or punctuation.
+    // The first alias of each is the field name, which the catalog CSV export writes.
+    COLUMNS: {
+        category: ['category', 'category_name', 'danh_muc'],
+        shoe_name: ['shoe_name', 'shoe', 'product', 'product_name', 'name', 'ten_san_pham'],
+        description: ['description', 'shoe_description', 'mo_ta'],
+        base_price: ['base_price', 'shoe_price', 'gia_goc'],
+        image_url: ['image_url', 'image', 'photo_url', 'hinh_anh'],
+        color: ['color', 'color_name', 'colour', 'mau', 'mau_sac'],
+        hex_code: ['hex_code', 'color_hex', 'hex'],
+        size: ['size', 'size_value', 'kich_co', 'co'],
+        size_type: ['size_type', 'size_system'],
+        sku: ['sku', 'ma_sku'],
+        variant_price: ['variant_price', 'price', 'gia', 'gia_ban'],
+        stock: ['stock', 'stock_quantity', 'quantity', 'qty', 'ton_kho', 'so_luong'],
+        // Quantity at the location when the file was made: stock is only set while it still is
+        stock_snapshot: ['stock_snapshot', 'exported_stock', 'ton_kho_luc_xuat'],
+        is_active: ['is_active', 'active', 'enabled']
+    }
+};
+
+export const CATALOG_EXPORT_CONFIG = {
+    FORMATS: ['csv', 'json'],
+    // Shoes read from the database per batch while streaming
+    BATCH_SIZE: 100
+};
+
+// What a catalog import does with a row
+export const CATALOG_IMPORT_ACTIONS = {
+    CREATE: 'create',
+    UPDATE: 'update',
+    UNCHANGED: 'unchanged',
+    ERROR: 'error'
+};
+
+export const STOCKTAKE_STATUS = {
+    COUNTING: 'counting',
+    APPROVED: 'approved',
+    CANCELLED: 'cancelled'
+};
+
+// What a stocktake counts: every variant, those of a category or of a shoe (scope_id)
+export const STOCKTAKE_SCOPES = {
+    ALL: 'all',
+    CATEGORY: 'category',
+    SHOE: 'shoe'
+};
+
+export const STOCK_STATUS = {
+    IN_STOCK: 'in_stock',
+    INSUFFICIENT: 'insufficient',
+    OUT_OF_STOCK: 'out_of_stock'
+};
+
 export const PAYMENT_STATUS = {
     PENDING: 'pending',
     COMPLETED: 'completed',
-    FAILED: 'failed'
+    FAILED: 'failed',
+    PARTIALLY_REFUNDED: 'partially_refunded',
+    REFUNDED: 'refunded'
 };
 
 export const PAYMENT_METHODS = {
@@ -43,6 +391,135 @@ export const PAYMENT_METHODS = {
     E_WALLET: 'e_wallet'
 };
 
+// Allowed payment status changes; only pending payments are settled
+export const PAYMENT_STATUS_TRANSITIONS = {
+    pending: ['completed', 'failed'],
+    completed: ['partially_refunded', 'refunded'],
+    failed: [],
+    partially_refunded: ['refunded'],
+    refunded: []
+};
+
+// Payments that still have captured money to give back
+export const REFUNDABLE_PAYMENT_STATUSES = ['completed', 'partially_refunded'];
+
+export const REFUND_STATUS = {
+    PENDING: 'pending',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed'
+};
+
+// Normalized state of a payment at its provider (see backend/utils/payments.js)
+export const PAYMENT_INTENT_STATUS = {
+    REQUIRES_CAPTURE: 'requires_capture',
+    PROCESSING: 'processing',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed'
+};
+
+// Processing state of a stored payment provider webhook event
+export const PAYMENT_EVENT_STATUS = {
+    RECEIVED: 'received',
+    PROCESSED: 'processed',
+    IGNORED: 'ignored',
+    FAILED: 'failed'
+};
+
+// Outcomes the built-in mock provider can simulate
+export const MOCK_PAYMENT_SCENARIOS = {
+    SUCCESS: 'success',
+    DECLINE: 'decline',
+    DELAYED: 'delayed'
+};
+
+export const PAYMENT_CONFIG = {
+    // Provider for methods without one in METHOD_PROVIDERS. When unset those methods use the mock
+    // provider in MOCK_ENVIRONMENTS and cannot be paid anywhere else.
+    DEFAULT_PROVIDER: process.env.PAYMENT_PROVIDER || null,
+    // NODE_ENV values (unset counts as development) where the mock provider and its scenarios exist;
+    // it approves payments without collecting any money
+    MOCK_ENVIRONMENTS: ['development', 'test'],
+    // Provider per payment method; others use DEFAULT_PROVIDER
+    METHOD_PROVIDERS: {
+        bank_transfer: 'vietqr',
+        cash: 'cod'
+    },
+    CURRENCY: 'VND',
+    WEBHOOK: {
+        SIGNATURE_HEADER: 'x-payment-signature',
+        // Signed events older (or newer) than this are rejected as replays
+        TOLERANCE_SECONDS: parseInt(process.env.PAYMENT_WEBHOOK_TOLERANCE_SECONDS) || 300
+    },
+    MOCK: {
+        DEFAULT_SCENARIO: process.env.MOCK_PAYMENT_SCENARIO || 'success',
+        CONFIRM_DELAY_MS: parseInt(process.env.MOCK_PAYMENT_DELAY_MS) || 5000,
+        WEBHOOK_SECRET: process.env.MOCK_PAYMENT_WEBHOOK_SECRET || ''
+    },
+    // Bank transfers to the shop account by VietQR (NAPAS 247)
+    VIETQR: {
+        BANK_BIN: process.env.VIETQR_BANK_BIN || '',
+        ACCOUNT_NUMBER: process.env.VIETQR_ACCOUNT_NUMBER || '',
+        ACCOUNT_NAME: process.env.VIETQR_ACCOUNT_NAME || '',
+        IMAGE_BASE_URL: process.env.VIETQR_IMAGE_BASE_URL || 'https://img.vietqr.io/image',
+        IMAGE_TEMPLATE: process.env.VIETQR_IMAGE_TEMPLATE || 'compact2',
+        // Transfer memo: prefix + 6 digit payment ID + 4 random letters, e.g. SNV000123KTQZ
+        REFERENCE_PREFIX: 'SNV'
+    }
+};
+
+export const BANK_STATEMENT_LINE_STATUS = {
+    MATCHED: 'matched',
+    NEEDS_REVIEW: 'needs_review',
+    RESOLVED: 'resolved',
+    IGNORED: 'ignored'
+};
+
+// Why a bank statement line was sent to the review queue
+export const RECONCILIATION_REVIEW_REASONS = {
+    UNMATCHED: 'unmatched',
+    PARTIAL_AMOUNT: 'partial_amount',
+    OVERPAID: 'overpaid',
+    PAYMENT_NOT_PENDING: 'payment_not_pending'
+};
+
+// Couriers that deliver orders (and collect cash on delivery)
+export const COURIERS = {
+    GHN: 'ghn',
+    GHTK: 'ghtk',
+    VIETTEL_POST: 'viettel_post',
+    VNPOST: 'vnpost',
+    JT_EXPRESS: 'jt_express',
+    SHOP: 'shop'
+};
+
+// Cash on delivery: awaiting until the courier hands the cash over, then collected
+// (exact amount) or discrepancy, which staff close as resolved
+export const COD_COLLECTION_STATUS = {
+    AWAITING: 'awaiting',
+    COLLECTED: 'collected',
+    DISCREPANCY: 'discrepancy',
+    RESOLVED: 'resolved'
+};
+
+export const RECONCILIATION_CONFIG = {
+    MAX_FILE_SIZE: 5 * 1024 * 1024,
+    MAX_LINES: 5000,
+    // Accepted statement headers per field, compared without case, accents or punctuation
+    COLUMNS: {
+        transaction_date: ['transaction_date', 'date', 'posting_date', 'value_date', 'ngay_giao_dich', 'ngay_gd', 'ngay'],
+        credit: ['credit', 'credit_amount', 'so_tien_ghi_co', 'ghi_co', 'tien_vao'],
+        amount: ['amount', 'so_tien', 'so_tien_giao_dich'],
+        description: ['description', 'memo', 'details', 'transaction_details', 'noi_dung', 'noi_dung_giao_dich', 'dien_giai', 'mo_ta'],
+        bank_reference: ['reference', 'bank_reference', 'transaction_id', 'transaction_no', 'so_tham_chieu', 'ma_giao_dich', 'so_but_toan']
+    }
+};
+
+export const REPORT_CONFIG = {
+    // Report days are local dates in this time zone
+    TIMEZONE: process.env.REPORT_TIMEZONE || 'Asia/Ho_Chi_Minh',
+    MAX_DAYS: 366
+};
+
 export const API_ENDPOINTS = {
     AUTH: {
         LOGIN: '/api/auth/login',
@@ -61,11 +538,102 @@ export const API_ENDPOINTS = {
         LIST: '/api/categories',
         DETAIL: '/api/categories/:id'
     },
+    CART: {
+        DETAIL: '/api/cart',
+        ITEMS: '/api/cart/items',
+        ITEM: '/api/cart/items/:variantId',
+        MERGE: '/api/cart/merge',
+        COUPON: '/api/cart/coupon'
+    },
+    PROMOTIONS: {
+        LIST: '/api/promotions',
+        DETAIL: '/api/promotions/:id'
+    },
     ORDERS: {
         LIST: '/api/orders',
         CREATE: '/api/orders',
         DETAIL: '/api/orders/:id',
-        UPDATE_STATUS: '/api/orders/:id/status'
+        UPDATE_STATUS: '/api/orders/:id/status',
+        CANCEL: '/api/orders/:id/cancel',
+        HISTORY: '/api/orders/:id/history',
+        QUOTE: '/api/orders/quote',
+        INVOICE: '/api/orders/:id/invoice'
+    },
+    SHIPPING: {
+        QUOTE: '/api/shipping/quote'
+    },
+    PAYMENTS: {
+        LIST: '/api/payments',
+        PROCESS: '/api/payments',
+        DETAIL: '/api/payments/:id',
+        UPDATE_STATUS: '/api/payments/:id/status',
+        WEBHOOK: '/api/payments/webhooks/:provider',
+        REFUNDS: '/api/payments/:id/refunds',
+        REVENUE: '/api/payments/revenue',
+        RECONCILIATIONS: '/api/payments/reconciliations',
+        RECONCILIATION_REVIEW: '/api/payments/reconciliations/review',
+        RECONCILIATION_LINE_RESOLVE: '/api/payments/reconciliations/lines/:id/resolve'
+    },
+    COD: {
+        COLLECTIONS: '/api/cod/collections',
+        RESOLVE: '/api/cod/collections/:id/resolve',
+        REMITTANCES: '/api/cod/remittances',
+        REMITTANCE: '/api/cod/remittances/:id',
+        REPORT: '/api/cod/report'
+    },
+    SUPPLIERS: {
+        LIST: '/api/suppliers',
+        DETAIL: '/api/suppliers/:id'
+    },
+    PURCHASE_ORDERS: {
+        LIST: '/api/purchase-orders',
+        DETAIL: '/api/purchase-orders/:id',
+        APPROVE: '/api/purchase-orders/:id/approve',
+        SEND: '/api/purchase-orders/:id/send',
+        CANCEL: '/api/purchase-orders/:id/cancel',
+        RECEIPTS: '/api/purchase-orders/:id/receipts',
+        INCOMING: '/api/purchase-orders/incoming'
+    },
+    LOCATIONS: {
+        LIST: '/api/locations',
+        DETAIL: '/api/locations/:id',
+        STOCK: '/api/locations/stock'
+    },
+    TRANSFERS: {
+        LIST: '/api/transfers',
+        DETAIL: '/api/transfers/:id',
+        RECEIVE: '/api/transfers/:id/receive',
+        CANCEL: '/api/transfers/:id/cancel'
+    },
+    REPLENISHMENT: {
+        SUGGESTIONS: '/api/replenishment',
+        PURCHASE_ORDERS: '/api/replenishment/purchase-orders'
+    },
+    CATALOG: {
+        IMPORT: '/api/catalog/import',
+        EXPORT: '/api/catalog/export'
+    },
+    ALERTS: {
+        LIST: '/api/alerts',
+        SUMMARY: '/api/alerts/summary',
+        ACKNOWLEDGE: '/api/alerts/:id/acknowledge'
+    },
+    STOCKTAKES: {
+        LIST: '/api/stocktakes',
+        DETAIL: '/api/stocktakes/:id',
+        COUNTS: '/api/stocktakes/:id/counts',
+        SCANS: '/api/stocktakes/:id/scans',
+        APPROVE: '/api/stocktakes/:id/approve',
+        CANCEL: '/api/stocktakes/:id/cancel'
+    },
+    IMPORTS: {
+        LIST: '/api/imports',
+        CREATE: '/api/imports',
+        DETAIL: '/api/imports/:id'
+    },
+    VARIANTS: {
+        MOVEMENTS: '/api/variants/:id/movements',
+        STOCK_DRIFT: '/api/variants/stock-drift'
     },
     USERS: {
         PROFILE: '/api/users/profile',
@@ -120,8 +688,8 @@ export const RATE_LIMITING = {
 
 export const CORS_CONFIG = {
     origin: process.env.FRONTEND_URL || 'http://localhost:3000',
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Cart-Token'],
     credentials: true
 };
 
@@ -141,10 +709,38 @@ export const DATABASE_TABLES = {
     SIZES: 'sizes',
     SHOE_VARIANTS: 'shoe_variants',
     SUPPLIERS: 'suppliers',
+    PURCHASE_ORDERS: 'purchase_orders',
+    PURCHASE_ORDER_LINES: 'purchase_order_lines',
     IMPORTS: 'imports',
+    STOCK_MOVEMENTS: 'stock_movements',
+    STOCK_LOCATIONS: 'stock_locations',
+    LOCATION_STOCK: 'location_stock',
+    STOCK_TRANSFERS: 'stock_transfers',
+    STOCK_TRANSFER_LINES: 'stock_transfer_lines',
+    LOW_STOCK_ALERTS: 'low_stock_alerts',
+    LOW_STOCK_ALERT_DELIVERIES: 'low_stock_alert_deliveries',
+    EMAIL_OUTBOX: 'email_outbox',
+    STOCKTAKES: 'stocktakes',
+    STOCKTAKE_LINES: 'stocktake_lines',
     ORDERS: 'orders',
     ORDER_ITEMS: 'order_items',
+    ORDER_STATUS_HISTORY: 'order_status_history',
+    CARTS: 'carts',
+    CART_ITEMS: 'cart_items',
+    STOCK_RESERVATIONS: 'stock_reservations',
+    ORDER_TAX_LINES: 'order_tax_lines',
     PAYMENTS: 'payments',
+    PAYMENT_EVENTS: 'payment_events',
+    REFUNDS: 'refunds',
+    REFUND_ITEMS: 'refund_items',
+    BANK_STATEMENTS: 'bank_statements',
+    BANK_STATEMENT_LINES: 'bank_statement_lines',
+    COD_COLLECTIONS: 'cod_collections',
+    COD_REMITTANCES: 'cod_remittances',
+    PROMOTIONS: 'promotions',
+    PROMOTION_REDEMPTIONS: 'promotion_redemptions',
+    RETURN_REQUESTS: 'return_requests',
+    RETURN_ITEMS: 'return_items',
     REVIEWS: 'reviews',
     WISHLISTS: 'wishlists'
 };
@@ -159,10 +755,38 @@ export const TABLE_NAMES = {
     SIZES: 'sizes',
     SHOE_VARIANTS: 'shoe_variants',
     SUPPLIERS: 'suppliers',
+    PURCHASE_ORDERS: 'purchase_orders',
+    PURCHASE_ORDER_LINES: 'purchase_order_lines',
     IMPORTS: 'imports',
+    STOCK_MOVEMENTS: 'stock_movements',
+    STOCK_LOCATIONS: 'stock_locations',
+    LOCATION_STOCK: 'location_stock',
+    STOCK_TRANSFERS: 'stock_transfers',
+    STOCK_TRANSFER_LINES: 'stock_transfer_lines',
+    LOW_STOCK_ALERTS: 'low_stock_alerts',
+    LOW_STOCK_ALERT_DELIVERIES: 'low_stock_alert_deliveries',
+    EMAIL_OUTBOX: 'email_outbox',
+    STOCKTAKES: 'stocktakes',
+    STOCKTAKE_LINES: 'stocktake_lines',
     ORDERS: 'orders',
     ORDER_ITEMS: 'order_items',
+    ORDER_STATUS_HISTORY: 'order_status_history',
+    CARTS: 'carts',
+    CART_ITEMS: 'cart_items',
+    STOCK_RESERVATIONS: 'stock_reservations',
+    ORDER_TAX_LINES: 'order_tax_lines',
     PAYMENTS: 'payments',
+    PAYMENT_EVENTS: 'payment_events',
+    REFUNDS: 'refunds',
+    REFUND_ITEMS: 'refund_items',
+    BANK_STATEMENTS: 'bank_statements',
+    BANK_STATEMENT_LINES: 'bank_statement_lines',
+    COD_COLLECTIONS: 'cod_collections',
+    COD_REMITTANCES: 'cod_remittances',
+    PROMOTIONS: 'promotions',
+    PROMOTION_REDEMPTIONS: 'promotion_redemptions',
+    RETURN_REQUESTS: 'return_requests',
+    RETURN_ITEMS: 'return_items',
     REVIEWS: 'reviews',
     WISHLISTS: 'wishlists'
 };
@@ -187,10 +811,135 @@ export const ERROR_MESSAGES = {
         OUT_OF_STOCK: 'Product is out of stock',
         INSUFFICIENT_STOCK: 'Insufficient stock available'
     },
+    SUPPLIER: {
+        NAME_TAKEN: 'A supplier with this name already exists',
+        INACTIVE: 'This supplier is inactive: reactivate it to order or import stock from it'
+    },
+    PURCHASE_ORDER: {
+        INVALID_TRANSITION: 'Purchase order cannot move to the requested status',
+        STATUS_CONFLICT: 'Purchase order was changed by someone else, please reload',
+        NOT_EDITABLE: 'Only draft purchase orders can be edited',
+        DUPLICATE_VARIANT: 'Each variant can only be on one line of a purchase order',
+        RECEIPT_EXCEEDS_ORDERED: 'Received quantity exceeds what is still open on the purchase order'
+    },
+    REPLENISHMENT: {
+        NO_SUPPLIER: 'Some variants have no active supplier to order from',
+        NOTHING_TO_ORDER: 'Nothing needs reordering'
+    },
+    STOCKTAKE: {
+        SCOPE_ID_REQUIRED: 'Choose the category or shoe to count',
+        SCOPE_EMPTY: 'There are no variants to count in this scope',
+        OVERLAP: 'Some of these variants are already being counted in an open stocktake',
+        NOT_IN_SCOPE: 'Variant is not part of this stocktake',
+        NOT_COUNTING: 'This stocktake is no longer open for counting',
+        DUPLICATE_VARIANT: 'Each variant can only be counted once per request',
+        NEGATIVE_COUNT: 'Counted quantity cannot go below 0'
+    },
+    LOCATION: {
+        CODE_TAKEN: 'A location with this code already exists',
+        INACTIVE: 'This location is inactive',
+        DEFAULT_REQUIRED: 'The default location must stay active and sellable',
+        NOT_EMPTY: 'Move the stock out of this location before deactivating it'
+    },
+    TRANSFER: {
+        SAME_LOCATION: 'A transfer must go to another location',
+        DUPLICATE_VARIANT: 'Each variant can only be on one line of a transfer',
+        NOT_IN_TRANSIT: 'This transfer is no longer in transit',
+        RECEIPT_EXCEEDS_SHIPPED: 'Received quantity exceeds what was shipped'
+    },
+    ALERT: {
+        NOT_OPEN: 'This alert has already been acknowledged or resolved',
+        UNKNOWN_CHANNEL: 'Unknown alert channel',
+        NO_RECIPIENTS: 'No email recipients are set for low-stock alerts',
+        WEBHOOK_NOT_CONFIGURED: 'No webhook URL is set for low-stock alerts'
+    },
+    CATALOG_IMPORT: {
+        UNSUPPORTED_FORMAT: 'Catalog files must be CSV or XLSX',
+        UNREADABLE_FILE: 'The catalog file could not be read',
+        MISSING_COLUMNS: 'Catalog file needs shoe_name, color, size and sku columns',
+        TOO_MANY_ROWS: 'Catalog file has too many rows',
+        CHANGED_SINCE_PREVIEW: 'The catalog changed while importing, run the preview again'
+    },
+    IMPORT: {
+        INVALID_DATE_RANGE: '"from" must be on or before "to"'
+    },
+    INVENTORY: {
+        INVALID_MOVEMENT_TYPE: 'Unknown stock movement type',
+        INVALID_OPERATION: 'operation must be "set", "add", or "subtract"',
+        NEGATIVE_STOCK: 'Not enough stock for this change'
+    },
+    RESERVATION: {
+        MISSING_HOLDER: 'Sign in or send an X-Cart-Token header to hold stock',
+        INVALID_CART_TOKEN: 'Invalid cart token',
+        UNKNOWN_CART: 'Add the item to your cart before holding stock'
+    },
+    RETURN: {
+        ORDER_NOT_DELIVERED: 'Only delivered orders can be returned',
+        WINDOW_CLOSED: 'The return window for this order has closed',
+        INVALID_ITEM: 'Item does not belong to this order',
+        QUANTITY_EXCEEDED: 'Return quantity exceeds what is left to return',
+        EXCHANGE_VARIANT_REQUIRED: 'Choose the size to exchange for',
+        INVALID_EXCHANGE_VARIANT: 'Exchanges must be for another size of the same shoe',
+        INVALID_TRANSITION: 'Return cannot move to the requested status',
+        STATUS_CONFLICT: 'Return was changed by someone else, please reload',
+        CONDITION_REQUIRED: 'Every returned item needs an inspection condition'
+    },
+    SHIPPING: {
+        UNKNOWN_METHOD: 'Unknown shipping method',
+        METHOD_UNAVAILABLE: 'This shipping method is not available for the destination'
+    },
+    PAYMENT: {
+        UNKNOWN_PROVIDER: 'No payment provider is configured for this payment method',
+        ORDER_NOT_PAYABLE: 'Only pending orders can be paid',
+        NOTHING_TO_PAY: 'This order has nothing to pay',
+        ALREADY_IN_PROGRESS: 'This order already has a pending or completed payment',
+        INVALID_TRANSITION: 'Payment cannot move to the requested status',
+        STATUS_CONFLICT: 'Payment was changed by someone else, please reload',
+        INVALID_WEBHOOK: 'Malformed payment provider event',
+        WEBHOOK_NOT_CONFIGURED: 'Webhook secret is not set for this payment provider',
+        INVALID_SIGNATURE: 'Invalid webhook signature',
+        STALE_WEBHOOK: 'Webhook timestamp is outside the allowed window',
+        REPLAYED_EVENT: 'This event has already been processed'
+    },
+    REFUND: {
+        NOT_REFUNDABLE: 'Only completed payments can be refunded',
+        EXCEEDS_PAYMENT: 'Refunds cannot exceed the captured amount',
+        ITEMS_EXCEEDED: 'Refund exceeds what is left to refund on these order items',
+        DUPLICATE_ITEM: 'Each order item can only be listed once per refund',
+        NOTHING_TO_REFUND: 'Give the items or an amount to refund',
+        INVALID_PERIOD: 'Report period must be a valid from/to date range'
+    },
+    RECONCILIATION: {
+        MISSING_COLUMNS: 'Bank statement needs an amount (or credit) and a description column',
+        TOO_MANY_LINES: 'Bank statement has too many lines',
+        LINE_NOT_PENDING: 'This statement line is not waiting for review',
+        PAYMENT_REQUIRED: 'Choose the payment this transfer belongs to'
+    },
+    COD: {
+        COURIER_REQUIRED: 'Cash on delivery orders need a courier to ship',
+        COLLECTIONS_INVALID: 'Some shipments cannot be confirmed for this courier',
+        NOT_DISCREPANCY: 'Only collections with a discrepancy can be resolved',
+        INVALID_PERIOD: 'Report period must be a valid from/to date range'
+    },
+    CART: {
+        MISSING_OWNER: 'Sign in or send an X-Cart-Token header to use the cart',
+        VARIANT_UNAVAILABLE: 'This product variant is no longer available',
+        LINE_LIMIT: `At most ${STOCK_RESERVATION.MAX_QUANTITY} units of one item per cart`,
+        NOTHING_TO_MERGE: 'Sign in and send the guest X-Cart-Token header to merge carts'
+    },
+    PROMOTION: {
+        INVALID_CODE: 'Coupon codes are 3-50 letters, digits, dashes or underscores',
+        COUPON_NOT_APPLICABLE: 'This coupon cannot be applied to your order',
+        LIMIT_REACHED: 'This promotion has reached its usage limit',
+        CODE_TAKEN: 'A promotion with this code already exists'
+    },
     ORDER: {
         NOT_FOUND: 'Order not found',
         INVALID_STATUS: 'Invalid order status',
-        CANNOT_CANCEL: 'Order cannot be cancelled at this stage'
+        INVALID_TRANSITION: 'Order cannot move to the requested status',
+        STATUS_CONFLICT: 'Order status was changed by someone else, please reload',
+        CANNOT_CANCEL: 'Order cannot be cancelled at this stage',
+        USE_CANCEL: 'Use the cancel endpoint to cancel an order'
     },
     GENERAL: {
         INTERNAL_ERROR: 'An internal server error occurred',
@@ -214,7 +963,125 @@ export const SUCCESS_MESSAGES = {
     ORDER: {
         CREATED: 'Order placed successfully',
         UPDATED: 'Order updated successfully',
-        CANCELLED: 'Order cancelled successfully'
+        STATUS_UPDATED: 'Order status updated successfully',
+        CANCELLED: 'Order cancelled successfully',
+        QUOTED: 'Order quote calculated',
+        INVOICE: 'Invoice fetched successfully'
+    },
+    SUPPLIER: {
+        FETCHED: 'Suppliers fetched successfully',
+        CREATED: 'Supplier created',
+        UPDATED: 'Supplier updated',
+        DEACTIVATED: 'Supplier deactivated'
+    },
+    PURCHASE_ORDER: {
+        FETCHED: 'Purchase orders fetched successfully',
+        CREATED: 'Purchase order drafted',
+        UPDATED: 'Purchase order updated',
+        APPROVED: 'Purchase order approved',
+        SENT: 'Purchase order sent',
+        CANCELLED: 'Purchase order cancelled',
+        RECEIVED: 'Purchase order received',
+        PARTIALLY_RECEIVED: 'Receipt recorded, part of the purchase order is still open',
+        INCOMING_FETCHED: 'Incoming stock fetched successfully'
+    },
+    REPLENISHMENT: {
+        FETCHED: 'Reorder suggestions fetched successfully',
+        ORDERED: 'Draft purchase orders created from the reorder suggestions'
+    },
+    LOCATION: {
+        FETCHED: 'Locations fetched successfully',
+        CREATED: 'Location created successfully',
+        UPDATED: 'Location updated successfully',
+        STOCK_FETCHED: 'Stock by location fetched successfully'
+    },
+    TRANSFER: {
+        FETCHED: 'Transfers fetched successfully',
+        CREATED: 'Transfer sent, stock is in transit',
+        RECEIVED: 'Transfer received',
+        CANCELLED: 'Transfer cancelled, stock returned to the source'
+    },
+    ALERT: {
+        FETCHED: 'Alerts fetched successfully',
+        ACKNOWLEDGED: 'Alert acknowledged'
+    },
+    CATALOG_IMPORT: {
+        PREVIEWED: 'Catalog import checked, nothing was changed',
+        IMPORTED: 'Catalog imported'
+    },
+    STOCKTAKE: {
+        FETCHED: 'Stocktakes fetched successfully',
+        STARTED: 'Stocktake started',
+        COUNTED: 'Counts recorded',
+        APPROVED: 'Stocktake approved, stock adjusted',
+        CANCELLED: 'Stocktake cancelled'
+    },
+    IMPORT: {
+        FETCHED: 'Imports fetched successfully',
+        CREATED: 'Stock imported'
+    },
+    INVENTORY: {
+        MOVEMENTS_FETCHED: 'Stock movements fetched successfully',
+        DRIFT_CHECKED: 'Stock ledger check completed'
+    },
+    RESERVATION: {
+        HELD: 'Stock held for your cart',
+        RELEASED: 'Stock hold released'
+    },
+    RETURN: {
+        CREATED: 'Return request submitted',
+        APPROVED: 'Return approved',
+        REJECTED: 'Return rejected',
+        RECEIVED: 'Returned items received',
+        COMPLETED: 'Return completed',
+        CANCELLED: 'Return cancelled'
+    },
+    SHIPPING: {
+        QUOTED: 'Shipping rates calculated'
+    },
+    PAYMENT: {
+        COMPLETED: 'Payment completed',
+        PENDING: 'Payment is being confirmed',
+        DECLINED: 'Payment was declined',
+        STATUS_UPDATED: 'Payment status updated',
+        WEBHOOK_PROCESSED: 'Payment event processed',
+        PAY_ON_DELIVERY: 'Order confirmed, pay the courier on delivery'
+    },
+    REFUND: {
+        SUCCEEDED: 'Refund completed',
+        PENDING: 'Refund is being processed',
+        DECLINED: 'Refund was declined by the payment provider',
+        FETCHED: 'Refunds fetched successfully',
+        REVENUE_FETCHED: 'Revenue report generated'
+    },
+    RECONCILIATION: {
+        IMPORTED: 'Bank statement reconciled',
+        FETCHED: 'Bank statements fetched successfully',
+        REVIEW_FETCHED: 'Review queue fetched successfully',
+        RESOLVED: 'Statement line resolved'
+    },
+    COD: {
+        FETCHED: 'Cash on delivery collections fetched successfully',
+        CONFIRMED: 'Cash collection confirmed',
+        DISCREPANCIES: 'Cash collection confirmed with discrepancies',
+        REMITTANCES_FETCHED: 'Courier remittances fetched successfully',
+        RESOLVED: 'Discrepancy resolved',
+        REPORT_FETCHED: 'Cash on delivery report generated'
+    },
+    CART: {
+        FETCHED: 'Cart fetched successfully',
+        ITEM_ADDED: 'Item added to cart',
+        ITEM_UPDATED: 'Cart item updated',
+        ITEM_REMOVED: 'Item removed from cart',
+        CLEARED: 'Cart cleared',
+        MERGED: 'Guest cart merged into your cart',
+        COUPON_APPLIED: 'Coupon applied',
+        COUPON_REMOVED: 'Coupon removed'
+    },
+    PROMOTION: {
+        CREATED: 'Promotion created',
+        UPDATED: 'Promotion updated',
+        DEACTIVATED: 'Promotion deactivated'
     }
 };
 
@@ -250,9 +1117,59 @@ export const BREAKPOINTS = {
 export default {
     HTTP_STATUS,
     USER_ROLES,
+    STAFF_ROLES,
     ORDER_STATUS,
+    ORDER_STATUS_TRANSITIONS,
+    RETURN_STATUS,
+    RETURN_STATUS_TRANSITIONS,
+    RETURN_RESOLUTIONS,
+    RETURN_REASONS,
+    RETURN_ITEM_CONDITIONS,
+    RETURN_POLICY,
+    STOCK_RESERVATION,
+    TAX_RULE_SETS,
+    TAX_CONFIG,
+    SHIPPING_METHODS,
+    SHIPPING_CONFIG,
+    PROMOTION_ACTIONS,
+    PROMOTION_REJECTIONS,
+    CUSTOMER_SEGMENTS,
+    PROMOTION_CONFIG,
+    CART_WARNINGS,
+    STOCK_MOVEMENT_TYPES,
+    LOCATION_TYPES,
+    FULFILMENT_RULES,
+    INVENTORY_CONFIG,
+    TRANSFER_STATUS,
+    PURCHASE_ORDER_STATUS,
+    PURCHASE_ORDER_STATUS_TRANSITIONS,
+    OPEN_PURCHASE_ORDER_STATUSES,
+    REPLENISHMENT_CONFIG,
+    LOW_STOCK_ALERT_STATUS,
+    ALERT_CHANNELS,
+    ALERT_DELIVERY_STATUS,
+    LOW_STOCK_ALERT_CONFIG,
+    CATALOG_IMPORT_CONFIG,
+    CATALOG_EXPORT_CONFIG,
+    CATALOG_IMPORT_ACTIONS,
+    STOCKTAKE_STATUS,
+    STOCKTAKE_SCOPES,
+    STOCK_STATUS,
     PAYMENT_STATUS,
     PAYMENT_METHODS,
+    PAYMENT_STATUS_TRANSITIONS,
+    REFUNDABLE_PAYMENT_STATUSES,
+    REFUND_STATUS,
+    PAYMENT_INTENT_STATUS,
+    PAYMENT_EVENT_STATUS,
+    MOCK_PAYMENT_SCENARIOS,
+    PAYMENT_CONFIG,
+    BANK_STATEMENT_LINE_STATUS,
+    RECONCILIATION_REVIEW_REASONS,
+    RECONCILIATION_CONFIG,
+    COURIERS,
+    COD_COLLECTION_STATUS,
+    REPORT_CONFIG,
     API_ENDPOINTS,
     VALIDATION_RULES,
     PAGINATION,
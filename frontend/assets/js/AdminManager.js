@@ -9,8 +9,16 @@ class AdminManager {
             shoes: [],
             colors: [],
             sizes: [],
+            suppliers: [],
+            incoming: new Map(),
+            locations: [],
+            locationStock: new Map(),
             variants: [],
-            variantsJoined: []
+            variantsJoined: [],
+            stocktake: null,
+            reorder: null,
+            alerts: [],
+            catalogImport: null
         };
 
         document.addEventListener('DOMContentLoaded', () => this.initialize());
@@ -63,7 +71,7 @@ class AdminManager {
         this.bindUI();
         this.initModals();
         await this.preloadData();
-        await Promise.all([this.loadCategories(), this.loadShoes(), this.loadVariants()]);
+        await Promise.all([this.loadCategories(), this.loadShoes(), this.loadVariants(), this.loadStocktake(), this.loadAlertSummary()]);
     }
 
     bindUI() {
@@ -98,6 +106,41 @@ class AdminManager {
 
         const shoeForm = document.getElementById('shoeForm');
         if (shoeForm) shoeForm.addEventListener('submit', (e) => this.submitShoe(e));
+
+        const scopeSel = document.getElementById('stocktake_scope_type');
+        if (scopeSel) scopeSel.addEventListener('change', () => this.renderStocktakeScope());
+
+        const startForm = document.getElementById('stocktakeStartForm');
+        if (startForm) startForm.addEventListener('submit', (e) => this.startStocktake(e));
+
+        const scanForm = document.getElementById('stocktakeScanForm');
+        if (scanForm) scanForm.addEventListener('submit', (e) => this.scanStocktakeSku(e));
+
+        document.getElementById('btnSaveCounts')?.addEventListener('click', () => this.saveStocktakeCounts());
+        document.getElementById('btnApproveStocktake')?.addEventListener('click', () => this.approveStocktake());
+        document.getElementById('btnCancelStocktake')?.addEventListener('click', () => this.cancelStocktake());
+
+        // Suggestions are computed over all sales, so only when the tab is opened
+        document.getElementById('reorder-tab')?.addEventListener('shown.bs.tab', () => this.loadReorder());
+        document.getElementById('reorderForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.loadReorder();
+        });
+        document.getElementById('btnCreateReorderPOs')?.addEventListener('click', () => this.createReorderPurchaseOrders());
+
+        document.getElementById('alerts-tab')?.addEventListener('shown.bs.tab', () => this.loadAlerts());
+        document.getElementById('alertStatusFilter')?.addEventListener('change', () => this.loadAlerts());
+
+        document.getElementById('catalogImportForm')?.addEventListener('submit', (e) => this.previewCatalogImport(e));
+        document.getElementById('btnApplyCatalogImport')?.addEventListener('click', () => this.applyCatalogImport());
+        // A preview only stands for the file, location and stock option it was made with
+        ['catalog_file', 'catalog_location', 'catalog_update_stock'].forEach(id => document.getElementById(id)?.addEventListener('change', () => {
+            this.state.catalogImport = null;
+            this.renderCatalogImport();
+        }));
+        document.querySelectorAll('[data-catalog-export]').forEach(btn => {
+            btn.addEventListener('click', () => this.exportCatalog(btn.dataset.catalogExport));
+        });
     }
 
     initModals() {
@@ -114,17 +157,27 @@ class AdminManager {
     async preloadData() {
         // Load lookup tables
         const client = this.sb.schema(this.schema);
-        const [shoes, colors, sizes, categories] = await Promise.all([
+        const [shoes, colors, sizes, categories, suppliers, locations] = await Promise.all([
             client.from('shoes').select('shoe_id, shoe_name').order('shoe_name'),
             client.from('colors').select('color_id, color_name').order('color_name'),
             client.from('sizes').select('size_id, size_value, size_type').order('size_value'),
-            client.from('categories').select('category_id, category_name').order('category_name')
+            client.from('categories').select('category_id, category_name').order('category_name'),
+            window.suppliersAPI.getSuppliers({ is_active: true, limit: 100 }).catch(error => {
+                console.error('Load suppliers error:', error);
+                return { data: [] };
+            }),
+            window.locationsAPI.getLocations({ is_active: true }).catch(error => {
+                console.error('Load locations error:', error);
+                return { data: [] };
+            })
         ]);
 
         this.state.shoes = shoes.data || [];
         this.state.colors = colors.data || [];
         this.state.sizes = sizes.data || [];
         this.state.categories = categories.data || this.state.categories;
+        this.state.suppliers = suppliers.data || [];
+        this.state.locations = locations.data || [];
 
         // Fill selects
         const shoeSel = document.getElementById('variant_shoe');
@@ -134,6 +187,22 @@ class AdminManager {
         if (colorSel) colorSel.innerHTML = this.state.colors.map(c => `<option value="${c.color_id}">${c.color_name}</option>`).join('');
         if (sizeSel) sizeSel.innerHTML = this.state.sizes.map(s => `<option value="${s.size_id}">${s.size_value} ${s.size_type}</option>`).join('');
 
+        // Stock is always imported from a supplier
+        const supplierOptions = this.state.suppliers.map(s => `<option value="${s.supplier_id}">${this.escapeHtml(s.supplier_name)}</option>`).join('');
+        ['variant_supplier', 'stock_supplier'].forEach(id => {
+            const sel = document.getElementById(id);
+            if (sel) sel.innerHTML = supplierOptions;
+        });
+
+        // Receipts, counts and imported stock go to one location, the default one unless chosen
+        const locationOptions = this.state.locations.map(l =>
+            `<option value="${l.location_id}"${l.is_default ? ' selected' : ''}>${this.escapeHtml(l.location_code)} - ${this.escapeHtml(l.location_name)}</option>`
+        ).join('');
+        ['stock_location', 'stocktake_location', 'catalog_location'].forEach(id => {
+            const sel = document.getElementById(id);
+            if (sel) sel.innerHTML = locationOptions;
+        });
+
         const shoeCatSel = document.getElementById('shoe_category');
         if (shoeCatSel) shoeCatSel.innerHTML = this.state.categories.map(c => `<option value="${c.category_id}">${c.category_name}</option>`).join('');
     }
@@ -202,6 +271,7 @@ class AdminManager {
         const descEl = document.getElementById('shoe_description');
         const priceEl = document.getElementById('shoe_base_price');
         const imgEl = document.getElementById('shoe_image_url');
+        const thresholdEl = document.getElementById('shoe_low_stock_threshold');
         const actEl = document.getElementById('shoe_active');
 
         if (shoe) {
@@ -212,6 +282,7 @@ class AdminManager {
             descEl.value = shoe.description || '';
             priceEl.value = shoe.base_price ?? '';
             imgEl.value = shoe.image_url || '';
+            thresholdEl.value = shoe.low_stock_threshold ?? '';
             actEl.checked = !!shoe.is_active;
         } else {
             title.textContent = 'New Shoe';
@@ -221,6 +292,7 @@ class AdminManager {
             descEl.value = '';
             priceEl.value = '';
             imgEl.value = '';
+            thresholdEl.value = '';
             actEl.checked = true;
         }
         this.modals.shoe?.show();
@@ -234,18 +306,19 @@ class AdminManager {
         const description = (document.getElementById('shoe_description').value || '').trim();
         const base_price = Number(document.getElementById('shoe_base_price').value || 0);
         const image_url = (document.getElementById('shoe_image_url').value || '').trim();
+        const low_stock_threshold = this.optionalThreshold('shoe_low_stock_threshold');
         const is_active = document.getElementById('shoe_active').checked;
 
-        if (!category_id || !shoe_name || base_price < 0) {
+        if (!category_id || !shoe_name || base_price < 0 || low_stock_threshold < 0) {
             return this.toast('Please fill required fields with valid values', 'error');
         }
 
         const client = this.sb.schema(this.schema).from('shoes');
         let result;
         if (id > 0) {
-            result = await client.update({ category_id, shoe_name, description, base_price, image_url, is_active }).eq('shoe_id', id).select('*').single();
+            result = await client.update({ category_id, shoe_name, description, base_price, image_url, low_stock_threshold, is_active }).eq('shoe_id', id).select('*').single();
         } else {
-            result = await client.insert({ category_id, shoe_name, description, base_price, image_url, is_active }).select('*').single();
+            result = await client.insert({ category_id, shoe_name, description, base_price, image_url, low_stock_threshold, is_active }).select('*').single();
         }
 
         if (result.error) {
@@ -370,6 +443,7 @@ class AdminManager {
             return;
         }
         this.state.variants = data || [];
+        await Promise.all([this.loadIncoming(), this.loadLocationStock()]);
         // join
         const shoeMap = new Map(this.state.shoes.map(s => [s.shoe_id, s]));
         const colorMap = new Map(this.state.colors.map(c => [c.color_id, c]));
@@ -383,6 +457,52 @@ class AdminManager {
         this.renderVariants();
     }
 
+    // Units still to come per variant from open purchase orders
+    async loadIncoming() {
+        try {
+            const { data } = await window.purchaseOrdersAPI.getIncoming();
+            this.state.incoming = new Map((data || []).map(row => [row.variant_id, row]));
+        } catch (error) {
+            console.error('Load incoming stock error:', error);
+            this.state.incoming = new Map();
+        }
+    }
+
+    // Stock per location and in transit per variant (the API takes 200 variants per request)
+    async loadLocationStock() {
+        try {
+            const ids = this.state.variants.map(v => v.variant_id);
+            const chunks = [];
+            for (let i = 0; i < ids.length; i += 200) chunks.push(ids.slice(i, i + 200));
+            const results = await Promise.all(chunks.map(chunk => window.locationsAPI.getStock(chunk)));
+            this.state.locationStock = new Map(results.flatMap(r => r.data || []).map(row => [row.variant_id, row]));
+        } catch (error) {
+            console.error('Load stock by location error:', error);
+            this.state.locationStock = new Map();
+        }
+    }
+
+    renderLocationStock(variantId) {
+        const stock = this.state.locationStock.get(variantId);
+        if (!stock || (stock.locations.length === 0 && stock.in_transit.length === 0)) {
+            return '<span class="text-muted">-</span>';
+        }
+        const onHand = stock.locations.map(l =>
+            `<span class="badge ${l.is_sellable ? 'bg-light text-dark border' : 'bg-secondary'}" title="${this.escapeHtml(l.location_name)}${l.is_sellable ? '' : ' (not sellable)'}">${this.escapeHtml(l.location_code)} ${l.quantity}</span>`
+        );
+        const inTransit = stock.in_transit.map(t =>
+            `<span class="badge bg-warning text-dark" title="Transfer #${t.transfer_id} in transit">&rarr; ${this.escapeHtml(t.to_location_code || '')} ${t.quantity}</span>`
+        );
+        return `<div class="d-flex flex-wrap gap-1">${[...onHand, ...inTransit].join('')}</div>`;
+    }
+
+    renderIncoming(variantId) {
+        const incoming = this.state.incoming.get(variantId);
+        if (!incoming) return '<span class="text-muted">-</span>';
+        const expected = incoming.next_expected_date ? ` title="Expected ${incoming.next_expected_date}"` : '';
+        return `<span class="badge bg-info text-dark"${expected}>+${Number(incoming.incoming)}</span>`;
+    }
+
     renderVariants() {
         const tbody = document.getElementById('variantsTableBody');
         if (!tbody) return;
@@ -399,7 +519,10 @@ class AdminManager {
                 <td>${this.escapeHtml(v.size?.size_value || '')}</td>
                 <td>${this.escapeHtml(v.sku || '')}</td>
                 <td>${Number(v.variant_price || 0).toFixed(2)}</td>
+                <td>${v.average_cost == null ? '-' : Number(v.average_cost).toFixed(2)}</td>
                 <td>${Number(v.stock_quantity || 0)}</td>
+                <td>${this.renderLocationStock(v.variant_id)}</td>
+                <td>${this.renderIncoming(v.variant_id)}</td>
                 <td><span class="badge ${v.is_active ? 'bg-success' : 'bg-secondary'}">${v.is_active ? 'Yes' : 'No'}</span></td>
                 <td class="d-flex gap-2">
                     <button class="btn btn-sm btn-outline-primary" data-action="edit-variant" data-id="${v.variant_id}"><i class="fas fa-edit"></i></button>
@@ -436,6 +559,7 @@ class AdminManager {
         const priceEl = document.getElementById('variant_price');
         const initStockEl = document.getElementById('variant_initial_stock');
         const importPriceEl = document.getElementById('variant_import_price');
+        const thresholdEl = document.getElementById('variant_low_stock_threshold');
         const actEl = document.getElementById('variant_active');
 
         if (variant) {
@@ -448,6 +572,7 @@ class AdminManager {
             priceEl.value = variant.variant_price ?? '';
             initStockEl.value = '';
             importPriceEl.value = '';
+            thresholdEl.value = variant.low_stock_threshold ?? '';
             actEl.checked = !!variant.is_active;
         } else {
             title.textContent = 'New Variant';
@@ -459,6 +584,7 @@ class AdminManager {
             priceEl.value = '';
             initStockEl.value = '';
             importPriceEl.value = '';
+            thresholdEl.value = '';
             actEl.checked = true;
         }
         this.modals.variant?.show();
@@ -474,18 +600,26 @@ class AdminManager {
         const variant_price = Number(document.getElementById('variant_price').value || 0);
         const initial_stock = Number(document.getElementById('variant_initial_stock').value || 0);
         const import_price = Number(document.getElementById('variant_import_price').value || 0);
+        const supplier_id = Number(document.getElementById('variant_supplier').value || 0);
+        const low_stock_threshold = this.optionalThreshold('variant_low_stock_threshold');
         const is_active = document.getElementById('variant_active').checked;
 
         if (!shoe_id || !color_id || !size_id || !sku || variant_price < 0) {
             return this.toast('Please fill all required fields and valid price', 'error');
         }
+        if (low_stock_threshold < 0) {
+            return this.toast('The low-stock threshold cannot be negative', 'error');
+        }
+        if (!id && initial_stock > 0 && !supplier_id) {
+            return this.toast('Choose the supplier of the initial stock', 'error');
+        }
 
         const client = this.sb.schema(this.schema).from('shoe_variants');
         let result;
         if (id > 0) {
-            result = await client.update({ shoe_id, color_id, size_id, sku, variant_price, is_active }).eq('variant_id', id).select('*').single();
+            result = await client.update({ shoe_id, color_id, size_id, sku, variant_price, low_stock_threshold, is_active }).eq('variant_id', id).select('*').single();
         } else {
-            result = await client.insert({ shoe_id, color_id, size_id, sku, variant_price, is_active, stock_quantity: 0 }).select('*').single();
+            result = await client.insert({ shoe_id, color_id, size_id, sku, variant_price, low_stock_threshold, is_active, stock_quantity: 0 }).select('*').single();
         }
 
         if (result.error) {
@@ -497,7 +631,7 @@ class AdminManager {
         const variant = result.data;
         // Handle initial stock via imports
         if (!id && initial_stock > 0) {
-            await this.createImport(variant.variant_id, initial_stock, import_price);
+            await this.createImport(variant.variant_id, initial_stock, import_price, supplier_id);
         }
 
         this.modals.variant?.hide();
@@ -517,26 +651,29 @@ class AdminManager {
         const variant_id = Number(document.getElementById('stock_variant_id').value);
         const quantity = Number(document.getElementById('stock_quantity').value || 0);
         const import_price = Number(document.getElementById('stock_import_price').value || 0);
+        const supplier_id = Number(document.getElementById('stock_supplier').value || 0);
+        const location_id = Number(document.getElementById('stock_location')?.value || 0) || null;
         if (quantity <= 0) return this.toast('Quantity must be > 0', 'error');
-        await this.createImport(variant_id, quantity, import_price);
+        if (!supplier_id) return this.toast('Choose a supplier', 'error');
+        if (!await this.createImport(variant_id, quantity, import_price, supplier_id, location_id)) return;
         this.modals.stock?.hide();
         await this.loadVariants();
         this.toast('Stock added', 'success');
     }
 
-    async createImport(variant_id, quantity, import_price) {
-        const user = window.authManager.getCurrentUser();
-        const payload = {
-            user_id: user?.id,
-            variant_id,
-            quantity_imported: quantity,
-            import_price: import_price,
-            import_date: new Date().toISOString()
-        };
-        const { error } = await this.sb.schema(this.schema).from('imports').insert(payload);
-        if (error) {
+    // Receive stock through the imports API, which also updates the variant's average cost
+    async createImport(variant_id, quantity, import_price, supplier_id, location_id = null) {
+        try {
+            await window.importsAPI.createImport({
+                supplier_id,
+                location_id,
+                items: [{ variant_id, quantity_imported: quantity, import_price }]
+            });
+            return true;
+        } catch (error) {
             console.error('Create import error:', error);
             this.toast(error.message || 'Failed to add stock', 'error');
+            return false;
         }
     }
 
@@ -552,7 +689,403 @@ class AdminManager {
         this.toast('Variant deleted', 'success');
     }
 
+    // Stocktake: one open count at a time in this screen (the newest still counting)
+    async loadStocktake() {
+        try {
+            const { data } = await window.stocktakesAPI.getStocktakes({ status: 'counting', limit: 1 });
+            const open = (data || [])[0];
+            this.state.stocktake = open ? (await window.stocktakesAPI.getStocktake(open.stocktake_id)).data : null;
+        } catch (error) {
+            console.error('Load stocktake error:', error);
+            this.state.stocktake = null;
+        }
+        this.renderStocktake();
+    }
+
+    renderStocktakeScope() {
+        const type = document.getElementById('stocktake_scope_type')?.value;
+        const sel = document.getElementById('stocktake_scope_id');
+        if (!sel) return;
+        const options = type === 'category'
+            ? this.state.categories.map(c => `<option value="${c.category_id}">${this.escapeHtml(c.category_name)}</option>`)
+            : this.state.shoes.map(s => `<option value="${s.shoe_id}">${this.escapeHtml(s.shoe_name)}</option>`);
+        sel.innerHTML = type === 'all' ? '' : options.join('');
+        sel.classList.toggle('d-none', type === 'all');
+    }
+
+    renderStocktake() {
+        const stocktake = this.state.stocktake;
+        const session = document.getElementById('stocktakeSession');
+        const startForm = document.getElementById('stocktakeStartForm');
+        if (!session) return;
+        session.classList.toggle('d-none', !stocktake);
+        startForm?.classList.toggle('d-none', !!stocktake);
+        if (!stocktake) return;
+
+        const summary = stocktake.summary;
+        const value = Number(summary.variance_value || 0);
+        document.getElementById('stocktakeSummary').innerHTML = `
+            <strong>#${stocktake.stocktake_id}</strong> ${this.escapeHtml(stocktake.scope_type)}
+            at ${this.escapeHtml(stocktake.stock_locations?.location_code || '')} &middot;
+            ${summary.counted}/${summary.lines} counted &middot;
+            <span class="text-success">+${summary.units_over}</span> / <span class="text-danger">-${summary.units_short}</span> units &middot;
+            <span class="${value < 0 ? 'text-danger' : ''}">${value.toFixed(2)}</span> at cost
+        `;
+
+        const tbody = document.getElementById('stocktakeTableBody');
+        tbody.innerHTML = stocktake.lines.map(line => `
+            <tr class="${line.variance ? 'table-warning' : ''}">
+                <td>${this.escapeHtml(line.sku || '')}</td>
+                <td>${this.escapeHtml(line.shoe_name || '')}</td>
+                <td>${this.escapeHtml(line.color_name || '')}</td>
+                <td>${this.escapeHtml(line.size || '')}</td>
+                <td>${line.counted_quantity == null ? line.current_stock : line.expected_quantity}</td>
+                <td><input type="number" min="0" class="form-control form-control-sm" data-variant-id="${line.variant_id}" value="${line.counted_quantity ?? ''}"></td>
+                <td>${line.variance == null ? '<span class="text-muted">-</span>' : (line.variance > 0 ? `+${line.variance}` : line.variance)}</td>
+                <td>${line.variance_value == null ? '-' : Number(line.variance_value).toFixed(2)}</td>
+            </tr>
+        `).join('');
+    }
+
+    async startStocktake(e) {
+        e.preventDefault();
+        const scope_type = document.getElementById('stocktake_scope_type').value;
+        const scope_id = scope_type === 'all' ? null : Number(document.getElementById('stocktake_scope_id').value || 0);
+        const location_id = Number(document.getElementById('stocktake_location')?.value || 0) || null;
+        const note = (document.getElementById('stocktake_note').value || '').trim() || null;
+        if (scope_type !== 'all' && !scope_id) return this.toast('Choose what to count', 'error');
+        try {
+            const { data } = await window.stocktakesAPI.startStocktake(scope_type, scope_id, note, location_id);
+            this.state.stocktake = data;
+            this.renderStocktake();
+            this.toast('Stocktake started', 'success');
+        } catch (error) {
+            console.error('Start stocktake error:', error);
+            this.toast(error.message || 'Failed to start stocktake', 'error');
+        }
+    }
+
+    async scanStocktakeSku(e) {
+        e.preventDefault();
+        const input = document.getElementById('stocktake_sku');
+        const sku = (input.value || '').trim();
+        if (!sku || !this.state.stocktake) return;
+        try {
+            await window.stocktakesAPI.scan(this.state.stocktake.stocktake_id, sku);
+            input.value = '';
+            await this.refreshStocktake();
+        } catch (error) {
+            console.error('Scan error:', error);
+            this.toast(error.message || 'Failed to record scan', 'error');
+        }
+        input.focus();
+    }
+
+    // Send the counts typed in the table (lines left empty stay uncounted)
+    async saveStocktakeCounts() {
+        if (!this.state.stocktake) return;
+        const counts = Array.from(document.querySelectorAll('#stocktakeTableBody input[data-variant-id]'))
+            .filter(input => input.value !== '')
+            .map(input => ({ variant_id: Number(input.dataset.variantId), counted_quantity: Number(input.value) }))
+            .filter(count => {
+                const line = this.state.stocktake.lines.find(l => l.variant_id === count.variant_id);
+                return line && line.counted_quantity !== count.counted_quantity;
+            });
+        if (counts.length === 0) return this.toast('No counts changed', 'info');
+        try {
+            const { data } = await window.stocktakesAPI.recordCounts(this.state.stocktake.stocktake_id, counts);
+            this.state.stocktake = data;
+            this.renderStocktake();
+            this.toast('Counts saved', 'success');
+        } catch (error) {
+            console.error('Save counts error:', error);
+            this.toast(error.message || 'Failed to save counts', 'error');
+        }
+    }
+
+    async approveStocktake() {
+        const stocktake = this.state.stocktake;
+        if (!stocktake) return;
+        const { with_variance, uncounted } = stocktake.summary;
+        if (!confirm(`Adjust stock for ${with_variance} variance(s)? ${uncounted} uncounted line(s) keep their stock.`)) return;
+        try {
+            await window.stocktakesAPI.approveStocktake(stocktake.stocktake_id);
+            this.state.stocktake = null;
+            this.renderStocktake();
+            await this.loadVariants();
+            this.toast('Stocktake approved', 'success');
+        } catch (error) {
+            console.error('Approve stocktake error:', error);
+            this.toast(error.message || 'Failed to approve stocktake', 'error');
+        }
+    }
+
+    async cancelStocktake() {
+        if (!this.state.stocktake || !confirm('Cancel this stocktake? Counts are discarded.')) return;
+        try {
+            await window.stocktakesAPI.cancelStocktake(this.state.stocktake.stocktake_id);
+            this.state.stocktake = null;
+            this.renderStocktake();
+            this.toast('Stocktake cancelled', 'success');
+        } catch (error) {
+            console.error('Cancel stocktake error:', error);
+            this.toast(error.message || 'Failed to cancel stocktake', 'error');
+        }
+    }
+
+    async refreshStocktake() {
+        const { data } = await window.stocktakesAPI.getStocktake(this.state.stocktake.stocktake_id);
+        this.state.stocktake = data;
+        this.renderStocktake();
+    }
+
     // Utils
+    // Reorder suggestions: variants whose stock and incoming units no longer cover the lead time
+    reorderOptions() {
+        return {
+            window_days: Number(document.getElementById('reorder_window')?.value || 30),
+            target_cover_days: Number(document.getElementById('reorder_cover')?.value || 30)
+        };
+    }
+
+    async loadReorder() {
+        try {
+            const { data } = await window.replenishmentAPI.getSuggestions({ ...this.reorderOptions(), needs_reorder: true });
+            this.state.reorder = data;
+        } catch (error) {
+            console.error('Load reorder suggestions error:', error);
+            this.toast(error.message || 'Failed to load reorder suggestions', 'error');
+            this.state.reorder = null;
+        }
+        this.renderReorder();
+    }
+
+    renderReorder() {
+        const tbody = document.getElementById('reorderTableBody');
+        if (!tbody) return;
+        const report = this.state.reorder;
+        const summary = report?.summary;
+        document.getElementById('reorderSummary').innerHTML = summary ? `
+            ${summary.needs_reorder} variants to reorder &middot; ${summary.units} units &middot;
+            ${Number(summary.value || 0).toFixed(2)} at cost
+            ${summary.without_supplier ? `&middot; <span class="text-danger">${summary.without_supplier} without a supplier</span>` : ''}
+        ` : '';
+
+        tbody.innerHTML = (report?.suggestions || []).map(s => `
+            <tr class="${s.days_of_cover !== null && s.days_of_cover < s.lead_time_days ? 'table-warning' : ''}">
+                <td>${this.escapeHtml(s.sku || '')}</td>
+                <td>${this.escapeHtml(s.shoe_name || '')}</td>
+                <td>${this.escapeHtml(s.color_name || '')}</td>
+                <td>${this.escapeHtml(s.size || '')}</td>
+                <td>${[7, 30, 90].map(days => s.units_sold[days] ?? 0).join(' / ')}</td>
+                <td>${Number(s.daily_velocity).toFixed(2)}</td>
+                <td>${s.on_hand}</td>
+                <td>${s.incoming || '<span class="text-muted">-</span>'}</td>
+                <td>${s.days_of_cover ?? '-'}</td>
+                <td>${s.supplier_name ? `${this.escapeHtml(s.supplier_name)} (${s.lead_time_days}d)` : '<span class="text-danger">None</span>'}</td>
+                <td><input type="number" min="0" class="form-control form-control-sm" data-variant-id="${s.variant_id}" value="${s.suggested_quantity}"${s.supplier_id ? '' : ' disabled'}></td>
+            </tr>
+        `).join('');
+    }
+
+    async createReorderPurchaseOrders() {
+        const items = Array.from(document.querySelectorAll('#reorderTableBody input[data-variant-id]:not([disabled])'))
+            .map(input => ({ variant_id: Number(input.getAttribute('data-variant-id')), quantity: Number(input.value || 0) }))
+            .filter(item => item.quantity > 0);
+        if (items.length === 0) return this.toast('Nothing to order', 'error');
+        if (!confirm(`Draft purchase orders for ${items.length} variants?`)) return;
+        try {
+            const { data } = await window.replenishmentAPI.createPurchaseOrders({ ...this.reorderOptions(), items });
+            this.toast(`${data.length} draft purchase orders created`, 'success');
+            await Promise.all([this.loadReorder(), this.loadVariants()]);
+        } catch (error) {
+            console.error('Create reorder purchase orders error:', error);
+            this.toast(error.message || 'Failed to create purchase orders', 'error');
+        }
+    }
+
+    // Low-stock threshold input: empty falls back to the shoe's (or the default) threshold
+    optionalThreshold(inputId) {
+        const value = (document.getElementById(inputId)?.value || '').trim();
+        return value === '' ? null : Math.floor(Number(value));
+    }
+
+    // Low-stock alerts inbox: raised once per crossing of a variant's threshold
+    async loadAlertSummary() {
+        try {
+            const { data } = await window.alertsAPI.getSummary();
+            const badge = document.getElementById('alertsBadge');
+            if (!badge) return;
+            badge.textContent = data.open || '';
+            badge.classList.toggle('d-none', !data.open);
+        } catch (error) {
+            console.error('Load alert summary error:', error);
+        }
+    }
+
+    async loadAlerts() {
+        const status = document.getElementById('alertStatusFilter')?.value || '';
+        try {
+            const { data } = await window.alertsAPI.getAlerts({ ...(status && { status }), limit: 100 });
+            this.state.alerts = data || [];
+        } catch (error) {
+            console.error('Load alerts error:', error);
+            this.toast(error.message || 'Failed to load alerts', 'error');
+            this.state.alerts = [];
+        }
+        this.renderAlerts();
+        await this.loadAlertSummary();
+    }
+
+    renderAlerts() {
+        const tbody = document.getElementById('alertsTableBody');
+        if (!tbody) return;
+        const badges = { open: 'bg-danger', acknowledged: 'bg-warning text-dark', resolved: 'bg-success' };
+
+        tbody.innerHTML = this.state.alerts.map(a => {
+            const variant = a.shoe_variants || {};
+            const delivered = (a.low_stock_alert_deliveries || [])
+                .map(d => `<span class="badge ${d.status === 'sent' ? 'bg-secondary' : 'bg-danger'}" title="${this.escapeHtml(d.last_error || '')}">${this.escapeHtml(d.channel)}</span>`)
+                .join(' ');
+            return `
+                <tr>
+                    <td class="small">${new Date(a.created_at).toLocaleString()}</td>
+                    <td>${this.escapeHtml(variant.sku || '')}</td>
+                    <td>${this.escapeHtml(variant.shoes?.shoe_name || '')}</td>
+                    <td>${this.escapeHtml(variant.colors?.color_name || '')}</td>
+                    <td>${this.escapeHtml(variant.sizes?.size_value || '')}</td>
+                    <td>${a.stock_quantity} / ${variant.stock_quantity ?? '-'}</td>
+                    <td>${a.threshold}</td>
+                    <td>${delivered || '<span class="text-muted">-</span>'}</td>
+                    <td>
+                        <span class="badge ${badges[a.status] || 'bg-secondary'}">${a.status}</span>
+                        ${a.acknowledgement_note ? `<div class="small text-muted">${this.escapeHtml(a.acknowledgement_note)}</div>` : ''}
+                    </td>
+                    <td>
+                        ${a.status === 'open' ? `<button class="btn btn-sm btn-outline-primary" data-action="ack-alert" data-id="${a.alert_id}">Acknowledge</button>` : ''}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        tbody.querySelectorAll('[data-action="ack-alert"]').forEach(btn => btn.addEventListener('click', (e) => {
+            this.acknowledgeAlert(Number(e.currentTarget.getAttribute('data-id')));
+        }));
+    }
+
+    async acknowledgeAlert(id) {
+        const note = prompt('Note (optional)', '');
+        if (note === null) return;
+        try {
+            await window.alertsAPI.acknowledgeAlert(id, note.trim() || null);
+            this.toast('Alert acknowledged', 'success');
+            await this.loadAlerts();
+        } catch (error) {
+            console.error('Acknowledge alert error:', error);
+            this.toast(error.message || 'Failed to acknowledge alert', 'error');
+        }
+    }
+
+    // Catalog import: preview the file (dry run), then import the rows without errors
+    async readCatalogFile() {
+        const file = document.getElementById('catalog_file')?.files?.[0];
+        if (!file) return null;
+        if (!/\.xlsx$/i.test(file.name)) return { filename: file.name, content: await file.text() };
+
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return { filename: file.name, content: btoa(binary) };
+    }
+
+    async previewCatalogImport(e) {
+        e.preventDefault();
+        const file = await this.readCatalogFile();
+        if (!file) return this.toast('Choose a CSV or XLSX file', 'error');
+        const request = {
+            ...file,
+            location_id: Number(document.getElementById('catalog_location')?.value || 0) || null,
+            update_stock: Boolean(document.getElementById('catalog_update_stock')?.checked)
+        };
+        try {
+            const { data } = await window.catalogAPI.importCatalog({ ...request, dry_run: true });
+            this.state.catalogImport = { request, report: data };
+        } catch (error) {
+            console.error('Preview catalog import error:', error);
+            this.toast(error.message || 'Failed to read the catalog file', 'error');
+            this.state.catalogImport = null;
+        }
+        this.renderCatalogImport();
+    }
+
+    async applyCatalogImport() {
+        const preview = this.state.catalogImport;
+        if (!preview?.report?.dry_run) return;
+        const { summary } = preview.report;
+        const skipped = summary.error ? ` ${summary.error} rows with errors will be skipped.` : '';
+        if (!confirm(`Import ${summary.create} new and ${summary.update} updated variants?${skipped}`)) return;
+        try {
+            const { data } = await window.catalogAPI.importCatalog({ ...preview.request, dry_run: false });
+            this.state.catalogImport = { request: preview.request, report: data };
+            this.toast(`${data.summary.create} variants created, ${data.summary.update} updated`, 'success');
+            await this.preloadData();
+            await Promise.all([this.loadCategories(), this.loadShoes(), this.loadVariants()]);
+        } catch (error) {
+            console.error('Catalog import error:', error);
+            this.toast(error.message || 'Failed to import the catalog', 'error');
+        }
+        this.renderCatalogImport();
+    }
+
+    async exportCatalog(format) {
+        const locationId = document.getElementById('catalog_location')?.value;
+        try {
+            await window.catalogAPI.exportCatalog(locationId ? { location_id: locationId } : {}, format);
+        } catch (error) {
+            console.error('Catalog export error:', error);
+            this.toast(error.message || 'Failed to export the catalog', 'error');
+        }
+    }
+
+    renderCatalogImport() {
+        const tbody = document.getElementById('catalogImportTableBody');
+        if (!tbody) return;
+        const report = this.state.catalogImport?.report;
+        const summary = report?.summary;
+        const applyBtn = document.getElementById('btnApplyCatalogImport');
+        if (applyBtn) applyBtn.disabled = !(report?.dry_run && summary.create + summary.update > 0);
+
+        const created = summary && ['categories', 'shoes', 'colors', 'sizes']
+            .filter(type => summary[`new_${type}`])
+            .map(type => `${summary[`new_${type}`]} ${type}`);
+        document.getElementById('catalogImportSummary').innerHTML = summary ? `
+            ${report.dry_run ? 'Preview' : 'Imported'} at ${this.escapeHtml(report.location.location_code)}:
+            ${summary.rows} rows &middot; ${summary.create} to create &middot; ${summary.update} to update &middot;
+            ${summary.unchanged} unchanged
+            ${summary.error ? `&middot; <span class="text-danger">${summary.error} with errors</span>` : ''}
+            ${created.length ? `&middot; new ${created.join(', ')}` : ''}
+            ${summary.stock_skipped ? `&middot; stock of ${summary.stock_skipped} existing variants left as it is` : ''}
+        ` : '';
+
+        const badges = { create: 'bg-success', update: 'bg-primary', unchanged: 'bg-secondary', error: 'bg-danger' };
+        const format = value => (value === null || value === undefined ? '-' : this.escapeHtml(value));
+        tbody.innerHTML = (report?.rows || []).map(r => `
+            <tr class="${r.action === 'error' ? 'table-danger' : ''}">
+                <td>${r.line}</td>
+                <td><span class="badge ${badges[r.action] || 'bg-secondary'}">${r.action}</span></td>
+                <td>${this.escapeHtml(r.sku || '')}</td>
+                <td>${this.escapeHtml(r.shoe_name || '')}</td>
+                <td>${this.escapeHtml(r.color || '')}</td>
+                <td>${this.escapeHtml(r.size || '')}</td>
+                <td class="small">${r.creates.join(', ') || '<span class="text-muted">-</span>'}</td>
+                <td class="small">${Object.entries(r.changes).map(([field, c]) => `${field}: ${format(c.from)} &rarr; ${format(c.to)}`).join('<br>') || '<span class="text-muted">-</span>'}</td>
+                <td class="small text-danger">${r.errors.map(error => this.escapeHtml(error)).join('<br>')}</td>
+            </tr>
+        `).join('');
+    }
+
     toast(message, type = 'info') {
         if (window.showToast) return window.showToast(message, type);
         // fallback
@@ -33,6 +33,12 @@ class ApiClient {
             return config;
         });
 
+        // Request interceptor for the guest cart token (owns stock holds)
+        this.addRequestInterceptor((config) => {
+            config.headers['X-Cart-Token'] = this.getCartToken();
+            return config;
+        });
+
         // Response interceptor for error handling
         this.addResponseInterceptor(
             (response) => response,
@@ -265,8 +271,11 @@ class ApiClient {
             }
         });
 
-        // Create blob and download
-        const blob = new Blob([response.data]);
+        // Create blob and download (non-JSON bodies arrive as text under data.data, JSON ones parsed)
+        const body = typeof response.data?.data === 'string'
+            ? response.data.data
+            : JSON.stringify(response.data, null, 2);
+        const blob = new Blob([body]);
         const url = window.URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
@@ -297,6 +306,25 @@ class ApiClient {
         }
     }
 
+    /**
+     * Get the guest cart token, creating one on first use
+     */
+    getCartToken() {
+        let token = localStorage.getItem('cart_token');
+        if (!token) {
+            token = crypto.randomUUID();
+            localStorage.setItem('cart_token', token);
+        }
+        return token;
+    }
+
+    /**
+     * Start a new guest cart (after the old one was merged into an account)
+     */
+    resetCartToken() {
+        localStorage.removeItem('cart_token');
+    }
+
     /**
      * Get refresh token
      */
@@ -569,6 +597,22 @@ class ProductsAPI {
     return response.data;
   }
 
+  /**
+   * Get the stock movements of a variant (seller only)
+   */
+  async getVariantMovements(variantId, params = {}) {
+    const response = await this.client.get(`/api/variants/${variantId}/movements`, params);
+    return response.data;
+  }
+
+  /**
+   * Compare cached stock with the movement ledger (seller only)
+   */
+  async checkStockDrift(variantId = null) {
+    const response = await this.client.get('/api/variants/stock-drift', variantId ? { variant_id: variantId } : {});
+    return response.data;
+  }
+
   /**
    * Get all colors
    */
@@ -609,8 +653,563 @@ class OrdersAPI {
         return response.data;
     }
 
-    async updateOrderStatus(id, status) {
-        const response = await this.client.put(`/api/orders/${id}/status`, { status });
+    async updateOrderStatus(id, status, note = null) {
+        const response = await this.client.put(`/api/orders/${id}/status`, { status, ...(note && { note }) });
+        return response.data;
+    }
+
+    async quoteOrder(orderData) {
+        const response = await this.client.post('/api/orders/quote', orderData);
+        return response.data;
+    }
+
+    async getInvoice(id) {
+        const response = await this.client.get(`/api/orders/${id}/invoice`);
+        return response.data;
+    }
+
+    async getOrderHistory(id) {
+        const response = await this.client.get(`/api/orders/${id}/history`);
+        return response.data;
+    }
+
+    async cancelOrder(id, reason = null) {
+        const response = await this.client.put(`/api/orders/${id}/cancel`, { ...(reason && { reason }) });
+        return response.data;
+    }
+}
+
+// Returns API (returns and size exchanges)
+class ReturnsAPI {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async getReturns(params = {}) {
+        const response = await this.client.get('/api/returns', params);
+        return response.data;
+    }
+
+    async getReturn(id) {
+        const response = await this.client.get(`/api/returns/${id}`);
+        return response.data;
+    }
+
+    async createReturn(returnData) {
+        const response = await this.client.post('/api/returns', returnData);
+        return response.data;
+    }
+
+    async cancelReturn(id) {
+        const response = await this.client.put(`/api/returns/${id}/cancel`);
+        return response.data;
+    }
+}
+
+// Shipping API (rates for checkout)
+class ShippingAPI {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async getQuote(params = {}) {
+        const response = await this.client.get('/api/shipping/quote', params);
+        return response.data;
+    }
+}
+
+// Promotions API (coupons and automatic promotions, sellers only)
+class PromotionsAPI {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async getPromotions(params = {}) {
+        const response = await this.client.get('/api/promotions', params);
+        return response.data;
+    }
+
+    async getPromotion(id) {
+        const response = await this.client.get(`/api/promotions/${id}`);
+        return response.data;
+    }
+
+    async createPromotion(promotionData) {
+        const response = await this.client.post('/api/promotions', promotionData);
+        return response.data;
+    }
+
+    async updatePromotion(id, updates) {
+        const response = await this.client.put(`/api/promotions/${id}`, updates);
+        return response.data;
+    }
+
+    async deactivatePromotion(id) {
+        const response = await this.client.delete(`/api/promotions/${id}`);
+        return response.data;
+    }
+}
+
+// Suppliers API (seller only; deleting deactivates)
+class SuppliersAPI {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async getSuppliers(params = {}) {
+        const response = await this.client.get('/api/suppliers', params);
+        return response.data;
+    }
+
+    async getSupplier(id) {
+        const response = await this.client.get(`/api/suppliers/${id}`);
+        return response.data;
+    }
+
+    async createSupplier(supplierData) {
+        const response = await this.client.post('/api/suppliers', supplierData);
+        return response.data;
+    }
+
+    async updateSupplier(id, updates) {
+        const response = await this.client.put(`/api/suppliers/${id}`, updates);
+        return response.data;
+    }
+
+    async deactivateSupplier(id) {
+        const response = await this.client.delete(`/api/suppliers/${id}`);
+        return response.data;
+    }
+}
+
+// Imports API (stock received from suppliers)
+class ImportsAPI {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async getImports(params = {}) {
+        const response = await this.client.get('/api/imports', params);
+        return response.data;
+    }
+
+    async getImport(id) {
+        const response = await this.client.get(`/api/imports/${id}`);
+        return response.data;
+    }
+
+    // { supplier_id, import_date?, notes?, items: [{ variant_id, quantity_imported, import_price }] }
+    async createImport(importData) {
+        const response = await this.client.post('/api/imports', importData);
+        return response.data;
+    }
+}
+
+// Purchase Orders API (seller only; receipts become imports)
+class PurchaseOrdersAPI {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async getPurchaseOrders(params = {}) {
+        const response = await this.client.get('/api/purchase-orders', params);
+        return response.data;
+    }
+
+    async getPurchaseOrder(id) {
+        const response = await this.client.get(`/api/purchase-orders/${id}`);
+        return response.data;
+    }
+
+    async createPurchaseOrder(purchaseOrderData) {
+        const response = await this.client.post('/api/purchase-orders', purchaseOrderData);
+        return response.data;
+    }
+
+    async updatePurchaseOrder(id, updates) {
+        const response = await this.client.put(`/api/purchase-orders/${id}`, updates);
+        return response.data;
+    }
+
+    async approvePurchaseOrder(id) {
+        const response = await this.client.put(`/api/purchase-orders/${id}/approve`);
+        return response.data;
+    }
+
+    async sendPurchaseOrder(id) {
+        const response = await this.client.put(`/api/purchase-orders/${id}/send`);
+        return response.data;
+    }
+
+    async cancelPurchaseOrder(id) {
+        const response = await this.client.put(`/api/purchase-orders/${id}/cancel`);
+        return response.data;
+    }
+
+    async receivePurchaseOrder(id, items, note = null) {
+        const response = await this.client.post(`/api/purchase-orders/${id}/receipts`, { items, note });
+        return response.data;
+    }
+
+    async getIncoming(variantIds = []) {
+        const params = variantIds.length > 0 ? { variant_id: variantIds.join(',') } : {};
+        const response = await this.client.get('/api/purchase-orders/incoming', params);
+        return response.data;
+    }
+}
+
+// Stocktakes API (seller only; approving adjusts stock by the counted variances)
+class StocktakesAPI {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async getStocktakes(params = {}) {
+        const response = await this.client.get('/api/stocktakes', params);
+        return response.data;
+    }
+
+    async getStocktake(id) {
+        const response = await this.client.get(`/api/stocktakes/${id}`);
+        return response.data;
+    }
+
+    async startStocktake(scopeType, scopeId = null, note = null, locationId = null) {
+        const response = await this.client.post('/api/stocktakes', {
+            scope_type: scopeType,
+            scope_id: scopeId,
+            location_id: locationId,
+            note
+        });
+        return response.data;
+    }
+
+    async recordCounts(id, counts) {
+        const response = await this.client.put(`/api/stocktakes/${id}/counts`, { counts });
+        return response.data;
+    }
+
+    async scan(id, sku, quantity = 1) {
+        const response = await this.client.post(`/api/stocktakes/${id}/scans`, { sku, quantity });
+        return response.data;
+    }
+
+    async approveStocktake(id) {
+        const response = await this.client.put(`/api/stocktakes/${id}/approve`);
+        return response.data;
+    }
+
+    async cancelStocktake(id) {
+        const response = await this.client.put(`/api/stocktakes/${id}/cancel`);
+        return response.data;
+    }
+}
+
+// Replenishment API (seller only; reorder suggestions and the draft purchase orders made from them)
+class ReplenishmentAPI {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async getSuggestions(params = {}) {
+        const response = await this.client.get('/api/replenishment', params);
+        return response.data;
+    }
+
+    async createPurchaseOrders(options = {}) {
+        const response = await this.client.post('/api/replenishment/purchase-orders', options);
+        return response.data;
+    }
+}
+
+// Alerts API (seller only; low-stock alert inbox)
+class AlertsAPI {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async getAlerts(params = {}) {
+        const response = await this.client.get('/api/alerts', params);
+        return response.data;
+    }
+
+    async getSummary() {
+        const response = await this.client.get('/api/alerts/summary');
+        return response.data;
+    }
+
+    async acknowledgeAlert(id, note = null) {
+        const response = await this.client.put(`/api/alerts/${id}/acknowledge`, { ...(note && { note }) });
+        return response.data;
+    }
+}
+
+// Catalog API (seller only; bulk import of shoes, variants and stock)
+class CatalogAPI {
+    constructor(client) {
+        this.client = client;
+    }
+
+    // { filename, content (CSV text or base64 XLSX), location_id, dry_run, update_stock }
+    async importCatalog(file) {
+        const response = await this.client.post('/api/catalog/import', file);
+        return response.data;
+    }
+
+    // Downloads the catalog as CSV (re-importable) or JSON; params are the product filters and location_id
+    async exportCatalog(params = {}, format = 'csv') {
+        const query = new URLSearchParams({ ...params, format }).toString();
+        const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+        return this.client.download(`/api/catalog/export?${query}`, `catalog-${date}.${format}`);
+    }
+}
+
+// Locations API (seller only; warehouses and stores, and stock per location)
+class LocationsAPI {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async getLocations(params = {}) {
+        const response = await this.client.get('/api/locations', params);
+        return response.data;
+    }
+
+    async getLocation(id) {
+        const response = await this.client.get(`/api/locations/${id}`);
+        return response.data;
+    }
+
+    async createLocation(locationData) {
+        const response = await this.client.post('/api/locations', locationData);
+        return response.data;
+    }
+
+    async updateLocation(id, locationData) {
+        const response = await this.client.put(`/api/locations/${id}`, locationData);
+        return response.data;
+    }
+
+    async getStock(variantIds) {
+        const response = await this.client.get('/api/locations/stock', { variant_id: variantIds.join(',') });
+        return response.data;
+    }
+}
+
+// Transfers API (seller only; stock moved between locations)
+class TransfersAPI {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async getTransfers(params = {}) {
+        const response = await this.client.get('/api/transfers', params);
+        return response.data;
+    }
+
+    async getTransfer(id) {
+        const response = await this.client.get(`/api/transfers/${id}`);
+        return response.data;
+    }
+
+    async createTransfer(transferData) {
+        const response = await this.client.post('/api/transfers', transferData);
+        return response.data;
+    }
+
+    async receiveTransfer(id, items = []) {
+        const response = await this.client.put(`/api/transfers/${id}/receive`, { items });
+        return response.data;
+    }
+
+    async cancelTransfer(id) {
+        const response = await this.client.put(`/api/transfers/${id}/cancel`);
+        return response.data;
+    }
+}
+
+// Payments API (paying orders; pending payments settle when fetched)
+class PaymentsAPI {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async getPayments(params = {}) {
+        const response = await this.client.get('/api/payments', params);
+        return response.data;
+    }
+
+    async getPayment(id) {
+        const response = await this.client.get(`/api/payments/${id}`);
+        return response.data;
+    }
+
+    async processPayment(paymentData) {
+        const response = await this.client.post('/api/payments', paymentData);
+        return response.data;
+    }
+
+    async updatePaymentStatus(id, status, failureReason = null) {
+        const response = await this.client.put(`/api/payments/${id}/status`, { status, failure_reason: failureReason });
+        return response.data;
+    }
+
+    async getRefunds(paymentId) {
+        const response = await this.client.get(`/api/payments/${paymentId}/refunds`);
+        return response.data;
+    }
+
+    async createRefund(paymentId, refundData) {
+        const response = await this.client.post(`/api/payments/${paymentId}/refunds`, refundData);
+        return response.data;
+    }
+
+    async getRevenueReport(params = {}) {
+        const response = await this.client.get('/api/payments/revenue', params);
+        return response.data;
+    }
+
+    // Bank statement CSV text, e.g. from FileReader.readAsText
+    async uploadStatement(filename, content) {
+        const response = await this.client.post('/api/payments/reconciliations', { filename, content });
+        return response.data;
+    }
+
+    async getStatements(params = {}) {
+        const response = await this.client.get('/api/payments/reconciliations', params);
+        return response.data;
+    }
+
+    async getReconciliationReview(params = {}) {
+        const response = await this.client.get('/api/payments/reconciliations/review', params);
+        return response.data;
+    }
+
+    // action: 'match' (settle paymentId with this transfer) or 'ignore'
+    async resolveStatementLine(lineId, action, { paymentId = null, note = null } = {}) {
+        const response = await this.client.put(`/api/payments/reconciliations/lines/${lineId}/resolve`, {
+            action,
+            ...(paymentId && { payment_id: paymentId }),
+            ...(note && { note })
+        });
+        return response.data;
+    }
+}
+
+// Cash on delivery API (staff)
+class CodAPI {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async getCollections(params = {}) {
+        const response = await this.client.get('/api/cod/collections', params);
+        return response.data;
+    }
+
+    // items: [{ order_id or tracking_number, collected_amount }]
+    async confirmRemittance(courier, items, { reference = null, note = null } = {}) {
+        const response = await this.client.post('/api/cod/remittances', {
+            courier,
+            items,
+            ...(reference && { reference }),
+            ...(note && { note })
+        });
+        return response.data;
+    }
+
+    async getRemittances(params = {}) {
+        const response = await this.client.get('/api/cod/remittances', params);
+        return response.data;
+    }
+
+    async getRemittance(id) {
+        const response = await this.client.get(`/api/cod/remittances/${id}`);
+        return response.data;
+    }
+
+    async resolveCollection(id, note) {
+        const response = await this.client.put(`/api/cod/collections/${id}/resolve`, { note });
+        return response.data;
+    }
+
+    async getReport(params = {}) {
+        const response = await this.client.get('/api/cod/report', params);
+        return response.data;
+    }
+
+    // Downloads the report as CSV
+    async exportReport(params = {}) {
+        const query = new URLSearchParams({ ...params, format: 'csv' }).toString();
+        return this.client.download(`/api/cod/report?${query}`, `cod-report-${params.from || 'today'}.csv`);
+    }
+}
+
+// Cart API (server-side cart, guests identified by X-Cart-Token)
+class CartAPI {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async getCart() {
+        const response = await this.client.get('/api/cart');
+        return response.data;
+    }
+
+    async addItem(variantId, quantity = 1) {
+        const response = await this.client.post('/api/cart/items', { variant_id: variantId, quantity });
+        return response.data;
+    }
+
+    async updateItem(variantId, quantity) {
+        const response = await this.client.patch(`/api/cart/items/${variantId}`, { quantity });
+        return response.data;
+    }
+
+    async removeItem(variantId) {
+        const response = await this.client.delete(`/api/cart/items/${variantId}`);
+        return response.data;
+    }
+
+    async clearCart() {
+        const response = await this.client.delete('/api/cart');
+        return response.data;
+    }
+
+    async mergeGuestCart() {
+        const response = await this.client.post('/api/cart/merge');
+        return response.data;
+    }
+
+    async applyCoupon(code) {
+        const response = await this.client.post('/api/cart/coupon', { code });
+        return response.data;
+    }
+
+    async removeCoupon() {
+        const response = await this.client.delete('/api/cart/coupon');
+        return response.data;
+    }
+}
+
+// Reservations API (cart stock holds)
+class ReservationsAPI {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async getReservations() {
+        const response = await this.client.get('/api/reservations');
+        return response.data;
+    }
+
+    async reserve(variantId, quantity) {
+        const response = await this.client.put(`/api/reservations/${variantId}`, { quantity });
+        return response.data;
+    }
+
+    async release(variantId) {
+        const response = await this.client.delete(`/api/reservations/${variantId}`);
         return response.data;
     }
 }
@@ -646,7 +1245,23 @@ class UsersAPI {
 const authAPI = new AuthAPI(apiClient);
 const productsAPI = new ProductsAPI(apiClient);
 const ordersAPI = new OrdersAPI(apiClient);
+const returnsAPI = new ReturnsAPI(apiClient);
+const shippingAPI = new ShippingAPI(apiClient);
+const promotionsAPI = new PromotionsAPI(apiClient);
+const suppliersAPI = new SuppliersAPI(apiClient);
+const importsAPI = new ImportsAPI(apiClient);
+const purchaseOrdersAPI = new PurchaseOrdersAPI(apiClient);
+const stocktakesAPI = new StocktakesAPI(apiClient);
+const replenishmentAPI = new ReplenishmentAPI(apiClient);
+const alertsAPI = new AlertsAPI(apiClient);
+const catalogAPI = new CatalogAPI(apiClient);
+const locationsAPI = new LocationsAPI(apiClient);
+const transfersAPI = new TransfersAPI(apiClient);
+const paymentsAPI = new PaymentsAPI(apiClient);
+const reservationsAPI = new ReservationsAPI(apiClient);
+const cartAPI = new CartAPI(apiClient);
 const usersAPI = new UsersAPI(apiClient);
+const codAPI = new CodAPI(apiClient);
 
 // Export for global use
 window.ApiClient = ApiClient;
@@ -654,8 +1269,24 @@ window.apiClient = apiClient;
 window.authAPI = authAPI;
 window.productsAPI = productsAPI;
 window.ordersAPI = ordersAPI;
+window.returnsAPI = returnsAPI;
+window.shippingAPI = shippingAPI;
+window.promotionsAPI = promotionsAPI;
+window.suppliersAPI = suppliersAPI;
+window.importsAPI = importsAPI;
+window.purchaseOrdersAPI = purchaseOrdersAPI;
+window.stocktakesAPI = stocktakesAPI;
+window.replenishmentAPI = replenishmentAPI;
+window.alertsAPI = alertsAPI;
+window.catalogAPI = catalogAPI;
+window.locationsAPI = locationsAPI;
+window.transfersAPI = transfersAPI;
+window.paymentsAPI = paymentsAPI;
+window.reservationsAPI = reservationsAPI;
+window.cartAPI = cartAPI;
 window.usersAPI = usersAPI;
+window.codAPI = codAPI;
 
 export default ApiClient;
-export { apiClient, authAPI, productsAPI, ordersAPI, usersAPI };
+export { apiClient, authAPI, productsAPI, ordersAPI, returnsAPI, shippingAPI, promotionsAPI, suppliersAPI, importsAPI, purchaseOrdersAPI, stocktakesAPI, replenishmentAPI, alertsAPI, catalogAPI, locationsAPI, transfersAPI, paymentsAPI, reservationsAPI, cartAPI, usersAPI, codAPI };
 
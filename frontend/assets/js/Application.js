@@ -7,6 +7,7 @@ import authService from './services/AuthService.js';
 import { authManager } from './AuthManager.js';
 import { productManager } from './ProductManager.js';
 import { navbarManager } from './NavbarManager.js';
+import { cartManager } from './CartManager.js';
 
 class Application {
     constructor(options = {}) {
@@ -186,15 +187,20 @@ class Application {
             }
         });
 
-        // Product events
-        productManager.on('cartUpdated', (data) => {
+        // Cart events
+        cartManager.on('cartUpdated', (data) => {
             this.updateCartUI(data);
             // Bridge to navbar manager
             if (navbarManager.isInitialized) {
-                const cartCount = productManager.getCartItemCount();
-                navbarManager.updateCartCount(cartCount);
+                navbarManager.updateCartCount(cartManager.getCartItemCount());
             }
         });
+
+        cartManager.load().catch(error => {
+            console.error('❌ Failed to load cart:', error);
+        });
+
+        // Product events
         
         productManager.on('categoriesLoaded', (categories) => {
             this.renderCategories(categories);
@@ -560,10 +566,10 @@ class Application {
      */
     updateCartUI(data = null) {
         const cartCount = document.getElementById('cartCount');
-        const cart = productManager.getCart();
+        const cart = cartManager.getCart();
         
         if (cartCount) {
-            const itemCount = productManager.getCartItemCount();
+            const itemCount = cartManager.getCartItemCount();
             cartCount.textContent = itemCount;
             cartCount.style.display = itemCount > 0 ? 'block' : 'none';
         }
@@ -586,15 +592,16 @@ class Application {
         
         const cartHTML = cart.slice(0, 3).map(item => `
             <div class="dropdown-item d-flex align-items-center">
-                <img src="${item.product_image}" alt="${item.product_name}" class="me-2" style="width: 40px; height: 40px; object-fit: cover;">
+                <img src="${item.variant.shoes?.image_url || ''}" alt="${item.variant.shoes?.shoe_name || ''}" class="me-2" style="width: 40px; height: 40px; object-fit: cover;">
                 <div class="flex-grow-1">
-                    <div class="fw-bold">${item.product_name}</div>
-                    <div class="text-muted small">${productManager.formatPrice(item.price)} x ${item.quantity}</div>
+                    <div class="fw-bold">${item.variant.shoes?.shoe_name || ''}</div>
+                    <div class="text-muted small">${cartManager.formatPrice(item.unit_price)} x ${item.quantity}</div>
+                    ${item.warnings.map(warning => `<div class="text-warning small">${cartManager.describeWarning(warning)}</div>`).join('')}
                 </div>
             </div>
         `).join('');
         
-        const total = productManager.getCartTotal();
+        const total = cartManager.getCartTotal();
         const moreItems = cart.length > 3 ? `<div class="dropdown-item text-center">+${cart.length - 3} more items</div>` : '';
         
         container.innerHTML = `
@@ -602,7 +609,7 @@ class Application {
             ${moreItems}
             <div class="dropdown-divider"></div>
             <div class="dropdown-item d-flex justify-content-between">
-                <strong>Total: ${productManager.formatPrice(total)}</strong>
+                <strong>Total: ${cartManager.formatPrice(total)}</strong>
             </div>
             <div class="dropdown-item">
                 <a href="cart.html" class="btn btn-primary w-100">View Cart</a>
@@ -877,7 +884,8 @@ class Application {
             }
             
             // If on protected pages, open login modal instead of redirect
-            const protectedPages = ['/profile.html', '/orders.html', '/cart.html'];
+            // (the cart works for guests, it is merged into the account at sign-in)
+            const protectedPages = ['/profile.html', '/orders.html'];
             if (protectedPages.some(page => currentPath.includes(page))) {
                 console.log('🔄 Opening login modal for protected page');
                 if (window.showLoginModal) {
@@ -1,6 +1,223 @@
-// Cart Manager
+/**
+ * CartManager - Server-side cart state
+ * Guests are identified by the X-Cart-Token header (see ApiClient);
+ * their cart is merged into the account cart when the user signs in.
+ */
+
+import { authManager } from './AuthManager.js';
+import { apiClient, cartAPI } from './ApiClient.js';
+
 class CartManager {
     constructor() {
+        this.api = cartAPI;
+        this.cart = this.emptyCart();
+        this.listeners = new Map();
+        this.isLoaded = false;
+
+        authManager.on('signedIn', () => this.handleSignedIn());
+        authManager.on('signedOut', () => this.handleSignedOut());
+
         console.log('Cart Manager initialized');
     }
+
+    emptyCart() {
+        return {
+            cart_id: null,
+            items: [],
+            item_count: 0,
+            subtotal: 0,
+            discount_amount: 0,
+            total: 0,
+            promotions: [],
+            coupon_code: null,
+            coupon: null,
+            has_warnings: false
+        };
+    }
+
+    /**
+     * Load the cart from the server
+     */
+    async load() {
+        await this.syncAuthToken();
+        const response = await this.api.getCart();
+        this.setCart(response.data);
+        this.isLoaded = true;
+        return this.cart;
+    }
+
+    /**
+     * Add a variant to the cart (also holds the stock for a while)
+     */
+    async addItem(variantId, quantity = 1) {
+        await this.syncAuthToken();
+        const response = await this.api.addItem(variantId, quantity);
+        this.setCart(response.data);
+        return this.cart;
+    }
+
+    async updateItem(variantId, quantity) {
+        await this.syncAuthToken();
+        const response = await this.api.updateItem(variantId, quantity);
+        this.setCart(response.data);
+        return this.cart;
+    }
+
+    async removeItem(variantId) {
+        await this.syncAuthToken();
+        const response = await this.api.removeItem(variantId);
+        this.setCart(response.data);
+        return this.cart;
+    }
+
+    /**
+     * Enter a coupon code (the server refuses codes that cannot apply to this buyer)
+     */
+    async applyCoupon(code) {
+        await this.syncAuthToken();
+        const response = await this.api.applyCoupon(code);
+        this.setCart(response.data);
+        return this.cart;
+    }
+
+    async removeCoupon() {
+        await this.syncAuthToken();
+        const response = await this.api.removeCoupon();
+        this.setCart(response.data);
+        return this.cart;
+    }
+
+    async clear() {
+        await this.syncAuthToken();
+        const response = await this.api.clearCart();
+        this.setCart(response.data);
+        return this.cart;
+    }
+
+    /**
+     * Merge the guest cart into the account cart, then start a fresh guest token
+     */
+    async handleSignedIn() {
+        try {
+            await this.syncAuthToken();
+            const response = await this.api.mergeGuestCart();
+            apiClient.resetCartToken();
+            this.setCart(response.data);
+        } catch (error) {
+            console.error('❌ Failed to merge guest cart:', error);
+        }
+    }
+
+    async handleSignedOut() {
+        apiClient.setAuthToken(null);
+        this.setCart(this.emptyCart());
+    }
+
+    /**
+     * Keep the API bearer token in line with the Supabase session
+     */
+    async syncAuthToken() {
+        const supabase = authManager.authService.supabase;
+        if (!supabase) return;
+
+        const { data: { session } } = await supabase.auth.getSession();
+        apiClient.setAuthToken(session?.access_token || null);
+    }
+
+    setCart(cart) {
+        this.cart = cart || this.emptyCart();
+        this.emit('cartUpdated', this.cart);
+    }
+
+    getCart() {
+        return this.cart.items;
+    }
+
+    getCartItemCount() {
+        return this.cart.item_count;
+    }
+
+    getCartTotal() {
+        return this.cart.total ?? this.cart.subtotal;
+    }
+
+    formatPrice(price) {
+        return new Intl.NumberFormat('vi-VN', {
+            style: 'currency',
+            currency: 'VND'
+        }).format(price);
+    }
+
+    /**
+     * Human readable text of a line warning
+     */
+    describeWarning(warning) {
+        switch (warning.code) {
+            case 'PRICE_CHANGED':
+                return `Price changed from ${this.formatPrice(warning.previous_price)} to ${this.formatPrice(warning.current_price)}`;
+            case 'VARIANT_INACTIVE':
+                return 'This item is no longer available';
+            case 'INSUFFICIENT_STOCK':
+                return warning.available_quantity > 0
+                    ? `Only ${warning.available_quantity} left in stock`
+                    : 'Out of stock';
+            default:
+                return warning.code;
+        }
+    }
+
+    /**
+     * Human readable reason why the cart's coupon does not apply
+     */
+    describeCouponReason(reason) {
+        switch (reason) {
+            case 'MIN_SUBTOTAL':
+                return 'Add more items to reach the minimum order for this coupon';
+            case 'NO_ELIGIBLE_ITEMS':
+                return 'No item in your cart is eligible for this coupon';
+            case 'NOT_STARTED':
+                return 'This coupon is not valid yet';
+            case 'EXPIRED':
+                return 'This coupon has expired';
+            case 'USAGE_LIMIT':
+            case 'CUSTOMER_USAGE_LIMIT':
+                return 'This coupon has already been used';
+            case 'FIRST_ORDER_ONLY':
+                return 'This coupon is only valid on a first order';
+            default:
+                return 'This coupon cannot be applied';
+        }
+    }
+
+    /**
+     * Add event listener
+     */
+    on(eventName, handler) {
+        if (!this.listeners.has(eventName)) {
+            this.listeners.set(eventName, []);
+        }
+        this.listeners.get(eventName).push(handler);
+    }
+
+    /**
+     * Emit event
+     */
+    emit(eventName, data = null) {
+        (this.listeners.get(eventName) || []).forEach(handler => {
+            try {
+                handler(data);
+            } catch (error) {
+                console.error(`Error in cart event handler for ${eventName}:`, error);
+            }
+        });
+    }
 }
+
+// Create global instance
+const cartManager = new CartManager();
+
+window.CartManager = CartManager;
+window.cartManager = cartManager;
+
+export default CartManager;
+export { cartManager };
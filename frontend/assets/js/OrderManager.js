@@ -1,6 +1,391 @@
-// Order Manager
+/**
+ * OrderManager - Orders page
+ * Lists the signed-in user's orders and returns, pays pending orders by bank transfer
+ * (VietQR) or cash on delivery and opens returns (refund or size exchange) on delivered orders.
+ */
+
+import { authManager } from './AuthManager.js';
+import { apiClient, ordersAPI, returnsAPI, productsAPI, paymentsAPI } from './ApiClient.js';
+
+const RETURN_REASONS = {
+    too_small: 'Too small',
+    too_large: 'Too large',
+    defective: 'Defective',
+    not_as_described: 'Not as described',
+    wrong_item: 'Wrong item received',
+    changed_mind: 'Changed my mind'
+};
+
+const RETURN_STATUS_LABELS = {
+    requested: 'Requested',
+    approved: 'Approved - please send the items back',
+    rejected: 'Rejected',
+    received: 'Received, being processed',
+    completed: 'Completed',
+    cancelled: 'Cancelled'
+};
+
 class OrderManager {
     constructor() {
+        this.orders = [];
+        this.returns = [];
+
+        authManager.on('signedIn', () => this.load());
+        authManager.on('signedOut', () => this.render());
+
         console.log('Order Manager initialized');
     }
+
+    /**
+     * Load orders and returns of the signed-in user
+     */
+    async load() {
+        if (!authManager.isAuthenticated()) {
+            this.orders = [];
+            this.returns = [];
+            this.render();
+            return;
+        }
+
+        try {
+            await this.syncAuthToken();
+            const [orders, returns] = await Promise.all([
+                ordersAPI.getOrders({ limit: 50 }),
+                returnsAPI.getReturns({ limit: 50 })
+            ]);
+            this.orders = orders.data || [];
+            this.returns = returns.data || [];
+            this.render();
+        } catch (error) {
+            console.error('❌ Failed to load orders:', error);
+            this.showMessage('Could not load your orders, please try again.', 'error');
+        }
+    }
+
+    /**
+     * Keep the API bearer token in line with the Supabase session
+     */
+    async syncAuthToken() {
+        const session = await authManager.authService.getCurrentSession();
+        apiClient.setAuthToken(session?.access_token || null);
+    }
+
+    render() {
+        const container = document.getElementById('ordersContent');
+        if (!container) return;
+
+        if (!authManager.isAuthenticated()) {
+            container.innerHTML = '<p class="text-muted">Sign in to see your orders.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <h2 class="h4 mb-3">Orders</h2>
+            ${this.orders.length === 0
+                ? '<p class="text-muted">You have no orders yet.</p>'
+                : this.orders.map(order => this.renderOrder(order)).join('')}
+            <h2 class="h4 mt-5 mb-3">Returns</h2>
+            ${this.returns.length === 0
+                ? '<p class="text-muted">You have no returns.</p>'
+                : this.returns.map(returnRequest => this.renderReturn(returnRequest)).join('')}
+            <div id="paymentContainer"></div>
+            <div id="returnFormContainer"></div>
+        `;
+    }
+
+    renderOrder(order) {
+        return `
+            <div class="d-flex justify-content-between align-items-center border-bottom py-3" data-order-id="${order.order_id}">
+                <div>
+                    <div class="fw-bold">Order #${order.order_id}</div>
+                    <div class="text-muted small">${new Date(order.order_date).toLocaleDateString()} - ${order.status}</div>
+                </div>
+                <div class="d-flex align-items-center">
+                    <div class="me-3 text-end">
+                        <div class="fw-bold">${this.formatPrice(order.total_amount)}</div>
+                        ${Number(order.refunded_amount) > 0
+                            ? `<div class="text-muted small">Refunded ${this.formatPrice(order.refunded_amount)}</div>`
+                            : ''}
+                    </div>
+                    ${order.status === 'pending'
+                        ? `<button class="btn btn-sm btn-dark order-bank-transfer">Pay by bank transfer</button>
+                           <button class="btn btn-sm btn-outline-dark ms-2 order-cod">Pay on delivery</button>`
+                        : ''}
+                    ${order.status === 'delivered'
+                        ? '<button class="btn btn-sm btn-outline-dark order-return">Request return</button>'
+                        : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    renderReturn(returnRequest) {
+        return `
+            <div class="d-flex justify-content-between align-items-center border-bottom py-3" data-return-id="${returnRequest.return_id}">
+                <div>
+                    <div class="fw-bold">Return #${returnRequest.return_id} - Order #${returnRequest.order_id}</div>
+                    <div class="text-muted small">
+                        ${returnRequest.resolution === 'exchange' ? 'Size exchange' : `Refund ${this.formatPrice(returnRequest.refund_amount)}`}
+                        - ${RETURN_STATUS_LABELS[returnRequest.status] || returnRequest.status}
+                    </div>
+                    ${returnRequest.seller_note ? `<div class="small">${this.escape(returnRequest.seller_note)}</div>` : ''}
+                </div>
+                ${returnRequest.status === 'requested'
+                    ? '<button class="btn btn-sm btn-outline-danger return-cancel">Cancel return</button>'
+                    : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * VietQR transfer details of a pending order. An earlier bank transfer payment
+     * still waiting for the money is shown again rather than starting a new one.
+     */
+    async openBankTransfer(orderId) {
+        const container = document.getElementById('paymentContainer');
+        if (!container) return;
+
+        try {
+            await this.syncAuthToken();
+            const { data: payments } = await paymentsAPI.getPayments({ order_id: orderId, status: 'pending' });
+            const pending = (payments || []).find(payment => payment.payment_method === 'bank_transfer');
+
+            const transfer = pending
+                ? (await paymentsAPI.getPayment(pending.payment_id)).data?.next_action
+                : (await paymentsAPI.processPayment({ order_id: orderId, payment_method: 'bank_transfer' })).data?.next_action;
+
+            if (!transfer) {
+                // Settled in the meantime
+                await this.load();
+                return;
+            }
+
+            container.innerHTML = this.renderBankTransfer(orderId, transfer);
+        } catch (error) {
+            console.error('❌ Failed to start bank transfer:', error);
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    // Cash on delivery: the order is confirmed now and paid to the courier
+    async payOnDelivery(orderId) {
+        try {
+            await this.syncAuthToken();
+            const response = await paymentsAPI.processPayment({ order_id: orderId, payment_method: 'cash' });
+            this.showMessage(response.message || 'Order confirmed, pay the courier on delivery', 'success');
+            await this.load();
+        } catch (error) {
+            console.error('❌ Failed to choose cash on delivery:', error);
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    renderBankTransfer(orderId, transfer) {
+        return `
+            <div class="border rounded p-3 mt-4 d-flex flex-wrap align-items-center" data-order-id="${orderId}">
+                <img src="${this.escape(transfer.qr_image_url)}" alt="VietQR code" width="220" height="220" class="me-4 mb-3">
+                <div>
+                    <h3 class="h5">Pay order #${orderId} by bank transfer</h3>
+                    <p class="mb-1">Scan the code with your banking app, or transfer to:</p>
+                    <div class="small">Account: <strong>${this.escape(transfer.account_number)}</strong>${transfer.account_name ? ` - ${this.escape(transfer.account_name)}` : ''}</div>
+                    <div class="small">Amount: <strong>${this.formatPrice(transfer.amount)}</strong></div>
+                    <div class="small">Transfer message: <strong>${this.escape(transfer.memo)}</strong></div>
+                    <p class="text-muted small mt-2 mb-0">
+                        Keep the message exactly as shown. Your order is confirmed once the transfer reaches our account.
+                    </p>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Return form of a delivered order: quantity, reason, photos and,
+     * for exchanges, the replacement size of each line
+     */
+    async openReturnForm(orderId) {
+        const container = document.getElementById('returnFormContainer');
+        if (!container) return;
+
+        const { data: order } = await ordersAPI.getOrder(orderId);
+        const sizeOptions = await this.loadSizeOptions(order.order_items);
+
+        const lines = order.order_items.map(item => `
+            <div class="border rounded p-3 mb-2" data-order-item-id="${item.order_item_id}">
+                <div class="fw-bold">${item.shoe_variants?.shoes?.shoe_name || ''}</div>
+                <div class="text-muted small mb-2">
+                    ${item.shoe_variants?.colors?.color_name || ''} / ${item.shoe_variants?.sizes?.size_value || ''}
+                </div>
+                <div class="row g-2">
+                    <div class="col-md-2">
+                        <input type="number" min="0" max="${item.quantity}" value="0" class="form-control form-control-sm return-qty" aria-label="Quantity">
+                    </div>
+                    <div class="col-md-4">
+                        <select class="form-select form-select-sm return-reason" aria-label="Reason">
+                            ${Object.entries(RETURN_REASONS).map(([code, label]) => `<option value="${code}">${label}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="col-md-3">
+                        <select class="form-select form-select-sm return-exchange" aria-label="Exchange size">
+                            <option value="">Exchange for size...</option>
+                            ${(sizeOptions.get(item.variant_id) || []).map(variant =>
+                                `<option value="${variant.variant_id}">${variant.sizes?.size_value}</option>`
+                            ).join('')}
+                        </select>
+                    </div>
+                    <div class="col-md-3">
+                        <input type="text" class="form-control form-control-sm return-photos" placeholder="Photo URLs, comma separated">
+                    </div>
+                </div>
+            </div>
+        `).join('');
+
+        container.innerHTML = `
+            <form id="returnForm" class="mt-4" data-order-id="${order.order_id}">
+                <h3 class="h5">Return items from order #${order.order_id}</h3>
+                ${lines}
+                <div class="mb-2">
+                    <label class="me-3"><input type="radio" name="resolution" value="refund" checked> Refund</label>
+                    <label><input type="radio" name="resolution" value="exchange"> Exchange size</label>
+                </div>
+                <textarea class="form-control mb-2" name="note" maxlength="1000" placeholder="Anything we should know?"></textarea>
+                <button type="submit" class="btn btn-dark">Submit return</button>
+            </form>
+        `;
+    }
+
+    /**
+     * Other in-stock sizes of the same shoe and color, per ordered variant
+     */
+    async loadSizeOptions(orderItems) {
+        const options = new Map();
+
+        for (const item of orderItems) {
+            const shoeId = item.shoe_variants?.shoes?.shoe_id;
+            if (!shoeId) continue;
+
+            try {
+                const { data: variants } = await productsAPI.getProductVariants(shoeId);
+                options.set(item.variant_id, (variants || []).filter(variant =>
+                    variant.variant_id !== item.variant_id &&
+                    variant.color_id === item.shoe_variants?.colors?.color_id &&
+                    (variant.available_quantity ?? variant.stock_quantity ?? 0) > 0
+                ));
+            } catch (error) {
+                console.warn('⚠️ Could not load sizes for exchange:', error);
+            }
+        }
+
+        return options;
+    }
+
+    async submitReturnForm(form) {
+        const resolution = form.querySelector('input[name="resolution"]:checked').value;
+
+        const items = Array.from(form.querySelectorAll('[data-order-item-id]'))
+            .map(line => ({
+                order_item_id: parseInt(line.dataset.orderItemId),
+                quantity: parseInt(line.querySelector('.return-qty').value) || 0,
+                reason_code: line.querySelector('.return-reason').value,
+                photo_urls: line.querySelector('.return-photos').value
+                    .split(',')
+                    .map(photoUrl => photoUrl.trim())
+                    .filter(Boolean),
+                ...(resolution === 'exchange' && {
+                    exchange_variant_id: parseInt(line.querySelector('.return-exchange').value) || null
+                })
+            }))
+            .filter(item => item.quantity > 0);
+
+        if (items.length === 0) {
+            this.showMessage('Choose at least one item to return.', 'error');
+            return;
+        }
+
+        try {
+            await this.syncAuthToken();
+            await returnsAPI.createReturn({
+                order_id: parseInt(form.dataset.orderId),
+                resolution,
+                items,
+                ...(form.note.value && { note: form.note.value })
+            });
+            this.showMessage('Return request submitted', 'success');
+            await this.load();
+        } catch (error) {
+            console.error('❌ Failed to create return:', error);
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    async cancelReturn(returnId) {
+        try {
+            await this.syncAuthToken();
+            await returnsAPI.cancelReturn(returnId);
+            await this.load();
+        } catch (error) {
+            console.error('❌ Failed to cancel return:', error);
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const container = document.getElementById('ordersContent');
+        if (!container) return;
+
+        container.addEventListener('click', (event) => {
+            if (event.target.classList.contains('order-bank-transfer')) {
+                this.openBankTransfer(parseInt(event.target.closest('[data-order-id]').dataset.orderId));
+            } else if (event.target.classList.contains('order-cod')) {
+                this.payOnDelivery(parseInt(event.target.closest('[data-order-id]').dataset.orderId));
+            } else if (event.target.classList.contains('order-return')) {
+                this.openReturnForm(parseInt(event.target.closest('[data-order-id]').dataset.orderId));
+            } else if (event.target.classList.contains('return-cancel')) {
+                this.cancelReturn(parseInt(event.target.closest('[data-return-id]').dataset.returnId));
+            }
+        });
+
+        container.addEventListener('submit', (event) => {
+            if (event.target.id !== 'returnForm') return;
+            event.preventDefault();
+            this.submitReturnForm(event.target);
+        });
+    }
+
+    formatPrice(price) {
+        return new Intl.NumberFormat('vi-VN', {
+            style: 'currency',
+            currency: 'VND'
+        }).format(price);
+    }
+
+    escape(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    showMessage(message, type = 'info') {
+        if (window.showToast) {
+            window.showToast(message, type);
+        } else {
+            alert(message);
+        }
+    }
 }
+
+// Create global instance
+const orderManager = new OrderManager();
+
+document.addEventListener('DOMContentLoaded', () => {
+    orderManager.setupEventListeners();
+    orderManager.load();
+});
+
+window.OrderManager = OrderManager;
+window.orderManager = orderManager;
+
+export default OrderManager;
+export { orderManager };
@@ -240,7 +240,7 @@ renderColors() {
             const hasStock = this.variants.some(v =>
                 v.is_active &&
                 v.color_id === color.color_id &&
-                v.stock_quantity > 0
+                this.getAvailableQuantity(v) > 0
             );
 
             return `
@@ -288,7 +288,7 @@ renderSizes() {
                 );
 
                 if (variant) {
-                    stockQty = variant.stock_quantity || 0;
+                    stockQty = this.getAvailableQuantity(variant);
                     variantId = variant.variant_id;
                     isAvailable = stockQty > 0;
                     isLowStock = stockQty > 0 && stockQty < 5;
@@ -297,7 +297,7 @@ renderSizes() {
                 isAvailable = this.variants.some(v =>
                     v.is_active &&
                     v.size_id === size.size_id &&
-                    v.stock_quantity > 0
+                    this.getAvailableQuantity(v) > 0
                 );
             }
 
@@ -433,7 +433,7 @@ renderSizes() {
             // If no color selected, check if size has any stock in any color
             if (!this.selectedColor) {
                 const hasStock = this.variants.some(v => 
-                    v.size_id === sizeId && v.stock_quantity > 0
+                    v.size_id === sizeId && this.getAvailableQuantity(v) > 0
                 );
                 
                 if (!hasStock) {
@@ -448,7 +448,7 @@ renderSizes() {
                     v.size_id === sizeId
                 );
 
-                if (!variant || variant.stock_quantity === 0) {
+                if (!variant || this.getAvailableQuantity(variant) === 0) {
                     sizeEl.classList.add('unavailable');
                 } else {
                     sizeEl.classList.remove('unavailable');
@@ -473,17 +473,48 @@ renderSizes() {
             v.size_id === this.selectedSize
         );
 
-        if (!variant || variant.stock_quantity === 0) {
+        if (!variant || this.getAvailableQuantity(variant) === 0) {
             this.showStockStatus('out', 0);
             document.getElementById('addToBagBtn').disabled = true;
             this.currentVariant = null;
         } else {
-            this.showStockStatus('in', variant.stock_quantity);
+            this.showStockStatus('in', this.getAvailableQuantity(variant));
             document.getElementById('addToBagBtn').disabled = false;
             this.currentVariant = variant;
         }
     }
 
+    /**
+     * Units that can still be bought: stock minus other shoppers' cart holds
+     */
+    getAvailableQuantity(variant) {
+        return variant.available_quantity ?? variant.stock_quantity ?? 0;
+    }
+
+    /**
+     * Add one unit of the selected variant to the cart (the server holds the stock)
+     */
+    async addToBag() {
+        if (!this.currentVariant) return;
+
+        try {
+            await window.cartAPI.addItem(this.currentVariant.variant_id, 1);
+            this.showAlert('Product added to bag! It is held for you for 15 minutes.', 'success');
+        } catch (error) {
+            console.error('❌ Failed to hold stock:', error);
+
+            if (error.status !== 422) {
+                this.showAlert('Could not add to bag, please try again.', 'danger');
+                return;
+            }
+
+            this.showAlert('Sorry, this size was just taken by another shopper.', 'danger');
+            this.currentVariant.available_quantity = 0;
+            this.renderSizes();
+            this.checkVariantAvailability();
+        }
+    }
+
     /**
      * Show stock status
      */
@@ -538,7 +569,7 @@ renderSizes() {
 document.addEventListener('DOMContentLoaded', () => {
     document.getElementById('addToBagBtn')?.addEventListener('click', function() {
         if (!this.disabled) {
-            showAlert('Product added to bag!', 'success');
+            window.productDetailManager?.addToBag();
         }
     });
 });
@@ -1,9 +1,10 @@
 /**
  * Cart Page JavaScript
- * Handles cart functionality and authentication for cart page
+ * Renders the server-side cart (guests and signed-in users)
  */
 
 import { authManager } from './AuthManager.js';
+import { cartManager } from './CartManager.js';
 
 class CartPage {
     constructor() {
@@ -22,11 +23,11 @@ class CartPage {
         // Wait for AuthManager to be available
         await this.waitForAuthManager();
         
-        // Check authentication state
-        this.checkAuthentication();
-        
         // Setup event listeners
         this.setupEventListeners();
+
+        // Load and render the cart
+        await this.loadCart();
         
         this.isInitialized = true;
         console.log('✅ Cart page initialized');
@@ -57,77 +58,143 @@ class CartPage {
     }
 
     /**
-     * Check authentication state
+     * Load the cart (guests have a cart too, no sign-in required)
      */
-    checkAuthentication() {
-        if (typeof authManager === 'undefined') {
-            console.warn('AuthManager not available for cart authentication check');
-            return;
+    async loadCart() {
+        try {
+            await cartManager.load();
+        } catch (error) {
+            console.error('❌ Failed to load cart:', error);
+            this.renderError('Could not load your cart, please try again.');
         }
-
-        console.log('🔍 Checking cart authentication...');
-        
-        // Wait a bit for authentication to be fully validated
-        setTimeout(() => {
-            this.performAuthCheck();
-        }, 1500);
     }
 
     /**
-     * Perform authentication check
+     * Render cart lines with live price, stock status and warnings
      */
-    performAuthCheck() {
-        if (typeof authManager === 'undefined') {
-            console.warn('AuthManager not available for cart auth check');
+    renderCart(cart) {
+        const container = document.getElementById('cartContent');
+        if (!container) return;
+
+        if (cart.items.length === 0) {
+            container.innerHTML = '<p class="text-muted">Your cart is empty.</p>';
             return;
         }
 
-        const isAuthenticated = authManager.isAuthenticated();
-        const hasToken = localStorage.getItem('auth_token');
-        const user = authManager.getCurrentUser();
-        
-        console.log('🛒 Cart auth check:', {
-            isAuthenticated,
-            hasToken,
-            user: user ? user.email || user.username : null
-        });
-        
-        if (isAuthenticated) {
-            console.log('✅ User is authenticated for cart access');
-            // User is authenticated, allow access to cart
-            this.showCartContent();
-        } else if (hasToken) {
-            console.log('🔍 Token exists but not authenticated - waiting for validation...');
-            // Token exists but not yet validated, wait a bit more
-            setTimeout(() => {
-                this.performAuthCheck();
-            }, 1000);
-        } else {
-            console.log('❌ User not authenticated for cart access');
-            // No token, redirect to login
-            this.redirectToLogin();
+        const rows = cart.items.map(item => `
+            <div class="d-flex align-items-center border-bottom py-3" data-variant-id="${item.variant_id}">
+                <img src="${item.variant.shoes?.image_url || ''}" alt="${item.variant.shoes?.shoe_name || ''}" class="me-3" style="width: 80px; height: 80px; object-fit: cover;">
+                <div class="flex-grow-1">
+                    <div class="fw-bold">${item.variant.shoes?.shoe_name || ''}</div>
+                    <div class="text-muted small">${item.variant.colors?.color_name || ''} / ${item.variant.sizes?.size_value || ''}</div>
+                    <div class="small">${cartManager.formatPrice(item.unit_price)}</div>
+                    ${item.warnings.map(warning => `<div class="text-warning small">${cartManager.describeWarning(warning)}</div>`).join('')}
+                </div>
+                <input type="number" min="1" value="${item.quantity}" class="form-control form-control-sm me-3 cart-qty" style="width: 80px;">
+                <div class="me-3 text-end">
+                    <div class="fw-bold">${cartManager.formatPrice(item.discounted_line_total ?? item.line_total)}</div>
+                    ${item.discount_amount > 0 ? `<div class="text-muted small text-decoration-line-through">${cartManager.formatPrice(item.line_total)}</div>` : ''}
+                </div>
+                <button class="btn btn-sm btn-outline-danger cart-remove">Remove</button>
+            </div>
+        `).join('');
+
+        const promotions = (cart.promotions || [])
+            .filter(promotion => promotion.discount_amount > 0)
+            .map(promotion => `
+                <div class="d-flex justify-content-between small text-success">
+                    <span>${promotion.name}${promotion.code ? ` (${promotion.code})` : ''}</span>
+                    <span>-${cartManager.formatPrice(promotion.discount_amount)}</span>
+                </div>
+            `).join('');
+
+        container.innerHTML = `
+            ${rows}
+            ${this.renderCoupon(cart)}
+            <div class="pt-3">
+                <div class="d-flex justify-content-between">
+                    <span>Subtotal</span>
+                    <span>${cartManager.formatPrice(cart.subtotal)}</span>
+                </div>
+                ${promotions}
+                <div class="d-flex justify-content-between align-items-center pt-2">
+                    <strong>Total: ${cartManager.formatPrice(cart.total ?? cart.subtotal)}</strong>
+                    <a href="checkout.html" class="btn btn-dark ${cart.has_warnings ? 'disabled' : ''}">Checkout</a>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Coupon form, or the entered coupon with its status
+     */
+    renderCoupon(cart) {
+        if (!cart.coupon_code) {
+            return `
+                <form class="d-flex pt-3 cart-coupon-form">
+                    <input type="text" name="code" class="form-control form-control-sm me-2" placeholder="Coupon code" style="max-width: 200px;">
+                    <button type="submit" class="btn btn-sm btn-outline-dark">Apply</button>
+                </form>
+            `;
         }
+
+        const status = cart.coupon?.applied
+            ? '<span class="text-success">applied</span>'
+            : `<span class="text-warning">${cartManager.describeCouponReason(cart.coupon?.reason)}</span>`;
+
+        return `
+            <div class="d-flex align-items-center pt-3 small">
+                <span class="me-2">Coupon <strong>${cart.coupon_code}</strong>: ${status}</span>
+                <button class="btn btn-sm btn-link cart-coupon-remove">Remove</button>
+            </div>
+        `;
     }
 
     /**
-     * Show cart content
+     * Apply or remove the cart coupon
      */
-    showCartContent() {
-        console.log('🛒 Showing cart content');
-        // Cart content is already visible in HTML
-        // This method can be used to load cart data or show user-specific content
+    async handleCouponAction(event) {
+        try {
+            if (event.type === 'submit' && event.target.classList.contains('cart-coupon-form')) {
+                event.preventDefault();
+                const code = event.target.elements.code.value.trim();
+                if (code) await cartManager.applyCoupon(code);
+            } else if (event.type === 'click' && event.target.classList.contains('cart-coupon-remove')) {
+                await cartManager.removeCoupon();
+            }
+        } catch (error) {
+            console.error('❌ Coupon update failed:', error);
+            this.renderError(error.message);
+        }
     }
 
     /**
-     * Redirect to login page
+     * Change quantity or remove a line
      */
-    redirectToLogin() {
-        console.log('🔄 Redirecting to login for cart access');
-        const returnUrl = encodeURIComponent(window.location.href);
-        if (window.showLoginModal) {
-            window.showLoginModal();
+    async handleCartAction(event) {
+        const row = event.target.closest('[data-variant-id]');
+        if (!row) return;
+
+        const variantId = parseInt(row.dataset.variantId);
+
+        try {
+            if (event.target.classList.contains('cart-remove')) {
+                await cartManager.removeItem(variantId);
+            } else if (event.type === 'change' && event.target.classList.contains('cart-qty')) {
+                await cartManager.updateItem(variantId, parseInt(event.target.value));
+            }
+        } catch (error) {
+            console.error('❌ Cart update failed:', error);
+            this.renderError(error.message);
+            await this.loadCart();
+        }
+    }
+
+    renderError(message) {
+        if (window.showToast) {
+            window.showToast(message, 'error');
         } else {
-            console.error('Login modal not available');
+            alert(message);
         }
     }
 
@@ -135,23 +202,13 @@ class CartPage {
      * Setup event listeners
      */
     setupEventListeners() {
-        // Listen for authentication state changes
-        if (typeof authManager !== 'undefined') {
-            authManager.on('signedIn', (data) => {
-                console.log('✅ User signed in - cart access granted');
-                this.showCartContent();
-            });
-            
-            authManager.on('signedOut', () => {
-                console.log('❌ User signed out - redirecting to login');
-                this.redirectToLogin();
-            });
-            
-            authManager.on('loginSuccess', (data) => {
-                console.log('🎉 Login success - cart access granted');
-                this.showCartContent();
-            });
-        }
+        cartManager.on('cartUpdated', (cart) => this.renderCart(cart));
+
+        const container = document.getElementById('cartContent');
+        container?.addEventListener('click', (event) => this.handleCartAction(event));
+        container?.addEventListener('click', (event) => this.handleCouponAction(event));
+        container?.addEventListener('submit', (event) => this.handleCouponAction(event));
+        container?.addEventListener('change', (event) => this.handleCartAction(event));
     }
 
     /**
@@ -62,6 +62,7 @@ CREATE TABLE categories (
 
 
 -- Shoes table
+-- low_stock_threshold applies to the variants without their own (see evaluate_low_stock())
 CREATE TABLE shoes (
     shoe_id SERIAL PRIMARY KEY,
     category_id INTEGER NOT NULL REFERENCES categories(category_id) ON DELETE RESTRICT,
@@ -69,6 +70,7 @@ CREATE TABLE shoes (
     description TEXT,
     base_price DECIMAL(10,2) NOT NULL CHECK (base_price >= 0),
     image_url TEXT,
+    low_stock_threshold INTEGER CHECK (low_stock_threshold >= 0),
     is_active BOOLEAN DEFAULT TRUE,
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
@@ -94,6 +96,8 @@ CREATE TABLE sizes (
 
 
 -- Shoe variants table
+-- average_cost is the weighted-average unit cost of the stock, kept by imports
+-- low_stock_threshold overrides the shoe's; NULL falls back to it, then to 10
 CREATE TABLE shoe_variants (
     variant_id SERIAL PRIMARY KEY,
     shoe_id INTEGER NOT NULL REFERENCES shoes(shoe_id) ON DELETE CASCADE,
@@ -102,6 +106,8 @@ CREATE TABLE shoe_variants (
     stock_quantity INTEGER DEFAULT 0 CHECK (stock_quantity >= 0),
     sku VARCHAR(50) UNIQUE NOT NULL,
     variant_price DECIMAL(10,2) CHECK (variant_price >= 0),
+    average_cost DECIMAL(12,2) CHECK (average_cost >= 0),
+    low_stock_threshold INTEGER CHECK (low_stock_threshold >= 0),
     is_active BOOLEAN DEFAULT TRUE,
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW(),
@@ -114,19 +120,95 @@ CREATE TABLE shoe_variants (
 -- ===================================
 
 
+-- Stock locations table (warehouses and stores holding stock)
+-- Stock at sellable locations is what the storefront sells and online orders ship from;
+-- shoe_variants.stock_quantity caches its sum. province is written like shipping zones
+-- ('ho chi minh') for the 'nearest' fulfilment rule. Only active locations can be sellable.
+-- Stock changes without a location go to the default location, which has to stay sellable.
+CREATE TABLE stock_locations (
+    location_id SERIAL PRIMARY KEY,
+    location_code VARCHAR(20) UNIQUE NOT NULL,
+    location_name VARCHAR(100) NOT NULL,
+    location_type VARCHAR(20) NOT NULL DEFAULT 'warehouse' CHECK (location_type IN ('warehouse', 'store')),
+    province VARCHAR(100),
+    address TEXT,
+    is_sellable BOOLEAN NOT NULL DEFAULT TRUE,
+    priority INTEGER NOT NULL DEFAULT 0,
+    is_default BOOLEAN NOT NULL DEFAULT FALSE,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (NOT is_sellable OR is_active),
+    CHECK (NOT is_default OR is_sellable)
+);
+
+
+-- Location stock table (units of a variant on hand at a location)
+-- Kept by apply_stock_movement() together with the ledger
+CREATE TABLE location_stock (
+    location_id INTEGER NOT NULL REFERENCES stock_locations(location_id) ON DELETE RESTRICT,
+    variant_id INTEGER NOT NULL REFERENCES shoe_variants(variant_id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (location_id, variant_id)
+);
+
+
 -- Suppliers table
+-- lead_time_days is how long an order takes to arrive, used for reorder suggestions
 CREATE TABLE suppliers (
     supplier_id SERIAL PRIMARY KEY,
     supplier_name VARCHAR(100) NOT NULL,
     contact_email VARCHAR(100),
     phone VARCHAR(20),
     address TEXT,
+    lead_time_days INTEGER NOT NULL DEFAULT 14 CHECK (lead_time_days >= 0),
     is_active BOOLEAN DEFAULT TRUE,
-    created_at TIMESTAMPTZ DEFAULT NOW()
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+
+-- Purchase orders table (stock ordered from suppliers)
+-- draft -> approved -> sent -> partially_received -> received; receipts insert imports rows
+-- delivered to location_id (the default location when NULL)
+CREATE TABLE purchase_orders (
+    po_id SERIAL PRIMARY KEY,
+    supplier_id INTEGER NOT NULL REFERENCES suppliers(supplier_id) ON DELETE RESTRICT,
+    location_id INTEGER REFERENCES stock_locations(location_id) ON DELETE RESTRICT,
+    status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN (
+        'draft', 'approved', 'sent', 'partially_received', 'received', 'cancelled'
+    )),
+    expected_date DATE,
+    notes TEXT,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    approved_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    approved_at TIMESTAMPTZ,
+    sent_at TIMESTAMPTZ,
+    received_at TIMESTAMPTZ,
+    cancelled_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+
+-- Purchase order lines table (one per variant; quantity_received grows with each receipt)
+CREATE TABLE purchase_order_lines (
+    po_line_id SERIAL PRIMARY KEY,
+    po_id INTEGER NOT NULL REFERENCES purchase_orders(po_id) ON DELETE CASCADE,
+    variant_id INTEGER NOT NULL REFERENCES shoe_variants(variant_id) ON DELETE RESTRICT,
+    quantity_ordered INTEGER NOT NULL CHECK (quantity_ordered > 0),
+    quantity_received INTEGER NOT NULL DEFAULT 0 CHECK (quantity_received >= 0),
+    expected_cost DECIMAL(10,2) NOT NULL CHECK (expected_cost >= 0),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(po_id, variant_id),
+    CHECK (quantity_received <= quantity_ordered)
 );
 
 
 -- Imports table (now references auth.users directly)
+-- po_line_id links the imports of a purchase order receipt to the line they fill;
+-- the units go to location_id (the default location when NULL)
 CREATE TABLE imports (
     import_id SERIAL PRIMARY KEY,
     supplier_id INTEGER NOT NULL REFERENCES suppliers(supplier_id) ON DELETE RESTRICT,
@@ -136,16 +218,165 @@ CREATE TABLE imports (
     import_price DECIMAL(10,2) NOT NULL CHECK (import_price >= 0),
     import_date TIMESTAMPTZ DEFAULT NOW(),
     notes TEXT,
+    po_line_id INTEGER REFERENCES purchase_order_lines(po_line_id) ON DELETE RESTRICT,
+    location_id INTEGER REFERENCES stock_locations(location_id) ON DELETE RESTRICT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+
+-- Stock movements table (append-only ledger of every stock change)
+-- Each movement changes one location: location_stock.quantity caches the sum of quantity_change
+-- per variant and location (quantity_after is that location's quantity), and
+-- shoe_variants.stock_quantity the sum at sellable locations.
+-- reference_type/reference_id point at the source document (order, return, import, transfer, ...)
+CREATE TABLE stock_movements (
+    movement_id BIGSERIAL PRIMARY KEY,
+    variant_id INTEGER NOT NULL REFERENCES shoe_variants(variant_id) ON DELETE RESTRICT,
+    location_id INTEGER NOT NULL REFERENCES stock_locations(location_id) ON DELETE RESTRICT,
+    movement_type VARCHAR(30) NOT NULL CHECK (movement_type IN (
+        'opening', 'sale', 'return', 'import', 'adjustment', 'reservation_release', 'cancellation',
+        'transfer_out', 'transfer_in'
+    )),
+    quantity_change INTEGER NOT NULL CHECK (quantity_change <> 0),
+    quantity_after INTEGER NOT NULL CHECK (quantity_after >= 0),
+    reference_type VARCHAR(30),
+    reference_id INTEGER,
+    note TEXT,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+
+-- Stocktakes table (physical count sessions over all variants, a category or a shoe, at one location)
+-- counting -> approved (variances posted as adjustment movements) or cancelled
+CREATE TABLE stocktakes (
+    stocktake_id SERIAL PRIMARY KEY,
+    location_id INTEGER NOT NULL REFERENCES stock_locations(location_id) ON DELETE RESTRICT,
+    scope_type VARCHAR(20) NOT NULL CHECK (scope_type IN ('all', 'category', 'shoe')),
+    scope_id INTEGER,
+    status VARCHAR(20) NOT NULL DEFAULT 'counting' CHECK (status IN ('counting', 'approved', 'cancelled')),
+    note TEXT,
+    started_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    approved_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    started_at TIMESTAMPTZ DEFAULT NOW(),
+    approved_at TIMESTAMPTZ,
+    cancelled_at TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK ((scope_type = 'all') = (scope_id IS NULL))
+);
+
+
+-- Stocktake lines table (one per variant in scope)
+-- Quantities are the stocktake location's. snapshot_quantity is the stock when the session started,
+-- expected_quantity the stock when the line was first counted (SKU scans added later keep it), so the
+-- variance (counted - expected) leaves out sales made before the line was counted.
+-- adjustment_quantity and unit_cost (average cost) are set on approval.
+CREATE TABLE stocktake_lines (
+    stocktake_line_id SERIAL PRIMARY KEY,
+    stocktake_id INTEGER NOT NULL REFERENCES stocktakes(stocktake_id) ON DELETE CASCADE,
+    variant_id INTEGER NOT NULL REFERENCES shoe_variants(variant_id) ON DELETE RESTRICT,
+    snapshot_quantity INTEGER NOT NULL,
+    counted_quantity INTEGER CHECK (counted_quantity >= 0),
+    expected_quantity INTEGER,
+    counted_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    counted_at TIMESTAMPTZ,
+    adjustment_quantity INTEGER,
+    unit_cost DECIMAL(12,2),
+    UNIQUE(stocktake_id, variant_id)
+);
+
+
+-- Stock transfers table (stock moved between locations)
+-- in_transit (units have left from_location_id) -> received (units arrived at to_location_id),
+-- or cancelled while in transit (units go back to from_location_id)
+CREATE TABLE stock_transfers (
+    transfer_id SERIAL PRIMARY KEY,
+    from_location_id INTEGER NOT NULL REFERENCES stock_locations(location_id) ON DELETE RESTRICT,
+    to_location_id INTEGER NOT NULL REFERENCES stock_locations(location_id) ON DELETE RESTRICT,
+    status VARCHAR(20) NOT NULL DEFAULT 'in_transit' CHECK (status IN ('in_transit', 'received', 'cancelled')),
+    notes TEXT,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    received_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    received_at TIMESTAMPTZ,
+    cancelled_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (from_location_id <> to_location_id)
+);
+
+
+-- Stock transfer lines table (one per variant)
+-- quantity_received is set on receipt; units shipped but not received were lost in transit
+CREATE TABLE stock_transfer_lines (
+    transfer_line_id SERIAL PRIMARY KEY,
+    transfer_id INTEGER NOT NULL REFERENCES stock_transfers(transfer_id) ON DELETE CASCADE,
+    variant_id INTEGER NOT NULL REFERENCES shoe_variants(variant_id) ON DELETE RESTRICT,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    quantity_received INTEGER CHECK (quantity_received >= 0),
+    UNIQUE(transfer_id, variant_id),
+    CHECK (quantity_received <= quantity)
+);
+
+
+-- Low-stock alerts table (one per crossing)
+-- Raised when a variant's sellable stock falls to its threshold: open -> acknowledged by staff,
+-- and resolved once the stock is back above the threshold, which re-arms the alert.
+-- A variant has at most one alert that is not resolved. dispatched_at is set once every
+-- notification channel has delivered it (or given up).
+CREATE TABLE low_stock_alerts (
+    alert_id SERIAL PRIMARY KEY,
+    variant_id INTEGER NOT NULL REFERENCES shoe_variants(variant_id) ON DELETE CASCADE,
+    threshold INTEGER NOT NULL,
+    stock_quantity INTEGER NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'acknowledged', 'resolved')),
+    acknowledged_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    acknowledged_at TIMESTAMPTZ,
+    acknowledgement_note TEXT,
+    resolved_at TIMESTAMPTZ,
+    dispatched_at TIMESTAMPTZ,
     created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
 
+-- Low-stock alert deliveries table (one per alert and notification channel)
+-- failed deliveries are retried until attempts reaches LOW_STOCK_ALERT_CONFIG.MAX_ATTEMPTS
+CREATE TABLE low_stock_alert_deliveries (
+    delivery_id SERIAL PRIMARY KEY,
+    alert_id INTEGER NOT NULL REFERENCES low_stock_alerts(alert_id) ON DELETE CASCADE,
+    channel VARCHAR(20) NOT NULL CHECK (channel IN ('in_app', 'email', 'webhook')),
+    status VARCHAR(20) NOT NULL CHECK (status IN ('sent', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 1,
+    last_error TEXT,
+    delivered_at TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(alert_id, channel)
+);
+
+
+-- Email outbox table
+-- Emails queued by the backend; a mail worker sends the pending ones and marks them
+-- sent or failed. reference_type/reference_id point at what the email is about.
+CREATE TABLE email_outbox (
+    email_id SERIAL PRIMARY KEY,
+    recipient VARCHAR(255) NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    body TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed')),
+    reference_type VARCHAR(30),
+    reference_id INTEGER,
+    error TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    sent_at TIMESTAMPTZ
+);
+
+
 -- ===================================
 -- 4. Sales Management (For Customers)
 -- ===================================
 
 
 -- Orders table (now references auth.users directly)
+-- fulfilment_location_id is the location the order ships from (NULL when it is split across locations)
 CREATE TABLE orders (
     order_id SERIAL PRIMARY KEY,
     user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE RESTRICT,
@@ -154,37 +385,368 @@ CREATE TABLE orders (
     status VARCHAR(20) CHECK (status IN ('pending', 'processing', 'shipped', 'delivered', 'cancelled')) DEFAULT 'pending',
     total_amount DECIMAL(10,2) NOT NULL CHECK (total_amount >= 0),
     shipping_cost DECIMAL(10,2) DEFAULT 0 CHECK (shipping_cost >= 0),
+    shipping_method VARCHAR(30),
     tax_amount DECIMAL(10,2) DEFAULT 0 CHECK (tax_amount >= 0),
+    prices_include_tax BOOLEAN DEFAULT FALSE,
+    tax_jurisdiction VARCHAR(20),
+    discount_amount DECIMAL(10,2) DEFAULT 0 CHECK (discount_amount >= 0),
+    shipping_discount DECIMAL(10,2) DEFAULT 0 CHECK (shipping_discount >= 0),
+    refunded_amount DECIMAL(10,2) DEFAULT 0 CHECK (refunded_amount >= 0),
+    courier VARCHAR(30),
+    tracking_number VARCHAR(100),
+    fulfilment_location_id INTEGER REFERENCES stock_locations(location_id) ON DELETE RESTRICT,
     notes TEXT,
+    cancellation_reason TEXT,
+    cancelled_at TIMESTAMPTZ,
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
 
 -- Order items table
+-- price_per_unit is what the buyer paid per unit after promotions,
+-- list_price_per_unit the catalog price and discount_amount the line's total discount.
+-- unit_cost snapshots the variant's average_cost at sale time (cost of goods sold)
 CREATE TABLE order_items (
     order_item_id SERIAL PRIMARY KEY,
     order_id INTEGER NOT NULL REFERENCES orders(order_id) ON DELETE CASCADE,
     variant_id INTEGER NOT NULL REFERENCES shoe_variants(variant_id) ON DELETE RESTRICT,
     quantity INTEGER NOT NULL CHECK (quantity > 0),
     price_per_unit DECIMAL(10,2) NOT NULL CHECK (price_per_unit >= 0),
+    list_price_per_unit DECIMAL(10,2) CHECK (list_price_per_unit >= 0),
+    discount_amount DECIMAL(10,2) DEFAULT 0 CHECK (discount_amount >= 0),
+    unit_cost DECIMAL(12,2) CHECK (unit_cost >= 0),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+
+-- Order tax lines table (tax breakdown stored for audit)
+-- One row per order line, plus one for shipping when it is taxed. With
+-- prices_include_tax the tax was taken out of gross_amount, otherwise added to taxable_amount.
+CREATE TABLE order_tax_lines (
+    tax_line_id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(order_id) ON DELETE CASCADE,
+    order_item_id INTEGER REFERENCES order_items(order_item_id) ON DELETE CASCADE,
+    line_type VARCHAR(20) CHECK (line_type IN ('item', 'shipping')) NOT NULL,
+    jurisdiction VARCHAR(20) NOT NULL,
+    category_name VARCHAR(100),
+    tax_rate DECIMAL(6,4) NOT NULL CHECK (tax_rate >= 0),
+    taxable_amount DECIMAL(12,2) NOT NULL,
+    tax_amount DECIMAL(12,2) NOT NULL CHECK (tax_amount >= 0),
+    gross_amount DECIMAL(12,2) NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (line_type = 'shipping' OR order_item_id IS NOT NULL)
+);
+
+
+-- Order status history table (one row per status transition)
+CREATE TABLE order_status_history (
+    history_id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(order_id) ON DELETE CASCADE,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    changed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    note TEXT,
     created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
 
+-- Carts table (server-side shopping carts)
+-- A cart belongs to a signed-in user or to an anonymous guest_token.
+-- Guest carts are merged into the user's cart at sign-in.
+CREATE TABLE carts (
+    cart_id SERIAL PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+    guest_token VARCHAR(64),
+    coupon_code VARCHAR(50),
+    status VARCHAR(20) CHECK (status IN ('active', 'merged')) DEFAULT 'active',
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (user_id IS NOT NULL OR guest_token IS NOT NULL)
+);
+
+
+-- Cart items table
+-- price_at_add is the unit price shown when the line was added (to flag price changes)
+CREATE TABLE cart_items (
+    cart_item_id SERIAL PRIMARY KEY,
+    cart_id INTEGER NOT NULL REFERENCES carts(cart_id) ON DELETE CASCADE,
+    variant_id INTEGER NOT NULL REFERENCES shoe_variants(variant_id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    price_at_add DECIMAL(10,2) NOT NULL CHECK (price_at_add >= 0),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(cart_id, variant_id)
+);
+
+
+-- Stock reservations table (time-limited cart holds)
+-- Holds reduce available-to-sell without touching shoe_variants.stock_quantity.
+-- holder_key identifies who owns the hold ('user:<uuid>' or 'guest:<token>' for carts,
+-- 'return:<id>' for the replacement sizes of an approved exchange).
+CREATE TABLE stock_reservations (
+    reservation_id SERIAL PRIMARY KEY,
+    variant_id INTEGER NOT NULL REFERENCES shoe_variants(variant_id) ON DELETE CASCADE,
+    holder_key VARCHAR(100) NOT NULL,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    status VARCHAR(20) CHECK (status IN ('active', 'converted', 'released', 'expired')) DEFAULT 'active',
+    expires_at TIMESTAMPTZ NOT NULL,
+    order_id INTEGER REFERENCES orders(order_id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+
 -- Payments table
+-- provider is the gateway that processed the payment and transaction_id its reference there.
+-- A payment is created pending and settled once: completed or failed.
+-- refunded_amount sums its succeeded refunds: partially_refunded until it reaches payment_amount.
 CREATE TABLE payments (
     payment_id SERIAL PRIMARY KEY,
     order_id INTEGER NOT NULL REFERENCES orders(order_id) ON DELETE RESTRICT,
     payment_method VARCHAR(20) CHECK (payment_method IN ('cash', 'credit_card', 'bank_transfer', 'e_wallet', 'paypal', 'stripe')) NOT NULL,
     payment_amount DECIMAL(10,2) NOT NULL CHECK (payment_amount >= 0),
+    currency VARCHAR(3) DEFAULT 'VND',
     payment_date TIMESTAMPTZ NOT NULL,
-    status VARCHAR(20) CHECK (status IN ('pending', 'completed', 'failed', 'refunded')) DEFAULT 'pending',
+    status VARCHAR(20) CHECK (status IN ('pending', 'completed', 'failed', 'partially_refunded', 'refunded')) DEFAULT 'pending',
+    refunded_amount DECIMAL(10,2) DEFAULT 0 CHECK (refunded_amount >= 0),
+    provider VARCHAR(30),
     transaction_id VARCHAR(100),
+    failure_reason TEXT,
+    completed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (refunded_amount <= payment_amount)
+);
+
+
+-- Payment events table
+-- Raw webhook events as received from a payment provider, one row per provider event_id
+-- (replayed events are rejected). status: received -> processed, ignored (nothing to apply)
+-- or failed (kept for the provider's retry).
+CREATE TABLE payment_events (
+    payment_event_id SERIAL PRIMARY KEY,
+    provider VARCHAR(30) NOT NULL,
+    event_id VARCHAR(255) NOT NULL,
+    event_type VARCHAR(100) NOT NULL,
+    reference VARCHAR(100),
+    payment_id INTEGER REFERENCES payments(payment_id) ON DELETE SET NULL,
+    raw_body TEXT NOT NULL,
+    payload JSONB NOT NULL,
+    signed_at TIMESTAMPTZ NOT NULL,
+    status VARCHAR(20) CHECK (status IN ('received', 'processed', 'ignored', 'failed')) DEFAULT 'received',
+    error TEXT,
+    received_at TIMESTAMPTZ DEFAULT NOW(),
+    processed_at TIMESTAMPTZ,
+    UNIQUE(provider, event_id)
+);
+
+
+-- Bank statements table
+-- One uploaded bank statement export, reconciled against pending bank transfer payments.
+-- The counts summarize its lines at import: matched, sent to review, already imported
+-- from an earlier statement (duplicate) and skipped (debits).
+CREATE TABLE bank_statements (
+    statement_id SERIAL PRIMARY KEY,
+    filename VARCHAR(255),
+    uploaded_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    line_count INTEGER DEFAULT 0 CHECK (line_count >= 0),
+    matched_count INTEGER DEFAULT 0 CHECK (matched_count >= 0),
+    review_count INTEGER DEFAULT 0 CHECK (review_count >= 0),
+    duplicate_count INTEGER DEFAULT 0 CHECK (duplicate_count >= 0),
+    skipped_count INTEGER DEFAULT 0 CHECK (skipped_count >= 0),
     created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
 
+-- Bank statement lines table
+-- A transfer into the shop account. fingerprint (bank reference, or date + amount + memo)
+-- keeps overlapping statements from importing a transfer twice. matched_reference is the
+-- payment reference found in the memo. status: matched (settled its payment) or needs_review
+-- (review_reason says why), then resolved (settled by staff) or ignored.
+CREATE TABLE bank_statement_lines (
+    line_id SERIAL PRIMARY KEY,
+    statement_id INTEGER NOT NULL REFERENCES bank_statements(statement_id) ON DELETE CASCADE,
+    line_number INTEGER NOT NULL,
+    transaction_date DATE,
+    amount DECIMAL(12,2) NOT NULL CHECK (amount > 0),
+    description TEXT NOT NULL DEFAULT '',
+    bank_reference VARCHAR(100),
+    fingerprint CHAR(64) NOT NULL UNIQUE,
+    matched_reference VARCHAR(100),
+    payment_id INTEGER REFERENCES payments(payment_id) ON DELETE SET NULL,
+    status VARCHAR(20) CHECK (status IN ('matched', 'needs_review', 'resolved', 'ignored')) NOT NULL,
+    review_reason VARCHAR(30) CHECK (review_reason IN ('unmatched', 'partial_amount', 'overpaid', 'payment_not_pending')),
+    resolved_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMPTZ,
+    resolution_note TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+
+-- COD remittances table
+-- Cash a courier handed over for a batch of delivered cash on delivery orders (or for a
+-- single shipment), as confirmed by staff. The amounts sum its cod_collections.
+CREATE TABLE cod_remittances (
+    remittance_id SERIAL PRIMARY KEY,
+    courier VARCHAR(30) NOT NULL,
+    reference VARCHAR(100),
+    expected_amount DECIMAL(12,2) DEFAULT 0,
+    collected_amount DECIMAL(12,2) DEFAULT 0,
+    discrepancy_amount DECIMAL(12,2) DEFAULT 0,
+    note TEXT,
+    confirmed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    confirmed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+
+-- COD collections table
+-- Cash to collect for a delivered cash on delivery order: expected_amount is recorded when the
+-- order is delivered, collected_amount when the courier's cash is confirmed (in a remittance).
+-- Status: awaiting, then collected (exact) or discrepancy (discrepancy_amount = collected - expected),
+-- which staff close as resolved. The payment stays pending until cash is collected.
+CREATE TABLE cod_collections (
+    collection_id SERIAL PRIMARY KEY,
+    payment_id INTEGER NOT NULL UNIQUE REFERENCES payments(payment_id) ON DELETE RESTRICT,
+    order_id INTEGER NOT NULL REFERENCES orders(order_id) ON DELETE RESTRICT,
+    courier VARCHAR(30) NOT NULL,
+    tracking_number VARCHAR(100),
+    expected_amount DECIMAL(10,2) NOT NULL CHECK (expected_amount >= 0),
+    collected_amount DECIMAL(10,2) CHECK (collected_amount >= 0),
+    discrepancy_amount DECIMAL(10,2) GENERATED ALWAYS AS (collected_amount - expected_amount) STORED,
+    status VARCHAR(20) CHECK (status IN ('awaiting', 'collected', 'discrepancy', 'resolved')) DEFAULT 'awaiting',
+    remittance_id INTEGER REFERENCES cod_remittances(remittance_id) ON DELETE SET NULL,
+    delivered_at TIMESTAMPTZ DEFAULT NOW(),
+    collected_at TIMESTAMPTZ,
+    resolution_note TEXT,
+    resolved_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMPTZ
+);
+
+
+-- Return requests table (RMA)
+-- resolution: refund the returned lines or exchange them for another size.
+-- Flow: requested -> approved -> received (inspected, restocked) -> completed,
+-- or rejected / cancelled before the goods are received.
+CREATE TABLE return_requests (
+    return_id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(order_id) ON DELETE RESTRICT,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE RESTRICT,
+    resolution VARCHAR(20) CHECK (resolution IN ('refund', 'exchange')) NOT NULL,
+    status VARCHAR(20) CHECK (status IN ('requested', 'approved', 'rejected', 'received', 'completed', 'cancelled')) DEFAULT 'requested',
+    customer_note TEXT,
+    seller_note TEXT,
+    refund_amount DECIMAL(10,2) DEFAULT 0 CHECK (refund_amount >= 0),
+    reviewed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    exchange_order_id INTEGER REFERENCES orders(order_id) ON DELETE SET NULL,
+    received_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+
+-- Return items table (returned quantity of an order line)
+-- condition is set at inspection; only resellable units go back to stock.
+CREATE TABLE return_items (
+    return_item_id SERIAL PRIMARY KEY,
+    return_id INTEGER NOT NULL REFERENCES return_requests(return_id) ON DELETE CASCADE,
+    order_item_id INTEGER NOT NULL REFERENCES order_items(order_item_id) ON DELETE RESTRICT,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    reason_code VARCHAR(30) CHECK (reason_code IN ('too_small', 'too_large', 'defective', 'not_as_described', 'wrong_item', 'changed_mind')) NOT NULL,
+    photo_urls TEXT[] DEFAULT '{}',
+    exchange_variant_id INTEGER REFERENCES shoe_variants(variant_id) ON DELETE RESTRICT,
+    condition VARCHAR(20) CHECK (condition IN ('resellable', 'damaged')),
+    restocked_quantity INTEGER DEFAULT 0 CHECK (restocked_quantity >= 0),
+    UNIQUE(return_id, order_item_id)
+);
+
+
+-- Refunds table
+-- Money given back on a payment, whole or in part: the refund_items lines plus an
+-- adjustment_amount not tied to items (shipping, goodwill). A refund is created pending,
+-- which already reserves its amount on the payment, and settled once: succeeded
+-- (added to payments/orders refunded_amount) or failed (the amount is released).
+CREATE TABLE refunds (
+    refund_id SERIAL PRIMARY KEY,
+    payment_id INTEGER NOT NULL REFERENCES payments(payment_id) ON DELETE RESTRICT,
+    order_id INTEGER NOT NULL REFERENCES orders(order_id) ON DELETE RESTRICT,
+    return_id INTEGER REFERENCES return_requests(return_id) ON DELETE SET NULL,
+    amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+    adjustment_amount DECIMAL(10,2) DEFAULT 0 CHECK (adjustment_amount >= 0),
+    reason TEXT,
+    status VARCHAR(20) CHECK (status IN ('pending', 'succeeded', 'failed')) DEFAULT 'pending',
+    provider_refund_id VARCHAR(100),
+    failure_reason TEXT,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    completed_at TIMESTAMPTZ
+);
+
+
+-- Refund items table
+-- Part of a refund tied to an order line: quantity units given back (0 for a price
+-- adjustment on the line) and the amount refunded for them.
+CREATE TABLE refund_items (
+    refund_item_id SERIAL PRIMARY KEY,
+    refund_id INTEGER NOT NULL REFERENCES refunds(refund_id) ON DELETE CASCADE,
+    order_item_id INTEGER NOT NULL REFERENCES order_items(order_item_id) ON DELETE RESTRICT,
+    quantity INTEGER NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+    amount DECIMAL(10,2) NOT NULL CHECK (amount >= 0),
+    UNIQUE(refund_id, order_item_id)
+);
+
+
+-- Promotions table (coupons and automatic promotions)
+-- A promotion with a code is a coupon, one without applies automatically.
+-- Conditions left NULL or empty do not restrict; the item filters (category_ids,
+-- shoe_ids, variant_ids) must all match for a line to be discounted.
+-- action_value: percent for percent_off and buy_x_get_y (100 = free units), amount for fixed_off.
+CREATE TABLE promotions (
+    promotion_id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    code VARCHAR(50) UNIQUE,
+    action_type VARCHAR(20) CHECK (action_type IN ('percent_off', 'fixed_off', 'free_shipping', 'buy_x_get_y')) NOT NULL,
+    action_value DECIMAL(10,2) DEFAULT 0 CHECK (action_value >= 0),
+    buy_quantity INTEGER CHECK (buy_quantity > 0),
+    get_quantity INTEGER CHECK (get_quantity > 0),
+    min_subtotal DECIMAL(10,2) DEFAULT 0 CHECK (min_subtotal >= 0),
+    category_ids INTEGER[] DEFAULT '{}',
+    shoe_ids INTEGER[] DEFAULT '{}',
+    variant_ids INTEGER[] DEFAULT '{}',
+    first_order_only BOOLEAN DEFAULT FALSE,
+    customer_segments TEXT[] DEFAULT '{}',
+    usage_limit INTEGER CHECK (usage_limit > 0),
+    usage_limit_per_customer INTEGER CHECK (usage_limit_per_customer > 0),
+    priority INTEGER DEFAULT 0,
+    starts_at TIMESTAMPTZ,
+    ends_at TIMESTAMPTZ,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (action_type <> 'percent_off' OR action_value <= 100),
+    CHECK (action_type <> 'buy_x_get_y' OR (buy_quantity IS NOT NULL AND get_quantity IS NOT NULL AND action_value <= 100)),
+    CHECK (ends_at IS NULL OR starts_at IS NULL OR ends_at > starts_at)
+);
+
+
+-- Promotion redemptions table (one row per promotion used by an order)
+-- Redemptions of cancelled orders no longer count towards usage limits.
+CREATE TABLE promotion_redemptions (
+    redemption_id SERIAL PRIMARY KEY,
+    promotion_id INTEGER NOT NULL REFERENCES promotions(promotion_id) ON DELETE RESTRICT,
+    order_id INTEGER NOT NULL REFERENCES orders(order_id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE RESTRICT,
+    code VARCHAR(50),
+    discount_amount DECIMAL(10,2) DEFAULT 0 CHECK (discount_amount >= 0),
+    shipping_discount DECIMAL(10,2) DEFAULT 0 CHECK (shipping_discount >= 0),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(promotion_id, order_id)
+);
+
+
 -- ===================================
 -- 5. Additional Features
 -- ===================================
@@ -248,10 +810,29 @@ CREATE INDEX idx_variants_is_active ON shoe_variants(is_active);
 
 
 -- Imports indexes
+CREATE UNIQUE INDEX idx_suppliers_name ON suppliers(LOWER(supplier_name));
 CREATE INDEX idx_imports_user_id ON imports(user_id);
 CREATE INDEX idx_imports_supplier_id ON imports(supplier_id);
 CREATE INDEX idx_imports_variant_id ON imports(variant_id);
 CREATE INDEX idx_imports_date ON imports(import_date);
+CREATE INDEX idx_imports_po_line_id ON imports(po_line_id);
+CREATE INDEX idx_purchase_orders_supplier_id ON purchase_orders(supplier_id);
+CREATE INDEX idx_purchase_orders_status ON purchase_orders(status);
+CREATE INDEX idx_purchase_order_lines_po_id ON purchase_order_lines(po_id);
+CREATE INDEX idx_purchase_order_lines_variant_id ON purchase_order_lines(variant_id);
+CREATE INDEX idx_stocktakes_status ON stocktakes(status);
+CREATE INDEX idx_stocktake_lines_variant_id ON stocktake_lines(variant_id);
+CREATE INDEX idx_stock_movements_variant ON stock_movements(variant_id, movement_id);
+CREATE INDEX idx_stock_movements_reference ON stock_movements(reference_type, reference_id);
+CREATE INDEX idx_stock_movements_location ON stock_movements(location_id);
+CREATE UNIQUE INDEX idx_stock_locations_default ON stock_locations(is_default) WHERE is_default;
+CREATE INDEX idx_location_stock_variant_id ON location_stock(variant_id);
+CREATE INDEX idx_stock_transfers_status ON stock_transfers(status);
+CREATE INDEX idx_stock_transfer_lines_variant_id ON stock_transfer_lines(variant_id);
+CREATE UNIQUE INDEX idx_low_stock_alerts_active ON low_stock_alerts(variant_id) WHERE status <> 'resolved';
+CREATE INDEX idx_low_stock_alerts_status ON low_stock_alerts(status, created_at);
+CREATE INDEX idx_low_stock_alerts_undispatched ON low_stock_alerts(alert_id) WHERE dispatched_at IS NULL;
+CREATE INDEX idx_email_outbox_pending ON email_outbox(created_at) WHERE status = 'pending';
 
 
 -- Orders indexes
@@ -263,12 +844,66 @@ CREATE INDEX idx_orders_date ON orders(order_date);
 -- Order items indexes
 CREATE INDEX idx_order_items_order_id ON order_items(order_id);
 CREATE INDEX idx_order_items_variant_id ON order_items(variant_id);
+CREATE INDEX idx_order_tax_lines_order_id ON order_tax_lines(order_id);
+
+
+-- Order status history indexes
+CREATE INDEX idx_order_status_history_order_id ON order_status_history(order_id, created_at);
+
+
+-- Cart indexes (one active cart per user and per guest token)
+CREATE UNIQUE INDEX idx_carts_active_user ON carts(user_id) WHERE status = 'active' AND user_id IS NOT NULL;
+CREATE UNIQUE INDEX idx_carts_active_guest ON carts(guest_token) WHERE status = 'active' AND guest_token IS NOT NULL;
+CREATE INDEX idx_cart_items_cart_id ON cart_items(cart_id);
+
+
+-- Stock reservations indexes (one active hold per cart and variant)
+CREATE UNIQUE INDEX idx_stock_reservations_active_holder
+    ON stock_reservations(variant_id, holder_key) WHERE status = 'active';
+CREATE INDEX idx_stock_reservations_holder ON stock_reservations(holder_key) WHERE status = 'active';
+CREATE INDEX idx_stock_reservations_expires ON stock_reservations(expires_at) WHERE status = 'active';
 
 
 -- Payments indexes
 CREATE INDEX idx_payments_order_id ON payments(order_id);
 CREATE INDEX idx_payments_status ON payments(status);
 CREATE INDEX idx_payments_date ON payments(payment_date);
+CREATE UNIQUE INDEX idx_payments_provider_reference
+    ON payments(provider, transaction_id) WHERE transaction_id IS NOT NULL;
+-- An order has at most one payment in flight or paid; failed attempts can be retried
+CREATE UNIQUE INDEX idx_payments_open_order ON payments(order_id) WHERE status IN ('pending', 'completed', 'partially_refunded');
+CREATE INDEX idx_payments_completed_at ON payments(completed_at) WHERE completed_at IS NOT NULL;
+CREATE INDEX idx_payment_events_payment_id ON payment_events(payment_id);
+CREATE INDEX idx_payment_events_status ON payment_events(status, received_at);
+CREATE INDEX idx_bank_statement_lines_statement ON bank_statement_lines(statement_id, line_number);
+CREATE INDEX idx_bank_statement_lines_review ON bank_statement_lines(created_at) WHERE status = 'needs_review';
+CREATE INDEX idx_bank_statement_lines_payment_id ON bank_statement_lines(payment_id);
+CREATE INDEX idx_cod_collections_courier ON cod_collections(courier, delivered_at);
+CREATE INDEX idx_cod_collections_order_id ON cod_collections(order_id);
+CREATE INDEX idx_cod_collections_tracking ON cod_collections(tracking_number) WHERE tracking_number IS NOT NULL;
+CREATE INDEX idx_cod_collections_open ON cod_collections(status) WHERE status IN ('awaiting', 'discrepancy');
+CREATE INDEX idx_cod_remittances_courier ON cod_remittances(courier, confirmed_at);
+
+
+-- Returns indexes
+CREATE INDEX idx_return_requests_order_id ON return_requests(order_id);
+CREATE INDEX idx_return_requests_user_id ON return_requests(user_id);
+CREATE INDEX idx_return_requests_status ON return_requests(status);
+CREATE INDEX idx_return_items_return_id ON return_items(return_id);
+CREATE INDEX idx_return_items_order_item_id ON return_items(order_item_id);
+
+
+-- Refunds indexes
+CREATE INDEX idx_refunds_payment_id ON refunds(payment_id);
+CREATE INDEX idx_refunds_order_id ON refunds(order_id);
+CREATE INDEX idx_refunds_completed_at ON refunds(completed_at) WHERE status = 'succeeded';
+CREATE INDEX idx_refund_items_order_item_id ON refund_items(order_item_id);
+
+
+-- Promotions indexes
+CREATE INDEX idx_promotions_active ON promotions(is_active) WHERE code IS NULL;
+CREATE INDEX idx_promotion_redemptions_promotion ON promotion_redemptions(promotion_id, user_id);
+CREATE INDEX idx_promotion_redemptions_order_id ON promotion_redemptions(order_id);
 
 
 -- Reviews indexes
@@ -293,6 +928,36 @@ ALTER TABLE addresses ENABLE ROW LEVEL SECURITY;
 ALTER TABLE imports ENABLE ROW LEVEL SECURITY;
 ALTER TABLE orders ENABLE ROW LEVEL SECURITY;
 ALTER TABLE order_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE order_tax_lines ENABLE ROW LEVEL SECURITY;
+ALTER TABLE order_status_history ENABLE ROW LEVEL SECURITY;
+-- Carts, reservations, the stock ledger, locations, purchase orders, stocktakes and transfers are only managed by the backend (service role), no policies
+ALTER TABLE stock_movements ENABLE ROW LEVEL SECURITY;
+ALTER TABLE stock_locations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE location_stock ENABLE ROW LEVEL SECURITY;
+ALTER TABLE purchase_orders ENABLE ROW LEVEL SECURITY;
+ALTER TABLE purchase_order_lines ENABLE ROW LEVEL SECURITY;
+ALTER TABLE stocktakes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE stocktake_lines ENABLE ROW LEVEL SECURITY;
+ALTER TABLE stock_transfers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE stock_transfer_lines ENABLE ROW LEVEL SECURITY;
+ALTER TABLE low_stock_alerts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE low_stock_alert_deliveries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE email_outbox ENABLE ROW LEVEL SECURITY;
+ALTER TABLE carts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE cart_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE stock_reservations ENABLE ROW LEVEL SECURITY;
+-- Provider webhook events, bank statements and cash collections are backend only as well
+ALTER TABLE payment_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE bank_statements ENABLE ROW LEVEL SECURITY;
+ALTER TABLE bank_statement_lines ENABLE ROW LEVEL SECURITY;
+ALTER TABLE cod_remittances ENABLE ROW LEVEL SECURITY;
+ALTER TABLE cod_collections ENABLE ROW LEVEL SECURITY;
+ALTER TABLE return_requests ENABLE ROW LEVEL SECURITY;
+ALTER TABLE return_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE refunds ENABLE ROW LEVEL SECURITY;
+ALTER TABLE refund_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE promotions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE promotion_redemptions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE reviews ENABLE ROW LEVEL SECURITY;
 ALTER TABLE wishlists ENABLE ROW LEVEL SECURITY;
 
@@ -427,6 +1092,32 @@ WITH CHECK (
 );
 
 
+-- Order tax lines policies
+DROP POLICY IF EXISTS "Users can view tax lines of their orders" ON order_tax_lines;
+CREATE POLICY "Users can view tax lines of their orders"
+ON order_tax_lines FOR SELECT
+USING (
+    EXISTS (
+        SELECT 1 FROM orders
+        WHERE orders.order_id = order_tax_lines.order_id
+        AND orders.user_id = auth.uid()
+    )
+);
+
+
+-- Order status history policies
+DROP POLICY IF EXISTS "Users can view history of their orders" ON order_status_history;
+CREATE POLICY "Users can view history of their orders"
+ON order_status_history FOR SELECT
+USING (
+    EXISTS (
+        SELECT 1 FROM orders
+        WHERE orders.order_id = order_status_history.order_id
+        AND orders.user_id = auth.uid()
+    )
+);
+
+
 -- Reviews policies
 DROP POLICY IF EXISTS "Anyone can view reviews" ON reviews;
 CREATE POLICY "Anyone can view reviews"
@@ -441,6 +1132,58 @@ USING (auth.uid() = user_id)
 WITH CHECK (auth.uid() = user_id);
 
 
+-- Returns policies (customers read their own, writes go through the backend)
+DROP POLICY IF EXISTS "Users can view their own returns" ON return_requests;
+CREATE POLICY "Users can view their own returns"
+ON return_requests FOR SELECT
+USING (auth.uid() = user_id);
+
+
+DROP POLICY IF EXISTS "Users can view items of their own returns" ON return_items;
+CREATE POLICY "Users can view items of their own returns"
+ON return_items FOR SELECT
+USING (
+    EXISTS (
+        SELECT 1 FROM return_requests
+        WHERE return_requests.return_id = return_items.return_id
+        AND return_requests.user_id = auth.uid()
+    )
+);
+
+
+-- Refunds policies (customers read refunds of their orders, writes go through the backend)
+DROP POLICY IF EXISTS "Users can view refunds of their orders" ON refunds;
+CREATE POLICY "Users can view refunds of their orders"
+ON refunds FOR SELECT
+USING (
+    EXISTS (
+        SELECT 1 FROM orders
+        WHERE orders.order_id = refunds.order_id
+        AND orders.user_id = auth.uid()
+    )
+);
+
+
+DROP POLICY IF EXISTS "Users can view items of refunds of their orders" ON refund_items;
+CREATE POLICY "Users can view items of refunds of their orders"
+ON refund_items FOR SELECT
+USING (
+    EXISTS (
+        SELECT 1 FROM refunds
+        JOIN orders ON orders.order_id = refunds.order_id
+        WHERE refunds.refund_id = refund_items.refund_id
+        AND orders.user_id = auth.uid()
+    )
+);
+
+
+-- Promotion redemptions policies (promotions themselves are read through the backend)
+DROP POLICY IF EXISTS "Users can view their own redemptions" ON promotion_redemptions;
+CREATE POLICY "Users can view their own redemptions"
+ON promotion_redemptions FOR SELECT
+USING (auth.uid() = user_id);
+
+
 -- Wishlists policies
 DROP POLICY IF EXISTS "Users can manage their own wishlists" ON wishlists;
 CREATE POLICY "Users can manage their own wishlists"
@@ -580,88 +1323,2284 @@ CREATE TRIGGER update_orders_updated_at
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
 
--- Function to automatically update stock when importing
-CREATE OR REPLACE FUNCTION update_stock_on_import()
-RETURNS TRIGGER AS $$
-BEGIN
-    UPDATE shoe_variants
-    SET stock_quantity = stock_quantity + NEW.quantity_imported,
-        updated_at = NOW()
-    WHERE variant_id = NEW.variant_id;
-    RETURN NEW;
-END;
-$$ LANGUAGE plpgsql;
+CREATE TRIGGER update_carts_updated_at
+    BEFORE UPDATE ON carts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
 
--- Trigger for stock updates on import
-CREATE TRIGGER trigger_update_stock_on_import
-    AFTER INSERT ON imports
-    FOR EACH ROW
-    EXECUTE FUNCTION update_stock_on_import();
+CREATE TRIGGER update_cart_items_updated_at
+    BEFORE UPDATE ON cart_items
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
 
--- Function to check and update stock on order
-CREATE OR REPLACE FUNCTION check_and_update_stock_on_order()
-RETURNS TRIGGER AS $$
+CREATE TRIGGER update_return_requests_updated_at
+    BEFORE UPDATE ON return_requests
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+
+CREATE TRIGGER update_payments_updated_at
+    BEFORE UPDATE ON payments
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+
+CREATE TRIGGER update_promotions_updated_at
+    BEFORE UPDATE ON promotions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_suppliers_updated_at
+    BEFORE UPDATE ON suppliers
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_purchase_orders_updated_at
+    BEFORE UPDATE ON purchase_orders
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_stocktakes_updated_at
+    BEFORE UPDATE ON stocktakes
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_stock_locations_updated_at
+    BEFORE UPDATE ON stock_locations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_stock_transfers_updated_at
+    BEFORE UPDATE ON stock_transfers
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+
+-- Function for the location stock changes go to when none is given
+-- Raises NO_DEFAULT_LOCATION when no location is marked is_default.
+CREATE OR REPLACE FUNCTION default_stock_location()
+RETURNS INTEGER AS $$
+DECLARE
+    v_location_id INTEGER;
 BEGIN
-    -- Check stock availability
-    IF (SELECT stock_quantity FROM shoe_variants WHERE variant_id = NEW.variant_id) < NEW.quantity THEN
-        RAISE EXCEPTION 'Insufficient stock for variant_id: %. Available: %, Requested: %',
-            NEW.variant_id,
-            (SELECT stock_quantity FROM shoe_variants WHERE variant_id = NEW.variant_id),
-            NEW.quantity;
+    SELECT location_id INTO v_location_id
+    FROM stock_locations
+    WHERE is_default;
+
+    IF v_location_id IS NULL THEN
+        RAISE EXCEPTION 'NO_DEFAULT_LOCATION';
     END IF;
-   
-    -- Deduct stock
-    UPDATE shoe_variants
-    SET stock_quantity = stock_quantity - NEW.quantity,
-        updated_at = NOW()
-    WHERE variant_id = NEW.variant_id;
-   
-    RETURN NEW;
+
+    RETURN v_location_id;
 END;
-$$ LANGUAGE plpgsql;
+$$ LANGUAGE plpgsql STABLE SET search_path = db_nike;
+
+
+-- Function to move the stock of one variant at one location through the ledger
+-- Every stock change goes through here: the location's quantity (and, at a sellable location,
+-- shoe_variants.stock_quantity) is updated and the movement appended with the location's
+-- resulting quantity, under the variant's row lock. p_location_id defaults to the default location.
+-- The update is conditional, so concurrent changes never lose units and stock never goes
+-- negative: raises INSUFFICIENT_STOCK (DETAIL = { variant_id, location_id, current_stock, quantity_change })
+-- when the change would take more than the location has, VARIANT_NOT_FOUND or LOCATION_NOT_FOUND.
+CREATE OR REPLACE FUNCTION apply_stock_movement(
+    p_variant_id INTEGER,
+    p_movement_type VARCHAR,
+    p_quantity_change INTEGER,
+    p_reference_type VARCHAR DEFAULT NULL,
+    p_reference_id INTEGER DEFAULT NULL,
+    p_created_by UUID DEFAULT NULL,
+    p_note TEXT DEFAULT NULL,
+    p_location_id INTEGER DEFAULT NULL
+)
+RETURNS stock_movements AS $$
+DECLARE
+    v_location_id INTEGER := COALESCE(p_location_id, default_stock_location());
+    v_sellable BOOLEAN;
+    v_quantity INTEGER;
+    v_movement stock_movements;
+BEGIN
+    SELECT is_sellable INTO v_sellable
+    FROM stock_locations
+    WHERE location_id = v_location_id;
 
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'LOCATION_NOT_FOUND' USING DETAIL = jsonb_build_object('location_id', v_location_id)::TEXT;
+    END IF;
 
--- Trigger for stock check and deduction on order
-CREATE TRIGGER trigger_check_and_update_stock_on_order
-    BEFORE INSERT ON order_items
-    FOR EACH ROW
-    EXECUTE FUNCTION check_and_update_stock_on_order();
+    -- The variant row is locked first, like checkout does, so both serialize on it
+    PERFORM 1
+    FROM shoe_variants
+    WHERE variant_id = p_variant_id
+    FOR UPDATE;
 
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'VARIANT_NOT_FOUND' USING DETAIL = jsonb_build_object('variant_id', p_variant_id)::TEXT;
+    END IF;
 
--- Function to restore stock on order cancellation
-CREATE OR REPLACE FUNCTION restore_stock_on_cancel()
-RETURNS TRIGGER AS $$
-BEGIN
-    -- Only restore stock when order status changes from non-cancelled to cancelled
-    IF OLD.status != 'cancelled' AND NEW.status = 'cancelled' THEN
+    IF p_quantity_change > 0 THEN
+        INSERT INTO location_stock (location_id, variant_id, quantity)
+        VALUES (v_location_id, p_variant_id, p_quantity_change)
+        ON CONFLICT (location_id, variant_id) DO UPDATE
+        SET quantity = location_stock.quantity + EXCLUDED.quantity,
+            updated_at = NOW()
+        RETURNING quantity INTO v_quantity;
+    ELSE
+        UPDATE location_stock
+        SET quantity = quantity + p_quantity_change,
+            updated_at = NOW()
+        WHERE location_id = v_location_id
+          AND variant_id = p_variant_id
+          AND quantity + p_quantity_change >= 0
+        RETURNING quantity INTO v_quantity;
+
+        IF NOT FOUND THEN
+            SELECT quantity INTO v_quantity
+            FROM location_stock
+            WHERE location_id = v_location_id AND variant_id = p_variant_id;
+
+            RAISE EXCEPTION 'INSUFFICIENT_STOCK' USING DETAIL = jsonb_build_object(
+                'variant_id', p_variant_id,
+                'location_id', v_location_id,
+                'current_stock', COALESCE(v_quantity, 0),
+                'quantity_change', p_quantity_change
+            )::TEXT;
+        END IF;
+    END IF;
+
+    IF v_sellable THEN
         UPDATE shoe_variants
-        SET stock_quantity = stock_quantity + oi.quantity,
+        SET stock_quantity = stock_quantity + p_quantity_change,
             updated_at = NOW()
-        FROM order_items oi
-        WHERE oi.order_id = NEW.order_id
-        AND shoe_variants.variant_id = oi.variant_id;
+        WHERE variant_id = p_variant_id;
     END IF;
-   
-    RETURN NEW;
-END;
-$$ LANGUAGE plpgsql;
 
+    INSERT INTO stock_movements (
+        variant_id, location_id, movement_type, quantity_change, quantity_after,
+        reference_type, reference_id, note, created_by
+    )
+    VALUES (
+        p_variant_id, v_location_id, p_movement_type, p_quantity_change, v_quantity,
+        p_reference_type, p_reference_id, p_note, p_created_by
+    )
+    RETURNING * INTO v_movement;
 
--- Trigger for stock restoration on order cancellation
-CREATE TRIGGER trigger_restore_stock_on_cancel
-    AFTER UPDATE ON orders
-    FOR EACH ROW
-    EXECUTE FUNCTION restore_stock_on_cancel();
+    RETURN v_movement;
+END;
+$$ LANGUAGE plpgsql SET search_path = db_nike;
+
+
+-- Function for stock changes made by the backend inventory service
+-- p_movement = { variant_id, location_id, movement_type, quantity_change or quantity, reference_type,
+-- reference_id, note, created_by }. quantity sets the location's stock to that number (the change is
+-- worked out under the row lock); location_id defaults to the default location.
+-- Returns the movement, or NULL when nothing changed.
+-- Raises INSUFFICIENT_STOCK, VARIANT_NOT_FOUND or LOCATION_NOT_FOUND like apply_stock_movement().
+CREATE OR REPLACE FUNCTION record_stock_movement(p_movement JSONB)
+RETURNS stock_movements AS $$
+DECLARE
+    v_variant_id INTEGER := (p_movement->>'variant_id')::INTEGER;
+    v_location_id INTEGER := COALESCE((p_movement->>'location_id')::INTEGER, default_stock_location());
+    v_change INTEGER := (p_movement->>'quantity_change')::INTEGER;
+    v_current INTEGER;
+BEGIN
+    IF p_movement ? 'quantity' THEN
+        PERFORM 1
+        FROM shoe_variants
+        WHERE variant_id = v_variant_id
+        FOR UPDATE;
 
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'VARIANT_NOT_FOUND' USING DETAIL = jsonb_build_object('variant_id', v_variant_id)::TEXT;
+        END IF;
 
--- ===================================
--- 9. Initial Data (Optional)
--- ===================================
+        SELECT quantity INTO v_current
+        FROM location_stock
+        WHERE location_id = v_location_id AND variant_id = v_variant_id;
 
+        v_change := (p_movement->>'quantity')::INTEGER - COALESCE(v_current, 0);
+    END IF;
 
--- Insert default categories
+    IF COALESCE(v_change, 0) = 0 THEN
+        RETURN NULL;
+    END IF;
+
+    RETURN apply_stock_movement(
+        v_variant_id,
+        p_movement->>'movement_type',
+        v_change,
+        p_movement->>'reference_type',
+        (p_movement->>'reference_id')::INTEGER,
+        (p_movement->>'created_by')::UUID,
+        p_movement->>'note',
+        v_location_id
+    );
+END;
+$$ LANGUAGE plpgsql SET search_path = db_nike;
+
+
+-- Function to check the cached stock against the ledger
+-- Rebuilds each variant's quantity at sellable locations from its movements and returns the
+-- variants (all, or only p_variant_id) whose stock_quantity differs: drift = cached - ledger.
+CREATE OR REPLACE FUNCTION stock_ledger_drift(p_variant_id INTEGER DEFAULT NULL)
+RETURNS TABLE (
+    variant_id INTEGER,
+    sku VARCHAR(50),
+    stock_quantity INTEGER,
+    ledger_quantity INTEGER,
+    drift INTEGER,
+    last_movement_at TIMESTAMPTZ
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT sv.variant_id,
+           sv.sku,
+           COALESCE(sv.stock_quantity, 0),
+           COALESCE(ledger.quantity, 0)::INTEGER,
+           (COALESCE(sv.stock_quantity, 0) - COALESCE(ledger.quantity, 0))::INTEGER,
+           ledger.last_movement_at
+    FROM shoe_variants sv
+    LEFT JOIN (
+        SELECT sm.variant_id,
+               SUM(sm.quantity_change) FILTER (WHERE sl.is_sellable) AS quantity,
+               MAX(sm.created_at) AS last_movement_at
+        FROM stock_movements sm
+        JOIN stock_locations sl ON sl.location_id = sm.location_id
+        WHERE p_variant_id IS NULL OR sm.variant_id = p_variant_id
+        GROUP BY sm.variant_id
+    ) AS ledger ON ledger.variant_id = sv.variant_id
+    WHERE (p_variant_id IS NULL OR sv.variant_id = p_variant_id)
+      AND COALESCE(sv.stock_quantity, 0) <> COALESCE(ledger.quantity, 0)
+    ORDER BY sv.variant_id;
+END;
+$$ LANGUAGE plpgsql SET search_path = db_nike;
+
+
+-- Function to keep stock_quantity in line when a location starts or stops being sellable
+-- Adds or takes out the location's stock of every variant it holds.
+CREATE OR REPLACE FUNCTION sync_sellable_stock()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.is_sellable IS DISTINCT FROM OLD.is_sellable THEN
+        UPDATE shoe_variants sv
+        SET stock_quantity = sv.stock_quantity + CASE WHEN NEW.is_sellable THEN ls.quantity ELSE -ls.quantity END,
+            updated_at = NOW()
+        FROM location_stock ls
+        WHERE ls.location_id = NEW.location_id
+          AND ls.variant_id = sv.variant_id
+          AND ls.quantity > 0;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = db_nike;
+
+
+CREATE TRIGGER trigger_sync_sellable_stock
+    AFTER UPDATE OF is_sellable ON stock_locations
+    FOR EACH ROW
+    EXECUTE FUNCTION sync_sellable_stock();
+
+
+-- Function to raise and resolve low-stock alerts
+-- The threshold of a variant is its own low_stock_threshold, else its shoe's, else 10.
+-- An active variant whose sellable stock is at or below it gets an open alert unless it
+-- already has one that is not resolved; a variant back above it has that alert resolved.
+-- Alerts are raised once per crossing, however many stock changes follow.
+CREATE OR REPLACE FUNCTION evaluate_low_stock(p_variant_ids INTEGER[])
+RETURNS VOID AS $$
+BEGIN
+    INSERT INTO low_stock_alerts (variant_id, threshold, stock_quantity)
+    SELECT sv.variant_id,
+           COALESCE(sv.low_stock_threshold, s.low_stock_threshold, 10),
+           sv.stock_quantity
+    FROM shoe_variants sv
+    JOIN shoes s ON s.shoe_id = sv.shoe_id
+    WHERE sv.variant_id = ANY(p_variant_ids)
+      AND sv.is_active IS NOT FALSE
+      AND s.is_active IS NOT FALSE
+      AND sv.stock_quantity <= COALESCE(sv.low_stock_threshold, s.low_stock_threshold, 10)
+    ON CONFLICT (variant_id) WHERE status <> 'resolved' DO NOTHING;
+
+    UPDATE low_stock_alerts a
+    SET status = 'resolved',
+        resolved_at = NOW()
+    FROM shoe_variants sv
+    JOIN shoes s ON s.shoe_id = sv.shoe_id
+    WHERE a.variant_id = sv.variant_id
+      AND sv.variant_id = ANY(p_variant_ids)
+      AND a.status <> 'resolved'
+      AND sv.stock_quantity > COALESCE(sv.low_stock_threshold, s.low_stock_threshold, 10);
+END;
+$$ LANGUAGE plpgsql SET search_path = db_nike;
+
+
+-- Trigger function: evaluate a variant when its stock, threshold or active flag changes
+CREATE OR REPLACE FUNCTION check_variant_low_stock()
+RETURNS TRIGGER AS $$
+BEGIN
+    PERFORM evaluate_low_stock(ARRAY[NEW.variant_id]);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = db_nike;
+
+
+CREATE TRIGGER trigger_check_variant_low_stock
+    AFTER UPDATE OF stock_quantity, low_stock_threshold, is_active ON shoe_variants
+    FOR EACH ROW
+    WHEN (OLD.stock_quantity IS DISTINCT FROM NEW.stock_quantity
+          OR OLD.low_stock_threshold IS DISTINCT FROM NEW.low_stock_threshold
+          OR OLD.is_active IS DISTINCT FROM NEW.is_active)
+    EXECUTE FUNCTION check_variant_low_stock();
+
+
+-- New variants are evaluated when the transaction commits, once their opening stock is recorded
+-- (record_opening_stock(), or the movements import_catalog() makes after creating them), so a
+-- variant starting at or below its threshold is alerted without waiting for a stock change
+CREATE CONSTRAINT TRIGGER trigger_check_new_variant_low_stock
+    AFTER INSERT ON shoe_variants
+    DEFERRABLE INITIALLY DEFERRED
+    FOR EACH ROW
+    EXECUTE FUNCTION check_variant_low_stock();
+
+
+-- Trigger function: evaluate the variants of a shoe when its threshold changes
+CREATE OR REPLACE FUNCTION check_shoe_low_stock()
+RETURNS TRIGGER AS $$
+BEGIN
+    PERFORM evaluate_low_stock(ARRAY(
+        SELECT sv.variant_id FROM shoe_variants sv WHERE sv.shoe_id = NEW.shoe_id
+    ));
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = db_nike;
+
+
+CREATE TRIGGER trigger_check_shoe_low_stock
+    AFTER UPDATE OF low_stock_threshold ON shoes
+    FOR EACH ROW
+    WHEN (OLD.low_stock_threshold IS DISTINCT FROM NEW.low_stock_threshold)
+    EXECUTE FUNCTION check_shoe_low_stock();
+
+
+-- Function for supplier statistics
+-- One row per supplier in p_supplier_ids that has imports: number of imports, units
+-- imported, spend (quantity x import_price), the last import date and the shoes supplied
+-- (JSON array of { shoe_id, shoe_name, units }, most units first).
+CREATE OR REPLACE FUNCTION supplier_stats(p_supplier_ids INTEGER[])
+RETURNS TABLE (
+    supplier_id INTEGER,
+    import_count INTEGER,
+    units_imported INTEGER,
+    total_spend DECIMAL(14,2),
+    last_import_date TIMESTAMPTZ,
+    shoes JSONB
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT i.supplier_id,
+           COUNT(*)::INTEGER,
+           SUM(i.quantity_imported)::INTEGER,
+           SUM(i.quantity_imported * i.import_price)::DECIMAL(14,2),
+           MAX(i.import_date),
+           (
+               SELECT jsonb_agg(jsonb_build_object('shoe_id', supplied.shoe_id, 'shoe_name', supplied.shoe_name, 'units', supplied.units)
+                                ORDER BY supplied.units DESC, supplied.shoe_name)
+               FROM (
+                   SELECT s.shoe_id, s.shoe_name, SUM(si.quantity_imported)::INTEGER AS units
+                   FROM imports si
+                   JOIN shoe_variants sv ON sv.variant_id = si.variant_id
+                   JOIN shoes s ON s.shoe_id = sv.shoe_id
+                   WHERE si.supplier_id = i.supplier_id
+                   GROUP BY s.shoe_id, s.shoe_name
+               ) AS supplied
+           )
+    FROM imports i
+    WHERE i.supplier_id = ANY(p_supplier_ids)
+    GROUP BY i.supplier_id;
+END;
+$$ LANGUAGE plpgsql SET search_path = db_nike;
+
+
+-- Function to create a draft purchase order, or edit one (p_po_id)
+-- Only drafts can be edited. With p_lines ([{ variant_id, quantity_ordered, expected_cost }])
+-- the lines are replaced; p_po may carry supplier_id, location_id, expected_date, notes and created_by.
+CREATE OR REPLACE FUNCTION save_purchase_order(p_po_id INTEGER, p_po JSONB, p_lines JSONB)
+RETURNS purchase_orders AS $$
+DECLARE
+    v_po purchase_orders%ROWTYPE;
+BEGIN
+    IF p_po_id IS NULL THEN
+        INSERT INTO purchase_orders (supplier_id, location_id, expected_date, notes, created_by)
+        VALUES (
+            (p_po->>'supplier_id')::INTEGER,
+            (p_po->>'location_id')::INTEGER,
+            (p_po->>'expected_date')::DATE,
+            p_po->>'notes',
+            (p_po->>'created_by')::UUID
+        )
+        RETURNING * INTO v_po;
+    ELSE
+        SELECT * INTO v_po
+        FROM purchase_orders
+        WHERE po_id = p_po_id
+        FOR UPDATE;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'PURCHASE_ORDER_NOT_FOUND';
+        END IF;
+
+        IF v_po.status <> 'draft' THEN
+            RAISE EXCEPTION 'STATUS_CONFLICT';
+        END IF;
+
+        UPDATE purchase_orders
+        SET supplier_id = COALESCE((p_po->>'supplier_id')::INTEGER, supplier_id),
+            location_id = CASE WHEN p_po ? 'location_id' THEN (p_po->>'location_id')::INTEGER ELSE location_id END,
+            expected_date = CASE WHEN p_po ? 'expected_date' THEN (p_po->>'expected_date')::DATE ELSE expected_date END,
+            notes = CASE WHEN p_po ? 'notes' THEN p_po->>'notes' ELSE notes END
+        WHERE po_id = p_po_id
+        RETURNING * INTO v_po;
+    END IF;
+
+    IF p_lines IS NOT NULL THEN
+        DELETE FROM purchase_order_lines WHERE po_id = v_po.po_id;
+
+        INSERT INTO purchase_order_lines (po_id, variant_id, quantity_ordered, expected_cost)
+        SELECT v_po.po_id,
+               (line->>'variant_id')::INTEGER,
+               (line->>'quantity_ordered')::INTEGER,
+               (line->>'expected_cost')::DECIMAL
+        FROM jsonb_array_elements(p_lines) AS line;
+    END IF;
+
+    RETURN v_po;
+END;
+$$ LANGUAGE plpgsql SET search_path = db_nike;
+
+
+-- Function to receive (part of) a sent purchase order
+-- p_items: [{ po_line_id, quantity, import_price }], import_price defaulting to the line's expected_cost.
+-- Each line becomes an imports row at the order's location, whose trigger adds the stock and
+-- updates the average cost.
+-- The order is received once every line is, partially_received until then.
+CREATE OR REPLACE FUNCTION receive_purchase_order(
+    p_po_id INTEGER,
+    p_items JSONB,
+    p_received_by UUID,
+    p_note TEXT
+)
+RETURNS purchase_orders AS $$
+DECLARE
+    v_po purchase_orders%ROWTYPE;
+    v_exceeded JSONB;
+BEGIN
+    SELECT * INTO v_po
+    FROM purchase_orders
+    WHERE po_id = p_po_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'PURCHASE_ORDER_NOT_FOUND';
+    END IF;
+
+    IF v_po.status NOT IN ('sent', 'partially_received') THEN
+        RAISE EXCEPTION 'STATUS_CONFLICT';
+    END IF;
+
+    -- Lines of another order, or more than is still open on the line
+    SELECT jsonb_agg(jsonb_build_object(
+               'po_line_id', received.po_line_id,
+               'remaining', COALESCE(pol.quantity_ordered - pol.quantity_received, 0)
+           ))
+    INTO v_exceeded
+    FROM (
+        SELECT (item->>'po_line_id')::INTEGER AS po_line_id, SUM((item->>'quantity')::INTEGER) AS quantity
+        FROM jsonb_array_elements(p_items) AS item
+        GROUP BY 1
+    ) AS received
+    LEFT JOIN purchase_order_lines pol
+        ON pol.po_line_id = received.po_line_id AND pol.po_id = p_po_id
+    WHERE pol.po_line_id IS NULL
+       OR received.quantity > pol.quantity_ordered - pol.quantity_received;
+
+    IF v_exceeded IS NOT NULL THEN
+        RAISE EXCEPTION 'RECEIPT_EXCEEDS_ORDERED' USING DETAIL = v_exceeded::TEXT;
+    END IF;
+
+    INSERT INTO imports (supplier_id, user_id, variant_id, quantity_imported, import_price, notes, po_line_id, location_id)
+    SELECT v_po.supplier_id,
+           p_received_by,
+           pol.variant_id,
+           (item->>'quantity')::INTEGER,
+           COALESCE((item->>'import_price')::DECIMAL, pol.expected_cost),
+           COALESCE(p_note, 'Purchase order #' || p_po_id),
+           pol.po_line_id,
+           v_po.location_id
+    FROM jsonb_array_elements(p_items) AS item
+    JOIN purchase_order_lines pol ON pol.po_line_id = (item->>'po_line_id')::INTEGER;
+
+    UPDATE purchase_order_lines pol
+    SET quantity_received = pol.quantity_received + received.quantity
+    FROM (
+        SELECT (item->>'po_line_id')::INTEGER AS po_line_id, SUM((item->>'quantity')::INTEGER) AS quantity
+        FROM jsonb_array_elements(p_items) AS item
+        GROUP BY 1
+    ) AS received
+    WHERE pol.po_line_id = received.po_line_id;
+
+    IF EXISTS (
+        SELECT 1 FROM purchase_order_lines
+        WHERE po_id = p_po_id AND quantity_received < quantity_ordered
+    ) THEN
+        UPDATE purchase_orders SET status = 'partially_received'
+        WHERE po_id = p_po_id
+        RETURNING * INTO v_po;
+    ELSE
+        UPDATE purchase_orders SET status = 'received', received_at = NOW()
+        WHERE po_id = p_po_id
+        RETURNING * INTO v_po;
+    END IF;
+
+    RETURN v_po;
+END;
+$$ LANGUAGE plpgsql SET search_path = db_nike;
+
+
+-- Function for the stock still to come from open purchase orders
+-- Per variant (all, or those in p_variant_ids): units ordered but not received on approved,
+-- sent and partially received orders, and the earliest expected date among them.
+CREATE OR REPLACE FUNCTION incoming_stock(p_variant_ids INTEGER[] DEFAULT NULL)
+RETURNS TABLE (
+    variant_id INTEGER,
+    incoming INTEGER,
+    next_expected_date DATE
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT pol.variant_id,
+           SUM(pol.quantity_ordered - pol.quantity_received)::INTEGER,
+           MIN(po.expected_date)
+    FROM purchase_order_lines pol
+    JOIN purchase_orders po ON po.po_id = pol.po_id
+    WHERE po.status IN ('approved', 'sent', 'partially_received')
+      AND pol.quantity_received < pol.quantity_ordered
+      AND (p_variant_ids IS NULL OR pol.variant_id = ANY(p_variant_ids))
+    GROUP BY pol.variant_id;
+END;
+$$ LANGUAGE plpgsql SET search_path = db_nike;
+
+
+-- Function for the figures behind reorder suggestions
+-- One row per active variant (or per variant in p_variant_ids): units on hand at active locations,
+-- units incoming on open purchase orders, units sold over each window of p_windows days
+-- (JSON { "<days>": units } from orders not cancelled), the days since the variant was listed, and
+-- the active supplier it was last imported or ordered from with its lead time and last import price.
+CREATE OR REPLACE FUNCTION replenishment_data(p_windows INTEGER[], p_variant_ids INTEGER[] DEFAULT NULL)
+RETURNS TABLE (
+    variant_id INTEGER,
+    sku VARCHAR(50),
+    shoe_id INTEGER,
+    shoe_name VARCHAR(100),
+    category_id INTEGER,
+    color_name VARCHAR(50),
+    size_label TEXT,
+    average_cost DECIMAL(12,2),
+    on_hand INTEGER,
+    incoming INTEGER,
+    next_expected_date DATE,
+    units_sold JSONB,
+    days_listed INTEGER,
+    supplier_id INTEGER,
+    supplier_name VARCHAR(100),
+    lead_time_days INTEGER,
+    last_cost DECIMAL(10,2)
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT sv.variant_id,
+           sv.sku,
+           s.shoe_id,
+           s.shoe_name,
+           s.category_id,
+           c.color_name,
+           (sz.size_value || ' ' || COALESCE(sz.size_type, ''))::TEXT,
+           sv.average_cost,
+           COALESCE(stock.on_hand, 0)::INTEGER,
+           COALESCE(inc.incoming, 0)::INTEGER,
+           inc.next_expected_date,
+           (
+               SELECT jsonb_object_agg(w.days::TEXT, (
+                   SELECT COALESCE(SUM(oi.quantity), 0)
+                   FROM order_items oi
+                   JOIN orders o ON o.order_id = oi.order_id
+                   WHERE oi.variant_id = sv.variant_id
+                     AND o.status <> 'cancelled'
+                     AND o.order_date >= NOW() - make_interval(days => w.days)
+               ))
+               FROM unnest(p_windows) AS w(days)
+           ),
+           GREATEST(1, CEIL(EXTRACT(EPOCH FROM NOW() - sv.created_at) / 86400))::INTEGER,
+           sup.supplier_id,
+           sup.supplier_name,
+           sup.lead_time_days,
+           (
+               SELECT i.import_price
+               FROM imports i
+               WHERE i.variant_id = sv.variant_id AND i.supplier_id = sup.supplier_id
+               ORDER BY i.import_date DESC, i.import_id DESC
+               LIMIT 1
+           )
+    FROM shoe_variants sv
+    JOIN shoes s ON s.shoe_id = sv.shoe_id
+    JOIN colors c ON c.color_id = sv.color_id
+    JOIN sizes sz ON sz.size_id = sv.size_id
+    LEFT JOIN LATERAL (
+        SELECT SUM(ls.quantity) AS on_hand
+        FROM location_stock ls
+        JOIN stock_locations sl ON sl.location_id = ls.location_id
+        WHERE ls.variant_id = sv.variant_id AND sl.is_active
+    ) AS stock ON TRUE
+    LEFT JOIN incoming_stock(p_variant_ids) AS inc ON inc.variant_id = sv.variant_id
+    LEFT JOIN LATERAL (
+        SELECT su.supplier_id, su.supplier_name, su.lead_time_days
+        FROM (
+            SELECT i.supplier_id, i.import_date AS supplied_at
+            FROM imports i
+            WHERE i.variant_id = sv.variant_id
+            UNION ALL
+            SELECT po.supplier_id, po.created_at
+            FROM purchase_order_lines pol
+            JOIN purchase_orders po ON po.po_id = pol.po_id
+            WHERE pol.variant_id = sv.variant_id AND po.status <> 'cancelled'
+        ) AS supplied
+        JOIN suppliers su ON su.supplier_id = supplied.supplier_id AND su.is_active
+        ORDER BY supplied.supplied_at DESC
+        LIMIT 1
+    ) AS sup ON TRUE
+    WHERE sv.is_active
+      AND s.is_active
+      AND (p_variant_ids IS NULL OR sv.variant_id = ANY(p_variant_ids));
+END;
+$$ LANGUAGE plpgsql STABLE SET search_path = db_nike;
+
+
+-- Function to start a stocktake over all variants, a category or a shoe at one location
+-- (the default location when p_location_id is NULL). Snapshots the location's stock of every
+-- variant in scope. A variant can only be in one open stocktake per location, otherwise approving
+-- both would adjust it twice: raises STOCKTAKE_OVERLAP with the variant IDs, or
+-- STOCKTAKE_SCOPE_EMPTY when the scope has no variants.
+CREATE OR REPLACE FUNCTION start_stocktake(
+    p_scope_type VARCHAR,
+    p_scope_id INTEGER,
+    p_location_id INTEGER,
+    p_started_by UUID,
+    p_note TEXT
+)
+RETURNS stocktakes AS $$
+DECLARE
+    v_location_id INTEGER := COALESCE(p_location_id, default_stock_location());
+    v_stocktake stocktakes%ROWTYPE;
+    v_overlap JSONB;
+BEGIN
+    -- Serializes concurrent starts so the overlap check holds
+    PERFORM pg_advisory_xact_lock(hashtext('start_stocktake'));
+
+    SELECT jsonb_agg(DISTINCT sl.variant_id)
+    INTO v_overlap
+    FROM stocktake_lines sl
+    JOIN stocktakes st ON st.stocktake_id = sl.stocktake_id
+    JOIN shoe_variants sv ON sv.variant_id = sl.variant_id
+    JOIN shoes s ON s.shoe_id = sv.shoe_id
+    WHERE st.status = 'counting'
+      AND st.location_id = v_location_id
+      AND (p_scope_type = 'all'
+           OR (p_scope_type = 'category' AND s.category_id = p_scope_id)
+           OR (p_scope_type = 'shoe' AND sv.shoe_id = p_scope_id));
+
+    IF v_overlap IS NOT NULL THEN
+        RAISE EXCEPTION 'STOCKTAKE_OVERLAP' USING DETAIL = v_overlap::TEXT;
+    END IF;
+
+    INSERT INTO stocktakes (scope_type, scope_id, location_id, started_by, note)
+    VALUES (p_scope_type, CASE WHEN p_scope_type = 'all' THEN NULL ELSE p_scope_id END, v_location_id, p_started_by, p_note)
+    RETURNING * INTO v_stocktake;
+
+    INSERT INTO stocktake_lines (stocktake_id, variant_id, snapshot_quantity)
+    SELECT v_stocktake.stocktake_id, sv.variant_id, COALESCE(ls.quantity, 0)
+    FROM shoe_variants sv
+    JOIN shoes s ON s.shoe_id = sv.shoe_id
+    LEFT JOIN location_stock ls ON ls.location_id = v_location_id AND ls.variant_id = sv.variant_id
+    WHERE p_scope_type = 'all'
+       OR (p_scope_type = 'category' AND s.category_id = p_scope_id)
+       OR (p_scope_type = 'shoe' AND sv.shoe_id = p_scope_id);
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'STOCKTAKE_SCOPE_EMPTY';
+    END IF;
+
+    RETURN v_stocktake;
+END;
+$$ LANGUAGE plpgsql SET search_path = db_nike;
+
+
+-- Function to record counted quantities of an open stocktake
+-- p_counts: [{ variant_id, counted_quantity }]; with p_add the quantities are added to the
+-- count so far (SKU scans). The first count of a line takes the variant's stock at the stocktake's
+-- location at that moment as its expected quantity, and scans added to it keep that baseline, so
+-- sales between scans cannot shift it. A count without p_add replaces the line's count and is a new
+-- count: it takes the stock again. Raises VARIANT_NOT_IN_STOCKTAKE with the variant IDs outside the scope.
+CREATE OR REPLACE FUNCTION record_stocktake_counts(
+    p_stocktake_id INTEGER,
+    p_counts JSONB,
+    p_counted_by UUID,
+    p_add BOOLEAN DEFAULT FALSE
+)
+RETURNS SETOF stocktake_lines AS $$
+DECLARE
+    v_stocktake stocktakes%ROWTYPE;
+    v_unknown JSONB;
+BEGIN
+    SELECT * INTO v_stocktake
+    FROM stocktakes
+    WHERE stocktake_id = p_stocktake_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'STOCKTAKE_NOT_FOUND';
+    END IF;
+
+    IF v_stocktake.status <> 'counting' THEN
+        RAISE EXCEPTION 'STATUS_CONFLICT';
+    END IF;
+
+    SELECT jsonb_agg(DISTINCT counted.variant_id)
+    INTO v_unknown
+    FROM (
+        SELECT (item->>'variant_id')::INTEGER AS variant_id
+        FROM jsonb_array_elements(p_counts) AS item
+    ) AS counted
+    LEFT JOIN stocktake_lines sl
+        ON sl.stocktake_id = p_stocktake_id AND sl.variant_id = counted.variant_id
+    WHERE sl.stocktake_line_id IS NULL;
+
+    IF v_unknown IS NOT NULL THEN
+        RAISE EXCEPTION 'VARIANT_NOT_IN_STOCKTAKE' USING DETAIL = v_unknown::TEXT;
+    END IF;
+
+    RETURN QUERY
+    UPDATE stocktake_lines sl
+    SET counted_quantity = CASE WHEN p_add THEN COALESCE(sl.counted_quantity, 0) + counted.quantity ELSE counted.quantity END,
+        expected_quantity = CASE
+            WHEN p_add AND sl.expected_quantity IS NOT NULL THEN sl.expected_quantity
+            ELSE COALESCE((
+                SELECT ls.quantity FROM location_stock ls
+                WHERE ls.location_id = v_stocktake.location_id AND ls.variant_id = sl.variant_id
+            ), 0)
+        END,
+        counted_by = p_counted_by,
+        counted_at = NOW()
+    FROM (
+        SELECT (item->>'variant_id')::INTEGER AS variant_id, SUM((item->>'counted_quantity')::INTEGER) AS quantity
+        FROM jsonb_array_elements(p_counts) AS item
+        GROUP BY 1
+    ) AS counted
+    WHERE sl.stocktake_id = p_stocktake_id
+      AND sl.variant_id = counted.variant_id
+    RETURNING sl.*;
+END;
+$$ LANGUAGE plpgsql SET search_path = db_nike;
+
+
+-- Function to approve a stocktake: posts the variance of every counted line
+-- Sales and receipts after a count are already in the location's stock, so only the variance
+-- (counted - expected) is applied there as an 'adjustment' movement, never taking stock below 0.
+-- Uncounted lines are left as they are. Raises STATUS_CONFLICT unless the stocktake is counting.
+CREATE OR REPLACE FUNCTION approve_stocktake(p_stocktake_id INTEGER, p_approved_by UUID)
+RETURNS stocktakes AS $$
+DECLARE
+    v_stocktake stocktakes%ROWTYPE;
+    v_line RECORD;
+    v_change INTEGER;
+BEGIN
+    SELECT * INTO v_stocktake
+    FROM stocktakes
+    WHERE stocktake_id = p_stocktake_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'STOCKTAKE_NOT_FOUND';
+    END IF;
+
+    IF v_stocktake.status <> 'counting' THEN
+        RAISE EXCEPTION 'STATUS_CONFLICT';
+    END IF;
+
+    FOR v_line IN
+        SELECT sl.stocktake_line_id, sl.variant_id, sl.counted_quantity, sl.expected_quantity,
+               COALESCE(ls.quantity, 0) AS current_stock, sv.average_cost
+        FROM stocktake_lines sl
+        JOIN shoe_variants sv ON sv.variant_id = sl.variant_id
+        LEFT JOIN location_stock ls ON ls.location_id = v_stocktake.location_id AND ls.variant_id = sl.variant_id
+        WHERE sl.stocktake_id = p_stocktake_id
+          AND sl.counted_quantity IS NOT NULL
+        ORDER BY sl.variant_id
+        FOR UPDATE OF sv
+    LOOP
+        v_change := GREATEST(v_line.counted_quantity - v_line.expected_quantity, -v_line.current_stock);
+
+        IF v_change <> 0 THEN
+            PERFORM apply_stock_movement(
+                v_line.variant_id, 'adjustment', v_change, 'stocktake', p_stocktake_id,
+                p_approved_by, 'Stocktake #' || p_stocktake_id, v_stocktake.location_id
+            );
+        END IF;
+
+        UPDATE stocktake_lines
+        SET adjustment_quantity = v_change,
+            unit_cost = v_line.average_cost
+        WHERE stocktake_line_id = v_line.stocktake_line_id;
+    END LOOP;
+
+    UPDATE stocktakes
+    SET status = 'approved', approved_by = p_approved_by, approved_at = NOW()
+    WHERE stocktake_id = p_stocktake_id
+    RETURNING * INTO v_stocktake;
+
+    RETURN v_stocktake;
+END;
+$$ LANGUAGE plpgsql SET search_path = db_nike;
+
+
+-- Function ranking the sellable locations for an online order
+-- p_items: [{ variant_id, quantity }]. The 'nearest' rule puts locations in p_province first,
+-- 'most_stock' the locations holding most of the requested units; ties go to the higher
+-- priority, then the older location. covers_all is TRUE when a location holds every line.
+CREATE OR REPLACE FUNCTION fulfilment_locations(p_items JSONB, p_rule VARCHAR, p_province VARCHAR)
+RETURNS TABLE (
+    location_id INTEGER,
+    location_code VARCHAR(20),
+    location_name VARCHAR(100),
+    units INTEGER,
+    covers_all BOOLEAN,
+    rank INTEGER
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT sl.location_id,
+           sl.location_code,
+           sl.location_name,
+           stock.units::INTEGER,
+           stock.covers_all,
+           (ROW_NUMBER() OVER (ORDER BY
+               CASE WHEN p_rule = 'nearest' AND sl.province = p_province THEN 0 ELSE 1 END,
+               CASE WHEN p_rule = 'most_stock' THEN stock.units ELSE 0 END DESC,
+               sl.priority DESC,
+               sl.location_id
+           ))::INTEGER
+    FROM stock_locations sl
+    CROSS JOIN LATERAL (
+        SELECT COALESCE(SUM(LEAST(COALESCE(ls.quantity, 0), req.quantity)), 0) AS units,
+               COALESCE(BOOL_AND(COALESCE(ls.quantity, 0) >= req.quantity), FALSE) AS covers_all
+        FROM (
+            SELECT (item->>'variant_id')::INTEGER AS variant_id, (item->>'quantity')::INTEGER AS quantity
+            FROM jsonb_array_elements(p_items) AS item
+        ) AS req
+        LEFT JOIN location_stock ls ON ls.location_id = sl.location_id AND ls.variant_id = req.variant_id
+    ) AS stock
+    WHERE sl.is_sellable
+    ORDER BY 6;
+END;
+$$ LANGUAGE plpgsql STABLE SET search_path = db_nike;
+
+
+-- Function to send stock from one location to another
+-- p_transfer = { from_location_id, to_location_id, notes, created_by }, p_lines = [{ variant_id, quantity }].
+-- The units leave the source at once ('transfer_out' movements) and stay in transit until received.
+-- Raises INSUFFICIENT_STOCK like apply_stock_movement() when the source does not have them.
+CREATE OR REPLACE FUNCTION create_stock_transfer(p_transfer JSONB, p_lines JSONB)
+RETURNS stock_transfers AS $$
+DECLARE
+    v_transfer stock_transfers%ROWTYPE;
+BEGIN
+    INSERT INTO stock_transfers (from_location_id, to_location_id, notes, created_by)
+    VALUES (
+        (p_transfer->>'from_location_id')::INTEGER,
+        (p_transfer->>'to_location_id')::INTEGER,
+        p_transfer->>'notes',
+        (p_transfer->>'created_by')::UUID
+    )
+    RETURNING * INTO v_transfer;
+
+    INSERT INTO stock_transfer_lines (transfer_id, variant_id, quantity)
+    SELECT v_transfer.transfer_id,
+           (line->>'variant_id')::INTEGER,
+           (line->>'quantity')::INTEGER
+    FROM jsonb_array_elements(p_lines) AS line;
+
+    PERFORM apply_stock_movement(
+        stl.variant_id, 'transfer_out', -stl.quantity, 'transfer', v_transfer.transfer_id,
+        v_transfer.created_by, v_transfer.notes, v_transfer.from_location_id
+    )
+    FROM stock_transfer_lines stl
+    WHERE stl.transfer_id = v_transfer.transfer_id
+    ORDER BY stl.variant_id;
+
+    RETURN v_transfer;
+END;
+$$ LANGUAGE plpgsql SET search_path = db_nike;
+
+
+-- Function to receive a transfer at its destination
+-- p_items: [{ variant_id, quantity_received }] for lines that did not fully arrive; the other lines
+-- are received in full. The units arrive as 'transfer_in' movements; units that did not arrive stay
+-- recorded on their line. Raises TRANSFER_NOT_FOUND, STATUS_CONFLICT unless the transfer is in transit,
+-- or RECEIPT_EXCEEDS_SHIPPED with [{ variant_id, quantity }] for lines over the shipped quantity or
+-- not on the transfer.
+CREATE OR REPLACE FUNCTION receive_stock_transfer(p_transfer_id INTEGER, p_items JSONB, p_received_by UUID)
+RETURNS stock_transfers AS $$
+DECLARE
+    v_transfer stock_transfers%ROWTYPE;
+    v_exceeded JSONB;
+BEGIN
+    SELECT * INTO v_transfer
+    FROM stock_transfers
+    WHERE transfer_id = p_transfer_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'TRANSFER_NOT_FOUND';
+    END IF;
+
+    IF v_transfer.status <> 'in_transit' THEN
+        RAISE EXCEPTION 'STATUS_CONFLICT';
+    END IF;
+
+    SELECT jsonb_agg(jsonb_build_object('variant_id', received.variant_id, 'quantity', COALESCE(stl.quantity, 0)))
+    INTO v_exceeded
+    FROM (
+        SELECT (item->>'variant_id')::INTEGER AS variant_id, (item->>'quantity_received')::INTEGER AS quantity
+        FROM jsonb_array_elements(COALESCE(p_items, '[]'::JSONB)) AS item
+    ) AS received
+    LEFT JOIN stock_transfer_lines stl
+        ON stl.transfer_id = p_transfer_id AND stl.variant_id = received.variant_id
+    WHERE stl.transfer_line_id IS NULL
+       OR received.quantity > stl.quantity;
+
+    IF v_exceeded IS NOT NULL THEN
+        RAISE EXCEPTION 'RECEIPT_EXCEEDS_SHIPPED' USING DETAIL = v_exceeded::TEXT;
+    END IF;
+
+    UPDATE stock_transfer_lines stl
+    SET quantity_received = COALESCE((
+            SELECT (item->>'quantity_received')::INTEGER
+            FROM jsonb_array_elements(COALESCE(p_items, '[]'::JSONB)) AS item
+            WHERE (item->>'variant_id')::INTEGER = stl.variant_id
+            LIMIT 1
+        ), stl.quantity)
+    WHERE stl.transfer_id = p_transfer_id;
+
+    PERFORM apply_stock_movement(
+        stl.variant_id, 'transfer_in', stl.quantity_received, 'transfer', p_transfer_id,
+        p_received_by, v_transfer.notes, v_transfer.to_location_id
+    )
+    FROM stock_transfer_lines stl
+    WHERE stl.transfer_id = p_transfer_id
+      AND stl.quantity_received > 0
+    ORDER BY stl.variant_id;
+
+    UPDATE stock_transfers
+    SET status = 'received', received_by = p_received_by, received_at = NOW()
+    WHERE transfer_id = p_transfer_id
+    RETURNING * INTO v_transfer;
+
+    RETURN v_transfer;
+END;
+$$ LANGUAGE plpgsql SET search_path = db_nike;
+
+
+-- Function to cancel a transfer still in transit: its units go back to the source
+-- Raises TRANSFER_NOT_FOUND, or STATUS_CONFLICT unless the transfer is in transit.
+CREATE OR REPLACE FUNCTION cancel_stock_transfer(p_transfer_id INTEGER, p_cancelled_by UUID)
+RETURNS stock_transfers AS $$
+DECLARE
+    v_transfer stock_transfers%ROWTYPE;
+BEGIN
+    SELECT * INTO v_transfer
+    FROM stock_transfers
+    WHERE transfer_id = p_transfer_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'TRANSFER_NOT_FOUND';
+    END IF;
+
+    IF v_transfer.status <> 'in_transit' THEN
+        RAISE EXCEPTION 'STATUS_CONFLICT';
+    END IF;
+
+    PERFORM apply_stock_movement(
+        stl.variant_id, 'transfer_in', stl.quantity, 'transfer', p_transfer_id,
+        p_cancelled_by, 'Transfer #' || p_transfer_id || ' cancelled', v_transfer.from_location_id
+    )
+    FROM stock_transfer_lines stl
+    WHERE stl.transfer_id = p_transfer_id
+    ORDER BY stl.variant_id;
+
+    UPDATE stock_transfers
+    SET status = 'cancelled', cancelled_at = NOW()
+    WHERE transfer_id = p_transfer_id
+    RETURNING * INTO v_transfer;
+
+    RETURN v_transfer;
+END;
+$$ LANGUAGE plpgsql SET search_path = db_nike;
+
+
+-- Function to import catalog rows planned by the backend (see backend/utils/catalogImport.js)
+-- p_rows: [{ line, category, shoe_name, description, base_price, image_url, color, hex_code, size,
+-- size_type, sku, variant_price, stock, stock_expected, is_active }]; a null field leaves the stored
+-- value as it is. Categories, shoes, colors and sizes are matched by name without case and created
+-- when missing (a new shoe costs base_price, else variant_price); variants are matched by SKU. stock
+-- sets the variant's quantity at p_location_id (default location when NULL): an 'opening' movement
+-- for new variants, an 'adjustment' of the difference otherwise, only while the quantity is still
+-- stock_expected (what the backend planned the change from).
+-- All rows or none: raises SKU_CONFLICT (the SKU is another shoe, color or size's), SHOE_INCOMPLETE
+-- (a new shoe without category or price) or STOCK_CHANGED (the quantity is no longer stock_expected),
+-- DETAIL = { line, sku }.
+-- Returns [{ line, variant_id, action: create|update }].
+CREATE OR REPLACE FUNCTION import_catalog(p_rows JSONB, p_location_id INTEGER, p_created_by UUID)
+RETURNS JSONB AS $$
+DECLARE
+    v_location_id INTEGER := COALESCE(p_location_id, default_stock_location());
+    v_row JSONB;
+    v_detail TEXT;
+    v_category_id INTEGER;
+    v_shoe_id INTEGER;
+    v_color_id INTEGER;
+    v_size_id INTEGER;
+    v_variant shoe_variants%ROWTYPE;
+    v_action VARCHAR(10);
+    v_current INTEGER;
+    v_stock INTEGER;
+    v_result JSONB := '[]'::JSONB;
+BEGIN
+    FOR v_row IN
+        SELECT value
+        FROM jsonb_array_elements(p_rows)
+        ORDER BY (value->>'line')::INTEGER
+    LOOP
+        v_detail := jsonb_build_object('line', v_row->'line', 'sku', v_row->>'sku')::TEXT;
+        v_category_id := NULL;
+
+        IF v_row->>'category' IS NOT NULL THEN
+            SELECT category_id INTO v_category_id
+            FROM categories
+            WHERE LOWER(category_name) = LOWER(v_row->>'category')
+            ORDER BY category_id
+            LIMIT 1;
+
+            IF NOT FOUND THEN
+                INSERT INTO categories (category_name)
+                VALUES (v_row->>'category')
+                RETURNING category_id INTO v_category_id;
+            END IF;
+        END IF;
+
+        SELECT shoe_id INTO v_shoe_id
+        FROM shoes
+        WHERE LOWER(shoe_name) = LOWER(v_row->>'shoe_name')
+        ORDER BY shoe_id
+        LIMIT 1;
+
+        IF NOT FOUND THEN
+            IF v_category_id IS NULL OR COALESCE(v_row->>'base_price', v_row->>'variant_price') IS NULL THEN
+                RAISE EXCEPTION 'SHOE_INCOMPLETE' USING DETAIL = v_detail;
+            END IF;
+
+            INSERT INTO shoes (category_id, shoe_name, description, base_price, image_url)
+            VALUES (
+                v_category_id, v_row->>'shoe_name', v_row->>'description',
+                COALESCE(v_row->>'base_price', v_row->>'variant_price')::DECIMAL, v_row->>'image_url'
+            )
+            RETURNING shoe_id INTO v_shoe_id;
+        ELSE
+            UPDATE shoes
+            SET category_id = COALESCE(v_category_id, category_id),
+                description = COALESCE(v_row->>'description', description),
+                base_price = COALESCE((v_row->>'base_price')::DECIMAL, base_price),
+                image_url = COALESCE(v_row->>'image_url', image_url)
+            WHERE shoe_id = v_shoe_id
+              AND (category_id IS DISTINCT FROM COALESCE(v_category_id, category_id)
+                   OR description IS DISTINCT FROM COALESCE(v_row->>'description', description)
+                   OR base_price IS DISTINCT FROM COALESCE((v_row->>'base_price')::DECIMAL, base_price)
+                   OR image_url IS DISTINCT FROM COALESCE(v_row->>'image_url', image_url));
+        END IF;
+
+        SELECT color_id INTO v_color_id
+        FROM colors
+        WHERE LOWER(color_name) = LOWER(v_row->>'color')
+        ORDER BY color_id
+        LIMIT 1;
+
+        IF NOT FOUND THEN
+            INSERT INTO colors (color_name, hex_code)
+            VALUES (v_row->>'color', v_row->>'hex_code')
+            RETURNING color_id INTO v_color_id;
+        END IF;
+
+        SELECT size_id INTO v_size_id
+        FROM sizes
+        WHERE LOWER(size_value) = LOWER(v_row->>'size')
+        ORDER BY size_id
+        LIMIT 1;
+
+        IF NOT FOUND THEN
+            INSERT INTO sizes (size_value, size_type)
+            VALUES (v_row->>'size', COALESCE(v_row->>'size_type', 'US'))
+            RETURNING size_id INTO v_size_id;
+        END IF;
+
+        SELECT * INTO v_variant
+        FROM shoe_variants
+        WHERE sku = v_row->>'sku'
+        FOR UPDATE;
+
+        IF NOT FOUND THEN
+            -- Created without stock, so the opening movement below goes to p_location_id
+            INSERT INTO shoe_variants (shoe_id, color_id, size_id, sku, variant_price, is_active)
+            VALUES (
+                v_shoe_id, v_color_id, v_size_id, v_row->>'sku',
+                (v_row->>'variant_price')::DECIMAL, COALESCE((v_row->>'is_active')::BOOLEAN, TRUE)
+            )
+            RETURNING * INTO v_variant;
+
+            v_action := 'create';
+            v_current := 0;
+        ELSE
+            IF (v_variant.shoe_id, v_variant.color_id, v_variant.size_id) IS DISTINCT FROM (v_shoe_id, v_color_id, v_size_id) THEN
+                RAISE EXCEPTION 'SKU_CONFLICT' USING DETAIL = v_detail;
+            END IF;
+
+            UPDATE shoe_variants
+            SET variant_price = COALESCE((v_row->>'variant_price')::DECIMAL, variant_price),
+                is_active = COALESCE((v_row->>'is_active')::BOOLEAN, is_active)
+            WHERE variant_id = v_variant.variant_id
+              AND (variant_price IS DISTINCT FROM COALESCE((v_row->>'variant_price')::DECIMAL, variant_price)
+                   OR is_active IS DISTINCT FROM COALESCE((v_row->>'is_active')::BOOLEAN, is_active));
+
+            v_action := 'update';
+            SELECT COALESCE(MAX(quantity), 0) INTO v_current
+            FROM location_stock
+            WHERE location_id = v_location_id AND variant_id = v_variant.variant_id;
+        END IF;
+
+        v_stock := (v_row->>'stock')::INTEGER;
+
+        IF v_stock IS NOT NULL AND v_current IS DISTINCT FROM COALESCE((v_row->>'stock_expected')::INTEGER, v_current) THEN
+            RAISE EXCEPTION 'STOCK_CHANGED' USING DETAIL = v_detail;
+        END IF;
+
+        IF v_stock IS NOT NULL AND v_stock <> v_current THEN
+            PERFORM apply_stock_movement(
+                v_variant.variant_id,
+                CASE WHEN v_action = 'create' THEN 'opening' ELSE 'adjustment' END,
+                v_stock - v_current, 'catalog_import', NULL, p_created_by,
+                'Catalog import, line ' || (v_row->>'line'), v_location_id
+            );
+        END IF;
+
+        v_result := v_result || jsonb_build_object(
+            'line', v_row->'line',
+            'variant_id', v_variant.variant_id,
+            'action', v_action
+        );
+    END LOOP;
+
+    RETURN v_result;
+END;
+$$ LANGUAGE plpgsql SET search_path = db_nike;
+
+
+-- Stock movements are append-only: corrections are new adjustment movements
+CREATE OR REPLACE FUNCTION prevent_stock_movement_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'STOCK_MOVEMENTS_APPEND_ONLY';
+END;
+$$ LANGUAGE plpgsql;
+
+
+CREATE TRIGGER trigger_stock_movements_append_only
+    BEFORE UPDATE OR DELETE ON stock_movements
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_stock_movement_changes();
+
+
+-- Function to record the stock a variant is created with as its opening movement
+-- The units are at the default location, which is always sellable.
+CREATE OR REPLACE FUNCTION record_opening_stock()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_location_id INTEGER;
+BEGIN
+    IF COALESCE(NEW.stock_quantity, 0) > 0 THEN
+        v_location_id := default_stock_location();
+
+        INSERT INTO location_stock (location_id, variant_id, quantity)
+        VALUES (v_location_id, NEW.variant_id, NEW.stock_quantity);
+
+        INSERT INTO stock_movements (variant_id, location_id, movement_type, quantity_change, quantity_after, reference_type, reference_id)
+        VALUES (NEW.variant_id, v_location_id, 'opening', NEW.stock_quantity, NEW.stock_quantity, 'variant', NEW.variant_id);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = db_nike;
+
+
+CREATE TRIGGER trigger_record_opening_stock
+    AFTER INSERT ON shoe_variants
+    FOR EACH ROW
+    EXECUTE FUNCTION record_opening_stock();
+
+
+-- Function to automatically update stock and average cost when importing
+-- The new average_cost weighs the stock on hand at every location at its average cost against
+-- the imported units at import_price; without stock (or a known cost) it is the import price.
+-- The units go to the import's location.
+CREATE OR REPLACE FUNCTION update_stock_on_import()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_variant shoe_variants%ROWTYPE;
+    v_on_hand INTEGER;
+BEGIN
+    SELECT * INTO v_variant
+    FROM shoe_variants
+    WHERE variant_id = NEW.variant_id
+    FOR UPDATE;
+
+    SELECT COALESCE(SUM(quantity), 0) INTO v_on_hand
+    FROM location_stock
+    WHERE variant_id = NEW.variant_id;
+
+    UPDATE shoe_variants
+    SET average_cost = CASE
+            WHEN v_on_hand <= 0 OR v_variant.average_cost IS NULL THEN NEW.import_price
+            ELSE ROUND(
+                (v_on_hand * v_variant.average_cost + NEW.quantity_imported * NEW.import_price)
+                / (v_on_hand + NEW.quantity_imported),
+                2
+            )
+        END
+    WHERE variant_id = NEW.variant_id;
+
+    PERFORM apply_stock_movement(
+        NEW.variant_id, 'import', NEW.quantity_imported, 'import', NEW.import_id, NEW.user_id, NEW.notes,
+        NEW.location_id
+    );
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = db_nike;
+
+
+-- Trigger for stock updates on import
+CREATE TRIGGER trigger_update_stock_on_import
+    AFTER INSERT ON imports
+    FOR EACH ROW
+    EXECUTE FUNCTION update_stock_on_import();
+
+
+-- Stock for new orders is decremented by create_order_with_items() below,
+-- so the old per-row order_items trigger must not run as well
+DROP TRIGGER IF EXISTS trigger_check_and_update_stock_on_order ON order_items;
+DROP FUNCTION IF EXISTS check_and_update_stock_on_order();
+
+
+-- Function to place an order atomically
+-- Locks every requested variant, verifies stock, inserts the order, its
+-- items, tax lines and promotion redemptions and decrements stock in a single
+-- transaction. Raises INSUFFICIENT_STOCK (DETAIL = JSON array of shortfalls)
+-- when any line cannot be fulfilled and PROMOTION_LIMIT_REACHED (DETAIL =
+-- { promotion_id, code }) when a promotion ran out of uses, in which case
+-- nothing is written.
+-- The units are taken from sellable locations picked by p_order.fulfilment_rule and
+-- p_order.fulfilment_province (see fulfilment_locations()): the first location holding
+-- every line ships the order, otherwise each line is split over the locations in turn.
+CREATE OR REPLACE FUNCTION create_order_with_items(p_order JSONB, p_items JSONB)
+RETURNS orders AS $$
+DECLARE
+    v_order orders;
+    v_shortfalls JSONB;
+    v_promotion promotions;
+    v_applied JSONB;
+    v_requested JSONB;
+    v_rule VARCHAR := COALESCE(p_order->>'fulfilment_rule', 'nearest');
+    v_location_id INTEGER;
+    v_line RECORD;
+    v_stock RECORD;
+    v_remaining INTEGER;
+    v_take INTEGER;
+BEGIN
+    IF p_items IS NULL OR jsonb_array_length(p_items) = 0 THEN
+        RAISE EXCEPTION 'EMPTY_ORDER';
+    END IF;
+
+    -- Lock variant rows in a stable order so concurrent checkouts serialize
+    -- instead of deadlocking
+    PERFORM 1
+    FROM shoe_variants
+    WHERE variant_id IN (
+        SELECT (item->>'variant_id')::INTEGER FROM jsonb_array_elements(p_items) AS item
+    )
+    ORDER BY variant_id
+    FOR UPDATE;
+
+    -- Active holds of other carts are not available to this buyer
+    SELECT jsonb_agg(jsonb_build_object(
+        'variant_id', req.variant_id,
+        'available', FALSE,
+        'current_stock', COALESCE(sv.stock_quantity, 0),
+        'reserved_quantity', COALESCE(held.quantity, 0),
+        'available_quantity', GREATEST(COALESCE(sv.stock_quantity, 0) - COALESCE(held.quantity, 0), 0),
+        'requested_quantity', req.quantity,
+        'shortfall', req.quantity - GREATEST(COALESCE(sv.stock_quantity, 0) - COALESCE(held.quantity, 0), 0)
+    ))
+    INTO v_shortfalls
+    FROM (
+        SELECT (item->>'variant_id')::INTEGER AS variant_id,
+               (item->>'quantity')::INTEGER AS quantity
+        FROM jsonb_array_elements(p_items) AS item
+    ) AS req
+    LEFT JOIN shoe_variants sv
+        ON sv.variant_id = req.variant_id AND sv.is_active = TRUE
+    LEFT JOIN (
+        SELECT variant_id, SUM(quantity) AS quantity
+        FROM stock_reservations
+        WHERE status = 'active'
+          AND expires_at > NOW()
+          AND holder_key IS DISTINCT FROM p_order->>'holder_key'
+        GROUP BY variant_id
+    ) AS held ON held.variant_id = req.variant_id
+    WHERE sv.variant_id IS NULL
+       OR sv.stock_quantity - COALESCE(held.quantity, 0) < req.quantity;
+
+    IF v_shortfalls IS NOT NULL THEN
+        RAISE EXCEPTION 'INSUFFICIENT_STOCK' USING DETAIL = v_shortfalls::TEXT;
+    END IF;
+
+    -- Usage limits are re-checked under a row lock so two checkouts cannot
+    -- both take the last use of a promotion
+    FOR v_applied IN
+        SELECT promo FROM jsonb_array_elements(COALESCE(p_order->'promotions', '[]'::JSONB)) AS promo
+        ORDER BY (promo->>'promotion_id')::INTEGER
+    LOOP
+        SELECT * INTO v_promotion
+        FROM promotions
+        WHERE promotion_id = (v_applied->>'promotion_id')::INTEGER
+        FOR UPDATE;
+
+        IF NOT FOUND
+           OR (v_promotion.usage_limit IS NOT NULL AND (
+                SELECT COUNT(*) FROM promotion_redemptions pr
+                JOIN orders o ON o.order_id = pr.order_id
+                WHERE pr.promotion_id = v_promotion.promotion_id AND o.status <> 'cancelled'
+              ) >= v_promotion.usage_limit)
+           OR (v_promotion.usage_limit_per_customer IS NOT NULL AND (
+                SELECT COUNT(*) FROM promotion_redemptions pr
+                JOIN orders o ON o.order_id = pr.order_id
+                WHERE pr.promotion_id = v_promotion.promotion_id
+                  AND pr.user_id = (p_order->>'user_id')::UUID
+                  AND o.status <> 'cancelled'
+              ) >= v_promotion.usage_limit_per_customer)
+        THEN
+            RAISE EXCEPTION 'PROMOTION_LIMIT_REACHED' USING DETAIL = jsonb_build_object(
+                'promotion_id', (v_applied->>'promotion_id')::INTEGER,
+                'code', v_applied->>'code'
+            )::TEXT;
+        END IF;
+    END LOOP;
+
+    SELECT jsonb_agg(jsonb_build_object('variant_id', req.variant_id, 'quantity', req.quantity))
+    INTO v_requested
+    FROM (
+        SELECT (item->>'variant_id')::INTEGER AS variant_id,
+               SUM((item->>'quantity')::INTEGER)::INTEGER AS quantity
+        FROM jsonb_array_elements(p_items) AS item
+        GROUP BY 1
+    ) AS req;
+
+    SELECT fl.location_id INTO v_location_id
+    FROM fulfilment_locations(v_requested, v_rule, p_order->>'fulfilment_province') AS fl
+    WHERE fl.covers_all
+    ORDER BY fl.rank
+    LIMIT 1;
+
+    INSERT INTO orders (
+        user_id, address_id, status, total_amount, shipping_cost, shipping_method, tax_amount,
+        prices_include_tax, tax_jurisdiction, discount_amount, shipping_discount, fulfilment_location_id, notes
+    )
+    VALUES (
+        (p_order->>'user_id')::UUID,
+        (p_order->>'address_id')::INTEGER,
+        'pending',
+        (p_order->>'total_amount')::DECIMAL,
+        COALESCE((p_order->>'shipping_cost')::DECIMAL, 0),
+        p_order->>'shipping_method',
+        COALESCE((p_order->>'tax_amount')::DECIMAL, 0),
+        COALESCE((p_order->>'prices_include_tax')::BOOLEAN, FALSE),
+        p_order->>'tax_jurisdiction',
+        COALESCE((p_order->>'discount_amount')::DECIMAL, 0),
+        COALESCE((p_order->>'shipping_discount')::DECIMAL, 0),
+        v_location_id,
+        p_order->>'notes'
+    )
+    RETURNING * INTO v_order;
+
+    INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, note)
+    VALUES (v_order.order_id, NULL, 'pending', v_order.user_id, 'Order placed');
+
+    -- unit_cost is the cost of goods sold snapshot: the variant's average cost right now
+    INSERT INTO order_items (order_id, variant_id, quantity, price_per_unit, list_price_per_unit, discount_amount, unit_cost)
+    SELECT v_order.order_id,
+           (item->>'variant_id')::INTEGER,
+           (item->>'quantity')::INTEGER,
+           (item->>'price_per_unit')::DECIMAL,
+           COALESCE((item->>'list_price_per_unit')::DECIMAL, (item->>'price_per_unit')::DECIMAL),
+           COALESCE((item->>'discount_amount')::DECIMAL, 0),
+           sv.average_cost
+    FROM jsonb_array_elements(p_items) AS item
+    LEFT JOIN shoe_variants sv ON sv.variant_id = (item->>'variant_id')::INTEGER;
+
+    INSERT INTO promotion_redemptions (promotion_id, order_id, user_id, code, discount_amount, shipping_discount)
+    SELECT (promo->>'promotion_id')::INTEGER,
+           v_order.order_id,
+           v_order.user_id,
+           promo->>'code',
+           COALESCE((promo->>'discount_amount')::DECIMAL, 0),
+           COALESCE((promo->>'shipping_discount')::DECIMAL, 0)
+    FROM jsonb_array_elements(COALESCE(p_order->'promotions', '[]'::JSONB)) AS promo;
+
+    -- Tax breakdown computed by the application (p_order->'tax_lines'),
+    -- item lines are matched to their order item by variant
+    INSERT INTO order_tax_lines (
+        order_id, order_item_id, line_type, jurisdiction, category_name,
+        tax_rate, taxable_amount, tax_amount, gross_amount
+    )
+    SELECT v_order.order_id,
+           oi.order_item_id,
+           line->>'line_type',
+           v_order.tax_jurisdiction,
+           line->>'category_name',
+           (line->>'tax_rate')::DECIMAL,
+           (line->>'taxable_amount')::DECIMAL,
+           (line->>'tax_amount')::DECIMAL,
+           (line->>'gross_amount')::DECIMAL
+    FROM jsonb_array_elements(COALESCE(p_order->'tax_lines', '[]'::JSONB)) AS line
+    LEFT JOIN order_items oi
+        ON oi.order_id = v_order.order_id
+       AND line->>'line_type' = 'item'
+       AND oi.variant_id = (line->>'variant_id')::INTEGER;
+
+    -- Sellable stock covers every line (checked above under the locks), so the locations
+    -- in turn always have enough between them
+    FOR v_line IN
+        SELECT (req->>'variant_id')::INTEGER AS variant_id, (req->>'quantity')::INTEGER AS quantity
+        FROM jsonb_array_elements(v_requested) AS req
+        ORDER BY 1
+    LOOP
+        v_remaining := v_line.quantity;
+
+        FOR v_stock IN
+            SELECT ls.location_id, ls.quantity
+            FROM fulfilment_locations(v_requested, v_rule, p_order->>'fulfilment_province') AS fl
+            JOIN location_stock ls ON ls.location_id = fl.location_id AND ls.variant_id = v_line.variant_id
+            WHERE ls.quantity > 0
+            ORDER BY fl.covers_all DESC, fl.rank
+        LOOP
+            v_take := LEAST(v_remaining, v_stock.quantity);
+            PERFORM apply_stock_movement(
+                v_line.variant_id, 'sale', -v_take, 'order', v_order.order_id, v_order.user_id, NULL, v_stock.location_id
+            );
+            v_remaining := v_remaining - v_take;
+            EXIT WHEN v_remaining = 0;
+        END LOOP;
+
+        IF v_remaining > 0 THEN
+            RAISE EXCEPTION 'INSUFFICIENT_STOCK' USING DETAIL = jsonb_build_array(jsonb_build_object(
+                'variant_id', v_line.variant_id,
+                'available', FALSE,
+                'requested_quantity', v_line.quantity,
+                'shortfall', v_remaining
+            ))::TEXT;
+        END IF;
+    END LOOP;
+
+    -- The buyer's holds on these variants have now become sales
+    UPDATE stock_reservations
+    SET status = 'converted',
+        order_id = v_order.order_id,
+        updated_at = NOW()
+    WHERE holder_key = p_order->>'holder_key'
+      AND status = 'active'
+      AND variant_id IN (
+          SELECT (item->>'variant_id')::INTEGER FROM jsonb_array_elements(p_items) AS item
+      );
+
+    RETURN v_order;
+END;
+$$ LANGUAGE plpgsql SET search_path = db_nike;
+
+
+-- Function to place or resize a cart hold
+-- Sets the holder's active hold on a variant to p_quantity and restarts its
+-- expiry. p_quantity = 0 releases the hold. Raises INSUFFICIENT_STOCK (DETAIL =
+-- JSON shortfall) when stock minus other carts' holds cannot cover it.
+CREATE OR REPLACE FUNCTION reserve_stock(
+    p_variant_id INTEGER,
+    p_holder_key VARCHAR,
+    p_quantity INTEGER,
+    p_ttl_seconds INTEGER
+)
+RETURNS stock_reservations AS $$
+DECLARE
+    v_stock INTEGER;
+    v_held INTEGER;
+    v_reservation stock_reservations;
+BEGIN
+    IF p_quantity <= 0 THEN
+        UPDATE stock_reservations
+        SET status = 'released', updated_at = NOW()
+        WHERE variant_id = p_variant_id AND holder_key = p_holder_key AND status = 'active'
+        RETURNING * INTO v_reservation;
+        RETURN v_reservation;
+    END IF;
+
+    SELECT stock_quantity INTO v_stock
+    FROM shoe_variants
+    WHERE variant_id = p_variant_id AND is_active = TRUE
+    FOR UPDATE;
+
+    SELECT COALESCE(SUM(quantity), 0) INTO v_held
+    FROM stock_reservations
+    WHERE variant_id = p_variant_id
+      AND status = 'active'
+      AND expires_at > NOW()
+      AND holder_key <> p_holder_key;
+
+    IF v_stock IS NULL OR v_stock - v_held < p_quantity THEN
+        RAISE EXCEPTION 'INSUFFICIENT_STOCK' USING DETAIL = jsonb_build_array(jsonb_build_object(
+            'variant_id', p_variant_id,
+            'available', FALSE,
+            'current_stock', COALESCE(v_stock, 0),
+            'reserved_quantity', v_held,
+            'available_quantity', GREATEST(COALESCE(v_stock, 0) - v_held, 0),
+            'requested_quantity', p_quantity,
+            'shortfall', p_quantity - GREATEST(COALESCE(v_stock, 0) - v_held, 0)
+        ))::TEXT;
+    END IF;
+
+    UPDATE stock_reservations
+    SET quantity = p_quantity,
+        expires_at = NOW() + make_interval(secs => p_ttl_seconds),
+        updated_at = NOW()
+    WHERE variant_id = p_variant_id AND holder_key = p_holder_key AND status = 'active'
+    RETURNING * INTO v_reservation;
+
+    IF NOT FOUND THEN
+        INSERT INTO stock_reservations (variant_id, holder_key, quantity, expires_at)
+        VALUES (p_variant_id, p_holder_key, p_quantity, NOW() + make_interval(secs => p_ttl_seconds))
+        RETURNING * INTO v_reservation;
+    END IF;
+
+    RETURN v_reservation;
+END;
+$$ LANGUAGE plpgsql SET search_path = db_nike;
+
+
+-- Function to merge a guest cart into a user's cart at sign-in
+-- Quantities of variants in both carts are added up, the guest cart is marked
+-- 'merged' and the guest's stock holds move to the user. Returns the user's cart.
+CREATE OR REPLACE FUNCTION merge_guest_cart(p_guest_token VARCHAR, p_user_id UUID)
+RETURNS carts AS $$
+DECLARE
+    v_guest_cart carts;
+    v_user_cart carts;
+    v_guest_key TEXT := 'guest:' || p_guest_token;
+    v_user_key TEXT := 'user:' || p_user_id;
+BEGIN
+    SELECT * INTO v_user_cart
+    FROM carts
+    WHERE user_id = p_user_id AND status = 'active'
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        INSERT INTO carts (user_id) VALUES (p_user_id)
+        RETURNING * INTO v_user_cart;
+    END IF;
+
+    SELECT * INTO v_guest_cart
+    FROM carts
+    WHERE guest_token = p_guest_token AND status = 'active' AND user_id IS NULL
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN v_user_cart;
+    END IF;
+
+    INSERT INTO cart_items (cart_id, variant_id, quantity, price_at_add)
+    SELECT v_user_cart.cart_id, variant_id, quantity, price_at_add
+    FROM cart_items
+    WHERE cart_id = v_guest_cart.cart_id
+    ON CONFLICT (cart_id, variant_id)
+    DO UPDATE SET quantity = cart_items.quantity + EXCLUDED.quantity;
+
+    -- A coupon entered as a guest carries over unless the account cart has one
+    UPDATE carts
+    SET coupon_code = COALESCE(v_user_cart.coupon_code, v_guest_cart.coupon_code)
+    WHERE cart_id = v_user_cart.cart_id;
+
+    UPDATE carts SET status = 'merged' WHERE cart_id = v_guest_cart.cart_id;
+
+    -- Both holds were already counted against stock, so adding them up is safe
+    UPDATE stock_reservations AS mine
+    SET quantity = mine.quantity + guest.quantity,
+        expires_at = GREATEST(mine.expires_at, guest.expires_at),
+        updated_at = NOW()
+    FROM stock_reservations AS guest
+    WHERE guest.holder_key = v_guest_key
+      AND guest.status = 'active'
+      AND mine.holder_key = v_user_key
+      AND mine.status = 'active'
+      AND mine.variant_id = guest.variant_id;
+
+    UPDATE stock_reservations
+    SET status = 'released', updated_at = NOW()
+    WHERE holder_key = v_guest_key
+      AND status = 'active'
+      AND variant_id IN (
+          SELECT variant_id FROM stock_reservations
+          WHERE holder_key = v_user_key AND status = 'active'
+      );
+
+    UPDATE stock_reservations
+    SET holder_key = v_user_key, updated_at = NOW()
+    WHERE holder_key = v_guest_key AND status = 'active';
+
+    RETURN v_user_cart;
+END;
+$$ LANGUAGE plpgsql SET search_path = db_nike;
+
+
+-- Function to expire stale cart holds (called by the backend sweeper)
+CREATE OR REPLACE FUNCTION release_expired_reservations()
+RETURNS INTEGER AS $$
+DECLARE
+    v_count INTEGER;
+BEGIN
+    UPDATE stock_reservations
+    SET status = 'expired', updated_at = NOW()
+    WHERE status = 'active' AND expires_at <= NOW();
+
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql SET search_path = db_nike;
+
+
+-- Function to move an order from one status to another
+-- The allowed transitions live in ORDER_STATUS_TRANSITIONS (config/constants.js);
+-- this function only guarantees the order is still in p_from_status when it is
+-- updated and records the transition. Raises STATUS_CONFLICT otherwise.
+CREATE OR REPLACE FUNCTION change_order_status(
+    p_order_id INTEGER,
+    p_from_status VARCHAR,
+    p_to_status VARCHAR,
+    p_changed_by UUID,
+    p_note TEXT DEFAULT NULL
+)
+RETURNS orders AS $$
+DECLARE
+    v_order orders;
+BEGIN
+    -- Cancelling also restocks and voids payments, see cancel_order()
+    IF p_to_status = 'cancelled' THEN
+        RAISE EXCEPTION 'USE_CANCEL_ORDER';
+    END IF;
+
+    UPDATE orders
+    SET status = p_to_status
+    WHERE order_id = p_order_id AND status = p_from_status
+    RETURNING * INTO v_order;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'STATUS_CONFLICT';
+    END IF;
+
+    INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, note)
+    VALUES (p_order_id, p_from_status, p_to_status, p_changed_by, p_note);
+
+    RETURN v_order;
+END;
+$$ LANGUAGE plpgsql SET search_path = db_nike;
+
+
+-- Function to cancel an order
+-- Restocks every line, fails pending payments and records the reason, all under
+-- the order row lock. Cancelling an already cancelled order is a no-op that
+-- returns FALSE, so retries never restock twice. Completed payments are left
+-- for the backend to refund. Raises CANNOT_CANCEL once the order has shipped.
+CREATE OR REPLACE FUNCTION cancel_order(
+    p_order_id INTEGER,
+    p_cancelled_by UUID,
+    p_reason TEXT DEFAULT NULL
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+    v_status VARCHAR(20);
+BEGIN
+    SELECT status INTO v_status
+    FROM orders
+    WHERE order_id = p_order_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'ORDER_NOT_FOUND';
+    END IF;
+
+    IF v_status = 'cancelled' THEN
+        RETURN FALSE;
+    END IF;
+
+    IF v_status NOT IN ('pending', 'processing') THEN
+        RAISE EXCEPTION 'CANNOT_CANCEL' USING DETAIL = jsonb_build_object('status', v_status)::TEXT;
+    END IF;
+
+    UPDATE orders
+    SET status = 'cancelled',
+        cancellation_reason = p_reason,
+        cancelled_at = NOW()
+    WHERE order_id = p_order_id;
+
+    -- Units go back to the locations the sale took them from
+    PERFORM apply_stock_movement(
+        sold.variant_id, 'cancellation', sold.quantity, 'order', p_order_id, p_cancelled_by, p_reason, sold.location_id
+    )
+    FROM (
+        SELECT variant_id, location_id, -SUM(quantity_change)::INTEGER AS quantity
+        FROM stock_movements
+        WHERE reference_type = 'order'
+          AND reference_id = p_order_id
+          AND movement_type = 'sale'
+        GROUP BY variant_id, location_id
+    ) AS sold
+    ORDER BY sold.variant_id, sold.location_id;
+
+    UPDATE payments
+    SET status = 'failed',
+        failure_reason = COALESCE(failure_reason, 'order_cancelled')
+    WHERE order_id = p_order_id AND status = 'pending';
+
+    INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, note)
+    VALUES (p_order_id, v_status, 'cancelled', p_cancelled_by, p_reason);
+
+    RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql SET search_path = db_nike;
+
+
+-- Function to open a return request with its items in one transaction
+-- Locks the order so concurrent requests cannot return the same units twice.
+-- Raises QUANTITY_EXCEEDED (DETAIL = JSON lines) when a line asks for more than
+-- was ordered minus what open or finished returns already cover.
+CREATE OR REPLACE FUNCTION create_return_request(p_return JSONB, p_items JSONB)
+RETURNS return_requests AS $$
+DECLARE
+    v_return return_requests;
+    v_exceeded JSONB;
+BEGIN
+    PERFORM 1 FROM orders
+    WHERE order_id = (p_return->>'order_id')::INTEGER
+    FOR UPDATE;
+
+    SELECT jsonb_agg(jsonb_build_object(
+        'order_item_id', req.order_item_id,
+        'requested_quantity', req.quantity,
+        'returnable_quantity', GREATEST(COALESCE(oi.quantity, 0) - COALESCE(done.quantity, 0), 0)
+    ))
+    INTO v_exceeded
+    FROM (
+        SELECT (item->>'order_item_id')::INTEGER AS order_item_id,
+               (item->>'quantity')::INTEGER AS quantity
+        FROM jsonb_array_elements(p_items) AS item
+    ) AS req
+    LEFT JOIN order_items oi
+        ON oi.order_item_id = req.order_item_id
+       AND oi.order_id = (p_return->>'order_id')::INTEGER
+    LEFT JOIN (
+        SELECT ri.order_item_id, SUM(ri.quantity) AS quantity
+        FROM return_items ri
+        JOIN return_requests rr ON rr.return_id = ri.return_id
+        WHERE rr.status NOT IN ('rejected', 'cancelled')
+        GROUP BY ri.order_item_id
+    ) AS done ON done.order_item_id = req.order_item_id
+    WHERE oi.order_item_id IS NULL
+       OR COALESCE(oi.quantity, 0) - COALESCE(done.quantity, 0) < req.quantity;
+
+    IF v_exceeded IS NOT NULL THEN
+        RAISE EXCEPTION 'QUANTITY_EXCEEDED' USING DETAIL = v_exceeded::TEXT;
+    END IF;
+
+    INSERT INTO return_requests (order_id, user_id, resolution, customer_note, refund_amount)
+    VALUES (
+        (p_return->>'order_id')::INTEGER,
+        (p_return->>'user_id')::UUID,
+        p_return->>'resolution',
+        p_return->>'customer_note',
+        COALESCE((p_return->>'refund_amount')::DECIMAL, 0)
+    )
+    RETURNING * INTO v_return;
+
+    INSERT INTO return_items (return_id, order_item_id, quantity, reason_code, photo_urls, exchange_variant_id)
+    SELECT v_return.return_id,
+           (item->>'order_item_id')::INTEGER,
+           (item->>'quantity')::INTEGER,
+           item->>'reason_code',
+           ARRAY(SELECT jsonb_array_elements_text(COALESCE(item->'photo_urls', '[]'::JSONB))),
+           (item->>'exchange_variant_id')::INTEGER
+    FROM jsonb_array_elements(p_items) AS item;
+
+    RETURN v_return;
+END;
+$$ LANGUAGE plpgsql SET search_path = db_nike;
+
+
+-- Function to receive a returned parcel
+-- Stores the inspected condition of each line (p_items = [{ return_item_id, condition }])
+-- and puts resellable units back on their variant, at the location the order shipped from
+-- (the default location for split orders). Runs once: raises STATUS_CONFLICT
+-- unless the return is still 'approved'.
+CREATE OR REPLACE FUNCTION receive_return(
+    p_return_id INTEGER,
+    p_items JSONB,
+    p_received_by UUID
+)
+RETURNS return_requests AS $$
+DECLARE
+    v_return return_requests;
+BEGIN
+    SELECT * INTO v_return
+    FROM return_requests
+    WHERE return_id = p_return_id
+    FOR UPDATE;
+
+    IF NOT FOUND OR v_return.status <> 'approved' THEN
+        RAISE EXCEPTION 'STATUS_CONFLICT';
+    END IF;
+
+    UPDATE return_items ri
+    SET condition = item->>'condition',
+        restocked_quantity = CASE WHEN item->>'condition' = 'resellable' THEN ri.quantity ELSE 0 END
+    FROM jsonb_array_elements(p_items) AS item
+    WHERE ri.return_id = p_return_id
+      AND ri.return_item_id = (item->>'return_item_id')::INTEGER;
+
+    PERFORM apply_stock_movement(
+        restock.variant_id, 'return', restock.quantity, 'return', p_return_id, p_received_by, NULL,
+        (SELECT fulfilment_location_id FROM orders WHERE order_id = v_return.order_id)
+    )
+    FROM (
+        SELECT oi.variant_id, SUM(ri.restocked_quantity)::INTEGER AS quantity
+        FROM return_items ri
+        JOIN order_items oi ON oi.order_item_id = ri.order_item_id
+        WHERE ri.return_id = p_return_id AND ri.restocked_quantity > 0
+        GROUP BY oi.variant_id
+    ) AS restock
+    ORDER BY restock.variant_id;
+
+    UPDATE return_requests
+    SET status = 'received',
+        received_at = NOW(),
+        reviewed_by = COALESCE(p_received_by, reviewed_by)
+    WHERE return_id = p_return_id
+    RETURNING * INTO v_return;
+
+    RETURN v_return;
+END;
+$$ LANGUAGE plpgsql SET search_path = db_nike;
+
+
+-- Function to open a refund on a payment
+-- p_refund = { payment_id, adjustment_amount, reason, return_id, created_by, full } and
+-- p_items = [{ order_item_id, quantity, amount }], a missing amount being quantity x price_per_unit.
+-- With full and no items the whole amount still refundable is refunded (NULL when nothing is left).
+-- Locks the payment so pending and succeeded refunds never exceed what was captured, and no
+-- order line is refunded beyond its quantity or paid amount. Raises PAYMENT_NOT_FOUND,
+-- PAYMENT_NOT_REFUNDABLE, REFUND_ITEMS_EXCEEDED (DETAIL = JSON lines), NOTHING_TO_REFUND or
+-- REFUND_EXCEEDS_PAYMENT (DETAIL = refundable amount).
+CREATE OR REPLACE FUNCTION create_refund(p_refund JSONB, p_items JSONB DEFAULT '[]'::JSONB)
+RETURNS refunds AS $$
+DECLARE
+    v_payment payments;
+    v_refund refunds;
+    v_reserved DECIMAL(10,2);
+    v_lines JSONB;
+    v_items_amount DECIMAL(10,2);
+    v_adjustment DECIMAL(10,2) := COALESCE((p_refund->>'adjustment_amount')::DECIMAL, 0);
+    v_exceeded JSONB;
+BEGIN
+    SELECT * INTO v_payment
+    FROM payments
+    WHERE payment_id = (p_refund->>'payment_id')::INTEGER
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'PAYMENT_NOT_FOUND';
+    END IF;
+
+    IF v_payment.status NOT IN ('completed', 'partially_refunded') THEN
+        RAISE EXCEPTION 'PAYMENT_NOT_REFUNDABLE' USING DETAIL = jsonb_build_object('status', v_payment.status)::TEXT;
+    END IF;
+
+    SELECT COALESCE(SUM(amount), 0) INTO v_reserved
+    FROM refunds
+    WHERE payment_id = v_payment.payment_id AND status IN ('pending', 'succeeded');
+
+    WITH req AS (
+        SELECT (item->>'order_item_id')::INTEGER AS order_item_id,
+               COALESCE((item->>'quantity')::INTEGER, 0) AS quantity,
+               (item->>'amount')::DECIMAL AS amount
+        FROM jsonb_array_elements(p_items) AS item
+    ),
+    lines AS (
+        SELECT req.order_item_id,
+               req.quantity,
+               ROUND(COALESCE(req.amount, req.quantity * oi.price_per_unit, 0), 2) AS amount,
+               oi.order_item_id IS NOT NULL AS item_found,
+               COALESCE(oi.quantity, 0) - COALESCE(done.quantity, 0) AS refundable_quantity,
+               COALESCE(oi.quantity * oi.price_per_unit, 0) - COALESCE(done.amount, 0) AS refundable_amount
+        FROM req
+        LEFT JOIN order_items oi
+            ON oi.order_item_id = req.order_item_id
+           AND oi.order_id = v_payment.order_id
+        LEFT JOIN (
+            SELECT ri.order_item_id, SUM(ri.quantity) AS quantity, SUM(ri.amount) AS amount
+            FROM refund_items ri
+            JOIN refunds r ON r.refund_id = ri.refund_id
+            WHERE r.order_id = v_payment.order_id AND r.status IN ('pending', 'succeeded')
+            GROUP BY ri.order_item_id
+        ) AS done ON done.order_item_id = req.order_item_id
+    )
+    SELECT COALESCE(SUM(amount), 0),
+           jsonb_agg(jsonb_build_object(
+               'order_item_id', order_item_id,
+               'quantity', quantity,
+               'amount', amount
+           )),
+           jsonb_agg(jsonb_build_object(
+               'order_item_id', order_item_id,
+               'requested_quantity', quantity,
+               'requested_amount', amount,
+               'refundable_quantity', GREATEST(refundable_quantity, 0),
+               'refundable_amount', GREATEST(refundable_amount, 0)
+           )) FILTER (WHERE NOT item_found OR quantity > refundable_quantity OR amount > refundable_amount)
+    INTO v_items_amount, v_lines, v_exceeded
+    FROM lines;
+
+    IF v_exceeded IS NOT NULL THEN
+        RAISE EXCEPTION 'REFUND_ITEMS_EXCEEDED' USING DETAIL = v_exceeded::TEXT;
+    END IF;
+
+    IF COALESCE((p_refund->>'full')::BOOLEAN, FALSE) AND v_lines IS NULL THEN
+        v_adjustment := v_payment.payment_amount - v_reserved;
+        IF v_adjustment <= 0 THEN
+            RETURN NULL;
+        END IF;
+    END IF;
+
+    IF v_items_amount + v_adjustment <= 0 THEN
+        RAISE EXCEPTION 'NOTHING_TO_REFUND';
+    END IF;
+
+    IF v_reserved + v_items_amount + v_adjustment > v_payment.payment_amount THEN
+        RAISE EXCEPTION 'REFUND_EXCEEDS_PAYMENT'
+            USING DETAIL = jsonb_build_object('refundable_amount', v_payment.payment_amount - v_reserved)::TEXT;
+    END IF;
+
+    INSERT INTO refunds (payment_id, order_id, return_id, amount, adjustment_amount, reason, created_by)
+    VALUES (
+        v_payment.payment_id,
+        v_payment.order_id,
+        (p_refund->>'return_id')::INTEGER,
+        v_items_amount + v_adjustment,
+        v_adjustment,
+        p_refund->>'reason',
+        (p_refund->>'created_by')::UUID
+    )
+    RETURNING * INTO v_refund;
+
+    INSERT INTO refund_items (refund_id, order_item_id, quantity, amount)
+    SELECT v_refund.refund_id,
+           (line->>'order_item_id')::INTEGER,
+           (line->>'quantity')::INTEGER,
+           (line->>'amount')::DECIMAL
+    FROM jsonb_array_elements(COALESCE(v_lines, '[]'::JSONB)) AS line;
+
+    RETURN v_refund;
+END;
+$$ LANGUAGE plpgsql SET search_path = db_nike;
+
+
+-- Function to settle a pending refund as 'succeeded' or 'failed'
+-- A succeeded refund is added to the refunded_amount of its payment (which becomes
+-- partially_refunded or refunded) and of its order. Settling twice changes nothing.
+CREATE OR REPLACE FUNCTION complete_refund(
+    p_refund_id INTEGER,
+    p_status VARCHAR,
+    p_provider_refund_id VARCHAR DEFAULT NULL,
+    p_failure_reason TEXT DEFAULT NULL
+)
+RETURNS refunds AS $$
+DECLARE
+    v_refund refunds;
+BEGIN
+    SELECT * INTO v_refund
+    FROM refunds
+    WHERE refund_id = p_refund_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'REFUND_NOT_FOUND';
+    END IF;
+
+    IF v_refund.status <> 'pending' THEN
+        RETURN v_refund;
+    END IF;
+
+    UPDATE refunds
+    SET status = p_status,
+        provider_refund_id = COALESCE(p_provider_refund_id, provider_refund_id),
+        failure_reason = p_failure_reason,
+        completed_at = NOW()
+    WHERE refund_id = p_refund_id
+    RETURNING * INTO v_refund;
+
+    IF p_status = 'succeeded' THEN
+        UPDATE payments
+        SET refunded_amount = refunded_amount + v_refund.amount,
+            status = CASE
+                WHEN refunded_amount + v_refund.amount >= payment_amount THEN 'refunded'
+                ELSE 'partially_refunded'
+            END
+        WHERE payment_id = v_refund.payment_id;
+
+        UPDATE orders
+        SET refunded_amount = refunded_amount + v_refund.amount
+        WHERE order_id = v_refund.order_id;
+    END IF;
+
+    RETURN v_refund;
+END;
+$$ LANGUAGE plpgsql SET search_path = db_nike;
+
+
+-- Function for the daily revenue report
+-- One row per day from p_from to p_to (local dates in p_timezone): payments captured that day,
+-- refunds that succeeded that day and the net revenue between them.
+CREATE OR REPLACE FUNCTION payment_revenue_report(
+    p_from DATE,
+    p_to DATE,
+    p_timezone TEXT DEFAULT 'UTC'
+)
+RETURNS TABLE (
+    report_date DATE,
+    payments_count INTEGER,
+    captured_amount DECIMAL(12,2),
+    refunds_count INTEGER,
+    refunded_total DECIMAL(12,2),
+    net_revenue DECIMAL(12,2)
+) AS $$
+BEGIN
+    RETURN QUERY
+    WITH captured AS (
+        SELECT (p.completed_at AT TIME ZONE p_timezone)::DATE AS day,
+               COUNT(*) AS cnt,
+               SUM(p.payment_amount) AS amount
+        FROM payments p
+        WHERE p.status IN ('completed', 'partially_refunded', 'refunded')
+          AND p.completed_at >= (p_from::TIMESTAMP AT TIME ZONE p_timezone)
+          AND p.completed_at < ((p_to + 1)::TIMESTAMP AT TIME ZONE p_timezone)
+        GROUP BY 1
+    ),
+    refunded AS (
+        SELECT (r.completed_at AT TIME ZONE p_timezone)::DATE AS day,
+               COUNT(*) AS cnt,
+               SUM(r.amount) AS amount
+        FROM refunds r
+        WHERE r.status = 'succeeded'
+          AND r.completed_at >= (p_from::TIMESTAMP AT TIME ZONE p_timezone)
+          AND r.completed_at < ((p_to + 1)::TIMESTAMP AT TIME ZONE p_timezone)
+        GROUP BY 1
+    )
+    SELECT d::DATE,
+           COALESCE(c.cnt, 0)::INTEGER,
+           COALESCE(c.amount, 0)::DECIMAL(12,2),
+           COALESCE(r.cnt, 0)::INTEGER,
+           COALESCE(r.amount, 0)::DECIMAL(12,2),
+           (COALESCE(c.amount, 0) - COALESCE(r.amount, 0))::DECIMAL(12,2)
+    FROM generate_series(p_from, p_to, INTERVAL '1 day') AS d
+    LEFT JOIN captured c ON c.day = d::DATE
+    LEFT JOIN refunded r ON r.day = d::DATE
+    ORDER BY 1;
+END;
+$$ LANGUAGE plpgsql SET search_path = db_nike;
+
+
+-- Function to confirm the cash a courier handed over (one remittance)
+-- p_remittance = { courier, reference, note, confirmed_by },
+-- p_items = [{ order_id or tracking_number, collected_amount }].
+-- Each shipment's awaiting collection gets its collected_amount: collected when it matches the
+-- expected amount, discrepancy otherwise. Any cash collected completes the pending payment.
+-- All or nothing: raises COD_COLLECTIONS_INVALID (DETAIL = JSON of the shipments that are not
+-- awaiting collection for this courier) and nothing is recorded.
+CREATE OR REPLACE FUNCTION confirm_cod_collections(p_remittance JSONB, p_items JSONB)
+RETURNS cod_remittances AS $$
+DECLARE
+    v_remittance cod_remittances;
+    v_collection cod_collections;
+    v_item JSONB;
+    v_collected DECIMAL(10,2);
+    v_invalid JSONB := '[]'::JSONB;
+BEGIN
+    INSERT INTO cod_remittances (courier, reference, note, confirmed_by)
+    VALUES (
+        p_remittance->>'courier',
+        p_remittance->>'reference',
+        p_remittance->>'note',
+        (p_remittance->>'confirmed_by')::UUID
+    )
+    RETURNING * INTO v_remittance;
+
+    FOR v_item IN SELECT * FROM jsonb_array_elements(p_items) LOOP
+        SELECT * INTO v_collection
+        FROM cod_collections
+        WHERE order_id = (v_item->>'order_id')::INTEGER
+           OR tracking_number = v_item->>'tracking_number'
+        ORDER BY (status = 'awaiting') DESC, collection_id DESC
+        LIMIT 1
+        FOR UPDATE;
+
+        IF NOT FOUND OR v_collection.status <> 'awaiting' OR v_collection.courier <> v_remittance.courier THEN
+            v_invalid := v_invalid || jsonb_build_object(
+                'order_id', COALESCE(v_collection.order_id, (v_item->>'order_id')::INTEGER),
+                'tracking_number', COALESCE(v_collection.tracking_number, v_item->>'tracking_number'),
+                'status', CASE WHEN FOUND THEN v_collection.status END,
+                'courier', CASE WHEN FOUND THEN v_collection.courier END
+            );
+            CONTINUE;
+        END IF;
+
+        v_collected := ROUND((v_item->>'collected_amount')::DECIMAL, 2);
+
+        UPDATE cod_collections
+        SET collected_amount = v_collected,
+            status = CASE WHEN v_collected = expected_amount THEN 'collected' ELSE 'discrepancy' END,
+            remittance_id = v_remittance.remittance_id,
+            collected_at = NOW()
+        WHERE collection_id = v_collection.collection_id;
+
+        IF v_collected > 0 THEN
+            UPDATE payments
+            SET status = 'completed',
+                completed_at = NOW(),
+                failure_reason = NULL
+            WHERE payment_id = v_collection.payment_id
+              AND status = 'pending';
+        END IF;
+    END LOOP;
+
+    IF jsonb_array_length(v_invalid) > 0 THEN
+        RAISE EXCEPTION 'COD_COLLECTIONS_INVALID' USING DETAIL = v_invalid::TEXT;
+    END IF;
+
+    UPDATE cod_remittances r
+    SET expected_amount = totals.expected,
+        collected_amount = totals.collected,
+        discrepancy_amount = totals.collected - totals.expected
+    FROM (
+        SELECT COALESCE(SUM(expected_amount), 0) AS expected,
+               COALESCE(SUM(collected_amount), 0) AS collected
+        FROM cod_collections
+        WHERE remittance_id = v_remittance.remittance_id
+    ) AS totals
+    WHERE r.remittance_id = v_remittance.remittance_id
+    RETURNING r.* INTO v_remittance;
+
+    RETURN v_remittance;
+END;
+$$ LANGUAGE plpgsql SET search_path = db_nike;
+
+
+-- Function for the daily cash on delivery report
+-- One row per day (local dates in p_timezone) and courier with any activity: deliveries and the
+-- cash expected for them, cash confirmed that day and its discrepancies, and what was still
+-- outstanding (delivered but not collected) at the end of the day.
+CREATE OR REPLACE FUNCTION cod_daily_report(
+    p_from DATE,
+    p_to DATE,
+    p_timezone TEXT DEFAULT 'UTC'
+)
+RETURNS TABLE (
+    report_date DATE,
+    courier VARCHAR(30),
+    delivered_count INTEGER,
+    expected_amount DECIMAL(12,2),
+    collected_count INTEGER,
+    collected_amount DECIMAL(12,2),
+    discrepancy_count INTEGER,
+    discrepancy_amount DECIMAL(12,2),
+    outstanding_count INTEGER,
+    outstanding_amount DECIMAL(12,2)
+) AS $$
+BEGIN
+    RETURN QUERY
+    WITH days AS (
+        SELECT d::DATE AS day
+        FROM generate_series(p_from, p_to, INTERVAL '1 day') AS d
+    ),
+    local_collections AS (
+        SELECT c.courier,
+               c.expected_amount,
+               c.collected_amount,
+               (c.delivered_at AT TIME ZONE p_timezone)::DATE AS delivered_day,
+               (c.collected_at AT TIME ZONE p_timezone)::DATE AS collected_day
+        FROM cod_collections c
+        WHERE c.delivered_at < ((p_to + 1)::TIMESTAMP AT TIME ZONE p_timezone)
+          AND (c.collected_at IS NULL OR c.collected_at >= (p_from::TIMESTAMP AT TIME ZONE p_timezone))
+    )
+    SELECT days.day,
+           lc.courier,
+           (COUNT(*) FILTER (WHERE lc.delivered_day = days.day))::INTEGER,
+           COALESCE(SUM(lc.expected_amount) FILTER (WHERE lc.delivered_day = days.day), 0)::DECIMAL(12,2),
+           (COUNT(*) FILTER (WHERE lc.collected_day = days.day))::INTEGER,
+           COALESCE(SUM(lc.collected_amount) FILTER (WHERE lc.collected_day = days.day), 0)::DECIMAL(12,2),
+           (COUNT(*) FILTER (WHERE lc.collected_day = days.day AND lc.collected_amount <> lc.expected_amount))::INTEGER,
+           COALESCE(SUM(lc.collected_amount - lc.expected_amount)
+               FILTER (WHERE lc.collected_day = days.day AND lc.collected_amount <> lc.expected_amount), 0)::DECIMAL(12,2),
+           (COUNT(*) FILTER (WHERE lc.collected_day IS NULL OR lc.collected_day > days.day))::INTEGER,
+           COALESCE(SUM(lc.expected_amount) FILTER (WHERE lc.collected_day IS NULL OR lc.collected_day > days.day), 0)::DECIMAL(12,2)
+    FROM days
+    JOIN local_collections lc
+        ON lc.delivered_day <= days.day
+       AND (lc.collected_day IS NULL OR lc.collected_day >= days.day)
+    GROUP BY days.day, lc.courier
+    ORDER BY days.day, lc.courier;
+END;
+$$ LANGUAGE plpgsql SET search_path = db_nike;
+
+
+-- Stock of cancelled orders is restored by cancel_order() above,
+-- the old status trigger would restock a second time
+DROP TRIGGER IF EXISTS trigger_restore_stock_on_cancel ON orders;
+DROP FUNCTION IF EXISTS restore_stock_on_cancel();
+
+
+-- ===================================
+-- 9. Initial Data (Optional)
+-- ===================================
+
+
+-- Insert default categories
 INSERT INTO categories (category_name, description) VALUES
 ('Running', 'Athletic shoes designed for running and jogging'),
 ('Basketball', 'High-performance shoes for basketball players'),
@@ -682,6 +3621,11 @@ INSERT INTO colors (color_name, hex_code) VALUES
 ('Brown', '#8B4513');
 
 
+-- Insert the default stock location (stock changes without a location go here)
+INSERT INTO stock_locations (location_code, location_name, location_type, is_default) VALUES
+('MAIN', 'Main warehouse', 'warehouse', TRUE);
+
+
 -- Insert default sizes (US sizing)
 INSERT INTO sizes (size_value, size_type) VALUES
 ('6', 'US'), ('6.5', 'US'), ('7', 'US'), ('7.5', 'US'),
@@ -701,8 +3645,14 @@ BEGIN
     RAISE NOTICE 'Schema: db_nike';
     RAISE NOTICE 'Uses Supabase auth.users with profiles table for role management';
     RAISE NOTICE 'Tables: profiles, addresses, categories, shoes, colors, sizes, shoe_variants,';
-    RAISE NOTICE '        suppliers, imports, orders, order_items, payments, reviews, wishlists';
-    RAISE NOTICE 'Features: RLS enabled, automatic profile creation, stock management';
+    RAISE NOTICE '        stock_locations, location_stock, suppliers, purchase_orders, purchase_order_lines, imports,';
+    RAISE NOTICE '        stock_movements, stocktakes, stocktake_lines, stock_transfers, stock_transfer_lines,';
+    RAISE NOTICE '        orders, order_items, order_tax_lines, order_status_history,';
+    RAISE NOTICE '        carts, cart_items, stock_reservations, payments, payment_events, bank_statements,';
+    RAISE NOTICE '        bank_statement_lines, cod_remittances, cod_collections,';
+    RAISE NOTICE '        return_requests, return_items, refunds, refund_items, promotions, promotion_redemptions,';
+    RAISE NOTICE '        reviews, wishlists';
+    RAISE NOTICE 'Features: RLS enabled, automatic profile creation, stock management with a movement ledger';
     RAISE NOTICE 'Ready for e-commerce operations!';
 END $$;
 
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+/**
+ * Payment Webhook Sender
+ * Signs a fake provider event the way the provider would and posts it to the local server,
+ * e.g. to confirm a delayed mock payment without waiting for it to be polled.
+ *
+ * Usage:
+ *   node scripts/send-payment-webhook.js --reference <transaction_id> [--status succeeded|failed|processing]
+ *     [--provider mock] [--event-id <id>] [--type payment.updated] [--failure-reason card_declined]
+ *     [--timestamp <unix seconds>] [--url http://localhost:3000] [--print]
+ *
+ * --print only prints the body and signature header (for curl) instead of sending them.
+ * The signing secret is the provider's configured webhook secret (MOCK_PAYMENT_WEBHOOK_SECRET for mock).
+ */
+
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const rootDir = join(__dirname, '..');
+
+// Load environment variables before the payment configuration reads them
+dotenv.config({ path: join(rootDir, '.env') });
+
+const { default: constants } = await import('../config/constants.js');
+const { default: paymentGateway } = await import('../backend/utils/payments.js');
+
+// --name value pairs; flags without a value are true
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+        const name = argv[i].slice(2);
+        const next = argv[i + 1];
+        args[name] = next === undefined || next.startsWith('--') ? true : argv[++i];
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (!args.reference || args.reference === true) {
+        console.error('❌ --reference <transaction_id> is required');
+        process.exit(1);
+    }
+
+    const provider = paymentGateway.getProvider(args.provider || constants.PAYMENT_CONFIG.DEFAULT_PROVIDER);
+    const event = {
+        id: args['event-id'] || `evt_${crypto.randomBytes(8).toString('hex')}`,
+        type: args.type || 'payment.updated',
+        data: {
+            reference: args.reference,
+            status: args.status || constants.PAYMENT_INTENT_STATUS.SUCCEEDED,
+            failure_reason: args['failure-reason'] || null
+        }
+    };
+    const rawBody = JSON.stringify(event);
+    const signature = args.timestamp
+        ? provider.signWebhook(rawBody, Number(args.timestamp))
+        : provider.signWebhook(rawBody);
+    const { SIGNATURE_HEADER } = constants.PAYMENT_CONFIG.WEBHOOK;
+
+    if (args.print) {
+        console.log(rawBody);
+        console.log(`${SIGNATURE_HEADER}: ${signature}`);
+        return;
+    }
+
+    const baseUrl = args.url || `http://localhost:${process.env.PORT || 3000}`;
+    const response = await fetch(`${baseUrl}/api/payments/webhooks/${provider.name}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            [SIGNATURE_HEADER]: signature
+        },
+        body: rawBody
+    });
+
+    console.log(`📨 Sent ${event.type} ${event.id} for ${event.data.reference}: ${response.status}`);
+    console.log(await response.text());
+    if (!response.ok) process.exit(1);
+}
+
+main().catch(error => {
+    console.error('❌ Sending webhook failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,173 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, useTestDatabase } from './helpers/database.js';
+import { send } from './helpers/http.js';
+import LowStockAlert from '../../backend/models/LowStockAlert.js';
+import AlertController from '../../backend/controllers/AlertController.js';
+import alerts from '../../backend/utils/alerts.js';
+import InAppChannel from '../../backend/utils/alertChannels/InAppChannel.js';
+import inventory from '../../backend/utils/inventory.js';
+import constants from '../../config/constants.js';
+
+const { LOW_STOCK_ALERT_STATUS } = constants;
+
+let database;
+let customer;
+let seller;
+const controller = new AlertController();
+
+before(async () => {
+    database = await createTestDatabase();
+    useTestDatabase(database);
+    customer = await database.createUser();
+    seller = await database.createUser({ role: 'seller' });
+    controller.setModels({ LowStockAlert: new LowStockAlert() });
+});
+
+const alertsOf = variant => database.query(
+    'SELECT alert_id, threshold, stock_quantity, status FROM db_nike.low_stock_alerts WHERE variant_id = $1 ORDER BY alert_id',
+    [variant.variant_id]
+);
+
+describe('evaluate_low_stock', () => {
+    it('alerts a new variant created at or below its threshold', async () => {
+        const variant = await database.createVariant({ stock: 3 });
+
+        assert.deepEqual(
+            (await alertsOf(variant)).map(alert => [alert.threshold, alert.stock_quantity, alert.status]),
+            [[10, 3, LOW_STOCK_ALERT_STATUS.OPEN]]
+        );
+    });
+
+    it('alerts once per crossing of the threshold and re-arms when the stock is back above it', async () => {
+        const variant = await database.createVariant({ stock: 20 });
+
+        await inventory.adjust(variant.variant_id, -10);
+        await inventory.adjust(variant.variant_id, -2);
+        assert.deepEqual((await alertsOf(variant)).map(alert => [alert.stock_quantity, alert.status]), [[10, 'open']]);
+
+        await inventory.adjust(variant.variant_id, 15);
+        await inventory.adjust(variant.variant_id, -20);
+        assert.deepEqual((await alertsOf(variant)).map(alert => [alert.stock_quantity, alert.status]), [
+            [10, 'resolved'],
+            [3, 'open']
+        ]);
+    });
+
+    it('takes the variant threshold, else the shoe threshold', async () => {
+        const variant = await database.createVariant({ stock: 20 });
+        const sibling = await database.createVariant({ stock: 20, shoeId: variant.shoe_id });
+        await database.query('UPDATE db_nike.shoe_variants SET low_stock_threshold = 2 WHERE variant_id = $1', [variant.variant_id]);
+
+        await inventory.adjust(variant.variant_id, -15);
+        await database.query('UPDATE db_nike.shoes SET low_stock_threshold = 25 WHERE shoe_id = $1', [variant.shoe_id]);
+
+        assert.deepEqual(await alertsOf(variant), []);
+        assert.deepEqual((await alertsOf(sibling)).map(alert => [alert.threshold, alert.status]), [[25, 'open']]);
+    });
+});
+
+describe('AlertController', () => {
+    it('acknowledges an open alert once', async () => {
+        const variant = await database.createVariant({ stock: 1 });
+        const [alert] = await alertsOf(variant);
+        const acknowledge = () => send(controller, 'acknowledgeAlert', {
+            user: seller,
+            params: { id: String(alert.alert_id) },
+            body: { note: ' Reordered ' }
+        });
+
+        const first = await acknowledge();
+        const second = await acknowledge();
+
+        assert.equal(first.statusCode, constants.HTTP_STATUS.OK);
+        assert.equal(first.body.data.status, LOW_STOCK_ALERT_STATUS.ACKNOWLEDGED);
+        assert.equal(first.body.data.acknowledgement_note, 'Reordered');
+        assert.equal(second.statusCode, constants.HTTP_STATUS.CONFLICT);
+    });
+
+    it('counts the alerts per status', async () => {
+        const res = await send(controller, 'getSummary', { user: seller });
+        const [counts] = await database.query(
+            `SELECT COUNT(*) FILTER (WHERE status = 'open')::INTEGER AS open,
+                    COUNT(*) FILTER (WHERE status = 'acknowledged')::INTEGER AS acknowledged,
+                    COUNT(*) FILTER (WHERE status = 'resolved')::INTEGER AS resolved
+             FROM db_nike.low_stock_alerts`
+        );
+
+        assert.deepEqual(res.body.data, counts);
+    });
+
+    it('keeps customers out', async () => {
+        const res = await send(controller, 'getAlerts', { user: customer });
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.FORBIDDEN);
+    });
+});
+
+describe('alerts.dispatchAlert', () => {
+    const { MAX_ATTEMPTS } = constants.LOW_STOCK_ALERT_CONFIG;
+    let delivered;
+
+    // Deliveries and dispatches recorded in memory
+    const models = () => {
+        const log = { deliveries: [], dispatched: [] };
+        return {
+            log,
+            LowStockAlert: {
+                recordDelivery: async (alertId, channel, outcome) => log.deliveries.push({ alertId, channel, ...outcome }),
+                markDispatched: async alertId => log.dispatched.push(alertId)
+            }
+        };
+    };
+
+    before(() => {
+        delivered = [];
+        alerts.registerChannel({
+            name: constants.ALERT_CHANNELS.IN_APP,
+            deliver: async alert => {
+                if (alert.fail) throw new Error('Channel down');
+                delivered.push(alert.alert_id);
+            }
+        });
+    });
+
+    after(() => {
+        alerts.registerChannel(new InAppChannel());
+    });
+
+    it('marks an alert dispatched once every channel delivered it', async () => {
+        const fake = models();
+
+        assert.equal(await alerts.dispatchAlert({ alert_id: 1, status: 'open' }, fake), true);
+        assert.deepEqual(delivered, [1]);
+        assert.deepEqual(fake.log.deliveries.map(entry => [entry.channel, entry.status, entry.attempts]), [['in_app', 'sent', 1]]);
+        assert.deepEqual(fake.log.dispatched, [1]);
+    });
+
+    it('retries a failed delivery until the last attempt', async () => {
+        const fake = models();
+        const alert = attempts => ({
+            alert_id: 2,
+            status: 'open',
+            fail: true,
+            low_stock_alert_deliveries: attempts ? [{ channel: 'in_app', status: 'failed', attempts }] : []
+        });
+
+        assert.equal(await alerts.dispatchAlert(alert(0), fake), false);
+        assert.equal(await alerts.dispatchAlert(alert(MAX_ATTEMPTS - 1), fake), true);
+        assert.deepEqual(fake.log.deliveries.map(entry => [entry.status, entry.attempts, entry.error]), [
+            ['failed', 1, 'Channel down'],
+            ['failed', MAX_ATTEMPTS, 'Channel down']
+        ]);
+        assert.deepEqual(fake.log.dispatched, [2]);
+    });
+
+    it('drops alerts resolved before they went out', async () => {
+        const fake = models();
+
+        assert.equal(await alerts.dispatchAlert({ alert_id: 3, status: LOW_STOCK_ALERT_STATUS.RESOLVED }, fake), true);
+        assert.deepEqual(fake.log.deliveries, []);
+        assert.deepEqual(fake.log.dispatched, [3]);
+    });
+});
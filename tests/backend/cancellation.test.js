@@ -0,0 +1,112 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, useTestDatabase } from './helpers/database.js';
+import { send } from './helpers/http.js';
+import Order from '../../backend/models/Order.js';
+import Payment from '../../backend/models/Payment.js';
+import Refund from '../../backend/models/Refund.js';
+import OrderController from '../../backend/controllers/orderController.js';
+import { BusinessLogicError } from '../../backend/utils/ErrorClasses.js';
+import constants from '../../config/constants.js';
+
+const { ORDER_STATUS, PAYMENT_STATUS } = constants;
+
+let database;
+let customer;
+let address;
+const orders = new Order();
+
+before(async () => {
+    database = await createTestDatabase();
+    useTestDatabase(database);
+    customer = await database.createUser();
+    address = await database.createAddress(customer.id);
+    orders.findWithItems = orderId => database.orderWithItems(orderId);
+});
+
+async function placeOrder(variant, quantity = 2) {
+    return orders.createWithItems(
+        { user_id: customer.id, address_id: address.address_id, total_amount: 100000 * quantity },
+        [{ variant_id: variant.variant_id, quantity, price_per_unit: 100000 }]
+    );
+}
+
+const paymentStatus = async paymentId => (
+    await database.one('SELECT status FROM db_nike.payments WHERE payment_id = $1', [paymentId])
+).status;
+
+describe('Order.cancel', () => {
+    it('restocks the lines and fails pending payments, once', async () => {
+        const variant = await database.createVariant({ stock: 5 });
+        const order = await placeOrder(variant);
+        const payment = await database.createPayment(order.order_id, { status: PAYMENT_STATUS.PENDING });
+
+        assert.equal(await orders.cancel(order.order_id, { cancelledBy: customer.id, reason: 'Changed my mind' }), true);
+        assert.equal(await orders.cancel(order.order_id, { cancelledBy: customer.id }), false);
+
+        const cancelled = await orders.findById(order.order_id);
+        assert.equal(cancelled.status, ORDER_STATUS.CANCELLED);
+        assert.equal(cancelled.cancellation_reason, 'Changed my mind');
+        assert.equal(await database.stockOf(variant.variant_id), 5);
+        assert.equal(await paymentStatus(payment.payment_id), PAYMENT_STATUS.FAILED);
+    });
+
+    it('refuses an order that has shipped', async () => {
+        const variant = await database.createVariant({ stock: 5 });
+        const order = await placeOrder(variant);
+        await orders.updateStatus(order.order_id, ORDER_STATUS.PROCESSING);
+        await orders.updateStatus(order.order_id, ORDER_STATUS.SHIPPED);
+
+        await assert.rejects(
+            () => orders.cancel(order.order_id),
+            error => error instanceof BusinessLogicError && error.details.status === ORDER_STATUS.SHIPPED
+        );
+        assert.equal(await database.stockOf(variant.variant_id), 3);
+    });
+});
+
+describe('OrderController.cancelOrder', () => {
+    const controller = new OrderController();
+
+    before(() => {
+        const refunds = new Refund();
+        refunds.findWithItems = refundId => database.refundWithItems(refundId);
+        controller.setModels({ Order: orders, Payment: new Payment(), Refund: refunds });
+    });
+
+    it('cancels a paid order and refunds the payment', async () => {
+        const variant = await database.createVariant({ stock: 5 });
+        const order = await placeOrder(variant);
+        const payment = await database.createPayment(order.order_id, { amount: 200000 });
+        const request = { user: customer, params: { id: String(order.order_id) }, body: { reason: 'Ordered twice' } };
+
+        const res = await send(controller, 'cancelOrder', request);
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.OK);
+        assert.equal(res.body.data.already_cancelled, false);
+        assert.deepEqual(res.body.data.restocked, [{ variant_id: variant.variant_id, quantity: 2 }]);
+        assert.equal(res.body.data.refunded_payments.length, 1);
+        assert.deepEqual(res.body.data.refunds.map(refund => Number(refund.amount)), [200000]);
+        assert.equal(await paymentStatus(payment.payment_id), PAYMENT_STATUS.REFUNDED);
+        assert.equal(await database.stockOf(variant.variant_id), 5);
+
+        const again = await send(controller, 'cancelOrder', request);
+
+        assert.equal(again.statusCode, constants.HTTP_STATUS.OK);
+        assert.equal(again.body.data.already_cancelled, true);
+        assert.deepEqual(again.body.data.refunded_payments, []);
+        assert.deepEqual(again.body.data.refunds, []);
+        assert.equal(await database.stockOf(variant.variant_id), 5);
+    });
+
+    it("hides another customer's order", async () => {
+        const variant = await database.createVariant({ stock: 5 });
+        const order = await placeOrder(variant);
+        const other = await database.createUser();
+
+        const res = await send(controller, 'cancelOrder', { user: other, params: { id: String(order.order_id) } });
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.NOT_FOUND);
+        assert.equal((await orders.findById(order.order_id)).status, ORDER_STATUS.PENDING);
+    });
+});
@@ -0,0 +1,122 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, useTestDatabase } from './helpers/database.js';
+import { send } from './helpers/http.js';
+import Cart from '../../backend/models/Cart.js';
+import CartItem from '../../backend/models/CartItem.js';
+import Promotion from '../../backend/models/Promotion.js';
+import ShoeVariant from '../../backend/models/ShoeVariant.js';
+import StockReservation from '../../backend/models/StockReservation.js';
+import CartController from '../../backend/controllers/CartController.js';
+import constants from '../../config/constants.js';
+
+let database;
+let customer;
+const carts = new Cart();
+const cartItems = new CartItem();
+const reservations = new StockReservation();
+
+before(async () => {
+    database = await createTestDatabase();
+    useTestDatabase(database);
+    customer = await database.createUser();
+
+    // Cart lines with their variant, as the embedded select loads them
+    carts.findWithItems = async cartId => ({
+        ...await database.one('SELECT * FROM db_nike.carts WHERE cart_id = $1', [cartId]),
+        cart_items: await database.query(
+            `SELECT ci.*, to_jsonb(sv) || jsonb_build_object(
+                        'shoes', jsonb_build_object('base_price', s.base_price, 'is_active', s.is_active),
+                        'stock_reservations', '[]'::jsonb
+                    ) AS shoe_variants
+             FROM db_nike.cart_items ci
+             JOIN db_nike.shoe_variants sv USING (variant_id)
+             JOIN db_nike.shoes s USING (shoe_id)
+             WHERE ci.cart_id = $1`,
+            [cartId]
+        )
+    });
+});
+
+const linesOf = cartId => database.query(
+    'SELECT variant_id, quantity FROM db_nike.cart_items WHERE cart_id = $1 ORDER BY variant_id',
+    [cartId]
+);
+
+const holdsOf = holderKey => database.query(
+    "SELECT variant_id, quantity FROM db_nike.stock_reservations WHERE holder_key = $1 AND status = 'active' ORDER BY variant_id",
+    [holderKey]
+);
+
+describe('CartController.addItem', () => {
+    const controller = new CartController();
+    const variants = new ShoeVariant();
+
+    before(() => {
+        variants.findByIds = ids => database.variantsByIds(ids);
+        controller.setModels({
+            Cart: carts,
+            CartItem: cartItems,
+            ShoeVariant: variants,
+            StockReservation: reservations,
+            Promotion: new Promotion()
+        });
+    });
+
+    it('creates the guest cart on first use and holds the stock', async () => {
+        const variant = await database.createVariant({ stock: 5 });
+        const token = 'guest-cart-token-00001';
+
+        const res = await send(controller, 'addItem', {
+            headers: { 'x-cart-token': token },
+            body: { variant_id: variant.variant_id, quantity: 2 }
+        });
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.OK);
+        assert.equal(res.body.data.item_count, 2);
+        assert.deepEqual(await linesOf(res.body.data.cart_id), [{ variant_id: variant.variant_id, quantity: 2 }]);
+        assert.deepEqual(await holdsOf(`guest:${token}`), [{ variant_id: variant.variant_id, quantity: 2 }]);
+    });
+
+    it('keeps a line within the per-cart limit', async () => {
+        const variant = await database.createVariant({ stock: 50 });
+        const request = quantity => ({ user: customer, body: { variant_id: variant.variant_id, quantity } });
+        const limit = constants.STOCK_RESERVATION.MAX_QUANTITY;
+
+        assert.equal((await send(controller, 'addItem', request(limit - 1))).statusCode, constants.HTTP_STATUS.OK);
+        assert.equal((await send(controller, 'addItem', request(2))).statusCode, constants.HTTP_STATUS.BAD_REQUEST);
+
+        const cart = await carts.findActive({ userId: customer.id });
+        assert.deepEqual(await linesOf(cart.cart_id), [{ variant_id: variant.variant_id, quantity: limit - 1 }]);
+    });
+});
+
+describe('Cart.mergeGuest', () => {
+    it("adds the guest lines and holds to the user's cart", async () => {
+        const user = await database.createUser();
+        const shared = await database.createVariant({ stock: 10 });
+        const guestOnly = await database.createVariant({ stock: 10 });
+        const token = 'guest-cart-to-merge-01';
+
+        const guestCart = await carts.getOrCreate({ guestToken: token });
+        const userCart = await carts.getOrCreate({ userId: user.id });
+        for (const [cart, holder, variant, quantity] of [
+            [guestCart, `guest:${token}`, shared, 2],
+            [guestCart, `guest:${token}`, guestOnly, 1],
+            [userCart, `user:${user.id}`, shared, 1]
+        ]) {
+            await reservations.reserve(variant.variant_id, holder, quantity);
+            await cartItems.setQuantity(cart.cart_id, variant.variant_id, quantity, 100000);
+        }
+
+        const merged = await carts.mergeGuest(token, user.id);
+        await carts.mergeGuest(token, user.id);
+
+        const expected = [{ variant_id: shared.variant_id, quantity: 3 }, { variant_id: guestOnly.variant_id, quantity: 1 }];
+        assert.equal(merged.cart_id, userCart.cart_id);
+        assert.deepEqual(await linesOf(userCart.cart_id), expected);
+        assert.deepEqual(await holdsOf(`user:${user.id}`), expected);
+        assert.deepEqual(await holdsOf(`guest:${token}`), []);
+        assert.equal(await carts.findActive({ guestToken: token }), null);
+    });
+});
@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import catalogExport from '../../backend/utils/catalogExport.js';
+import catalogImport from '../../backend/utils/catalogImport.js';
+
+// A shoe as Shoe.findCatalogBatches reads it, with 3 units at location 1 and 5 at location 2
+const shoe = {
+    shoe_id: 5,
+    shoe_name: '=Air Zoom',
+    description: 'Light, "fast" trainer',
+    base_price: '2500000.00',
+    image_url: 'https://cdn.example.com/air-zoom.png',
+    categories: { category_id: 1, category_name: 'Running' },
+    shoe_variants: [{
+        variant_id: 9,
+        sku: 'AZ-42',
+        variant_price: null,
+        stock_quantity: 8,
+        is_active: true,
+        colors: { color_id: 2, color_name: 'Black', hex_code: '#000000' },
+        sizes: { size_id: 3, size_value: '42', size_type: 'EU' },
+        location_stock: [{ location_id: 1, quantity: 3 }, { location_id: 2, quantity: 5 }, { location_id: 3, quantity: 0 }]
+    }]
+};
+
+describe('catalogExport.csvRows', () => {
+    it('writes a line per variant with the stock at the location as stock and stock_snapshot', () => {
+        const content = catalogExport.csvRows([shoe, { shoe_id: 6, shoe_name: 'Bare', shoe_variants: [] }], 2, { header: true });
+        const [header, line, end] = content.split('\r\n');
+
+        assert.equal(header, catalogExport.columns.join(','));
+        assert.equal(
+            line,
+            `Running,'=Air Zoom,"Light, ""fast"" trainer",2500000.00,https://cdn.example.com/air-zoom.png,Black,#000000,42,EU,AZ-42,,5,5,true`
+        );
+        assert.equal(end, '');
+    });
+
+    it('imports back as it was exported', () => {
+        const [row] = catalogImport.readFile(catalogExport.csvRows([shoe], 1, { header: true }), 'csv');
+
+        assert.deepEqual(row.errors, []);
+        assert.equal(row.values.shoe_name, '=Air Zoom');
+        assert.equal(row.values.image_url, shoe.image_url);
+        assert.equal(row.values.stock, 3);
+        assert.equal(row.values.stock_snapshot, 3);
+    });
+});
+
+describe('catalogExport.shoeDocument', () => {
+    it('nests the category and variants with the stock at the location and the locations holding some', () => {
+        const document = catalogExport.shoeDocument(shoe, 1);
+        const [variant] = document.variants;
+
+        assert.deepEqual(document.category, shoe.categories);
+        assert.equal('shoe_variants' in document, false);
+        assert.equal(variant.stock, 3);
+        assert.equal(variant.stock_quantity, 8);
+        assert.equal(variant.color.color_name, 'Black');
+        assert.deepEqual(variant.locations, [{ location_id: 1, quantity: 3 }, { location_id: 2, quantity: 5 }]);
+    });
+
+    it('counts no stock at a location without the variant', () => {
+        assert.equal(catalogExport.shoeDocument(shoe, 4).variants[0].stock, 0);
+    });
+});
+
+describe('catalogExport.filename', () => {
+    it('names the file after the day and format', () => {
+        assert.equal(catalogExport.filename('json', new Date('2026-10-18T09:00:00Z')), 'catalog-20261018.json');
+    });
+});
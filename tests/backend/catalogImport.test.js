@@ -0,0 +1,155 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, useTestDatabase } from './helpers/database.js';
+import CatalogImport from '../../backend/models/CatalogImport.js';
+import catalogImport from '../../backend/utils/catalogImport.js';
+import { ConflictError, ValidationError } from '../../backend/utils/ErrorClasses.js';
+
+// What CatalogImport.findExisting would load for a catalog of one shoe in black, size 42
+const existing = (variants = []) => ({
+    categories: new Map([['running', { category_id: 1, category_name: 'Running' }]]),
+    shoes: new Map([['air zoom', {
+        shoe_id: 5, shoe_name: 'Air Zoom', category_id: 1, description: null, base_price: '2500000.00',
+        categories: { category_name: 'Running' }
+    }]]),
+    colors: new Map([['black', { color_id: 2, color_name: 'Black' }]]),
+    sizes: new Map([['42', { size_id: 3, size_value: '42' }]]),
+    variants: new Map(variants.map(variant => [variant.sku, variant])),
+    combinations: new Map(variants.map(variant => [`${variant.shoe_id}|${variant.color_id}|${variant.size_id}`, variant.sku]))
+});
+
+const stocked = { variant_id: 9, shoe_id: 5, color_id: 2, size_id: 3, sku: 'AZ-42', variant_price: null, is_active: true, stock: 7 };
+
+const plan = (content, variants, options) => catalogImport.plan(catalogImport.readFile(content, 'csv'), existing(variants), options);
+
+describe('catalogImport.readFile', () => {
+    it('matches headers without case or accents and through their aliases', () => {
+        const [row] = catalogImport.readFile('Tên sản phẩm;Màu;Size;SKU;Price;Qty\nAir Zoom;Black;42;AZ-42;1.250.000;3\n', 'csv');
+
+        assert.deepEqual(row.errors, []);
+        assert.equal(row.values.shoe_name, 'Air Zoom');
+        assert.equal(row.values.variant_price, 1250000);
+        assert.equal(row.values.stock, 3);
+    });
+
+    it('reports invalid values and rows repeating a SKU', () => {
+        const rows = catalogImport.readFile(
+            'shoe_name,color,size,sku,stock,hex_code\nAir Zoom,Black,42,AZ-42,-1,#12\nAir Zoom,White,42,AZ-42,,\n',
+            'csv'
+        );
+
+        assert.deepEqual(rows[0].errors, [
+            'hex_code "#12" must look like #FF0000',
+            'stock "-1" must be a whole number of at least 0'
+        ]);
+        assert.deepEqual(rows[1].errors, []);
+
+        const [, repeated] = catalogImport.readFile('shoe_name,color,size,sku\nAir Zoom,Black,42,AZ-42\nAir Zoom,White,42,AZ-42\n', 'csv');
+        assert.deepEqual(repeated.errors, ['SKU AZ-42 is also on line 2']);
+    });
+
+    it('refuses files without the required columns', () => {
+        assert.throws(() => catalogImport.readFile('shoe_name,sku\nAir Zoom,AZ-42\n', 'csv'), ValidationError);
+    });
+});
+
+describe('catalogImport.plan', () => {
+    it('creates missing sizes and variants with their opening stock', () => {
+        const { summary, rows: [row] } = plan('shoe_name,color,size,sku,stock\nAir Zoom,Black,43,AZ-43,4\n');
+
+        assert.equal(row.action, 'create');
+        assert.deepEqual(row.creates, ['size']);
+        assert.deepEqual(row.changes, { stock: { from: 0, to: 4 } });
+        assert.equal(summary.new_sizes, 1);
+    });
+
+    it('leaves the stock of existing variants alone unless asked to update it', () => {
+        const { summary, rows: [row] } = plan('shoe_name,color,size,sku,stock\nAir Zoom,Black,42,AZ-42,10\n', [stocked]);
+
+        assert.equal(row.action, 'unchanged');
+        assert.equal(row.stock_skipped, true);
+        assert.equal(summary.stock_skipped, 1);
+    });
+
+    it('updates the stock only while the quantity is still the file snapshot', () => {
+        const content = snapshot => `shoe_name,color,size,sku,stock,stock_snapshot\nAir Zoom,Black,42,AZ-42,10,${snapshot}\n`;
+
+        const [current] = plan(content(7), [stocked], { updateStock: true }).rows;
+        const [stale] = plan(content(5), [stocked], { updateStock: true }).rows;
+
+        assert.equal(current.action, 'update');
+        assert.deepEqual(current.changes, { stock: { from: 7, to: 10 } });
+        assert.equal(stale.action, 'error');
+        assert.deepEqual(stale.errors, ['Stock changed since the file was made: stock_snapshot is 5, the quantity is now 7']);
+    });
+
+    it('refuses a SKU that belongs to another color or size', () => {
+        const [row] = plan('shoe_name,color,size,sku\nAir Zoom,Black,43,AZ-42\n', [stocked]).rows;
+
+        assert.equal(row.action, 'error');
+        assert.match(row.errors[0], /SKU AZ-42 is already/);
+    });
+
+    it('sends import_catalog the stock it planned from', () => {
+        const rows = catalogImport.readFile('shoe_name,color,size,sku,stock,stock_snapshot\nAir Zoom,Black,42,AZ-42,10,7\n', 'csv');
+        const [imported] = catalogImport.importRows(rows, catalogImport.plan(rows, existing([stocked]), { updateStock: true }).rows);
+
+        assert.equal(imported.stock, 10);
+        assert.equal(imported.stock_expected, 7);
+        assert.equal('stock_snapshot' in imported, false);
+    });
+});
+
+describe('CatalogImport.apply', () => {
+    let database;
+    let seller;
+    let main;
+    const catalog = new CatalogImport();
+
+    before(async () => {
+        database = await createTestDatabase();
+        useTestDatabase(database);
+        seller = await database.createUser({ role: 'seller' });
+        main = await database.one('SELECT * FROM db_nike.stock_locations WHERE is_default');
+    });
+
+    const row = fields => ({
+        line: 2, category: 'Trail', shoe_name: 'Pegasus Trail', description: null, base_price: 3200000,
+        color: 'Forest', hex_code: '#228B22', size: '44', size_type: 'EU', sku: 'PT-44',
+        variant_price: null, stock: null, stock_expected: null, is_active: null,
+        ...fields
+    });
+
+    it('creates the category, shoe, color, size and variant with an opening movement', async () => {
+        const [result] = await catalog.apply([row({ stock: 6, stock_expected: 0 })], main.location_id, seller.id);
+
+        assert.equal(result.action, 'create');
+        assert.equal(await database.stockOf(result.variant_id), 6);
+        assert.deepEqual(
+            await database.query(
+                'SELECT movement_type, quantity_change, reference_type FROM db_nike.stock_movements WHERE variant_id = $1',
+                [result.variant_id]
+            ),
+            [{ movement_type: 'opening', quantity_change: 6, reference_type: 'catalog_import' }]
+        );
+    });
+
+    it('imports nothing when a planned quantity changed since', async () => {
+        const [{ variant_id: variantId }] = await database.query("SELECT variant_id FROM db_nike.shoe_variants WHERE sku = 'PT-44'");
+
+        await assert.rejects(
+            () => catalog.apply([
+                row({ sku: 'PT-45', size: '45', stock: 3, stock_expected: 0 }),
+                row({ line: 3, stock: 10, stock_expected: 2 })
+            ], main.location_id, seller.id),
+            error => error instanceof ConflictError && /line 3/.test(error.message)
+        );
+        assert.equal(await database.stockOf(variantId), 6);
+        assert.deepEqual(await database.query("SELECT variant_id FROM db_nike.shoe_variants WHERE sku = 'PT-45'"), []);
+
+        const [updated] = await catalog.apply([row({ stock: 10, stock_expected: 6 })], main.location_id, seller.id);
+
+        assert.equal(updated.action, 'update');
+        assert.equal(await database.stockOf(variantId), 10);
+    });
+});
@@ -0,0 +1,158 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, useTestDatabase } from './helpers/database.js';
+import { send } from './helpers/http.js';
+import Order from '../../backend/models/Order.js';
+import ShoeVariant from '../../backend/models/ShoeVariant.js';
+import Cart from '../../backend/models/Cart.js';
+import CartItem from '../../backend/models/CartItem.js';
+import Promotion from '../../backend/models/Promotion.js';
+import OrderController from '../../backend/controllers/orderController.js';
+import { BusinessLogicError } from '../../backend/utils/ErrorClasses.js';
+import constants from '../../config/constants.js';
+
+let database;
+let customer;
+let address;
+
+before(async () => {
+    database = await createTestDatabase();
+    useTestDatabase(database);
+    customer = await database.createUser();
+    address = await database.createAddress(customer.id);
+});
+
+const orderCount = async () => Number((await database.one('SELECT COUNT(*) AS count FROM db_nike.orders')).count);
+
+describe('Order.createWithItems', () => {
+    const orders = new Order();
+    const orderData = () => ({ user_id: customer.id, address_id: address.address_id, total_amount: 300000 });
+
+    it('writes the order and its items and takes the stock', async () => {
+        const first = await database.createVariant({ stock: 5 });
+        const second = await database.createVariant({ stock: 1 });
+
+        const order = await orders.createWithItems(orderData(), [
+            { variant_id: first.variant_id, quantity: 2, price_per_unit: 100000 },
+            { variant_id: second.variant_id, quantity: 1, price_per_unit: 100000 }
+        ]);
+
+        assert.equal(order.status, constants.ORDER_STATUS.PENDING);
+        assert.equal(Number(order.total_amount), 300000);
+        assert.deepEqual(
+            await database.query('SELECT variant_id, quantity FROM db_nike.order_items WHERE order_id = $1 ORDER BY variant_id', [order.order_id]),
+            [{ variant_id: first.variant_id, quantity: 2 }, { variant_id: second.variant_id, quantity: 1 }]
+        );
+        assert.equal(await database.stockOf(first.variant_id), 3);
+        assert.equal(await database.stockOf(second.variant_id), 0);
+    });
+
+    it('writes nothing when any line is short, and reports every short line', async () => {
+        const enough = await database.createVariant({ stock: 5 });
+        const short = await database.createVariant({ stock: 1 });
+        const inactive = await database.createVariant({ stock: 9, active: false });
+        const before = await orderCount();
+
+        await assert.rejects(
+            () => orders.createWithItems(orderData(), [
+                { variant_id: enough.variant_id, quantity: 1, price_per_unit: 100000 },
+                { variant_id: short.variant_id, quantity: 2, price_per_unit: 100000 },
+                { variant_id: inactive.variant_id, quantity: 1, price_per_unit: 100000 }
+            ]),
+            error => {
+                assert.ok(error instanceof BusinessLogicError);
+                assert.deepEqual(
+                    error.details.map(line => [line.variant_id, line.current_stock, line.shortfall]).sort((a, b) => a[0] - b[0]),
+                    [[short.variant_id, 1, 1], [inactive.variant_id, 0, 1]]
+                );
+                return true;
+            }
+        );
+
+        assert.equal(await orderCount(), before);
+        assert.equal(await database.stockOf(enough.variant_id), 5);
+        assert.equal(await database.stockOf(short.variant_id), 1);
+    });
+
+    it('sells the last unit to one of two checkouts', async () => {
+        const variant = await database.createVariant({ stock: 1 });
+        const line = [{ variant_id: variant.variant_id, quantity: 1, price_per_unit: 100000 }];
+
+        const results = await Promise.allSettled([
+            orders.createWithItems(orderData(), line),
+            orders.createWithItems(orderData(), line)
+        ]);
+
+        assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+        assert.equal(await database.stockOf(variant.variant_id), 0);
+    });
+});
+
+describe('OrderController.createOrder', () => {
+    const controller = new OrderController();
+    const variants = new ShoeVariant();
+    const carts = new Cart();
+    const cartItems = new CartItem();
+
+    before(() => {
+        const orders = new Order();
+        orders.findWithItems = orderId => database.orderWithItems(orderId);
+        variants.findByIds = ids => database.variantsByIds(ids);
+
+        controller.setModels({
+            Order: orders,
+            ShoeVariant: variants,
+            Address: { findById: id => database.one('SELECT * FROM db_nike.addresses WHERE address_id = $1', [id]) },
+            Cart: carts,
+            CartItem: cartItems,
+            Promotion: new Promotion()
+        });
+    });
+
+    it('prices the lines from the variants and places the order', async () => {
+        const variant = await database.createVariant({ stock: 4, price: 129000 });
+        const cart = await carts.getOrCreate({ userId: customer.id });
+        await cartItems.setQuantity(cart.cart_id, variant.variant_id, 3, 129000);
+
+        const res = await send(controller, 'createOrder', {
+            user: customer,
+            body: {
+                address_id: address.address_id,
+                shipping_method: 'pickup',
+                items: [{ variant_id: variant.variant_id, quantity: 1 }, { variant_id: variant.variant_id, quantity: 2 }]
+            }
+        });
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.CREATED);
+        assert.equal(Number(res.body.data.total_amount), 387000);
+        assert.equal(await database.stockOf(variant.variant_id), 1);
+        assert.deepEqual(await cartItems.findByCartId(cart.cart_id), []);
+    });
+
+    it('refuses lines it can already see are short', async () => {
+        const variant = await database.createVariant({ stock: 1 });
+        const before = await orderCount();
+
+        const res = await send(controller, 'createOrder', {
+            user: customer,
+            body: { address_id: address.address_id, items: [{ variant_id: variant.variant_id, quantity: 3 }] }
+        });
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.UNPROCESSABLE_ENTITY);
+        assert.equal(await orderCount(), before);
+    });
+
+    it("refuses another customer's address", async () => {
+        const other = await database.createUser();
+        const otherAddress = await database.createAddress(other.id);
+        const variant = await database.createVariant();
+
+        const res = await send(controller, 'createOrder', {
+            user: customer,
+            body: { address_id: otherAddress.address_id, items: [{ variant_id: variant.variant_id, quantity: 1 }] }
+        });
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.NOT_FOUND);
+        assert.equal(await database.stockOf(variant.variant_id), 10);
+    });
+});
@@ -0,0 +1,205 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, useTestDatabase } from './helpers/database.js';
+import { send } from './helpers/http.js';
+import CodCollection from '../../backend/models/CodCollection.js';
+import Order from '../../backend/models/Order.js';
+import Payment from '../../backend/models/Payment.js';
+import CodController from '../../backend/controllers/CodController.js';
+import OrderController from '../../backend/controllers/orderController.js';
+import PaymentController from '../../backend/controllers/PaymentController.js';
+import constants from '../../config/constants.js';
+
+const { COD_COLLECTION_STATUS, ORDER_STATUS, PAYMENT_STATUS } = constants;
+
+let database;
+let customer;
+let seller;
+let address;
+const orders = new Order();
+const payments = new Payment();
+const collections = new CodCollection();
+const paymentController = new PaymentController();
+const orderController = new OrderController();
+const codController = new CodController();
+
+before(async () => {
+    database = await createTestDatabase();
+    useTestDatabase(database);
+    customer = await database.createUser();
+    seller = await database.createUser({ role: 'seller' });
+    address = await database.createAddress(customer.id);
+
+    // A remittance with its collections, as the embedded select loads it
+    collections.findRemittance = async remittanceId => ({
+        ...await database.one('SELECT * FROM db_nike.cod_remittances WHERE remittance_id = $1', [remittanceId]),
+        cod_collections: await database.query(
+            'SELECT * FROM db_nike.cod_collections WHERE remittance_id = $1 ORDER BY collection_id',
+            [remittanceId]
+        )
+    });
+
+    const models = { Order: orders, Payment: payments, CodCollection: collections };
+    paymentController.setModels(models);
+    orderController.setModels(models);
+    codController.setModels(models);
+});
+
+const asSeller = (id, body = {}) => ({ user: seller, params: { id: String(id) }, body });
+
+const paymentOf = paymentId => database.one('SELECT * FROM db_nike.payments WHERE payment_id = $1', [paymentId]);
+
+// An order of 300000 paid in cash, shipped by courier under tracking and delivered
+async function deliveredCodOrder(tracking, courier = 'ghn') {
+    const variant = await database.createVariant();
+    const order = await orders.createWithItems(
+        { user_id: customer.id, address_id: address.address_id, total_amount: 300000 },
+        [{ variant_id: variant.variant_id, quantity: 3, price_per_unit: 100000 }]
+    );
+    const paid = await send(paymentController, 'processPayment', {
+        user: customer,
+        body: { order_id: order.order_id, payment_method: constants.PAYMENT_METHODS.CASH }
+    });
+
+    await send(orderController, 'updateOrderStatus', asSeller(order.order_id, { status: ORDER_STATUS.SHIPPED, courier, tracking_number: tracking }));
+    const delivered = await send(orderController, 'updateOrderStatus', asSeller(order.order_id, { status: ORDER_STATUS.DELIVERED }));
+
+    return { order, payment: paid.body.data.payment, collection: delivered.body.data.cod_collection };
+}
+
+describe('Cash on delivery checkout', () => {
+    it('confirms the order while the payment waits for the courier', async () => {
+        const variant = await database.createVariant();
+        const order = await orders.createWithItems(
+            { user_id: customer.id, address_id: address.address_id, total_amount: 100000 },
+            [{ variant_id: variant.variant_id, quantity: 1, price_per_unit: 100000 }]
+        );
+
+        const res = await send(paymentController, 'processPayment', {
+            user: customer,
+            body: { order_id: order.order_id, payment_method: constants.PAYMENT_METHODS.CASH }
+        });
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.CREATED);
+        assert.equal(res.body.data.payment.provider, 'cod');
+        assert.equal(res.body.data.payment.status, PAYMENT_STATUS.PENDING);
+        assert.equal(res.body.data.order_status, ORDER_STATUS.PROCESSING);
+
+        const shipped = await send(orderController, 'updateOrderStatus', asSeller(order.order_id, { status: ORDER_STATUS.SHIPPED }));
+
+        assert.equal(shipped.statusCode, constants.HTTP_STATUS.BAD_REQUEST);
+        assert.equal((await orders.findById(order.order_id)).status, ORDER_STATUS.PROCESSING);
+    });
+
+    it('records the cash to collect once the order is delivered', async () => {
+        const { order, payment, collection } = await deliveredCodOrder('GHN-DELIVERED');
+
+        assert.equal(collection.order_id, order.order_id);
+        assert.equal(collection.payment_id, payment.payment_id);
+        assert.equal(collection.courier, 'ghn');
+        assert.equal(collection.status, COD_COLLECTION_STATUS.AWAITING);
+        assert.equal(Number(collection.expected_amount), 300000);
+        assert.equal((await collections.recordDelivery(payment, order)).collection_id, collection.collection_id);
+    });
+});
+
+describe('CodController.createRemittance', () => {
+    it('completes the payments of the cash handed over and flags short amounts', async () => {
+        const paid = await deliveredCodOrder('GHN-BATCH-1');
+        const short = await deliveredCodOrder('GHN-BATCH-2');
+
+        const res = await send(codController, 'createRemittance', {
+            user: seller,
+            body: {
+                courier: 'ghn',
+                reference: 'GHN batch',
+                items: [
+                    { tracking_number: 'GHN-BATCH-1', collected_amount: 300000 },
+                    { order_id: short.order.order_id, collected_amount: 250000 }
+                ]
+            }
+        });
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.CREATED);
+        assert.deepEqual(res.body.data.summary, {
+            shipments: 2,
+            expected_amount: 600000,
+            collected_amount: 550000,
+            discrepancy_amount: -50000,
+            discrepancies: 1
+        });
+        assert.equal((await paymentOf(paid.payment.payment_id)).status, PAYMENT_STATUS.COMPLETED);
+        assert.equal((await paymentOf(short.payment.payment_id)).status, PAYMENT_STATUS.COMPLETED);
+    });
+
+    it('records nothing when a shipment belongs to another courier', async () => {
+        const { collection } = await deliveredCodOrder('GHN-OTHER');
+
+        const res = await send(codController, 'createRemittance', {
+            user: seller,
+            body: { courier: 'ghtk', items: [{ tracking_number: 'GHN-OTHER', collected_amount: 300000 }] }
+        });
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.UNPROCESSABLE_ENTITY);
+        assert.equal(res.body.details.details[0].courier, 'ghn');
+        assert.equal((await collections.findById(collection.collection_id)).status, COD_COLLECTION_STATUS.AWAITING);
+        assert.equal(await database.one("SELECT * FROM db_nike.cod_remittances WHERE courier = 'ghtk'"), null);
+    });
+
+    it('keeps customers out', async () => {
+        const res = await send(codController, 'createRemittance', {
+            user: customer,
+            body: { courier: 'ghn', items: [{ tracking_number: 'GHN-ANY', collected_amount: 1 }] }
+        });
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.FORBIDDEN);
+    });
+});
+
+describe('CodController.resolveCollection', () => {
+    it('fails the payment when no cash came back, once', async () => {
+        const { payment, collection } = await deliveredCodOrder('GHN-LOST');
+        await collections.confirm({ courier: 'ghn', confirmed_by: seller.id }, [{ tracking_number: 'GHN-LOST', collected_amount: 0 }]);
+
+        const res = await send(codController, 'resolveCollection', asSeller(collection.collection_id, { note: 'Parcel lost' }));
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.OK);
+        assert.equal(res.body.data.collection.status, COD_COLLECTION_STATUS.RESOLVED);
+        assert.equal(res.body.data.payment.status, PAYMENT_STATUS.FAILED);
+
+        const again = await send(codController, 'resolveCollection', asSeller(collection.collection_id, { note: 'Parcel lost' }));
+
+        assert.equal(again.statusCode, constants.HTTP_STATUS.CONFLICT);
+        assert.equal((await paymentOf(payment.payment_id)).status, PAYMENT_STATUS.FAILED);
+    });
+});
+
+describe('CodCollection.dailyReport', () => {
+    it('reports deliveries, collections and what is still outstanding per courier', async () => {
+        const collected = await deliveredCodOrder('VTP-1', 'viettel_post');
+        const outstanding = await deliveredCodOrder('VTP-2', 'viettel_post');
+        await collections.confirm({ courier: 'viettel_post' }, [{ tracking_number: 'VTP-1', collected_amount: 280000 }]);
+        await database.query(
+            `UPDATE db_nike.cod_collections
+             SET delivered_at = '2024-05-01T09:00:00Z',
+                 collected_at = CASE WHEN collection_id = $1 THEN TIMESTAMPTZ '2024-05-02T09:00:00Z' END
+             WHERE collection_id = ANY($2::INTEGER[])`,
+            [collected.collection.collection_id, [collected.collection.collection_id, outstanding.collection.collection_id]]
+        );
+
+        const days = (await collections.dailyReport('2024-05-01', '2024-05-02', 'UTC'))
+            .filter(day => day.courier === 'viettel_post')
+            .map(day => ({
+                date: day.report_date,
+                delivered: Number(day.expected_amount),
+                collected: Number(day.collected_amount),
+                discrepancy: Number(day.discrepancy_amount),
+                outstanding: Number(day.outstanding_amount)
+            }));
+
+        assert.deepEqual(days, [
+            { date: '2024-05-01', delivered: 600000, collected: 0, discrepancy: 0, outstanding: 600000 },
+            { date: '2024-05-02', delivered: 0, collected: 280000, discrepancy: -20000, outstanding: 300000 }
+        ]);
+    });
+});
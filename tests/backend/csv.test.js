@@ -0,0 +1,115 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import csv from '../../backend/utils/csv.js';
+
+describe('csv.parseRows', () => {
+    it('reads quoted fields with delimiters, quotes and line breaks', () => {
+        assert.deepEqual(csv.parseRows('sku,name\nA-1,"Runner, ""Pro""\nsize 42"\n'), [
+            ['sku', 'name'],
+            ['A-1', 'Runner, "Pro"\nsize 42']
+        ]);
+    });
+
+    it('accepts CRLF, a byte order mark and a missing final line break', () => {
+        assert.deepEqual(csv.parseRows('\uFEFFa,b\r\n1,2\r\n3,4'), [['a', 'b'], ['1', '2'], ['3', '4']]);
+    });
+
+    it('drops blank lines but keeps empty fields', () => {
+        assert.deepEqual(csv.parseRows('a,b\n\n , \n,2\n'), [['a', 'b'], ['', '2']]);
+    });
+
+    it('keeps a quote inside an unquoted field', () => {
+        assert.deepEqual(csv.parseRows('size 9",x'), [['size 9"', 'x']]);
+    });
+
+    it('is empty for no text', () => {
+        assert.deepEqual(csv.parseRows(''), []);
+        assert.deepEqual(csv.parseRows(null), []);
+    });
+});
+
+describe('csv.detectDelimiter', () => {
+    it('picks the most frequent delimiter of the first line', () => {
+        assert.equal(csv.detectDelimiter('a;b;c\n1,5;2;3'), ';');
+        assert.equal(csv.detectDelimiter('a\tb\tc'), '\t');
+        assert.equal(csv.detectDelimiter('single'), ',');
+    });
+
+    it('can be given instead', () => {
+        assert.deepEqual(csv.parseRows('a;b,c', { delimiter: ',' }), [['a;b', 'c']]);
+    });
+});
+
+describe('csv.parse', () => {
+    it('keys trimmed values by header with the file line number', () => {
+        assert.deepEqual(csv.parse('SKU ; Price\nA-1; 129.99 \nB-2\n', { normalizeHeader: header => header.trim().toLowerCase() }), {
+            headers: ['sku', 'price'],
+            records: [
+                { line: 2, values: { sku: 'A-1', price: '129.99' } },
+                { line: 3, values: { sku: 'B-2', price: '' } }
+            ]
+        });
+    });
+});
+
+describe('csv.toRecords', () => {
+    it('reads rows from elsewhere the same way', () => {
+        assert.deepEqual(csv.toRecords([['a', 'b'], ['1']]), {
+            headers: ['a', 'b'],
+            records: [{ line: 2, values: { a: '1', b: '' } }]
+        });
+        assert.deepEqual(csv.toRecords([]), { headers: [], records: [] });
+    });
+});
+
+describe('csv.stringify', () => {
+    it('writes a header and CRLF lines, quoting where needed', () => {
+        assert.equal(
+            csv.stringify(['sku', 'name', 'price'], [
+                { sku: 'A-1', name: 'Runner, "Pro"', price: 129.99 },
+                { sku: 'B-2', name: 'Two\nlines', price: null }
+            ]),
+            'sku,name,price\r\nA-1,"Runner, ""Pro""",129.99\r\nB-2,"Two\nlines",\r\n'
+        );
+    });
+
+    it('can leave out the header', () => {
+        assert.equal(csv.stringify(['a'], [{ a: 1 }], { header: false }), '1\r\n');
+        assert.equal(csv.stringify(['a'], [], { header: false }), '');
+    });
+
+    it('writes dates as ISO text', () => {
+        assert.equal(csv.escape(new Date('2026-03-05T10:00:00Z')), '2026-03-05T10:00:00.000Z');
+    });
+
+    it('reads back what it wrote', () => {
+        const records = [{ a: 'x,y', b: 'say "hi"' }, { a: 'multi\r\nline', b: '' }];
+        const { records: parsed } = csv.parse(csv.stringify(['a', 'b'], records));
+
+        assert.deepEqual(parsed.map(record => record.values), records);
+    });
+});
+
+describe('csv formula protection', () => {
+    it('prefixes text a spreadsheet would run', () => {
+        assert.equal(csv.escape('=HYPERLINK("http://x")'), `"'=HYPERLINK(""http://x"")"`);
+        for (const text of ['+1', '-1+2', '@SUM(A1)']) {
+            assert.equal(csv.escape(text), `'${text}`);
+        }
+        assert.equal(csv.escape('\tcmd'), `"'\tcmd"`);
+        assert.equal(csv.escape('\rcmd'), `"'\rcmd"`);
+    });
+
+    it('leaves numbers and other text alone', () => {
+        assert.equal(csv.escape(-5), '-5');
+        assert.equal(csv.escape('Air Max = best'), 'Air Max = best');
+        assert.equal(csv.escape("'quoted"), "'quoted");
+    });
+
+    it('unprotects back to the original text', () => {
+        for (const text of ['=1+1', '+84 912 345 678', '-', '@home', '\tx', "'=already", "''-x", "'plain", 'plain']) {
+            const [[field]] = csv.parseRows(csv.escape(text));
+            assert.equal(csv.unprotect(field), text);
+        }
+    });
+});
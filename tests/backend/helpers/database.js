@@ -0,0 +1,396 @@
+// Test database: schema.sql loaded into PGlite (Postgres compiled to WebAssembly), so tests run
+// the real database functions. The Supabase auth schema it references is stubbed, and models
+// reach it through an admin client that answers rpc() calls and plain table queries the way
+// PostgREST does. Selects that embed related tables are not supported; stub those reads.
+
+import fs from 'fs';
+import { PGlite } from '@electric-sql/pglite';
+import createSupabaseConfig from '../../../config/supabase.js';
+
+const SCHEMA = fs.readFileSync(new URL('../../../schema.sql', import.meta.url), 'utf8');
+
+// What schema.sql needs from Supabase: auth.users (whose insert trigger creates the profile) and auth.uid()
+const AUTH_SCHEMA = `
+    CREATE SCHEMA auth;
+    CREATE TABLE auth.users (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        email TEXT,
+        raw_user_meta_data JSONB DEFAULT '{}'
+    );
+    CREATE FUNCTION auth.uid() RETURNS UUID LANGUAGE sql STABLE
+        AS $$ SELECT NULLIF(current_setting('request.jwt.claim.sub', TRUE), '')::UUID $$;
+`;
+
+const FILTERS = { eq: '=', neq: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=', like: 'LIKE', ilike: 'ILIKE' };
+
+/**
+ * A table query built like supabase.from(table): select, insert, upsert, update or delete,
+ * narrowed by filters and run when awaited
+ */
+class TableQuery {
+    constructor(database, table) {
+        this.database = database;
+        this.table = table;
+        this.action = 'select';
+        this.columns = '*';
+        this.values = null;
+        this.conflict = null;
+        this.conditions = [];
+        this.params = [];
+        this.ordering = [];
+        this.rowLimit = null;
+        this.rowOffset = 0;
+        this.counted = false;
+        this.headOnly = false;
+        this.returning = false;
+        this.expect = null;
+    }
+
+    select(columns = '*', { count, head = false } = {}) {
+        if (columns.includes('(')) {
+            throw new Error(`The test database cannot embed related tables (${this.table}: ${columns.trim()})`);
+        }
+        this.columns = columns.split(',').map(column => column.trim()).join(', ');
+        if (this.action === 'select') {
+            this.counted = Boolean(count);
+            this.headOnly = head;
+        } else {
+            this.returning = true;
+        }
+        return this;
+    }
+
+    insert(rows) {
+        this.action = 'insert';
+        this.values = Array.isArray(rows) ? rows : [rows];
+        return this;
+    }
+
+    upsert(rows, { onConflict, ignoreDuplicates = false } = {}) {
+        this.insert(rows);
+        this.conflict = { columns: onConflict, ignoreDuplicates };
+        return this;
+    }
+
+    update(values) {
+        this.action = 'update';
+        this.values = values;
+        return this;
+    }
+
+    delete() {
+        this.action = 'delete';
+        return this;
+    }
+
+    filter(column, operator, value) {
+        this.params.push(value);
+        this.conditions.push(`${column} ${operator} $${this.params.length}`);
+        return this;
+    }
+
+    // PostgREST or() filters: 'column.operator.value' separated by commas
+    or(filters) {
+        const alternatives = filters.split(',').map(filter => {
+            const [column, operator, ...value] = filter.split('.');
+            this.params.push(value.join('.'));
+            return `${column} ${FILTERS[operator]} $${this.params.length}`;
+        });
+        this.conditions.push(`(${alternatives.join(' OR ')})`);
+        return this;
+    }
+
+    in(column, values) {
+        this.params.push(values);
+        this.conditions.push(`${column} = ANY($${this.params.length})`);
+        return this;
+    }
+
+    is(column, value) {
+        this.conditions.push(`${column} IS ${value === null ? 'NULL' : value ? 'TRUE' : 'FALSE'}`);
+        return this;
+    }
+
+    order(column, { ascending = true } = {}) {
+        this.ordering.push(`${column} ${ascending ? 'ASC' : 'DESC'}`);
+        return this;
+    }
+
+    limit(count) {
+        this.rowLimit = count;
+        return this;
+    }
+
+    range(from, to) {
+        this.rowOffset = from;
+        this.rowLimit = to - from + 1;
+        return this;
+    }
+
+    single() {
+        this.expect = 'single';
+        return this;
+    }
+
+    maybeSingle() {
+        this.expect = 'maybeSingle';
+        return this;
+    }
+
+    toSql() {
+        const table = `db_nike.${this.table}`;
+        const where = this.conditions.length ? ` WHERE ${this.conditions.join(' AND ')}` : '';
+        const returning = this.returning ? ` RETURNING ${this.columns}` : '';
+
+        if (this.action === 'insert') {
+            const keys = [...new Set(this.values.flatMap(row => Object.keys(row)))];
+            const rows = this.values.map(row => `(${keys.map(key => {
+                this.params.push(row[key] ?? null);
+                return `$${this.params.length}`;
+            }).join(', ')})`);
+            let conflict = '';
+            if (this.conflict) {
+                const action = this.conflict.ignoreDuplicates
+                    ? 'DO NOTHING'
+                    : `DO UPDATE SET ${keys.map(key => `${key} = EXCLUDED.${key}`).join(', ')}`;
+                conflict = ` ON CONFLICT (${this.conflict.columns}) ${action}`;
+            }
+            return `INSERT INTO ${table} (${keys.join(', ')}) VALUES ${rows.join(', ')}${conflict}${returning}`;
+        }
+        if (this.action === 'update') {
+            const assignments = Object.entries(this.values).map(([key, value]) => {
+                this.params.push(value);
+                return `${key} = $${this.params.length}`;
+            });
+            return `UPDATE ${table} SET ${assignments.join(', ')}${where}${returning}`;
+        }
+        if (this.action === 'delete') {
+            return `DELETE FROM ${table}${where}${returning}`;
+        }
+
+        const order = this.ordering.length ? ` ORDER BY ${this.ordering.join(', ')}` : '';
+        const limit = this.rowLimit === null ? '' : ` LIMIT ${this.rowLimit} OFFSET ${this.rowOffset}`;
+        return `SELECT ${this.columns}${this.counted ? ', COUNT(*) OVER () AS __count' : ''} FROM ${table}${where}${order}${limit}`;
+    }
+
+    async run() {
+        let rows;
+        try {
+            rows = await this.database.query(this.toSql(), this.params);
+        } catch (error) {
+            return { data: null, count: null, error: { message: error.message, details: error.detail ?? null, code: error.code } };
+        }
+
+        const count = this.counted ? Number(rows[0]?.__count ?? 0) : null;
+        const data = rows.map(({ __count, ...row }) => row);
+
+        if (this.headOnly) return { data: null, count, error: null };
+        if (this.expect && data.length !== 1 && !(this.expect === 'maybeSingle' && data.length === 0)) {
+            return { data: null, count, error: { message: `Expected one row, got ${data.length}`, code: 'PGRST116' } };
+        }
+        return { data: this.expect ? data[0] ?? null : data, count, error: null };
+    }
+
+    then(resolve, reject) {
+        return this.run().then(resolve, reject);
+    }
+}
+
+for (const [method, operator] of Object.entries(FILTERS)) {
+    TableQuery.prototype[method] = function (column, value) {
+        return this.filter(column, operator, value);
+    };
+}
+
+class TestDatabase {
+    constructor(pg) {
+        this.pg = pg;
+        this.functions = new Map();
+        this.sequence = 0;
+        this.client = {
+            rpc: (name, params) => this.rpc(name, params),
+            from: table => new TableQuery(this, table)
+        };
+    }
+
+    async query(sql, params = []) {
+        const { rows } = await this.pg.query(sql, params);
+        return rows;
+    }
+
+    async one(sql, params = []) {
+        const [row = null] = await this.query(sql, params);
+        return row;
+    }
+
+    /**
+     * Call a database function like supabase.rpc(): named arguments, the result as JSON
+     * (a row, a list of rows or a value) and errors as { message, details, hint, code }
+     * @returns {Promise<{ data: *, error: Object|null }>}
+     */
+    async rpc(name, params = {}) {
+        const fn = await this.describeFunction(name);
+        const names = Object.keys(params);
+        const args = names.map((arg, index) => `${arg} => $${index + 1}::${fn.argTypes[arg]}`).join(', ');
+        const values = names.map(arg => (
+            /^jsonb?$/.test(fn.argTypes[arg]) && params[arg] !== null ? JSON.stringify(params[arg]) : params[arg]
+        ));
+        const sql = fn.returnsSet
+            ? `SELECT COALESCE(jsonb_agg(to_jsonb(result)), '[]') AS data FROM db_nike.${name}(${args}) AS result`
+            : fn.returnType === 'void'
+                ? `SELECT NULL AS data FROM db_nike.${name}(${args})`
+                : `SELECT to_jsonb(db_nike.${name}(${args})) AS data`;
+
+        try {
+            const { data } = await this.one(sql, values);
+            return { data, error: null };
+        } catch (error) {
+            return {
+                data: null,
+                error: { message: error.message, details: error.detail ?? null, hint: error.hint ?? null, code: error.code }
+            };
+        }
+    }
+
+    // Call a database function and return its result, throwing its error
+    async call(name, params = {}) {
+        const { data, error } = await this.rpc(name, params);
+        if (error) throw Object.assign(new Error(error.message), error);
+        return data;
+    }
+
+    async describeFunction(name) {
+        if (!this.functions.has(name)) {
+            const fn = await this.one(`
+                SELECT p.proretset AS "returnsSet",
+                       format_type(p.prorettype, NULL) AS "returnType",
+                       p.proargnames AS "argNames",
+                       ARRAY(SELECT format_type(type, NULL) FROM unnest(p.proargtypes) AS type) AS "argTypes"
+                FROM pg_proc p
+                WHERE p.pronamespace = 'db_nike'::regnamespace AND p.proname = $1
+            `, [name]);
+            if (!fn) throw new Error(`No database function ${name}`);
+
+            this.functions.set(name, {
+                ...fn,
+                argTypes: Object.fromEntries((fn.argNames || []).map((arg, index) => [arg, fn.argTypes[index]]))
+            });
+        }
+        return this.functions.get(name);
+    }
+
+    // A signed-up user with a profile; role is 'customer' or 'seller'
+    async createUser({ role = 'customer' } = {}) {
+        const n = ++this.sequence;
+        const { id } = await this.one(
+            'INSERT INTO auth.users (email, raw_user_meta_data) VALUES ($1, $2) RETURNING id',
+            [`user${n}@example.com`, { username: `user${n}`, full_name: `User ${n}`, role }]
+        );
+        return { id, role };
+    }
+
+    async createAddress(userId, fields = {}) {
+        const address = { street: '1 Le Loi', city: 'Ho Chi Minh City', state: 'Ho Chi Minh', country: 'Vietnam', ...fields };
+        return this.one(
+            `INSERT INTO db_nike.addresses (user_id, street, city, state, country)
+             VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+            [userId, address.street, address.city, address.state, address.country]
+        );
+    }
+
+    // A variant of a new shoe in the seeded Running category, or another size of shoeId
+    async createVariant({ stock = 10, price = 100000, active = true, shoeId = null } = {}) {
+        const n = ++this.sequence;
+        const shoe = shoeId ? { shoe_id: shoeId } : await this.one(
+            `INSERT INTO db_nike.shoes (category_id, shoe_name, base_price)
+             VALUES ((SELECT category_id FROM db_nike.categories WHERE category_name = 'Running'), $1, $2)
+             RETURNING shoe_id`,
+            [`Test Runner ${n}`, price]
+        );
+        return this.one(
+            `INSERT INTO db_nike.shoe_variants (shoe_id, color_id, size_id, stock_quantity, sku, variant_price, is_active)
+             VALUES ($1, (SELECT MIN(color_id) FROM db_nike.colors),
+                     (SELECT MIN(size_id) FROM db_nike.sizes
+                      WHERE size_id NOT IN (SELECT size_id FROM db_nike.shoe_variants WHERE shoe_id = $1)),
+                     $2, $3, $4, $5)
+             RETURNING *`,
+            [shoe.shoe_id, stock, `TEST-${n}`, price, active]
+        );
+    }
+
+    // Variants with their shoe's price and status, as ShoeVariant.findByIds loads them
+    async variantsByIds(ids) {
+        return this.query(
+            `SELECT sv.*, jsonb_build_object('base_price', s.base_price, 'is_active', s.is_active) AS shoes
+             FROM db_nike.shoe_variants sv JOIN db_nike.shoes s USING (shoe_id)
+             WHERE sv.variant_id = ANY($1::INTEGER[])`,
+            [ids]
+        );
+    }
+
+    async createPayment(orderId, { amount = 100000, method = 'credit_card', status = 'completed' } = {}) {
+        return this.one(
+            `INSERT INTO db_nike.payments (order_id, payment_method, payment_amount, payment_date, status)
+             VALUES ($1, $2, $3, NOW(), $4) RETURNING *`,
+            [orderId, method, amount, status]
+        );
+    }
+
+    // An order with its order_items, as much of Order.findWithItems as the tests need
+    async orderWithItems(orderId) {
+        const order = await this.one('SELECT * FROM db_nike.orders WHERE order_id = $1', [orderId]);
+        if (!order) return null;
+
+        order.order_items = await this.query(
+            `SELECT oi.*, jsonb_build_object('variant_id', sv.variant_id, 'sku', sv.sku,
+                                             'shoes', jsonb_build_object('shoe_id', sv.shoe_id)) AS shoe_variants
+             FROM db_nike.order_items oi JOIN db_nike.shoe_variants sv USING (variant_id)
+             WHERE oi.order_id = $1
+             ORDER BY oi.order_item_id`,
+            [orderId]
+        );
+        return order;
+    }
+
+    // A refund with its refund_items, as Refund.findWithItems loads it
+    async refundWithItems(refundId) {
+        const refund = await this.one('SELECT * FROM db_nike.refunds WHERE refund_id = $1', [refundId]);
+        if (!refund) return null;
+
+        refund.refund_items = await this.query(
+            `SELECT refund_item_id, order_item_id, quantity, amount
+             FROM db_nike.refund_items WHERE refund_id = $1 ORDER BY refund_item_id`,
+            [refundId]
+        );
+        return refund;
+    }
+
+    async stockOf(variantId) {
+        const { stock_quantity: stock } = await this.one(
+            'SELECT stock_quantity FROM db_nike.shoe_variants WHERE variant_id = $1',
+            [variantId]
+        );
+        return stock;
+    }
+}
+
+/**
+ * A fresh database with schema.sql applied
+ * @returns {Promise<TestDatabase>}
+ */
+export async function createTestDatabase() {
+    const pg = new PGlite();
+    await pg.exec(AUTH_SCHEMA);
+    await pg.exec(SCHEMA);
+    return new TestDatabase(pg);
+}
+
+/**
+ * Send the models' Supabase calls to a test database. Models keep their own Supabase
+ * config, so the shared prototype is pointed at the database's client instead.
+ */
+export function useTestDatabase(database) {
+    const config = Object.getPrototypeOf(createSupabaseConfig());
+    config.getClient = () => database.client;
+    config.getAdminClient = () => database.client;
+}
@@ -0,0 +1,42 @@
+// Request and response objects for calling controller handlers directly
+
+import { mock } from 'node:test';
+
+export function createRequest({ user = null, params = {}, query = {}, body = {}, headers = {} } = {}) {
+    return { method: 'GET', url: '/', user, params, query, body, headers };
+}
+
+// Records what a handler sent: statusCode and the parsed JSON body
+export function createResponse() {
+    return {
+        statusCode: null,
+        headers: {},
+        body: null,
+        setHeader(name, value) {
+            this.headers[name.toLowerCase()] = value;
+        },
+        writeHead(statusCode, headers = {}) {
+            this.statusCode = statusCode;
+            for (const [name, value] of Object.entries(headers)) this.setHeader(name, value);
+        },
+        end(body) {
+            this.body = body ? JSON.parse(body) : null;
+        }
+    };
+}
+
+/**
+ * Run a controller handler and return the response it sent.
+ * Errors the handler turns into responses are not logged.
+ * @returns {Promise<{ statusCode: number, body: Object }>}
+ */
+export async function send(controller, handler, request) {
+    const res = createResponse();
+    const logged = mock.method(console, 'error', () => {});
+    try {
+        await controller[handler](createRequest(request), res);
+    } finally {
+        logged.mock.restore();
+    }
+    return res;
+}
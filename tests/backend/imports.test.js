@@ -0,0 +1,114 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, useTestDatabase } from './helpers/database.js';
+import { send } from './helpers/http.js';
+import Import from '../../backend/models/Import.js';
+import Order from '../../backend/models/Order.js';
+import ShoeVariant from '../../backend/models/ShoeVariant.js';
+import Supplier from '../../backend/models/Supplier.js';
+import ImportController from '../../backend/controllers/ImportController.js';
+import OrderController from '../../backend/controllers/orderController.js';
+import constants from '../../config/constants.js';
+
+let database;
+let customer;
+let seller;
+let supplier;
+const orders = new Order();
+const controller = new ImportController();
+
+before(async () => {
+    database = await createTestDatabase();
+    useTestDatabase(database);
+    customer = await database.createUser();
+    seller = await database.createUser({ role: 'seller' });
+
+    const suppliers = new Supplier();
+    supplier = await suppliers.createSupplier({ supplier_name: 'Saigon Footwear' });
+
+    // The imported rows without their supplier and variant, which the embedded select adds
+    const imports = new Import();
+    imports.createImports = async rows => {
+        const { data, error } = await database.client.from(constants.DATABASE_TABLES.IMPORTS).insert(rows).select();
+        if (error) throw new Error(error.message);
+        return data;
+    };
+    const variants = new ShoeVariant();
+    variants.findByIds = ids => database.variantsByIds(ids);
+    orders.findWithItems = orderId => database.orderWithItems(orderId);
+
+    controller.setModels({ Import: imports, Supplier: suppliers, ShoeVariant: variants });
+});
+
+const receive = (items, supplierId = supplier.supplier_id) => send(controller, 'createImport', {
+    user: seller,
+    body: { supplier_id: supplierId, items }
+});
+
+describe('ImportController.createImport', () => {
+    it('adds the units and keeps a weighted-average cost', async () => {
+        const variant = await database.createVariant({ stock: 10 });
+
+        const first = await receive([{ variant_id: variant.variant_id, quantity_imported: 10, import_price: 50000 }]);
+        const second = await receive([{ variant_id: variant.variant_id, quantity_imported: 10, import_price: 80000 }]);
+
+        assert.equal(first.statusCode, constants.HTTP_STATUS.CREATED);
+        assert.deepEqual(first.body.data.variants.map(entry => [entry.stock_quantity, entry.average_cost]), [[20, 50000]]);
+        assert.deepEqual(second.body.data.variants.map(entry => [entry.stock_quantity, entry.average_cost]), [[30, 60000]]);
+        assert.deepEqual(
+            await database.query(
+                "SELECT quantity_change, reference_type FROM db_nike.stock_movements WHERE variant_id = $1 AND movement_type = 'import' ORDER BY movement_id",
+                [variant.variant_id]
+            ),
+            [{ quantity_change: 10, reference_type: 'import' }, { quantity_change: 10, reference_type: 'import' }]
+        );
+    });
+
+    it('refuses the whole receipt when a variant is unknown', async () => {
+        const variant = await database.createVariant({ stock: 0 });
+
+        const res = await receive([
+            { variant_id: variant.variant_id, quantity_imported: 5, import_price: 40000 },
+            { variant_id: 999999, quantity_imported: 5, import_price: 40000 }
+        ]);
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.NOT_FOUND);
+        assert.equal(await database.stockOf(variant.variant_id), 0);
+    });
+
+    it('refuses stock from an inactive supplier', async () => {
+        const variant = await database.createVariant({ stock: 0 });
+        const inactive = await new Supplier().createSupplier({ supplier_name: 'Closed Supplier', is_active: false });
+
+        const res = await receive([{ variant_id: variant.variant_id, quantity_imported: 5, import_price: 40000 }], inactive.supplier_id);
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.UNPROCESSABLE_ENTITY);
+        assert.equal(await database.stockOf(variant.variant_id), 0);
+    });
+});
+
+describe('Cost of goods sold', () => {
+    const orderController = new OrderController();
+
+    before(() => {
+        orderController.setModels({ Order: orders });
+    });
+
+    it('snapshots the average cost on the order lines for sellers only', async () => {
+        const variant = await database.createVariant({ stock: 0 });
+        await receive([{ variant_id: variant.variant_id, quantity_imported: 4, import_price: 45000 }]);
+        const address = await database.createAddress(customer.id);
+        const order = await orders.createWithItems(
+            { user_id: customer.id, address_id: address.address_id, total_amount: 100000 },
+            [{ variant_id: variant.variant_id, quantity: 1, price_per_unit: 100000 }]
+        );
+        await receive([{ variant_id: variant.variant_id, quantity_imported: 3, import_price: 90000 }]);
+
+        const request = user => ({ user, params: { id: String(order.order_id) } });
+        const [sellerLine] = (await send(orderController, 'getOrder', request(seller))).body.data.order_items;
+        const [customerLine] = (await send(orderController, 'getOrder', request(customer))).body.data.order_items;
+
+        assert.equal(Number(sellerLine.unit_cost), 45000);
+        assert.equal('unit_cost' in customerLine, false);
+    });
+});
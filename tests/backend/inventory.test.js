@@ -0,0 +1,196 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, useTestDatabase } from './helpers/database.js';
+import { send } from './helpers/http.js';
+import Order from '../../backend/models/Order.js';
+import ShoeVariant from '../../backend/models/ShoeVariant.js';
+import StockMovement from '../../backend/models/StockMovement.js';
+import VariantController from '../../backend/controllers/VariantController.js';
+import inventory from '../../backend/utils/inventory.js';
+import { ConflictError, NotFoundError, ValidationError } from '../../backend/utils/ErrorClasses.js';
+import constants from '../../config/constants.js';
+
+const { STOCK_MOVEMENT_TYPES } = constants;
+
+let database;
+let customer;
+let seller;
+const movements = new StockMovement();
+
+before(async () => {
+    database = await createTestDatabase();
+    useTestDatabase(database);
+    customer = await database.createUser();
+    seller = await database.createUser({ role: 'seller' });
+});
+
+const ledgerOf = variantId => database.query(
+    `SELECT movement_type, quantity_change, quantity_after, reference_type
+     FROM db_nike.stock_movements WHERE variant_id = $1 ORDER BY movement_id`,
+    [variantId]
+);
+
+describe('inventory.record', () => {
+    it('moves the stock and appends the movement', async () => {
+        const variant = await database.createVariant({ stock: 20 });
+
+        const taken = await inventory.adjust(variant.variant_id, -5, { referenceType: 'manual', createdBy: seller.id, note: 'Damaged box' });
+        const counted = await inventory.setQuantity(variant.variant_id, 30, { type: STOCK_MOVEMENT_TYPES.IMPORT, referenceType: 'import' });
+
+        assert.equal(taken.quantity_after, 15);
+        assert.equal(taken.created_by, seller.id);
+        assert.equal(counted.quantity_change, 15);
+        assert.equal(await database.stockOf(variant.variant_id), 30);
+        assert.deepEqual(await ledgerOf(variant.variant_id), [
+            { movement_type: 'opening', quantity_change: 20, quantity_after: 20, reference_type: 'variant' },
+            { movement_type: 'adjustment', quantity_change: -5, quantity_after: 15, reference_type: 'manual' },
+            { movement_type: 'import', quantity_change: 15, quantity_after: 30, reference_type: 'import' }
+        ]);
+    });
+
+    it('records nothing when the stock does not change', async () => {
+        const variant = await database.createVariant({ stock: 20 });
+
+        assert.equal(await inventory.setQuantity(variant.variant_id, 20), null);
+        assert.equal((await ledgerOf(variant.variant_id)).length, 1);
+    });
+
+    it('refuses unknown movement types and variants', async () => {
+        const variant = await database.createVariant({ stock: 20 });
+
+        await assert.rejects(() => inventory.adjust(variant.variant_id, 1, { type: 'gift' }), ValidationError);
+        await assert.rejects(() => inventory.setQuantity(999999, 1), NotFoundError);
+    });
+
+    it('refuses to take out more than is in stock, even when changes race', async () => {
+        const variant = await database.createVariant({ stock: 20 });
+
+        const results = await Promise.allSettled([
+            inventory.adjust(variant.variant_id, -12),
+            inventory.adjust(variant.variant_id, -12)
+        ]);
+
+        assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+        assert.ok(results.find(result => result.status === 'rejected').reason instanceof ConflictError);
+        assert.equal(await database.stockOf(variant.variant_id), 8);
+        assert.equal((await ledgerOf(variant.variant_id)).length, 2);
+    });
+
+    it('keeps the ledger append-only', async () => {
+        const variant = await database.createVariant({ stock: 20 });
+
+        await assert.rejects(
+            () => database.query('UPDATE db_nike.stock_movements SET quantity_change = 1 WHERE variant_id = $1', [variant.variant_id]),
+            /STOCK_MOVEMENTS_APPEND_ONLY/
+        );
+        await assert.rejects(
+            () => database.query('DELETE FROM db_nike.stock_movements WHERE variant_id = $1', [variant.variant_id]),
+            /STOCK_MOVEMENTS_APPEND_ONLY/
+        );
+    });
+});
+
+describe('Order stock movements', () => {
+    it('records the sale and the cancellation that puts it back', async () => {
+        const orders = new Order();
+        const variant = await database.createVariant({ stock: 20 });
+        const address = await database.createAddress(customer.id);
+        const order = await orders.createWithItems(
+            { user_id: customer.id, address_id: address.address_id, total_amount: 300000 },
+            [{ variant_id: variant.variant_id, quantity: 3, price_per_unit: 100000 }]
+        );
+
+        await orders.cancel(order.order_id, { cancelledBy: customer.id });
+
+        assert.deepEqual((await ledgerOf(variant.variant_id)).slice(1), [
+            { movement_type: 'sale', quantity_change: -3, quantity_after: 17, reference_type: 'order' },
+            { movement_type: 'cancellation', quantity_change: 3, quantity_after: 20, reference_type: 'order' }
+        ]);
+        assert.deepEqual(await movements.findDrift(variant.variant_id), []);
+    });
+});
+
+describe('StockMovement.findDrift', () => {
+    it('reports stock changed outside the ledger', async () => {
+        const variant = await database.createVariant({ stock: 20 });
+        await database.query('UPDATE db_nike.shoe_variants SET stock_quantity = 18 WHERE variant_id = $1', [variant.variant_id]);
+
+        const [drift] = await movements.findDrift(variant.variant_id);
+
+        assert.equal(drift.stock_quantity, 18);
+        assert.equal(drift.ledger_quantity, 20);
+        assert.equal(drift.drift, -2);
+    });
+});
+
+describe('VariantController stock', () => {
+    const controller = new VariantController();
+
+    before(() => {
+        // Movements of a variant without their location, which the embedded select adds
+        const listed = new StockMovement();
+        listed.findByVariant = async (variantId, { type, page = 1, limit = 20 } = {}) => {
+            const data = await database.query(
+                `SELECT * FROM db_nike.stock_movements
+                 WHERE variant_id = $1 AND ($2::VARCHAR IS NULL OR movement_type = $2)
+                 ORDER BY movement_id DESC`,
+                [variantId, type ?? null]
+            );
+            return { data, total: data.length, page, limit, totalPages: 1 };
+        };
+
+        controller.setModels({ ShoeVariant: new ShoeVariant(), StockMovement: listed });
+    });
+
+    it('records a manual stock update as an adjustment by the seller', async () => {
+        const variant = await database.createVariant({ stock: 20 });
+
+        const res = await send(controller, 'updateStock', {
+            user: seller,
+            params: { id: String(variant.variant_id) },
+            body: { quantity: 4, operation: 'add', note: 'Found in back room' }
+        });
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.OK);
+        assert.equal(res.body.data.stock_quantity, 24);
+
+        const listed = await send(controller, 'getMovements', {
+            user: seller,
+            params: { id: String(variant.variant_id) },
+            query: { type: STOCK_MOVEMENT_TYPES.ADJUSTMENT }
+        });
+
+        assert.equal(listed.statusCode, constants.HTTP_STATUS.OK);
+        assert.deepEqual(
+            listed.body.data.map(movement => [movement.quantity_change, movement.note, movement.created_by]),
+            [[4, 'Found in back room', seller.id]]
+        );
+    });
+
+    it('answers a subtraction below zero with a conflict', async () => {
+        const variant = await database.createVariant({ stock: 20 });
+
+        const res = await send(controller, 'updateStock', {
+            user: seller,
+            params: { id: String(variant.variant_id) },
+            body: { quantity: 21, operation: 'subtract' }
+        });
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.CONFLICT);
+        assert.match(res.body.error, /20 in stock/);
+        assert.equal(await database.stockOf(variant.variant_id), 20);
+    });
+
+    it('keeps customers out', async () => {
+        const variant = await database.createVariant({ stock: 20 });
+
+        const res = await send(controller, 'updateStock', {
+            user: customer,
+            params: { id: String(variant.variant_id) },
+            body: { quantity: 0 }
+        });
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.FORBIDDEN);
+        assert.equal(await database.stockOf(variant.variant_id), 20);
+    });
+});
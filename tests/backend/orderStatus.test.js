@@ -0,0 +1,113 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, useTestDatabase } from './helpers/database.js';
+import { send } from './helpers/http.js';
+import Order from '../../backend/models/Order.js';
+import OrderController from '../../backend/controllers/orderController.js';
+import { BusinessLogicError, ConflictError } from '../../backend/utils/ErrorClasses.js';
+import constants from '../../config/constants.js';
+
+const { ORDER_STATUS } = constants;
+
+let database;
+let customer;
+let seller;
+let address;
+const orders = new Order();
+
+before(async () => {
+    database = await createTestDatabase();
+    useTestDatabase(database);
+    customer = await database.createUser();
+    seller = await database.createUser({ role: 'seller' });
+    address = await database.createAddress(customer.id);
+});
+
+async function placeOrder() {
+    const variant = await database.createVariant();
+    return orders.createWithItems(
+        { user_id: customer.id, address_id: address.address_id, total_amount: 100000 },
+        [{ variant_id: variant.variant_id, quantity: 1, price_per_unit: 100000 }]
+    );
+}
+
+const historyOf = orderId => database.query(
+    'SELECT from_status, to_status, changed_by FROM db_nike.order_status_history WHERE order_id = $1 ORDER BY history_id',
+    [orderId]
+);
+
+describe('Order.updateStatus', () => {
+    it('moves the order along and records each step', async () => {
+        const order = await placeOrder();
+
+        await orders.updateStatus(order.order_id, ORDER_STATUS.PROCESSING, { changedBy: seller.id });
+        const shipped = await orders.updateStatus(order.order_id, ORDER_STATUS.SHIPPED, { changedBy: seller.id });
+
+        assert.equal(shipped.status, ORDER_STATUS.SHIPPED);
+        assert.deepEqual(await historyOf(order.order_id), [
+            { from_status: null, to_status: 'pending', changed_by: customer.id },
+            { from_status: 'pending', to_status: 'processing', changed_by: seller.id },
+            { from_status: 'processing', to_status: 'shipped', changed_by: seller.id }
+        ]);
+    });
+
+    it('refuses a transition the state machine does not allow', async () => {
+        const order = await placeOrder();
+
+        await assert.rejects(
+            () => orders.updateStatus(order.order_id, ORDER_STATUS.DELIVERED),
+            error => error instanceof BusinessLogicError && error.details.from === ORDER_STATUS.PENDING
+        );
+
+        assert.equal((await orders.findById(order.order_id)).status, ORDER_STATUS.PENDING);
+        assert.equal((await historyOf(order.order_id)).length, 1);
+    });
+
+    it('reports a conflict when the order moved since it was read', async () => {
+        const order = await placeOrder();
+        const stale = new Order();
+        stale.findById = async () => order;
+
+        await orders.cancel(order.order_id);
+
+        await assert.rejects(
+            () => stale.updateStatus(order.order_id, ORDER_STATUS.PROCESSING),
+            ConflictError
+        );
+        assert.equal((await orders.findById(order.order_id)).status, ORDER_STATUS.CANCELLED);
+    });
+});
+
+describe('OrderController.updateOrderStatus', () => {
+    const controller = new OrderController();
+
+    before(() => {
+        controller.setModels({ Order: orders });
+    });
+
+    it('lets staff move an order', async () => {
+        const order = await placeOrder();
+
+        const res = await send(controller, 'updateOrderStatus', {
+            user: seller,
+            params: { id: String(order.order_id) },
+            body: { status: ORDER_STATUS.PROCESSING, note: 'Picked' }
+        });
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.OK);
+        assert.equal(res.body.data.status, ORDER_STATUS.PROCESSING);
+    });
+
+    it('keeps customers out', async () => {
+        const order = await placeOrder();
+
+        const res = await send(controller, 'updateOrderStatus', {
+            user: customer,
+            params: { id: String(order.order_id) },
+            body: { status: ORDER_STATUS.PROCESSING }
+        });
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.FORBIDDEN);
+        assert.equal((await orders.findById(order.order_id)).status, ORDER_STATUS.PENDING);
+    });
+});
@@ -0,0 +1,85 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import paymentGateway from '../../backend/utils/payments.js';
+import MockPaymentProvider from '../../backend/utils/paymentProviders/MockPaymentProvider.js';
+import { ConfigurationError } from '../../backend/utils/ErrorClasses.js';
+import constants from '../../config/constants.js';
+
+const { PAYMENT_INTENT_STATUS, PAYMENT_STATUS } = constants;
+const nodeEnv = process.env.NODE_ENV;
+
+// A gateway built under NODE_ENV, as the server builds its own at startup
+const gatewayIn = environment => {
+    process.env.NODE_ENV = environment;
+    return new paymentGateway.constructor();
+};
+
+afterEach(() => {
+    if (nodeEnv === undefined) delete process.env.NODE_ENV;
+    else process.env.NODE_ENV = nodeEnv;
+});
+
+describe('payments.resolveProvider', () => {
+    it('uses the provider mapped to a payment method', () => {
+        const gateway = gatewayIn('production');
+        assert.equal(gateway.resolveProvider('cash').name, 'cod');
+        assert.equal(gateway.resolveProvider('bank_transfer').name, 'vietqr');
+    });
+
+    it('falls back to the mock provider in development and test', { skip: Boolean(constants.PAYMENT_CONFIG.DEFAULT_PROVIDER) }, () => {
+        assert.equal(gatewayIn('development').resolveProvider('credit_card').name, 'mock');
+        assert.equal(gatewayIn('test').resolveProvider('e_wallet').name, 'mock');
+    });
+
+    it('has no mock provider in production', () => {
+        const gateway = gatewayIn('production');
+
+        assert.equal(gateway.mockEnabled(), false);
+        assert.equal(gateway.hasProvider('mock'), false);
+    });
+
+    it('refuses methods without a real provider in production', { skip: Boolean(constants.PAYMENT_CONFIG.DEFAULT_PROVIDER) }, () => {
+        const gateway = gatewayIn('production');
+
+        for (const method of ['credit_card', 'e_wallet', 'paypal', 'stripe']) {
+            assert.throws(() => gateway.resolveProvider(method), ConfigurationError);
+        }
+    });
+});
+
+describe('payments.paymentStatusFor', () => {
+    it('maps provider results to payment statuses', () => {
+        assert.equal(paymentGateway.paymentStatusFor(PAYMENT_INTENT_STATUS.SUCCEEDED), PAYMENT_STATUS.COMPLETED);
+        assert.equal(paymentGateway.paymentStatusFor(PAYMENT_INTENT_STATUS.FAILED), PAYMENT_STATUS.FAILED);
+        assert.equal(paymentGateway.paymentStatusFor(PAYMENT_INTENT_STATUS.PROCESSING), null);
+    });
+});
+
+describe('MockPaymentProvider', () => {
+    const provider = new MockPaymentProvider({ DEFAULT_SCENARIO: 'success', CONFIRM_DELAY_MS: 60000, WEBHOOK_SECRET: '' });
+
+    it('approves, declines or delays by scenario', async () => {
+        const approved = await provider.createIntent({ options: { scenario: 'success' } });
+        assert.equal(approved.status, PAYMENT_INTENT_STATUS.REQUIRES_CAPTURE);
+        assert.equal((await provider.capture(approved.reference)).status, PAYMENT_INTENT_STATUS.SUCCEEDED);
+
+        const declined = await provider.createIntent({ options: { scenario: 'decline' } });
+        assert.deepEqual(
+            [declined.status, declined.failure_reason],
+            [PAYMENT_INTENT_STATUS.FAILED, 'card_declined']
+        );
+
+        const delayed = await provider.createIntent({ options: { scenario: 'delayed' } });
+        assert.equal(delayed.status, PAYMENT_INTENT_STATUS.PROCESSING);
+        assert.equal((await provider.retrieve(delayed.reference)).status, PAYMENT_INTENT_STATUS.PROCESSING);
+    });
+
+    it('uses the default scenario for unknown ones', async () => {
+        const intent = await provider.createIntent({ options: { scenario: 'free-money' } });
+        assert.match(intent.reference, /^mock_success_/);
+    });
+
+    it('rejects references it did not make', async () => {
+        await assert.rejects(() => provider.retrieve('stripe_pi_123'), /Unknown mock payment reference/);
+    });
+});
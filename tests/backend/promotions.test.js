@@ -0,0 +1,238 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import promotionUtils from '../../backend/utils/promotions.js';
+import constants from '../../config/constants.js';
+
+const { PROMOTION_ACTIONS, PROMOTION_REJECTIONS, CUSTOMER_SEGMENTS } = constants;
+
+const line = (variantId, pricePerUnit, quantity, extra = {}) => ({
+    variant_id: variantId,
+    shoe_id: variantId * 10,
+    category_id: 1,
+    quantity,
+    price_per_unit: pricePerUnit,
+    line_total: pricePerUnit * quantity,
+    ...extra
+});
+
+let nextId = 1;
+const promotion = fields => ({
+    promotion_id: nextId++,
+    name: 'Test promotion',
+    code: null,
+    is_active: true,
+    priority: 0,
+    action_type: PROMOTION_ACTIONS.PERCENT_OFF,
+    action_value: 10,
+    ...fields
+});
+
+describe('promotions.normalizeCode', () => {
+    it('trims and upper-cases codes', () => {
+        assert.equal(promotionUtils.normalizeCode('  summer10 '), 'SUMMER10');
+        assert.equal(promotionUtils.normalizeCode(null), '');
+    });
+});
+
+describe('promotions.segmentFor', () => {
+    it('derives the segment from orders and spend', () => {
+        assert.equal(promotionUtils.segmentFor({}), CUSTOMER_SEGMENTS.NEW);
+        assert.equal(promotionUtils.segmentFor({ order_count: 2, lifetime_spend: 500000 }), CUSTOMER_SEGMENTS.RETURNING);
+        assert.equal(
+            promotionUtils.segmentFor({ order_count: 1, lifetime_spend: constants.PROMOTION_CONFIG.VIP_MIN_SPEND }),
+            CUSTOMER_SEGMENTS.VIP
+        );
+    });
+});
+
+describe('promotions.rejectionReason', () => {
+    const lines = [line(1, 500000, 1, { category_id: 2 })];
+    const now = new Date('2026-06-15T00:00:00Z');
+
+    it('accepts an eligible promotion', () => {
+        assert.equal(promotionUtils.rejectionReason(promotion({}), lines, { now }), null);
+    });
+
+    it('checks the active flag and the dates', () => {
+        assert.equal(promotionUtils.rejectionReason(promotion({ is_active: false }), lines, { now }), PROMOTION_REJECTIONS.INACTIVE);
+        assert.equal(
+            promotionUtils.rejectionReason(promotion({ starts_at: '2026-07-01T00:00:00Z' }), lines, { now }),
+            PROMOTION_REJECTIONS.NOT_STARTED
+        );
+        assert.equal(
+            promotionUtils.rejectionReason(promotion({ ends_at: '2026-06-15T00:00:00Z' }), lines, { now }),
+            PROMOTION_REJECTIONS.EXPIRED
+        );
+    });
+
+    it('checks total and per-customer usage limits', () => {
+        const limited = promotion({ usage_limit: 100, usage_limit_per_customer: 1 });
+        const usage = total => new Map([[limited.promotion_id, total]]);
+
+        assert.equal(
+            promotionUtils.rejectionReason(limited, lines, { now, usage: usage({ total: 100, customer: 0 }) }),
+            PROMOTION_REJECTIONS.USAGE_LIMIT
+        );
+        assert.equal(
+            promotionUtils.rejectionReason(limited, lines, { now, usage: usage({ total: 5, customer: 1 }) }),
+            PROMOTION_REJECTIONS.CUSTOMER_USAGE_LIMIT
+        );
+        assert.equal(promotionUtils.rejectionReason(limited, lines, { now, usage: usage({ total: 99, customer: 0 }) }), null);
+    });
+
+    it('checks first orders and customer segments', () => {
+        assert.equal(
+            promotionUtils.rejectionReason(promotion({ first_order_only: true }), lines, { now, isFirstOrder: false }),
+            PROMOTION_REJECTIONS.FIRST_ORDER_ONLY
+        );
+        assert.equal(
+            promotionUtils.rejectionReason(promotion({ customer_segments: ['vip'] }), lines, { now, segment: 'new' }),
+            PROMOTION_REJECTIONS.CUSTOMER_SEGMENT
+        );
+    });
+
+    it('checks the minimum subtotal and the targeted items', () => {
+        assert.equal(
+            promotionUtils.rejectionReason(promotion({ min_subtotal: '500000.01' }), lines, { now }),
+            PROMOTION_REJECTIONS.MIN_SUBTOTAL
+        );
+        assert.equal(
+            promotionUtils.rejectionReason(promotion({ category_ids: [3] }), lines, { now }),
+            PROMOTION_REJECTIONS.NO_ELIGIBLE_ITEMS
+        );
+        assert.equal(
+            promotionUtils.rejectionReason(
+                promotion({ category_ids: [3], action_type: PROMOTION_ACTIONS.FREE_SHIPPING }),
+                lines,
+                { now }
+            ),
+            null
+        );
+    });
+});
+
+describe('promotions.apply', () => {
+    it('stacks automatic promotions by priority on what earlier ones left', () => {
+        const result = promotionUtils.apply([line(1, 100000, 2)], {
+            promotions: [
+                promotion({ priority: 1, action_type: PROMOTION_ACTIONS.FIXED_OFF, action_value: 50000 }),
+                promotion({ priority: 5, action_type: PROMOTION_ACTIONS.PERCENT_OFF, action_value: 10 })
+            ]
+        });
+
+        assert.deepEqual(result.promotions.map(applied => applied.discount_amount), [20000, 50000]);
+        assert.equal(result.discount_amount, 70000);
+        assert.equal(result.lines[0].discounted_line_total, 130000);
+        assert.equal(result.lines[0].discounted_unit_price, 65000);
+    });
+
+    it('applies the coupon after automatic promotions', () => {
+        const result = promotionUtils.apply([line(1, 200000, 1)], {
+            promotions: [
+                promotion({ code: 'TAKE20', action_type: PROMOTION_ACTIONS.PERCENT_OFF, action_value: 20 }),
+                promotion({ action_type: PROMOTION_ACTIONS.FIXED_OFF, action_value: 100000 })
+            ],
+            couponCode: 'take20'
+        });
+
+        assert.deepEqual(result.coupon, { code: 'TAKE20', applied: true, reason: null });
+        assert.equal(result.discount_amount, 120000);
+    });
+
+    it('reports why a coupon was not applied', () => {
+        const lines = [line(1, 200000, 1)];
+
+        assert.equal(promotionUtils.apply(lines, { promotions: [], couponCode: 'NOPE' }).coupon.reason, PROMOTION_REJECTIONS.NOT_FOUND);
+        assert.equal(
+            promotionUtils.apply(lines, {
+                promotions: [promotion({ code: 'BIG', min_subtotal: 1000000 })],
+                couponCode: 'BIG'
+            }).coupon.reason,
+            PROMOTION_REJECTIONS.MIN_SUBTOTAL
+        );
+        assert.equal(
+            promotionUtils.apply(lines, {
+                promotions: [
+                    promotion({ priority: 1, action_type: PROMOTION_ACTIONS.PERCENT_OFF, action_value: 100 }),
+                    promotion({ code: 'MORE', action_type: PROMOTION_ACTIONS.FIXED_OFF, action_value: 10000 })
+                ],
+                couponCode: 'MORE'
+            }).coupon.reason,
+            PROMOTION_REJECTIONS.NO_ELIGIBLE_ITEMS
+        );
+    });
+
+    it('caps discounts at what is left of the lines', () => {
+        const result = promotionUtils.apply([line(1, 50000, 1)], {
+            promotions: [
+                promotion({ priority: 2, action_type: PROMOTION_ACTIONS.PERCENT_OFF, action_value: 150 }),
+                promotion({ priority: 1, action_type: PROMOTION_ACTIONS.FIXED_OFF, action_value: 999999 })
+            ]
+        });
+
+        assert.equal(result.discount_amount, 50000);
+        assert.equal(result.lines[0].discounted_line_total, 0);
+        assert.equal(result.promotions.length, 1);
+    });
+
+    it('spreads a fixed discount over the eligible lines by value', () => {
+        const result = promotionUtils.apply([line(1, 100000, 1), line(2, 200000, 1), line(3, 300000, 1, { category_id: 9 })], {
+            promotions: [promotion({ action_type: PROMOTION_ACTIONS.FIXED_OFF, action_value: 100000, category_ids: [1] })]
+        });
+
+        assert.deepEqual(result.promotions[0].allocations, [
+            { variant_id: 1, amount: 33333.33 },
+            { variant_id: 2, amount: 66666.67 }
+        ]);
+        assert.equal(result.lines[2].discount_amount, 0);
+    });
+
+    it('discounts shipping once with free shipping', () => {
+        const result = promotionUtils.apply([line(1, 100000, 1)], {
+            promotions: [
+                promotion({ action_type: PROMOTION_ACTIONS.FREE_SHIPPING, action_value: 0 }),
+                promotion({ action_type: PROMOTION_ACTIONS.FREE_SHIPPING, action_value: 0 })
+            ],
+            shippingCost: 30000
+        });
+
+        assert.equal(result.shipping_discount, 30000);
+        assert.deepEqual(result.promotions.map(applied => applied.shipping_discount), [30000, 0]);
+        assert.equal(result.discount_amount, 0);
+    });
+});
+
+describe('promotions.buyXGetY', () => {
+    it('gives the cheapest unit of each group away', () => {
+        const result = promotionUtils.apply([line(1, 300000, 2), line(2, 100000, 2)], {
+            promotions: [promotion({ action_type: PROMOTION_ACTIONS.BUY_X_GET_Y, buy_quantity: 1, get_quantity: 1, action_value: 100 })]
+        });
+
+        // Units by price: 300k, 300k | 100k, 100k -> one 300k and one 100k free
+        assert.deepEqual(result.promotions[0].allocations, [
+            { variant_id: 1, amount: 300000 },
+            { variant_id: 2, amount: 100000 }
+        ]);
+    });
+
+    it('leaves incomplete groups out', () => {
+        const result = promotionUtils.apply([line(1, 100000, 2)], {
+            promotions: [promotion({ action_type: PROMOTION_ACTIONS.BUY_X_GET_Y, buy_quantity: 2, get_quantity: 1, action_value: 50 })]
+        });
+
+        assert.equal(result.discount_amount, 0);
+        assert.equal(result.promotions.length, 0);
+    });
+});
+
+describe('promotions.spread', () => {
+    it('gives rounding leftovers to the last share', () => {
+        const allocations = promotionUtils.spread(100, [
+            { variant_id: 1, weight: 1 },
+            { variant_id: 2, weight: 1 },
+            { variant_id: 3, weight: 1 }
+        ]);
+
+        assert.deepEqual(allocations.map(allocation => allocation.amount), [33.33, 33.33, 33.34]);
+    });
+});
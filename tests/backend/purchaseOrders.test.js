@@ -0,0 +1,178 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, useTestDatabase } from './helpers/database.js';
+import { send } from './helpers/http.js';
+import PurchaseOrder from '../../backend/models/PurchaseOrder.js';
+import ShoeVariant from '../../backend/models/ShoeVariant.js';
+import Supplier from '../../backend/models/Supplier.js';
+import PurchaseOrderController from '../../backend/controllers/PurchaseOrderController.js';
+import constants from '../../config/constants.js';
+
+const { PURCHASE_ORDER_STATUS } = constants;
+
+let database;
+let customer;
+let seller;
+let supplier;
+const purchaseOrders = new PurchaseOrder();
+const controller = new PurchaseOrderController();
+
+before(async () => {
+    database = await createTestDatabase();
+    useTestDatabase(database);
+    customer = await database.createUser();
+    seller = await database.createUser({ role: 'seller' });
+
+    const suppliers = new Supplier();
+    supplier = await suppliers.createSupplier({ supplier_name: 'Saigon Footwear' });
+
+    // A purchase order with its lines and totals, without the relations the embedded select adds
+    purchaseOrders.findWithLines = async poId => {
+        const purchaseOrder = await database.one('SELECT * FROM db_nike.purchase_orders WHERE po_id = $1', [poId]);
+        const lines = await database.query('SELECT * FROM db_nike.purchase_order_lines WHERE po_id = $1 ORDER BY po_line_id', [poId]);
+        return { ...purchaseOrder, purchase_order_lines: lines, ...purchaseOrders.summarize(lines) };
+    };
+    const variants = new ShoeVariant();
+    variants.findByIds = ids => database.variantsByIds(ids);
+
+    controller.setModels({ PurchaseOrder: purchaseOrders, Supplier: suppliers, ShoeVariant: variants });
+});
+
+const asSeller = (id, body = {}) => ({ user: seller, params: { id: String(id) }, body });
+
+// A purchase order for the variants ({ variant, quantity, cost }), approved and sent
+async function sentPurchaseOrder(lines) {
+    const created = await send(controller, 'createPurchaseOrder', {
+        user: seller,
+        body: {
+            supplier_id: supplier.supplier_id,
+            expected_date: '2030-01-15',
+            items: lines.map(({ variant, quantity, cost }) => ({ variant_id: variant.variant_id, quantity_ordered: quantity, expected_cost: cost }))
+        }
+    });
+    assert.equal(created.statusCode, constants.HTTP_STATUS.CREATED);
+
+    const poId = created.body.data.po_id;
+    await send(controller, 'approvePurchaseOrder', asSeller(poId));
+    await send(controller, 'sendPurchaseOrder', asSeller(poId));
+    return purchaseOrders.findWithLines(poId);
+}
+
+const incomingOf = async variant => (await purchaseOrders.findIncoming([variant.variant_id]))[0]?.incoming ?? 0;
+
+describe('PurchaseOrderController receipts', () => {
+    it('receives a purchase order in parts as imports', async () => {
+        const shoes = await database.createVariant({ stock: 0 });
+        const socks = await database.createVariant({ stock: 0 });
+        const purchaseOrder = await sentPurchaseOrder([
+            { variant: shoes, quantity: 10, cost: 50000 },
+            { variant: socks, quantity: 4, cost: 20000 }
+        ]);
+        assert.equal(purchaseOrder.expected_total, 580000);
+        assert.equal(await incomingOf(shoes), 10);
+
+        const partial = await send(controller, 'receivePurchaseOrder', asSeller(purchaseOrder.po_id, {
+            items: [{ variant_id: shoes.variant_id, quantity: 6, import_price: 52000 }]
+        }));
+
+        assert.equal(partial.statusCode, constants.HTTP_STATUS.CREATED);
+        assert.equal(partial.body.data.status, PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED);
+        assert.equal(partial.body.data.units_open, 8);
+        assert.equal(await database.stockOf(shoes.variant_id), 6);
+        assert.equal(await incomingOf(shoes), 4);
+
+        const rest = await send(controller, 'receivePurchaseOrder', asSeller(purchaseOrder.po_id, {
+            items: purchaseOrder.purchase_order_lines.map(line => ({ po_line_id: line.po_line_id, quantity: line.quantity_ordered - (line.variant_id === shoes.variant_id ? 6 : 0) }))
+        }));
+
+        assert.equal(rest.body.data.status, PURCHASE_ORDER_STATUS.RECEIVED);
+        assert.equal(await database.stockOf(shoes.variant_id), 10);
+        assert.equal(await database.stockOf(socks.variant_id), 4);
+        assert.equal(await incomingOf(shoes), 0);
+        assert.deepEqual(
+            await database.query(
+                'SELECT variant_id, quantity_imported, import_price::INTEGER FROM db_nike.imports WHERE supplier_id = $1 AND variant_id = $2 ORDER BY import_id',
+                [supplier.supplier_id, shoes.variant_id]
+            ),
+            [
+                { variant_id: shoes.variant_id, quantity_imported: 6, import_price: 52000 },
+                { variant_id: shoes.variant_id, quantity_imported: 4, import_price: 50000 }
+            ]
+        );
+    });
+
+    it('refuses more than is still open on a line', async () => {
+        const variant = await database.createVariant({ stock: 0 });
+        const purchaseOrder = await sentPurchaseOrder([{ variant, quantity: 5, cost: 50000 }]);
+        const [line] = purchaseOrder.purchase_order_lines;
+
+        const res = await send(controller, 'receivePurchaseOrder', asSeller(purchaseOrder.po_id, {
+            items: [{ po_line_id: line.po_line_id, quantity: 6 }]
+        }));
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.UNPROCESSABLE_ENTITY);
+        assert.deepEqual(res.body.details.details, [{ po_line_id: line.po_line_id, remaining: 5 }]);
+        assert.equal(await database.stockOf(variant.variant_id), 0);
+    });
+
+    it('only receives purchase orders that were sent', async () => {
+        const variant = await database.createVariant({ stock: 0 });
+        const draft = await purchaseOrders.save(null, { supplier_id: supplier.supplier_id, created_by: seller.id }, [
+            { variant_id: variant.variant_id, quantity_ordered: 5, expected_cost: 50000 }
+        ]);
+
+        const res = await send(controller, 'receivePurchaseOrder', asSeller(draft.po_id, {
+            items: [{ variant_id: variant.variant_id, quantity: 1 }]
+        }));
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.CONFLICT);
+        assert.equal(await incomingOf(variant), 0);
+    });
+});
+
+describe('PurchaseOrderController status', () => {
+    it('stops counting the open units as incoming once cancelled', async () => {
+        const variant = await database.createVariant({ stock: 0 });
+        const purchaseOrder = await sentPurchaseOrder([{ variant, quantity: 5, cost: 50000 }]);
+        await send(controller, 'receivePurchaseOrder', asSeller(purchaseOrder.po_id, {
+            items: [{ variant_id: variant.variant_id, quantity: 2 }]
+        }));
+
+        const res = await send(controller, 'cancelPurchaseOrder', asSeller(purchaseOrder.po_id));
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.OK);
+        assert.equal(res.body.data.status, PURCHASE_ORDER_STATUS.CANCELLED);
+        assert.equal(await incomingOf(variant), 0);
+        assert.equal(await database.stockOf(variant.variant_id), 2);
+    });
+
+    it('refuses transitions the status machine does not allow', async () => {
+        const variant = await database.createVariant({ stock: 0 });
+        const draft = await purchaseOrders.save(null, { supplier_id: supplier.supplier_id, created_by: seller.id }, [
+            { variant_id: variant.variant_id, quantity_ordered: 5, expected_cost: 50000 }
+        ]);
+
+        const res = await send(controller, 'sendPurchaseOrder', asSeller(draft.po_id));
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.UNPROCESSABLE_ENTITY);
+        assert.equal((await purchaseOrders.findById(draft.po_id)).status, PURCHASE_ORDER_STATUS.DRAFT);
+    });
+
+    it('refuses a variant listed twice', async () => {
+        const variant = await database.createVariant({ stock: 0 });
+        const line = { variant_id: variant.variant_id, quantity_ordered: 1, expected_cost: 1000 };
+
+        const res = await send(controller, 'createPurchaseOrder', {
+            user: seller,
+            body: { supplier_id: supplier.supplier_id, items: [line, line] }
+        });
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.BAD_REQUEST);
+    });
+
+    it('keeps customers out', async () => {
+        const res = await send(controller, 'getPurchaseOrders', { user: customer });
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.FORBIDDEN);
+    });
+});
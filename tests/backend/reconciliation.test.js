@@ -0,0 +1,136 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import reconciliation from '../../backend/utils/reconciliation.js';
+import { ValidationError } from '../../backend/utils/ErrorClasses.js';
+import constants from '../../config/constants.js';
+
+const { BANK_STATEMENT_LINE_STATUS, RECONCILIATION_REVIEW_REASONS, PAYMENT_STATUS } = constants;
+
+describe('reconciliation.normalizeHeader', () => {
+    it('drops accents, case and punctuation', () => {
+        assert.equal(reconciliation.normalizeHeader('Ngày giao dịch'), 'ngay_giao_dich');
+        assert.equal(reconciliation.normalizeHeader(' Số tiền ghi có (VND) '), 'so_tien_ghi_co_vnd');
+        assert.equal(reconciliation.normalizeHeader('Đơn vị'), 'don_vi');
+        assert.equal(reconciliation.normalizeHeader(null), '');
+    });
+});
+
+describe('reconciliation.parseAmount', () => {
+    it('reads grouping and decimal separators either way round', () => {
+        assert.equal(reconciliation.parseAmount('1.500.000'), 1500000);
+        assert.equal(reconciliation.parseAmount('1,500,000.00'), 1500000);
+        assert.equal(reconciliation.parseAmount('1.500.000,5'), 1500000.5);
+        assert.equal(reconciliation.parseAmount('+1 500 000 VND'), 1500000);
+    });
+
+    it('reads minus signs and brackets as negative', () => {
+        assert.equal(reconciliation.parseAmount('-250,000'), -250000);
+        assert.equal(reconciliation.parseAmount('(250,000)'), -250000);
+    });
+
+    it('is NaN without digits', () => {
+        assert.ok(Number.isNaN(reconciliation.parseAmount('VND')));
+    });
+});
+
+describe('reconciliation.parseDate', () => {
+    it('reads day-first and ISO dates', () => {
+        assert.equal(reconciliation.parseDate('05/03/2026 14:22:01'), '2026-03-05');
+        assert.equal(reconciliation.parseDate('2026-3-5T10:00:00'), '2026-03-05');
+    });
+
+    it('is null for dates that do not exist', () => {
+        assert.equal(reconciliation.parseDate('31/02/2026'), null);
+        assert.equal(reconciliation.parseDate('yesterday'), null);
+        assert.equal(reconciliation.parseDate(''), null);
+    });
+});
+
+describe('reconciliation.parseStatement', () => {
+    it('keeps credits from a Vietnamese bank export', () => {
+        const { lines, skipped } = reconciliation.parseStatement([
+            '\uFEFFNgày giao dịch;Số tiền ghi nợ;Số tiền ghi có;Nội dung;Số tham chiếu',
+            '05/03/2026;;1.500.000;SNV000123KTQZ chuyen tien;FT26064001',
+            '05/03/2026;200.000;;Phi dich vu;FT26064002',
+            '06/03/2026;;"250,000";"Thanh toan; don SNV000124ABCD";'
+        ].join('\r\n'));
+
+        assert.equal(skipped, 1);
+        assert.deepEqual(lines, [
+            {
+                line_number: 2,
+                transaction_date: '2026-03-05',
+                amount: 1500000,
+                description: 'SNV000123KTQZ chuyen tien',
+                bank_reference: 'FT26064001'
+            },
+            {
+                line_number: 4,
+                transaction_date: '2026-03-06',
+                amount: 250000,
+                description: 'Thanh toan; don SNV000124ABCD',
+                bank_reference: null
+            }
+        ]);
+    });
+
+    it('uses a signed amount column when there is no credit column', () => {
+        const { lines, skipped } = reconciliation.parseStatement('Date,Amount,Memo\n2026-03-05,-90000,Card\n2026-03-05,90000,SNV000125WXYZ\n');
+
+        assert.equal(skipped, 1);
+        assert.deepEqual(lines.map(line => [line.amount, line.bank_reference]), [[90000, null]]);
+    });
+
+    it('needs an amount and a description column', () => {
+        assert.throws(() => reconciliation.parseStatement('Date,Memo\n2026-03-05,SNV000123KTQZ\n'), ValidationError);
+        assert.throws(() => reconciliation.parseStatement(''), ValidationError);
+    });
+
+    it('reports unreadable amounts by line', () => {
+        assert.throws(
+            () => reconciliation.parseStatement('Amount,Memo\n100000,ok\nN/A,bad\n'),
+            error => error instanceof ValidationError && error.errors?.[0]?.field === 'line 3'
+        );
+    });
+});
+
+describe('reconciliation.fingerprint', () => {
+    const line = { transaction_date: '2026-03-05', amount: 1500000, description: 'SNV000123KTQZ  chuyen tien', bank_reference: null };
+
+    it('uses the bank reference when there is one', () => {
+        assert.equal(
+            reconciliation.fingerprint({ ...line, bank_reference: 'ft26064001 ' }),
+            reconciliation.fingerprint({ ...line, amount: 1, bank_reference: 'FT26064001' })
+        );
+    });
+
+    it('otherwise uses date, amount and memo, ignoring case and spacing', () => {
+        assert.equal(reconciliation.fingerprint(line), reconciliation.fingerprint({ ...line, description: 'snv000123ktqz chuyen tien ' }));
+        assert.notEqual(reconciliation.fingerprint(line), reconciliation.fingerprint({ ...line, amount: 1500001 }));
+    });
+});
+
+describe('reconciliation.classify', () => {
+    const payment = { status: PAYMENT_STATUS.PENDING, payment_amount: '1500000.00' };
+    const line = amount => ({ amount });
+
+    it('matches the exact amount of a pending payment', () => {
+        assert.deepEqual(reconciliation.classify(line(1500000), payment), {
+            status: BANK_STATEMENT_LINE_STATUS.MATCHED,
+            review_reason: null
+        });
+    });
+
+    it('sends everything else to review with the reason', () => {
+        const reasonFor = (...args) => reconciliation.classify(...args).review_reason;
+
+        assert.equal(reasonFor(line(1500000), null), RECONCILIATION_REVIEW_REASONS.UNMATCHED);
+        assert.equal(reasonFor(line(1000000), payment), RECONCILIATION_REVIEW_REASONS.PARTIAL_AMOUNT);
+        assert.equal(reasonFor(line(1600000), payment), RECONCILIATION_REVIEW_REASONS.OVERPAID);
+        assert.equal(
+            reasonFor(line(1500000), { ...payment, status: PAYMENT_STATUS.COMPLETED }),
+            RECONCILIATION_REVIEW_REASONS.PAYMENT_NOT_PENDING
+        );
+        assert.equal(reasonFor(line(1500000), payment, true), RECONCILIATION_REVIEW_REASONS.PAYMENT_NOT_PENDING);
+    });
+});
@@ -0,0 +1,156 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, useTestDatabase } from './helpers/database.js';
+import { send } from './helpers/http.js';
+import Order from '../../backend/models/Order.js';
+import Payment from '../../backend/models/Payment.js';
+import Refund from '../../backend/models/Refund.js';
+import PaymentController from '../../backend/controllers/PaymentController.js';
+import { BusinessLogicError } from '../../backend/utils/ErrorClasses.js';
+import constants from '../../config/constants.js';
+
+const { PAYMENT_STATUS, REFUND_STATUS } = constants;
+
+let database;
+let customer;
+let seller;
+let address;
+const orders = new Order();
+const refunds = new Refund();
+
+before(async () => {
+    database = await createTestDatabase();
+    useTestDatabase(database);
+    customer = await database.createUser();
+    seller = await database.createUser({ role: 'seller' });
+    address = await database.createAddress(customer.id);
+    refunds.findWithItems = refundId => database.refundWithItems(refundId);
+});
+
+// An order of two lines (2 x 100000 and 1 x 50000) paid in full
+async function paidOrder() {
+    const [shoes, socks] = [await database.createVariant(), await database.createVariant({ price: 50000 })];
+    const order = await orders.createWithItems(
+        { user_id: customer.id, address_id: address.address_id, total_amount: 250000 },
+        [
+            { variant_id: shoes.variant_id, quantity: 2, price_per_unit: 100000 },
+            { variant_id: socks.variant_id, quantity: 1, price_per_unit: 50000 }
+        ]
+    );
+    const payment = await database.createPayment(order.order_id, { amount: 250000 });
+
+    return { ...await database.orderWithItems(order.order_id), payment };
+}
+
+const paymentOf = paymentId => database.one('SELECT * FROM db_nike.payments WHERE payment_id = $1', [paymentId]);
+
+describe('Refund.issue', () => {
+    it('refunds order lines, then whatever is left of the payment', async () => {
+        const { order_items: [shoes], payment } = await paidOrder();
+
+        const partial = await refunds.issue(payment, { items: [{ order_item_id: shoes.order_item_id, quantity: 1 }] });
+
+        assert.equal(partial.status, REFUND_STATUS.SUCCEEDED);
+        assert.equal(Number(partial.amount), 100000);
+        assert.deepEqual(partial.refund_items.map(item => [item.order_item_id, item.quantity]), [[shoes.order_item_id, 1]]);
+        assert.equal((await paymentOf(payment.payment_id)).status, PAYMENT_STATUS.PARTIALLY_REFUNDED);
+
+        const rest = await refunds.issue(await paymentOf(payment.payment_id), { full: true });
+
+        assert.equal(Number(rest.amount), 150000);
+        assert.equal((await paymentOf(payment.payment_id)).status, PAYMENT_STATUS.REFUNDED);
+        await assert.rejects(
+            () => refunds.issue(payment, { full: true }),
+            error => error instanceof BusinessLogicError && error.message === constants.ERROR_MESSAGES.REFUND.NOT_REFUNDABLE
+        );
+    });
+
+    it('refuses more units than are left on a line', async () => {
+        const { order_items: [shoes], payment } = await paidOrder();
+        const item = quantity => ({ items: [{ order_item_id: shoes.order_item_id, quantity }] });
+
+        await refunds.issue(payment, item(1));
+
+        await assert.rejects(
+            () => refunds.issue(payment, item(2)),
+            error => error instanceof BusinessLogicError
+                && error.message === constants.ERROR_MESSAGES.REFUND.ITEMS_EXCEEDED
+                && error.details[0].order_item_id === shoes.order_item_id
+        );
+    });
+
+    it('refuses lines of another order', async () => {
+        const { payment } = await paidOrder();
+        const { order_items: [foreign] } = await paidOrder();
+
+        await assert.rejects(
+            () => refunds.issue(payment, { items: [{ order_item_id: foreign.order_item_id, quantity: 1 }] }),
+            error => error instanceof BusinessLogicError && error.message === constants.ERROR_MESSAGES.REFUND.ITEMS_EXCEEDED
+        );
+    });
+
+    it('refuses more than the captured amount', async () => {
+        const { payment } = await paidOrder();
+
+        await assert.rejects(
+            () => refunds.issue(payment, { adjustmentAmount: 250001 }),
+            error => error instanceof BusinessLogicError && error.message === constants.ERROR_MESSAGES.REFUND.EXCEEDS_PAYMENT
+        );
+        assert.equal(Number((await paymentOf(payment.payment_id)).refunded_amount), 0);
+    });
+});
+
+describe('Refund.revenueReport', () => {
+    it('nets the refunds of a day against its captured payments', async () => {
+        const { payment } = await paidOrder();
+        const refund = await refunds.issue(payment, { adjustmentAmount: 50000 });
+        await database.query("UPDATE db_nike.payments SET completed_at = '2024-03-01T10:00:00Z' WHERE payment_id = $1", [payment.payment_id]);
+        await database.query("UPDATE db_nike.refunds SET completed_at = '2024-03-02T10:00:00Z' WHERE refund_id = $1", [refund.refund_id]);
+
+        const days = (await refunds.revenueReport('2024-03-01', '2024-03-02', 'UTC'))
+            .map(day => [Number(day.captured_amount), Number(day.refunded_total), Number(day.net_revenue)]);
+
+        assert.deepEqual(days, [[250000, 0, 250000], [0, 50000, -50000]]);
+    });
+});
+
+describe('PaymentController.createRefund', () => {
+    const controller = new PaymentController();
+
+    before(() => {
+        controller.setModels({ Order: orders, Payment: new Payment(), Refund: refunds });
+    });
+
+    const refundRequest = (payment, body) => ({ user: seller, params: { id: String(payment.payment_id) }, body });
+
+    it('refunds the given lines', async () => {
+        const { order_items: [, socks], payment } = await paidOrder();
+
+        const res = await send(controller, 'createRefund', refundRequest(payment, {
+            items: [{ order_item_id: socks.order_item_id, quantity: 1 }],
+            reason: 'Wrong colour'
+        }));
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.CREATED);
+        assert.equal(Number(res.body.data.refund.amount), 50000);
+        assert.equal(res.body.data.payment.status, PAYMENT_STATUS.PARTIALLY_REFUNDED);
+    });
+
+    it('rejects an order line listed twice', async () => {
+        const { order_items: [shoes], payment } = await paidOrder();
+        const line = { order_item_id: shoes.order_item_id, quantity: 1 };
+
+        const res = await send(controller, 'createRefund', refundRequest(payment, { items: [line, line] }));
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.BAD_REQUEST);
+        assert.equal(Number((await paymentOf(payment.payment_id)).refunded_amount), 0);
+    });
+
+    it('keeps customers out', async () => {
+        const { payment } = await paidOrder();
+
+        const res = await send(controller, 'createRefund', { ...refundRequest(payment, { adjustment_amount: 1000 }), user: customer });
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.FORBIDDEN);
+    });
+});
@@ -0,0 +1,162 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, useTestDatabase } from './helpers/database.js';
+import { send } from './helpers/http.js';
+import Order from '../../backend/models/Order.js';
+import PurchaseOrder from '../../backend/models/PurchaseOrder.js';
+import ShoeVariant from '../../backend/models/ShoeVariant.js';
+import StockLocation from '../../backend/models/StockLocation.js';
+import Supplier from '../../backend/models/Supplier.js';
+import ReplenishmentController from '../../backend/controllers/ReplenishmentController.js';
+import replenishment from '../../backend/utils/replenishment.js';
+import constants from '../../config/constants.js';
+
+describe('replenishment.suggest', () => {
+    const row = fields => ({
+        variant_id: 1,
+        on_hand: 5,
+        incoming: 3,
+        units_sold: { 30: 30 },
+        days_listed: 90,
+        lead_time_days: 10,
+        last_cost: 40000,
+        ...fields
+    });
+
+    it('orders up to the lead time plus the cover once stock and incoming units reach the reorder point', () => {
+        const suggestion = replenishment.suggest(row(), { windowDays: 30, targetCoverDays: 30 });
+
+        assert.equal(suggestion.daily_velocity, 1);
+        assert.equal(suggestion.reorder_point, 10);
+        assert.equal(suggestion.target_stock, 40);
+        assert.equal(suggestion.needs_reorder, true);
+        assert.equal(suggestion.suggested_quantity, 32);
+        assert.equal(suggestion.suggested_value, 32 * 40000);
+        assert.equal(suggestion.days_of_cover, 5);
+    });
+
+    it('averages the sales of a variant listed for part of the window over its days listed', () => {
+        const suggestion = replenishment.suggest(row({ units_sold: { 30: 14 }, days_listed: 7 }), { windowDays: 30 });
+
+        assert.equal(suggestion.daily_velocity, 2);
+    });
+
+    it('never suggests variants that did not sell, and falls back to the default lead time', () => {
+        const suggestion = replenishment.suggest(row({ on_hand: 0, incoming: 0, units_sold: {}, lead_time_days: null }));
+
+        assert.equal(suggestion.needs_reorder, false);
+        assert.equal(suggestion.suggested_quantity, 0);
+        assert.equal(suggestion.days_of_cover, null);
+        assert.equal(suggestion.lead_time_days, constants.REPLENISHMENT_CONFIG.DEFAULT_LEAD_TIME_DAYS);
+    });
+});
+
+describe('ReplenishmentController', () => {
+    let database;
+    let customer;
+    let seller;
+    let supplier;
+    const orders = new Order();
+    const purchaseOrders = new PurchaseOrder();
+    const controller = new ReplenishmentController();
+
+    before(async () => {
+        database = await createTestDatabase();
+        useTestDatabase(database);
+        customer = await database.createUser();
+        seller = await database.createUser({ role: 'seller' });
+        supplier = await new Supplier().createSupplier({ supplier_name: 'Saigon Footwear', lead_time_days: 10 });
+
+        // A purchase order with its lines and totals, without the relations the embedded select adds
+        purchaseOrders.findWithLines = async poId => {
+            const purchaseOrder = await database.one('SELECT * FROM db_nike.purchase_orders WHERE po_id = $1', [poId]);
+            const lines = await database.query('SELECT * FROM db_nike.purchase_order_lines WHERE po_id = $1', [poId]);
+            return { ...purchaseOrder, purchase_order_lines: lines, ...purchaseOrders.summarize(lines) };
+        };
+
+        controller.setModels({ ShoeVariant: new ShoeVariant(), PurchaseOrder: purchaseOrders, StockLocation: new StockLocation() });
+    });
+
+    // A variant listed 60 days ago with stock units, imported from the supplier when given, and sold units sold
+    async function soldVariant({ stock, sold, importedFrom = null }) {
+        const variant = await database.createVariant({ stock: importedFrom ? 0 : stock + sold });
+        if (importedFrom) {
+            await database.query(
+                `INSERT INTO db_nike.imports (supplier_id, user_id, variant_id, quantity_imported, import_price)
+                 VALUES ($1, $2, $3, $4, 40000)`,
+                [importedFrom.supplier_id, seller.id, variant.variant_id, stock + sold]
+            );
+        }
+        await database.query(
+            "UPDATE db_nike.shoe_variants SET created_at = NOW() - INTERVAL '60 days' WHERE variant_id = $1",
+            [variant.variant_id]
+        );
+
+        if (sold > 0) {
+            const address = await database.createAddress(customer.id);
+            await orders.createWithItems(
+                { user_id: customer.id, address_id: address.address_id, total_amount: sold * 100000 },
+                [{ variant_id: variant.variant_id, quantity: sold, price_per_unit: 100000 }]
+            );
+        }
+        return variant;
+    }
+
+    it('suggests reordering from the supplier a variant was last imported from', async () => {
+        const variant = await soldVariant({ stock: 3, sold: 27, importedFrom: supplier });
+
+        const res = await send(controller, 'getSuggestions', {
+            user: seller,
+            query: { shoe_id: String(variant.shoe_id) }
+        });
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.OK);
+        const [suggestion] = res.body.data.suggestions;
+        assert.deepEqual(
+            [suggestion.on_hand, suggestion.daily_velocity, suggestion.supplier_id, suggestion.lead_time_days, suggestion.suggested_quantity],
+            [3, 0.9, supplier.supplier_id, 10, 33]
+        );
+        assert.equal(res.body.data.summary.value, 33 * 40000);
+    });
+
+    it('drafts a purchase order per supplier at the last import price', async () => {
+        const variant = await soldVariant({ stock: 3, sold: 27, importedFrom: supplier });
+
+        const res = await send(controller, 'createPurchaseOrders', {
+            user: seller,
+            body: { items: [{ variant_id: variant.variant_id }] }
+        });
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.CREATED);
+        const [purchaseOrder] = res.body.data;
+        assert.equal(purchaseOrder.status, constants.PURCHASE_ORDER_STATUS.DRAFT);
+        assert.equal(purchaseOrder.supplier_id, supplier.supplier_id);
+        assert.deepEqual(
+            purchaseOrder.purchase_order_lines.map(line => [line.variant_id, line.quantity_ordered, Number(line.expected_cost)]),
+            [[variant.variant_id, 33, 40000]]
+        );
+    });
+
+    it('refuses to order variants without a supplier or without sales', async () => {
+        const unsupplied = await soldVariant({ stock: 1, sold: 20 });
+        const unsold = await soldVariant({ stock: 5, sold: 0, importedFrom: supplier });
+
+        const order = variant => send(controller, 'createPurchaseOrders', {
+            user: seller,
+            body: { items: [{ variant_id: variant.variant_id }] }
+        });
+        const withoutSupplier = await order(unsupplied);
+        const withoutSales = await order(unsold);
+
+        assert.equal(withoutSupplier.statusCode, constants.HTTP_STATUS.UNPROCESSABLE_ENTITY);
+        assert.equal(withoutSupplier.body.error, constants.ERROR_MESSAGES.REPLENISHMENT.NO_SUPPLIER);
+        assert.equal(withoutSales.statusCode, constants.HTTP_STATUS.UNPROCESSABLE_ENTITY);
+        assert.equal(withoutSales.body.error, constants.ERROR_MESSAGES.REPLENISHMENT.NOTHING_TO_ORDER);
+    });
+
+    it('keeps customers out', async () => {
+        const res = await send(controller, 'getSuggestions', { user: customer });
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.FORBIDDEN);
+    });
+});
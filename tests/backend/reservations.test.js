@@ -0,0 +1,151 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, useTestDatabase } from './helpers/database.js';
+import { send } from './helpers/http.js';
+import StockReservation from '../../backend/models/StockReservation.js';
+import Cart from '../../backend/models/Cart.js';
+import ReservationController from '../../backend/controllers/ReservationController.js';
+import { BusinessLogicError } from '../../backend/utils/ErrorClasses.js';
+import constants from '../../config/constants.js';
+
+let database;
+let customer;
+const reservations = new StockReservation();
+
+before(async () => {
+    database = await createTestDatabase();
+    useTestDatabase(database);
+    customer = await database.createUser();
+});
+
+const activeHolds = variantId => database.query(
+    "SELECT holder_key, quantity FROM db_nike.stock_reservations WHERE variant_id = $1 AND status = 'active' ORDER BY holder_key",
+    [variantId]
+);
+
+describe('StockReservation.reserve', () => {
+    it('holds units without touching stock_quantity', async () => {
+        const variant = await database.createVariant({ stock: 5 });
+
+        const hold = await reservations.reserve(variant.variant_id, 'guest:first-cart-token-0001', 3);
+
+        assert.equal(hold.quantity, 3);
+        assert.equal(await database.stockOf(variant.variant_id), 5);
+    });
+
+    it('does not let a second cart take units another cart holds', async () => {
+        const variant = await database.createVariant({ stock: 5 });
+        await reservations.reserve(variant.variant_id, 'guest:first-cart-token-0001', 4);
+
+        await assert.rejects(
+            () => reservations.reserve(variant.variant_id, 'guest:other-cart-token-0002', 2),
+            error => {
+                assert.ok(error instanceof BusinessLogicError);
+                assert.equal(error.details[0].available_quantity, 1);
+                assert.equal(error.details[0].shortfall, 1);
+                return true;
+            }
+        );
+
+        await reservations.reserve(variant.variant_id, 'guest:other-cart-token-0002', 1);
+    });
+
+    it("resizes and releases a cart's own hold", async () => {
+        const variant = await database.createVariant({ stock: 5 });
+        const holder = 'guest:resized-cart-token-01';
+
+        await reservations.reserve(variant.variant_id, holder, 2);
+        await reservations.reserve(variant.variant_id, holder, 5);
+        assert.deepEqual(await activeHolds(variant.variant_id), [{ holder_key: holder, quantity: 5 }]);
+
+        await reservations.release(variant.variant_id, holder);
+        assert.deepEqual(await activeHolds(variant.variant_id), []);
+    });
+
+    it('ignores expired holds and sweeps them', async () => {
+        const variant = await database.createVariant({ stock: 2 });
+        await reservations.reserve(variant.variant_id, 'guest:expired-cart-token-01', 2);
+        await database.query(
+            "UPDATE db_nike.stock_reservations SET expires_at = NOW() - INTERVAL '1 minute' WHERE variant_id = $1",
+            [variant.variant_id]
+        );
+
+        await reservations.reserve(variant.variant_id, 'guest:fresh-cart-token-0001', 2);
+
+        assert.ok(await reservations.releaseExpired() >= 1);
+        assert.deepEqual(await activeHolds(variant.variant_id), [{ holder_key: 'guest:fresh-cart-token-0001', quantity: 2 }]);
+    });
+});
+
+describe('ReservationController.reserveVariant', () => {
+    const controller = new ReservationController();
+
+    before(() => {
+        controller.setModels({ StockReservation: reservations, Cart: new Cart() });
+    });
+
+    it('holds stock for the signed-in customer', async () => {
+        const variant = await database.createVariant({ stock: 5 });
+
+        const res = await send(controller, 'reserveVariant', {
+            user: customer,
+            params: { variantId: String(variant.variant_id) },
+            body: { quantity: 2 }
+        });
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.OK);
+        assert.deepEqual(await activeHolds(variant.variant_id), [{ holder_key: `user:${customer.id}`, quantity: 2 }]);
+    });
+
+    it('caps how many units one cart may hold', async () => {
+        const variant = await database.createVariant({ stock: 50 });
+
+        const res = await send(controller, 'reserveVariant', {
+            user: customer,
+            params: { variantId: String(variant.variant_id) },
+            body: { quantity: constants.STOCK_RESERVATION.MAX_QUANTITY + 1 }
+        });
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.BAD_REQUEST);
+        assert.deepEqual(await activeHolds(variant.variant_id), []);
+    });
+
+    it('holds stock for a guest cart', async () => {
+        const variant = await database.createVariant({ stock: 5 });
+        const token = 'guest-with-a-cart-0001';
+        await new Cart().getOrCreate({ guestToken: token });
+
+        const res = await send(controller, 'reserveVariant', {
+            headers: { 'x-cart-token': token },
+            params: { variantId: String(variant.variant_id) },
+            body: { quantity: 1 }
+        });
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.OK);
+        assert.deepEqual(await activeHolds(variant.variant_id), [{ holder_key: `guest:${token}`, quantity: 1 }]);
+    });
+
+    it('refuses a guest token that has no cart', async () => {
+        const variant = await database.createVariant({ stock: 5 });
+
+        const res = await send(controller, 'reserveVariant', {
+            headers: { 'x-cart-token': 'made-up-token-00000001' },
+            params: { variantId: String(variant.variant_id) },
+            body: { quantity: 1 }
+        });
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.BAD_REQUEST);
+        assert.deepEqual(await activeHolds(variant.variant_id), []);
+    });
+
+    it('needs a signed-in user or a cart token', async () => {
+        const variant = await database.createVariant();
+
+        const res = await send(controller, 'reserveVariant', {
+            params: { variantId: String(variant.variant_id) },
+            body: { quantity: 1 }
+        });
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.BAD_REQUEST);
+    });
+});
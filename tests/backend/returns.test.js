@@ -0,0 +1,205 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, useTestDatabase } from './helpers/database.js';
+import { send } from './helpers/http.js';
+import Order from '../../backend/models/Order.js';
+import OrderStatusHistory from '../../backend/models/OrderStatusHistory.js';
+import Payment from '../../backend/models/Payment.js';
+import Refund from '../../backend/models/Refund.js';
+import ReturnRequest from '../../backend/models/ReturnRequest.js';
+import ShoeVariant from '../../backend/models/ShoeVariant.js';
+import StockReservation from '../../backend/models/StockReservation.js';
+import ReturnController from '../../backend/controllers/ReturnController.js';
+import { BusinessLogicError } from '../../backend/utils/ErrorClasses.js';
+import constants from '../../config/constants.js';
+
+const { ORDER_STATUS, PAYMENT_STATUS, RETURN_STATUS } = constants;
+
+let database;
+let customer;
+let seller;
+let address;
+const orders = new Order();
+const returns = new ReturnRequest();
+const controller = new ReturnController();
+
+before(async () => {
+    database = await createTestDatabase();
+    useTestDatabase(database);
+    customer = await database.createUser();
+    seller = await database.createUser({ role: 'seller' });
+    address = await database.createAddress(customer.id);
+
+    const variants = new ShoeVariant();
+    const refunds = new Refund();
+    variants.findByIds = ids => database.variantsByIds(ids);
+    orders.findWithItems = orderId => database.orderWithItems(orderId);
+    refunds.findWithItems = refundId => database.refundWithItems(refundId);
+    returns.findWithItems = async returnId => ({
+        ...await database.one('SELECT * FROM db_nike.return_requests WHERE return_id = $1', [returnId]),
+        return_items: await database.query(
+            'SELECT * FROM db_nike.return_items WHERE return_id = $1 ORDER BY return_item_id',
+            [returnId]
+        )
+    });
+
+    controller.setModels({
+        ReturnRequest: returns,
+        Order: orders,
+        OrderStatusHistory: new OrderStatusHistory(),
+        ShoeVariant: variants,
+        StockReservation: new StockReservation(),
+        Payment: new Payment(),
+        Refund: refunds
+    });
+});
+
+// A delivered order of quantity units of variant, paid in full
+async function deliveredOrder(variant, quantity = 2) {
+    const order = await orders.createWithItems(
+        { user_id: customer.id, address_id: address.address_id, total_amount: 100000 * quantity },
+        [{ variant_id: variant.variant_id, quantity, price_per_unit: 100000 }]
+    );
+    for (const status of [ORDER_STATUS.PROCESSING, ORDER_STATUS.SHIPPED, ORDER_STATUS.DELIVERED]) {
+        await orders.updateStatus(order.order_id, status);
+    }
+    const payment = await database.createPayment(order.order_id, { amount: 100000 * quantity });
+
+    return { ...await database.orderWithItems(order.order_id), payment };
+}
+
+const asSeller = (id, body = {}) => ({ user: seller, params: { id: String(id) }, body });
+
+describe('ReturnRequest.createWithItems', () => {
+    it('refuses to return more than was ordered, across returns', async () => {
+        const variant = await database.createVariant({ stock: 5 });
+        const order = await deliveredOrder(variant);
+        const [line] = order.order_items;
+        const item = quantity => [{ order_item_id: line.order_item_id, quantity, reason_code: 'too_small' }];
+        const returnData = { order_id: order.order_id, user_id: customer.id, resolution: 'refund', refund_amount: 100000 };
+
+        await returns.createWithItems(returnData, item(1));
+
+        await assert.rejects(() => returns.createWithItems(returnData, item(2)), BusinessLogicError);
+        await returns.createWithItems(returnData, item(1));
+    });
+});
+
+describe('ReturnController refund returns', () => {
+    it('takes a return from request to refund and restocks resellable units', async () => {
+        const variant = await database.createVariant({ stock: 5 });
+        const order = await deliveredOrder(variant);
+        const [line] = order.order_items;
+
+        const created = await send(controller, 'createReturn', {
+            user: customer,
+            body: {
+                order_id: order.order_id,
+                resolution: 'refund',
+                items: [{ order_item_id: line.order_item_id, quantity: 2, reason_code: 'too_small' }]
+            }
+        });
+        assert.equal(created.statusCode, constants.HTTP_STATUS.CREATED);
+        assert.equal(Number(created.body.data.refund_amount), 200000);
+
+        const returnId = created.body.data.return_id;
+        const [returnItem] = created.body.data.return_items;
+
+        assert.equal((await send(controller, 'approveReturn', asSeller(returnId))).statusCode, constants.HTTP_STATUS.OK);
+        const received = await send(controller, 'receiveReturn', asSeller(returnId, {
+            items: [{ return_item_id: returnItem.return_item_id, condition: 'resellable' }]
+        }));
+        assert.equal(received.body.data.status, RETURN_STATUS.RECEIVED);
+        assert.equal(await database.stockOf(variant.variant_id), 5);
+
+        const completed = await send(controller, 'completeReturn', asSeller(returnId));
+
+        assert.equal(completed.statusCode, constants.HTTP_STATUS.OK);
+        assert.equal(completed.body.data.return.status, RETURN_STATUS.COMPLETED);
+        assert.equal(completed.body.data.outstanding_refund, 0);
+        assert.equal(
+            (await database.one('SELECT status FROM db_nike.payments WHERE payment_id = $1', [order.payment.payment_id])).status,
+            PAYMENT_STATUS.REFUNDED
+        );
+        assert.deepEqual(
+            completed.body.data.refunds[0].refund_items.map(item => [item.order_item_id, item.quantity, Number(item.amount)]),
+            [[line.order_item_id, 2, 200000]]
+        );
+    });
+
+    it('keeps damaged units out of stock', async () => {
+        const variant = await database.createVariant({ stock: 5 });
+        const order = await deliveredOrder(variant, 1);
+        const returnRequest = await returns.createWithItems(
+            { order_id: order.order_id, user_id: customer.id, resolution: 'refund', refund_amount: 100000 },
+            [{ order_item_id: order.order_items[0].order_item_id, quantity: 1, reason_code: 'defective' }]
+        );
+        const { return_items: [returnItem] } = await returns.findWithItems(returnRequest.return_id);
+
+        await send(controller, 'approveReturn', asSeller(returnRequest.return_id));
+        await send(controller, 'receiveReturn', asSeller(returnRequest.return_id, {
+            items: [{ return_item_id: returnItem.return_item_id, condition: 'damaged' }]
+        }));
+
+        assert.equal(await database.stockOf(variant.variant_id), 4);
+    });
+
+    it('only opens returns on delivered orders', async () => {
+        const variant = await database.createVariant({ stock: 5 });
+        const order = await orders.createWithItems(
+            { user_id: customer.id, address_id: address.address_id, total_amount: 100000 },
+            [{ variant_id: variant.variant_id, quantity: 1, price_per_unit: 100000 }]
+        );
+        const { order_items: [line] } = await database.orderWithItems(order.order_id);
+
+        const res = await send(controller, 'createReturn', {
+            user: customer,
+            body: {
+                order_id: order.order_id,
+                resolution: 'refund',
+                items: [{ order_item_id: line.order_item_id, quantity: 1, reason_code: 'changed_mind' }]
+            }
+        });
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.UNPROCESSABLE_ENTITY);
+    });
+});
+
+describe('ReturnController exchanges', () => {
+    it('holds the replacement size at approval and ships it at completion', async () => {
+        const variant = await database.createVariant({ stock: 5 });
+        const replacement = await database.createVariant({ stock: 1, shoeId: variant.shoe_id });
+        const order = await deliveredOrder(variant, 1);
+
+        const created = await send(controller, 'createReturn', {
+            user: customer,
+            body: {
+                order_id: order.order_id,
+                resolution: 'exchange',
+                items: [{
+                    order_item_id: order.order_items[0].order_item_id,
+                    quantity: 1,
+                    reason_code: 'too_small',
+                    exchange_variant_id: replacement.variant_id
+                }]
+            }
+        });
+        assert.equal(created.statusCode, constants.HTTP_STATUS.CREATED);
+
+        const returnId = created.body.data.return_id;
+        await send(controller, 'approveReturn', asSeller(returnId));
+        assert.deepEqual(
+            await database.query("SELECT holder_key FROM db_nike.stock_reservations WHERE variant_id = $1 AND status = 'active'", [replacement.variant_id]),
+            [{ holder_key: `return:${returnId}` }]
+        );
+
+        await send(controller, 'receiveReturn', asSeller(returnId, {
+            items: [{ return_item_id: created.body.data.return_items[0].return_item_id, condition: 'resellable' }]
+        }));
+        const completed = await send(controller, 'completeReturn', asSeller(returnId));
+
+        assert.equal(completed.statusCode, constants.HTTP_STATUS.OK);
+        assert.equal(Number(completed.body.data.exchange_order.total_amount), 0);
+        assert.equal(await database.stockOf(replacement.variant_id), 0);
+    });
+});
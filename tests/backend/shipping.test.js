@@ -0,0 +1,98 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, useTestDatabase } from './helpers/database.js';
+import { send } from './helpers/http.js';
+import Order from '../../backend/models/Order.js';
+import ShoeVariant from '../../backend/models/ShoeVariant.js';
+import Cart from '../../backend/models/Cart.js';
+import CartItem from '../../backend/models/CartItem.js';
+import Promotion from '../../backend/models/Promotion.js';
+import OrderController from '../../backend/controllers/orderController.js';
+import shippingUtils from '../../backend/utils/shipping.js';
+import constants from '../../config/constants.js';
+
+describe('shippingUtils.quote', () => {
+    it('charges the zone rate plus the per-item rate after the first item', () => {
+        const quote = shippingUtils.quote('standard', { province: 'TP. Hồ Chí Minh', subtotal: 500000, itemCount: 3 });
+
+        assert.equal(quote.cost, 20000 + 2 * 5000);
+        assert.deepEqual(quote.estimated_days, [1, 3]);
+    });
+
+    it('falls back to the base rate outside the zones', () => {
+        assert.equal(shippingUtils.quote('standard', { province: 'Lâm Đồng', subtotal: 500000 }).cost, 30000);
+    });
+
+    it('ships free from the threshold on', () => {
+        const quote = shippingUtils.quote('standard', { province: 'Lâm Đồng', subtotal: 1000000, itemCount: 4 });
+
+        assert.equal(quote.cost, 0);
+        assert.equal(quote.free_shipping, true);
+    });
+
+    it('offers express only where it is available', () => {
+        assert.equal(shippingUtils.quote('express', { province: 'Tỉnh Lâm Đồng' }), null);
+        assert.equal(shippingUtils.quote('express', { province: 'Đà Nẵng' }).cost, 60000);
+        assert.deepEqual(
+            shippingUtils.quoteAll({ province: 'Lâm Đồng', subtotal: 100000 }).map(quote => quote.method),
+            ['pickup', 'standard']
+        );
+    });
+
+    it('knows nothing of unknown methods', () => {
+        assert.equal(shippingUtils.quote('drone'), null);
+    });
+});
+
+describe('OrderController.createOrder shipping', () => {
+    const controller = new OrderController();
+    let database;
+    let customer;
+
+    before(async () => {
+        database = await createTestDatabase();
+        useTestDatabase(database);
+        customer = await database.createUser();
+
+        const orders = new Order();
+        const variants = new ShoeVariant();
+        orders.findWithItems = orderId => database.orderWithItems(orderId);
+        variants.findByIds = ids => database.variantsByIds(ids);
+
+        controller.setModels({
+            Order: orders,
+            ShoeVariant: variants,
+            Address: { findById: id => database.one('SELECT * FROM db_nike.addresses WHERE address_id = $1', [id]) },
+            Cart: new Cart(),
+            CartItem: new CartItem(),
+            Promotion: new Promotion()
+        });
+    });
+
+    it('charges and records the chosen method for the address province', async () => {
+        const address = await database.createAddress(customer.id, { state: 'Hà Nội' });
+        const variant = await database.createVariant({ price: 200000 });
+
+        const res = await send(controller, 'createOrder', {
+            user: customer,
+            body: { address_id: address.address_id, shipping_method: 'express', items: [{ variant_id: variant.variant_id, quantity: 2 }] }
+        });
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.CREATED);
+        assert.equal(res.body.data.shipping_method, 'express');
+        assert.equal(Number(res.body.data.shipping_cost), 40000 + 10000);
+    });
+
+    it('refuses a method the province is not offered', async () => {
+        const address = await database.createAddress(customer.id, { state: 'Lâm Đồng' });
+        const variant = await database.createVariant();
+
+        const res = await send(controller, 'createOrder', {
+            user: customer,
+            body: { address_id: address.address_id, shipping_method: 'express', items: [{ variant_id: variant.variant_id, quantity: 1 }] }
+        });
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.UNPROCESSABLE_ENTITY);
+        assert.equal(await database.stockOf(variant.variant_id), 10);
+    });
+});
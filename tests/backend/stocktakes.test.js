@@ -0,0 +1,172 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, useTestDatabase } from './helpers/database.js';
+import { send } from './helpers/http.js';
+import ShoeVariant from '../../backend/models/ShoeVariant.js';
+import Stocktake from '../../backend/models/Stocktake.js';
+import StocktakeController from '../../backend/controllers/StocktakeController.js';
+import inventory from '../../backend/utils/inventory.js';
+import constants from '../../config/constants.js';
+
+const { STOCKTAKE_SCOPES, STOCKTAKE_STATUS } = constants;
+
+let database;
+let customer;
+let seller;
+const stocktakes = new Stocktake();
+const controller = new StocktakeController();
+
+before(async () => {
+    database = await createTestDatabase();
+    useTestDatabase(database);
+    customer = await database.createUser();
+    seller = await database.createUser({ role: 'seller' });
+
+    // A stocktake with its lines and summary, without the shoe, color and size the embedded select adds
+    stocktakes.findWithLines = async stocktakeId => {
+        const stocktake = await database.one('SELECT * FROM db_nike.stocktakes WHERE stocktake_id = $1', [stocktakeId]);
+        const lines = await database.query(
+            `SELECT sl.*, jsonb_build_object('sku', sv.sku, 'stock_quantity', sv.stock_quantity,
+                                             'average_cost', sv.average_cost) AS shoe_variants
+             FROM db_nike.stocktake_lines sl JOIN db_nike.shoe_variants sv USING (variant_id)
+             WHERE sl.stocktake_id = $1
+             ORDER BY sl.variant_id`,
+            [stocktakeId]
+        );
+        const withVariance = lines.map(line => stocktakes.withVariance(line));
+        return { ...stocktake, lines: withVariance, summary: stocktakes.summarize(withVariance) };
+    };
+
+    controller.setModels({ Stocktake: stocktakes, ShoeVariant: new ShoeVariant() });
+});
+
+const asSeller = (id, body = {}) => ({ user: seller, params: { id: String(id) }, body });
+
+// Two sizes of a new shoe, and a started stocktake of that shoe
+async function shoeStocktake(stocks = [10, 5]) {
+    const first = await database.createVariant({ stock: stocks[0] });
+    const second = await database.createVariant({ stock: stocks[1], shoeId: first.shoe_id });
+    const res = await send(controller, 'startStocktake', {
+        user: seller,
+        body: { scope_type: STOCKTAKE_SCOPES.SHOE, scope_id: first.shoe_id }
+    });
+    assert.equal(res.statusCode, constants.HTTP_STATUS.CREATED);
+
+    return { stocktake: res.body.data, variants: [first, second] };
+}
+
+const lineOf = (stocktake, variant) => stocktake.lines.find(line => line.variant_id === variant.variant_id);
+
+describe('StocktakeController counting', () => {
+    it('snapshots the stock of every variant in scope', async () => {
+        const { stocktake, variants } = await shoeStocktake([10, 5]);
+
+        assert.equal(stocktake.status, STOCKTAKE_STATUS.COUNTING);
+        assert.deepEqual(stocktake.lines.map(line => [line.variant_id, line.snapshot_quantity, line.counted_quantity]), [
+            [variants[0].variant_id, 10, null],
+            [variants[1].variant_id, 5, null]
+        ]);
+        assert.equal(stocktake.summary.uncounted, 2);
+    });
+
+    it('keeps the expected quantity of a line across added scans', async () => {
+        const { stocktake, variants: [scanned] } = await shoeStocktake([10, 5]);
+
+        await send(controller, 'scanSku', asSeller(stocktake.stocktake_id, { sku: scanned.sku, quantity: 4 }));
+        await inventory.adjust(scanned.variant_id, -2, { type: constants.STOCK_MOVEMENT_TYPES.SALE, referenceType: 'order' });
+        const scan = await send(controller, 'scanSku', asSeller(stocktake.stocktake_id, { sku: scanned.sku, quantity: 4 }));
+
+        assert.equal(scan.statusCode, constants.HTTP_STATUS.OK);
+        assert.equal(scan.body.data.line.counted_quantity, 8);
+        assert.equal(scan.body.data.line.expected_quantity, 10);
+        assert.equal(scan.body.data.line.variance, -2);
+
+        const recounted = await send(controller, 'recordCounts', asSeller(stocktake.stocktake_id, {
+            counts: [{ variant_id: scanned.variant_id, counted_quantity: 8 }]
+        }));
+
+        assert.equal(lineOf(recounted.body.data, scanned).expected_quantity, 8);
+        assert.equal(lineOf(recounted.body.data, scanned).variance, 0);
+    });
+
+    it('keeps a variant in one counting stocktake at a time', async () => {
+        const { variants: [variant] } = await shoeStocktake();
+
+        const res = await send(controller, 'startStocktake', {
+            user: seller,
+            body: { scope_type: STOCKTAKE_SCOPES.SHOE, scope_id: variant.shoe_id }
+        });
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.CONFLICT);
+    });
+
+    it('refuses counts outside the scope, unknown SKUs and variants counted twice', async () => {
+        const { stocktake, variants: [variant] } = await shoeStocktake();
+        const outside = await database.createVariant();
+
+        const notInScope = await send(controller, 'scanSku', asSeller(stocktake.stocktake_id, { sku: outside.sku }));
+        const unknown = await send(controller, 'scanSku', asSeller(stocktake.stocktake_id, { sku: 'NO-SUCH-SKU' }));
+        const twice = await send(controller, 'recordCounts', asSeller(stocktake.stocktake_id, {
+            counts: [
+                { variant_id: variant.variant_id, counted_quantity: 1 },
+                { sku: variant.sku, counted_quantity: 2 }
+            ]
+        }));
+
+        assert.equal(notInScope.statusCode, constants.HTTP_STATUS.UNPROCESSABLE_ENTITY);
+        assert.equal(unknown.statusCode, constants.HTTP_STATUS.NOT_FOUND);
+        assert.equal(twice.statusCode, constants.HTTP_STATUS.BAD_REQUEST);
+    });
+});
+
+describe('StocktakeController review', () => {
+    it('posts the variances of counted lines at average cost on approval', async () => {
+        const { stocktake, variants: [counted, uncounted] } = await shoeStocktake([10, 5]);
+        await database.query('UPDATE db_nike.shoe_variants SET average_cost = 50000 WHERE variant_id = $1', [counted.variant_id]);
+
+        const review = await send(controller, 'recordCounts', asSeller(stocktake.stocktake_id, {
+            counts: [{ variant_id: counted.variant_id, counted_quantity: 7 }]
+        }));
+
+        assert.deepEqual(
+            [review.body.data.summary.units_short, review.body.data.summary.variance_value],
+            [3, -150000]
+        );
+
+        const res = await send(controller, 'approveStocktake', asSeller(stocktake.stocktake_id));
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.OK);
+        assert.equal(res.body.data.status, STOCKTAKE_STATUS.APPROVED);
+        assert.equal(lineOf(res.body.data, counted).adjustment_quantity, -3);
+        assert.equal(await database.stockOf(counted.variant_id), 7);
+        assert.equal(await database.stockOf(uncounted.variant_id), 5);
+        assert.deepEqual(
+            await database.query(
+                `SELECT movement_type, quantity_change, reference_type FROM db_nike.stock_movements
+                 WHERE variant_id = $1 AND reference_type = 'stocktake'`,
+                [counted.variant_id]
+            ),
+            [{ movement_type: 'adjustment', quantity_change: -3, reference_type: 'stocktake' }]
+        );
+    });
+
+    it('leaves the stock alone when cancelled', async () => {
+        const { stocktake, variants: [variant] } = await shoeStocktake([10, 5]);
+        await send(controller, 'recordCounts', asSeller(stocktake.stocktake_id, {
+            counts: [{ variant_id: variant.variant_id, counted_quantity: 2 }]
+        }));
+
+        const cancelled = await send(controller, 'cancelStocktake', asSeller(stocktake.stocktake_id));
+        const approved = await send(controller, 'approveStocktake', asSeller(stocktake.stocktake_id));
+
+        assert.equal(cancelled.body.data.status, STOCKTAKE_STATUS.CANCELLED);
+        assert.equal(approved.statusCode, constants.HTTP_STATUS.CONFLICT);
+        assert.equal(await database.stockOf(variant.variant_id), 10);
+    });
+
+    it('keeps customers out', async () => {
+        const res = await send(controller, 'getStocktakes', { user: customer });
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.FORBIDDEN);
+    });
+});
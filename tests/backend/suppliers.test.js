@@ -0,0 +1,90 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, useTestDatabase } from './helpers/database.js';
+import { send } from './helpers/http.js';
+import Supplier from '../../backend/models/Supplier.js';
+import SupplierController from '../../backend/controllers/SupplierController.js';
+import constants from '../../config/constants.js';
+
+let database;
+let customer;
+let seller;
+const suppliers = new Supplier();
+const controller = new SupplierController();
+
+before(async () => {
+    database = await createTestDatabase();
+    useTestDatabase(database);
+    customer = await database.createUser();
+    seller = await database.createUser({ role: 'seller' });
+    controller.setModels({ Supplier: suppliers });
+});
+
+const createSupplier = body => send(controller, 'createSupplier', { user: seller, body });
+
+const recordImport = (supplierId, variantId, quantity, price, date) => database.query(
+    `INSERT INTO db_nike.imports (supplier_id, user_id, variant_id, quantity_imported, import_price, import_date)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [supplierId, seller.id, variantId, quantity, price, date]
+);
+
+describe('Supplier.getStats', () => {
+    it('sums the imports of each supplier and lists the shoes it supplies', async () => {
+        const { body: { data: supplier } } = await createSupplier({ supplier_name: 'Saigon Footwear' });
+        const { body: { data: idle } } = await createSupplier({ supplier_name: 'Idle Supplies' });
+        const shoe = await database.createVariant();
+        const otherSize = await database.createVariant({ shoeId: shoe.shoe_id });
+        const other = await database.createVariant();
+        await recordImport(supplier.supplier_id, shoe.variant_id, 10, 50000, '2024-04-01T00:00:00Z');
+        await recordImport(supplier.supplier_id, otherSize.variant_id, 5, 50000, '2024-04-02T00:00:00Z');
+        await recordImport(supplier.supplier_id, other.variant_id, 3, 80000, '2024-03-01T00:00:00Z');
+
+        const stats = await suppliers.getStats([supplier.supplier_id, idle.supplier_id]);
+        const supplied = stats.get(supplier.supplier_id);
+
+        assert.equal(supplied.import_count, 3);
+        assert.equal(supplied.units_imported, 18);
+        assert.equal(supplied.total_spend, 15 * 50000 + 3 * 80000);
+        assert.equal(new Date(supplied.last_import_date).toISOString(), '2024-04-02T00:00:00.000Z');
+        assert.deepEqual(supplied.shoes.map(entry => [entry.shoe_id, entry.units]), [[shoe.shoe_id, 15], [other.shoe_id, 3]]);
+        assert.deepEqual(stats.get(idle.supplier_id), { import_count: 0, units_imported: 0, total_spend: 0, last_import_date: null, shoes: [] });
+    });
+});
+
+describe('SupplierController', () => {
+    it('refuses a name that is already taken, whatever its case', async () => {
+        await createSupplier({ supplier_name: 'Hanoi Leather' });
+
+        const res = await createSupplier({ supplier_name: 'hanoi leather' });
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.CONFLICT);
+    });
+
+    it('searches names, emails and phones', async () => {
+        await createSupplier({ supplier_name: 'Da Nang Rubber', contact_email: 'sales@dnrubber.vn' });
+        await createSupplier({ supplier_name: 'Hue Textiles', phone: '0905123456' });
+
+        const search = async term => (await send(controller, 'getSuppliers', { user: seller, query: { search: term } }))
+            .body.data.map(supplier => supplier.supplier_name);
+
+        assert.deepEqual(await search('DNRUBBER'), ['Da Nang Rubber']);
+        assert.deepEqual(await search('0905'), ['Hue Textiles']);
+    });
+
+    it('deactivates a supplier instead of deleting it', async () => {
+        const { body: { data: supplier } } = await createSupplier({ supplier_name: 'Can Tho Soles' });
+
+        const res = await send(controller, 'deactivateSupplier', { user: seller, params: { id: String(supplier.supplier_id) } });
+        const inactive = await send(controller, 'getSuppliers', { user: seller, query: { is_active: 'false' } });
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.OK);
+        assert.equal(res.body.data.is_active, false);
+        assert.deepEqual(inactive.body.data.map(entry => entry.supplier_id), [supplier.supplier_id]);
+    });
+
+    it('keeps customers out', async () => {
+        const res = await send(controller, 'getSuppliers', { user: customer });
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.FORBIDDEN);
+    });
+});
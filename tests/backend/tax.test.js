@@ -0,0 +1,119 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import taxUtils from '../../backend/utils/tax.js';
+
+const inclusive = { name: 'Inclusive VAT', pricesIncludeTax: true, defaultRate: 0.1, roundingUnit: 1 };
+const exclusive = { name: 'Sales tax', pricesIncludeTax: false, defaultRate: 0.0725, roundingUnit: 0.01 };
+
+taxUtils.registerRuleSet('XT', {
+    ...inclusive,
+    countries: ['testland'],
+    categoryRates: { Books: 0.05 },
+    shippingRate: 0.08
+});
+taxUtils.registerRuleSet('XT-S', {
+    ...exclusive,
+    countries: ['testland'],
+    states: ['south']
+});
+
+describe('tax.roundTax', () => {
+    it('rounds to the whole unit by default', () => {
+        assert.equal(taxUtils.roundTax(9090.909), 9091);
+        assert.equal(taxUtils.roundTax(9090.4), 9090);
+    });
+
+    it('rounds to the rule set unit', () => {
+        assert.equal(taxUtils.roundTax(7.24999, 0.01), 7.25);
+        assert.equal(taxUtils.roundTax(1234, 1000), 1000);
+    });
+
+    it('treats missing amounts as zero', () => {
+        assert.equal(taxUtils.roundTax(undefined), 0);
+        assert.equal(taxUtils.roundTax('abc'), 0);
+    });
+});
+
+describe('tax.taxAmount', () => {
+    it('takes VAT out of a tax-inclusive price', () => {
+        assert.deepEqual(taxUtils.taxAmount(100000, 0.1, inclusive), {
+            taxable_amount: 90909,
+            tax_amount: 9091,
+            gross_amount: 100000
+        });
+    });
+
+    it('keeps taxable plus tax equal to an inclusive price after rounding', () => {
+        for (const amount of [1, 99, 129990, 2450000, 3333333]) {
+            const { taxable_amount: taxable, tax_amount: tax } = taxUtils.taxAmount(amount, 0.08, inclusive);
+            assert.equal(taxable + tax, amount);
+        }
+    });
+
+    it('adds tax on top of a tax-exclusive price', () => {
+        assert.deepEqual(taxUtils.taxAmount(100, 0.0725, exclusive), {
+            taxable_amount: 100,
+            tax_amount: 7.25,
+            gross_amount: 107.25
+        });
+    });
+
+    it('is zero at a zero rate', () => {
+        assert.equal(taxUtils.taxAmount(500000, 0, inclusive).tax_amount, 0);
+    });
+});
+
+describe('tax.resolveRuleSet', () => {
+    it('matches the country without case', () => {
+        assert.equal(taxUtils.resolveRuleSet({ country: ' TestLand ' }).code, 'XT');
+    });
+
+    it('prefers a state-specific rule set', () => {
+        assert.equal(taxUtils.resolveRuleSet({ country: 'testland', state: 'South' }).code, 'XT-S');
+        assert.equal(taxUtils.resolveRuleSet({ country: 'testland', state: 'north' }).code, 'XT');
+    });
+
+    it('falls back to the default jurisdiction', () => {
+        assert.equal(taxUtils.resolveRuleSet({ country: 'nowhere' }).code, 'VN');
+        assert.equal(taxUtils.resolveRuleSet(null).code, 'VN');
+    });
+});
+
+describe('tax.calculate', () => {
+    it('uses category rates, the default rate and the shipping rate', () => {
+        const result = taxUtils.calculate([
+            { variant_id: 1, line_total: 105000, category_name: 'books' },
+            { variant_id: 2, line_total: 110000, category_name: 'Running' }
+        ], { address: { country: 'testland' }, shippingCost: 108000 });
+
+        assert.equal(result.jurisdiction, 'XT');
+        assert.equal(result.prices_include_tax, true);
+        assert.deepEqual(result.lines.map(line => [line.line_type, line.tax_rate, line.tax_amount]), [
+            ['item', 0.05, 5000],
+            ['item', 0.1, 10000],
+            ['shipping', 0.08, 8000]
+        ]);
+        assert.equal(result.tax_amount, 23000);
+    });
+
+    it('leaves out free shipping', () => {
+        const result = taxUtils.calculate([{ variant_id: 1, line_total: 110000 }], {
+            address: { country: 'testland' },
+            shippingCost: 0
+        });
+        assert.equal(result.lines.length, 1);
+    });
+});
+
+describe('tax.summarize', () => {
+    it('totals lines per rate, highest rate first', () => {
+        assert.deepEqual(taxUtils.summarize([
+            { tax_rate: '0.05', taxable_amount: '100000', tax_amount: '5000' },
+            { tax_rate: 0.1, taxable_amount: 100000, tax_amount: 10000 },
+            { tax_rate: 0.05, taxable_amount: 20000, tax_amount: 1000 }
+        ]), [
+            { tax_rate: 0.1, taxable_amount: 100000, tax_amount: 10000 },
+            { tax_rate: 0.05, taxable_amount: 120000, tax_amount: 6000 }
+        ]);
+    });
+});
@@ -0,0 +1,185 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, useTestDatabase } from './helpers/database.js';
+import { send } from './helpers/http.js';
+import Order from '../../backend/models/Order.js';
+import ShoeVariant from '../../backend/models/ShoeVariant.js';
+import StockLocation from '../../backend/models/StockLocation.js';
+import StockTransfer from '../../backend/models/StockTransfer.js';
+import StockTransferController from '../../backend/controllers/StockTransferController.js';
+import inventory from '../../backend/utils/inventory.js';
+import { ConflictError } from '../../backend/utils/ErrorClasses.js';
+import constants from '../../config/constants.js';
+
+const { TRANSFER_STATUS } = constants;
+
+let database;
+let customer;
+let seller;
+let main;
+let store;
+let backroom;
+const transfers = new StockTransfer();
+const controller = new StockTransferController();
+
+before(async () => {
+    database = await createTestDatabase();
+    useTestDatabase(database);
+    customer = await database.createUser();
+    seller = await database.createUser({ role: 'seller' });
+
+    const locations = new StockLocation();
+    main = await database.one('SELECT * FROM db_nike.stock_locations WHERE is_default');
+    store = await locations.createLocation({ location_code: 'HCM-1', location_name: 'Saigon store', location_type: 'store' });
+    backroom = await locations.createLocation({ location_code: 'BACK', location_name: 'Back room', is_sellable: false });
+
+    // A transfer with its lines and totals, without the locations and variants the embedded select adds
+    transfers.findWithLines = async transferId => {
+        const transfer = await database.one('SELECT * FROM db_nike.stock_transfers WHERE transfer_id = $1', [transferId]);
+        const lines = await database.query(
+            'SELECT * FROM db_nike.stock_transfer_lines WHERE transfer_id = $1 ORDER BY variant_id',
+            [transferId]
+        );
+        return { ...transfer, stock_transfer_lines: lines, ...transfers.summarize(lines) };
+    };
+    const variants = new ShoeVariant();
+    variants.findByIds = ids => database.variantsByIds(ids);
+
+    controller.setModels({ StockTransfer: transfers, StockLocation: locations, ShoeVariant: variants });
+});
+
+const quantityAt = async (location, variant) => (await database.one(
+    'SELECT quantity FROM db_nike.location_stock WHERE location_id = $1 AND variant_id = $2',
+    [location.location_id, variant.variant_id]
+))?.quantity ?? 0;
+
+const transfer = (from, to, items) => send(controller, 'createTransfer', {
+    user: seller,
+    body: { from_location_id: from.location_id, to_location_id: to.location_id, items }
+});
+
+const asSeller = (id, body = {}) => ({ user: seller, params: { id: String(id) }, body });
+
+describe('StockTransferController', () => {
+    it('takes the units out of the source and brings what arrived in at the destination', async () => {
+        const variant = await database.createVariant({ stock: 10 });
+
+        const sent = await transfer(main, backroom, [{ variant_id: variant.variant_id, quantity: 4 }]);
+
+        assert.equal(sent.statusCode, constants.HTTP_STATUS.CREATED);
+        assert.equal(sent.body.data.status, TRANSFER_STATUS.IN_TRANSIT);
+        assert.equal(await quantityAt(main, variant), 6);
+        assert.equal(await database.stockOf(variant.variant_id), 6);
+
+        const received = await send(controller, 'receiveTransfer', asSeller(sent.body.data.transfer_id, {
+            items: [{ variant_id: variant.variant_id, quantity_received: 3 }]
+        }));
+
+        assert.equal(received.body.data.status, TRANSFER_STATUS.RECEIVED);
+        assert.deepEqual(
+            [received.body.data.units_shipped, received.body.data.units_received, received.body.data.units_lost],
+            [4, 3, 1]
+        );
+        assert.equal(await quantityAt(backroom, variant), 3);
+        assert.equal(await database.stockOf(variant.variant_id), 6);
+        assert.deepEqual(
+            await database.query(
+                `SELECT location_id, movement_type, quantity_change FROM db_nike.stock_movements
+                 WHERE variant_id = $1 AND reference_type = 'transfer' ORDER BY movement_id`,
+                [variant.variant_id]
+            ),
+            [
+                { location_id: main.location_id, movement_type: 'transfer_out', quantity_change: -4 },
+                { location_id: backroom.location_id, movement_type: 'transfer_in', quantity_change: 3 }
+            ]
+        );
+    });
+
+    it('counts units moved to another sellable location in the variant stock once received', async () => {
+        const variant = await database.createVariant({ stock: 10 });
+
+        const sent = await transfer(main, store, [{ variant_id: variant.variant_id, quantity: 4 }]);
+        await send(controller, 'receiveTransfer', asSeller(sent.body.data.transfer_id));
+
+        assert.equal(await quantityAt(store, variant), 4);
+        assert.equal(await database.stockOf(variant.variant_id), 10);
+    });
+
+    it('puts the units back at the source when cancelled', async () => {
+        const variant = await database.createVariant({ stock: 10 });
+        const sent = await transfer(main, store, [{ variant_id: variant.variant_id, quantity: 4 }]);
+
+        const cancelled = await send(controller, 'cancelTransfer', asSeller(sent.body.data.transfer_id));
+        const received = await send(controller, 'receiveTransfer', asSeller(sent.body.data.transfer_id));
+
+        assert.equal(cancelled.body.data.status, TRANSFER_STATUS.CANCELLED);
+        assert.equal(received.statusCode, constants.HTTP_STATUS.CONFLICT);
+        assert.equal(await quantityAt(main, variant), 10);
+        assert.equal(await quantityAt(store, variant), 0);
+    });
+
+    it('refuses to ship more than the source holds or receive more than was shipped', async () => {
+        const variant = await database.createVariant({ stock: 10 });
+
+        const tooMany = await transfer(main, store, [{ variant_id: variant.variant_id, quantity: 11 }]);
+        const sent = await transfer(main, store, [{ variant_id: variant.variant_id, quantity: 2 }]);
+        const overReceived = await send(controller, 'receiveTransfer', asSeller(sent.body.data.transfer_id, {
+            items: [{ variant_id: variant.variant_id, quantity_received: 3 }]
+        }));
+
+        assert.equal(tooMany.statusCode, constants.HTTP_STATUS.UNPROCESSABLE_ENTITY);
+        assert.equal(overReceived.statusCode, constants.HTTP_STATUS.UNPROCESSABLE_ENTITY);
+        assert.equal(await quantityAt(main, variant), 8);
+        assert.equal(await quantityAt(store, variant), 0);
+    });
+
+    it('refuses a transfer to the location it comes from', async () => {
+        const variant = await database.createVariant({ stock: 10 });
+
+        const res = await transfer(main, main, [{ variant_id: variant.variant_id, quantity: 1 }]);
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.BAD_REQUEST);
+    });
+
+    it('keeps customers out', async () => {
+        const res = await send(controller, 'getTransfers', { user: customer });
+
+        assert.equal(res.statusCode, constants.HTTP_STATUS.FORBIDDEN);
+    });
+});
+
+describe('inventory at a location', () => {
+    it('refuses to take out more than the location holds', async () => {
+        const variant = await database.createVariant({ stock: 10 });
+        await inventory.adjust(variant.variant_id, 2, { locationId: store.location_id });
+
+        await assert.rejects(
+            () => inventory.adjust(variant.variant_id, -3, { locationId: store.location_id }),
+            error => error instanceof ConflictError && /2 in stock at location/.test(error.message)
+        );
+        assert.equal(await database.stockOf(variant.variant_id), 12);
+    });
+});
+
+describe('Order fulfilment', () => {
+    it('sells from a location holding the whole order and puts cancelled units back there', async () => {
+        const orders = new Order();
+        const variant = await database.createVariant({ stock: 1 });
+        await inventory.adjust(variant.variant_id, 3, { locationId: store.location_id });
+        const address = await database.createAddress(customer.id);
+
+        const order = await orders.createWithItems(
+            { user_id: customer.id, address_id: address.address_id, total_amount: 200000 },
+            [{ variant_id: variant.variant_id, quantity: 2, price_per_unit: 100000 }]
+        );
+
+        assert.equal(order.fulfilment_location_id, store.location_id);
+        assert.equal(await quantityAt(store, variant), 1);
+        assert.equal(await quantityAt(main, variant), 1);
+
+        await orders.cancel(order.order_id, { cancelledBy: customer.id });
+
+        assert.equal(await quantityAt(store, variant), 3);
+        assert.equal(await database.stockOf(variant.variant_id), 4);
+    });
+});
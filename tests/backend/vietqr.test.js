@@ -0,0 +1,125 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import VietQRProvider from '../../backend/utils/paymentProviders/VietQRProvider.js';
+import { ConfigurationError } from '../../backend/utils/ErrorClasses.js';
+import constants from '../../config/constants.js';
+
+const config = {
+    ...constants.PAYMENT_CONFIG.VIETQR,
+    BANK_BIN: '970436',
+    ACCOUNT_NUMBER: '0011001234567',
+    ACCOUNT_NAME: 'SHOE STORE',
+    REFERENCE_PREFIX: 'SNV'
+};
+const provider = new VietQRProvider(config);
+
+// Split a TLV string into { id: value }
+const fields = text => {
+    const result = {};
+    for (let at = 0; at < text.length;) {
+        const length = Number(text.slice(at + 2, at + 4));
+        result[text.slice(at, at + 2)] = text.slice(at + 4, at + 4 + length);
+        at += 4 + length;
+    }
+    return result;
+};
+
+describe('VietQRProvider.crc16', () => {
+    it('is CRC-16/CCITT-FALSE', () => {
+        assert.equal(provider.crc16('123456789'), '29B1');
+        assert.equal(provider.crc16(''), 'FFFF');
+    });
+});
+
+describe('VietQRProvider.tlv', () => {
+    it('writes the ID, a two digit length and the value', () => {
+        assert.equal(provider.tlv('58', 'VN'), '5802VN');
+        assert.equal(provider.tlv('62', 'x'.repeat(12)), `6212${'x'.repeat(12)}`);
+    });
+});
+
+describe('VietQRProvider.buildPayload', () => {
+    const payload = provider.buildPayload({ amount: 150000, memo: 'SNV000123KTQZ' });
+
+    it('builds a dynamic NAPAS transfer payload', () => {
+        assert.equal(
+            payload.slice(0, -4),
+            '000201010212' +
+            '38570010A00000072701270006970436011300110012345670208QRIBFTTA' +
+            '53037045406150000' +
+            '5802VN' +
+            '62170813SNV000123KTQZ' +
+            '6304'
+        );
+    });
+
+    it('ends with the CRC of everything before it', () => {
+        assert.equal(payload.slice(-4), provider.crc16(payload.slice(0, -4)));
+    });
+
+    it('nests the beneficiary and the memo', () => {
+        const top = fields(payload);
+        const merchant = fields(top['38']);
+
+        assert.deepEqual(fields(merchant['01']), { '00': '970436', '01': '0011001234567' });
+        assert.equal(fields(top['62'])['08'], 'SNV000123KTQZ');
+    });
+
+    it('is static without an amount and leaves out an empty memo', () => {
+        const top = fields(provider.buildPayload({ amount: 0, memo: '' }));
+
+        assert.equal(top['01'], '11');
+        assert.equal('54' in top, false);
+        assert.equal('62' in top, false);
+    });
+});
+
+describe('VietQRProvider.transferInstructions', () => {
+    it('rounds the amount and links the QR image', () => {
+        const instructions = provider.transferInstructions('SNV000123KTQZ', '150000.40');
+
+        assert.equal(instructions.amount, 150000);
+        assert.equal(instructions.memo, 'SNV000123KTQZ');
+        assert.equal(
+            instructions.qr_image_url,
+            `${config.IMAGE_BASE_URL}/970436-0011001234567-${config.IMAGE_TEMPLATE}.png?amount=150000&addInfo=SNV000123KTQZ&accountName=SHOE+STORE`
+        );
+    });
+});
+
+describe('VietQRProvider.createReference', () => {
+    it('pads the payment ID and adds four letters without I or O', () => {
+        for (let i = 0; i < 50; i++) {
+            assert.match(provider.createReference(123), /^SNV000123[A-HJ-NP-Z]{4}$/);
+        }
+        assert.match(provider.createReference(12345678), /^SNV12345678[A-Z]{4}$/);
+    });
+});
+
+describe('VietQRProvider.extractReferences', () => {
+    it('finds references banks split up or lower-cased', () => {
+        assert.deepEqual(
+            provider.extractReferences('CT DEN:0123 snv 000123-ktqz chuyen tien; SNV000456ABCD'),
+            ['SNV000123KTQZ', 'SNV000456ABCD']
+        );
+    });
+
+    it('lists each reference once', () => {
+        assert.deepEqual(provider.extractReferences('SNV000123KTQZ SNV000123KTQZ'), ['SNV000123KTQZ']);
+    });
+
+    it('ignores memos without a whole reference', () => {
+        assert.deepEqual(provider.extractReferences('SNV00012KTQZ thanh toan'), []);
+        assert.deepEqual(provider.extractReferences(null), []);
+    });
+});
+
+describe('VietQRProvider.assertConfigured', () => {
+    it('needs the bank and account number', async () => {
+        const unconfigured = new VietQRProvider({ ...config, ACCOUNT_NUMBER: '' });
+
+        assert.throws(() => unconfigured.assertConfigured(), ConfigurationError);
+        await assert.rejects(() => unconfigured.createIntent({ payment: { payment_id: 1 }, amount: 1000 }), ConfigurationError);
+        assert.doesNotThrow(() => provider.assertConfigured());
+    });
+});
@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import MockPaymentProvider from '../../backend/utils/paymentProviders/MockPaymentProvider.js';
+import { AuthenticationError, ConfigurationError, ValidationError } from '../../backend/utils/ErrorClasses.js';
+import constants from '../../config/constants.js';
+
+const { SIGNATURE_HEADER, TOLERANCE_SECONDS } = constants.PAYMENT_CONFIG.WEBHOOK;
+const { INVALID_SIGNATURE, STALE_WEBHOOK } = constants.ERROR_MESSAGES.PAYMENT;
+
+const providerWith = secret => new MockPaymentProvider({ DEFAULT_SCENARIO: 'success', CONFIRM_DELAY_MS: 0, WEBHOOK_SECRET: secret });
+const provider = providerWith('whsec_test');
+
+const body = JSON.stringify({
+    id: 'evt_1',
+    type: 'payment.succeeded',
+    data: { reference: 'mock_delayed_1700000000000_abc', status: 'succeeded' }
+});
+const now = () => Math.floor(Date.now() / 1000);
+const signed = (rawBody, timestamp = now(), signer = provider) => ({ [SIGNATURE_HEADER]: signer.signWebhook(rawBody, timestamp) });
+
+const rejectsWith = (fn, message) => assert.throws(fn, error => error instanceof AuthenticationError && error.message === message);
+
+describe('PaymentProvider.verifyWebhook', () => {
+    it('accepts a signed body and returns when it was signed', () => {
+        const timestamp = now();
+        const signedAt = provider.verifyWebhook(body, signed(body, timestamp));
+
+        assert.equal(signedAt.getTime(), timestamp * 1000);
+    });
+
+    it('signs as t=<seconds>,v1=<hex HMAC-SHA256>', () => {
+        assert.match(provider.signWebhook(body, 1700000000), /^t=1700000000,v1=[0-9a-f]{64}$/);
+    });
+
+    it('rejects a changed body', () => {
+        const headers = signed(body);
+        rejectsWith(() => provider.verifyWebhook(body.replace('succeeded', 'failed'), headers), INVALID_SIGNATURE);
+    });
+
+    it('rejects a body signed with another secret', () => {
+        rejectsWith(() => provider.verifyWebhook(body, signed(body, now(), providerWith('whsec_other'))), INVALID_SIGNATURE);
+    });
+
+    it('rejects a missing or malformed signature header', () => {
+        rejectsWith(() => provider.verifyWebhook(body, {}), INVALID_SIGNATURE);
+        rejectsWith(() => provider.verifyWebhook(body, { [SIGNATURE_HEADER]: 'v1=abc' }), INVALID_SIGNATURE);
+        rejectsWith(() => provider.verifyWebhook(body, { [SIGNATURE_HEADER]: `t=${now()},v1=zz` }), INVALID_SIGNATURE);
+    });
+
+    it('rejects a timestamp that was moved without re-signing', () => {
+        const [, signature] = provider.signWebhook(body, now() - 60).split(',');
+        rejectsWith(() => provider.verifyWebhook(body, { [SIGNATURE_HEADER]: `t=${now()},${signature}` }), INVALID_SIGNATURE);
+    });
+
+    it('rejects replays signed outside the tolerance', () => {
+        rejectsWith(() => provider.verifyWebhook(body, signed(body, now() - TOLERANCE_SECONDS - 60)), STALE_WEBHOOK);
+        rejectsWith(() => provider.verifyWebhook(body, signed(body, now() + TOLERANCE_SECONDS + 60)), STALE_WEBHOOK);
+        assert.ok(provider.verifyWebhook(body, signed(body, now() - TOLERANCE_SECONDS + 60)));
+    });
+
+    it('refuses to sign or verify without a secret', () => {
+        const unconfigured = providerWith('');
+
+        assert.throws(() => unconfigured.signWebhook(body), ConfigurationError);
+        assert.throws(() => unconfigured.verifyWebhook(body, signed(body)), ConfigurationError);
+    });
+});
+
+describe('MockPaymentProvider.parseWebhook', () => {
+    it('reads the event fields', () => {
+        assert.deepEqual(
+            (({ payload, ...event }) => event)(provider.parseWebhook(body)),
+            {
+                event_id: 'evt_1',
+                type: 'payment.succeeded',
+                reference: 'mock_delayed_1700000000000_abc',
+                status: 'succeeded',
+                failure_reason: null
+            }
+        );
+    });
+
+    it('rejects bodies that are not events', () => {
+        for (const rawBody of [
+            'not json',
+            'null',
+            JSON.stringify({ type: 'payment.succeeded', data: { reference: 'x' } }),
+            JSON.stringify({ id: 'evt_2', type: 'payment.succeeded', data: {} }),
+            JSON.stringify({ id: 'evt_3', type: 'payment.succeeded', data: { reference: 'x', status: 'paid' } })
+        ]) {
+            assert.throws(() => provider.parseWebhook(rawBody), ValidationError, rawBody);
+        }
+    });
+});
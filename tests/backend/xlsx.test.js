@@ -0,0 +1,134 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import xlsx from '../../backend/utils/xlsx.js';
+import { ValidationError } from '../../backend/utils/ErrorClasses.js';
+
+// Zip archive of { path: content } (method 8 deflates, 0 stores). CRCs are left at zero: the reader does not check them.
+const zip = (files, method = 8) => {
+    const locals = [];
+    const directory = [];
+    let offset = 0;
+
+    for (const [name, content] of Object.entries(files)) {
+        const nameBytes = Buffer.from(name);
+        const raw = Buffer.isBuffer(content) ? content : Buffer.from(content);
+        const data = method === 8 ? zlib.deflateRawSync(raw) : raw;
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(raw.length, 22);
+        local.writeUInt16LE(nameBytes.length, 26);
+
+        const entry = Buffer.alloc(46);
+        entry.writeUInt32LE(0x02014b50, 0);
+        entry.writeUInt16LE(method, 10);
+        entry.writeUInt32LE(data.length, 20);
+        entry.writeUInt32LE(raw.length, 24);
+        entry.writeUInt16LE(nameBytes.length, 28);
+        entry.writeUInt32LE(offset, 42);
+
+        locals.push(local, nameBytes, data);
+        directory.push(entry, nameBytes);
+        offset += local.length + nameBytes.length + data.length;
+    }
+
+    const directoryBytes = Buffer.concat(directory);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Object.keys(files).length, 8);
+    end.writeUInt16LE(Object.keys(files).length, 10);
+    end.writeUInt32LE(directoryBytes.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, directoryBytes, end]);
+};
+
+const sheet = rows => `<?xml version="1.0"?><worksheet><sheetData>${rows}</sheetData></worksheet>`;
+
+const workbook = (sheets, { sharedStrings } = {}) => zip({
+    'xl/workbook.xml': `<workbook><sheets>${Object.keys(sheets)
+        .map((name, index) => `<sheet name="${name}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`)
+        .join('')}</sheets></workbook>`,
+    'xl/_rels/workbook.xml.rels': `<Relationships>${Object.keys(sheets)
+        .map((name, index) => `<Relationship Id="rId${index + 1}" Target="worksheets/${name}.xml"/>`)
+        .join('')}</Relationships>`,
+    ...(sharedStrings ? { 'xl/sharedStrings.xml': `<sst>${sharedStrings.map(item => `<si>${item}</si>`).join('')}</sst>` } : {}),
+    ...Object.fromEntries(Object.entries(sheets).map(([name, rows]) => [`xl/worksheets/${name}.xml`, sheet(rows)]))
+});
+
+const rejectsAsInvalid = (buffer, reason) => assert.throws(
+    () => xlsx.parseRows(buffer),
+    error => error instanceof ValidationError && reason.test(error.errors[0].message)
+);
+
+describe('xlsx.parseRows', () => {
+    it('reads shared strings, inline strings, numbers and booleans', () => {
+        const buffer = workbook({
+            catalog: '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1" t="s"><v>2</v></c></row>' +
+                '<row r="2"><c r="A2" t="inlineStr"><is><t>A&amp;B-1</t></is></c>' +
+                '<c r="B2"><v>129.99000000000001</v></c><c r="C2" t="b"><v>1</v></c></row>'
+        }, { sharedStrings: ['<t>sku</t>', '<r><t>pri</t></r><r><t xml:space="preserve">ce</t></r>', '<t>active</t><rPh><t>x</t></rPh>'] });
+
+        assert.deepEqual(xlsx.parseRows(buffer), [
+            ['sku', 'price', 'active'],
+            ['A&B-1', '129.99', 'TRUE']
+        ]);
+    });
+
+    it('places cells by their column and drops blank rows', () => {
+        const buffer = workbook({
+            sheet1: '<row r="1"><c r="B1" t="inlineStr"><is><t>b</t></is></c><c r="AA1"><v>27</v></c></row>' +
+                '<row r="2"/>' +
+                '<row r="3"><c r="A3" t="inlineStr"><is><t> </t></is></c></row>' +
+                '<row r="4"><c t="inlineStr"><is><t>x</t></is></c><c t="inlineStr"><is><t>y</t></is></c></row>'
+        });
+        const [first, second] = xlsx.parseRows(buffer);
+
+        assert.equal(first.length, 27);
+        assert.deepEqual([first[0], first[1], first[26]], ['', 'b', '27']);
+        assert.deepEqual(second, ['x', 'y']);
+    });
+
+    it('reads the first sheet in workbook order', () => {
+        const buffer = workbook({
+            zeta: '<row><c t="inlineStr"><is><t>first</t></is></c></row>',
+            alpha: '<row><c t="inlineStr"><is><t>second</t></is></c></row>'
+        });
+
+        assert.deepEqual(xlsx.parseRows(buffer), [['first']]);
+    });
+
+    it('reads stored (uncompressed) parts', () => {
+        const buffer = zip({ 'xl/worksheets/sheet1.xml': sheet('<row><c><v>12</v></c></row>') }, 0);
+        assert.deepEqual(xlsx.parseRows(buffer), [['12']]);
+    });
+
+    it('rejects files that are not workbooks', () => {
+        rejectsAsInvalid(Buffer.from('sku,name\nA-1,Runner\n'), /Not a zip archive/);
+        rejectsAsInvalid(Buffer.alloc(0), /Not a zip archive/);
+        rejectsAsInvalid(zip({ 'docProps/app.xml': '<Properties/>' }), /No worksheet found/);
+    });
+
+    it('rejects a corrupt archive', () => {
+        const buffer = workbook({ sheet1: '<row><c><v>1</v></c></row>' });
+
+        const badDirectory = Buffer.from(buffer);
+        badDirectory.writeUInt32LE(0, badDirectory.readUInt32LE(badDirectory.length - 6));
+        rejectsAsInvalid(badDirectory, /Corrupt zip directory/);
+
+        const badData = Buffer.from(buffer);
+        badData.fill(0xff, 30 + 'xl/workbook.xml'.length, 40 + 'xl/workbook.xml'.length);
+        rejectsAsInvalid(badData, /Cannot extract xl\/workbook\.xml/);
+    });
+
+    it('stops inflating a part past the size limit', () => {
+        // Zeros compress about a thousand to one, so the archive stays small
+        const buffer = zip({ 'xl/worksheets/sheet1.xml': Buffer.alloc(64 * 1024 * 1024 + 1) });
+
+        assert.ok(buffer.length < 1024 * 1024);
+        rejectsAsInvalid(buffer, /Cannot extract xl\/worksheets\/sheet1\.xml/);
+    });
+});